@@ -10,6 +10,99 @@ db.version(1).stores({
   ingredients: '++id, name, frequency'
 });
 
+// v2: token-level ingredient index for partial-name matching ("soy" -> "soy sauce")
+db.version(2).stores({
+  recipes: "id, title, *normalizedIngredients, *ingredients, *ingredientTokens"
+}).upgrade(tx => tx.table('recipes').toCollection().modify(recipe => {
+  recipe.ingredientTokens = buildIngredientTokens(recipe);
+}));
+
+// v3: shopping list fed from recipe detail
+db.version(3).stores({
+  shoppingList: '++id, recipeId, ingredient'
+});
+
+// v4: saved revisions of edited/forked recipes, and fork -> parent links
+db.version(4).stores({
+  recipes: "id, title, *normalizedIngredients, *ingredients, *ingredientTokens, parentId",
+  recipeVersions: '++id, recipeId, savedAt'
+});
+
+// v5: contextHistory holds cached LLM substitution answers (see substitution-cache.js)
+db.version(5).stores({
+  contextHistory: '++id, date, cacheKey, ingredient'
+});
+
+// v6: pantry rows carry quantity, unit, purchasedAt and expiresAt (see pantry-manager.js)
+db.version(6).stores({
+  pantry: '++id, ingredient, expiresAt'
+});
+
+// v7: cook log written by "Cooked it" in the recipe detail view
+db.version(7).stores({
+  cookLog: '++id, recipeId, cookedAt'
+});
+
+/**
+ * Recompute canonical index fields and merge ingredients frequency rows that share a canonical name.
+ * Run by every upgrade that changes what canonicalIngredient returns.
+ * @param {Transaction} tx - Upgrade transaction
+ */
+const rebuildCanonicalIngredients = async (tx) => {
+  await tx.table('recipes').toCollection().modify(recipe => {
+    recipe.ingredientTokens = buildIngredientTokens(recipe);
+    recipe.canonicalIngredients = buildCanonicalIngredients(recipe);
+  });
+  const rows = await tx.table('ingredients').toArray();
+  const merged = new Map();
+  rows.forEach(({ id, ...row }) => {
+    const name = canonicalIngredient(row.name);
+    if (!name) return;
+    const entry = merged.get(name);
+    if (!entry) {
+      merged.set(name, { ...row, name });
+      return;
+    }
+    entry.frequency = (entry.frequency || 0) + (row.frequency || 0);
+    if (row.vocabularyFrequency) {
+      entry.vocabularyFrequency = (entry.vocabularyFrequency || 0) + row.vocabularyFrequency;
+    }
+  });
+  await tx.table('ingredients').clear();
+  await tx.table('ingredients').bulkAdd(Array.from(merged.values()));
+};
+
+// v8: canonical ingredient names (see ingredient-canonical.js). Recipes get a *canonicalIngredients
+// index and canonical tokens; ingredients frequency rows that now share a canonical name are merged
+db.version(8).stores({
+  recipes: "id, title, *normalizedIngredients, *ingredients, *ingredientTokens, *canonicalIngredients, parentId"
+}).upgrade(rebuildCanonicalIngredients);
+
+// v9: synonyms are folded before descriptors are dropped ("minced beef" -> "ground beef"), so rebuild
+db.version(9).stores({}).upgrade(rebuildCanonicalIngredients);
+
+// v10: more descriptors ("extra virgin", "unsalted", "boneless skinless") and "brussels" kept as is
+db.version(10).stores({}).upgrade(rebuildCanonicalIngredients);
+
+const IMPORT_MODES = { MERGE: 'merge', REPLACE: 'replace' };
+const EXPORT_BUNDLE_VERSION = 1;
+const MAX_IMPORT_ERRORS_SHOWN = 10;
+
+const PREFERENCE_KEYS = {
+  VOCABULARY_SEEDED: 'vocabularySeeded',
+  UNIT_SYSTEM: 'unitSystem',
+  STATIC_SUBSTITUTIONS_VERSION: 'staticSubstitutionsVersion',
+  PREFERENCE_BOOST_WEIGHT: 'preferenceBoostWeight',
+  DIETARY_PROFILE: 'dietaryProfile',
+  LLM_SETTINGS: 'llmSettings',
+  SUGGESTION_RANKING_MODE: 'suggestionRankingMode',
+  PANTRY_STAPLES: 'pantryStaples',
+  PANTRY_SELECTION_PRESETS: 'pantrySelectionPresets'
+};
+const FORK_ID_PREFIX = 'fork-';
+
+const isForkId = (id) => typeof id === 'string' && id.startsWith(FORK_ID_PREFIX);
+
 
 class RecipesMiniApp {
   constructor() {
@@ -19,16 +112,139 @@ class RecipesMiniApp {
     this.preferences = [];
     this.contextHistory = [];
     this.pantryManager = new PantryManager();
+    this.shoppingList = new ShoppingListManager();
+    // First-run vocabulary seeding (see initApp); ingredient table rebuilds wait for it
+    this.vocabularySeeding = null;
+  }
+
+  /**
+   * Validate one recipe record before import.
+   * @param {Object} record
+   * @returns {string[]} Error messages (empty when the record is valid)
+   */
+  validateRecipeRecord(record) {
+    if (record == null || typeof record !== 'object' || Array.isArray(record)) {
+      return ['Record is not an object'];
+    }
+    const errors = [];
+    const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+    if (record.id == null || String(record.id).trim() === '') {
+      errors.push('Missing id');
+    } else if (typeof record.id !== 'string' && typeof record.id !== 'number') {
+      errors.push('id must be a string or number');
+    }
+    if (typeof record.title !== 'string' || record.title.trim() === '') {
+      errors.push('Missing title');
+    }
+    if (!isStringArray(record.ingredients)) {
+      errors.push('ingredients must be an array of strings');
+    }
+    if (!isStringArray(record.normalizedIngredients)) {
+      errors.push('normalizedIngredients must be an array of strings');
+    }
+    if (typeof record.instructions !== 'string') {
+      errors.push('instructions must be a string');
+    }
+    return errors;
+  }
+
+  /**
+   * Import recipes into the database and rebuild the ingredients table.
+   * Replace mode drops every recipe except user forks; merge mode upserts by id.
+   * Ingredient lines are parsed into parsedIngredients (quantity, unit, name, preparation) on the way in.
+   * @param {Object[]} recipesArray - Recipe records
+   * @param {{ mode?: 'merge'|'replace' }} [options]
+   * @returns {Promise<{ mode: string, imported: number, skipped: number, total: number, errors: Array<{ index: number, id: *, errors: string[] }> }>}
+   */
+  async loadRecipesFromJSON(recipesArray, options = {}) {
+    if (!Array.isArray(recipesArray)) {
+      throw new Error('Recipe data must be an array of recipe records');
+    }
+    // Replacing deletes recipes, so it only happens when asked for explicitly
+    const mode = options.mode === IMPORT_MODES.REPLACE ? IMPORT_MODES.REPLACE : IMPORT_MODES.MERGE;
+    console.log(`Loading ${recipesArray.length} recipes (${mode})...`);
+
+    const valid = [];
+    const errors = [];
+    const seenIds = new Set();
+    recipesArray.forEach((record, index) => {
+      const recordErrors = this.validateRecipeRecord(record);
+      if (recordErrors.length === 0 && seenIds.has(record.id)) {
+        recordErrors.push(`Duplicate id "${record.id}"`);
+      }
+      if (recordErrors.length > 0) {
+        errors.push({ index, id: record?.id ?? null, errors: recordErrors });
+        return;
+      }
+      seenIds.add(record.id);
+      valid.push(record);
+    });
+
+    await db.transaction('rw', db.recipes, async () => {
+      if (mode === IMPORT_MODES.REPLACE) {
+        await db.recipes.filter(recipe => !isForkId(recipe.id)).delete();
+      }
+      await db.recipes.bulkPut(valid.map(recipe => withIngredientTokens(withParsedIngredients(recipe))));
+    });
+    await this.recalculateIngredientTable();
+
+    const total = await db.recipes.count();
+    console.log(`✓ Loaded ${valid.length} recipes (${errors.length} skipped, ${total} total)`);
+    return { mode, imported: valid.length, skipped: errors.length, total, errors };
   }
 
-  async loadRecipesFromJSON(recipesArray) {
-    console.log(`Loading ${recipesArray.length} recipes...`);
-    await db.recipes.clear();
-    await db.recipes.bulkAdd(recipesArray);
+  /**
+   * Import either a plain recipes array or an export bundle from exportData.
+   * Bundle library entries are upserted; pantry items are merged by name in either mode
+   * (replace only applies to recipes, so the pantry's quantities and dates are never lost).
+   * @param {Object[]|{ recipes: Object[], library?: Object[], pantry?: Object[] }} data
+   * @param {{ mode?: 'merge'|'replace' }} [options]
+   */
+  async importData(data, options = {}) {
+    if (Array.isArray(data)) {
+      return this.loadRecipesFromJSON(data, options);
+    }
+    if (!data || !Array.isArray(data.recipes)) {
+      throw new Error('Unrecognized file: expected a recipes array or an export bundle');
+    }
+    const summary = await this.loadRecipesFromJSON(data.recipes, options);
 
-    const count = await db.recipes.count();
-    console.log(`✓ Loaded ${count} recipes!`);
-    return count;
+    const library = (data.library || []).filter(entry => entry && entry.id != null && entry.status);
+    if (library.length > 0) {
+      await db.recipeLibrary.bulkPut(library);
+    }
+    summary.library = library.length;
+
+    const pantry = (data.pantry || []).filter(item => item && typeof item.ingredient === 'string');
+    if (pantry.length > 0) {
+      const existing = new Set((await db.pantry.toArray()).map(item => canonicalIngredient(item.ingredient)));
+      const toAdd = pantry
+        .filter(item => !existing.has(canonicalIngredient(item.ingredient)))
+        .map(({ id, ...item }) => item);
+      if (toAdd.length > 0) await db.pantry.bulkAdd(toAdd);
+      await this.pantryManager.loadIngredients();
+    }
+    summary.pantry = pantry.length;
+    return summary;
+  }
+
+  /**
+   * Collect recipes, library and pantry into one JSON-serializable bundle.
+   * @returns {Promise<{ version: number, exportedAt: string, recipes: Object[], library: Object[], pantry: Object[] }>}
+   */
+  async exportData() {
+    const [recipes, library, pantry] = await Promise.all([
+      db.recipes.toArray(),
+      db.recipeLibrary.toArray(),
+      db.pantry.toArray()
+    ]);
+    return {
+      version: EXPORT_BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      recipes,
+      library,
+      pantry
+    };
   }
 
   async searchRecipesByTitle(searchTerm) {
@@ -87,6 +303,193 @@ class RecipesMiniApp {
     }
   }
 
+  /**
+   * Preference model inputs for suggestion ranking: liked, bookmarked and disliked library
+   * entries plus every forked recipe, built into an ingredient affinity profile.
+   * @returns {Promise<{ profile: Object, weight: number }>} Passed to scoreRecipe/rankRecipes
+   */
+  async getSuggestionPreferences() {
+    const weight = await this.getPreference(PREFERENCE_KEYS.PREFERENCE_BOOST_WEIGHT, PREFERENCE_BOOST_WEIGHT);
+    try {
+      const entries = await db.recipeLibrary.toArray();
+      const recipes = await db.recipes.bulkGet(entries.map(entry => entry.id));
+      const forks = await db.recipes.where('id').startsWith(FORK_ID_PREFIX).toArray();
+      const signals = [
+        ...entries.map((entry, i) => ({ recipe: recipes[i], signal: entry.status })),
+        ...forks.map(recipe => ({ recipe, signal: 'fork' }))
+      ];
+      return { profile: buildPreferenceProfile(signals), weight };
+    } catch (error) {
+      console.error('Error building preference profile:', error);
+      return { profile: null, weight };
+    }
+  }
+
+  /**
+   * Active dietary restrictions (see dietary-profile.js)
+   * @returns {Promise<{ restrictions: string[] }>}
+   */
+  async getDietaryProfile() {
+    const profile = await this.getPreference(PREFERENCE_KEYS.DIETARY_PROFILE, EMPTY_DIETARY_PROFILE);
+    return { restrictions: Array.isArray(profile && profile.restrictions) ? profile.restrictions : [] };
+  }
+
+  /**
+   * Save the dietary restrictions; unknown restriction ids are dropped
+   * @param {{ restrictions: string[] }} profile
+   */
+  async setDietaryProfile(profile) {
+    const known = new Set(DIETARY_RESTRICTIONS.map(restriction => restriction.id));
+    const restrictions = ((profile && profile.restrictions) || []).filter(id => known.has(id));
+    await this.setPreference(PREFERENCE_KEYS.DIETARY_PROFILE, { restrictions });
+    console.log(`✓ Saved dietary profile: ${restrictions.join(', ') || 'none'}`);
+  }
+
+  /**
+   * Staple ingredients treated as always on hand when scoring suggestions
+   * @returns {Promise<string[]>}
+   */
+  async getPantryStaples() {
+    const staples = await this.getPreference(PREFERENCE_KEYS.PANTRY_STAPLES, DEFAULT_PANTRY_STAPLES);
+    return Array.isArray(staples) ? staples : [];
+  }
+
+  /**
+   * Save the staples list; blanks and names that canonicalize the same ("egg", "eggs") are dropped
+   * @param {string[]} staples
+   * @returns {Promise<string[]>} The list as saved
+   */
+  async setPantryStaples(staples) {
+    const seen = new Set();
+    const cleaned = (staples || [])
+      .map(name => String(name || '').toLowerCase().trim())
+      .filter(name => {
+        const key = canonicalIngredient(name);
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    await this.setPreference(PREFERENCE_KEYS.PANTRY_STAPLES, cleaned);
+    console.log(`✓ Saved pantry staples: ${cleaned.join(', ') || 'none'}`);
+    return cleaned;
+  }
+
+  /**
+   * Named pantry selections ("weeknight basics", "baking"), in the order they were first saved
+   * @returns {Promise<{ name: string, ingredients: string[] }[]>}
+   */
+  async getSelectionPresets() {
+    const presets = await this.getPreference(PREFERENCE_KEYS.PANTRY_SELECTION_PRESETS, []);
+    return Array.isArray(presets) ? presets.filter(preset => preset && preset.name && Array.isArray(preset.ingredients)) : [];
+  }
+
+  /**
+   * Save a selection preset, replacing one with the same name (case-insensitive)
+   * @param {string} name
+   * @param {string[]} ingredients - Ingredient names to select
+   * @returns {Promise<{ name: string, ingredients: string[] }[]>} All presets after saving
+   */
+  async saveSelectionPreset(name, ingredients) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) throw new Error('Preset name is required');
+    const presets = await this.getSelectionPresets();
+    const preset = { name: trimmed, ingredients: [...ingredients] };
+    const index = presets.findIndex(existing => existing.name.toLowerCase() === trimmed.toLowerCase());
+    if (index >= 0) {
+      presets[index] = preset;
+    } else {
+      presets.push(preset);
+    }
+    await this.setPreference(PREFERENCE_KEYS.PANTRY_SELECTION_PRESETS, presets);
+    console.log(`✓ Saved selection preset: ${trimmed} (${preset.ingredients.length} ingredients)`);
+    return presets;
+  }
+
+  /**
+   * Delete a selection preset by name
+   * @param {string} name
+   * @returns {Promise<{ name: string, ingredients: string[] }[]>} Remaining presets
+   */
+  async deleteSelectionPreset(name) {
+    const presets = (await this.getSelectionPresets()).filter(preset => preset.name !== name);
+    await this.setPreference(PREFERENCE_KEYS.PANTRY_SELECTION_PRESETS, presets);
+    console.log(`✓ Deleted selection preset: ${name}`);
+    return presets;
+  }
+
+  /**
+   * Load the saved LLM provider choice into llm-providers.js
+   * @returns {Promise<{ provider: string|null, configs: Object }>}
+   */
+  async loadLLMSettings() {
+    try {
+      setLLMSettings(await this.getPreference(PREFERENCE_KEYS.LLM_SETTINGS, DEFAULT_LLM_SETTINGS));
+    } catch (error) {
+      console.error('Error loading LLM settings:', error);
+    }
+    return getLLMSettings();
+  }
+
+  /**
+   * Save the LLM provider choice and per-provider config; blank fields are dropped so
+   * window.RECIPES_MCP_CONFIG can still fill them for the host bridge
+   * @param {{ provider: string|null, configs: Object<string, Object>, timeoutSeconds?: number }} settings
+   */
+  async saveLLMSettings(settings) {
+    const configs = {};
+    Object.entries((settings && settings.configs) || {}).forEach(([providerId, config]) => {
+      configs[providerId] = Object.fromEntries(Object.entries(config || {})
+        .map(([name, value]) => [name, typeof value === 'string' ? value.trim() : value])
+        .filter(([, value]) => value !== '' && value != null));
+    });
+    setLLMSettings({ provider: settings && settings.provider, configs, timeoutSeconds: settings && settings.timeoutSeconds });
+    await this.setPreference(PREFERENCE_KEYS.LLM_SETTINGS, getLLMSettings());
+    console.log(`✓ Saved LLM provider: ${getLLMSettings().provider || 'none'}`);
+  }
+
+  /**
+   * Record that a recipe was cooked
+   * @param {Object} recipe
+   * @param {{ servings: number, changes?: { ingredient: string, action: string, used: number|null, unit: string }[] }} details
+   * @returns {Promise<number>} Cook log entry id
+   */
+  async logCook(recipe, { servings, changes = [] }) {
+    const id = await db.cookLog.add({
+      recipeId: recipe.id,
+      recipeTitle: recipe.title || 'Untitled',
+      cookedAt: Date.now(),
+      servings,
+      changes
+    });
+    console.log(`✓ Logged cook: ${recipe.title} (${servings} servings)`);
+    return id;
+  }
+
+  /**
+   * Most recent cook log entries, newest first
+   * @param {number} [limit]
+   * @returns {Promise<Object[]>}
+   */
+  async getRecentCooks(limit = 5) {
+    return db.cookLog.orderBy('cookedAt').reverse().limit(limit).toArray();
+  }
+
+  /**
+   * How often and when each recipe was last cooked
+   * @returns {Promise<Map<string, { count: number, lastCookedAt: number }>>} Keyed by recipe id
+   */
+  async getCookStats() {
+    const stats = new Map();
+    await db.cookLog.each(entry => {
+      const current = stats.get(entry.recipeId) || { count: 0, lastCookedAt: 0 };
+      stats.set(entry.recipeId, {
+        count: current.count + 1,
+        lastCookedAt: Math.max(current.lastCookedAt, entry.cookedAt)
+      });
+    });
+    return stats;
+  }
+
   async removeFromLibrary(recipeId) {
     try {
       await db.recipeLibrary.delete(recipeId);
@@ -106,13 +509,71 @@ class RecipesMiniApp {
     }
   }
 
-  async saveForkedRecipe(recipe) {
-    await db.recipes.add(recipe);
+  /**
+   * Save a new fork (recipe.parentId points at the recipe it came from) and its first version.
+   * @param {Object} recipe
+   * @param {{ substitutions?: Object[] }} [options] - Substitutions that produced the fork
+   * @returns {Promise<string>} Fork id
+   */
+  async saveForkedRecipe(recipe, { substitutions = [] } = {}) {
+    await db.transaction('rw', db.recipes, db.recipeVersions, async () => {
+      await db.recipes.add(withIngredientTokens(recipe));
+      await db.recipeVersions.add(buildRecipeVersion(recipe, { kind: VERSION_KINDS.FORK, substitutions }));
+    });
     return recipe.id;
   }
 
-  async updateRecipe(recipe) {
-    await db.recipes.put(recipe);
+  /**
+   * Overwrite a recipe, recording the revision in recipeVersions.
+   * The first edit also stores the recipe as it was, so the original is never lost.
+   * @param {Object} recipe
+   * @param {{ substitutions?: Object[], kind?: string, revertedFrom?: number }} [options]
+   */
+  async updateRecipe(recipe, { substitutions = [], kind = VERSION_KINDS.EDIT, revertedFrom = null } = {}) {
+    await db.transaction('rw', db.recipes, db.recipeVersions, async () => {
+      const versionCount = await db.recipeVersions.where('recipeId').equals(recipe.id).count();
+      if (versionCount === 0) {
+        const previous = await db.recipes.get(recipe.id);
+        if (previous) await db.recipeVersions.add(buildRecipeVersion(previous, { kind: VERSION_KINDS.ORIGINAL }));
+      }
+      await db.recipes.put(withIngredientTokens(recipe));
+      await db.recipeVersions.add(buildRecipeVersion(recipe, { kind, substitutions, revertedFrom }));
+    });
+  }
+
+  /**
+   * Saved revisions of a recipe, newest first
+   * @param {string} recipeId
+   * @returns {Promise<Object[]>}
+   */
+  async getRecipeVersions(recipeId) {
+    const versions = await db.recipeVersions.where('recipeId').equals(recipeId).toArray();
+    return versions.sort((a, b) => b.id - a.id);
+  }
+
+  /**
+   * Restore a recipe to an earlier version (recorded as a new 'revert' version)
+   * @param {string} recipeId
+   * @param {number} versionId
+   * @returns {Promise<Object>} The restored recipe
+   */
+  async revertRecipe(recipeId, versionId) {
+    const [current, version] = await Promise.all([db.recipes.get(recipeId), db.recipeVersions.get(versionId)]);
+    if (!current || !version || version.recipeId !== recipeId) {
+      throw new Error('Version not found for this recipe');
+    }
+    const restored = withParsedIngredients({
+      ...current,
+      title: version.title,
+      ingredients: [...version.ingredients],
+      normalizedIngredients: [...version.normalizedIngredients],
+      instructions: version.instructions
+    });
+    if (version.servings != null) restored.servings = version.servings;
+    await this.updateRecipe(restored, { kind: VERSION_KINDS.REVERT, revertedFrom: versionId });
+    await this.updateIngredientsTableOnEdit(current, restored);
+    console.log(`✓ Reverted ${restored.title} to version ${versionId}`);
+    return restored;
   }
 
   async autoLike(recipeId, title) {
@@ -122,17 +583,17 @@ class RecipesMiniApp {
   }
 
   /**
-   * Get unique normalized ingredient names from a recipe (same dedupe logic as recalculateIngredientTable).
+   * Get unique canonical ingredient names from a recipe (same dedupe logic as recalculateIngredientTable).
    * @param {{ ingredients?: string[], normalizedIngredients?: string[] }} recipe
    * @returns {string[]}
    */
   _uniqueNormalizedIngredients(recipe) {
     const seen = new Set();
-    const list = recipe.normalizedIngredients || (recipe.ingredients || []).map(i => (i || '').toLowerCase().trim());
+    const list = recipe.normalizedIngredients || recipe.ingredients || [];
     const out = [];
     list.forEach(name => {
-      if (!name) return;
-      const key = name.toLowerCase().trim();
+      const key = canonicalIngredient(name);
+      if (!key) return;
       if (seen.has(key)) return;
       seen.add(key);
       out.push(key);
@@ -154,13 +615,19 @@ class RecipesMiniApp {
   }
 
   /**
-   * Decrement frequency for one ingredient by name; delete record if frequency becomes 0.
+   * Decrement frequency for one ingredient by name; delete record if frequency becomes 0
+   * (vocabulary-seeded records are kept at their seeded frequency instead).
    * @param {string} normalizedName
    */
   async _decrementIngredientFrequency(normalizedName) {
     const existing = await db.ingredients.where('name').equals(normalizedName).first();
     if (!existing) return;
     const newFreq = (existing.frequency || 1) - 1;
+    // Vocabulary-seeded names never drop below their seeded frequency
+    if (existing.vocabularyFrequency) {
+      await db.ingredients.update(existing.id, { frequency: Math.max(newFreq, existing.vocabularyFrequency) });
+      return;
+    }
     if (newFreq <= 0) {
       await db.ingredients.delete(existing.id);
     } else {
@@ -197,34 +664,134 @@ class RecipesMiniApp {
 
   /**
    * Rebuild the ingredients table from all recipes (name + frequency).
+   * Vocabulary-seeded names are kept and their recipe counts are added on top of the seeded frequency.
    * Call after saving/updating/forking a recipe so ingredient search stays in sync.
    */
   async recalculateIngredientTable() {
     try {
+      // Seeding clears and refills the same table; rebuilding alongside it would drop the seeded rows
+      if (this.vocabularySeeding) await this.vocabularySeeding;
       const recipes = await db.recipes.toArray();
       const freq = new Map();
       recipes.forEach(recipe => {
-        const seen = new Set();
-        const list = recipe.normalizedIngredients || (recipe.ingredients || []).map(i => (i || '').toLowerCase().trim());
-        list.forEach(name => {
-          if (!name) return;
-          const key = name.toLowerCase().trim();
-          if (seen.has(key)) return;
-          seen.add(key);
+        this._uniqueNormalizedIngredients(recipe).forEach(key => {
           freq.set(key, (freq.get(key) || 0) + 1);
         });
       });
-      await db.ingredients.clear();
-      const entries = Array.from(freq.entries())
-        .map(([name, frequency]) => ({ name, frequency }))
+      const vocabulary = await db.ingredients.filter(row => !!row.vocabularyFrequency).toArray();
+      const entries = new Map();
+      vocabulary.forEach(row => {
+        entries.set(row.name, { name: row.name, frequency: row.vocabularyFrequency, vocabularyFrequency: row.vocabularyFrequency });
+      });
+      freq.forEach((count, name) => {
+        const entry = entries.get(name);
+        if (entry) {
+          entry.frequency += count;
+        } else {
+          entries.set(name, { name, frequency: count });
+        }
+      });
+      const sorted = Array.from(entries.values())
         .sort((a, b) => b.frequency - a.frequency || a.name.localeCompare(b.name));
-      if (entries.length > 0) {
-        await db.ingredients.bulkAdd(entries);
-      }
+      await db.transaction('rw', db.ingredients, async () => {
+        await db.ingredients.clear();
+        if (sorted.length > 0) {
+          await db.ingredients.bulkAdd(sorted);
+        }
+      });
     } catch (err) {
       console.error('Error recalculating ingredient table:', err);
     }
   }
+
+  /**
+   * Read a value from the preferences table.
+   * @param {string} key - Preference name
+   * @param {*} [defaultValue] - Returned when the preference is not set
+   */
+  async getPreference(key, defaultValue = null) {
+    try {
+      const row = await db.preferences.where('preference').equals(key).first();
+      return row ? row.value : defaultValue;
+    } catch (error) {
+      console.error(`Error reading preference ${key}:`, error);
+      return defaultValue;
+    }
+  }
+
+  /**
+   * Write a value to the preferences table (one row per preference name).
+   * @param {string} key - Preference name
+   * @param {*} value - Any structured-cloneable value
+   */
+  async setPreference(key, value) {
+    const existing = await db.preferences.where('preference').equals(key).first();
+    if (existing) {
+      await db.preferences.update(existing.id, { value });
+    } else {
+      await db.preferences.add({ preference: key, value });
+    }
+  }
+
+  /**
+   * First-run seeding of the ingredients table from ingredient_vocabulary.json.zip.
+   * Names already present from recipes keep their recipe counts on top of the vocabulary frequency.
+   * @returns {Promise<number>} Number of vocabulary entries loaded (0 if already seeded or unavailable)
+   */
+  async seedIngredientVocabulary() {
+    if (await this.getPreference(PREFERENCE_KEYS.VOCABULARY_SEEDED, false)) return 0;
+    if (typeof loadIngredientVocabulary !== 'function') return 0;
+    try {
+      const vocabulary = await loadIngredientVocabulary();
+      // Spellings that share a canonical name ("tomato", "tomatoes") become one row
+      const canonical = new Map();
+      vocabulary.forEach(({ name, frequency }) => {
+        const key = canonicalIngredient(name);
+        if (key) canonical.set(key, (canonical.get(key) || 0) + frequency);
+      });
+      await db.transaction('rw', db.ingredients, async () => {
+        const existing = await db.ingredients.toArray();
+        const entries = new Map(existing.map(({ id, ...row }) => [row.name, row]));
+        canonical.forEach((frequency, name) => {
+          const entry = entries.get(name);
+          if (entry && entry.vocabularyFrequency) return;
+          if (entry) {
+            entry.frequency = (entry.frequency || 0) + frequency;
+            entry.vocabularyFrequency = frequency;
+          } else {
+            entries.set(name, { name, frequency, vocabularyFrequency: frequency });
+          }
+        });
+        await db.ingredients.clear();
+        await db.ingredients.bulkAdd(Array.from(entries.values()));
+      });
+      await this.setPreference(PREFERENCE_KEYS.VOCABULARY_SEEDED, true);
+      console.log(`✓ Seeded ${vocabulary.length} ingredients from vocabulary`);
+      return vocabulary.length;
+    } catch (error) {
+      // Seeding is retried on next launch; recipe-derived ingredients still work meanwhile
+      console.error('Error seeding ingredient vocabulary:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Store the bundled offline substitution rules, reseeding when the rule set version changes.
+   * @returns {Promise<number>} Number of rules stored (0 if already current)
+   */
+  async loadStaticSubstitutions() {
+    const storedVersion = await this.getPreference(PREFERENCE_KEYS.STATIC_SUBSTITUTIONS_VERSION, 0);
+    if (storedVersion === STATIC_SUBSTITUTIONS_VERSION) return 0;
+    try {
+      const count = await seedStaticSubstitutions(db);
+      await this.setPreference(PREFERENCE_KEYS.STATIC_SUBSTITUTIONS_VERSION, STATIC_SUBSTITUTIONS_VERSION);
+      console.log(`✓ Stored ${count} built-in substitution rules`);
+      return count;
+    } catch (error) {
+      console.error('Error storing built-in substitutions:', error);
+      return 0;
+    }
+  }
 }
 
 const app = new RecipesMiniApp();
@@ -253,25 +820,89 @@ const setupNavigation = () => {
       if (targetTab === 'library-tab') {
         loadLibrary();
       }
+      // Load shopping list when switching to its tab
+      if (targetTab === 'shopping-tab') {
+        app.shoppingList.loadItems();
+      }
     });
   });
 };
 
+const LIBRARY_EMPTY_HTML = `
+  <div class="card mb-3">
+    <div class="card-body p-4 text-center">
+      <p class="mb-0">Your library is empty. Like, dislike, or bookmark recipes to see them here.</p>
+    </div>
+  </div>
+`;
+
+// Switch to the suggestions tab and show a recipe's detail view
+const openRecipeDetail = async (recipeId) => {
+  try {
+    const fullRecipe = await db.recipes.get(recipeId);
+    if (fullRecipe && window.recipeEngine) {
+      // Switch to suggestions tab to show detail there
+      document.querySelectorAll('.tab-content').forEach(tab => tab.classList.remove('active'));
+      document.getElementById('suggestions-tab')?.classList.add('active');
+      document.querySelectorAll('.nav-btn').forEach(btn => {
+        btn.classList.remove('active');
+        btn.classList.add('inactive');
+      });
+      const sugBtn = document.querySelector('.nav-btn[data-tab="suggestions-tab"]');
+      if (sugBtn) {
+        sugBtn.classList.remove('inactive');
+        sugBtn.classList.add('active');
+      }
+      window.recipeEngine.showRecipeDetail(fullRecipe);
+    }
+  } catch (err) {
+    console.error('Error loading recipe detail:', err);
+  }
+};
+
+const formatCookDate = (timestamp) => new Date(timestamp).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+// "Recently cooked" card from the cook log
+const renderRecentCooks = (container, cooks) => {
+  const card = document.createElement('div');
+  card.className = 'cook-log-card card mb-3';
+  card.innerHTML = `
+    <div class="card-body p-4">
+      <h2 class="recipe-title mb-2">Recently cooked</h2>
+      <ul class="cook-log-list mb-0"></ul>
+    </div>
+  `;
+  const list = card.querySelector('.cook-log-list');
+  cooks.forEach(cook => {
+    const li = document.createElement('li');
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'cook-log-item btn btn-link p-0';
+    btn.textContent = cook.recipeTitle;
+    btn.addEventListener('click', () => openRecipeDetail(cook.recipeId));
+    const meta = document.createElement('small');
+    meta.textContent = ` ${formatCookDate(cook.cookedAt)} · ${cook.servings} serving${cook.servings === 1 ? '' : 's'}`;
+    li.appendChild(btn);
+    li.appendChild(meta);
+    list.appendChild(li);
+  });
+  container.appendChild(card);
+};
+
 const loadLibrary = async () => {
   const container = document.getElementById('library-entries');
   if (!container) return;
   container.innerHTML = '<p class="text-center py-3">Loading library...</p>';
   try {
-    const entries = await app.getLibraryEntries();
+    const [entries, recentCooks, cookStats] = await Promise.all([
+      app.getLibraryEntries(),
+      app.getRecentCooks(),
+      app.getCookStats()
+    ]);
     container.innerHTML = '';
+    if (recentCooks.length > 0) renderRecentCooks(container, recentCooks);
     if (entries.length === 0) {
-      container.innerHTML = `
-        <div class="card mb-3">
-          <div class="card-body p-4 text-center">
-            <p class="mb-0">Your library is empty. Like, dislike, or bookmark recipes to see them here.</p>
-          </div>
-        </div>
-      `;
+      container.insertAdjacentHTML('beforeend', LIBRARY_EMPTY_HTML);
       return;
     }
     for (const entry of entries) {
@@ -300,12 +931,14 @@ const loadLibrary = async () => {
       safeTitle.textContent = entry.title || 'Untitled';
       const safeIngredients = document.createElement('span');
       safeIngredients.textContent = ingredientsPreview || 'No ingredients listed';
+      const cooked = cookStats.get(entry.id);
       card.innerHTML = `
         <div class="card-body p-4">
           <div class="d-flex justify-content-between align-items-start">
             <div class="flex-grow-1" style="min-width:0;">
               <h2 class="recipe-title mb-2">${safeTitle.innerHTML}</h2>
               <p class="recipe-ingredients mb-0">${safeIngredients.innerHTML}</p>
+              ${cooked ? `<p class="library-cooked mb-0">Cooked ${cooked.count === 1 ? 'once' : `${cooked.count} times`} · last ${formatCookDate(cooked.lastCookedAt)}</p>` : ''}
             </div>
             <button class="library-remove-btn ms-2 flex-shrink-0" aria-label="Remove from library">
               ${statusIcon}
@@ -331,13 +964,7 @@ const loadLibrary = async () => {
             // Show empty message if no entries left
             const remaining = container.querySelectorAll('.library-card');
             if (remaining.length === 0) {
-              container.innerHTML = `
-                <div class="card mb-3">
-                  <div class="card-body p-4 text-center">
-                    <p class="mb-0">Your library is empty. Like, dislike, or bookmark recipes to see them here.</p>
-                  </div>
-                </div>
-              `;
+              container.insertAdjacentHTML('beforeend', LIBRARY_EMPTY_HTML);
             }
           }, 300);
         } catch (err) {
@@ -345,28 +972,7 @@ const loadLibrary = async () => {
         }
       });
       // Click expand to navigate to recipe detail
-      card.querySelector('.expand-btn').addEventListener('click', async () => {
-        try {
-          const fullRecipe = await db.recipes.get(entry.id);
-          if (fullRecipe && window.recipeEngine) {
-            // Switch to suggestions tab to show detail there
-            document.querySelectorAll('.tab-content').forEach(tab => tab.classList.remove('active'));
-            document.getElementById('suggestions-tab')?.classList.add('active');
-            document.querySelectorAll('.nav-btn').forEach(btn => {
-              btn.classList.remove('active');
-              btn.classList.add('inactive');
-            });
-            const sugBtn = document.querySelector('.nav-btn[data-tab="suggestions-tab"]');
-            if (sugBtn) {
-              sugBtn.classList.remove('inactive');
-              sugBtn.classList.add('active');
-            }
-            window.recipeEngine.showRecipeDetail(fullRecipe);
-          }
-        } catch (err) {
-          console.error('Error loading recipe detail:', err);
-        }
-      });
+      card.querySelector('.expand-btn').addEventListener('click', () => openRecipeDetail(entry.id));
       container.appendChild(card);
     }
   } catch (error) {
@@ -381,16 +987,362 @@ const loadLibrary = async () => {
   }
 };
 
+const setupShoppingList = () => {
+  const btn = document.getElementById('clear-checked-btn');
+  if (!btn) return;
+  btn.addEventListener('click', () => app.shoppingList.clearChecked());
+};
+
+const renderImportSummary = (container, summary) => {
+  container.innerHTML = '';
+  const heading = document.createElement('p');
+  heading.className = 'import-summary-heading mb-1';
+  heading.textContent = `Imported ${summary.imported} recipes (${summary.mode}). ${summary.total} recipes in database.`;
+  container.appendChild(heading);
+  if (summary.skipped === 0) return;
+  const note = document.createElement('p');
+  note.className = 'import-summary-errors-label text-danger mb-1';
+  note.textContent = `Skipped ${summary.skipped} invalid record${summary.skipped === 1 ? '' : 's'}:`;
+  container.appendChild(note);
+  const list = document.createElement('ul');
+  list.className = 'import-summary-errors mb-0';
+  summary.errors.slice(0, MAX_IMPORT_ERRORS_SHOWN).forEach(({ index, id, errors }) => {
+    const li = document.createElement('li');
+    li.textContent = `#${index + 1}${id != null ? ` (${id})` : ''}: ${errors.join('; ')}`;
+    list.appendChild(li);
+  });
+  if (summary.errors.length > MAX_IMPORT_ERRORS_SHOWN) {
+    const li = document.createElement('li');
+    li.textContent = `...and ${summary.errors.length - MAX_IMPORT_ERRORS_SHOWN} more`;
+    list.appendChild(li);
+  }
+  container.appendChild(list);
+};
+
+const downloadJSON = (data, filename) => {
+  const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const setupDataTransfer = () => {
+  const importBtn = document.getElementById('import-btn');
+  const exportBtn = document.getElementById('export-btn');
+  const panel = document.getElementById('import-panel');
+  const fileInput = document.getElementById('import-file-input');
+  const chooseBtn = document.getElementById('import-choose-btn');
+  const modeSelect = document.getElementById('import-mode');
+  const summaryEl = document.getElementById('import-summary');
+  if (!importBtn || !exportBtn || !panel || !fileInput) return;
+
+  importBtn.addEventListener('click', () => {
+    panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+  });
+  chooseBtn?.addEventListener('click', () => fileInput.click());
+
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+    summaryEl.textContent = 'Importing...';
+    try {
+      const data = JSON.parse(await file.text());
+      const summary = await app.importData(data, { mode: modeSelect?.value });
+      renderImportSummary(summaryEl, summary);
+      loadLibrary();
+    } catch (error) {
+      console.error('Error importing recipes:', error);
+      summaryEl.innerHTML = '';
+      const message = document.createElement('p');
+      message.className = 'text-danger mb-0';
+      message.textContent = `Import failed: ${error.message || 'Could not read file'}`;
+      summaryEl.appendChild(message);
+    }
+  });
+
+  exportBtn.addEventListener('click', async () => {
+    try {
+      const bundle = await app.exportData();
+      const date = bundle.exportedAt.slice(0, 10);
+      downloadJSON(bundle, `recipes-miniapp-export-${date}.json`);
+      console.log(`✓ Exported ${bundle.recipes.length} recipes`);
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      alert('Could not export data. Please try again.');
+    }
+  });
+};
+
+const setupDietaryProfile = async () => {
+  const dietBtn = document.getElementById('diet-btn');
+  const panel = document.getElementById('diet-panel');
+  const optionsEl = document.getElementById('diet-options');
+  if (!dietBtn || !panel || !optionsEl) return;
+
+  dietBtn.addEventListener('click', () => {
+    panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+  });
+
+  const profile = await app.getDietaryProfile();
+  const active = new Set(profile.restrictions);
+  dietBtn.classList.toggle('active', active.size > 0);
+  optionsEl.innerHTML = '';
+  DIETARY_RESTRICTIONS.forEach(({ id, label }) => {
+    const option = document.createElement('label');
+    option.className = 'diet-option';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'form-check-input';
+    checkbox.value = id;
+    checkbox.checked = active.has(id);
+    option.appendChild(checkbox);
+    option.appendChild(document.createTextNode(` ${label}`));
+    optionsEl.appendChild(option);
+  });
+
+  optionsEl.addEventListener('change', async () => {
+    const restrictions = Array.from(optionsEl.querySelectorAll('input:checked')).map(input => input.value);
+    try {
+      await app.setDietaryProfile({ restrictions });
+      dietBtn.classList.toggle('active', restrictions.length > 0);
+    } catch (error) {
+      console.error('Error saving dietary profile:', error);
+      alert('Could not save dietary preferences. Please try again.');
+    }
+  });
+};
+
+const setupPantryStaples = async () => {
+  const staplesBtn = document.getElementById('staples-btn');
+  const panel = document.getElementById('staples-panel');
+  const listEl = document.getElementById('staples-list');
+  const form = document.getElementById('staples-form');
+  const input = document.getElementById('staples-input');
+  if (!staplesBtn || !panel || !listEl || !form || !input) return;
+
+  staplesBtn.addEventListener('click', () => {
+    panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+  });
+
+  let staples = await app.getPantryStaples();
+  const render = () => {
+    listEl.innerHTML = '';
+    if (staples.length === 0) {
+      listEl.innerHTML = '<p class="staples-empty mb-0">No staples yet.</p>';
+      return;
+    }
+    staples.forEach(name => {
+      const chip = document.createElement('span');
+      chip.className = 'staple-chip';
+      chip.textContent = name;
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'staple-remove-btn';
+      removeBtn.setAttribute('aria-label', `Remove ${name}`);
+      removeBtn.innerHTML = '<i class="bi bi-x"></i>';
+      removeBtn.addEventListener('click', () => save(staples.filter(staple => staple !== name)));
+      chip.appendChild(removeBtn);
+      listEl.appendChild(chip);
+    });
+  };
+  const save = async (next) => {
+    try {
+      staples = await app.setPantryStaples(next);
+      render();
+    } catch (error) {
+      console.error('Error saving pantry staples:', error);
+      alert('Could not save staples. Please try again.');
+    }
+  };
+  render();
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const name = input.value.trim();
+    if (!name) return;
+    input.value = '';
+    await save([...staples, name]);
+  });
+};
+
+const setupSettings = async () => {
+  const providerSelect = document.getElementById('llm-provider');
+  const fieldsEl = document.getElementById('llm-provider-fields');
+  const saveBtn = document.getElementById('llm-settings-save');
+  const statusEl = document.getElementById('llm-settings-status');
+  const timeoutInput = document.getElementById('llm-timeout');
+  if (!providerSelect || !fieldsEl || !saveBtn) return;
+
+  const settings = await app.loadLLMSettings();
+  // Edits for every provider are kept while the screen is open, so switching back loses nothing
+  const configs = {};
+  Object.keys(LLM_PROVIDERS).forEach(id => {
+    configs[id] = { ...(settings.configs[id] || {}) };
+  });
+
+  providerSelect.innerHTML = '<option value="">None (built-in substitutions only)</option>';
+  Object.values(LLM_PROVIDERS).forEach(({ id, label }) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = label;
+    providerSelect.appendChild(option);
+  });
+  const active = getActiveLLMProvider();
+  providerSelect.value = active ? active.id : '';
+  if (timeoutInput) timeoutInput.value = settings.timeoutSeconds;
+
+  const renderFields = () => {
+    fieldsEl.innerHTML = '';
+    const provider = LLM_PROVIDERS[providerSelect.value];
+    if (!provider) return;
+    const defaults = getLLMProviderConfig(provider.id);
+    provider.fields.forEach(field => {
+      const label = document.createElement('label');
+      label.className = 'settings-field-label mt-2';
+      label.textContent = field.label;
+      const input = document.createElement(field.type === 'select' ? 'select' : 'input');
+      input.className = field.type === 'select' ? 'form-select mt-1' : 'form-control mt-1';
+      if (field.type === 'select') {
+        field.options.forEach(({ value, label: text }) => {
+          const option = document.createElement('option');
+          option.value = value;
+          option.textContent = text;
+          input.appendChild(option);
+        });
+      } else {
+        input.type = field.type;
+        input.placeholder = field.placeholder || '';
+        input.autocomplete = 'off';
+      }
+      input.value = configs[provider.id][field.name] != null ? configs[provider.id][field.name] : (defaults[field.name] || '');
+      input.addEventListener('input', () => {
+        configs[provider.id][field.name] = input.value;
+      });
+      input.addEventListener('change', () => {
+        configs[provider.id][field.name] = input.value;
+      });
+      label.appendChild(input);
+      fieldsEl.appendChild(label);
+    });
+  };
+  renderFields();
+  providerSelect.addEventListener('change', () => {
+    statusEl.textContent = '';
+    renderFields();
+  });
+
+  saveBtn.addEventListener('click', async () => {
+    try {
+      await app.saveLLMSettings({
+        provider: providerSelect.value || null,
+        configs,
+        timeoutSeconds: timeoutInput ? Number(timeoutInput.value) : undefined
+      });
+      if (timeoutInput) timeoutInput.value = getLLMSettings().timeoutSeconds;
+      statusEl.textContent = isLLMConfigured()
+        ? `Saved. Using ${getActiveLLMProvider().label}.`
+        : 'Saved. LLM suggestions are off until a provider is fully configured.';
+    } catch (error) {
+      console.error('Error saving LLM settings:', error);
+      alert('Could not save settings. Please try again.');
+    }
+  });
+};
+
 const setupSelectAll = () => {
   const btn = document.getElementById('select-all-btn');
   if (!btn) return;
   btn.addEventListener('click', () => {
     const ingredients = document.querySelectorAll('#selected-ingredients .ingredient');
-    const allSelected = Array.from(ingredients).every(ing => ing.classList.contains('selected'));
-    ingredients.forEach(ing => {
-      allSelected ? ing.classList.remove('selected') : ing.classList.add('selected');
+    const allSelected = ingredients.length > 0 && Array.from(ingredients).every(ing => ing.classList.contains('selected'));
+    app.pantryManager.setAllSelected(!allSelected);
+  });
+};
+
+const setupSelectionPresets = async () => {
+  const bar = document.getElementById('selection-presets');
+  const formPanel = document.getElementById('preset-form-panel');
+  const form = document.getElementById('preset-form');
+  const input = document.getElementById('preset-name-input');
+  const cancelBtn = document.getElementById('preset-cancel-btn');
+  if (!bar || !formPanel || !form || !input) return;
+
+  let presets = await app.getSelectionPresets();
+  const render = () => {
+    bar.innerHTML = '';
+    presets.forEach(preset => {
+      const chip = document.createElement('span');
+      chip.className = 'preset-chip';
+      const applyBtn = document.createElement('button');
+      applyBtn.type = 'button';
+      applyBtn.className = 'preset-apply-btn';
+      applyBtn.textContent = preset.name;
+      applyBtn.title = preset.ingredients.join(', ');
+      applyBtn.addEventListener('click', async () => {
+        const count = await app.pantryManager.applySelection(preset.ingredients);
+        console.log(`✓ Applied selection preset: ${preset.name} (${count} selected)`);
+      });
+      const deleteBtn = document.createElement('button');
+      deleteBtn.type = 'button';
+      deleteBtn.className = 'preset-delete-btn';
+      deleteBtn.setAttribute('aria-label', `Delete preset ${preset.name}`);
+      deleteBtn.innerHTML = '<i class="bi bi-x"></i>';
+      deleteBtn.addEventListener('click', async () => {
+        try {
+          presets = await app.deleteSelectionPreset(preset.name);
+          render();
+        } catch (error) {
+          console.error('Error deleting selection preset:', error);
+          alert('Could not delete the preset. Please try again.');
+        }
+      });
+      chip.appendChild(applyBtn);
+      chip.appendChild(deleteBtn);
+      bar.appendChild(chip);
+    });
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'button';
+    saveBtn.className = 'preset-save-btn';
+    saveBtn.innerHTML = '<i class="bi bi-bookmark-plus"></i> Save selection';
+    saveBtn.addEventListener('click', () => {
+      formPanel.style.display = formPanel.style.display === 'none' ? 'block' : 'none';
+      if (formPanel.style.display === 'block') input.focus();
+    });
+    bar.appendChild(saveBtn);
+  };
+  render();
+
+  if (cancelBtn) {
+    cancelBtn.addEventListener('click', () => {
+      input.value = '';
+      formPanel.style.display = 'none';
     });
-    btn.textContent = allSelected ? 'Select All' : 'Deselect All';
+  }
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const name = input.value.trim();
+    if (!name) return;
+    try {
+      const ingredients = await app.pantryManager.getSelectedNames();
+      if (ingredients.length === 0) {
+        alert('Select some pantry items first.');
+        return;
+      }
+      presets = await app.saveSelectionPreset(name, ingredients);
+      input.value = '';
+      formPanel.style.display = 'none';
+      render();
+    } catch (error) {
+      console.error('Error saving selection preset:', error);
+      alert('Could not save the preset. Please try again.');
+    }
   });
 };
 
@@ -442,6 +1394,12 @@ const initApp = () => {
   }
   setupNavigation();
   setupSelectAll();
+  setupSelectionPresets();
+  setupDataTransfer();
+  setupDietaryProfile();
+  setupPantryStaples();
+  setupSettings();
+  setupShoppingList();
   setupIngredientDropdown();
   setupAddButtons();
   setupRemoveButtons();
@@ -449,6 +1407,16 @@ const initApp = () => {
     app.pantryManager.loadIngredients();
     setupRemoveButtons();
   }, 100);
+  app.vocabularySeeding = app.seedIngredientVocabulary();
+  app.loadStaticSubstitutions();
+};
+
+// Register the service worker for offline app shell caching
+const registerServiceWorker = () => {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register('sw.js')
+    .then(reg => console.log(`✓ Service worker registered (scope: ${reg.scope})`))
+    .catch(error => console.error('Service worker registration failed:', error));
 };
 
 // Simple onReady function for DOM initialization
@@ -461,3 +1429,8 @@ const onReady = (callback) => {
 };
 
 onReady(initApp);
+if (document.readyState === 'complete') {
+  registerServiceWorker();
+} else {
+  window.addEventListener('load', registerServiceWorker);
+}
@@ -0,0 +1,175 @@
+/**
+ * Dietary Profile
+ * Ingredient-to-category taxonomy (meat, shellfish, dairy, gluten, tree nuts, ...) keyed on
+ * normalized ingredient names, and the restrictions a user can switch on. Used to drop recipes
+ * from suggestions/search and to flag substitutions that break the active profile.
+ * No DOM access: profiles are plain objects so they can be posted to recipe-worker.js.
+ */
+
+const DIETARY_CATEGORIES = {
+  MEAT: 'meat',
+  PORK: 'pork',
+  FISH: 'fish',
+  SHELLFISH: 'shellfish',
+  DAIRY: 'dairy',
+  EGG: 'egg',
+  GLUTEN: 'gluten',
+  TREE_NUTS: 'tree nuts',
+  PEANUTS: 'peanuts',
+  SOY: 'soy',
+  SESAME: 'sesame',
+  HONEY: 'honey',
+  ALCOHOL: 'alcohol'
+};
+
+/*
+ * Category -> ingredient phrases. A normalized name belongs to a category when any of its
+ * word sub-phrases ("boneless chicken breast" -> "chicken") is listed, unless the whole name
+ * contains one of the category's exceptions ("peanut butter" is not dairy).
+ */
+const DIETARY_TAXONOMY = {
+  [DIETARY_CATEGORIES.MEAT]: {
+    phrases: ['beef', 'steak', 'ground beef', 'veal', 'lamb', 'mutton', 'goat', 'venison', 'bison', 'brisket',
+      'sirloin', 'ribeye', 'oxtail', 'pork', 'bacon', 'ham', 'prosciutto', 'pancetta', 'sausage', 'chorizo',
+      'salami', 'pepperoni', 'lard', 'chicken', 'turkey', 'duck', 'meatballs', 'meat', 'hot dogs', 'gelatin',
+      'beef broth', 'beef stock', 'chicken broth', 'chicken stock', 'bone broth'],
+    except: ['meatless', 'plant-based', 'vegan']
+  },
+  [DIETARY_CATEGORIES.PORK]: {
+    phrases: ['pork', 'bacon', 'ham', 'prosciutto', 'pancetta', 'chorizo', 'salami', 'pepperoni', 'lard',
+      'pork belly', 'pork chops', 'spare ribs', 'guanciale'],
+    except: ['turkey bacon', 'vegan bacon', 'turkey ham']
+  },
+  [DIETARY_CATEGORIES.FISH]: {
+    phrases: ['fish', 'salmon', 'tuna', 'cod', 'tilapia', 'halibut', 'trout', 'sardines', 'anchovies',
+      'anchovy', 'mackerel', 'haddock', 'snapper', 'sea bass', 'catfish', 'fish sauce', 'worcestershire sauce'],
+    except: []
+  },
+  [DIETARY_CATEGORIES.SHELLFISH]: {
+    phrases: ['shrimp', 'prawns', 'crab', 'lobster', 'scallops', 'clams', 'mussels', 'oysters', 'crawfish',
+      'squid', 'calamari', 'octopus', 'oyster sauce'],
+    except: ['oyster mushrooms']
+  },
+  [DIETARY_CATEGORIES.DAIRY]: {
+    phrases: ['milk', 'butter', 'cream', 'cheese', 'yogurt', 'yoghurt', 'buttermilk', 'sour cream', 'ghee',
+      'parmesan', 'mozzarella', 'cheddar', 'ricotta', 'feta', 'mascarpone', 'cream cheese', 'half-and-half',
+      'whey', 'custard', 'ice cream'],
+    except: ['peanut butter', 'almond butter', 'cashew butter', 'nut butter', 'cocoa butter', 'apple butter',
+      'coconut milk', 'coconut cream', 'almond milk', 'oat milk', 'soy milk', 'rice milk', 'cashew milk',
+      'cream of tartar', 'vegan', 'dairy-free', 'butternut', 'butter beans']
+  },
+  [DIETARY_CATEGORIES.EGG]: {
+    phrases: ['egg', 'eggs', 'egg yolk', 'egg yolks', 'egg whites', 'mayonnaise', 'meringue'],
+    except: ['eggplant', 'egg-free', 'vegan']
+  },
+  [DIETARY_CATEGORIES.GLUTEN]: {
+    phrases: ['flour', 'wheat', 'bread', 'breadcrumbs', 'bread crumbs', 'panko', 'pasta', 'spaghetti', 'noodles',
+      'macaroni', 'couscous', 'barley', 'rye', 'semolina', 'bulgur', 'farro', 'spelt', 'tortillas', 'pita',
+      'crackers', 'soy sauce', 'beer', 'seitan'],
+    except: ['gluten-free', 'rice flour', 'almond flour', 'coconut flour', 'corn tortillas', 'rice noodles',
+      'buckwheat', 'chickpea flour', 'tamari', 'corn flour', 'oat flour']
+  },
+  [DIETARY_CATEGORIES.TREE_NUTS]: {
+    phrases: ['almonds', 'almond', 'walnuts', 'walnut', 'pecans', 'pecan', 'cashews', 'cashew', 'pistachios',
+      'hazelnuts', 'hazelnut', 'macadamia', 'pine nuts', 'brazil nuts', 'almond flour', 'almond milk',
+      'almond butter', 'nuts', 'praline', 'marzipan', 'nutella'],
+    except: ['nutmeg', 'coconut', 'water chestnuts', 'butternut']
+  },
+  [DIETARY_CATEGORIES.PEANUTS]: {
+    phrases: ['peanut', 'peanuts', 'peanut butter', 'peanut oil'],
+    except: []
+  },
+  [DIETARY_CATEGORIES.SOY]: {
+    phrases: ['soy', 'soy sauce', 'tofu', 'tempeh', 'edamame', 'miso', 'soybeans', 'soy milk', 'tamari'],
+    except: []
+  },
+  [DIETARY_CATEGORIES.SESAME]: {
+    phrases: ['sesame', 'sesame seeds', 'sesame oil', 'tahini'],
+    except: []
+  },
+  [DIETARY_CATEGORIES.HONEY]: {
+    phrases: ['honey'],
+    except: ['honeydew']
+  },
+  [DIETARY_CATEGORIES.ALCOHOL]: {
+    phrases: ['wine', 'white wine', 'red wine', 'beer', 'rum', 'vodka', 'brandy', 'bourbon', 'whiskey', 'sake',
+      'mirin', 'sherry', 'liqueur', 'tequila', 'gin'],
+    except: ['wine vinegar', 'red wine vinegar', 'white wine vinegar', 'rice wine vinegar']
+  }
+};
+
+// Restrictions shown in the UI, each excluding one or more categories
+const DIETARY_RESTRICTIONS = [
+  { id: 'vegetarian', label: 'Vegetarian', excludes: [DIETARY_CATEGORIES.MEAT, DIETARY_CATEGORIES.FISH, DIETARY_CATEGORIES.SHELLFISH] },
+  { id: 'vegan', label: 'Vegan', excludes: [DIETARY_CATEGORIES.MEAT, DIETARY_CATEGORIES.FISH, DIETARY_CATEGORIES.SHELLFISH, DIETARY_CATEGORIES.DAIRY, DIETARY_CATEGORIES.EGG, DIETARY_CATEGORIES.HONEY] },
+  { id: 'pescatarian', label: 'Pescatarian', excludes: [DIETARY_CATEGORIES.MEAT] },
+  { id: 'no-pork', label: 'No pork', excludes: [DIETARY_CATEGORIES.PORK] },
+  { id: 'dairy-free', label: 'Dairy-free', excludes: [DIETARY_CATEGORIES.DAIRY] },
+  { id: 'egg-free', label: 'Egg-free', excludes: [DIETARY_CATEGORIES.EGG] },
+  { id: 'gluten-free', label: 'Gluten-free', excludes: [DIETARY_CATEGORIES.GLUTEN] },
+  { id: 'nut-free', label: 'Nut-free', excludes: [DIETARY_CATEGORIES.TREE_NUTS, DIETARY_CATEGORIES.PEANUTS] },
+  { id: 'shellfish-free', label: 'Shellfish-free', excludes: [DIETARY_CATEGORIES.SHELLFISH] },
+  { id: 'soy-free', label: 'Soy-free', excludes: [DIETARY_CATEGORIES.SOY] },
+  { id: 'sesame-free', label: 'Sesame-free', excludes: [DIETARY_CATEGORIES.SESAME] },
+  { id: 'alcohol-free', label: 'No alcohol', excludes: [DIETARY_CATEGORIES.ALCOHOL] }
+];
+
+const EMPTY_DIETARY_PROFILE = { restrictions: [] };
+
+/**
+ * Categories an ingredient belongs to
+ * @param {string} name - Ingredient name (normalized or free text)
+ * @returns {string[]}
+ */
+function getIngredientCategories(name) {
+  const lower = (name || '').toLowerCase().trim();
+  if (!lower) return [];
+  const phrases = new Set(ingredientSubPhrases(lower));
+  return Object.entries(DIETARY_TAXONOMY)
+    .filter(([, { phrases: listed, except }]) =>
+      listed.some(phrase => phrases.has(phrase)) && !except.some(exception => lower.includes(exception)))
+    .map(([category]) => category);
+}
+
+/**
+ * Categories excluded by a profile's restrictions
+ * @param {{ restrictions: string[] }|null} profile
+ * @returns {Set<string>}
+ */
+function getExcludedCategories(profile) {
+  const active = new Set((profile && profile.restrictions) || []);
+  const excluded = new Set();
+  DIETARY_RESTRICTIONS
+    .filter(restriction => active.has(restriction.id))
+    .forEach(restriction => restriction.excludes.forEach(category => excluded.add(category)));
+  return excluded;
+}
+
+/**
+ * Ingredients that break the profile
+ * @param {string[]} ingredientNames
+ * @param {{ restrictions: string[] }|null} profile
+ * @returns {{ ingredient: string, categories: string[] }[]}
+ */
+function findDietaryViolations(ingredientNames, profile) {
+  const excluded = getExcludedCategories(profile);
+  if (excluded.size === 0) return [];
+  return ingredientNames
+    .map(ingredient => ({
+      ingredient,
+      categories: getIngredientCategories(ingredient).filter(category => excluded.has(category))
+    }))
+    .filter(violation => violation.categories.length > 0);
+}
+
+/**
+ * Whether a recipe is allowed under the profile
+ * @param {Object} recipe
+ * @param {{ restrictions: string[] }|null} profile
+ * @returns {boolean}
+ */
+function recipeFitsDietaryProfile(recipe, profile) {
+  if (!profile || !profile.restrictions || profile.restrictions.length === 0) return true;
+  const names = recipe.normalizedIngredients || recipe.ingredients || [];
+  return findDietaryViolations(names, profile).length === 0;
+}
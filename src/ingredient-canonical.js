@@ -0,0 +1,159 @@
+/**
+ * Ingredient Canonicalizer
+ * One name per ingredient for matching: lowercase, singular, without descriptors
+ * ("large fresh tomatoes, chopped" -> "tomato") and with synonyms folded together
+ * ("green onions" -> "scallion"). Used by recipe matching, the ingredient index,
+ * the pantry, ingredient search and the ingredients frequency table.
+ * No DOM access, so it can be loaded with importScripts().
+ */
+
+// Preparation, size and grade words that don't change what the ingredient is
+const CANONICAL_DESCRIPTORS = new Set([
+  'fresh', 'freshly', 'chopped', 'diced', 'minced', 'sliced', 'grated', 'shredded', 'cubed',
+  'halved', 'quartered', 'peeled', 'trimmed', 'rinsed', 'drained', 'softened', 'melted', 'beaten',
+  'finely', 'roughly', 'coarsely', 'thinly', 'large', 'medium', 'small', 'optional',
+  'extra', 'virgin', 'extra-virgin', 'unsalted', 'boneless', 'skinless'
+]);
+
+const CANONICAL_STOP_WORDS = new Set(['a', 'an', 'the', 'some', 'about']);
+
+// Words that look plural but are not, and plurals the suffix rules get wrong
+const INVARIANT_WORDS = new Set([
+  'asparagus', 'bass', 'brussels', 'citrus', 'couscous', 'cress', 'grits', 'hibiscus', 'hummus',
+  'molasses', 'swiss', 'watercress'
+]);
+const IRREGULAR_SINGULARS = {
+  leaves: 'leaf',
+  loaves: 'loaf',
+  halves: 'half',
+  cookies: 'cookie',
+  brownies: 'brownie',
+  pies: 'pie',
+  chilies: 'chili',
+  chillies: 'chili',
+  smoothies: 'smoothie',
+  veggies: 'veggie'
+};
+
+// Canonical name -> other names for the same ingredient (written naturally, singularized on load)
+const INGREDIENT_SYNONYMS = {
+  'scallion': ['green onion', 'spring onion'],
+  'chickpea': ['garbanzo', 'garbanzo bean', 'chick pea'],
+  'cilantro': ['coriander leaves'],
+  'zucchini': ['courgette'],
+  'eggplant': ['aubergine'],
+  'arugula': ['rocket', 'roquette'],
+  'shrimp': ['prawn'],
+  'bell pepper': ['capsicum', 'sweet pepper'],
+  'beet': ['beetroot'],
+  'chili': ['chile', 'chilli'],
+  'yogurt': ['yoghurt'],
+  'fava bean': ['broad bean'],
+  'snow pea': ['mangetout'],
+  'cornstarch': ['cornflour', 'corn starch'],
+  'baking soda': ['bicarbonate of soda', 'bicarb soda', 'sodium bicarbonate'],
+  'all-purpose flour': ['all purpose flour', 'plain flour', 'ap flour'],
+  'powdered sugar': ["confectioners' sugar", 'icing sugar'],
+  'superfine sugar': ['caster sugar'],
+  'heavy cream': ['double cream', 'heavy whipping cream', 'whipping cream'],
+  'ground beef': ['minced beef', 'beef mince'],
+  'brussels sprout': ['brussel sprout']
+};
+
+// Memo for canonicalIngredient; scoring asks for the same few hundred names over and over
+const CANONICAL_CACHE_LIMIT = 5000;
+const canonicalCache = new Map();
+
+/**
+ * Singular form of one lowercase word ("tomatoes" -> "tomato", "berries" -> "berry")
+ * @param {string} word
+ * @returns {string}
+ */
+function singularizeWord(word) {
+  if (IRREGULAR_SINGULARS[word]) return IRREGULAR_SINGULARS[word];
+  if (word.length <= 3 || INVARIANT_WORDS.has(word) || /(ss|us|is)$/.test(word)) return word;
+  if (word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (/(oes|ches|shes|sses|xes|zes)$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Lowercase singular words of a name; apostrophes are dropped, other punctuation splits words
+ * @param {string} name
+ * @returns {string[]}
+ */
+function canonicalWords(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .split(/[^a-z0-9À-ɏ-]+/)
+    .map(word => word.replace(/^-+|-+$/g, ''))
+    .filter(Boolean)
+    .map(word => word.split('-').map(singularizeWord).join('-'));
+}
+
+// Synonym phrase (singularized words joined by spaces) -> canonical words
+const SYNONYM_PHRASES = new Map();
+Object.entries(INGREDIENT_SYNONYMS).forEach(([canonical, variants]) => {
+  const target = canonicalWords(canonical);
+  variants.forEach(variant => SYNONYM_PHRASES.set(canonicalWords(variant).join(' '), target));
+});
+const MAX_SYNONYM_WORDS = Math.max(...Array.from(SYNONYM_PHRASES.keys()).map(phrase => phrase.split(' ').length));
+
+/**
+ * Replace synonym phrases, longest match first, scanning left to right
+ * @param {string[]} words
+ * @returns {string[]}
+ */
+function replaceSynonyms(words) {
+  const out = [];
+  let i = 0;
+  while (i < words.length) {
+    let replaced = false;
+    for (let len = Math.min(MAX_SYNONYM_WORDS, words.length - i); len >= 1; len--) {
+      const target = SYNONYM_PHRASES.get(words.slice(i, i + len).join(' '));
+      if (target) {
+        out.push(...target);
+        i += len;
+        replaced = true;
+        break;
+      }
+    }
+    if (!replaced) {
+      out.push(words[i]);
+      i++;
+    }
+  }
+  return out;
+}
+
+/**
+ * Canonical name of an ingredient, the key every matcher compares on.
+ * Synonyms are folded before descriptors are dropped, so a descriptor inside a synonym still counts
+ * ("minced beef" -> "ground beef"). Descriptors and stop words are only dropped while something
+ * else remains ("large" stays "large").
+ * @param {string} name - Ingredient name or free text (e.g. "Fresh Green Onions")
+ * @returns {string} Canonical name (e.g. "scallion"); '' for empty input
+ */
+function canonicalIngredient(name) {
+  const key = name || '';
+  if (canonicalCache.has(key)) return canonicalCache.get(key);
+  const words = replaceSynonyms(canonicalWords(key));
+  const kept = words.filter(word => !CANONICAL_DESCRIPTORS.has(word) && !CANONICAL_STOP_WORDS.has(word));
+  const canonical = (kept.length > 0 ? kept : words).join(' ');
+  if (canonicalCache.size >= CANONICAL_CACHE_LIMIT) canonicalCache.clear();
+  canonicalCache.set(key, canonical);
+  return canonical;
+}
+
+/**
+ * Whether a canonical name contains another as whole words ("olive oil" has "oil", "boiled egg" doesn't)
+ * @param {string} haystack - Canonical name
+ * @param {string} needle - Canonical name
+ * @returns {boolean}
+ */
+function containsIngredientWords(haystack, needle) {
+  if (!needle) return false;
+  return (' ' + haystack + ' ').includes(' ' + needle + ' ');
+}
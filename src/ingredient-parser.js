@@ -0,0 +1,175 @@
+/**
+ * Ingredient Line Parser
+ * Splits free-text ingredient lines ("1 1/2 cups flour, sifted") into
+ * quantity, unit, name and preparation notes. No DOM access.
+ */
+
+const UNICODE_FRACTIONS = {
+  '½': 1 / 2, '⅓': 1 / 3, '⅔': 2 / 3, '¼': 1 / 4, '¾': 3 / 4,
+  '⅕': 1 / 5, '⅖': 2 / 5, '⅗': 3 / 5, '⅘': 4 / 5, '⅙': 1 / 6,
+  '⅚': 5 / 6, '⅛': 1 / 8, '⅜': 3 / 8, '⅝': 5 / 8, '⅞': 7 / 8
+};
+
+// Canonical unit -> spellings found in recipe text (matched case-insensitively, longest first)
+const UNIT_ALIASES = {
+  tsp: ['teaspoons', 'teaspoon', 'tsps', 'tsp', 't'],
+  tbsp: ['tablespoons', 'tablespoon', 'tbsps', 'tbsp', 'tbs', 'tbl', 'T'],
+  cup: ['cups', 'cup', 'c'],
+  'fl oz': ['fluid ounces', 'fluid ounce', 'fl. oz.', 'fl. oz', 'fl oz', 'floz'],
+  oz: ['ounces', 'ounce', 'oz.', 'oz'],
+  lb: ['pounds', 'pound', 'lbs.', 'lbs', 'lb.', 'lb'],
+  g: ['grams', 'gram', 'gr', 'g'],
+  kg: ['kilograms', 'kilogram', 'kilos', 'kilo', 'kg'],
+  mg: ['milligrams', 'milligram', 'mg'],
+  ml: ['milliliters', 'milliliter', 'millilitres', 'millilitre', 'ml'],
+  l: ['liters', 'liter', 'litres', 'litre', 'l'],
+  pint: ['pints', 'pint', 'pt'],
+  quart: ['quarts', 'quart', 'qt'],
+  gallon: ['gallons', 'gallon', 'gal'],
+  pinch: ['pinches', 'pinch'],
+  dash: ['dashes', 'dash'],
+  clove: ['cloves', 'clove'],
+  can: ['cans', 'can'],
+  package: ['packages', 'package', 'pkg', 'packets', 'packet'],
+  stick: ['sticks', 'stick'],
+  slice: ['slices', 'slice'],
+  piece: ['pieces', 'piece'],
+  bunch: ['bunches', 'bunch'],
+  sprig: ['sprigs', 'sprig'],
+  head: ['heads', 'head']
+};
+
+// Single-letter abbreviations are case-sensitive ("T" = tbsp, "t" = tsp) and only count when followed by "."/space
+const CASE_SENSITIVE_UNITS = new Set(['t', 'T', 'c', 'g', 'l']);
+
+const UNIT_LOOKUP = Object.entries(UNIT_ALIASES)
+  .flatMap(([unit, aliases]) => aliases.map(alias => ({ unit, alias })))
+  .sort((a, b) => b.alias.length - a.alias.length);
+
+const NUMBER_PATTERN = '(?:\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d*\\.\\d+|\\d+)';
+const QUANTITY_REGEX = new RegExp(
+  `^(${NUMBER_PATTERN})(?:\\s*(?:-|–|to)\\s*(${NUMBER_PATTERN}))?\\s*`
+);
+const WORD_QUANTITIES = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, half: 0.5 };
+
+/**
+ * Parse a numeric token: "2", "1.5", "1/2", "1 1/2"
+ * @param {string} text
+ * @returns {number|null}
+ */
+function parseQuantityNumber(text) {
+  const value = (text || '').trim();
+  const mixed = value.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (mixed) return Number(mixed[1]) + Number(mixed[2]) / Number(mixed[3]);
+  const fraction = value.match(/^(\d+)\/(\d+)$/);
+  if (fraction) return Number(fraction[2]) === 0 ? null : Number(fraction[1]) / Number(fraction[2]);
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Replace unicode vulgar fractions with ASCII ("1½" -> "1 1/2")
+ * @param {string} text
+ * @returns {string}
+ */
+function expandUnicodeFractions(text) {
+  return text.replace(/(\d)?\s*([½⅓⅔¼¾⅕⅖⅗⅘⅙⅚⅛⅜⅝⅞])/g, (match, whole, symbol) => {
+    const value = UNICODE_FRACTIONS[symbol];
+    // Keep it as a fraction string so parseQuantityNumber handles mixed numbers
+    const denominator = [2, 3, 4, 5, 6, 8].find(d => Math.abs(value * d - Math.round(value * d)) < 1e-9);
+    const fraction = `${Math.round(value * denominator)}/${denominator}`;
+    return whole ? `${whole} ${fraction}` : fraction;
+  });
+}
+
+/**
+ * Match a unit at the start of the text
+ * @param {string} text
+ * @returns {{ unit: string, length: number }|null}
+ */
+function matchUnit(text) {
+  for (const { unit, alias } of UNIT_LOOKUP) {
+    const candidate = text.slice(0, alias.length);
+    const sameCase = CASE_SENSITIVE_UNITS.has(alias)
+      ? candidate === alias
+      : candidate.toLowerCase() === alias.toLowerCase();
+    if (!sameCase) continue;
+    // Must end at a word boundary ("g" must not match "garlic")
+    const next = text.charAt(alias.length);
+    if (next && /[a-z]/i.test(next)) continue;
+    return { unit, length: alias.length };
+  }
+  return null;
+}
+
+/**
+ * Parse one ingredient line
+ * @param {string} line - e.g. "2-3 cloves garlic, minced"
+ * @returns {{ raw: string, quantity: number|null, quantityMax: number|null, unit: string|null, name: string, preparation: string|null }}
+ */
+function parseIngredientLine(line) {
+  const raw = line == null ? '' : String(line);
+  let rest = expandUnicodeFractions(raw.trim());
+  let quantity = null;
+  let quantityMax = null;
+  let unit = null;
+  const notes = [];
+
+  // Leading parenthetical size notes, e.g. "(14 oz) can tomatoes" after the count
+  const pullParentheticals = () => {
+    rest = rest.replace(/\(([^)]*)\)/g, (match, inner) => {
+      if (inner.trim()) notes.push(inner.trim());
+      return ' ';
+    }).replace(/\s+/g, ' ').trim();
+  };
+  pullParentheticals();
+
+  const quantityMatch = rest.match(QUANTITY_REGEX);
+  if (quantityMatch) {
+    quantity = parseQuantityNumber(quantityMatch[1]);
+    quantityMax = quantityMatch[2] ? parseQuantityNumber(quantityMatch[2]) : null;
+    rest = rest.slice(quantityMatch[0].length);
+  } else {
+    const word = rest.match(/^([a-z]+)\s+/i);
+    if (word && WORD_QUANTITIES[word[1].toLowerCase()] != null && matchUnit(rest.slice(word[0].length))) {
+      quantity = WORD_QUANTITIES[word[1].toLowerCase()];
+      rest = rest.slice(word[0].length);
+    }
+  }
+
+  const unitMatch = matchUnit(rest);
+  if (unitMatch && (quantity != null || rest.length > unitMatch.length)) {
+    unit = unitMatch.unit;
+    rest = rest.slice(unitMatch.length).replace(/^\.\s*/, '').trim();
+    rest = rest.replace(/^of\s+/i, '');
+  }
+
+  // Trailing ", minced" / "- finely chopped" style preparation notes
+  let preparation = null;
+  const prepMatch = rest.match(/^(.*?)\s*(?:,|;|\s-\s|\s–\s)\s*(.+)$/);
+  if (prepMatch && prepMatch[1]) {
+    rest = prepMatch[1];
+    preparation = prepMatch[2].trim();
+  }
+  if (notes.length > 0) {
+    preparation = preparation ? `${preparation} (${notes.join('; ')})` : notes.join('; ');
+  }
+
+  return {
+    raw,
+    quantity,
+    quantityMax,
+    unit,
+    name: rest.toLowerCase().replace(/\s+/g, ' ').trim(),
+    preparation
+  };
+}
+
+/**
+ * Return a copy of the recipe with parsedIngredients (index-aligned with ingredients) filled in
+ * @param {Object} recipe
+ * @returns {Object}
+ */
+function withParsedIngredients(recipe) {
+  return { ...recipe, parsedIngredients: (recipe.ingredients || []).map(parseIngredientLine) };
+}
@@ -0,0 +1,8 @@
+/**
+ * Ingredient Vocabulary Data
+ * src/ingredient_vocabulary.json.zip as base64, for pages opened over file:// where fetch() cannot
+ * read local files. Loaded on demand by vocabulary.js; regenerate when the archive changes:
+ *   base64 -w0 ingredient_vocabulary.json.zip
+ */
+
+window.INGREDIENT_VOCABULARY_ZIP_BASE64 = 'UEsDBBQACAAIADiRY1sAAAAAAAAAAKxHDwAaACAAaW5ncmVkaWVudF92b2NhYnVsYXJ5Lmpzb25VVA0ABzw2CWleNglpPDYJaXV4CwABBPUBAAAEFAAAAKS9S7PrupImNvevoO/k2DeqfbfWe99Zuezq7nCEK+L2oAddHkAkJGGLJHT4WOto+c87EyAlvD4lTznqnteuBAWCQCIfX375//5PVfUX0x8H3RjdT+Nf/l79D/qjavk7/T9H1U5/+aflv953r6879+//zz/FYvt5mvRwE3z+eH97Kgra1nzqypr2Lvv0/vyzKHtUQ2vqQPD5+bn8662qz9VFXy7hHHbvL+9F8UNr57vc0/vr84/yXHtj+7vc0+7ppSj3pcJ3f9p9fJSfN870Rne5H28/y/PTx+N4E6OnvZbFkvfdvf18Ky9PPWjV3eVen17L3+ZTH/Wk9m38fXbPP3bl95lspyarg7k+vYBP+al607aq0n9Mg6rvO2q3+/nxWhzRmfYcir2UxVrd2b76NZtaB9KvYMlq0/eqCz7q7sf7e3kxLmoYW30NJNE2+TqZSVfxx939+AGee6TjFny1j+fn8qaiTXAX2qGdbOhjXexXEzzx/eOl/Mv7wX71yTzf33+UhWvd6uH+9u+v4DzX7byvRtuom+jb20f5jU62D9bzDT1xtNdqVHPwPd9ef5Q39sVO8QZ8e/ooL5Q7ypFceTvVJ1OfdV/RWk2nu/gO7L567sx9M73+BJ+pVgM97/7zr28f5WNCeriKtc4rWs3WdDrZ969v70ABmFb102Dvkk/ghXgCXq9Uh1adg6V9fdqVX65TV0unyozBRHbgM0ynaxeK7crvZgd9VH0w3R+7t6JgP0+dvp+Tl5/vH+Wtr+pgTV8+wPJf1GUw5/tWfnl/Kx95OpzV1bbn+/K8vH6Ut3NjfpGC6uZxUkMTiKNzx7q6qk9aB+v58vJSnketrrrvdXr1vbw8lTcCXfS0uZPD8LID9xWt2UHXEwnrYfwt0Rwvuxf0G6qfW7oSm2TE88/38le80O1N0iX99PwTvPnXyZLqiy6J54+PsnFCqrzTo+rTZX3+eC2/Ap+CvW7bzKT4QAd8URvjZOtwQk/lUzbWqm2jb/D8/lSeu6XVPKYH/fkd3Mi1HXreaPVddz2/vZY3e00njG7kyBR7ey6fH2+JpTfN89tTeTn2agyf+vpaXoYvO9R6JNtpPJlBJ0r/mU4UfnjVavUZaKfn5/eyKqEvE8k9/SzvwS/VkjIJBcG9zHvjy9CZ+6S/RVt1B6egm0YN2e5D5uS6Xe+SP5BBeaJ9RBdLNZ1MKP5afkdvpEdn5uknWI9muFbesOGXDeXBzluumPTDPP38Ud5+9PDLhWyhKrZOnz4+yp893P90ywM3RLWj6minph/n6eOpPI2RNP6RF5AupmXupB/bazByV/4tf6kHbsRbeeLeQv2mjR7I/oDmR2vSY/b09hOcBK0Pd6lXoCmXTRIIAjt2r67Z13t9KsvSfXYarO0C0RekO9ydE6jTYMwzMsMs3T1zMOdnYNl8zzWtWW8CyZfyhvbOSnVRpHACaWCB1CeaAV9ioSjac27Zgi/x9BOYYfRMlX3dJ/Dd2MZwJ3Cka44WI/wsT8/gJtWk1QO5H+B0D3bUnQrse5IEplh4+H+Az1VSFD/ALjvrqT7Nl7un9BPYdmR/Tm5hq8UVq2o7X+jSP6m+Ocxt6CL/BD6c22/uUgz96fI+HciENbFgeWLLZVi3NjwqO2RM3F0KTXuPZt/Gw8At8JT9wPvP8ga8r36m9nbk3z1QSs6qaALpH+WloTkfeOKHULR89a+O/l4HFxiUHqdBfe31MJjoRX8ApWP6KdVQuzdgovvzHsiBkAApx/ESRQ/enpFSGsjCuw7h5n17Bma8tWe+3Oh6UUEM4Q3sdXq0oV0dRXN+QIMm2E7BQry+lQd09vtbDZo/SmKB7F53wA+ibaQudNYCUfBN2E5InZvdC1A7pHJod4ZqgkTLzx3mIGL1Anaxm2NVG1q4fOu/vAFbnSzqbMu9gMO73Bqxabp7eSmfk1pF19vuBZztkcy7LomyveyAR057M3+5Z6DEaCv3KrD+d8guXvyKyCzZoVu2eHnvnl9BZMLpls78EYiCcENDuiKUAst1ssOkezpPoSyIHunOjF9aT9XtCqd/M5dw3sigmwfazMn1vHsGsSew657BOVEtLUoThkpB+Gv1LwJJFP+1QxAhfQLm1zQP5zCM+QQM4dVMC+0HEi4fZDL+THepGv2paapNOABo45l8miEI5kPJg55yRfUEDsdIBo9RbaV/n82l030UWC6/J18ioRQKarFmSZT9DthIl1aZvrra4zxEjy5/4F+qJTURRLd2OxC3qEkJ7oOvsQNx+462+TiG6oy0CVBnw8TXcygKvoOqJ87UsH6/8k1zH/EDmLeTZdu6CQWBxdzOOtPAyLas55pWITyRP4Dz56yZymmf8Lng9HzaJoj0kVj526pPW6vGhoLA1nSx6EAOKDPSZaMeVGPGUyhcXtL73R3IPgH7daY9MFXZPJ7K8/VWY6a/fuyQdTxe8m8GfHu6hOpTtQQnQ3Ggs9XxLvXzZ3kf7OnCaq6BGNjh5JWrYxDsRfklunyrw3ANL5WfIMziQu3RTYkimWwidlq1geCjO/KidSAKLgR/c2SZs58grOcDo4nv8BNFhFzi1OVkA2Fg3XBcyhzJTrXVQM6pCSP0KPPhrmJNVwQ5b2Tf9iP9WxSAQnm9C11E8xSZSD+B06uG+TgHJ+QnyBJP1gWc7nLA99/rQNv83JW/ynU+0wc82rZJT9zPH8DnNrWd8rvtJzgUe8PBusSUuY36ALebqmvbXcgH48uwWp0x1otxmO0DXGUcUkqSXyibfbRqSl/mA8TADqTtEiP6A4R3yb9jMySIbH0A1TzYtuV8mQq8oA8Q/aF5xroLJUn5i5IdlAYDPsCFuljyo9ZNKFxesZtblYTzP0DSvGDLBmPKy8f3dWZCfjwDA4M92vCIfYC7xaurL90cwyUEwquBk3kMH8CadC5OMX7xAfJYTiOn0wH5SfeSueHzAU7/LexWteZ4mtor28SkwsSBdEEqunrm8CfA0VY9/d9d7h3Ed1dXfzrRTEJxYLPanjSGvla/WKknJ/MdHPh7dDqw3N6BhTdyeP0uBXxQNu+yn/8oP7EnW20yPN1iwOQdWcb0TQMhcNw0ecLBBnkHd7F3ZkQx0oqkXFtTHVo76EDnoMA/7aQLJ0VEQZpo+DRgr97AObF6RkCrxRqmgxI8G8Fi+Iic9dDrNhRGCe2RjxLrmKIJicbVamhUZ+93EIJnhTEX0mW1uejqQLrefgWTA+pvCPXq+zNAzbBZ2iZK+x1H/XxoLpMvv2bif7yDMHit9vvQ7H0HutFMqqXfpx9Xo41CIO8guNTqaQov2nfk4F2cRRJMFZj+neqPNpB6pNTuYiDDtbfzsA/M83cQ5lwzFGm8F+XC2IfIZQEYyMe+Iuv7DbgdIxsO12yTvwH34zjQ1ccbJbpWkfT9TBdCXG8g/eAsiJEU5hBo7Dfg5bDJUUWJ7TeAUyGjsaadE+C43surd6brnQ6oSt2GN6Dd2CLxqxiIAneErk+aQ4D8QjHtILj49gZMsy8zjuk9hLIFdHcfT/TT90TiG3CZ4vh7IP4A6mGD8OPbK7itaMfXZp4CTwKJosjmG1CowTaL8ClIfoWnVC4mGD7/0Y68iwG1O54MabOzrvLk8Rtw2a6a1X45efwGAhvLmMwVfwMIm7tj6rFX6+yq0QbBvzcQ6lgC7pnqAZk0Tj8HRwz4fhzZZZs//LY/kMJxiK7kKAJhOrj7m9Ar0KSt1gGu7RXoRVorMsEP5CfRCQukASYsQkkCMOc80NYoxF1fQSB18efJPFZfgSp8RdjDrwBQCHTrEjzxRzyQBhahi564kHk1GN5CwRCALPMx0uqOswyWGoAXgyxXIIsw4SrS9q8YFuW0WB2ALF5B9qe1dBeTH7TA9PK8fLL3XwHy2auJKAjwChJ7yxlOE4uvb+VD2Ax6HMO78xXFIRjTyrGoGF7yCq4QD5jiONT4+6yCgC3Cl5+CEMsrirlxiCVWxK8g+7i6HIEgSBqRycw3fWr7vYKwRZzcfQXxh8vcXcgpq/hkhtIA9KdDpwhJ+ch3uFuA6r/YuQ++PIhgjCc1XKoFYRdIo9ySM/z3cxuoQZTicm5pUtfyigCdHkWWwWpe4Z3jNmBkJCLZzrRN/obIqPfpimB5QYqfPX6fKwlEH7oggRwICLqriCFsOtdt4D5cckZVISP+CjAjh0H3QYb7FYRbFyM/UnBA9DM0E16B41IK3CEQt3eM86Adkm9UiO5CUIsDed2hknsBMeDDMJspkML5j0brS5oEQYAM2te/aE3v+u0FgOg7RfbjcLF9FgR6ATfzomcCOZRdsU57J9fzC/B9Js4KB3kBJMdBoim6NV/Ahb9cS8ll8AKCVIF5EMgCk37gy3XYIOgQovEt+vJe/hLsojRJEhnK8mTTBN8LsDL82QrlgOaoOc97zK4lBM0h7/nE1Q9+Map06sBrdDGuFMuGhGuygcNHgq2zhIsTB+sFuKNszaUBnRdgUwRaMnwwgk0EIRUk5LVNFPl6Ad5orebWHGgPh8UiwKYY1eEwWI4+8zYK5gq8xoHjdGlo+wWV7UVxSSS1JnNTC/MF5NbZdQmEyoaFt/Fpq5lCWQ4YQ+ctSlK/oHSQ6XL/BRXvnCznmNKzDAKbZNiH2gFIBd83C1O/AIvsFmFM3xFhjFV/ttnZRMKrCWloVSKYJRqxnI/0NIFqDOcpjyc7t6F39AIyU+TRD42dj4HuBtYfuzZ9dPSB5cfTPafYHyTsAKzeVgxkEVh8HvmvQBAFXoe9rue0fublcUFRa36f9RyWc6GSuHEKDNoXkGTjXGxYUfagULrTbViLt0OvH0dlbhVWYVDmBcSiOeSYblAA+vPawOc+qiit9ALM3EP09UBYiP0GX/aXRLpeJCT0VRRdYwipr4/kGdeo+kgQHT3V99dq7Mx0qoph5hdct+K+zhdZkqMo7dwO+rFRFl3utgAM/IJqgVlBZtOFaMSzvqYh3GeIGBzC6ipctO+yfUEJGbC8Fbkv9vNasT2vI/nyqckKaPxbunxU8LLPIEwWIvJJ+bSG/b7+OJ2+wpLdZ4Sn0ncD5BlY/KSA7GBsbIIghDL5BupLXZNs2jNyDVi/T5rzb60NvwKIrymy22h1z7o60X4IFxcMGB28Kv8WyKZ3KLt2ZC1u5w0DDrQn6IaiZTzLsmboqskeZlFy7Jwn5Cd/lwa2PblBQYY9wss8A8t9iTlGpwnJLm5Z/PWB7OIJZOWb7+DC5GoB2jBpbSjK5HMYnI9GiraGA9ZC3CWX7Xeaz3tweHNKigERQP5ivr9VFZsWSLZXF5XZN88gZkpX5XGxVQtm/jMIn37Sohl6iTCVhmR9vjp1n55BpDVJ5EGx8FQF0gAo0R9bBohlUN9nWMJBdvtVFFuABEntNHD5gpUetshz6UL1paM1A4hf9a2T4mIguS5AKAmMPg4i16c5rDYHDiedITVykaStMhQcGrPWyFyzxQMV9vZyyVQ64k5o9xzaV3QR2KBwE4m7ksa0au4ZgAeP9K4dPZv2nxKFa/VrLgErnmG9xdxOnMzePIKTZKY3BTMQjVic7kAOVbNGcdNk5YH3v6i1JDSLpOee7q5PZ2kcdaum8PYFQ9jLc2czkAR+24pLqNKqATTirIKMxTNImHjftBT3egZRDntlAoL0fgEsV7U9HLQsVsLfPYNcvmG+hgCqe5mbhm/pEOHw/FLWsqvF24uSB2s569WSmRZuW1TGxpZCeNqA3HCa2fkU5ehdeBPFYIJnEEa6eEKTKE+OyscSt/sZVVH4KE9GXwEgwGvyMfoCIKXJpvya8tj29OMwX8lGyfYHiOis+yJ9VRRvGewnfeY89v4M4G2JzQJAbYvvkJi8QDj90LBEtrbBJwYpOzV69FuWHnoGdWydN9ADufLCklHch78PqEwmFdELIDHWkuCQgRF8RQVaD1WK0sataAuEXxKJJs4AiCsF4U9RdkVyj6Lk2NOJiXCszyBcdfPQZFFn5JScP5RVPanuoo69liW5EuOYHxKQVb0BqEZRtBBDEccsDlQIHngG4bhVlSUXPojK+ehoEtd9Bmneiwk1LhLiJ8YfA8T6fK49EMPlrh40GYgC0MKRfMaq1/UUse4gVo5hr3/PoqLPIF5Ha7+fhyNZAvs51F1AfAmikmnd8TEOnw/AEUE1z6OyDjS+UdfKtoG+APGyFY6WYKKQOFunavLAq2E8dSpGWaNhQ4TNQFKXdu7kZyWZMCg2/Pv844f+8KAz9+86RJ49AxxxnIpB1dlx4nEU5UeTaKTHVd+5kQvkXQ4tLTl9AnHJpaAskANZj15dYt38BGKYrmJClIrLgRGhFidaE+/xCQREE4apstDB9uSCZOVzTyBoSkdrMN9WlONyc1Fo5Q6KcFBPQn13Gp9F8qsHoMm+0uNoM4IgEJltycs90oL0ZHaEJ+gJMWqoxjBZkhUlEzTpE6rzcXx9Q0zMBUkIomwakgviaKjyAw61w2Q5SG4L7jai+/Qxte3ya4Am+7ZAnhNRn3royG4+icKj5jzN4k4E0kCxcRoxR5w9gTj3WlSTzhuB74a6HLhAI/ZqpB8w6XZA+OZOs6HEEPZERYARN9OuxOwGtrsvWOdyuJBeDqQ5SPNy4l7XoqhyRBY5mySSLwPingC+x54HJQq5DGBcJPsEYv+jVs4vyYNWaERN0mk65AlCk90lVLHm0kOkNMCINXCVRuifEDeo49YoZtnRkDRaBR+tx6DY4gmkIPLjCwTDUveEvQ5kHw50eqf4kyCfLcITJqgkNOoQs5xjqtNsb4JkRBzaQ1Kumje7lBBhY8shlOJ+AJFmQ7cl32KyqO4/dWsvnsPEcd469EAU2HkCWRH6DXs/M5uGhEotds/QiDsULIy2PYGcSquPVVTAgQTv1AkptvMJJGACMqjwcnhQrpo6GE8gBTPaw1SVmALQgP1gbGjXI7mc8QdJrlHv0P4F4MACw0U+b1Q5YsaQZ+kJpI1+0dXRBRoeUPYz0HeOzGIg6CLeolTE3feECIEHte+0CplCUUFowVdEwpf5cKg8iijbNCAJMniQb2gEgTRI6C+NorTDvBdZgtCIlMogs59AIoSzW43qjIprL5F4bcmQDywPkAI50u1Crve4MmDmpTjiI6YbdigmCgX5lLz+jtaPtFXfR4uAETmBEDIFWzrESpQLkZXQNQBjPbdzFD1+etjH5F7xk31wkGBJtiuQujj8X4nz8gmlThYDXBSMc8FI6jLM/YZfZVabA709M78nBCtPIG1zR/2Loic97MMHgvobOqGkBZUo6OoVF3REAbKBhjksYs0edyD6IESVueVI2AdzE1KJJ4BY3s/MlBXlNpFo8hmAV8hZWwf/TUwQkBob7GRGMt1NXvWIhvgjwia54pq7aq8crCgiNENjSW/ZmX2LLCr99CjD9hkfFSC58q9UYwyWfgJg7RWbnK4UwO236luLUuNgBjJPlSx4NsOU4MKQ7KTIu66t/EKaySrYeCFnv5flvVhm4QC4+p70J3/ohO4KibugflyKhET92Y0LZZ5ATWJNakl/yXKsau3GZ/qbzUYs4gDWa11d9lUU9F1+SHNP8hux/R9IgVw765Re+c4sqXeOqgHs0DssRCAJ+1fQvUA3KlM+Opx+pu5AwjkiHRKluU9BNbb0/LEqEB48gSS1M9y8kyLKkkL1GriAl0M9HRbWM7bgJ1H47obHuQUk7y79En3iE6h8HdVZi0JBKav8xEOr56Fq2C9tReGjGvaq/84PDzDMFpqNsIwGySaJvidU1BsGQmXxhlXCmCT6kPDNAM6IUdCIxTm+gaHSygk0TrNBZMOLHVUlt+rMLa9aug9msgbIs2rCvnNg2G2jIzJexPTLEdSKPSc27hKadDTG+wtZHguJ39h7kmIXJO/NoJJJhtp23IJtoKT/CcA+kmqnqnZGzEguRWc/ozdDFf6tIQso18FAPscDiEO808kpzsPOitKewC1lB0XEzfGOB0iSBwoUjLhf9mk8H5FUqW6fMJw8oUIoxnQyXVd8voG0iwikzG9QeA00yKJtpN8AYOXg0O11FLcBolxznrBAINGFgqpIkPgEAC435cB0hlkw9gEOxVUIhI4yagDjkPmNFgV9+K2MjUJjVhTDF2v2YNkBKGYhgM2a1wDx21fPA9+AAc1jpr5OWk1rKCvpIQoGnk3T62t6kwK0jn8+mY2dKFrPey0/8M43GhdyYPn6HO0TAAJiAAvORqAWFyejUlcLiC4MKfqrisORqFcPwxKjaB4S9EciYcR/AhWIfjXoYmgjzxZIcxTLtKMolxmBQG69zbNAAsBRLZ2j4u5GQNZ7cNl3A0VJd7JEUZaMQEcpyDnvSX403fbmqs4pncETbG7XshZOgcRPAKPlL0bHFBv1J0XyIZQ+N3QAf8n4+2xkqQXzKz9tZaFLVwSgwuja/byKUi6w45I2CUkVGhCE7EXZA99Kv89kFU2k5x5yVqNH/FV9KtN6fjrfz4EexRfGyJXdF/q75e8yk6qmW+ccWV3gka1VhyohinkCVa8LliuNxSDptfIuCV8hcTXr4Tyo0DIFol/kSTPJ8qCSSwnIc9Awu/KArOffjq0NAJhbq1MTVQKqbgezr/RV+8UL54ERvU408ztQO1TXUSffuKjUKSkqQoLeKEndUSicmvDpfQoGXiynt3MebCTfzBMZPZfB1ppd6mK3OPxCZI3FDdhAhmP/e6ZdIHDF641AEoQG53ZfJYBfJOtPZZVRfaJ+LYUGJEAyZ4+JBkHYmGf5EiW5EuGYRUtRA5l2Jpc8y6gi6eEaPhF05Fz6ZSa9qGCR+ZFu7ZMyQ1JLg5rYeCa1FWkSs42hMXPvIRJL9W/eTeQxODPTojtADUl7ZsyAcUg4tLlTxYF68rhiTm/wibIL11vcRwjIxom0UsMCNHJgPVxlxIY7xDtsh6Ptv22hyRsY0ek/AhRbRbdvH64TiNT7TGrawxD1hFX9pMhPumhR9Fa3JE+B6fCioMQOdfM+XRkNGlc4IeHlXg9rMJBob/sDOWqu851pz1nHMDDMVxqOopz3fpgPml4zbP8EKBKCvSsLM6FUelnvAN2av7YcZ00aXkJDzupwII3jjO60USMYssKf7/5kqQRyBzCzv896tGzphfkxJJzkx7KTgkC/Ru1VCLRHgjdlmDbuAhBeToTrkePyvP3pWtTikPHEtvUDTA0cONGYSJMAIG/nAHmFiw7Is3XUcPlIb6JDgGDCQwhT2UG4rx4+w+6IQO7EzGQMT2GsVkUazHxqcdBaQ5X4kUh81O30Hb0akCPPN+y8iKg7yFkamFgn8492mMbvy0W4o+JjJH2/CUTRQR8G41rdR03/AHI3LpHyTDLiIGfmk4Ky8vNXLHEI10aya62EKJiSH1zFERd1UVclitHdRtZuyyD5sqUBqBM5ucrMQ1w6kfVNBWNINZjR9qLcr7k3nB/OG+o+YOyLuzvsAFbah3sdcBsx7OwALtrXdCTWOJD1gdasVyZCXD82PgHqOqEUCn+mrLPs8G1FoRNN5Nq4kGUbfSpIO6Q6E4ihGunJ/MpNOgB4bu1+DNmKkdxekXuZJrB2AKS8eAT8+fIsGRrkqU+L5BRoCOkJ8ggixn4keonbCiJiG8OxucoZdndhgJlmmMT5wFUVmU+CgMouZZk3fdoBgLAnQShUEqMBqYaRf0FFXawfTSPTEHAOvmcP2biNLL3GO5KU2g5AoXuyD9sq5ZJF0j5jkzi/iEfHZ3eiCBaSXbNBxmeSxw0DooTADkCu9ae1olDMaBynO3aA+ids1pRZf6gZlBo7n/WPVq8sfOvJlTYvR1Uh2rrSqbTAaIfIgpyv0lQ5uwAacZxVTdswdM4BW1A9GMC4g0YsyRC+iUPrDRHyDmRGt0nrbiDrj1qMdkWyNyoX8vxmbrNwHwHQ+ktb0GSTA2GHQSq23YUQ/77hKz8/nmDAqD7tNaM1Q9L+gKYHDvI0fZrwXgdirvMhoMbcIYKmm9O5knTxpg8Rc2ik32WlQgg04kReJOP30zAWYoJyYfJE3z1s46qv/s1HUd4ZfkkEHj57bo/zIIotlbShyw6KHVrTqfRGw6JJmy4kueJuswVDZG/7JBgDBJcCiDSCvwPlFT52k5AD7EB9hPLnPSaTR8LMaVadnBUuynqKDNNHZwsBsm8ERrLwkgpmgrJGlvaFNrn+ADchIxpuF+HeocRDOxo1FaQldPZMUAoLZd0tH2luIBl30V37gAYFnlEvXfSUlI0ySyqjgf44h8yrsPM7KSC6ReNurztU23LjDPR6UhxQq8klDjNXAcmfDN2mBVzNDpCfxUASUfzWJ1aUZDKAbZK38KOLrnBKsJ/js4DcFXKbN8jl7LvikMmQXWRUvuygqsjbGY5PKotpgSGNPcZEN0hw7ytDYvcTyA7qqxpncsH/Koouqw0xtTtUv5STPJDNcRnFgZyJS8xrILkChHPWTjRCNXZv04sHvQDz4J/oBQLJR7jOmCUbyQatF0TZydrpxCa4/NiyW4SaADqitkKjbzSgYUV0iL4I6u8xkVKhS+1cue4d1VgP834fKlJYQ8bFe5mlAyq39masZxN9cFDdGZBwicI+pFXgcUMDPDbBVXWmfVN2oOrr1ijaRbVGUT5pF5alasAwT8AVVz0gWZeVStDfcDr+Bp9kSV97xnb+3Dc5XdMOlJ3N/d6BxHN+UjQiDB4taipybcGwGz1agm1G8qbe8tRG0zGMMpOI6JKdEgTMRIOOg/tUufsO5G+KMbdn4Ag6LFw+5vHIo88fy+OWWyK/HEDEZe3cPqLW7TtQOnhQw0G1bUo7isT9LvT5nmyRy0N2f3sSZdayl8x6AuV79w8duV2w2I+PTAxyQ7LOuGFTcerDZB0qO+TIibOUL4zWEuWj+obUGwZj7vGR0zxG4RFQU+i+pL9qg5VEJXhLO74szS3Ip1cjEOcOSlqUurtiJoMUoHkMZrxcffqjJlcjjJ2jmkBfTMCaMO0nh4bQW/6RBvFRl6K5ox3Q8220YSqWJU8hchuJBoGWynWeDUZAKrshgekh0ZE9PaafTyjjkLxr0+DjHaPqmy8Txg3BmAgO5tAaGybmM2eJNYWIfx1PUgo8AMJL+KOalGll6Yvq+LAqdubN0fSqrZjdbgqbSiShYvCkxs6M8qUj5guJk02Oft6d5GQVHgSMPI1N2tEADXFKJQ2jI9nEwa2Kpj8Y7DnwRLGw1iTvSo5G4cJdNGJtunAid8DOo867LzxaMR555OTeKXI3QQnsnYstJwpDY8hgnvKGBUiagT3K9e6IjXJQ42rVFGcakVxLhosqUf6jEWsGu427nSHxpaeyA1mlVjgYknbGWhMYYWOsHSjA9Rd7wmkChV1cIS7hR7JkRIbmO6L8XvyUVh9l4V5/VVdHYMzkfBloDf3EzNssW0rQXYWk+viwPOwSUMgqofWgnUMvypZ7bZiyp9hOawdKh5ece8jsj0S5il7XIfgNCN63zUoFGW8YEKGbBu6LAiBIYJBDRpY594Xf2fgDjCA3rWqyawFUC3sdX+7picYEfTpF2XHuOlY9SSgfSN9KkBFcUCpdnq4uE87xvhwgDAb7iEkVQxuALGkuy6jEIxtcorS7c2l3bHhwGEH3DWYi3Q4qnP9QPd3PfXUMusAh2RvEM41ZAvklv1MuT92BImoXTGR/tnQvgDEAWI9+gRzkiNIMP5avm0WvhuICOcbjvlJoeERtXEADgWENh/mPrdrwC+7WbKKGf0g04OFIlMDjHoVrbqkQ60f18M4nS1KWQJZr1fus4hpJu+q5QrfKh/IbZV0AOazQhlN2JfPcu1CZDW9471QZQzWBeAQKEqUdQUzclh4+eDnq8uezc+/6Njm96UJ0MbAelPwvhVgOn+NqJFhLiKPurbPSbYmjVlfbnmHMCoxb++QWAVqw90fZaUUL4BHmSQEFEL4xucImfDvAb0A+wfQdtmxBgjEzTYa4RfQJUYfHagw7zaMxrXI4Zx1aLqhJicMBFg14MIKcaLK/gipFOHOOXmWYDiAcounkJeeWDwuCKAt6gTH/os7674EUqnkcsvQyEPXMko55yU4nUdxjhsgs4XajrSi+NHQs4bXAiOOsfvHNkMEhgPze7PcwhQLGDPaq2sqF/RGL5cOVdbmFdHkB/pVroBebURSmS5FW1RkDEY0tkmdA2VimsoRDfEttUW6Yme/uqOQ588kjn6pAG4SGrK29il100KAwhS9L3w5tTlSNhoSWjFfNVdqCbQe4TDBgBvbzZtrBs+mqzn5/q0G3hZJBNNbFGJfyt4SMHY3pyZcwdHcmPSWQOPCbxXEH9Zl9ICDq8s6+9bMsvFAvpnc5kF7oC6obOXW1wksYU1hNJ+aS73SE0UdrfecvzC46QDZTn+beE4mNShTmjp28S+0lDjMA8caGERsgtLSSTWjEkTSb31GVEnyt9XR8qYNrfp0eDbgccfoKkvs45lgX0eW1kJ+8tKKR15i0r29GGT6z7Ij6eu3YwgSiLiDJjYujDDMkFbpxa+b7CPWacnx6C5mHKO6BKvRs+cl0tXzFjwS4jSg0hYTUYaG6jS53IK06xf2QbZ5NBgMOLQMAyHXg0iLbnJU4gsFJ8qxdYW+hzzB8ajt3GYIFESdxWZlJ8sE7AGIhN2OvouwokKTTp8dWfW16bOo0yU9fex5nYWkwYMV4p3zFSH69vrNuG3DAWqODsltoYjdesTQvDAaEfPSm2zAg6tOQJbgA61W3dqxfUFN0uZI6GJoNQ4MzMGaH4DHBfMrHiOTJcKHzSCeCC4hF6S/Sj2Qe5HoE+OKLddQMc+fylRuG+PhYAgQBwmczjKEfDcQWKH8eK0Q9ESPuh+TYIVIK3kVbJF31jd/UsfpBPqgrR6ky9gIgzzguUYizUOM0D6pwyYARS0Itr1wDAxZW+JhAEAl/OkzZHUQZPh5UcRfRtkjYtA6dZw+zLMvJrtGHwNxBl0dkRmej9YWRlcDgRC3fbw0WG0eLOhr5ze62WUG74uQQKSJRbrKO7mYUBX2TU/JrdBzVA+JOS7skYVI6heQVqQ3aF3UaNQTytxwhZyy7QpAcjPMtrnyMMvOtIB6eG0C6VFCkrR74ywlvDVr8kzJZGATNwk4MO0w0JiDZc5QDRz24UnL22WvesEyMM4pjfcQz6EWSmwyI2s9T9kyn642XxGeVLxsGR1MuIEjBMLLFajobphrUXovSi5nObOh9Kc0M+9Aa7p7SlhpkwzHOpI2jouIgdoy8VZMBzQCX4Z6bkLuzmUBhgfwNW1PstoFGLV+W0cay7BS22UBSN/MyaTQA5x35sECo080va9uqoU0kP3K1WJ2/G4oD17E9kFLLYhSIDXKhU170qyjfcuFKQpmKZL2GKTHCoxFh07SOVpJMVfmFo6RnHsoBHIhrS61MU4EUbFya7X9FHHUPr63KOXWDwEB3XG44/pM5nuQ3IutG7VPSVyR8q7bOlSbo1RCZK2iVVN8Y7+wldhkkxGxHxfywjTxltuGCxj5xXx/4BfTQW/ntbqnsJC8J2k8HwEJRNq1vFwcUaVNTmAoaq6bIukPts5fvtHiQcU0tGLOGTOSHLwnWqEQBtQ6/cc5o+eXu/fhE0YA6N0HhAJ7TgB74VoZWc2rJ09zsNe3RCCwDntOrz5TgG4mmvQdII53lUXcKpQz7DkYw9rmtUqot1CDd36C3jg1pIgsNI9MmoDPxhHU6dm/B0DuKNuqnjcT3c3uukqULBqEsvFbdFYKk0KiSXwBk16ZB3CdZFG5M3+shs3MR8Th7cVaUG7/s0CzMvjE2EgxIC+nkac9t7dzBVoc9OeHEHZcq2edXee4Lw38akkY0wB6AwRA+T4kjjjgb3e5VmAgBguQ191ZtnQg3UY+US1lsYt0pT3LhEPLtC0RpFzS+5qxhQJy8ljE6XggS3GgzyL8ed8QNxFFUwn9gj6xnpaz1NwcfQwo2xIPswDqerzCOaSGmYmbTihccFTa1U04Uhl5hYpssX+4HbMmMbWb0yyiKp2SzQIzU1/XgeomFj8TtO/jmctxycW4BjFg6ByUFyUDYtQDaIMVffaxP3KtMnnN2ueUHETGMMWQzY5cA0kcWXlnqk27a8hzd3sq4dgAL9ap4sqsKyK94Ad3Qz3Si+Bq+4qTyr0jVggFLEWVsoQDZtAUaEJt40ZlfJGn2g2aw3veuWkaSdvy+eQQELofD0NyRai5twwEaDtXcR+MKtMTOBpJJj62kcgpxi/uL3OsyvYSLUyQEGMtUL2NwfQEx/8i4rxQQXQt+bgk3cXXInierutcuuuqTBhGnBhg3zPtrFSVDgeASifI3hTybMD40ppsJs1IFFw5iX482EVuK5U0EygHnkQspk7ACEF4KKTL+UjSzJRiVQimBeIE1Gkj6fRNSzADBNcYQh+PQ7/vkRZCmlEZ0Rl4ElyZNGnYDUcMMwKYhRd9el04azqvjiNdYzf3yR/fHlIMDzPiZfk8k6V41xVAC6YVVgCG/47wfJzPN4YWCqg10MScDxP0Hk6Q8xRCt/mhcFPgoPjc5f5L42XyFc0VNCm7sU5JogJE7qc8oMQRG3Ajuaf2U+HhWdYEBCcQWlvg7dE4a4BIpezNkfeaAvN/rphPXo5t172rSkvgi6LhwI59LyQWAPDOEpKgTIMpfWpJJQ2JbpzGSHWBiWxZIdjOXqXmSJe4HJj76hpyPQaBA2keL4ionJGpItNZh6RRaFc0IMXkRCtmrpIIcjOQe3VPV06Vw0kOf2oC4J+ImwZXInEm8UMsnMHQxjMSf4HYuMWMFEPS5JscJs7hhdYA9QS8QtplNo+JgzFo7GWEsgWxtj2TYkD+m+uYqCWuu/pCEVjRp3A8HdBBZQ2bFBh9gzF51e2s5mGfDEwSreZc4XmIcoDqMbq/ayupWnyXZlU0yNA5AlMMax9omzpZ7sHmEw5AxmuEXDHI/MX0Y6KriyMySVoBAdP0+WXQSyC8crnRvpxgYNJeF5SnhaQfS9wr6JAIM5JdcX2q8w04wzbWqrU/752oCBTQWvpdRlIy/lO9PE5f6gJHXMA4KZFZFEeY34JR9DMaZV4kaLY9YqnAiOgI0jyBcIz7Xp2yTpm+g5UynTkxmS39L8QBgQBKOH2EbZTDeJZU5XCwJ+pIDh6FOyh7BACYhTL0l1GjHcoQPVfCgCZn+XASLo2ZBinFubbmbGxizALAxSg6Mu9p5qA6Oq4zBJFmjN/hKPkyR2mQfj5rhLtvLJROOZu9K67KPDwIR7P6AakcwhG+CJPwGJF22yEPCkvgbGLASImXEJED+RhSdAsnR1NXwi7zELttfjwI6eTUuEFfDYL8Guq3lFWQyjzyuhlbF0fH66ry0tAi1llpDuYl1BMRv1kOyRx9BPiAKFIxaeWdINKX4ASMWWzveOLD56iWNgAJR7z3U8yD+/tllMiZVWTbZSfG5gu95uN0pSfQQPKbTY93O4ic7ak59Jb1IQJ+uiEODkbVDFy4nKKKYORCzXIrh9Ql/xEn6nJz48JWXTBLU/aduLX2sub+l+o+aLJDAPABDV4PYA86r0ToeSVdxyEjKOYRzgUe4Osyshxj6PfeRDzRFZ8aICxbRCycKEuBjFkXXJGX2qKObGfbXQswYPT1qAXLj40+cKzD4eArylaDHWszXLEmrceSUcVHxgYDNmtsQJS8czGN1l92bj3hdXR/mVBcBZMk80UVuLBOuxR4fGHDz+BJLCYQVnD8mSa2zLhg8gPg1bGK7FILkhg8qBvmqJpMi9EArOTNwNiMtWAbCNxXA3HOfnnMjWVNUu3Evcc6+G2R06O1Rkkq45IpUcqhFH2/Q45w53kA8KstMq4bAmAj0vBAjJ0QQqHUfI2/cdw/KSoGst9NOdm4bh46JvgeKDNi2XK2J5rMS3njKw8iJR0PUr7lP6mOA6BL/j6ofgah3mCOkMpC80+VlNiZa85VzxFeT0Zk7c4ZSHHcPlsVeHyjC8UCVtKoGflzenKWrFuNVXIDmp7jquIog3aModnE4KNLcX3k/ZTDiovqarv4IjYJE721TPepylEacVHuoLssARtfQd29cue5RHLt0X0pRKkCa3Hs90UuQguol2bA1SHaBA8TM3KlaEupUQxt8rcFJNFh5iE8U0zKZPbPupjEKRABifaf2gBhSHJQXUyF2Y/R2DF+4WZkZpB2MYtmwb/VdHqBfyo4ZqniiF+oU962PuduBvLP0Owe/ivc74BkhO4KTciGWFYgyeiCDXwHZcbL0rSMKHjTfk3EIGvJ4aCK2UdKANHolT+XGeFUIE5THLCwZPn6V1HOh91B77urmWhB+JkcU1NIxc3saVxAWaQV1bBlg7oC/aCeAfrKct1ScqOb8Vz8NYYgXDOE4A+76AwZxXLd6VDABxsXVw4+dOdiLt9S4FQhPC/QqpEYFoqsfFxdZo0Vz2Yu6DVmT0FLZA+t70klHq6Y074H6Arv22OIs7po1bvOAdsfCR1feHgC/4xt4ZNTEQNxZkLxZU24AIM8d8db8WJaGQWOiiIAk7SYSE3ihVz0Z0ktnDRrboP7G7i4U10V9ZfVsqMuzSxbRXdd2kqjvlJyaBmjZnPVbLopEK5LdxbrVNfnE9eL9/80HA49sfcubYwwVGGBYXYILPl5X6kMPOikv+S0Vhg2AKPfQnlk6gtKhbtF+/zsVFTcWBgNci5nE1EET8RCgIhUWnDt/RI+Bl9+Urpqe5s3w1kL8BQw6cERbElp4DEvthcGIEu2VOBX9VS2pmNhHAPJzP87tYS7afaCttmvgUOzfAAb4PjaxjQhElzR0CqhGM5kvdURaAuSOgyYlznZcbEsC8ft+FCdw4qCbXsLcqZEIBuXd1ZjmRF02/FxCd1ArKw1ZuLLW3rv/kbk52tyNM4ww63nOHIzavUoSEewl8+zQY58WKqQScTPcUgx74yLYY4a4AB3dS90JYVv5hV+vipq0Aemjr6Ho1SXjD0NToUvTFVfFUG8g7boVJFx1QLQYiQKyp7nrZvGJJ/VJP282rnHCZ8AtRuKgCRi34se9ZyivnzVk42k1i/PhtoExvF7eJisYNA2Qoc2iFqArNzNIcnZgCGOZF0ih+K7nuaODKu/ClbEyrfhCs6Yd6+L5WfYFDFgqds3WPT7NvfJkVcGS4x5tcZkBEPSFodzXouJuQCEEB4xgfPaXa7IhT4O+/BedHJNTbMPp7NVW2b13HVLtBvuTDOpIeyq7qgACl2kAq6TznjTIrfgtqHtzm9JEBBhduIHIKDhOp6+bkZhfRuVH7Z7EDWJtEq55B12EB27fQEcxWuQHcMt7eVgOMQHj2CNlhl2OCHvM/yD+VhqDywwn0EHZfaIE5AlkHe1ydirAK5y4I2J1OV05x+g0dPbZ0chCrdLWlWutHXV7rR40pkE/O/nET4TWRrI3zHCR+0AavpCRVQs5mfhlHZ8aqAV/R834lMPZJblIIM2NFxnopUto6KTCDDzCpw1+sd5M73GQjXEbr9TIDQxYmk+Qc+LcMqbvv/1YAg8GT2DkFjhTj7J1gEMFvZdPhGaVxkD80DLum+ypNC2APhXdNiM7G7ZaoF+JOfAIkcz2f4TUBNLcG+QBageM8s5diPp4PJk4zY/edy2DyQ8XYvBrmXKj0lxLJU96aUEunxDGn8WmOsqfKQcgSAPtQHwlnIRtB8A43TBqsfIUshuk4+pcILZn5FtnajYKlDmyMSaO8e/b63oKjQjwsmTn0wlOwhGP8l9FinY8kxT6DyQbZc5hMAqshoReA+NYaE3Yi8IFzm3npnJrtI4OlLimgyUX4mCHPDqOki6cPsoY74D0jX12TQkmEf7yqAVW4OqNRkk4rmNJ0UhokJr1cB7UPGV2Dnhtug+NJNTRMqomDq6hivy5ycixgKzfyT4Bh9qrPFzIMUW9AGl1caxdmTUHkrBhLigNQ4LpuBjKrYhowwsEVoTz6VKt/4aSM+Gee8RrBB6wkhmHagOIerpR+iIlulEwxt9gJQgteqGWrFdJ6GI6ExeWAcHFGVONqTmEJImPDBzNqMaBcOx1FZ0sMHL3txdxJrxnqnF2DpTqz7+Jr8pVelP5GniDxPz8VSJyCSB6a2sbR7OA9EVPnmo/h0CCESdLlrU4i1/kirPjsVgCg2uZE2tBMNI5WeSRHQ5L9b80gBScbgvZDCDu78kqYQ2CL4s6sYIBtAO6PXfXkBco7bhtpCF0aysXIX8PAuObHp8ElNHzw3LyaFMi4oSAiQHILLlLFGMBozh0Slr2vBbKZVsT/hgr1v3eRbejtp5vqDLf1Y2Qx8Z06ovdKg1ammNVCX05kOaEaM4QBYTDDgdhwz0gTibVRYszQD2ukTizhNq+D+j1geRw1RnYF4jeUN+ASwYtNZd2OeUX97xFU7fk+eT3McrbMa94GklBX3EN4FRJOBzIz733HG/kxMEvgBxEAYuR7Xscrl9CWInNAwaQXR40Cp/UxdhaSYOW9gH5KUHBeocGSr1zIH0kfdUfZblJffUJkw2QjBolRGcJ0ULQ6imm1VHHWVzBWK9tejZ5wzwVhq3qsOwEfdSV/dFBecTVXrjdGu1Y3+XP0+hP0/42+jarIZziDbR5cNZhevmj7o4O373UI8ZmCAjz+7OYmQiA3kLRBZtSN8K5+F0b7YCyaHwq4vbZcFVcMC02hEHjDoaL9BOoRAaDHDXriZRnRW5DHbWfBSNGujhnVS4PQTObyaVNXB8guvshfskice6ku4uO7mPEidI3h7ktxrjBkN727iKOO8MwsZeKgspovZz1rq+aG+9URtypd6BqMXT9Vg53f5spDU4ASc/pGH+Lx2ynJiurRQPWu6jaR+lFIO58SDaSCwz7YMjCxVMMJMBJ1QxJ2vbKrZ0Np1/VreH2hkFRcn2cj2rtV5bk2MHwUNn4jJ00wnuye+to9q+StMP0f16XWLk4G9PVQcwHSN3bL6ZAULTrCv3n31Czml77PEdcDAHEbxWhMZ0Cejhd7Jbpau3NRpSGrIU16WaAkfRWlexPNPu7Pb6wNt4iOCnOATzi68Smd+bno4Kkdk93su57La7VaNpP2pgTR1mD4B6QdricSScFqejRLtPjqWEza7ocsu31fCDPYSK/KD34qMKmI3MiIMIAcuTgZIE5IHqDsqZmM2wY5PptxGALILzk5Ab1aWzoqpelo3YRGfQDDFraRxcIr8EAx2SGmueAMa4+IXESwPIwTj3qOACX5sYDxzn+c7vhVQ35mKY3OmA5hqtyJwmSZHev61lVfIJcSqAIHEB7jTPsEy5IBcP0p7Ukbb6/o5wvkF6Kc5YKy5AU6+0hgU2RUEcayxUGHDqX5EJ/NeYefjwphBIDo0xH9hPXT1drUEIacaezT2LSqKPxY9ZZNK8FZZ6RgAJ5b8KT1eg7gWfb60ELJ88OH6uzhzmWtYl7mkR9sAJ0LRlm9mZwgHPcxFGjz7svwCmnVIqVYWC4TyWj2A7I7DAOWV60L0Z8kIXv4smrN9eZ9iy/kq/eECdSPl/R5nwFnEsR80FaOQkGLQZBeCiBZH7iD9IQZ+7FDcWAZEo/mQaJwTAO1KSoWjQX5yKF6RkguEbiEoMKSHviykQdAFm2PqNNhlc6ZzJOTikYOn2Z8VaeEvZwAfJxfiaNyaKl9Cy+kytdqrkIk9xEcf+sPOYr4VWh/zkYuXuRJFxk4uYLiN+M3BHGAfiOekntJdppzhxKmfteEau0s+WSrhtAmOzreentFxlCQDwg9BZlXRsdUWrBkEbpPCAa1sM5S3zDJHy4ce2+I0lf2d36IjNYM4UAKTG6oS1XIXBG8zpzsoxbwItf4F76E5951H7NY6AieCpcVF6ulNAZzWOhZl2wwJK4y1Km1VPo0WwRewgiH2BRvjaN/HKMePs0Wc0wkI5jlBfLx0NJg+LGWuJvkGfGFXHMdTX3S8wji/q/Ipar5bMydjH1BMEY/wNRQSaQvMceJtNENbxgwJ22IzVkwIC1sbYkt8JSEowYkPbB86wfK5C+WXwrw1ps94FRCz5p1EcOM4viQYgo3XmISJ7zOXFUHIj6y9BdjJLoceCUV4kJAT17KdWJSTSB8I0YMFJIwqqvg+QVp/WI0EOxAw532BKmdhb3XRoVbO014PwDI+bG5pUYSLZf3bj8sgApX3OkN82QdkA6Qa6nzLTwN8i0SGCJ8AeOxSp6IL6AdD1CQJzGgl0pWU0oSZzUi6OGw3B6wXnPNS7IrPvEUGa+P/oJ74IwTHsQ36nAdL7xdRYa3cysR70t/XLTp5kjjC6SX4t9kgg3EE+QBKJ8zU2mOT4TRz9fy9nU3tmeWRZKGuZpXYLkK5DjSNTBQWfqvFsqevba/EofKwc4CxOrj+bjewpLoisYMfd6cbdORHgGhnTqaiUZv5/pu3I4eflm4tz/oa89WbRj9d9pP3BsUenqn8kvM/3cVf8a3RWA8XAclG65pm8e+S9J/kIPv0FMk3NaHmEHzTDI+CCAIlBFzntYBZ2fT/S1W+aRTDQn6haxxAWT3CEQJwU48kwavafpNfKARbOk+DD0eNvb0TaGVvXYztwMbBLHLMVbvQ1aisCX9ZjVx12iwODbtZFgGeBvRXopDWug8swrp4iyo4eS6otBs14padNS9CtL+b/jQnDRQNcFMLFbhIaiXkfEnaHAmKVvpl16YW5bilt3FnGl6cpvqjjOKe8ZZU+jK1v8D6xBwFF1Sxqyz19Zr3Pu4x+3loiq94DsSnKvRq7O3DRkVO3kikEyrVmW99j6LB5TFj7a+jT/UqGzgxqguhbgRnxgO9d2FF/qhpHPzsbDxPdZTzTfiyS9li4sTlZ4hMoDFsqxctgL/IZPYBUOAGAeVUNte5W7iWAdHZI8j9KgolBHdvMIrIw+xI1C4C6JEvh8DZWqLMGANcbgMSARqSn6iRUBm+R6gbjDfCsyXc3Y8j8ylA8Y5/DHvt2IOuR3WXnQalMDhDQYda80jTlR0QIwdz2Z+5esqQ4Y4ABcug9SLqlZiEoP+6PNoiIAXGGO9Nk7SWzNyWUnGjzVgScqRlJwxCU6EgB0kWTYcs/rYcknBrmhtb04ky3Hmr4C1k/POOHJ/+KUBKLz7Btuj1rBmBAqZVy7qs7tRRT2mjPJz+Y8t2B4MekmznDN58RgIiA8sCWR6iCAdYgq+5ckcoIiAUMvgx1rM0+0Fg2HRYagsx2a2M13Sg9jWf4WpmmtA6Yyf2V8w5cTmxEEOsUJoTHOCs2/Ikg2h9zyuckrdAZSo/gKXp/EXemB6AI+zO5BlFz3eOZh1EkpEBpge25Nw0SX4sMzByJ1HTC/p46v5Ufp9m0P9faEH+H8GHGEp/BjGsPKFY8OFWOwWvED3NE3/IFLuAgwUNW17S6qd01vqqCv34YVu/HZibK3U6RbJrXvVK0YPXsb9oLS9ffeOpKsC9TSdTnaLihMB8KlToDpgoGhIJ4KpJcWpxe6lAOOE/QKvodYGB8FkiHYV5J1Id1iwSMYkNVorz25QuAHXFg22ugqY3zZ0rVluQnTWCRaMdof94uNHJ9JXGTfU6EP+/yiFb53zqJJNgtKqeVMjOfhkR7A9VnVntSER/iMa3hP3jfTl24/xQ8b9YBOs0Po9R3bZqnaGAxgo+ZoJamlaU6quID0QjdSeTDAXRp1Gme/o8S8Io0MmOWSMkP4U64uzd/caSkgGLMWGtCS7gvUK2DUvcmH4pYU9a3ZpDQwzhGnhgl6L85OBQclTVGBYf4yuo3LyjvhKnqTMUUOAnHVHvh/WfNZIM4xpHKcJorQg9HenCA7YvKc3mmACX2uHO+OckbgCTcsi/iBaTN0iqz01rCHJD6Y34QNnm3bZ/wyo7jE3piLoxpAdE+7neynxOkEwhGxezHWgnZU1IcavdpJ2T84BhixAwPhmGkg4RjAPzBcqgWGszBCSWM8hQBzGh2Ga6QXyllnjlqmoTsgelC/SPeUVI7QNS4I9SZ+Khi5YrA2/pCjl3dE84BjHozzXZELbEtAnq7muyJIUUdgjKc/y2OpaEo+DB3vKIh5oSuNYWCZ6QRW1baOUj9CUwBZrnlzRmtjj+KDVw6Ekg4Bc+e816atsOJpElQ7kE4ATdlthegBuFNrhPhDszmqT3HKQY1imoMGI3x7rEIXjRfUJC+id02qz8AgF3i9kaMkr1sesqieAg4LTsy37hofte97/GOZngNpeOWwyY62SpJd8yUpKg49Om5Dk0X90DC/5chuZwafVhIP2/uk8NQXkF1eS0x9fDsGIIAxUeuNcoUIGHnH1PkA3tqLUByn1dBm3AFA2JtHaQgKCI/fGtcwgzG427TrSiKOv2mU5MDAdx8LpfZ4hZkq4N74VF4tD9LxzDyb12Bl+/QDowAhGOGII3J4E5C+xXeCAvYsYAFYkPmopPBTIOsq1BaQ/6DbMDT3Ahoi0o2Xby6QZCYlVZmhcBgfchkEkdfS8kLIgXMGFqbCzM2BqXMP3GHyxHyBwU95G2cJUmZcoGjhbhTsougvPczkV+uuupHziGPoPJ1NoSAILperJYtRlEDWeWtfp7DeAkgG5KJZ9AesChlnUZQXbaX5l0nLAtCrcRTVN1642EYWZwKj1KYAohnXoi+YWip45TXPIIv1ht2w+1HFUSK/tSvahlp/+8Jh6RmkRBdobrXS1UVOAOhl6jrUcYlC5hwC2MLMhBQB8V4RoAcG32LGdvi2Ce4ODLkGGU0g4po/FZvtoXdg6EXeGBFIL4HZtcBaXiFW50uvSnnyDBvhQKUOGpHFTMXorTXZNVmTJiD8yQ3y0h6YQPZgSkRDQPhOA5ykT4D8LSdaapEFvy+XkqaOI8BJkIe0UZROOscDvWmTWauAxMM3y1nC3ws5izTobuK6wutdbOcCGos4h+PUc5zCAQN3b/J7++KxVvt6oYO4pilrzuZjHt/qiEIiQOOzTdDP0Q3wsOdtsVsNGHKblUdebZlbXB7EnCW80cM2GGAgs6VvIEqHL3ePb/vO3nGEG+AgfM3eYMXXWvoTlCsCwZgyaxIQdoGKOBoDBNVAvpzxOe84MAoXdkoovIAkH1V4UB8BjhIOMiC73NB/ZgO6evUS7uQFoDP8Z/J+q/9YMcsVGOeDma7lblTjDMRX4qPaMT4nmAMwZrTz4Bs28NaM8lMPWu3eaHlyMxz8zEqcEiT5pDErKLfM4Id+yNvKHpKdsS+AQb/Mkav6YrprIOu1XIjQAIJskKWE8+jDuQB9gVMGyHtPi3RSWlr1YCp+zCfnIecwa4tIaEqXBGI1d5UwN16+NfTHpdkXefFd1jauCAWS3+o3FcLngFhYUSHJ8qlPzWVwhj18DoTEwKvpYe/MhctgP0kFiB+KbKlG83laMt4VmZHskYf0Uy+gtbFVh+qe5Vwqo5nFUBo51opu7Et+lGGHYXNZ9TGvsjSAcxG35nAJNlAau0Z6byH2NKL9iCEE8a+DQffGKPCW3wAnS/rbi6u5KsY7kD5LkT58Rzo9qrNd4j5vmOgxDEkjJpJY1y/wmhCIBfeUnWj7OhLcqyjsFQgpj1+0rTrxLdzWa01tJckVbibJsX6Mg8sxi2GU6H4GiIzVUIS7Bwz00Y/U1QHCJUu0Y6xeK/6O51u+2OGc8SKiV7KuK17rI4KFfCQYx8tZuueBuFcJCJaB5qbV5FTehk/DGBzDOtFMQwDCANKt/YLd0NEPOIyTD1lUozmEVwP6Gifu4uEDpwU3Bv3Q2hH9RkjkF6+oN8Azbu0xo0wbEHZR4UQNiD+whsOLLcTQKSBfejDWq0EYT4bLsmTaSzl2MGbpD7wYLZt/YSUFigu38KhC8uXimkAFO+RBO+6g03waEgPDHBdHevAeI6kWlZcfb0RoslxZNeOHbC/+zurxcPrCLZ9j6mEyFmlkHqoDggulMm2cz6so61NzzuEJQIXobbOCj9T4gz9zWjvv6A3fOugwsPFLewMgtEulEayYFw6/mL8PyDuaNPa+HRyTXFbXsN7/6bRhK2Yh+KWAYO/dYYcCEp+yxFCKFwqY9u33VPOLQy57TxdH7+C4xsWffPbM1fJ6ckYuqaUBoqpfix3Xxq6BofOMSFruUQNAqwxGLj3eraP2ZWhwweJGQxe1wz5H7OeCAbdo3C81dnwPxRobAGDubUwq39gkyQGCcYe5ba/Vmnt0LWpJM0aoRzBytFeHPQuNV/QjoZmcwADEn+md01vx1pBkyVFVS7Z449vT5z+1zrjyIStm15MGee1LFlymVoD8rD5VWqkGZDlpsDgF0Egoj1wUdprJANJn2v0d+f5LbmLBros928DTXAjH11PHEHYkf8eYZR8KtNCAqBMHvZCG+082coM+STRGNMW7G7WG513gQgyzgzVF1Q9gUBFxld+E5cFkYH2bixJ/5JciIZ33KQHitIWcz5Dta0SJ81Xdv7y4rivxT1AIA0TX4uck4gSkw/q+CFKGJsKgny8A+gFjrvP3nKorsBk0+RDpWQesNUNHnoeq5a+Y1kRnqHn0QT1SxTO7Wkl6iX+sYDXxK7XMAnANkrNTcAED8BhvF7q1+7N3gSX5C/k7K10w96qPewOAQePcdXx82Ta4SsKeEAyCcMGoO9ubjOMHj1gtiqCmHEh+khPaczDnqCJwInyjRptBxUkmKBsqRICoWhsqpZgyIB9wsomyi9/MsfHsmkPtZ1IT2Ic3yL4M7x2wnezgUjk3CMpfpRG7lxV+Engta0g5KhEDD2j0aOramY2Lu7NhzzvSLA5wV43mq0teFRdED0sCxF9Ro5MtMiuBMS+ZFY/oftYVWhDi63rHcffnMu5mzVJ56rCjHjppRGyPV/5knc04Otiwh6g10kPuZml9mvvziECqYPjT2nXJuVWSdBxOjw5VeUBcXy9PZ8KUcuj91aA/dUnNIGYgHwPMmXnBAOXSDWF3pIeL45BpSUkgGCCx4cVAM/AQH77KyFyB9JqSi4K+aGON4d1bFiKj07STb2HtN2GUv8PfbGL7t6tcTUMAGQMDCvQqmSkBJ7jedDd7N8Xhg6GOOGmx6SRZB7rzjFMRBO4Z0eTcyMu2DQgYlpOCSjDAQYG4kYIk6PmYs9UE01AuAFn81Kh7UUk9SaPCrjKj6XLuU/xrdBjIODhYPZkm93RxP6Jqb/b7jFwGDODw+94O4notSU5GlExkjPDNNYrPHvjgLQZZhM2suBjpXkzqMgc6DtSiZWHtG2oHtBeukzpWAaO2vBC+mnMkh7spzi3q3wGesvvbaq7AxiJgpOp7NU1pUQIQZlPX+PrYYjr4GfAPGd6397ZmScoMUebcWclRyA7+nOP7ShUD+B2ODXTk+36aXhlSE9P0Z3/wbJpeX5f409w3HqMmjQqLEJIzXR5wKz5ar/bqMjdNllR9PLiUISuPCI3KNUzR6v44nb7C5sNg9O+zHi1jL+goZkcBETsN46lTC1X8fDhIA7xOD7z5pIgLDLuZSA4dPkri5BYfaWu01dhzYOxAJ4zcy0W9rI16WedcxoR0Dzxw7gd9MGEeJIo1gVn40z3Mx7kV9zRt/JHRLktcKqK2AUNqyxGJWziQLWl5S9Un39e48lUeZIFN4jfjZqArhKXYyVH+6vOVrJDK1YNnWwvDtsIcQBmOACBldArG/Xz75FGzP6Y3d8hhOod91jAUPHEJXLleNvFJLMvfqw5LRQlgkAf0y3K3pMPm6ax3skcAx9EG1L4rit/SvdaEgEowiixy+8V7KjNCACeZ43woBvcA3C6uYpDEAwrVCKwFxE/kTY2jStOWYO43ByZO5qIv4BylW8XPX+Wpc6Y8UzWAO+wW40o0B4AGOXhHxlMMpL2laJnqP7cVQU+r2QWnJbEgDkC+n4vprbR+MUQY/cxyLaQh80fkXsVUKpqeb8KR1FwB6SQ/NTLc5pilqVDnMD5fSQYDgAI7SeJvskjayavU6hZN1YV4vYXBeKqb/BPgXdJD54BNN8RWoL/BmKRRYvyxwBjncCSoBija026b0soOIB1nOFKWcjBoiTlELbeAKNjyQJqvxRXHXN2hzZFKB0MZbxCU7KAfYBuX//al5desfZAhCyuhGRw9ODeq8Qey3q3lujJJcuGc5FIsMqLESdB2p9uDo+m0wwZdc1nQwbIJKy5+pxz7deKmPQkQphL+yTft6nVAj/MffUwvPcGhHtmprhwLuSR+p3GAjikY6W1Qh5toELcaest5IHlXEG/GsMoWyAd1JGzkR0FjMKTVh4lvGU+/GPqIYEBQw5CcL9A0armNEM8G/Bl7cfzADFenXdzaYcPkyIpV3TWH6g6q9iwBF3G6ZvrOqWmA8Fq0fndkIz8MjPJlkknEAcn6SqQoKwxFuSDGh/CLLgVaM92SVRIkcdFOYdoTLmj15S4RSgIMsYMrivx5VL0Vj0mAwNj8AyuNQxFnBMaQDdZa8dR6koBR8OyeyugQOk/kprEK9e0aJfmV56VU5gyGePUV340AkDN/W0lmJNt3PBVvTdSliw33pXgxPdGAVgsSvqFJuS5a69qkNcvoV5Q5+0Y3EZEd+glPBVGA0N9HAgCLi8v5oMkoCc/9xToIGP0jypcD+dVPThljkPgakHzQihwMXTsihSY2EL1nNXmTBC0MxR8x3cXn31GlDxj3n5mWdDz9/S4Hcscu5Mygs1thYOzwgXH3UmY75WFWMGhFfl0dozzn/KN7CaAUnEcf088D0d46vtKKDiRja7L2ZGBYbY2rzJgfk7iC0Yx5j/G7aKldz9wo7A0kL7bTXPDty1FatkEDsAJ8fIaNgGSp6BF02/fkXtLCJdWb0i4o9hB5ArlWxhYySe/l9nLSkDTWEZdngUH+skpUMmimo/b7wFEFUvHvi898WG8LBt1LV0tRBTDoYB7pepTR9W63o0RhXnJ3JGOE1RPIFt2rQqq0kEMa6yI/tEdICxzX0E9aKAmGhuUvqY4CCTGPWJHE6nbeV6NtPBymlWeyUJaKP/9+K9y5o7MTwCtaJss+i1/jv0rC9+7gSfQNyN+7OztDiK6UAB/xBDgUTpySIW+qkPwBQzo6KQxLML56XPyJ1S1lWIMoXGZmrMxBGrjWXtInJAMhUHAgyKr+SC1FkCBQfVj/hR7HVCWOtUSSXI7z5t93jZDIMJwlwXvY7Na1lMNFqvGNmOm/6ZfFdRm4u3ji/IOQ52A5Ah62BQGSvTnyT6eKEkdSHVokUTtl6U/mI9fTEoefB/N9r+kma7eZa/E9XHWkM8JukjsQa2SbcgWwtbSevTRiUGOlW/ogvQ3S/ED4i/GVJfI1IL9mJxNMJpr8slKS3G/sy7aGQWNm+o373U0LzOJ/XvaT9AQfKFiQfpIwfaEzt5gU57+3de0pOyRJW0/2MosPrFnzqdMGsavdsDfIFqPrr23F6Z3M3oz1PFY+8iPO04VLmVxenKmiudbiB+7sEHpnaHPZ/nsWH6Wmb3uKe+kA0ds9wxEr8de5f1bIDwZir2g0eX57Vn8xQePucdTU5y1bG4YUwZATxwVcClYUbWnKZEldfHdXUfx4MgP3u4z2ESxgHUxQsw/EaLMFFg0QWo1G15ggudXBkOtch3sNhtFaeyH1pzOXDU3XAYNmUiFKfDW1J1uKvCBxFq1mt8n08s8zaDfyXYHcwbeMjrITQPQthVej79ktBS+bnnqD73vArvj0iR1Zul7CiwLQUvP15g8D3aaDJP5RRkgD6UnVNttgj9jakyMM4n6kRk3H9QlR4zEg/fKnZrzUIdDxkCTPZiJhVyPRi8KXQZH2yJmXgDh97OMpwFgjMTV/eqZoVxskTsLw7d5bI37lg+Iast+y8DkQZzDFRYlLq6ZxFj/Xt+kPXLnUSoIn1TQcKU9LTnageLC3DDKWxNbroSHLmNGD4nNdF7+TJOWqQUnXqm/bFygF0JwdWSCXopGDpDj9o9m6H+hfx3sxyyA9xttzzkP4fea7zKUKm8AHTAHP8C043NOJi+h3uzytYeDi1XSPIWL0I8eaXR2H/GgOTXnAbRxwBPL0RaKkNhDbfYjbh/uwxmkb9G1dPXGMJ0Kz81fFhZsenNVf5a/U63brstZM+PmVcr/v5DK7aPuCTuO36tiY3xGI/1JDO7qAUjp1MJu5nYzjRJEkx5O9zpLQaWb0blrJA4RdpnNKY//o5yf9aTL0PRD2FSy0hcj/aSP3B0yblOVhJqeT9JZlIgtXXvDlMsbMs1Tx7nEHwTqbLw5xo9djFuw+3MSgqHGB42x7Nd9LOKkGQsvAsP9pEl9fX0ilTuJeWVIBMQM4kH36ED9ozdDm6Vt8CVd9Pw3z4dDKr2z/4Baa8m46McHhtlW8uWGHyEYBH50uh88geg7E7ojCOHsPxLkjR7tlI/sQkOc/rU+M3JD10SjqoNFeHIhKhaGQsuhZndpZlOqVEvXN0uiBHJtLbEmChe/1rwxXL5y4mENtB5IDl5VtQZL0iRmOzkiS9ZLvTo88opu3fZAnA1I+kr2Y6UlsDpQhLv1/uIjlKgnfd2xaGI6e7ptHhglh+H6uvHTeS4K30s96MhHR/sMPMg1RIBE1gNCfg7hiNe/J6BiCN9LKwY1iOgggHCSCc9MMPJ+JuDZ9Y07IVhdmgRcf2l7d6ZHEvFuTnTSUduTivjR5DITPam/rk1oMbPFb2LmfVoSmLNwfzFQVIqdl+dcsAAG+nccl9f4fjWG+E3EyS7NdvkbFH3CISPqErhdKnPxAekDRCx5NrgvL4v+p+rd/VP9JkroVurKf3CjjcCEMmQo+KkgocrvKNCRRFn25ay/fi4ejKknAAfVqYAy0HqKgKiwvdL7pIYyzowpZOzOjXOYcl8XPgzqIz6SZTl/zMIqCzjB3cMUlYHV1QPn+HBlBgItfHeeKSUm+7NA2S4XPxC23WW9y4VZsdKBCyBvr0oa3n1g1O9KkqBQESH+pxJpDfUTq85I7GiJGffTiDI7Z8m71PLR0k/WN+ZRlfXYtU2JAevlkmz9W6GbnMQ3QYSJCpvtkpQ9MHbk2z0rjl4vUZcHkDzvYKipkQztWf9fy+bvOYQgcnKQlKsh00PJi7J4licW/yex9sDiHw8hhpouawsrCR59vdU8k4ZHrCrjxeG27gx3EJaWtP0xZswEgfDG3Ru6jHfZafLpv/pNbt2Xpv/mSG3HKak+mOG2Z1LbFrWH2w0z+mPxo3dIDF+z3xtPIgY29a7O48TQ6ljfGS+peNfKSD9xzZTD7JP2/A5XVq/JfS75HacTThisRVLzePcHIBEfNPlR/PsxD1AADydpa1XUAF4EzcL2mEn0MIDWTYfLKzB1+0DkkJLkEcrfQL8d7LYr3gppo/YdayPgl0QU7QXdKIy5eTTYTs79MmXkGSvfn7mJUAd8AZs2+Tm6woHm7NH1mbwOUkR5KPN1oq8/DccN8L6brHGBC3CCOyLO3gxGXgMsXIlQREFxwlEt0R5wAn0OvXkVRbSYlStVqbmMrFHXsGZo4DVuW+2faKqbnNsobzrt76dkRym/ZhZ67IOHOQ4fOxeRj/gYgWlDodOc7oqsoIA013NqRRlxrXpoxSk5AneXyuEMUQ8SyaXkAEPWw7QXiKUr/ct5kw63jt+1Kb86J81XTdL0wvH/TeSfbW00b1tZB8ocFfZL4eejQMzj6HgFNjBWEoGyzsncg6qijRlfIsPFwkwn0yTU2EeM42rTOachsyYcqNpADWEhrXf/wBPAChGn9uPwt+YwACznToTUqtE0BPcKtwWx6CaPGU3M92VGUm5gaooK5e8B0sKSG0g8O8KYLqm8IgfBAdmzt5XKtflm97TW/aAfpq87vVIAoJW9pv3HagwOMrIStaUwCcSgs5vWmyXvE5cbpRBGHgsEMXsLOf0gyZ3tqB7U34lZZ2PNdm2vxl49zx8WdolzQarMQYEWduOgYTCcHBc5QWOUh7MkcuYo4so7AJpy1+KW/1B8+Xy1/OVIE4ZWPGkZx7zImcnZepbyTfe1qglRERCNkX7uiYfGxa+5ltNeINBR9CAe7WFr+5CmtR2wgm1blwM71UafYH7g/E7cQdAm7B3jlQ+czQVaeaj3z0W8L9SVogJmYwlrVRta3q/G4TVX4+nC63IZp0LN8B3BW0FEtKiUuiJo4B7BtHvfUufiG/rniwSxYn2gvrPHOy4bPfGFsl8Ooimu1VhGlfWDQjD2uJUlyoYaM1y0bbbHg46wgmKyD6ih5B9zeSv4CbkcFkwQd1Sw98mwlsZ0PoKQxk7LwcfB1xVlEDJRdSNF5RKtDR75RGaTzUSu2YoIDNxxLiPfR6ypuI67FlVY1TbczqkrpktCUb7gZSXIN+4gr/edWeLWnvji8WQAhgpIbW11te2aMqy1d+7CzH9lYWYU1XHJXiSw/ljSrqU90tKu9nSbbiQMYsDZxofuGxXEZxQxQBp47zH1Kx4i+uzqrTpRak/i2EVfrPUS6gh1En/pkOlNNlplnxhCcCoulxol3clw2CaR/n41vvRgx5AJh2skuM75Je/hI86aFJRXG3d/2c79BuWxcBlesknoRgKHMXXVJmwIg+5ElzsFSqWkf1ecAMd6rFfc6lR8ZmYpp48LHn1f8AOaPSW/4pEFaTVZSpDG4+HDjQ5cwmUMe/lU+FQtkjQErY1SgCkYMC+NRra7MOS3+APmKdHvIC8f9X5l4M2JSQnt3oGNsLts2WghGlFU7WSmXzUu9aa7Xi06hJ2AJfp+1/s5Cx6A20xU6h21F0WYnp6XddskeBmYozkNhQC/owZnUaXwLrJhxYIJJR04veDLr26YqWIJg3rZvVEDwhtfXlZa1tNM33JNLU1vxS5jh06XWL54Hia3sq+P3GEftSgjyTAioleUUoeu2Hrls0CDicvSIr1t55LELDf5Z9m6k0TUpH25TQy9xsXn/R2RM/9io3evEtgDFlzdokCC4xo/o7duAAQIy260c+2xiR7FlQFk3xEwHqMcts0iqak0qSuKgSgUVuHrgeXygESug65UoSO01M8rrFOtTFv6Q08yIiLE2kbqE5c1fB65iYHB23FIP1eW2aq++lfjlfDMz+Q2XDRF6L/AzGy7n7o+K43lBkhlNIcgxo5oi1NZ50Bcb8HWCGndnVldpeQ1sFV3rDQvsmVvk5eg06VfP07RtJ7t+1z19mIbbY4t72WOrfonL7PXeNS2nLwv/UkcyWK+SolDc1beVdo4yNigsBpumtvZyazp0oWtCm0ypgqGeqMaeXQ5U3jRW/UH+eJq3RaezAAYqi3JmfesW0+zlxOYMWOGW7m/HhbxBrTXz3pLlKU3UN56omt/0eNGcURW/36gOrnOH9GC6PC03ErbSTEksjDwBGgv6PKzEOFzbKr69N32spIYM6JyZudVH7u0TRv3we0X5WfF66QOO3wcNrl01cFZhhSkrpLfqomDUo6t6GKu1B4H48twA75oFO5Dy/J57aZ+wScGKExEsgFVlbi9TRyjcw8wEOAstvaQm+qisCd2al7V16U0SlLZ/q+nbnFPyUMBwS19Z32hANw3RHZ9S1aZ66rF0XlYAyAnU4UAK1vcbMNPgiEGWlkxRXAmxCxSL2QG5wnw40LUeGy2gabZP4teMA09T+eAzLB5vjB4EBBq0zxQZoGbjJ1hIk1YdLE3FeSjIbkaEDrTTpMUO6xVTcjOw4rbl1huCFCnLszMp08Q8oAHmyo8ty7bGjo/cZTME9JXFSQ0z45s3Tw6u6QdTvXLEMOoYAma1wCGqpNi7LH1u55GObBqYBsLkFEtr+L/z/v+79CAm0/qlAsMPHGJyq7cd33VLSjvHWvFRridZGnB9tMGdN75te0/q2Bo1RTk7pI8Y9BEbOYgs/EZmKYneucJ8qyFptej1qmNAdwF0lJ6K5jk44aahreZ4Cg96EDeo9xuTLgFl0X/oa2/bZqz+O+mHJdLxX0hJXKv/Y56u1Q3M+K+hiwL4Z1QnrvsdbRYH3MFXMsffZNU9cz06fcl54Iqa1eerXECF7b6/ivubFmvDtaLIxOou5Ft0G74Y6RHSPLXK8PfgTT1Gm0yGaRK3ubdQP/ns9FmAEAxR+15Le4Ge+GuWnhT4SdISWEelywUxsq53CoS77krXDdny/VFSqLu/PUsfk/3u0GlBO5B5FJiPPOhSKS62uwkTKAvYvaK6vKUQ5p4BDvKtzXfJJqPHJ75i0g4gebTSLD3f+JaLnbm5E0wQ0tHsiOQoAPBBf5nK8fDTam16qeOwgGeY8Vk8QONFSSp9b46MHGR6AuPqaCpZZ14s7xJxRwVsckF1NnhkHN4X32vJ5VeNrsnqjCKaQE2sVfueEAD5X+AzBRlRdDLrk02SwmjxmIeoZZfoYiYlq2Q2qbftpotyPZRIR/zJ96ttw9awdKDIbW0Gsmxbebm5YTUr+cOGZ664RzoA9zcEFGWKro/f51JAEXUI0J447o8UAANotxZS2/FLmSpaE8Dd5hjbT1c+vyUuP9AegBveOzy/a6Oe2uSIJq5lF+vIZMAViGiiSX6b6TRkcT88uRXmsW1mvsBDjYpMBivIXuxlNLWjII+0fVkaF4yX5VXnnLqBzNOGtNnFmZOTOGxpJhDdA5BnjQP2HDtgkM3BOKL4PGaP+NcGs3foYFAPBXb9ko2RPjNDsCuMwQZzss2Wjb7E2lP6DvAZPHvHyHf1IE+A6ZYiUxa0EEkIPJyrLC5dVpEAFs/hlXWbRQSQ+PRt6eIcDuJncU5jXCwN5up6yW6Z7GGwx5iJApA/2oskcVJm8z5kLknpJ2fX/8HF1sinH1wE6Sw+l02gvkncq7LwLxI29Z89QuQ0n7TpMvAz2r+tOarJDlu2pSdQHdReeqrvmpbkwIGo6vgAq6ukH5Xy3cca+YmMh0j9LkBqOdccZBBfZ203FVqMQNY1Yzjrg5FU5OIZu6aL4ivdGcjTKPOWa/FCtsEYYkRQVyIzzGTyZLByQEpqu/0syAR0xmkbA/Cd9TxxoEBe6ZGTK/YsfmPywvXCOJOVwwM9pj6VeE0cZiZIPItq2V5H3adMf2ifcUvkLcvq4TaC0K0Pt7OgnFkhPfbGpM3Nc+V96T1p6aErti3ihSvL7nbScs5MecFssTEVLlomJsY42KHbYHH/lb668ZlIXxVJqvq85X6Ut+CNFmiTSrw1HthkxC4uqnOUTdjyByyJr88O674f7x7SNboX76o0d4s2+LEPUQLoLucWkxdusCRaVOQt2kG6O0bV7UM6FWHzf2rxibWdyQPa25nDGdLG6mdbcxGQdPoGsnzPYQZK2ExqpHffp5VLwKJ0fI+i9xSWX1dfTNcqPti5tbQMouUzjpLHlJFXAs+EEx5RESjeHK5nqWVwNJkk7dyw891r2R27MUNnzfOQnapHOoTbjK5RtaM5iHvMFVs/yKAjv21J/XvSlU8mOePEW8wzAd7i5qmL3uqdI/oW0fe80+LLdzP7H78xNoEr45rfPGPo6GgrphNnh8fqEdkfeO+5667M5NWJvsJMV5J0aLthdKDWa9AqYoupRn78RQ3atMWIHewtyWsuOhxDHUII0bPSBrtlLmYPhx34nvN7wzcwDE8f6q1YcHukQUyn0Azmcok6dACWaD8PQWpFgobkw450WBjn9pIgczbDWJ++uMvcIIh+z0z0Tt+u1OQK8IXf2I3I1BZX7t7Glw5NH2L44UrXkUUCGMHjHkNgptzekOMbpSgkYE5vOeScBCDLoj5NliG+y8I+blUEMiCu8Z5NjTRKWRbm+r6VCLJqgqbFYDKDukiP9ECKiNe0LPiv5HtPJ139Cy3c36XNwN0gxyrloX7IS88Bso0fT3GR98QxV9+E908fQWGAryJKasTKoksELEuqga3kaEny6ASQdu7d0reTNuwU45vQfhocTDztiQIb0Lp5p5QzYK8sF4WVDiRrJNKNV+nLK1+bstBa6HYfmg1ga9lrTJsKpioeDgHdi7TWNF2rAunOo2bAia31QHH8Cb1BNkhjAl8BfQiXAUg9NLC0q2PxayYPre/F7eyqmJ0mHTeqUofWifHL8No/ytvXq+YY0Y2OhauDS2K5D890iipCa0BncoPKCtLK0mfwnREY+cEdqcSd4zZN3F4D7MY54xwGCtN3kZGWlAuZ+wQXVxaF5FDg0r/a7wJHHjiStGM5ccXFlNtGOMAWHeLGhyM2nIxgo0uz4Uaui2oRRO/N1lKeLah7jGhNeOKrtHYO6EjXjD5p9lUWff73v2w52kmlLPpgzovYpnAHu6fTnYWY4N3X7G2ICwcnjCN93I9ui8219h7OyVEePJzDiL6Y6eJguL14FyY035XLvgyk3z5lq8Jpwbw0+IG5VZVAO2hRPx1oUtKwDkfvDT9JFy59CmJsBjSPtXiSFvh3XMKCnvcrbAAKNt28p5NBVpEDOx+G2Yib+laVsm1bO/p3MzIAPG4wURZfAfXip12DEWEBFlLJ3BVc9k4WelPp9X16OWtQ82ALLlGTDXtg5LN3OHCETHMEQJrLkb+cnRtx23DXhcReJkve3yLioVMNU6n3xw0XtCvYfsBiiNa0TRp1IXtB7U0b9SkED1xI+B6E6pDGjhB0f25wyAidRGDBnpsZuxoBIPCT6a+tz3UdPBwWw+u96t4/kv9Qeg8y9EZlRV10MdJdKgYW+d+mwXDLKhRafGAJHpgeR7rTlKs7GKSD6uCVohFua39BbLuk2R0ip+Rro190yyLcP5805OwCYtK7cTvhikxAI8eqjnO3t65vgmx+uQMyS85nTTd7FElFd2pS1x9VQ6HLK0pwgc3sQ6nszspe1n/+53/83//1v/2Xe9Cn3IUpeGnQ0ukRPOthi7LBzsfTNfOMUS8uzxFf5s4uj8HRWdg8b5ji+GVZcNJ/TDNv3zutwxJwkH7BtzZOHFYgW2oSVRZt5u7SRsFt0K3LZVjCzDVq4+doLHxnh1QBgOZnp7k/3zlS2w3LfTdstiyHj8HmPVPBdMgSipFbYEUWHGq0vYQxu6dyaSLo9cgMfbF/DpZj/3sE4AZnx0cbB/kjpgTOSeADfHnPnyGd+TYoYULNGgfuup03RQbfiwzNpHQGNMJzxUtZSBksAZfzMvYjNvbRyjYVmYw0xv6Jia8VjtL7FUB6j1pHRlcCUEL3OVZf3O5LVG/MfzCi6tHyGN9uTFpm7vSQmzOo+eHS0lrcEuyiktFupCma32dDVjhdvTYGIyBNZWd2VcWf9y5EGHMGX0wN0hx99E/UK3+wauGclLyKPttd3cOK0j51wZmFgjuJ6KB1UkNtFdv5jFuLyBmBMp2vc7X9+1rLuFLaMndOjrlp5FPtUNf+amoZgGPEu2NtVbS38++zuOdrW58dBQ4ZiAMdLyW9CV+9NkPZoW3F1BGVQ2yLx4rBnCkFM9LIltEWQ9rTAagOsSxy037esO0uM7n4zcJVlGQTHt3za+hBDdKbD9wZPQ5Xg/tV17T114KOlZqCcXZ8gPugEhT03/1UF06UeS7ZlBQSbaVu0lsNKHOaFf1vm/iFfQ2OjrvlSokU0eVO9m3mocFmyzc6SUl2LZfMAK7gTVvNN/0GM5S+6pepT+Kh2ivSVUo812QN0J0ifWbfOWJkenvRD1CDdI3s7dBy8KzaZALewcLipxxkt2C0A1daJFj0sqzPjosW+z3KnNGsgybCfxOvvXdplcOeuUtDUem2c81ZnkKqGmQTLXH9xqij7UXt9PPf/1JdjI4AveBSWOuwpblue9wNTshBVtvrLIuA5wtwyEhj0bZnxF57nAdJJR4HQwZ2L1k/pQ/o+12KCmCeGHckGuFcJSRrtGIzJelKLwXqUPhAc3B3i8YMtStdi65TDMfkB7X5y9aKDDS3zd+lE7ZYyD1TdZZq/IA116rJDLZP+KiwPjouyZqVfEDaPFE+WNpqZLqRXdlvvEsH3+q30+T6+UXSsi64RY4XHir5OtWtdOd0+g9XRGUHfVS9ld7yXgSwDlzKAMgM7NylxIE2BqsMtplrnVUJIBXTcguuEKUAwyH8Yx0j5eXbyn6JYRj5vg3z9pIZ70PA2/bAxP6b9OPexL7YC7kRYuxuvSo26HTy4aZBVzoulAEGR6tr1wKEAfDSofQ5w1PO2QWjMC4pS1MWN4nDDPoW3KL1z2k15hvIemoiPd5ORlbjox6ZQzNiUEdzJf3pyPUc5M5TjjSV74YjxkE42ijfhGu3L3aJ5KvF7LmLptP91XgWA8GuY9CNJMFRSoqe43Adp6wtNDrHx21mn9PbGaTzkUWz6bHNwEUvRjyj5EMyfEo6po5HWzxHjWHF6RgRmlnck7RlXJJxCAnuwTR9LxDRDfI+awIVAGZxgPmVtJ5marvpulXxjScH3duyTVzJ31gt21cUntRYeVoNMfPiu3YuGlMQ/mUO3iS5OoaUtSPtZUNw3cW41+gR7RE1SXeIY1P7p4qsYRd72hBtYv1WomZH24pfvJUDI2r0Ia9N3vjKNLRxEo3+5BIQTq6KkoyvD8tdH3l+9TzQbT1t9PM9xHmcL5dWjov1WrfX38aKsyABoU0Zk/DgAuOcD/cGOJ5E84UreLfu0RuQd8tr/P96i8ugWtewKkJx4Xv1oidR20z2cNA6QcmD7X5LGJGj1prxz02e6bcsp6o3XPa16uzwvTHcddKm/5becnSJXjFxkpBSige1TygC0BF11aVyVN358aNz5MeNvl4XcOkmdWDgKqrZqZT26tWF0dNWHugWou9/PP42ur4HF5Px/MDLyKPPGzlY6mBR/vX+3K4LyGJKpYGb7qqIXQ5+OlJ+UrDjpL51yxdYSuGyyZLdouIirowHptrfFmC+eCD+7R+CwBtbqhsOtPeP8kIDoGr0YeC2s+7DlZjpgN4mv3jYW2bn3PJySyGS687hNtif2lq3/bsf5t6aLVF8f7xF3Ax317zIhyIMRIX4T7CXFZcwsxcn619xhn+TRciv7OgdGCaWUlih12EYoOvUYlzdxkim/X3QS3HQv/zz//V//l2QYZfUMj1+p+hWVIJ05LAJstxB/BL2LC6LRWCZlHWrPGSN6XozXBBekSoReEpcFA4sTrx/E/oTNCG/z3QAuyxLHvniIpUrLfRqzaQWI5BOkGvgreylatVVS09bONs3yXrgdKxa0RtZe2AMuekr1daWbg9preauM0ltOHr/JSog7hwf70jPXFn4Ote1cqQq4so6XJsj+sHItvLQTh1Nnfq+YK2Z5iFN3APRLMAEfr2mx3WcZUh7CJTl7wW90kIzjiyGBJYF/+3i+wVIeqpXHTcVtddZEGw0rREdsLQmEewcO0zzcWbVk+FbwJvd+w5v+2wrbmhJ40QZdzApowd7lA+0oyjpgssNfDTbT2FUGpw2e6U1Y44LUTkd+W7vH2DkgKbPOCuB3NKLqkhXcbdZhae01pHyxzDQsqhuz5tOy62/aWUOkg69F3XEeIey+FnX6kKfMgRBg9cqUbwjPa7mnikRNFuLHjrjKAykn3DYtU3z9gHGhMIdfNXYuALPcyXsdJ2E/Dxl0bX3MW7q9eB2izojoZvtRqoe9YouSy+o8A26I2znwTv6eGWOjV6ypnwg6U5OwlG7LVsl6l+GjDpX4Jq69Uixz6NnB95ysrqoywHSdvW59aC0TpKlQ32oaFPzl282zWDRvmm4EGlKl7q4cDXknzFE+/l41KKVUE7yIkOlp5mMnFTNep6he2+lI5CtJY+BfFiBAL6nbveqmjboyiJyDbzrzKcsImNGG3rNxwPSXXxdmTBLCnSwc0My/Dv88mQ2nWjmaZchpNhGmvWGz3gYtD5r8Yqkg0UnWzx+io90xZkdBxvZaOU17CP1s7ih9+Yo7eMFOy3QSwiuKbOIijaDVmTI9tLyxhSfaNXqrHAVnKR23uAckAYuhmke+TLdfDgwamO+pEnOB+v855bXg2gOg2xncqoxx+kifbuEW1ck6uD6A/v/igC50JWVdrVbUH/5J0Qt2CNwaYFBdUY6fiuxjPiZxitplbmrTvO44Z7wkHDpi4Tpr7II1+m5qoxNd80WzaS4onmDPdTNvvFIQmIKPpHcP+avwiPMwKmGzo7i4i75/U61onKle5q7MpysGClY7pqkAAHoQU3GmaiiaBP0ii4uaRfQezOXiBScUPMkTixoyFQx24r00isXwbaoU5nJEkXhmJZFteIUWjvNnsl260kV1RwzS4t33h1cvcnx8ZVRS65SNJo8JK1Vxw0GlhrnwZ8zu8WUu7hA5ZcWF3at5Zhs2L8KrJnqx1PWZAnM2DRh6TQMezIk6ERbOwXCoGhEikZBO9wM5P1xtxkxDnKjcSdv1UXo9m3I64Mu1iU7szdKvIQn8sqGjiOcuqWVWygAt50m14Sd2yJwEOBE99WFmaolLXnLs9wIT5grRTRfPWesp1jlBmiLN1cxjytzG7jjejRcIrdkWiNh3+mw+pLj3aM6e0jppgl5YmDZyLjTz2xc3LVvz0gud6UauxedAdeVqu460cvm1nHcl2pgCkc5sMcxwJgrvCz68cfHH08MmpfvFX//tS78fHQcHNKuGXwtTiOv9NOPhf26+l/UhczLP/63/1WcjvvgHx1dOf2xVWZDACBEU20LQ1y4gSUzNfKmpEuao1D+z5jCT3p99l+Xhj4xjg1FuZhLyXCAQlT2x2G++h0/ZAVMwGI27ZavfOJ+eltydJFKlL7vLetehs+AQZYcZdcSSdSIZzY9vkK0GPokdJa/OO0m7V2/b5vq09hWjrmQXnEcwCHk+lGA7cBYf9GLZCRz5f067t8yndgO2ZhVUkc1pOxpZcmA2l4GsCMrlvSpNKFfbr8290Zvtz/pzED2TbtpUzz9kI95xaHoE6MCoqIuFDscdLvymW+6a2rG2G0yWg6DPlrxJLnKkgj9DxxMQ8baGJV/oqheN3nlsE011K0aRFXYKJeS+CK7To9MAHui8y9pqZluK9pQm+LDI/MdieF9F1/aEpF1Mdy0HA081Dak5M1BzvZE7vi2PbC23FlaMJAtrxvxd9yh3xR12DPmU0ylcRFP/81deLPu4Ogu6q8zHYuU4B5tOIcXcRmMiluH8k0zupBSw2R89YmdHtJ6Rr4zOWgsXj2Xy5XXUUytexrBLWpgpI3dFKlgkVe6VCO5sA9HXMUw5lyffbh6mwb3VBqT7DssmJarnfnjWtmrXKiWt6jbYAU3hXnu6SzS8tzvtdl0ThP+JBTzczmW49w1gxxZ8d3AU5YQdCnfGgpE1HjohqnPyjFqbVqSlCEARS563XLHQd004nkrNO9BuDkQ35t7wy69e2lRL7MhQBurncWr7Ggb86nuYNhtbhPThzJydfGesjafD7fDOHOtvay5486q4yb3jMvOtgReVcuvKx4mH2vc9okNFz/oJQzqAHmaVetkXI3disPNmXZQAIfVqlNT7rxtHcdAfVKIHLp1dLw+0cYEJaJNvnxUcup6jrLIoSBSpWq/UfsygT9rpj4t3AfX6TzsbU5LhjxLHTiVf+5cLcIbOtDCOIutTqP8YTrOqtLb0yRpQ2xII37GZSTg52ni36J5STZVrfNaF6ARPIgH9ETaYGVtcGtpNw8bfL+FQ+xh12TpVvNVF9J2o5cly8fKu+Xa09EYXZU1G+zq/+PtbXtcR5Jzwb9Cz2J9ZhoedJ9zpsc9/mb7ru8FFosFLha4X/pLikxJWSKZHL5UlerX33giMilSEiuCx8bC8LinTalEMjMyXp4XTLCmJrR074ZkiafIB6cmc6nnZwurcydSWnXcUtXuF8wOWzKcpPEljTdlopk3WDNmR+29iqCzWq7f7IqNCQKq9oyKRFTuXY1eUh/0Q0TQOB9e7TJTudiWZwqatvk5DFgqTym6+v55BLuGsyt93kSrU1MbiC8Mev1xiOihcb6ivUEe6f0+ffv67dungz2tq9G4K+UGB8orx2n02X+q+Pz7lS99yoLTYy97SCf2tCXplpLCtAZQL+2oWqrwEts9GI1hFIUokb0zzVRqfxzp1O+t8YbTSxXpOKuy4uXL0MoWcmalXDVFQrNW7XrSuTsUF3euJ+3Syl+mKyfZnKUPZ+yrlBDnf1fGkUmO55YqdD3p0VSzt8IKGpkjlasrg4StMyVSiqn3JnE7P3QXnH/euaxtdRUpadkiYG02nKj8eFFndAtVbm3LAxnUTTUtaEw+1CqO9gfTmExrk1Ha9jSEtdOreIIEgxpGQwMCvVrLUnoqZIWb8xim8xcWf+617Os8hZGOxrhUb9kqmkFPf/OVzidqwsfUOuMAlye+9OffrjJNpBOsS2MnrbD9QguYIq2nVRZGiurtvKL/4VbB8jO/I7tvrKm+hD0WhoZqc60/+HLyKz3ZjSDCTmEXnd/RQ8+cUgxXCHR7w5dwqyEEPUWMXtXzgJvfz6WxlcCdPmMM29nIo3NXl5umT6iLW0cQw5L8CW1H/Z5oVTIIyHQibmKO7h0ut+uVpX4+TtZRXeYDbCOh56KfEfSGDtDJNcWftPXv/D83bvw6sMEKEg0wgOHFAGTMYC6ss3DnsV+5Qm5F//Y0BcOsey29sK/ebqZ6DMIWU9djnDr1gUrNdKDawDVqP7OLE+TZtCPFT/x00Q0yzfMGntAby3NHvxVydXeyaBtbGaLRpqLtzxRAiz+rj5Qe+4D5gKv08b3saQxGVJZEfv6w/5jKlXXexspkaPgnFh2b9ffVQDRK8g4H9VyQRA0q1KMLalNLGClr/52t3xmG7vqDW+TSO2QdXk+gmfsAcLSN1XCYBtS6o393EHhvwW6NEl9C+8XU18tYDqxJ9e+lHWwDfnDuSe/3zUJC5CzOX9Wd+QL0AZ37/WssfJq1q+nnppeyWn68j71Oi7nvva89fDaWBIZ5aOoCmmFBuc7fzq6BOzfZOdSYPkEBwvbubloYcPPhvvWczpmYIng1WuZLC+9w/XL78d+f74k7lL12PbddHgrn59ceAN9tlIta/1Z4tLJbity1wxh6nRhs/O5sAJOh/iwTxNBV5ZNM/ytW8PrnF0qZJHZc2mNJpNHlrO2zL12nvFu/k7Pk09rU4Pm1mdu/dp/Y+F4ubzmmrflLWwuEBzOfcqQ+e/137PmN349JWehcqz0+gDAnzGxND7vnUcesJy+zU+255ybGvY7+1g9aaJCc2gg/beUjN2Z8GZsDxnKB84aVvsLGb8M5+dRc4vn1WbdpVWs+v9S19EPGB6zz84uzX8yjt+bGqqfE7HKfwm1c2sJWsXcHbXVxw3s4R78l5b/x9NNkupRayna/aUa04XyxFaGm8ozwdEIHOqaGbjpZ8LfRmEr/NqnXAT+Xhw4sScn4d8NCn11oUrNVuVyKAEh1ek4+6Yd8of+67vBsLROKz69suqQ+gcada6+9R4hbXEXcwrROb7vHEkQPTl2bkADcNDV5/hE6vzvbwoFb06jvj4oiVce5yp7zdYPltnHxmQphtEakIlZfXem6aUEV3TpLWLDmtdcWqGSgK2LzxnLgrsoDgub5xX+f/BAL1mc+fvUv2q8V6697xbTn12Zf+yR18C9a1EpOA2vt2Y3Vw/VKOma0i7Mc0Lq/t/EjYq09XldTDRQfWOBbSQ3KAVkv6u90fblUQPvk/Lo+dvo33pdvOn82HsRPT1UtOoiCI7scaCudi/tuqjvt7cZzTadXgAK+FvtWNVwik6ih21+36K0brzxx2VZinhtfnmj/q9p4K7lr2Yfu7F5X8PetXY3hXFlPgyEYcta2ZQX0/CPZCXcGjxaCVlM+9uKRlRjO1zybTaIr/UqSZaI3WGOnWBPjJrD7n7qbH3n9m+/C3ymRbdxvOEEA5QX8u8YHvIwHANxny9+Y+FCu5xYGOdxrMWZl+5f3Ec5l/XDf9dvYCxR3KH+5pDpfzVo9d5Lp/SYBvXXLZytiyzj9OZL20yIruSKZ7hvWMfcTqI0fJImddhlDTp7q2Hy2JA6ubmw/I+OsuFeCLF9N3S6clzoEgKCdFb2wWyghabVLbwzX4ckEZisfGj/iHW93a9tyK7IMcRqyOkekVHsagbGlFQSTrZNl8wM3VRWZf/0A5thMeEXLup5GeDLHcWmvsvHHBPgxtFxRjYboXzF8wpBvSHupjnUdnojJbJXUdNc+CInDtq9nhYw1eGXjlAuVN+7Lf566QjQN9TVlW9XHUNHfPa+EFZ5f+f25Sehm9nMC5vZuTrYZoaTZeT9P3AwMwCctJlFF4+kmrgWlTzyf23sgcDJbjJOWH+VWzMqSfnvD7Do3qmm8riGMW+Vhd68ytfGYpnFUM06m93WUqGrfFip3jrSk3MTzV7qrc2x8QiWyjYm++WAeDmYT6C7nCJIwItPpPB4nEJp5EHKUYem9/9vWsxB42IqZvBWH0NkW6o9tD+cUwJKP3U7kJZJm6/hLQ90HsdiNlcQKMvsTEYEoVGj26DvCux4/6KSVrLeqxnwA8BnINaPhQTr61Ud30I7MNnZOj5bCueZwdYfl/KQTXU4Hp+0akTDU9l98uffF3ooqtu0jTbW1sPfG62QXoCaUfXyjX/rgB7Sx0AT0bOjXiVQfn6Xqk0IaZMhSlwKD94y/rWOTdmfDNo1nvTUzNGE8H4OvKbZ4quDRcJQljNM90uOydBCTataufUh5I1PaLddOvatWSjRbXbzrDS2q3vlIBb3emJcOCDfQ9WfJCyXJE+oHIXPhLJkQ+9XLfrVMaYYPX54n5DnGWESlFiDOWoQeI6XXTLi2bV+0Eg2NXUqy+lFL3I6UaQ7luXFt+2XYV7Me4nXwmxZ/Wz++LsEbKc9oHlR6GWCotyU6PCFAbqUgzMs5TvCPUUsDCm3D+YFku5UEwy69NE4SpPkyowAt67X1VKDway1O0LjogfLi5662RmEnVbpCLGXYb9bY+eimvjw7/UgXYaeVtOtWkw3aQ+08OkuTvyXAfGsxwN+RwulHqUYsqjUrW2cr9iUth5+0Ldr71zCo2crdbM08oz3Tc7tWXi2eIDYFMW3tEbOLgbZtHhUrtKew9FAdCqxGNTMQNRH1GTQNI+K8utkr77tFpjG4owceC/FqLe6x8Zf4lzNYc4XVfH71t1/1FCnJONhqrlkfouBu00wl40yw07MWGegjytAGEukx9YRHP67oo/YOQgtocjn16A2ohwbVEZGTQ0Oq9RpGR7cpxJAHXY6tlZbIfE0X1bAovlUrQ/itQhx4vJX62vMLLYorUOnG6Q5I3Z0Gy9ZZIopeKZ15EPbaOjFLF4uWFqt25YweBL9H5LAtPQDWxbvzztz4KeKzu+FxurVD+qZ4NtHIiPFwRCABR01tMh31/U3nKeY8BeUEo1ZVYKzGjOsktAeNVfjnDR6A1zGq6aBvAg48FsHm6lcNPkPha8pj2ziN2ttk+BO9UT2n4j1YLFR1lOtpqb48iMxv9RmmKiSlGj2lbxeA6o1HhgnRnazqVqqTiHyZiWHNuReyH4862EqK8+jJvvFuEELALdWGoXCViAegHYvSaRcn/R5brpm00hp3DvjfhLtcE1E2O7A+Gjpd+PqRbbZZDsyrDcC137XaQpe7PcjiauX/VKEc9XThd6pxD1fWxBvHK/vLrS0+No7C9s29c2+90fuUnJGY180hgGI3atUELFPB2tZWwlKXTu8t63uin+jsdadHetdWE+VdCzkCHLhnMGwdG3RVd9bBjYYEaM1nNKTXCdeUFDhFWE4LvZtnllZ0YEimrcIEdRP4nhStFmwLNNm0tKzUA9LXn7+BoYE5V7KhEf2t4pls10ZbIbyEi1o3z2qp/YR9rkV7fdOjja23YL9+N+yZPkKa1d+kUtWO1iznaquZKXt9sHfcqstZukeUO21tMEFxMdFIb7NfKUBNFc5REw7vb++/UljN1Yi2F2dNJluaPrU4RIwB+I//D5swA9nxtz8HRBs2HPmT8rFv3/TumauCY/GM4aJlnHfHq/b49vRVnjM0t05jDOkZ5vdde3AnqnHQo6ZV0lbIn/Rlwn5waEmbDm5BKEbGbhnzpZaOs6kf0fiTQKyeQEh+qRbVfjkklwygytu4zPZuHpw4tZA4tSe4sNOqcu9GcOE3EPC+J1FdbRli9FzGmr2CqOhC+yLo0El3xW/XG2uLatcNuAuUUCjQGBz9WOemq2xVL4ue68MgemiecscyqM0H+rM9BO8MrUYqsTtXLcVvtyIZk9uq7FUxcDNBLXgETqt2VkTJ3oQRekPbEoSvtUPMxq+OtJZ7w2Powe/WTuyD49Z179l/fe3t8PwT/4Pu6Ppn7iE810TaOsgl48Apoz0O0SK/k+L9pDUmuonWCvHIREYVGHYnLUT/Td+w7hpbp2cWyxGKPsmnlT+cG8d6j5bcV5Zc4Tv3oZ/OL7StWIJK5jkSw4zF6MLkzhZgM9tAIozaOJNU1RDoZRB9jaczHTfGZjZEqXFi6r0Qt7Q6XJtDbB1j4lMVKFScVDpDUvKkwo8Xp2nVJ3W54t5ae/MWDoaAdYYzxFIyaiti7GzNNH7QJzcA1aUWo/Z1HKks+yBvXZTeerDMb9g2bQ/9eK7clbk7en3Sh/ii4jNdWYZY0qG8VJzeeAaM/JWFnIjZ94Iin+7AsztQXd7HgtEjG7Tfz4LzmFoVphj6SJz/PK0zj5XXxax6sTsMhWH8w9slgdXnQWtxc7QtFuqRB1+r2Ee8rNuEfUP/ZasCALgzPJjMbfaZ2B0c8zTLWAmw9sEFNdqMH2780Iv/CgDf5+qNW6GYkk+1GU0HEvh6s8BJXve7Vu1zvVStIQSbTkbwMHu5V4Gbj1potmgismXWKoXST3pzberdnAFUYCyEDoh/KgZeAtS8LQe+sbHBiFC5HMLlppvyH3rTIuC56eUNrbEKtQllLCqMEH14JBrZW0Q7VSmNhKKZmjLVVLW0kck2hi1W6I9T1jYSL0q74BG6hDUX8/+36/FAd4GeL7FdeM1sPFLaTyrUHIm2tigYkbNWRt96MTdjMtuqlzolIy3We1+6HWAO1+oyk04yy+7pdNAF6dbpSX1P+8skRQCoLGVtjgWnUFbnwoR9gdVGjFAcjjVk5UVt+v5x8L/MROpAId6diyHUrzCga11fob2Wvkbg7d3Ud4Bo85eq1TWTdjLqSbRR5zcj9wCaZyL4Y+x3OYLdO9/2TP+OTUcJny/aiZaX+MDfmSFvBOab9JKa79BxYQDqJ+1I7rU5tS/nQo8pSGVIqi3rQeSFNBWgrUA8UQHHU111gfL0pp/KqFJQxeZLLL/SyAIqL9g3Q8v4LWNITZOOOKlpfcpMEQ30ETzzaZB7e/VWcrRWEQv+jaVzUsdmMUdWnxUVk+ic6dMB4ceFDz06Nq70lnODZTUfHR22Gr5Uu1G6oCVyF7Qwegun+98MIywZHCHxfdNVSO61qrSXuxBuckiLWgDC6HmgL6tWsomwBi49PAf2bbwLwCLzitFaWjfLLK28YgzfnS3vRnblKhXqIyoFNiYKnpm19Z2T8CNzH9Q6jcddALBJaqyWmCjxKSHUW4oL7fofKmP7CY9bbfneZIMESqsd8I/uj8Vtmqh2s257QE5TQyUVy1jUsfNaaOFT606sazPhK0YVspCOe9+eKSMHN3Iub11Z6qJUbNZSefVtNanu7i2se3Ye6HqnkhdR0VuyVbruEEaelen8r9QcE5MgY4fs1devVLM7QYNPLGicGf0CPxyLSXsVTaDtVYX34L+Ia6cIRu3bFZR+ZgsxqwLPAhRIC0aN8D9R9VJcY609dFbcMQ7V6iselrl+Po6Uvby5gGmW4ZDr5h4QTtnTxC/KpiSCoYFYAbhWPZ5Ld+gNdDPfdBhmO6sIFV1Shjul9Y2XCQglzxtNtISESmYhYC2YgLVfGtqwEpZttEzOLQ3T4h7qy1PvOKdgImmkl8EOtmLUEdCiUL7k3cbSYfX1ZRJzr72+kYlA/t8yOWL3SGfACfZeimIIbjFC0KKbxvTMU++vEIWWMpKtHdD9OsE6mf7bRClWXVA4DA+C0Z+nClYeKjQYCmGonQ0tupFpCdpSQcWLse0zv4utGkPQwZbMKdkpL0Ex++LujDwIbVlPlYhQe3brVsN+Ip1U6lldTh3615bO8A0ACncUNaZX8YPF3nk5sJwlm/I6sDsoKQHfxFPJzLOzwcpdYjheNqTmuMBcIzY5Un9+A8j/2iFs68C+wMy1wd2eJm/bJ6IBQtvjNJ4NQDJaGCCjh8L1nEqAG24JJtk43sw7zBYRg/23dXRm0ie88UQDiTgMxpM2bYGVViQ7cB2hw0N/dOcuoWcRwZQ35HYpsbcKNYnWVnHCNLWAzJ3aAULngUqUGtgVw7wOFqo2LMhPsb/zxPnEDef5V1ynsnRFH6Ma4yjPc1rJcKI7HVUMKmRf8B/qde3Rj2O4mX0ZknkVybS0lDWBWVfaxUKOPAJUnry1DNz0LC9mwQNAxiIJSKrrapn/UxWMbDzWBXLmXAjcUFsis0NZg1pR06FH4Sf1aPWRReTxkOGuyrNrOhMhKGcBZhniBk40ts4pr3e1xMqW3Zb1wYMrg4nnVoWRuOiW9Aj7+XQ1tb0pLcYpgPO+gP7XwKnZClS+mg3pOeL44Wt61ypSNEVTy2KnQHekNOtKOQm09b2nXxp1GFpNZfiDA+enrRvD/GZuqTOhSsXaCwqQxxQ2EY9OtEW1X7GG3FvWH4Y1tE3SRF0NGqPI8e08ToWJbhEsERU82xxXcmEDjlG6fGmcoC2Pw98xft85Gql1+OPXbzYo7ukch9GYI8mcxQa/G+NJWvKUEILXHFWs2wxaxbWtUdALk22q6AxMylk2SPAuta7pAW5JqXen/rFRRfnX7N99L/sxNp4QgeaICM5Y8HnyuCdM0ssZsuQgehjHYzRg34f4oo7dxeJFDTSAESOZ46GA2uyIhxDBO7TUrbObwK3zo3zi30RlhiFGuqDdzXOXkpnpfef2dSW9wSAQ9KD+sktLK5d90tRcvGdP6Mq4ncOFkm/tVfbTyamZlaP1pmsgGlSGJCB/6tmx1Qd5gzsqX4vaXJ3fwnh40hWL4wjzaaYuR3oFhWjn6fXcQS1RJMPDGhX2QT7SNTIfHGCRn9MxatBrD8yoZRqtUSh7xioaGpADg2cqk6RWpDOZSTmlAa6E4S+bO6iNgYVu3L4VM6lHKEVeaKe+ebViGOgnOH0S3/pp7AUcs3JkM+QI1k7J2VHiS0vU1OdOgJcOqHUNDHBnIlSsHNa3IjbDGm3Ab8gic08o0M6PbwVLWzSuVlHvlGWgXTFYLj5dO129augiY/nF0UHrSACrtIBTZqNvKb2Tk/Sm6ebWrmI+6442rWScsRxjpzYqHg3jrS1cGNSrS2qq60ZlWmYXHBPXTcysLRXaDIGz5Y4yybTMPtiRc4cjQMaFy2RoL+6pRreucOqzpuzNsObTGhS8mE7MGygieCOh8c4abyOLlsV5dgc0BLR229p8V03pmUB8Z9iL/yyXJNFvTz98pLTmuNCAeH5Vpts/ppHPrx+ng+dD/bbbV1Kzzz+V2u4ryb7nV3IvJEP4h8iTMMCcWwilKJ9dCxD/EwjIzaFWH1Tl0T4IsCha02mfXz5ratEJx89hbfL6/EMNFaHMElmMcre+nsED95L7zy92/enBAGnjufb4uU80IZ9f/lUe5fwk6a1rt0irh86BdoG62/glXLrlga68Iu3nCJyXCbvzUHI2olc+KxQz0YlXLj3V1xLjJOWyv6QqaoNF+fxDLF40JCvhO1uCja2G0Qt9oL5SSK603z6TC6gIP8Z+fJj0bESJZMR0b8a68Uey19VsjXETA3yiCvX8S1gsBZPBwOpUd1IwG5+BWZkYU3Ou8TiE2FiUrMf0pbjjB2/cHR0M9ZmVvkWy4U5DYOM13czNIPU4qhvlIUyZNhczQCwRlBZCLfH8Maf+PKKNjBpADaP9iQl9L/i4mxa9ctGZHrPgltD+oVc1fqlZcy2or/fbDzzK1Cw+9GxzfIdt2QhZ3KZPTa6V/MPGn0jWdI6+HP0wU4QeaT8Ybvn/7RLc/sHo6fn1vr6se7obt4j0Ps8V6KcM6mv7+ssPPPylQ5O2LEDAOcSJoph2qXgZrPxkNhYuBIHfHnRnNw6OSKe1GplElO5GQrXFdstGlrwSxI5WXz3l2V2x1CSaqqsI2vxPJYS2NkBWjlmXKZ+duIKH1n5I78KA4/kJtW8rk8IK6qO+gOCTt+e8zeYQxUJoVfv5+fh8oxLSX7UHA3fRK6UL697F1po+jmxa0kE4WM2pFipb3VRVetB/cIjCHCpu2EJtvbvTZHw+HUpDiqG2IzVb/w33FmNbL5q1746Ridjas0pXP28/fFokLQUfNnPgGpCuO7zI1rM5PQgxbUUinCRsGQp9AvUG2VusaGJQTyrfvnqgzymUx66j7R2fqQNs/apE9dAzK/r1WKAs3nFvHLtVrwDDxqJFlpNLvKsSGMgUR/59qcq8EWomTyec7evuCyZb6XkGYttDNvM8nTCjiqB4jYalw+KRZdTP26sTqYCyD3EJd9pawJxUUHKBiYDPLr/FCT2WcXhosW+sqqFEZarucy4nOg8DMTXSJjcuuPkcIKdiCuk38yIg19qh8K2hkFq5K249pzRsfQsIlMZTDn1r+0lH4cZxx/hOeH4tP7CxN6ceNuDaCh/G6Xh8Mk/7pMR882L3KoZM1ljBeunwuSzWdOTNfHsl73SnqvtZj4nTMfRIlatDE0ahuXI5W/uT9v1/Zbd5yXJFrDlFnbXd1WYA3PfARAoCJRZ3IZWrL66mxUIxf0PlbetvJJBNemjWzpfkjYOnJ6j9MGlV9lAFpk11b3K5VR8vHrTl4Up5RikY9pd/H+lvaoGBFcgtjTvBabUOlJZsbWuoHUSqQYSeZVSCvoVe3aVAYUoQgWPKbBhrMolKcKXj9WnCsxIn3ng+2SJnvThuDTutVE4l8uD1lCBp7JpqNzeIscM51PpTb57aP2ycQ75ZEXI2vtEh2bE1lLdtmLbqQkQdUQHQ219T8yjhv/EqGlrk6gBApCL6OL1rMSlcLrEBmJLJKTcdnXiFsaS2rijR7Xk8jUWIBXZCjaNuVxANS65V9dc+O+/yGBegs/FD/VDCMLoOik9yb2q21k/luKewGgCfAYNfbytX0L0K7eXO2GGzwQlUuvVncITh2aClRyBHIksqq/Ud3Vw7qemhqz6mSzDd2d7+C/cG9uaSPWU+pg6sB0/NdCmd7b3tSna0C7SMrDXxiVJe0MdWzrjbaxqRlWk61q53n6lptoLOVunCg3x41CnfeM5sfGhxYt54pGI3Kc0T4cMXxymPGFaGXVvlWx3eAYQFPOOOf7RxekxN1cMhro0J/L2SAzUlUaN/p3P83da6eOiQ2wrTruapllpf8rfeTn/thcFQeGEurG3qiV2C7kXitvqwfogF/tNVK67ExndTPKaym0rjMKpFcR+GrljOed7g4a2veIGN0+kOuEtnyWTFVQESPMGYaaKLZPpudnK1Zcd0zlacvbJYTsezN3d2jTguq9MSKMjrFQ5S5GLVuGRHI4rLtgYmZq5cKViW8r0s6lYm1gbHyINdkxC2hloERO0HZXsCYxfUMr4Z3uiMhPRzIh7Odo1J5iG0x4l9L1Y2O5tZgrusNPM2Q4uMwf/49dv7199Y9B3qtZTS/6n4n/7axroaiv/Vuw6r2vmC9YeL/wb94X/Nk/P/0FMc6eMLk8F0Up9qBxpWhTCz4xhbK69vJdQQDTXkLn/NcXdvp4BpHch25aDQll62KkX8jeCoMJCHUVlsP6DmeFlqdUU63FwYPZVTTHFzbSsN6aro9b0qD+EOx6QmPA+y6Zs1M6dx8wfM6AAkz5kBrueYV9AIEv+gnFCn+1tVI/9ee1uRDgTv6uwoZtnY6UquJ7V8WWgJsp5t35ssWo1Jn6vdcKHowkwCa9+MjbVpIWKSxQM5NjnQ+7Bd795aqHm9UkLHeghqpAiUC54jxgbVAyNtqz+OU3HBgVG6HAypFJwE7QPt21mrwlQ8Zck/04BHeoP3slybHYAbAEaNBe1lgBgRBhH6+CecvgyWtwJOPyQojMnHSzidZqNnG4iJeVvQJ0iRoDy7Xnswsu+T/ZyaOgliaYhXU6RgxwNau6wio1wrh+InovxbDS6AztcCZhuPH4hNqTV2YTZzl4C30jAy5n7FWNhaRCyhDgNJAGCCus/pNVesNsnqTwYQx815IhgHF0nz1tx8v/k7Q4jCOPSS/eD1qjF1+Yw1U+Iw7Gzd+AYzYCqjGfJpqBOp1HhlOnjBwxdunOplImWXas0nBw07IR8MxS7rwkDXZ6khuJX8uJG9HBuYSBgO0zkSMYrlTo7i+Uc+phKj97AU5ri3n99Kj//49bfivUiZ8Z9ythyP/5XJMQXH2LGcUpIQt5SClFw2SBX7xjiWOAcY5k0D7bfRqQlZLkayt+daqW2rFzu1lyTiYNwYsWPJ7iH2p/OkITMYImZYIlN/dLT+DkZ01kJXlRJuOmwNU4yeCzM6CqusnGup8/PnfH1Yciw+y1fwdGw48lJUxrDxxj5iRstkgKkvxHxdW09J4N0EwetckyWITY8YJnm2R8u0uh/J4nnBfZkZx5LfqZj05JJsg99P5SXNbSiZsAKbPt6Ch0bWnWTCdgPM1PrCtPdiOxXYfbKQaaC2hKhCh4gr6g9hP6m3txiSKlfGMvkuuit7gV+YWyhRnPU3ClheZQVr09GVzFsyk0l9ZjhiIAWBHX9nyqnsQb191KOxrz6EztWNYSJ0B+xD3ur6MRwD0xqtCcSdPKgavR0iRgvh0N6p1c4NaUkXM/O74NpDzRSZyW+bfMpsb6mttvVb3OnepGO7W3BkCroNv4MuxCk1rl6RgbYqjFPG/8YyEHkJ7vGeDLiVLCVJMgYIpw9Je1dvkywVbja20/QxrT2HN1oIIGtbpuKp4SdNNDNAZaLCS8c+16Fydg4JbYV3w76TgtJWkMjJlvzoLCeBPA10BI0Z29J6jCVQ9OjSzIZEyqV3yP8dBaEa51c2Y1yfGzJtSWdtz2Wh8MljPq0JKSNCiABCIAERxdegIh4ntIwTJUSCJdpDd/KnG9ucm3Qjfi/t9T4cbHB20WvdXYecfdPtm4ti3MjHrF95Lm0Vjg2lprYvFnGJ5FxxQreGUnIKQ9pbSEsIZGBjEymRqucXYyDtUJ4ZDgz9/wG8JTpDtae/qmP18vmcKnrTg+MZFhQgHv21Nm+mhTko1IbtXY/2QqnpZDoML+4Q6dS3pr3aisMeUAdOFaSYmal/b0q7sdxKStcaaA3cjFpmnvPA0nyVztmgPxoBw2zoadbG93UI/dW1+z4jLt8wPvK9hBpLOSUVswDf1UEJbwTGEFgIpVObhPDpoIz6xOsVDT9AX7QMYKLEXY8qQP7aYFydYJjR26FcXptuUrbtSqE9dQtQmqVtMlPv/rtQ79SiheUqUE6O+JN6XuJE2kqtBKAJ0tBbNIGRQHmbjJQ3yWHudfS2Qp6eOd6hrMX9RY0ZLN44dTZmsBz+B0PfNQOFZgIoRPHSfzOgUSo14QeLoagmpqmbjubk6+Madc7b+nHUVxBKvqV5yqenaQ+zEB30JvwtOuR9/+LUNt7B1ZQQhBJV+cdHra6hRTMo4aRf6Rj2o5YR4BygnXI8ujpmKYEEQNZLvg/a+Ut57o14PNGCjUWymqF9LKKtgC8hdqjRExRpeiEVpEGgIqw10dhKmnk3+kk45xDuIz5Tmd74FDOeqwJJq8D9TEPfFFdtpLb5pF1rAmEa1vxjU3wRK6pzZCmEBD3AhHgoFsqZgoLSA39SdtCHGyMKrQYPDX3pB7fAz9oNBkA26ClOi1MiOUbV6bDS9t7ayJA6sBaow5keOZdilofx6qo4vapzm6/f3//2/o1209DFQazm81ii04c+Y8IhqAHm6y+//4HSuWlMjgf4chm4iXtfHMeo9faT/BBtMYo8aAFAYetFy0Nif6JoWUqDRr0f5GZ3rmUbG2AWeRbZO2ScQ65o4fZ2FV1E2lW8heWq9N/UcBnVn9pgQlPE43Fg8O9aBHDj+UU2N0qdCPrQhFaDFoITj5aZXZV/E8F/7eGUgAHTY2e30kS7UD7z0+2Jip9FfpbLx6g2hmKXrOdqV/59YhEti9xRhlXxFNNY5FKVGtVdeOeWt/PWISe05/4H3wQ00UL9k/akYtOw7UxddOcrRuCVP1LU0rv5X7+Jw0Nx47MM7ohqn8os77visNSw3Qq5b5j/2rA7X/+mrtAs8q/dde/eaHeXTosZcLaor6LyT4d1nNSuwuBeYwCdQ33umDMXWSVQhSTP05Yhj1vUPcCn6m8dj7962gx06qpp1nSIyBLB91EnQLOO3hMLi62bbo9hLJiMV/uT9pZ+7Czicm8cH6z0tt8wUMkFeyQdpyu62gmvq8Pj/FopdCsY0TtuQMw2FQkd/e0vTBi4RQOJHhis61U/9CN8bQBDsm4ITiI3YLSgLUFgrMysRrZhY74lHi6egGkYX2OaBOn/1G+mmhMdsMGpRc7ZvYQLVSJq6pQosIuuKswozZlaOHIfCZFuvLKzUh/pDTUFC2c6SsoWSmXFLNuMz3DrhsUTaWnJBVXSUGT3X/qXII4FfeE17H5btsOok/zqeO8GsNUNhGdiFwNkOFbntnr+jR/xrJaqwGg2norq4vc/HLA/e/Ew1oIAnWJj7wspEXAo6rPj1IYRJQPTuAVrOyGpXV9GA1W/dp3nt/A1DvYASJVrH4+RimC2UdCKawbxJb1LDL07dQwq7UGK94aWW5PEJgHUsgg0ccEN9YahditrzY03ngQcKAa7euUlurGOJnVy3vrpWJ55KXwbfW2L8BksmrRa1HaUDYvG9jgyteqHL8Okk01Oob64pUPOVgKBWRWF2V6WvO0mv/56746wcXfxOvjcZ7UR+bBxjzA+ENq3yPElW+feHZMmzKDtY8kVuYgobkr5aooBxt+C7BkNdJBc6DEBygRg66EiY+m+j69dwlkYmxWNrw8u+dF2U83lFj1B+lkHbOrRW9BaVT816YnT4Xg6D8/lz7eK5VaOIIG+H9VDeFYWsw0bYT9e+ppSHKfhuzjFOqM1dnX2LEtG4QdXa20Bykd5yntduSI/v/a3998WdQud4fGI1odWz3ah09tud0XvbQUM2NY/I4/zA/p+R4qjlom6bB06YyBPR191PHpvJ612U0+vdGCsghNFmoDmsrbUZ6aUcuE3cYrmXsVQ/HsfBnUk5PvreKZfEXW1Yq9iCA49lVIRDjIWtZ+vP38vZPJmQrnN7U3BCBYsUmhT+4LkfzKXUn/VLBejt4J5ZBsP06A2mH/9ffr2y9fvIlg4ABjCKCwVSi75hj16/vOvvxRNzX3ej9AeeWj7A2n42jNl46HW7vLU+m2j9Qm35pFiHoUnFI82dgn3TTB5P3oqZIBY5OyI3UsZ0W4lCETUM1dBwTMgfig40x91BdJFJyhQxXXrGD52FO2Pmg0WxaAGO4W+edSRFZdgATjxH6ESPWvm2DPi8F54AGzSrnxlutzZgZkEj2q0wOiEpLdwCagj2yzkd0GLielZbhwdq0cdohr30Rg0FKK0+CX7Uh9uchzSsjrKlK6stpDpbbvOkGWn2zLWpcXZypn2BpldxvdQrgeF4xGvfQiqVhQdGW5MeAYttavRmULHgYoJynIgUML9MqNwRQuT7+TycWdhaY8etI5GtQhNLezSjQvlC7W8vXG7ZE2oBWioH51ztzKi8vIF9EjMQ9GCMIDvHxIo0LTSBE0rQTB5Zd5c4ymDNMi2SOVkSqlSPSkgR05Q9wRLGY3PLcVRp0Jz1jEWCZav7af1ULPgt6N85vvPf9HOF1EZ4CmcTU1qSa2zvbOkGsI6bywTZlZ7g5BPDYaEDpF5T7QWEzhf9Ea5+fG9pYBGfwQdB1WHdabxRWS+F3203LqzD41R0wsqFIOvjeAlKuK6bPNbsPaoHg+5McSxuFURjHOvxNTjaoAO7iKYeOoUUwZ9MvWzjftuBcByLeVVpP02PkFKSGMjdzDIgVDaMwx6cFnQFRrXYeKFHor2a0yCgu0Uy6JVxXuzMLBvAu8VU6OFq1FYrauVCyObV35AW/sCsRJtOEsDPrmQoJ98jZB6RxELUgsM3XAEn8DHUBG/9BVi6EB/WL2X2ZFX6423J/rigIyF6oDII5W2cK+xdFUEqB94lCsoOCV33RsgWWq2GqfQULiu44FKS/8j7nTmZtbV1soaqFp2nRDrtOBDVQAdLer49JyZcFHVHrlDPeiI/sHgrYJTMxND6gj0siGCc/itsioFl1OGamqlm2VuP+wpC29gIiG3lqIWpHxKmF0GYYJ8XJvG+mkDR32EfvDZRbGodZTRIxdKX+Y9ZbtjKG7mgCaJvGVuidOR4tuoztHuWuzazTT+EAF82yG6JIdQMqoe9Ia4dL/S68Bc+ny1Ze4s43W1istt51n8L50++a/h1SVymRaqCfvMF61/ExGnKHnOgBnicvLr2JM+mwn+aBeg47HeCSOund30bK+XlwR77NlS13TAwrCTTTtNbw3tDvqbo5WctITMsJMjhDV2YKwObnTgZVCZp8Nd5wDFeFQ0EoaUNqjVCoTFLOmAQOluns5G97cGYrlaAz5p2RbHCWq56qwcDs2jinz9+tv71++//4FO+6bBoWIAAY69B8BZLX28m15i7YKhfdpe6JWfjCHohZIAPjETyspUMrCLt1pJMeHJxIvPTYy5H6ftJjCVJsMAfOWztSg0jTkSp8JCONB5CUCDVHsmbbjS4MD09f9Uc9KTZ9FELdXxvY56p8IOPD4rAtLVAYihkoKpYNhvDWnjyZSyxgZE7TYU3JdRPlO5QLk6a1g6Tty5arUqcS6qLQZwGvJaBtfvQDb07i3PlVm/X5duboLoKQMGgy6b9qNu6WE/VWG0dePSS+tcCUo8v7QzZb+2F8WKyLtkSSXOm2ZLPwp//vrzN5nsGN99L/a4wiY1TXUHd1CznblTx56pRRXcCVwpLTaJaL9tBAlOEFU41WhA/S35zyZy10BlKO1XC1G09zEjcpVLKYwHdJSsaDKqRZvA7rg9pEj09k9bTS8qCZMzWQATjR1uBAZJP70K48hcipWd71ZU5TrnlspooRrZKR3FcJWMvdBwdSUKh8voDoCoos812l+hgDOeASdwOuWNOy5w/VZ3sq2XxpreAB4D/tK5yiLjMFveJw+gJI9vbraGtOXZi0OteU9sq3Ttp04/IdhBYfTqE0+4chjicrvBvaeGTwmLCvo3ebI3xje14kTOfS3iO8p9dRDDleMRIpZq1fs28G9SzwPKMVucVW+C4CtmRJ+en7PgI5aK9rxqzuWLrKXVOyp8BU2nJsz1dALM+LXH/y1R2KgtVVb7YGEtHOE2ovngSy0KSae2SFwT7VjgBErQEgbNQZ4ZmoHLP91TdNZUnE2qjpaN1OHDNCRGXDeE7RQuGXJj6MZxtikTtrPBuFBS3OJCZ572Q6h4SWAeG/8FDsqnycBGf5lefa2ixGpXsUGaUOKNVMfUokn5+EMvR3uVL28A6yFQ2mLKPdzBet4nFN/gTjivJnUC+U1bBNheJy8ajmqfUq2L25/dHcxCbyTnWZShe/L957/8/oeE80gA/6yZz5RereRLfO7SRCMr+YhJFYn2aLqA0+kc4k4kQs73zGUS5e7//wBdkoXx1GPsDfDRqL59SqWOXwajcrBeQjSHqXQFvbPB0OrJrXmjMuKBnhWD5Yr/46//rCYq3OykjdpnqS0dA8byVpc4nFV1i64PZRxtEnEsSnkI+lzndmJlGS/bmURP5MACHpa5cBtojdfCSlJ3SG56iFlA9miyOKpNw3SZdDr8wXt2jdVNRSjYVrbKRlzJ5ODHVuBtZhGZ+PZVCxix/Zj0sT4MrbSr6AeyhD0z4y1Wj9zKT3Jplg7+rW1i6lSLVlnWDlgzXaxNgdwNMLTUPj5cwT1vbX1wqjOiy8yussjWFn23YemdXSSDI1tksMQcAdF2KmGh82Ng+2NDz5oejzsX3GKy5g/j5NTEOzcXUUSA2015rW44zGQFqoCoKHVqQTfEg4oJBKbiJwPbBdmu0Y9BlvzUQnVQ18FPDcyO3tsCdguQP5UwegtMaoNXSMeVPDOxqS7Cn6ajM109NvKeZEA5K0fqlRcFHZ0IifimirjdwUttwMNnsEtz4psjg66rKJmLKGLssjfVdycFWUSHAeN0Fj7Q5RU6jGmL7hx79dIZJmMZ8wlxJnMXgHRA9OoNR3yEdLNKpmPdUtxkEk3B3+F2kL1Y3lsQJzMrCmzQqrJE1UUj3qDjeNfQ0kIl41CznhHjUbudmNRjnGiP6sLkQXUWpxqtYqBZwf8EXxgKMNEo1W/x9Vmhb/M8S3CW+uh4/KCDqNEVbhP1yGTIylnKXqwBJhVSq+g9o673FgcnIH890DPr9rIabBEesdGMw3I6b165Dq8M7PihoA1CpR8jpc2JH3x17G7iaWqlE4o4fUo8vnhzCGIfyWWoPwWoNqWdk7VjSi5pECgOte6rIgmxAfKTGJzG2Sb6seO7rvfZjs7IGVZb1pQldeyVsqd3LT4+l0iVsam5buKZwVuVkZP2qVPW/3mDAgTUzfUBh393bAZh2/xDZHzhwptMfeWjG4eobTIKbkE/+27in/0U1IMlYcClk6Me2lb23wjl+klPqSDoQWfSBALUWoZWWyEieGsYXwrOjMFlWa26yC8IUGH6mSMKUHQBAPzwkDq+zhud+/FVvqiJup/ggRIa2j2mJSXMaOnaSl/M4p4lmDSM0BIeTZ0YZMdvA5yThdvgGqMuRjGJurd6UH+7MINm/cIXCCrX7mpJ7HvctBDLobqhn0mCcmK9RJv61ltEAU1LIMtmUqng+ShPt9vFxgNNoqv+z/qbGbyYlD7p8FKp3Od4tekSDx7UE1u6yYC2ZHAK2UFvOKrfqGwE3lnc6fSGAnSsspCfvovvwX5qMUKhDaKJehX1HxEbCjTxi/8XdYoQpFBgZwxWqGExJJamsSBLs4Mrg4214/oFrsYinO+gI5djkoWFM9TeM33L1ayFpW1l9Fb4FMBjUM/8ZL8qdF9dtrY+ndU+MmvOMV50dmJjnou6kjjFY/8REMjpBOXbYO/NIbvzZp9oudgoCt1BUCOKuqGKUV6u/ZQjGhwgG12MkbdrcUsr1G7SOyMY0sjT4D2eRO3URFP7nTeRUvWMYasVi54Dxe7yLBKTR8bL7dpw/dR0JoTpYs2F0uBLQ8vpTTCMuktpbudIm6aDElr+x15F//I5j8svxTViE+l+9ey9lU4gUKXUQzy+Yi5qytXqyU22K1PDOI2QivVkSd137OvH/nVdGFXfKh4TiWJWbZAEk7n0xZ3pbtSILa19OntO6gj6rhRDgljSKfRz7Y8jH0X5/3EI4y5dmsZf6dPS03UBPbBdu8Dr6GSUOS0EfY2dtTyLrnScH4XCTtA8WfkESXxPh5/RZ4sqo7RZhC2vrlF0F9hFmXEDBZV5CHGU1AnATt3aIIpdU7q9R92N5cGkUDT1bROvB2nWqy3mUOoDL8AhqwaYPNXfYs9Uam8bGf/1V9DlS/12Rfuj8pZTJrvPzrLN+ZTXgb8vYaHiXaSZlsDA8eR0bnTedTzYgD5UgyG7Ori5O3W/6HOCc8haUIwdZmYeq1OOKtqR61lQ4/PO3rXBj+wsZ+Nu5UVn2ntZPRrNXezaYADWpUrq5wYuvD1eHpdUGA7gZZnkBLLxOI4Mq60LtMLeAoQRLJBm+Nmot3JiEVUdE/Xn2P95R4tdO0ZoV5VRkhGDLjCdxb3qnjafPJaMcDUOXGj74MQytXZtM7r5zwST2GCu0jhr1Mo0OSvxJMVswZBzeMo0dBOuUDM/9Gw0M+MR1495C1DmO/XeqPfcc5sZSzq52Kh361hrq3DtSW0SCnMaPg37dU3mGXKi/FiGLLMVsUENjBk6dERrpzolHuDESghi/NG+EEtBAHLZIl1bniO7a84GDlp8dn0jGE3b2wxNJ11ZRhnQ09MbuTlSCxlNfRjM56CA/qpGo+xfa6P03GjXSJtwHO56ygllzAdGRbVbzSU8fY8IZ+r7bXFp8dY7yxbNQkfqRIabnUc6jc6IhVTW+A/dm9BVYGBDBmAolmtQTRApcbV7wEq4E8lwU+qZyjG7LamAeg69oaX9QA7ft9HmVM/VqkpE706M2Uz9VwNggnv5oxMKuUqtpJIyUN5MfwOju1mDkhXHpUhVXyTeHtUheo8cmta4F9qa7qQe6E0wk2aHxlKS+AYVzlltA2GqykRWWULahsa07TbbUpdxKpTpvepjv5Q+3PKTpEIhVbix35/AtCrwsKd8Hj5aKnCc1u4YTbbuPAXOYg0mKkcUSPN865PBy5lKnaj9krRBk19erNzutnYeqzLpWsU732mp2LICpF4ntJu5MWxgzmPacWKQwa1+1F6fWFPZmPHwPKZz2gAU4mg+0pHOMx5g1btB0E8WIU/68W8YK/J5piey0lscQWyHZD4VYWolP3TOj7ojWUK7WqY7Z3egmKn7DXdudKiRL7FvHEPwryJog3dsaFYcox2ocAbMvj/Z7BVc6UIqQC2OAN05jhFCaWfKqEdaavAFYHCp+giq+KE7dtOXTeXZGasORtcZ+wES96H6qjYZsFOnBo4nuw50STbp3RpMZOZmucSiW598yOTpQ9DbwVPpWCsg0cQculQ6sJdjNqYFb2ozKyO1xEPXUFzCxY+yM55LWUJ9E+lJ0DlSfQE0WW+1G7DqndHn8uxFzZpHv6IqpT04wGhtR8ypZS8fLdBIgbav9Mgz/2Ok3VIGLYHK677mvrwF58S+gqwH2sIclT9txqDIx5KzfLJZ0HsHyNRtN598jkyObfEEM1o+VKzbMbRlPfHYmreknlx1cFLKjBLRoFBv+DXWhZvoc+1o62xzMX7kLYhgwSy0tCf1ZjoLXr1FRGsbzcOf1PThTvVkQUM3Tnowq2RlIDroKeb/pKabs36B9U0mrvHLVAdvIMenP2BlG1OAGT0PJkyHT0NRWtpcHVX7BpldeRPIpwy03++/fv3bb9obg8XQrDGnyy5wOrWAKKhNvEvEw+gvMoZWX9OygbZLQB2eN7eGgbGpg4rW0vxjZTK9/efrS1HHsGMUW0U2LKuLFsuA4qlvKx77DhPP7C5qP2NJcds1CeKsQl3OfcU+cqhMC158+lnMsCaL2b2I2A5spMSuI3gr8+gewuQJSsib0Bs2a9IxMVAEstmWTRK6gQTIyVnGvenFZc1CtUnhccvuLRlu6AzAOIyuAhoSPRzTKWGTJExKUXQuMvi9Cew2sy/VFRM3nosOtkEwOHq0qHQwF3JTNDdL17bCdDaIArGY/VKPuPjjMfYQv63mOUQFP1RM/WNv4Oyx0Gqe6MlgTojCIOg4XZjtLVS+aCi4nec7OU50DGldp3wxcBhD8cckX0jBroHo5NACJYT/P8KmVD9hnJzFH06w6gxJZ8bbWf5RfQ6n1o/hgx7f72B409tuq9//UMi/p6+LIC301Zu4JUXVt+gMpyNu1KnZ9nyS631hOXOWQwv1vjrmhhpa1LMek4FMAPlbqiT0t4GQ1MaWvtvrmjWMDkTcnJqi6mPH55/BcZEFnZuOC9o+2tg5VH5fap8kEkzdeLE22BE9ElJR8leUPQJVhBugbxOOUcflCIbS/AwbSDuddAhiPYSjqfguWdS1j1e1k1wBkf4DE4JmQm0MMX2IXjaMJUHRYGBWAshDL52HE+qTZGevg6OKPTsd316Nw/Lp/RKYsucWyhq2hhim7OylvMW+2uHH8Y9wR+WOPWSXVZ61lNAGBbkDHe6ujrCeUK5s/TT2HKnnh6dPaZKtEvtgnupgaEEc4uHAfwItWbES0tlcTBySjloT2A5NR/ne1E94wDmpY53aoeMoJ+bB6707N1ACQkdLpdLGczYrrLidgCEcNOh7QMUk5d5IWVjOxTKqqagsoJrwbECW/xh6Pd76JcPcyCup7OLURXSPDcd7BiqiipowDNg52khlqUHtiCuwEqKUNk1reRplr8ug8zpNSrXMnrEdQ+hycy11a3xnKNY4BvaqqaPhexKmoHh1fZCUqsikInmIpppdfI71hYmGiaGfge5IFIi/FhpunnemlBy9dlequ29uoBSzCaRFLeUWbrTffQkN+pLqPhR/8DT837e68WEL8+ZOv9SQBczDZ07GDWXjPNNMRiP2lllFscvaAOgozBki1u2YNZXxd2B17qoUCShg0jqCI+3U0YacDtyI0uGLqSPAYzIJ/9Nh99D2UlR6i+5leqFfVXBiaash0ivs2eoj6UhR3Da0DuBgu0uu5y+UgRR/zQJp8Wh6dnhgV6OQ+Y2BmIaS4DOogl7d/LHd3kmoGgyGJ5U/1e7D/INa72sIBf5gujqcsZV5im0b46GhE6/SUEHlZIUE2NzTmEZ3T7bgZqm6VQe9g5cAGQx4kgNXbwfsyG0bVuWoWVzlMOkVfC2q+16Fk8jEdEcC0vtjD86aSJ/QpoUMgk4UieNysmNIFSHcToHjkiW7h/xs1YJ4ag6R+5nmMRtU0Rh+dqc1rz1lP+eFJYgFtK5Ovo2WitKXUx3jkG14TODz8TAYVgoXiTKU3rlbZ7eE6XRWZcV6FDEZnKhdS6fM8GZ+G5R1QofRNl9toYXmQuKMBXB1MAtTWaOJrsPq+GrWyG2z0QjDvcAs6XSiuOlPp1icqSSRBPrNmXrb8ThKf5vJSNpip+zaPJUTGycjumcGKYBOS8mIpWxKJxYkTSbH/RWK+glanvVMWM/amKSl7zvHFwdT99GlT8Pg1fodwioofOc+kG6bRzIywjTmIDIZ63l6zaJmp1PAwB7lk21gz65GgGuxX1VxaSP/SyfoWcvpIFS3Yw+9U728pV9moDOJZgc40gZGsMwg3ammeo91few49AFjwrGovvjOYL8iPJ8rRaAELKC3Oo6T/sEWu934jDJnVZNVaX0fJlWMbNT9DGnLvIApZURrpeBOQZVbiyoO/RTpVbqiiQCE2SRaFxNWbZ1cfTFemUmgZxCiaDSUASoyOhdbx5jJVs1VA6wPraXDGHrh+zOqFnMhRhKWF4jfY5qnz1Xmr6gC9l8ynDEuLkQ3k4dzLMfYTUNqX+uZsQhOjNBtMmVbwli0aER/RdGJ4fufu6mn1FjHpLUXKYp1+0AqE6TgAOCMS2ObPtUsKZ1cT/ZlPlkVR4d3Ulh/05s1tAfiyRVCyNNR1Cx/WKkmYDJQohy4DuO1WItPm6pern/y53fKxo2UTYsIrAmOAhUYkzTUIGesMK/fDCn3yI4l4UP3X+VyLC0fI8KDsoRwOusm5yJmr38nUwUyg1W73AP/AYUY9fGyPAXjPVjWfM/+swGlKGNigSaVHbfU1sqloFonj5Qi7RM9PvZXRPZ9L9PWtj2GvhGcGu0lq6ERc7xtTYcXuLGVk+9fYx7J0gmBrH10v0/fvn7T/AeoBO7E08DQAjLwfhk3npoyhvqijMyyndMsk4RH0sRy0+D0LmYm0tmMtuhoNkSJRXQrzy1loXq7MrfljRBEcDNph1DkzkNNqfEWWh3qna+ld3eOgrMhcUBnfVLHTH9ZCGkMRePrUd0aFApC5a4ZtRj7mwyD3sg0Ukp/+Wshsippdssnh212mwXyH+ybUGOrbEPvR/SkTOGQDj/XBZe+X6fEtXQDiLci5WobD7cXE2OzmvoLN50qmxwbN/l/ACyR9Kgqj0qbE0mKLiid9Tc/UipmalEyDOollK5R50I8rjohs9fyapZ6T8NbS0aXn0rmaObHdPD6hLL0tMRDWdgV9uVKqKtrSfbP34pOOmw/PuLqYoNaSG8ZnqA/3Rr85g6UdSQl+SLpyqsJXnOgVJiSeZ14yh1/igS0IADPYccd/QTPnzu6V2f+UO9Oupt8ySJunX4YpN2SlfbzrrE2XAVbr+WcwnGv3dteYjS9Al+YUgiGuKXKmetoC/LnYFTz+/9kCsyTiUo6cLJDZfpW/NEdAMP8Xhyuxfc/B4GPA/j5p38q6MW2FkVydt9mMkGvj3XOU4s8DBQFU8NFhnLrwiuV8FnDjpMlc8NgofNpbMiM06H40Ro5Ddbwh1RNPsn2bpR8HQf9BkrU1ej5Craz7vy0b1zEkZ+WUz2eMT5Vy7MDPe0+2XrtTL16P5S+/chWaNIoh54r0iopVAyDi29/kdRHRt5n9wZlr9Ax78k3RqWlpA2BtAkvdx+MA7u8Cb3vYnjXGzNIpg3+rNyKPrjTxO1lu22XfE5PG4SCYFFlTinlTW5lsBNwuCIczxyYMprMeLTIckjIhx8FPy06KGbNcbiXoFyLFuDMPGY3MCESqRNqFJTcDUZIeHLVss3MpKMvYxMdBetBWmSCjUk4YNaHSGGNq303DL7Xp0CQCBnGwjfdqJ3QMjZGHFKjqzAoWBmGjbxtbRlRzpPTloELNwVxVrPQZzSSRNAOoOjLOu878Z9JxSbLCCbW4axqKk1zPel+xbQHGm9w6SiqL+p5dGDF58gEbw9ttzh6KGRZzDMPfpzG6UfgroI9NMnxUrWgFzzsTTDEa2Hxwc3qX1RiqGcfrqHYWavdnCUWx5hyXBzd2kt4UCZUJTFo50xUIKlB69A7xuqayNSpvGwxkVYzzq9SQhUGZeoM1a+jdjLQMxsi6zkZbMK8dq4a51S1O6i15RzlUhRlTjRtEkqrVdZC1tnMPBBro2cAtyxVPyI9f6xDFhhVHyQEA85ImdvK6cfbqY8wSioWPAbbUKvPgLp0nibSux4sq6rQqcW0eLvO7EVWBUulQQcDrDHPmpgRbc2zK1jJX9s47GiQ9K4OYQDeS5tRNpRLa0scCdI14+w7z1hHNGu0dTMjSorspTcPXVmiVfuzaLyyYatFMSl3TjI8Vw1JdRmmBgXwqCuc+Robx2ZdN29RbBse4KhFDZTFB+wQfqw6UIlWLGU5FWQmitrAl8jEewa35lbTPvZqYm5N7zvLKCQwXajhOKZ7mZTuZWp/lI6B0YhNnClbM2VTM6nwKk9xGlW6GRnY+jfxlbWiOfKjt+kiIyXhBWET72tcDyo2KK/NZNFDvGtNYQbV6QCgnt3pfmO5Qxd03v+6lWLRS/JD5wH18bbUj4pqF4JKS1thgYsZhF05LePHW5axz27WJjhUlAdONR2fU3WGm8KXQUJa406qDl2WY0Yr2UBmARJbAqsao05RNKNY6mD33OAnyj1M/kLZucaWhErqbCAYOhiomZ0Ypaya1RqgvcJHENW5FPu1/k3mD9TADJgoBFOPsV1yBVDjalJlyFIwagpXUdl/DlogTX0W5nUZ2i1lHdHgvMkl2trNuWfyAzic9FQztN/UPpgrUMlElKshCZ0kCDRBaI6xL9POGyndKyMgw3+CgTinjMIP0/dtQBBd+ciYmjtnyl4amITCB4eWWuPHM5RRzAeryI+cDGKwJxa0lW6/4N6VD6zt2nZOMF3bOuY1qK5f7LcOjPqNDoz+ev7XWlOEoo0rg8u6Y9oid31kepvxUAKLLkLAUZVzoxP+4D5MaiusE92LtrTcZ7BIi60pAtrfgK5WoGDXuDF6VaElwbQpF6R13Mefy0n+QXv6HsmZLqVJy1OQ1fq5LP5iBrsBaSmdJ2bYpg65keKQetNHWsgoB/zo1I0qGsQmtujXn//CIE3/Pvbuz6+hP+njEGTjDeCiWmv6EvomfNAZEg56E6v3ybYPMeIc1EVDtZRwjC1xnDPGYtEO1jsOgn2McQSnXi1Q6Jtdi7TM5OvHPs6pxyw/bWcdRfvwiNauyXx2qZRtdO8eAYmsoynTPk7t0es9Aj5G1S8DgQugNzUQU1LL/ociWNwFkGiOoI7t5KjOn6OI1V4KsIkMk5vSNYf4EWsj82jsQ5ry2PyLAc7TT60eEiWX6dpxXKCfPRrk81pRuS8Ouu1dFmZLwL6B+UknruG7PlZANg6SoWTCjsG81u4SmiVhsAcNYKepMaF4UppV0oEm/7FrvfBO2ke7YhVmE6aikzV9cY2KN+HNPPWMi6I6Sj0yGdBtgm83IH5Rgcu6pdrOT5xUW2XGz86NOKtDaYeVUmJgwpKuxM4H2h0sPCBi4wMjN+iO6HRptTzhgMWAYUDSAKNjQIZhdOYZ9PizWIOVaffihgbuSnLA60d7PTCSjJ77lPbernrDxK5uppre0X2H3z4TF5Me2x3JKZjlvE1YRTZvYVJxcpmwNc5qz1qHrDK6UxDK91SGf1hxyiynUrKLwVDM1Rk/Tz3AwHxtzkH1RICVJofQdBi2+v5IAZkTupcIZGL+V0BT4RpfhCPYcBKQCmjgsE1sWZymwOmxfnMPbnvDnVk2VH7ojKGDlX0Z4EcvzVHWibLF56SSqGU2DAi2SeTXrmKIR1tJDy522D1OdaB2tPypNizmzqhpzoFyCQst9YH7KGqoJjqt3Xo7j9W5UjSAlK/TB6ZFA4RtDIoJ3AD+IroM+6zS+nD40WqckpjXMERb0M/eFsaf9ZN7dVQ1op6KrWHmIU4p/gHXU0DZwBs4I5Si13EKiS4Hnowa4MOpqFxVXfcLrmBVC3G8CL2q0Z34O/TnThjH0pZDz6XiLkIl7AYDY1rQjDcxQPsZkRpCVaUCa+wcI4mGZ4gZomgezcTvaHNBuhldDuegKm7eNoDQgC5hLM88PJgoX9L9IUbmfODeKUGYdJKIhJqbFhfl73qHKQuh2+roLlAIRUdHV9agrWZrKy6tpXaibmLjOHWyoKJbRyncDMM0WUMn6U+ty+FGF45qScenbJ5lSIcGwrm+2ln7s1WeseU1Z1UYnetwuZdQhkY1LKazUFh26uJCwg0dQ5sRqKRMV4bG2pa6/fqbylJ2Tt6jtvRT4yh/mg6UNI0TS4qyMRckqF+Dm5XF2XLct3q3yHMb8KYBtoOoIa//CeZUbVh0gqAwwL9L1xv6pBQzhd3RqWkaVjvyCJ4bmAC5FF4HbXGPlIfG0tlI8UnPhGd2Q8u2fVoEw5vkLoGJvZnVeQy2UXNFy/mAmaGDo0cfURzoRt88hzl6jw2UCj7HnifNPbVK7ZxQNU22Hmh4jToSPwnU5/A0K9Nba2d3GGINPdEw6glPCrNU0KO/gTZWGqMzH2BfpiVp566svkKLHRRfEx4hA5EgQE1hTofEfwSKB9ri4DvlhpRt8N4HbAD6CRA1ttFzC6tf6lc+9j90sZMfqKCyPYq03Qpgo9TFkeFCkqvtcWWH5NsMA0pcU/VFjNNgIqsIbwq9MxV+27vjWGQwvRQcR9Fll30eJzo6OtpqdJs1/V9ttaTZkNqKpORL+yqIz1PoofKA/sEnqc9okw+bQRdGUi3DBNV0LPQVZLeuvjBdv5ZgZQt2Y+BOp305e4jscl2hOBXqHYoGQ+xQDDv1nMiZKOyZAanda7kGEODuClVqzhcAYX2rW/cFTnVxNliDJj7QS5pndRnos1GktKTTuBXlCIZazJcacg/U4MJFecs4xmQDvXOqNw2mI16eYhvPgYt1dQ2lSj92zlF4oKhWWj850Oro1TiRVzgFXMpSYP0b1bBG0VXvxC9p8RhYmbrOhzoOAzQgj2hfq5XB3J5N3WqT4Jv0LgwwlujGnajO1LhQ42lSMWr08S+j54fiR90VcQ9fjKQLaGIxAllOn9//AH39g7v+/ofkEXBridgIOQFGrLyVLHMBkFxpuZYWXEsqCKi8h7GH9hACxO1CNVGVtyQV7PA9ceitjb6+8TVtiXdHOWM5hVHlwApEFuPVFs1q3dqaLXFtM1NH0aJCaqc+qDd3jnGfWdaKD6Il0UmMfJe4QW4T0Us6+F6dXVHWe+AC24rQoQx9ZJ1gEDFNd97ATcjRcnBpHxT0HC4AgMeuBrq39910qOlLcckQjnrWI2I9tj4Pp+jwSzBph5eupGRVTQhY72g/T/1EqTqOJQsrTuCe+0w7GwyoznqrP+1Jlt1Qd1oaXZvOXYsgNI+xMHIH3BacS1u4TQfvIiJxmpmYCWpgeSYhbkiWVrIPhQdUSnvHDDi9UNGh7z0oATGs4YYg3EkVGdmmlCOzaBv7d+Y0AVxrIbj5EugnKgZ7k1ALY7q5v2JXSadc5uDL6YfdfWTB2HgqSXLGQLPDYJASFf3oSCA3pqgZzB0+fHmeuCQNYKpfTWc54snIOAc8JJ7ZaQ9l1r20yV7OosVGYkFuxdjAPJQK0aHZd/oCiu8st1fw2NfWw5JhAkOpKPmYNOro3NzQm8RJ9kNdyQGYeC9UabRI85m5RgKozWyc+6zCrW0y1oYYirXSMuq27HMPYKM+0769dHvmJgAVE5qWobEjlVi1XhsIz5KHaUjkcVaYcCXycxK6xBCu08+fQTwDewDmYYuhtwjIIjqmMQ4WSf1rBLB8omfAUJDeWaqfYWrcRXu6dE691k5b7E3ssfREFsP1zZAYiwuf4V2a243RK6XYTbRK51tDLyIawAj0c1t1tkCL+xRaKlNm6UhYxgAmpQ8Wb6TsTPIWl+CUxyDh3tO6SvKRBtPj7nyFFokpA5H27OBfvS41PTpGilUmY+kEsE9zHLGlV0m0U+S8v/mR7hlFW2DstGzzGnxdZRKSrmMAObgFNMs2yKAV+HPsTdbuXJIbzu8X2hKU6aABMLAb6+Hw9/0Nw9wVOXo27UIzv/X64Uvr/bXXTQBVbT3ohHdDkQU2ADacbW11W+v6dJ56U4Ete4/x7B2GpOr04ORam0XbISKPFQVgdoAdWewbOasW91hnxzbuO1B6oefJ7cUKoMSjaCZLJS3z8Nk/jBu5htQssPOjiUzTRW02UPVTkyZNBvYl3i/3Xmzkje8/J/EviheQYml1CJmIguXGvrrEF8LMsk5sKIHhwjR3Q1CiSlPwLje4kbp/07Rlt4ahNP91Bo4cZNahihBMhYyr9vn0iowiAixKVGCU65hdrVx2I1LrxTHfx6mNJd25qXuxBlgXL+Ijb6s86YqDaz+i1bdAziLbhDfdSqr51FQLx0dLuZFNT2nCYIyO5znT4XmfDtFwQ/ixT67Z5aYMSCoZbZXztktl+m7pQoYWD+CTllpqfuuP19eU81dZ19lYq7QUeqZ+hJxKHuEY0ig8NfaD2ZeA5SmpDqdhgQNQ+/RUwWFXtUa8G+XFYbgh0PSt23Xab42duzj8ry1BOaIvfsq6lpgSad2HWZSmPPdhGKmQpMy6qix8EO/7oA58b8bzDOjkQaKWwy2MnA0OPHPRNZ596Pm4NiHnLL0h1E2M77FkFbS9eMvzEqY7UHkRS+Fg8WewaU/UE6s3VrrdAqXXCEAUsWqvfm0K1mM8hIsqaZW0pIACvBaeEjs0FEwHNPNPrbK1uVh4icGg2ZWxZj/WZ66mFgBBSOqCwyZyLDnml5S2QFtEtzc6hy7CQlkqVF02BxLKXCtorBUm293/yFrm40bi3SWea7rM7hknRkK93RlB3rFhQLLEu77C3Lj0OmQnZl8XkyxI4riqpcPpFEz1bw5MYlBgp0VUyKpf1IboLLdvn51yMYtPQC3mFID5zwv2qIfBZBZtofj2S0zf1+fPEbM77n/6N+VSaWks3Isf9MCVLzhGqpygupExlV0dtN/3PWvL8B/4J1rQtKyXedzzj2U60nozP7/Wt6++jmwo4MNQnhvXApBKuVOoQI8urhBv/Un5FhBaq2Wj6vllf727H2B1KEjG4mshICt6stp3fP1t9SXK1al8WE5Jn18obDfMLeu4KJ6fX/yXh/s4qA9afKiKhAlVLpYKWDh8M+/oToBvY0lnJPFNVk97olJVoSFwF1K2FnJ8UPV4fmXSLb7o7/TXPe8UomDNchD3/DKIJlF+Vfx3wQ3/i3J56JNbmBYJZlZskVmy7IOpfKqmyE6nbJfBwCXDZMUBk5sf6tbZdE7f2JKOGfRDG7UbwoP6N3yj9ogycyz5Fo5vy2nB1v5jiWl3FbGHG91IW5MM4r7E9jCtJ/bKhnyIyrbNKRAGdaMs5A66PpZiZeCTdZS6ccBAFvmNZPzLO4n/jfLJj4lrujAUlKFrv7IWQ8G3AOaIdnH2JEoqjjdvIu29BiEP3XDI2l+CVfrqU9or6aW5fN1wb9nYnDmtTNlvoiabApW8SUBfwhi12/nO+cD+YyD2CMkA8InqPnoTbWJPYUTRLcGJTPCa9R215VW74YL7iNqVl3C5RPjnUEn5MbGqu7odRYNlxZna2iTjeO1cO6+N0c+tlIeR3fOvqLIV0n1vemOlZPs85rgmsToK/e5Nf/EJ1s78nWU1+Fk2IeNI3GJFr2bQQz/mWZRTrVyUtrJMXlE78z0E8JPtlIM1cxYdLBLkw5K43Pdytu4UBVLUonXKTym//PhQj/EGZ6Yhun5PEmLMiKcQMCFFsB2VWWIkYREiF0h3hM5Ps8ZkbSdr9p4JuZXhiS8gHqxX/04q41hcRs3mgOasjBuAbqBXQ7csewa92lb8Xbv+0OuJQuXRnoH8MK83bVFQiKRFX1E2fd/Vf/6Bv92F6hHZLpce8D0sYO2WCjMt+6U3TAuXW9natbLZDmxcocYW9wLqYTXV+JX5ydFeesQ5bO69V+F6uPhIzH7+md9+pI6hTfIGNXOJCyvzjI3MWgDPWZ1rfuDqSqYbF1nzk9cyJLFeYm+seVgvB+wjCkyrQfZW9onZkLRi7gTetx78zmweR2Imdle2YzHrps1WCYzbMu2WlJ/Oip7GR4imDBA/Eni9P6Y1gsSXvdaFakDhaRiCXsCd6kkvL+bIZLqxhR2gvqC4eO3j4Y4g+cnTppunR277KdnAw/pwB9BAOde2XZ/OeDoRZ1uyQWvjYJWpIMrP3sSxhmQZfL0sj4D/ABdVyoX0bJMscfUxXYLpBQr8oPIFqLPnTN+akZfKp69T6Z5ZgSkJtSVRaTxlxqwbwbDRIa5Qwhs346hKwyESjOkFEtubzoSWi8yyFCs5CuOnIQ2MlkBsT3D27f0b15GDY1lKp1aSi5x6Cf679xXYeJgQB5fTsoG4IKqPoD4dfApqGSgVYxjWKIhP2ymbLvTPP/XtL++/vX8twBDxohR3M01XTxWklneEcMspEa/PhhOfBgm0PaX+FzqWWuKJ8IiDvuHIZp0PmiNbQe90LrKqLQ4kSrZhEAbo+ziq7w2HptpnaysRVgh1YcpuO0cPSq9quRSHSj+Fk57f5c3u8eDUEJGpetncXt2Sxz5Q2sN/aAQ1tF6JoSihhRXvLMeW7D72dbujQn76HPa/eXSYH12QNhLGJozsQUhhpKsfQCYbT0yySw8IyAON6LPqbS3fD1kAY+BDRwopDi+BezTTZpJ+LJI74UCVmgStB/bn1pqorJdK29V4MXYKVnC1DKTWgzITZI5gYVHU18LaAl9zh1DYeMicfzCBIPHtTO/m6Pqj2m3habl5c93kB08OHfC/q9lpOkatWySn2wwtFpixFk7RYBM7I9vBl0wPS7W9ObXzg5enBMFKdL61m1hKYqVOiprb0AH86u4ElreuBUkQPhWpOFRvQ0OBbZz28Qq53o/YugpjpDiq5VaqF3kf5RdvzJ3XAIncnaN/LvWz+BLeAtvE2bNVdOIb+pO2NHrVG7vhB4qqp7Jcz0OhUB6LI/25ST+IwftqpuMxtGwFpk8vPGX5Y9LKsQ88KeJXLEw4e8oU4pqq5hYUvakqHdXwc/Y9KvtqwQve2pB9Uxjygfv+lWmoJV04ieS+WvQPIB2OLlZ7KZqFk/JW4QlcmCsAKXQ15hfmiMZYVxT9WnuzvljG7nktrkEt6m/o2K7TVJHOrr4psbuTbtlYtwlIPQ/R7sWXPg/3o0POpkbkpE/Je8RSCyQcWe5NZ43elYPS1j58LQ5n9xJSFadu8WydPfs+m8Atr75+pWXkikmbF+RWyf709vGAtLXFb8PHe4z5p2kxnxgFHx7uwx17p61oubSmt+r6no4adclMbZJkXrY59VMCVqQD+zH3hjn3GoT76TkPfSIeuNG3fplHJ+obPbirrd7AEBHc69R0to1jojg9q+kT68uf0B+1dVTlnDlQFDq1Xj1mGYmDQ/3mk2JL0lDFd64tg3WWBN3BaVgE+tSJXlpBbZ1ob8iMDpwFB70MXqvIc7k0JwQnryfzotOcUoflhzm9sDUrBIJsebWFvFukgOr1YEL17jVEtWcimsLdpIJSwA5tix3rK5E+Dd2EBqXTHUm0iJ1vZWKE6WcHa7RYq+2PlBgPhQAz9YSuZ3bJnaby528sHZCmvT4Up3PoXV9Jmn+rSA96UOoifOLTqN0woBumA1NzbwGGBR5Nx1ei/MW+98YZ5Az9uOUXdCLXXlv3QtGnY9bbfhlyw9zOOMdT8RLftJV3hzHkZuDuIy8LEEOyEgqJ+kqirAyc3FlZTV+r9fGLAMj74gZdEgyyusMzEz0bNysf+AKBdLpDRlZ8yRwJp6/6rN1Hn3Nr48Tt4xZGiDEeU7SgjCCeo/YDRVIBvWTGMJvrP0rkr7G+DMWlnughWicKaeN/hFHtKnPl2uONYnMkYBU9+jq4R2LS1opkosmnAPONvFIytiJhe9RKjSGY9ypOn1ZUlsxTKomZsPjAXfg0YKaaRYteiRYON/p2TTt6/oE1bLn440J85E/G9vUb1NSv3tjIhfkxFJf6Vs8NkPXc5jK2o5inP0ukWJHOEG3ncA3P08pem4kynggsMGnH0J3DxW4BmTY2eVaDCYmyjt3SectrDzJF82T2LVLaT7y9N9Li6bAS3C1meY488ONhqW1torOKRWDoli4UwZSrN4kBFkbAQG+RVcuWhkfq6YXdAy9kpOQlKGQdAEB6xkAnZbBjWPh30QboC/Y+q0OFzm5bqaP426CRwdPGXsIts8AcY6mu8Pm2RqR2zURPTguX0UGz5pYl2Y+dRMVwY2pCswG5BdkkmdYuYFMmcRuHGAB1iQ7xmzsiXt9ZeWyeBqzVdyeWsdGnpXIJiFHYlDfXqTWeum5iM2dLw+eBlJIgkPqApU9+OzXtAXg+Mg5ZW6AAnRqpFWg4P3pDPb/2EVO9IxJkMmUXBvhnhlgkcVr1pJLu2suSVbbdqrQgFKHmze48rP6U6X9rN7WtZbXU+MZkcs3d30oGpp5HLlwSgmhyxzhRO2X0+qcmLFRhMRu1fHRABY9TpPVgHqhJfEbLChmANTe13CA1Cl7zZIlSEEsmvhISSexYqOh4gTvovxSpUSJgPThQ66cShUVPf98Oocrn+SzsS0mpqV2ZHmkTIxXmE3ePWK5YPk1RrddJELezAxCSoTOgErGx154An4X+9ZhLTR0hTmXvZGHrXnEsqasVuG49JjKHxhly0MHTpkHnZK7E1IQywu13Wz54u51oygVY+b3EdEaFC0l8KeuoYyXoveGJjDj4ZRPwBHZOQ5vYD3qSf6odyFNZblAfVyc3i4R9bLiu9LWx/Li4QzyohVr+TgtKnYnXv0/fvn77tnfIi0P2EmNNi8pGWp0ZAjbM/Us4QUZQ4umDmOhGFswMYbhzDqFp9E5F6V4mYOC482VISWBvIe4WaRp1Y7Q6KOfdSU589jSMPcSkPzy8uWCpjFB03qAO6sa9emkrsPaIBYaSB6Zrn5vPc/gmvKMENh0Ws6aF9qYpwwWgpEiywpZTeg3O05MA1F2Q99nTRAQU5Ta3MDWGPlyHVMVGIuwimpSGRRDaIya4tjEQPZqLMQSBkQTwrqBqGX6vBYqNTcP4J3yNZc8ICB8lAPyz9WK4pVd8nryxNUf3gy7qODqdiyoxEsMCjmXYPerK5jTNMh18psNr62JksmTqfsDbCOexKduSfm0d344q9SWhhrMduM6eHOj3ARQ+QzWo1qVMyMEvGlF33iszesP4pJ4vqluSallVvFsrdN17uIiq756yZriNLdWBNn5d7CvMriiNqmeplJuhIViQ6kqDqiSjNQTC6Rrfw4FK+8t4DtzVY6qqodpJOgH3CpKfJ76luMCbllcXkB6y1KhprCTLMRmJ3IytZgMaZuXY+Biuceza1U+NqviBiU8TX9g1j9WD1PbETsqTlOScgpuSjZkkcmRfdlssR2uUguUHTJaSTuyRjpXAOJ6MGayCimfoHaURJW2loHPVOMhei6uKXvz1P9MLkelQVk8y5h4y5NKrrWHsPdUAtTFZ6SK6Me29ZO/mb+liPXo7c++X/8xzOotk1oCWEWUA7ZUD9qshtevh4EiZZjsAqZ4M7zKQItMPKbGYmPUILqjtbNqjkhBpfepZiGwlYMFze9za4eRloY9I4knOT1OYgdm3SMfZyIi+HWGX2oEipLexWmA6k9gO+roJc7KSxN1KmnD6zHmWhaTz/TPdEWP/tYNTkmUIlBAHmTagduqBqoG2o/U50/FhyiUu8WjI/GLpgKt/8JDZiMOIm8VSXVBt7TEbYC1r/WmVK6iBo86gP/JoLKkMaVuETnQXQDs2ACvz+C63NUz0pNlE1DTZPBjYlHCDO1GJNg7G991G3511HOhUG4CS/AdB53iQyvz8ZBICAkDCxue2lfHO6iqm3kOoKIc9nfK0JmPz4cvac7lbhT4pjqhvpj/4v0/efMbWPCKuqmAQJumCpxhshrdWTLnkJwp4C3Jvy9OQgV/Sr3M1Pv2mbyc6V6+HnlvbGH0bOHz3TRz7uHUI4vEjxmmGZCNVZtmG1DownGEpy7ilfGaeHFkQ8cKFoGeFPn4iQ9BaOx5p86BPAfil+hh9D+4z4/2vFq7HW6A9yWT6tfvkxjPAhRZFkt7D+I4L7djAiUhnaKRtln32GGesF5yRFTBuqF5r0ssukYMPI8t7BlW9IXU1KAEMx1AGlKhWFiSwLZKN6Y2Qb7/sUcU70lOun+qqbizHsnbQHrbgODF7uBZzmqceBAzVWsyxTFVyxvOdYlTThRsXzw6LvMb+IhPZe7XojcdfsGD7UFCK8XqltUiPwNUTpV5Tw6FMi0XCMuKwteQaaZmQbzp/tsSIvAxhYUsnEvpsU9fB2lNNDss4elYJ18KjWD7Evj1Pg9oaYU1+sDpsg6rsQ81NvExBt8rdjP6opQ5sg9XQYkSZdo4TH1i0frW7YEV0+Vnaj+gDrJZ2MM+y95z9Iwd0wmT4RhUFq6Ra4bJw2zqZCwYB4L37KgvusTAFSuG+NUCJKERTHoFSN15Z69sgpYlRbBH7E52+ZUJ45skz+quFIbnHZSjz5NNNqC9atUp/YzxD4q+mrO6NCwI1Vt4+khPYn7Q/k1MKegyvwSgvwP2mB7ObjbXHAI1dypDJm7dWG08yS5TuML19nNvHiJ63aaqIw5syKkpUwkUrn7JIq01/lDVTkyp/ghP/lI5vhmVmCUdDLvsSecFSasm+xmpmNNDlHBZ6UXwz1LQMCqgj1W3qJp+H0FNb9c6AZk9vSFY9/baR7YfOrev07DoZLhwR6LQIIhqOJtgBAzbm+YQcY9rxAoLM4I5+hp+Z0pFLGzq1HP361x/V8+JA6K60QA7OxJEOlTtHdhal7F7AEanHC/4h0w+tX3EjLKqv5kw7EtWBGlpuorUZsdhHyqxVEAw7CeoAGG78IVPXG62v+zKoVLifkBHUbtTe+JlKso9i4Usz9Tq2lEGZan8fU9xULUD4xCAeltXoqqiCT0EBHz330XU4cebaDmvsbcEtInSeC9jJYISmn9eMqk3+QIaW27//6//9f6lfSkdMEFMrEw4bCTm92RsLxdqrzPIFO+QE6XI8JPpz996/G0EZheRa/+DmX+rYO0D5BjotBwzIXFtqmXamU/3XD34xnejDAZ0wEyv2xfX1wIKNKVywTbxpNnqDEHZx5E/YyMYjmOZqkysd/Lb0CC38WdZKW7XJSNpAvEweoWwhZ+hkuRGYQCS3blAHdpS+onXF9GJAo3QZyS7WA+C+8US1rRan5/loZrJYeudNqCBMbUkAbqpN+7tpD64kn3ds5s2wVs++E85WX87rKXIvJtrmkokrg7VCG5Knesm9nntbNZVZL7rC87f3r9/k5SJz7eMxOi0d//pbgUa09qriOH5RG2sYSplep518IilufhZqyE9ti5oOd0OT4y+5C/NHPLnf/pyEyD0dcX8q/qe/tqA4F/+rd93v0y+/OF/8a04w/kNPMEpploAAzBZPlUWjO02eLPjzO9rWDdVdXQ1zQYwJwgBgC5qaHKK0mvCKYJ8IKUaIIqUdF38VQ9viBObqiE4zXON11oGMTI1gU5kbCC4BZ7f6nBOZQ85t02mXxCRD7brguKjQU6rnc6Im9L6LqjiOlKQ/xnAN7TiI9N7AekEjkrrTeVRnjo9alPs+z4IUw0gn45ehuLRTNeiCRmHY0bMCO9F+NVgEB6ofpEKTyaQ+UsiymNK8n0WpLbSFWxaXVPP1sers+ZKBX7YhZBlOeptuZMwCqxAkLZUHv85PihcbAmcWtbfhdaamgyeh7WcwrgQAfW8Yavzll11TDUShQ0Ry1riT+8BDoi1usJpCgUtpWqc+GO6pXufSmEpefTyJNcOEJ11FIOHyGloG58bxP3Nc1ommZRlHHQCUEeDcCMoN4lmVRwskFIsvxcUfXR3H0Adb4ErhZ79gATrCpobKSzwDVPWK8/JGVr5tQrFN6vQG/e0jJt0rKcEsDVuRvbhlnIBEj6NW5H395T/jIMcZZpEFN2s3+ncc1F0cRIHUQuMZ3wI9DIMIUf4zqMZLvX95E1RO4hpWhOzQeZ6gZqADHTPaXOfr92RFXqtMGikubRpel6lUxaqzJYEttaLC+SMWHL70mNI3OevCnGcwIN3uwUQG4EeatEpaahm0pllOyt1S6m40JLoNaW0ocPRdeUThW3HyMapnMq2clutAyxW9bZ3GlVD26zpVKmKwk+LoQ7sn4RzQdwe4zKJ1MPYiYG8aU3T1BFNYTtZuRpn0ovWdtQWA4iBs+NN4HTv09t/cZTG8siknSgdvrTqvZn5Jq16GxYwQEXQIGLoXih6Fe6X443R/CVHRMBiY7IOhLJq/aeq/S3pQTteB+wkm+75ZmgWMMAPnLZOFU2Zi0yH4divDf3v/+muhluH/g7v9/w2giV0V+TnUYSUlaQNJ0tJmJ0ZKmiDlnLQpjujdqpGUVfPdSRVf5OOXcjiZg6qC5BDQZAHU49SHiz6oSViL1SFvaDEule7WIjjI5t6RNalb/ZHcm+RDjhP8eTMP4igK3Daqb4YSIP6/qC2uPP+akz2RctMtS4QWHQ1q75Ao8NJB9wNw0dpXM6U8TRnWwodmzG6CNIks7K1XyLRvAz2ymg4M/SuEdGTKzimGtjz1BLkbv1efKomojZqouUaYz9qFItnJ3p1qS3o+eg3SG/u3hut7hNITJRU64bX37XCGNLZBkCKLoRnFkGRONxTZQNXinLrSo6HyHXtOVQpEx6wWBGSxMbnSshNktvBokoxvD5gy6QxLP8aW/HPNoCbd3CjLNlap12VJCkWAkw7HcdLfP3+CvWzoAD8Fb1rrNydNWpr1DGWao9gQr4AkqTnN+VqJ1cd+HMAWxz58fDgAAtkGyZLvJfhsJjRoWUftugRn1mmwd/n2/jRbNFdN3aiFqC/noFYPUQeophawpHnNYBUMukbdXEMWBtIL22R7xMFde86ubM26hNuzaAZAEtZ0ZdZdEXqsCv3JUBQTjGC2uZhOJ3PhmnozeQXtWjzssIm16mvkieI1pZ39CV/FCvOZvw1MfhjV/kTHrVxgL9X3YTE5YLkN/GHjXCEp52Sk6a1HZcI8JCCaVg5sG26bHuzwQ8i1m0qdEVh+mzXRozCAUShUo4EV22lE2J7juHZUZ0HVamo6i+7wM6KnlbnTeE5/1szywSgSc5qaQ2ScQ/HhpEjVR8ZnSfvxAA2CqshyXS06UjbV9m7iAaLRQ50SnNh5S9nehVqll91Yktme9M3APaQssaT/MBTbmRaczQ7UdtJC2l8rmbgmaNDPtQ1gqZxqX5zu6CShlo7QdqpxKk50r3Uc7LYfuQest4yO3B3pdDDCdMSMIll8t4AxH105whSCEpzxAyrD9DjUCPL911+M3ZTs02aMNPcPbWmWsvv5nV1z44tQnTiOsdFLzuVnDInJAWl0n+mIlgSRw7sASIxZhCBlbDZQx5q2CkPH8oADWql0arelwaM8TrW5YcxptU1nn8GFxz4yEGGHJf01TgxDysrMhsHMkgAt7SwTFjqpqs7ILktQolMAC3TWzTFIIdKBf3E9xvOROYKqiuXQRJhf23ArzNSZZRozCMVGBJpTQlbJtxVcN3sX7vFojTnJ/qShona98iCMIYKmV8h3f6fAr90ATlgkDac4qU/3Qj/f9TFazkz2BnOls2XWtT+O8TXrLRRJkPyga53RXwipN2gw0lj5NI7+3cEYXX9IaH6A7GJoP6ZX3EOXUFsO7AJGpeVYeDiZanc6Nw6X+HGjRZRvXznbGe4cu9hR2+SKOWealZ8R1qM71YHFGTwO3068NtRgjiJvPm17nTSVXWJN83T/yhwrHO++VsMyB+JkvPkDLNwnD0XNCmiv6dOLmeOvs/vPtH/pl8bkGGjiqr869LJ0p9nKR+N9PTrh2TaKMMmsPcUbAXwHU7KLo41Xz4nflSICLYjKaEzTYPRtiYcJc57pGRjl7Wrc2mR2atdYfgy30Qpxpt/VAWGEVtbis2zHpTOWBYyw6FrZEuVzqKA68cp2Erd+qUiLVjhFDMaE8jj+C4b40D0ATMN09nJPveZjL2us2aq6XZ/pXN1ww1MV5oVXiME/kImLaBmoZKfeHQ4gF+mGjLlLxpoDU0+nujZETdCT7A5hfHC0PUzNgYwhUq6TEVkxtUB7szy2eVS2SkVw9AyO+/yYeqiPdaCzrTi7Flb31mIlsqmsTvXmXb2GGfYYxfvfdGOPs3+7FtlfkodFJq0higwfFIm4N6/lTIxyppPRf6glFwwIdpwTGKWWqgZJwueleECp55Fe9qz1pX440DMtDPJj6cobDyp5s+n1yNIwac4NpOA06WfRsQyPGu+aq+0Td3R7PbmRsRgbRGix62ZJxSMl9mDWH7MoV99cDG1NYakHdmReswSVkYGSbkL2x4HCsilEzGgcYwOJT5WFm+aXwdg3oTypoyKwV+3LV7rVeufcdd5QOGWkg8mF1A0ofhglZtXLSb2gNwzO8UjcVFMyo8thiaRe543j4uSewTMv+lw1d6H0SqJWb2I+Z250I+OAILWDkotD0ky0uQXE9hRBRrFR2yRuVOGFZSJt8BgIIoz9xOvV1MRNJ4yME9SEcjoea6//how2vvg3vYsMeFhbAh+WlSKs5OF1dZEMNSwyocAAO3UC4h2DlA27MvXkjfvnU31Kg4X4Z58H9u8mtfrtV5Pa6mrsN5P0jQOMlv5iHoKa1vVsNwECGe5AzSaujNv8cBiOqVkkk4D3ibvnDm3e0/owmXbxQm/abrcl8puwKqNdGqGtzYigqc9IGgPNxe+zWl909YZoiLq3ZmmiVafdZZqEzpSvY3g3jFwvVBRyFpo60rb1A6pRK4ABqg11Y01GezZmyGfS+qqCO0UqIwxio3nIYy0fdtNnfxC3S2dcH0seQacOg630TsjTLBnXJtBF0o+46vvj8ZPaM4xAdUJ5lB4NnVpVytHV/AyoKkBjk01TxGxHFeFNzvWp7LUNdhd+v4NJ2S6V4Q824LrdAKQpXFGBXGWB+PMhgKqX4rC6uN0QshLneOYa4xUCXSVHJaOxufit2vg70pNMDcqdoEecXHde5tpLmroOlZYKzwcADwklxRCtoQWzkOSSodZYp6mhjI2vNiqtrLDIZTzQFjXxVUpK2BuK6jPNmZ5pNVNRTLUmI7DQLykZuXtW3+VN0n0vvqjDiETUUw9T214p1Knld/JmHOKLhv9L/HI+D2RIazXvGv4+ca5pEpoonZEyxZea5svoJ9C+0yM5ncdjLb1xk0ke1SinyefGCh0XB72qS0TLMyCDXxDqANOUNn72YioWjGVtdbHKyOilCVBOSyUQvR1wicNZRSD7Ky3aqUp4QPWRCHZarARgiqif0ynPkrPFlm3Jtq8KxDvaK1qozx40JhDg4CDcPnEmZ/jAM8hQ3AV50Ri/c7hxptLU1SVomo070QLGP9nGJPHE6BnLmVtjnG6SGMb5b87a2S+4Y38pepgG186kPq/LjDHoz+QlzEdnrTd1R/zWE4iXJvkmAWNKV0aeR2EpY7g5zb/J2tdL+afJ0ci3FzdoUb+khUm7XsSN2DDe6jKNw8g+Ja0mC2mfMqq+dZal1GesNBXoybSwjxSMtHD3ItRKF2jlsnstXnR2Y0o1EYOoclkKgfLLp+L4BXfKVHiqLBFa0GP6vanpPIIEC9DDK92UH7WlcAwfH1o6FJnjVoY45VsF8hcWYrb6s4T+G30qzagyX1H9Zex9fdL5P0k4NJEe8tiQZV6NSUc6hmRL9NKkSIgvy37qQ9Mw3NIMEGxdP6kaCJigy3dq0Tizbi1QXzmAMgv82HvMkdejYdAYW9nDLIBzhL8CKtZ2DA6VFhBbadlBqJ5SVg//6J5nirTyGX6jvV/Khnr4CPU4/TpPMdKoh9VCKkbbmaK3BNMFtt1Sx1ENc/dLNab8Bz+ei9cUeG+U/hZGkuqpjsGtRZEno25vGnKZgWLSHaRq5qD34YUAaikifstdkz1qpWd4XF3dwk2VsW05kzcEFLbu5iPaVonPgwUTToaKIorMJqTXnSanVqz9nEzbTQXaECqjbV5HmxBqWhwzT2jSGHywxSzGwQvBzGn/L+yD/RUE+eK9SK22P+U/EY//lX8lubhKrp37oJiy6qRsyqdqp/aFEL14ApnGK+xixuc4vRSPCKfjoI41whqz2m+swqxm2lM1zJp710JGsQ2bFmM0iMmbNjBJSNOBwsX5GHxdFXedtoMrMWvKsGgqLekn1FozcQkdUn9B0m4ULUc1QqUxAYj0UNZS89KeQsklFLcVXaoIn7uOP95Yrao358h7M+1Q008qCxkB2GrTUfTcLZkGZwPg5QWbNfEzwJ/R4z5lBKyMYELyI7OgDDdRIU2nkfCV98tj3ePA/RhSv07LIOix0cMIbTTOTrIpocHEhMmEc/vq1ls2zh+4+JEUDrhp7erFfqY4M6LEmJsB6g435U5UYA+OwqBdXmi6XNy5SGv0Rz5l8yNIvEgPcbtjHd/gVWKail48JRkmuZ3OQ6UIViDZSgTwlwL/wq5RmBCxH34wnMdTZ414zJNmkXprvZxVTtj5N34R7985cFJlOsJ+GKq0umw1a2i6V2keOC3Jp+q4hGnBCLkFRuqco17PrD9l/NDf7qxNK6xCdSmVlP/Qg4lsOaweZZeenpUI4GqrmmrvD4q0I2RmaQHx7H7ZHMgFWDKJPqv4If6NO0gFlPlQvUbrDzUQMCK27ndNRYX2Vhv34uRY07Kjy9SI4rHXZXAknSkWW8+Ia8vCkVNWuteuZ8pZYi/rs/3Ecgz1xXDmM+WFG1/okkjfY2p5ZaqEZYraAa3dLyiHeqjJ92JPTQdrYgBl4Wju8Mi/SyX76tPzZfie+pqSSKkvGWzJ/8JUWqQzpJks86/+SolGLcpPFikUetE1ZErVV4wBLRpseg6SRJZDJb/CNhzyaHBc2F2W6g5miRt+VCKSo4cvpuWdqmPAGRjjqOtWVVZIrl8zwi2lO9rqppg+wI/FMo5Yuh2o2WzraZGpmm45b+TeOGyrdP3WlmcfBYXij39oU1+po2PXm0JteUbiSCnxqb5Sogqqkp6tnejnTWYTDXubtwFB4r7Xq5/pcCGpqEQ1UbNHka4W7X6AFxgKncC39CqboYDnprX5SZkXbiNBPGyNjDrGJhRueFObGGLFnCWJMNCu0m/MgyrbUDZRhSwQcejGCvMdT+imhGLyMvz684zk424KC0VJb0355Jecjn2hiEAp6mAhWHAyJy/xdJ6aIltPqHEk68hUiEFW/iz6tnSolOyBqDXpfNPZhoFZucFkwz6TcChClOOkB/7rnd2dXuHRkuIMF1OLAo1d/nUMQtRXT+0OrTcKyDUY3zTAsM/c1dbH9h8EHS36d+yJXF11QBzzXb1BCsJj+0PntBdvMjBFVEELQJH06lj84y3lJ3p1otmYGkxvoRrVhkimHsx+stbaWHRfevcadJethdAzYJN8OxAYMGERiktsDtP/Ju/dmtxIkjWxv5LWY+dwrExrbJLdM92y2fMm04se1qQnmVq2FgASQBYyM3LyUihQf379+zwiL6gi3cHpIz1o9wybrMI1M8LDL9/F6ZzThOo42e0v8qB0rDSDqU1X+KSnpEyPNNny2wsdJMOV83oY1OAWxoGzg212tfHUGyrp6KiMRjmEiyxJ6nh8QnFI+dWdTWp29rfYhz7ufDGpkwKpeJbv6cl0bzg40/x0P8HTtMxm3/mn0PIwxwH7MOzCWXLzfVW2KQMefH7h19gfHjPwznwS9xPWFQL7x3tbEAGaOdXFqvJmVz+1Jiy1J6X6hnJNBgCq7B54nOQkHIDjBGjMpR9RzObfdsdXhVnlag2rsXu1EDNcqocAw96c0tl8wjpRlGWgX3Bq5FBKee7FXJ3yNDh2uhLVg5x+JQX3UjroehYlGvQ49mVjWhp6VNFhLGbDwVWC0afZltXaFuYgN5ivnTuP9TUeW3EnZ61qI+yoZVIrgvS0cazcHTr6AVuZ6c93HS6p+gPciDxSj9VeyhO5syz1GgfDUNLENqzUOOwCpnSiplBvTFIamZM1id5YwHJ8AVbbh7Zki9+L6WBoOALZYxPDkyodiRxemW8uPkk1MOv7X8Ot+N/KUPwfc4tleOj++CVwPq3e9/23Rc3tuDoYIiYLOIeqmCTUV2gVd6bcac7tiIk0i63PCN7vfY/ify85tTUbGJ3kwNNtWsAErtiVt7YClHVknnDKSh6kQ6j15pOcbfBYafeemcLUd9SRcT16RKlbHCTvcCmu+EwEQl+cAFmgjI0pY52mBqtnrJuzO0Av82Mma6T0nRcxw0W2oEqsA9vdD6HdyarJPmBypc3Zq6p1r5mvklQcJWYU12Ahr8/QMpJM16wWtNJB39aU9pl2O3ZT9CkZ4mImQvsQXW3y1Hdc+0bAwNh4FpltRPP8dZggWBqaHRyA7LGDvX6//CfAUOSg+8qjGmptR7mQ6iqW88VD1clXqNHNX35ixlaVc/oXdCGze44D0Ae8gwvilnXHV4Wd1BB2src/h1scy7zOXI4qiaWYm1OOBH0dIHCC4WRSZSDjiezrPGACconlZagGRytoo2ACC3joZ8glq02W8sanzwzKQ7lTfHjclb4m2k4qNzga9TGaKWlC3T7E8kqOmu2zYpK9XngzrzG54lnkg2QJqZT61EXMZUAxRoSP7lzBvLCW/1r54ntV/AJfrW1EakZIaBWPxtqltFtabWu7D6OL6cujD0gp6kPsj8kfIHkd+9Qh6c8Sb57ovvQuB61YIhyoOe6j0mC9EuJbSEI2xShzbRLF0jP4reWIYE8Cok+O3pEcuxUZkxCscLVXzmGCy6nLojcMAabSLnBpfeNi9VXZi/MmvcWd2Pl0C5TMbPcoJlmQz5VDunjJwVZKSHYGazZfJ8oC+MauTXkDdoeIRs+0clcOnvLDO+rJo/2zTT9f6OTJocrsUpBYky6DHB5Xl0nGdpJS6GTO0dpDlyVNix375zDVQ+lLj4nN3022guVWx8hcfKlUk7KlNA+75dEg5hoP/tvP/2YmfC134eI8UkcQlJ+jU1dd7mdl1k7JxuNxAcK+PPYQOF73XrIBhPFUCKD5GtUEsykQPZEd6XapkoAmofuEaAeErmQf5sKka3BxJlnpEbFidGbBDgHwZObWOBPvx/PtS5BDSA7NyoU4UO3FlGrY9cAGC+bBnm+e8KBhs06KDj10MuB1Y3MdrvJ/Hm1h1BgRhGfNDm2+8PP0PO1s8hb71McohenezPG+/L9CGphDQ4YOZOtgzlrTvxzi2bvIGdIpTgRf97ZE5UYHvbi00UHlkLzQnNDobDOL56Hf77OUfmRX+EEyc165wcm48iElU9E2ZvT3gmf17ZTiP+ZwQ4OaQlKVXZCzsDQb1+A6mF9jHHWcpJidgO5zPFpj93urhbkx7o2qa7yXR2cv+a406BzIpTJnXu+gv1y9CbqaurhZ89pV3y6zzCkbKR2HVEzZMSsvzSbsobfgG0mVTSXV4uFg+mJO3Y8Dk5qI0tBxApKDMXSRGgaekcI+dKVsQcecrnwJXUypScjwvCLBPp16xuoHfoq34LQCz+KTqZ9mn2ixvh2QedvTyefQBfbEKH7v9IaRnLypTCb8otg1fGhiT4NA9IrN9Z0sNPKzKN/PugMjSwfjJ8qXGG1xJ6zsvgIMy8PtyfEmQLMEsIoUyYEz9MIMkVs7O0nyFarnCGGTepGxA1zBhkYCF+3WaF9ItEp5USy1wxeFAkonJNyODi2Hlt4Hj5xoucf2mF7N6Yr3XJcTNDJ7d1WL5VCd2gd0hufTfSythsJvr58+bwySzW7bqaxdoiNBzmxsaqgCuOAdG7yVx+skiXatnmaVTSqxiEZyqQqIxQEuGjYQPOtTUGnIU6OWcl9jp6JiybvIibRbnnmpdjuz/YkWcW/lQwoWvIZXugLYw+bUylcwke8IG7oSku0pn1tcgxeUcXZDt06E0v4+K8GCpGlBxRg7fduC0nwmnZJYDGe6zBLs7RdLSFAUCqv4n7VRJFzKZx8F6xQqcMw86fQgK+GC1BClgt2unH1Ed1NtpXBZqtyX5d5RgV2qLwnXn318s+BoFqe0drNs/WfzURS8dBxFSWybEGlOUozHf/r1DkU069J6RGlheNRNbUz4KXs1hV7H9ubYOAOoGXo9A4wFch1bRU773ukBidukA0jxNaeNpizmspB7Ea3eQJKcASXVqo1Uc0/lo3zgpPQU34OVoeEVVpZAcAOCcVu7elL/Q7GgE12xSHLx2EFcIeN/YeHVoMc9DeiSS47UVT0Vf+wR0Peng76uPlZ/b6cSslQgAmnjzTF7YXJv+0Lfpq9TERzo96Wb7QNxZhtbn2xIdsbx+gdOmtvtJ8wHerM+PsOHnSWxp1WOpm3hObB3VX8LZlSnFP69SDUOETlPPLrnspj2Zuf9yxuW8ktlJwE80pg97eHghSPHhiuFJg6hkFJqCAekj068T9yPsZsGP668DQ3IiWhqWDd4JwnCpZfc3HxkaJAWjGeXsQ+51fkJKS4lxgOYZmY6x2srKWQ9+nB0iRnbBc425h3ktOpJ5vPsUZefaWIbrW7CU3gJVbIKnrquvpH/A9HX6xVssyBnP7EU0Tr/k3pJXdFKDSh4BPHqNXHgmT6jpfi1op6Qlv2OwZvEcwTX+K9I3/ZNTXUBSVzN6PmHlhXDH4D2j1BmBkbCFvcEREJVSlCVj3D7ilXrYsAuRiXyluA1oHStJxIJPPqvTZSU8RItVEy+AFzJVZqzgTyANM0eqlNGqFiRoNwcib//+m9FIqKaSfOzHODFDJ50KcoM034yL3F4La6xb5zTgIf4XQmRkhVd9g+o2y8GURAb5d+PcqXMzgnEZnGdtghNbWCslE41yM27BfJLRRPtRONckrK7AoTngo1bbhiR6XaTfvjfzTb2v/DcQKuQA7G9Dh4DWj4f4YMBd91WGXLH/qZodNPNe+5E4V5GqTj7QywqZBk4CCSX2lHe/DjO0CViu/vdoKNLWQMS44DknVrGfVhijuppM+TAWgc5OXv5TWFyVFfBOY+7Ni/VQKxBwjaQXP3F4ZCtpQHLjtk1yKM/nmfmAKpaV/HLx1+KDcAxAn/14KXXPigJNbj0cIuLoQBKerkku5IdsvX3v79M794Bx9rHehl3Q6dSD6lnAe9PB9dVw2RbTrKR80lc+w4qWWcS8xIt6yr5qs/wGLWDz6iQr+lz/9H+YwMz6Ne4j3UYawkddenU326CnNlyeL30ld8VXO4PRlieFH3swyGLguoIbiir0W4RoW6I4HAP+37a2e47qSLcSxyK4xj0L4hHoOqZNQ209HQT8O/Ewpijg7utkAit3At64hK9nAX252izyd6kTLyBkGtmbahPb92MDDN3x99ev3z6+Mvr5+JHydBJZnA5oqD8ZMXBASjC4jjV9UpIFm1kQBrCdKJpsRRjB4AhqqZjpBhwDletfMRb7o3H4xGznwFRGqVXUR2Rz98+9FDyXELLLU7y9J2cHyMkrHosy/TKkqvtz/r6VVMBhJ8+0XhGz12OHaRUL5WU8zAag6MMuGKgaEp+WMvWgQDuC8Rz4GTCCK6vnKKzabfy5WdVdJSNAt0Bedsh8dc8ueasI5e13KhkSzEeHagXQwy0ZiZPqKaCDQAu9uTv0xf9YPYYh3VRqPNXwKo1ZxWqIaB0HckfTCnyhXT/VFyrjl0iucp7yYCtQmp17uowJh8vQ5RdLAdELeVgksZ1nCgzclmtVFzcCDCJIb1aYREBx3KK7Z1Uk3mZk7e7M9Nq4qkPu8o2SkPfX1kengxXPmsPBVlS+K0K5UlS2vT4amBkKFSPnM9enf0QE2sXCY58fx5NiP76v2TtaSj7JMlpXPH/OcEXrbmhbIoRTOs9cIhj1SXVjGIXWjIOAE7qNR1isJavJDWiL027xpZphwSoXsdBxvPQkYnq31z2ZjWIqrjgTPhSXSsOjuxDHSY68pXDRIFtJatlgWbP+0EA+RZmRXW3J0PiVma5hlRGDNZ3THRyOR/Zp+IyMg0NkzCZdix83fm6qm8eNPM1XtgAPEzw3oN1oQSz0urTT+3KT2rx1a4GZGXm6KyUCyVZ65O599A3xPcwi44LztYem3AHxUBwW61LCpU1OWunwWGmqqv/DpFGzN8MSrNeIkJDMD49SRp+Vf5PzBoi1lWQELQOOVrsYUjILumgqE0rDvGceKQw0zHGGte4FM0ZzfW4qbqWYS+linARCsnuXLlX9b4cuJKGzEWWokIBJCkMaNh4lG+3J9UJvQa5KqbrWcpee0CPzLU5REmhRjOkqS9IEtFw+0GAU5ebvMZDn0NfD/KhbUjdc8TxdSjtdE5te7Mc4twKtL7rVykOOPUqEvxj7u5pG9iZhJ0mjCKHwZWCndh73U31aeqtz4exn6zfQw/Ou8Z5F74Hz6MMP2clGApZ10/yyN5x/MgR//VjEXYSgkazw5YiSA4a5gL99PHz6yeLhJORIqpvoqdZ6kwp4NHkYVT1rM2XO+zdPSDF6h2CdX0oMxpQgvJj9AnZtseE1EydwUsF1RnraRITbD+tVCwfwu2P6fPPn76AOs3CMrFjwUIZ/B916uV5qPskP9mXDoxcXZYIkrFLZ0BHBrCUunswiCEFU25q1znEIMVzgAgBHcOz5qZvNtKVkCtbRRN1M8ujpMfCrSQCKeh5dEIMaLN22/o3+jSfqJtcKTngKStmN/cber/SL9FMA6qjw1ONIK0DTXri1eQMKVKYGAaza14iPwczsDP5RXJ9x3mNW7cV2FDPAzfCt4uxmmQ8/T4d/z4T7VDLwo6FmsQZDy67Kh0JQBcV1eG//vHTp58///Lb3//46R86tAPjpACjSn71x08F//yPj9sn/kPLsX0M/YDc4R8fl+f+x49+hN/kIyRV966UBGp4/63/8VEfZL3PqkUwOVoEO4nAB7WhzTgCH81wvMobwfnT7Gur9r4EzIZR/lydzoXHfWWQa3GOufPMuivlSpiI7y9I07FBZDsvLcAZdJ7T0NjWdr96k78NuV/Z0Vq8gasBXZmS0rMWo5KOjVT6dMk9d0Eu7gfowr9KCaZ1tX3IJGamR69kifMAWcBi0wXtvEw0YnmwHQu+kSwv2bbVsCoEvjXsmQDz4MPtXiwOqFsRX2n3ksqg8hXKBw4cz5z+UT79rIfeZJaHiWKhsv8QwbSLlSfzWzfV4SC/LYlBau+WYxEOYHIHnKnySq3jwtzfgzPzyv1FFtWJhXABN/uRHkX49zyI3dMKdY1SLarxw+a+sVJ7/2twWsKZBFoVkovG3tfwY6uDjW7X5NieirCaCTto+19pyy2VehIl0V9AP+dOhROzKxTOw74CoPGxhiOZO7UNWP37rz9DmbqWLHlkPVef+ME4kSHjoEaf1zof2lNNwAuJLIUHADqLoBTUd7Ty89u0D+6CcGHYNP9ugnz2Nfl/qi1p9n8g4r2TI5SmeopGP8eJTUJHenpq4162NvX/kP+bNfatlOIuQ8kxUrUnVkHtwl1xt5Q4HVtO6IE9tq8rgPpkNHipHq6yaBghuqZ1FWbFkIG+yWXuh/1ZhfcB9ZyGYV6aD8abLvb8kuk4HmF6gUkoEyBz4J/C3nFqTxOwc/gPgt79y0p0gn6WnvYstVkcpgcpN7pxaMflKnPZIjYxGXp5Hb9E6rQi9YVFBpb2PtQrvoOKyS5gL/PjoG9WN44P8SbMh12AZ7aG9z082WU5jwNrw19AxJOarr5pVzf91IYIaMvO15f7pyk0EvpeYrBO3+7AN+aFIVpPHZ4924e9+sUJnoIKRMOZmxoxwCOuVf5zqjrGf5ICbxpbJdZAqA1zs/QngI1qSwGxh7J8KbOEHoALyURxzyVC8jG0DIdOQioAuOmVK5ZX6V+jTeQFzIZ2IX5wVeIY62TbbH+v0hpgHw8A/51aV36Sy2029AcYDKF8tXvN/1+0mmWP37iLW3y3czjIhrMWXmqojhxwQ0K5n1WAMwkqIwkvZTf64ITMj0691O1P29dc2i35VW19ktfAa1J+3Zv8FznjYmvbL25zTGv1yKYx4SDytqPc1ejkfo/wG8CRCagH82mS+oqzbK/UoNeKrWfc3uw683SdMAxwIWZ4gKiRHgEzfd7JZld9XyP6SrVfEgSh8YpmIP5516WUXNq6+wRD0N4OpZKPcdERyuRgA12CFJS2yOR+tEnhCmpb5KVt8wZJQneVLNaoUGx7hlcdgV3pgRYiXClP0a8SgeUXHzBgKlXGBYUScDDHCPDLoP12FBoRTheQiI2Txp0baXpYsxr+Ec7x1HiVMlW+U7m8XYvmhrwEUmK4bo3VvlgJDyFC9i1tJtIu9/X474oT1fXDLZQdddcruusdWS2jESLQLgm8Ebn0DcI5eYYgO+8GEIs2RVLd7Z0wJHmkP36Ci4/x2DwBlG/0am6HJ/WLTF3GDnzlS+AxMcrlG3Rqi9/wYqLlfPzS3v3rgNuOlRPsFscIbFPwQM1+BK70689SYJ6KF4lUDcaedv6rVQZGT3C/g5Cf8kKNpy2wVVbv1A/L87iU89ot5l8+JWjWS9hPU5OHNW68gu4m9IFXrHjdaJSnl4u8o0QNBuLYaj/0ekQuJU3N2OdUrEF/JP+4mGjYIoVVOwBsqB/B+a6fv+wb9K+0iT8Q9CLPZj+iL1DXvFSHKdTzY+xoXSkJG5AmB4Jg7gf6DWOfvoG1zqv8nT6RrxdEdZtTVtvUxogv4EjdeHPluRJQyW1TsP9cjuJCfy9RdLaHJdLKpYQypqRCORKtaMEFR4nwdf+XAvFeHuk6kDONbDPDdMlaKPQUFZSULyGnm4oNTFMnL0JweyDN4kQPFCeqWqLsdzmOq69fa3tlr3D1CCrXG/r0A6BYnraGRIBbmj1jCllhZZqZIkGEEFKtLKtpPUKKAwvx30vQ3pAAPtprCe0lLotY8ZfpwMmiwQ/THvDB/j3u7Xa42kDA+RnDeetsska121XCambJ/iCkZyIusm5nHU5MwjzI/Qzt4HOsx8YDa0DF3ddMUMHXe/CmYXaYmgWKj67Is2r5iwb4o82wZNOCeR9ltou7Qd4C/S5HagH4DtuiVKk0j9l1sP+TkKTDRWFqspO7ztG/TpzEJUFwkOP6JNOxmw55muGKe/PMNl8mM8qAIVecp2qUBRFtPtrSN5JbBZtWTSXovZO5BbipSVF9xiTkCkFu+aiCZT2HXUDN5pDsicb9RKtjz+mhGwnLCtkhxrF1dTRj9fTVTOfTqZQbIiNKk71DCuI7eXl5QMIrq1Iy0G/m5/kBf16eztCn7gyOmYTsuEOlH/f3JComkcRhZ47QM+z7WWDYbtuUaIy76JtSK7fMK8m7Mbci5oZZ20Wy/IuDD7eNf0e0gV0D4XeDnRQ39SpVs46d1y/OedoYj0dzitPrqDCcJjBvVb7bLlQ0bkkBl3yKcNAl1+Ib5r7mQI5W2X3cVbF2GnStgvZGy/jRUB2lOqig7RGl/DHne3/9b1pBp/HCDqBwTEvyVy8SB9piCuQccQhdHMvBp9H01/8zTpKgyhl4hsVWVhsdrDcjD911UbnudfU7GLLEGExNlVoe86ZJMDaIdZuVlmZ0h6npasc5eZITKPFXEtrExqMhtn8YKDZgLUOt1jfLacnQjppH+cxB70MCsFnbiPBmnT40inpziJtblASoMdBwTY4ViTDqaSe5nom3VnpGFmaWb3GIO0tZ48vHX/74aUv9zUb1ybHxEfAmPraUqJ5u9t9+NgfhfTiGHJJtkXVifB43e4cCxAMPv8qhUZkWpXsAZcyWSwPhqWgmgrI6y7atbI0wLBWMGKu+lrTeqvyuDPnFX+Ys2oZ8tJLyna9gT9mPXb+sQyE/ABFuk+uzkusjt+wpHKmqVAG2eQg3OH5y5nkkVTpJfko9BdcvuSMd/k6a8pAfEjHnknq9AuRXwyhfiNBiIHdQ5kbJ1OhECc+Wgg4ab5+hLboz7ACAU66Qbeo5MVAEGkiTcYwNZn0QykYck3Skwg4ku8OcfJxrJpwhSPIYEKdMGfWEWtMYP6LDTUntztb+fyO+gDGXFB8UVZtJMe8nVW9bW6EN57JqEjRAoRWXlhLhkmodYR4Q5l9uIAPb2vTR3KIPu12yM6P8y1BcqgPGBmZZUvVAqYSuq8tnG6iz0zOx1f8cqj0oXk6dYW2DvWCe3gZfc3wT1M+82ozoHlYi2+mrNnric60RJjuHvOAYzhU+rqO1JgfR6+9binrmKDpynBabD1Lz7G7atj6gJxAQy+PNIVYDtgRiwDjR/gu09HApdtVu5/T/bUtoY/hkRzlzLNvZ6MIlaafbtysl49Ddge2TgAlZnDL9tqPzpP593kOdVHXobv5ow05CVVdqsievcULYRLHB8ffDwvTAhRFlkaEjPoh3wngRgGbz0yALu1VU8bakt4j1p1mO1fNs8lrhaI0e/FfZzZgoKiFi7o5b60PVPEA2LE4SNe1mT9606Wt6QZXJ8B0CAzNCjSJqC97Dd7ZgDJfffKvEO14JwzFHPZmIWtziaYKJ4Jk98fSv8RzkD0CXBwUUQgyCqOGqwQiT3faylqWNGDpgffMp+0ijooF2YyAUAEE6FFwR6ddsj8dyaD9AoNGR2j49KTaQ1yr0xFMtcEPE4RPmdcg13ogSZNzhEKce1w1UWDQGACvReq0JZNkl5RBtVd/I593Yl8taIs9DXusseUhD8039NJSw2AVg8/TqaZXM/b7HxyvblxLG7UORLXTAH5Nrh9EWMedKJ5bPUadXejBPoC6Ktp431da7jRbmeyps8Q2M+g4ABwvR+SjmSo4hJRNl0p4uX/usgPi0RyBFQZs8XpNOddqki7IcLhFH4k4xwX0Y9fXkesLiLu24N3TDwvFa7CUC8Tyi42o8+NPPCYkKnUXJApvilHX/0F1aCBHyMF1S+ZNcKduECIMTcvAekaRvybH2wnV0tQPIHijsap4ZxAJcZsnyLabv35TUuJfgwZqY3iwe+ZtdNS5atUT54yCW3DgU/JXZdZT9fhxQjjzOtUiZGzdYkuGat4dDgcszIj+EBrAaWmV41U0wVgDcUpFpBBrIiu+j5SIJIYhbki8hqsDNM06AmlmU06cM8ddPkJGTY7k8nayu3aeff/63+frJxehAe+3hVbH8ZddXPhsO9LTKQYWRyjDJ6pygYy0pfBWngTJFDGOSFZ1vegFx0F3BRpAcYsCvwSSN8uFxKGIL6mVjP1I+x+kMvCrhZp1DiALvdj3TMiDUARKe7FHLP4aAwAB3NaTGt2zlIacvlazSh69np9Pi64QNCNZBCb7PrSrrQ9JlbWI1qDkKucko7c/YIvLbZplNXuUr80i/BqnWtJDmd05wOFTwfIZtS6odxB/UJ7nfbHK/hsxBxEmpQzFQE1VxCn2pNyy/UMec9W1OwPd25w8p4nWUK0xq9tM+OITs9XowVVvQOEyM2OfAmQH0r5kAkddLk+SmvCC5cpkVke3jtOcogdmWLKBK2czycZUCqT5EwLkgJ0JulAjPU6drP16tilLqiIYBSi7Jpa/Kiw9PQWJX4nQlzwogNz14qQT9SW15EkrI8YV7Gnvj2fkGmsQYE00ojEvzdnz6JeHbVNpdAa2XYGvq0D84jch1RqibDsqFsp6sS6HCE/sYVeSUbQg/IWbazSEFUDiuQIWorqGpZ7mZZiJHxHSR8NNly4qU/vWoIOpbkccpeEGlcjsa3Trr/Qq+nOz3Q3yoBqQtkwQtcPakMPa4WGW4OFbTJJuQ+h9YbQt3UCL0cAkF64OZYGgtjk9cnNYIqQyjHto+HDmEe6mbqEoZnZ2eZQZzkIU6jsFamuo3pWqKuZqSnQY+GWyPzBI8ya/sIOmUZRl90ZG7hzGSf2x5Vt5x0Foz1PqmAfQpQOAyxLsmbc4js0DpYPXbQeqlT5wldvFPOWmqugOsvJNchdwE60aNUZXwgWCwO5A2s0UuCo5fuZrVXv4kGdYFmZKgT2EOmgviVRxapbLtShMWotmzvu61r+yKH9VZlvyEVkJn6u2qnwu6iCbBDlZhw4cc/Hl6uex3LmEM1bFCymsNAUkIlrj+zwnThoLLDMk9uMQSfkO9i6Z6UqrCWK3L6TTVKOnM6uo+l5L4/gxVbnkFKJ9ogsSjcGpJpWOXEbU4sLLj99mb5vmkajEbLVVzR13K2Xdh74XBNOFc4X/mXoBrBHNRYHd1Mm9fQ4XrniWg1VTphkm4+eUnXHiVXyAHyawD6tkcuscBenOWUrMJHY6paugSuts87iTjSGryQLonDw7zVN1frqW2KFHnczJnXodBLhjIdSmcKNDETEBf9yjoZdkm5rI5xO3ojoPWqZtsig7MfVskd1QSaQdtI/TtjrJuzth+UhMjgt53V0kgQoONogp1ZR/Il3iuIS2KOcAhOlaUFIJhv7QZvtGq+1c2rM7pzPpM9d53qG6tMEyeM8FTH/ehkwPIVCRbUWbJ7hpYrjoiXTKJIHadYiS4q/yrdsoOUmkTV6m/0R8ujhLbNlkBImh/wNsWXRyGyjZ576rTB7JIEkowleXWtUyWPUlRu4ayfxgjy4c02yE+AeS1XV7gvmQooHsMpbB4NOVrEwglGW+/YKaNMtE5e2DKhmC9DtwZQJ2VKuEU+oAi226iXmvr42g/dXWC/PfV4VTm3ZwP9U0HIE0AJkT/w5BrPgcAVPm+Kj6fCYRmnZV8AaUEsjdWxgeprJsrXV4NjAeMOw7u6xuBhjiZLDt5G31x1Ws2cWxQkvfJGt+rkJpXh3AO9umk3IRdRLhJvAWoGNGPAIWMcrO/18fydNI2rsmxly9+nCTmp3wGi0CjvW1chDz3EkwnLjnjRkTpBBjuHPIessXkE5jSgYnvyBD8tk9rvUfqLCLge9SWcp0sMS39DRoAl/LsNdidVP3AaaDz+x8/OZALf/vjJ3ezYAinwFGQFW7GqCO6ExhefUqjgefJIvSEGabfauNDkmk2hDekYdbwOl4Do79I9RPTjvSi8rf0OpKTl3KGQSsN4hJKC5CbiTQzacJgde7P249lDgDNRicWD8ksjS7Q2iFWllopyROx2JB+zAHfndOXLxNWP/ucvx1KmGWba06iAPnxGcCh0jA+J8eUrstaTyL0+IrRZlNR2ZZ6QvDY/shGo9qB2fbQZP7WsI4scNxZgUUdkKxpzBFOKZ8kMy8+pxrExFK/MazwIh6eLM71Yar332F26K/vpcrsbr6f6XEn/QebisNCxoEqtBmZtBGM8AkvibQih25qgYC0ezqkuGou4LRnO1G5wOUtv7EeQGVA7KRPB/wNw00xIp3k3RUFVqGGSNwHxknyvclPhgQYaqk0aJI0Ai7Agz5QnwP4pS3PrIlmAiER6umhvdQ0YgnNTnLcPSyHh2DumwMb4brIh1h7/WjT2AsZK1dMwGxRMqfBZLGpvuHg3kZvgPXlLX9gRacBcKlq6b2SDtPvFApLJznMr3EWtBKzZsOX7+0sHZQMH9w6UXSHWqvyml07NmBTIwrZ1uzCYD1zjUybl4jxJBjwSokpHzBcvQ16V8p3BFqyhbMjuug96T8sA4hE2ke57iqZqQ9InU2VxaSMprmH6wQi5GshuLBWtpv6Etu4HxJ2VdEW7obJjTXxC5SMZIXn/87GwMew66u9lceDwdgnf+UXSV1sHXF+SUzqcw/0BJguDoNQDXbU0o81Sz7KW0+0v9C/+IQQ9JunV3oBDP1aHZDAEQKg0tClHhjcfcFOd5+eztBvu1TM4uTMaZgC8pLI4f7CzOI4DilugrXWJyiWviugYgqlA0aBHdvsvkQgMgdX0DgMPbKo6gLxecAuTEVFMj3cq/GLInjAc5EkMSTK60buDBOQEQHYqmrl84XGnE6t1Ao0DXmjWUDEQyolOMkxC1c534eRBKnJ1kWT87ZZRG9tA5/Ni6/UcoldwP/4Iwbb4v7q30HxdWyyMTazuuOTwl1aswFxmCRrYmzBMt/IbC3aWndKKb4keQfVWK0k2MTa2HHi38r0YI+Lgh1e/CvphogN+bCWyGAt2M95YO+YzAYILldTIweqfJ5dbDnEjqZS2lblwOxeamozSJYymZ66nz7+gvIY0LBB0vbFj9TaNerIak/EQA+W0OJpDyC/VZ063ruVSl2JdpntxqJGBokRhybhGWh07Udadfu0uxWKZF+Q8YHrTMKdnsRdJeEyXMMtQ+YHt1/OEG8qAe9iPCzWe4ksbMUEzW/k1JZEH/mvcn/TvxPiilJkJyB8KJZOVV3aqaK/2eC2FzBn0OpRXxA2DUnadqp3cjUhPE0p3dmRj5xqxZKld6c+WvFh1ENk88nwZISE7kxvq/RDImSIA18ZAgIopB/RjJ4Ey3k45cSfkGTVcv7sbKvTfDF9j6lpbs7u5dMTYu8xDOeKLrYp1jJDwORlo6l+mH0l4xmwNqrXqi/4u89Iv1HoKU/2ctx7LMQZGq6h9mDnntbM2qqWA5kiupkrqORsrYtHE96QuSH+mTiKV27JGqEBqTi0tkyMDBp5OktIkcDV+77IfbJi5exCd0Xbdm0u43qLtX07MeSeiYgc2HsMmgBP9TVaV01DdX9XN2L3/BvV/07KC4W5X8uK3p+uJkXWWmXU1UkTz+PZS342c7mihkeQs+GDlAJ4j/KckB8zTMcT5r98Tqc1w/yssapNFR2RcSxmtsKoDRP7kxzKe4VRmFGk1t55OJTXHNdVlTj96QTTv1UGUgbnD2tj5BfgAQWQMOLWWyp9QjwOsirOJCMrh+0Rhv2hlwMF8I2d5A0clJIogvw+G6Am3UwAEVUSD/teH6a/YW6n+lwDWHGu3mI+r63iroomt1MujDyoKuBlFsdb7xWbzcSUHQ8DLz2llCwup+lObaEMal4jna2nJObQ0IG6aKeMn/8E9QHUZiaodW0xa5Yb9QAWBbKJJ/w/6/0XPrL6ThxKcLyZYTcR5ZSffZTmE06LOx18fN5T3nTwMA26GisfzpSEopllBuemWd/aw+fdnBm6QocLipOrHfqPJSfSO4BcUW+hPItWC+ybLXnzvgG5GxhHzatwS2qeqhkwW6SbxFReY9VRVspLBwgDc1LfQgBmw2w7LNhzVxsw9i9VOUYYlAyDJETmFBgn5kOEH80NyYUI5uzoXO2kPJMK8IQSDVx/H7NrIBtARwwa3fxJ6CWgk3ELrcd2XQP/egCCWidrIrMvYL7zomkwTBJOi9zj/ZZ59XtSio8yGWljTxk3B7JdtyohQoDqmVW2NkqdE8mkt2aX+Lt4G8o2u2dt/+WaqrwVFE6JmU34e/1lyfePcR/2kvaoT4QrJ08dpfQfx8w0PVL21FHCFYzvd7UtC6Ng//YO7e+7OMnFQpJTa8nPBlVNJZk2NnKpeAGP7KGERox0FCHF64/PmggYs03A4ltLK9v0aJcbwbEv1TWrJwIEQ7SnJ7ZY0HVmsadC6DY25GkjVAZT7jGzA8w5Eh28pfA/T0H+z84TVhImah8hkRVdO0qAc5kmXhyH/axuAfJBGq17H2cCKOsXDPMkeCSN/5P2X65IZ6+x58ogIW6HfE+W18RhGu47ud/yuuXNHqru15pxjs63Op2g2XWVZWz2Qp4ynuJO/Lwaflz/vHrjFpZJIluaPTxD0turephHEH1qD/BzrjF2nZAQWemzWsTR0RlLFO5AlwQ2lAyxVMsgnaKgz4V1kVj+9ro91tOlXHjiGAY/WOyFZ6UyQXUxruV1WLRtlXWo75MdfvJj3w5iH5JIu7VmxaXpClrW/UGPwzrhsB7oN7EduO5yeUPfahRg98klWYUkb9lu1+A7Sg/fXpaeCmZIloMmUL3pMDM5nVx5IXs7lFPO7H/HVeo2+nuE9Jjd6KnLvnF2q2uxucqAv9RcodVfkhbgJ4e+AJvp3unMp7+9fkmQmeIaXjO6zzFYkI8xEHjIq7Wgs52V6oQ3BcJK7YPBaTEvtASpSrL13OeBrqRSmM32wqmSlWfmXETe2A0EXFi44R3Uw8YsAYJqTDqEU7KyMKzhrrYSnALxceGnvuXis6owGCPUE9qIaYyjXXdFKQy+FvLvOk2GnFyplEjC+nukfjArNvtBfVPcmYJl7W/yZZcRla8JJLlAN7CQ73AqYUdRfcZ63uwYS1j6putifQWddgQf9H1/nojkKMNl0P/oRpH6fhjBlzuC0SBbGKAFh3TxdnCpFpFnG/LWSHytH4vleX6YCgeGCU7wV4QHVy8MaRycSKx7AgBtqmP/spvqk9k4TEL/XeWyj+JjnyVmWuML+bwd99U8uV0USdn6MU/d7cNVXyhyjtorh1Fy65vqR4QahLAbM3aqO0Bcq0f3/VABUoK7rLYLzGv5EHVIScB32rZkTfb5jdvpdCqzDYvyxpUSkXSEtDM8aP49ZWJlSrMlH5d8NL+Ekt71iTsAYUgSoT2WDhEk747dbbZqiiM6A6vXO5XKYEtPou4cUvmOqk3MS0KDDYh2AqoXPjf0DRA9HCygDuAJF9obzjdVwtpae+Gf6Uolb81+rrk6ZOO78sxbglQjPTBUPWl2EL6N6VwFkufuE5gzcsmBuyhHuuRljgpba3OsxKpcgjBXZlIreZ6eb2lgLkEZzGfeLcBCQzcUS+w32wgVxQfiTV83yfDYRxapyL3c7ankdeX1OGJArQMiaJ5QlhajevP1FlxbxtqugW32SYfzBZ6oOw/hUu6a2jUlf4ICFlcYGff44ONwlZvkyzDd8z0VE+O6zorZKPIfjOU8w5Jn0HOoJSdiZfcpDisenEv1B17LPE1qXdSHRfcKDlFmpAyIOqEafvQVmihnuKRqqbnnOB40k2CPzjq4tUpOimH6j0UwTE5bCELkASZnF6ZlUeo/YZlc7JbuphfnxDhvb/SunPq+VO81891ifYqSv2ob3MxgA/m/jqbbqsFpG4/cl8xPT0dVQZo88j3bhm4HlCNtKut7Fdt3R6mbZzvKKo3nftL0N3YcgcrOGV8JDrS1AoDFGwm8OiwGqgBh2Aa3GfCn4Okk+ozxGuCA/GGvYP3sg6Y0VB6Ynq58LitlI2o2zn+d4IRi+30lZR3iMJTWpKPVHbjBlazzk5zNPjfM4RK155dNIH7kpXoUDciRkqhze/gor5rw3Xmry2GI6fy/N8UHX0ugR+NHY46cCPZKvEUwC4aWzFtHVJmbLegBM7eZ28OuTvC2d2h2YFcbWooRbWslmnBKk7nUVtv4R5hp6bVsrXRIkgZE8e5R7bGm+jq1YYZYvKOp/UD4YFl6DrIBbvAU6YeqISfD5XrxDkvKbIseoK0CrCPxGxM08mgCY6cnhHzgvwQTMbnlDG+SLAtH/wgZB9c4L0tqS6ps5a3JCWkOZS5nC01voW+zj625MNc6uXMzbtCBUK2IHk9/KZGvN7ArHezlikC52Erq0R3m5BA9fc8bY4XpA42QomVBct14kjzaBvS9UdbTXU1BwHfkXXMjVf6Bccdg2weswB8Jjr+YB1q35q+xw/Q11Bb3EBVlNs+C/Bz6K3UYwqm1C+cfHkI9PaGqbgAkThzdxM+ViHCSLcYCKiGs05GZsZ852CF2vJuCrO7qPC//4AFofu9wtGMndQ+m/gDsDXS64WFjbenQ7IY86nZKjg3yia7V3uFnOmNl1WzLB/XVrTifbzrYw9Y272gTd7c0FZYc6yBJN6BUC0JQb9pNQXb6OylYA0q/aiSyui2nMTHoJCLGDLFmD+X7zql4O10D9kQsTWw3hYlL8XE9cz0qo1rDCBRPtSVZ9o/bOUxNqSgVX/ml1b5iZ8ZoCgbNqLscSRFDfUlKzixTajZ1c67JUO8L7ehCEhjHwcFvzSwi4urGKmpFTz5NBo0nnALqaBPPTn2LUDT7XU8vcbvFsrvtwD319LhzKvsGtszrZlXXGVXkAa3RlU8CjUn1XblUYLICz2Wrq3p/uCVJHSrprL0aFn1O+clLrGPBYeumzLxnuj4MCVKbR2gxr5lTs2CxMiAudKTRh6ruO4YeGOpLxnwaklekbBqYxahvpG0Zk+3QsphlXw0wvPEtAfbgVSwQceFc6R/+1ZAQx90k5dWBIdQ6kqdWUX7IQ8oXnzXZanMee1UKLc+2IcUnetRBWaQ4EHVBMWhVTDOe2gYIKI/V1Dgd8ppwOtm8/X1N0ijjnZf6jQbH0OEUsAWFkp1yhWX4kAKH5FNnwroGMDc9eTvAq7BKjGP2Tp8FNWedYl56KNZRy6RYiZkMdTIDcPDYNN8h+J+Y9ge+WAbEJ5XcJH+7guBXK4OW96D0bt/bdiWL5erx/vb6OcPiNIG2K3q0Sy9hHKa4A9bRnn5tHv5WM9uFjpAqC9q+M36hOPRTkwhPdDIY1pyw9aOvDiDvtpEJXCvE7bIvouuMIWDyGtiN31+YPSTBbOOJl+praCpJJePJAirXGDPYjS/dGMoOJ4xwMsfXGEQB1R5Gk1r79FLWLyWMVGq5SJKPJacrTlbCIaI2lBOH4fHvAZOUrxUdVRN6nrKfFA7YA3aoVUp4qwGRHu5qyXBf+xL3NRmLk/0iYV3mX9D4DWGlvyXm9C79RvERCfUAFo5yA0PPjHGPAw/IzRX3yzUy43mgg8iVK5dP7YUYWA8RaS9XfnVu2d5COP5JkyUNJwe/ZGOnmsOzuLAHh3Lpp24ywe4SESRAoDiozHNGFuzXSIQlbNOK/M+H1Wk39nbKbdKwq4C3ex7Tj/rRbUYE6Sg11/VxLM0lfYRs5UovS4vGLIbmMDU5BPozd+VNNu50KJIRlUmw6IlreKmDZcxAJYKwsnbPQ8wVOrrrQ9VXoLg5tJxV+WrmK6xfBxE7qjSWlZjd8wWj2kWtWYMPLqX+5jdAejS51yR0XS4p/MY+DeQswjczWyepqVHKccRnWbnAWEnEAhXfoXZdQ/SSHpblL7bXRFJVy/46G0Lsqrlp9t0KArOUNbmfliGV3um5+bjuTLi1vcyMZaab6kZU7I8jAAI/RdorUS6OGlQTyA4oHKug+BjW/XWz5dnIiwakrA+0ON9juryT3FrfaWVHn+XCeDM5qc/T8c2BmWtPAkhdM3IVB5/txwHgaIAA9fZsVP1JV6d1haQc6Yb0qTkBU9Y6stMZi6btZStaY8cdj7S1xZy1dgjkR2rx7EN9ezVfn7wiVxeJ8N0Mp8g+1c56co8DtYLU7qlXTWn0IsximmgvXjm58q8UsGpAsZ7hUjrCd9lZqLQ1Fem1hX5LpdjWKvwRxWvrpEamV8/NfMxARnyKJ9dgPj24cIikPKXHqu4IoHEBNsZVbg9K9i6Jzo15d6u616zLiNc79fGKoftxYvyS46zCJg6Lat735NqI+DsWU7s8aDYfHpJ+6VbCw+wnU5tIUrExS44x5YPM3z3WAsyPa1WrsYbJgkrTHObQCyWsep3nPLTQAFcZJY62z2yBrRMIy/ScrznC1XSMuzXbxqlrDrNMVVtJ59C23JfrNPUNOmDfYgg+RnTUamPFmnOkhYXcuogmVMhZodWYxct7NLdUMQvKZlKj94EYXEcZ0cTnCM+BWJv+F1LBQaGmIcwSMwBMo+UWmq0e5XBKanvA4LzB6PzpSQ6FbhrnqYZaZulZk5HeHv/ApzBcEu5weZX0JgrCUNDLjiEHexRGp2Tc4Znnqlk4qnRDPc7ProbNrlt/C7RTR0AK3tXQcU3Ud6FufA7VCZSdJMt5hdKPhkgVWk3b2VmJyohy4f9m74J0XEJqyMo7sbBMYbenSk6Q1KHrlfs76h1V8Q/O9SS/qrskE8Y7pFpThdrQz6LHtG64VwxYRDXkRiK1Mz7Q3CN7RBg4OxmppegDA6y3wPCB4UoT1nzTtEGhqGliQqGvYbxy0uhTOadNqvbGu9S6RVLwhHEVVTc9VQ2xpqjJQ93UdyyOH3UTWCXFbCXEH+4dpMyWbV1PYqvwTYU9SYpoW8IBjHzYQkvssWftEO/9OGP30VKj+N0Qa/SQPx7rIn69U3hR0RYFutv5dzhUCt4oEADR/OnLfThYB0MfnoMXPbiSR7I/EYcMo5yX4RCyXSDglOH0yFp5H5hhNoFQGyU1ukWKwtNE5NR7DZrSyG3WFMfx8Tc8VScptYEilDTpBEXoRLo1NwCIdQc4ulToz5vmBrLovpr6J8qYHzrVWRmprzSo2rzjyh3kXk+7BFpTE0YU7MmTEn/3rTFCbauXUNuTJI3xqx6Q1eL6TSNwOjE3t9kztJLvxjm2dTVCA1Fuswbmlbr15aua3FJA0HEcaitlNbfLBBerQRx6DL1LqOGEXbBZr2OgxdGrunVLurWaos945fPdg8zB0ATomKwXgBWaCnqsANHd+CPrE3E+34er5IPlCPSs9ZUljrdy9tnRolS61TwGB3VyAQEwL7djpKxEyHBWEL+umsYxavtmo2jl/3mYK55Hz8lzHIez5MscrlMP2TzlW8l+OtW0XGwFoq2okpSQvLYhunObMH6NOkeysdPXIN9aM5xH29CyYLRQnm2WF9GFBEiRmg6KR4co0biRyy4Vnj5l2/24F7j6EcS0Fp48D7U9syfHzbrCXz5CskU79CiCyl4ZUORmu3rfa3NPpzr7kwabnPzabfxHl+inWVhwQkpBXgOKBm1x6t/121qBJT8/CWZ6qjipZ4bhKWnnpkNhoSazLUlxpkRl+9G9rI2KOQmX5OAw7Utn4i3r8/hh0ImF3n3rFJfIo+tLcvQHxDZ1WdblaWpsfpQsClJmMb/qNZk1XVBXCqMebEUav0z7S63szpNLn2gBrvuHx0OYhnB6AP7zpttuXS/sUXicAtgw1TZz/XfTMGmNK+UCyza/8g5m+FVMBIEcSEJKCMbXpKnmNrSqDil4jhIIaiOhJGO1PiDMSCOqYoWvwNMBaQJDsDPL0cDWjHKjZUcX9PnRH+PZ/CdVYTOvuLRFr9ADQHRoEMPt2ZnSgJIipAsfCYIZKsWWjjrmhptro9SZstYCDA/wssnYemt0bRV5uXes+tr8Zx09kESAQtBrlxBU2brbI1D5M3aj6tYejHKovpTEmrVtIM4jKJ4sQ0HUYktRVEMd2U2B+Qy0ktoPZH9LVZ0Zv1I169O5fNgRZ9PpeKz2Uz2m/t76zVwgYJWcvkbSu10Se7optBGbVTpI3Zm/I88C2rb2FUddnqJGXrQvHRKIKzdcGjeYY6zPUlsXX3xq3xwUzfj8zDuzcrqADuv+An0I5sJEv6sSxbYPVhMQkgQHXHOGYgUuts+mTofH5lGZxUa2IiP24B64uf/rCGH2fF7K4TycG67U4f82XuDrtSrpx8pn+4oYrzMpNpTSvlZ/t55FdY1djAmn1UdTW1WzhTb2VfE8yY50dHceEXHWs5wAxLXA9uCpLCTvTROo7NGj5hxlOJqd7PmRK2ZV1pYjOjGDT+bkjOfi2teDpkx4OltQtG+sagwjbvrCUJYJBfwp9gETlbp8QUZUR9BSJTizxLAyI/mKKv60EiVYj/xzw+3hRnGixGafsdCGc1k187/RcvD1WNSUlt4KdSV1GP5mJqJdrjYUZnIELk1i0PHeeCTpPLna81m9PFkuBRWWc1kvJU1rKpJwjyv22HPk4nYmMewHdQC0hFmB5WEJHOwUUws9QnGIvgwmL0zrqDs+5AoqdCjJjvRXMd+1sZaXljXPSZFnuNxVl0z7yD6NEmfsmWslUQNM74aAA8UuLRppszaZbzd8+vL66bdCCyTrAyt+Y71h7MGB5ORrLmIx3HrJJb8HD/gGnCJd4nBAmzfgGJMX8QzxdXf056kpwkmKMzJk8a+DZ9KbZRL2aOMk9QvzZIY8ghR0sS5ChcF+1UKU/lUd28nFs/ugKrEAdR0kxkMGNNg50GIbK39YiXoKZX535KfVY++xFeeKmpp79/ysXbOqdQ+oUZL11M+/aYtEx5AYnkCWC6qmSWqMjVrynW0Z/vkTcGCheGnPFFuedcI6+orOcQ1nFmvrxq+oidgQJHtM9ukOQBS7OUiJitTyGLJExTD7POTdb1Ik2xGaUkmOY5Vfm29fKlFAlQ0SoN/VPUnc4z8wb5HkMRxKs45HigLz7GqI1nJsoEDEbDXLOSZVU0l8HS3ub4EFyzF5xdcV0EoeoRPFi6KQ1RqWqAaXv3TZofuaJeU9PemXJB3KtqeJk1z0TJW4mkudzP932yxmbewAKUOc14ctMW+bmLlGKRiVnEu1clq5uznuHHAvCpsN/QSBlI+Ik+W4tl5xnoGJsrTpAju6V8My0lgvH/VlzcK8+IUds+/b813s95AN28bX90SGvgVkSHgVp5kKA9MQrpq/+wFg3+u3fVMhQvY2OmY7uc6hjoVmhlYhm7qq2gMH96NMJ6mi5XqzCYrAqQOjixpTwC8IKnNdQi0m6TR0lrdOgrI3R2B7zP1BtY6CY1rgBF0IWT2A22lswFlLSHBrvWZ5DLnwR9sqcNCB9S/NczAX4iE0EAQkjf45WKmV3MmD6tgC4W8LoJ9Qq47OIiM9mKW6TdnRQkbnE4+7f+97SV1uCUbl7G0SiDJn2w2k1VnBzz1Bb7NFMuQ8wvoT8uSUIFOBhSmynaCvSOiZiqCwsjVU8F8b8K0OIcmxplYN4D0IMQ5Ezzh0jmZDd+tWkyp6c1FO4RmVwKPPe3oz3DLcOh7SZHr6rnWWFSwhbgPwo3yaWq0w9DycvRgdzW4Os/bhhsaX2b87KjdxJk8nIVJ7K0n+UmutOiE3tO4VP/+dZN1QV+skpuAQ2zwNoFtOKe4M+fUkXgkbnxVkPPpYTxOd6HsljvL44iBI9dJ1ZvFcIV1FRw12zSlrSYnMsZIIOA2aqBbPMN6lK5JH9UAeeOLCdFStG3SFSvMi3+ttn+X75IUCqioTyUX8tQSp4XKXzHwjfD2EV88HYTKS8KrApcGaagDDZooWDRKi2stq3lmA8iO7aB/JWJBzujqEGxJ7deDYMQVWo43UzIVHNEYkpB1Kcq1W6FD2DQeJxNTtWZKkFBIOZZI+zp1OgLaxTtDjaSPnf8U5mYM0ClbnXGg4s7GgqShIAvxAZiRey/VksC0PrmXMz6hT1ZxralO6JwM6Hk0fhHAGR3wpZ8yCVEptiTHyDbNeS5pMWTdxEVSHdd+G4BnaZyhNS8UsX25c3VHFZuOL6/xWbcDT7nyohSmXr4Hp44dYSl77x0+uMUdmAch/id1Wq7vkitvDG0qyXHOb7pcespIUlbB9jKYfiVKzaciWKrUwjQpmdAycfnn99Mj8/b4uYUnwQ2KK4RbHLfrqzorbBzT/SYGOvwIx1JflvRW8rG3k+T5imO73rpSDObao1MwD8rXYmqlykrF/M80wK4zltmvT3tolPDX042ZrwV5C1Fn+al2x4osaeg/FXz99/PxfOFr9+Mt/qQCCyEOZMNVVGgL/9Sh7ovhU1KE/0fjkYAnmgVaw9hh61Mtcv9Y32xEa4k4TBVzgPw3bETuE9eFrTKLxciT0ljIG2hgRQ0K1X3BHPpYRYPx3cuSbnZdZgg6wAGIXXZiKxZ6F0yH7UzVB7oDD7ymdIjOXZKtOvT1NHCWqKhP63rNBhdI7wB3cV4tEdvqBfKiuwOjFXpyHIR2ujm8g1edlw19B/899V/ehw6r32KXqUDR1F3crB7T1CZgN0qy1C2MUb5qX5qbZ1HGYqzhfG7gH/v02K0RRDxt4dpPP1wZksHnZmw+Wr/TMMk6ubgLq+8zxMnnMPpG0oz1K8GrtkiWVDA1U38aC6OvBRF8/peGyMmI8dsyKoByX8vNR49llClJ9ZWRv4NMQig0xIP1DJVQJC3K08ovD5BBb9zRBvsW0flAng7tNcXzDCEW4jcxI++Md9eHhljrRA+OZYPRE4jPLF6Pv8BaQ/VDf4Qm3tc8f5o0/6Z/Z40hwVvqbrERLHgFz1OXRvMahl9wa4ZxknH7mnTpB5qm5QV6JNcnJQ4wVT8TuPr2EIWW0aI6ZWfiX12+6ZrNr92C1Dg73nLxsIs0bHbamgj7A9x/zZ/jWphrneWqrLgMcrCjL5Hqxw7Z3cF/f2uJErMY7bh8OJ4l93INTjWluNVYvcdYuMolnLvl9Yqikcg3ajEfxGU3ynGyo+vZ+yF641vbZM57Zetq8GoUg4AgVX0Fximrao20e/K6LleS96FQpnhvdrEvZJWO+o21sKydAbk82MFFhk2XlL8ixOYU9zhOIV1vm7KIc9aOnQsK6zqZuxHWbQ8xkuLR2M3MncRIqCCRWqHgyNITSHns84YQsa1RjMNfyb8vpuD9nqmIW2bWOEymGXypMAGAPxevrAhNTKmlCOzr3zMunYu6lt+VVvsVrkvLC73xp0kk+tiY9nMGxarGeKee42ugAe2xioGlb/Yj04cad0ByIzeaEf+EoFbf3L9pskr/a72Tu8BQHEnD56sFbkwi5jMtVarPwSHNm/MPQQn2jX/cryHHkUPRwNy61Ps2ip/aQ++D9uSVHBOzH2jLbTRMwn/6+bTXfDcO/lUI/GjAa9Ozrqv4wFBd8JwALrTucPDwB/sHfpXy4ZmNPq57tq+dYl4kGOUanIEAbQdAFyfzgUIjQ/lJNfx76yREGfpKLbiLNM0U69RMPNLrsYH5gPRFNbI38pxiH0geySwXS3MQzJ1r36+efErsihSLUeXEsVXV3qBpZNslYSBbogP/dS+f/q+NQ7fl2sjAB8VOoH8ictgmrrHliqbM3JaZ6CwGS84aVTaVTpgzfaacDP5eJaDIXRoMHYtKFy2N4efja8X7qTxIcrcWl55t+z5EDzTpiLuGheM7CVg5GUFNJbNwFFnTD4tbnQMLg4ARAngg9yqDSgXAXml2MSInsqlLbWyuDMgLDTdW4GJsCOnwY3XEB70HSGL8az/sbCol3ywirV3c3fVVU8KJVZ3akIW0EJVJsxdm7djW9qSFpOEELDx7pctiAe8dnyc6EXgbbzadqkq0muxLazni9Y4Q2fkG1IMnkzhCmqdQFUfJ7uZhVkZj28oI34iPqSp7USgWQ5Uf5NtYZX0FQfCTMtTYDfow1tXYqU7t59jCqZblhiZvABcZM1nwmTJIelJqGkM6hyiP8cXe+IWNLP9qRwpQs1+VKIgXtp72HxZc9b8AGwwSUs2weQ3ZOQDGaRQhmbt2Z5T9KHHSPHRKHuWvDhoOLWJFanslLTa93F8bxBoaoSkOa2fXMTkx2KfyPG5jEAackGqUpGyYVSHmCEvmxlNhcsSMoYb3Jlq5Q51/0zzXMg9Etz+FphMNiLzdZH4CkDt9deV/tdJSLJbcTxk4PrIg0QEIFOxSfN/JR2OVym7toO13HGyWXYWaDu9FG1EhmYfYdoY5vgE4zpcrBvUvKT48p6Wu3W0792nQcS29wBvPT9drpCW9I2JJVyNGzBjM/mCadQ/Nu/zlhObm4EqLBeOXPfzPH07NqA5L5jjPZO59wF50ymxW0i9sX2DW1zfn7isaH71LPFj7Ad4DQaxVTrGXhWw3vAe2M4SuthCo1zLSx7WQZVmZCpQ2LGl56qgbcQIfcdW3kM4ddgImL6ttqJ/YSdnF/nn/ogjd9+jkNttVmbqPD7NAI+/uvP/NUr/RrdFXTEPXiivvDOB2oKOuh+37Xvy5rxd0JuWtnyVcNbsLb/4Seok2L+0T9EuJeqjEhEczZRc8W1cbf4gimqmwUjXFo8xGUntylEkWkwzcLLaX1zJibEVVSU0ynCQ1e1EsknaM54yFEZDKs3it///HTxy84/HfHjfS69YEzxtlp90RU44pTVRxI6DfTqHplYgsClEeV916gQI59czXdJdl32BdHRadiBPoNT0iNHcfaypB6VG8Ss50RelVf318UMXzqY7CNKRJaw0f4BoxZiqjaFORbH5pd2FdHDJS8h/Ob6bYEhBOEA83GB5EiUrANIZq4IY2+kphV8ljo5aqotcPX/IA++6q9yNS9+fcmZyFzz0aXV2ZqdRPAh53m/LEEPoZiqunBZIFVbRsaAhX5Lr7hTHbxCkOXiHuOfUdN+SKTcmfzJYoTKdJouBPoIRQxG7HYF7fwtFCzDUjqodjz1qeglBi2hDbJ0CMHxAvakAlYr4Wo9cbP1emEbuFhksO1NZfwqjurNBmGqyUltC6f1oGH8ii1iX12tYfpORSz2rpVNE+XSzCJKi124MoExTGCkEdWDp7Sc+VaoDOYa6Uaa7aXRuRM35+KuhystghTuCDVpUOXBqXkiGigpTuaikmPRH+wCyfOgvAT+Tw7BGy4kChktdgDhn4DLKqPY+r4OrrY6FwvUSa1td8cU2zKy910ZEKfU3/iWLP8nE8wtjCV/qbOQmv3Z8jY9fYJrBsJ8BG5t2af/aZM16S8ac6HNEuhROCiCJN8n3OYJNZElZF3ktvT86MarFd+h3Dv4KW8QaIhhEIFBobbOlpcsHkLNropD3LYOYp6dmiY1DkC52mCbSo60lqo4DzFZ2jBCN5NfTsL+0oinLNOtRBI4uxvFLeToiy79iQJyCdB53U2DLvr1RMP84hX2BuERDp1gblda2vQajfj2vb9De1iB1JLjstb7WE3xPAaMD9Nh7bLMvXbBuCrysx4jb9ybI9xhAXgbcoblY4UZ/Aw6+4TTS8VLIMMoJmOgOiONq8liRLvz3LVJWE7l83UpPiAHdvNhCdX7x6wBnR156aubwqSXZYxzDuhYW/3IKFdAmP0XGKvXGuulXoL8Reuzu9djRAOzzaIs94Vd7rVUtXV00GJ55ClIevSPAGYwpLq4rlSbKvzbKJZbG60Z0lGx1icilrmAP3NjJgSJXfT4E3ONnMx0AfNmDcGWt7W7TPvfIsks54llB6Wa59Uo9q3QFUauIZmqyOJQb20Qs5YVzdVSnnW/46RkiN5hNA6rCGt0zVZc9/4bcz+VjlEFObWmqb+jcMZ5DHlmv+8dAQ0tX1kw8dh8ddIXnh28kzyK3s9rwM9r4fVEWeWuwoyUs7Rr6M5Ud31UdJapYg8JW6XA4X6HX1hx7g3Ki5Ei6DQTmD31Q6GATXHkynrXKCau42jw+D0NNdscQbWqFjNJUmYPUaauHPzdbc68rk1pjLb4cxZ7rPlJtSMvn51yBDlFm3ZOFEIW37UDzgVL1qOHtUVgsWKDhEPespZ5Rvf8hQ1JVVc6KW6VjnHWYzP1PhFlSNyE6TiTGgqZ/YrEGP5H42c7+Al8VRJNOKObt9EuVMCtr+sjC5oBT3j1NLYrJkA45FS6yUeLkFOa7hPYf7/z0n2S+EJ+HddAaceMPj3ofZUsRBjupSQ9hhvUkm7dsW3fVDe0T1YlEQa2MsmwFGYXgsVo/hdMQ12bMqZkES9mImQ1mWYML3tKywV62CN06FHftCbHSmVjPHN+fZRFiua8W6m2cyslYIUoIvebpHVAfUyrJqxsGyKZjmMLVk9SRv9JeynqcmIw0Q/vH+UJ8nX8RpgTSrWa34SIMg0e9HtzJ4dKwwUBgXxU92gGqChRAUK4OsIR/gi6U4xSa8iL1gDBXyM6sxS9z73fHoaQflpwWgvVe15I7QRXiJxssgBJQVrAXnWgIcnyEnQRjnF+9XTUW7SEKMlo0Equqa7pXFE6mWCOk4/dXrGvVULAldSoscHZ8tSBW1SwEMfXv9IP3Dp2zx9m70jV4tawm3pZowEWhVydZq7r78wpJaKhFsPqovAClWP3D9+UgodTb0Tlx49xeqAtIHXu3fVRCxwANX3Y6hPcX9GJ2FaColL7Ms1VJUOlEuZ8YjVJDLU8/JcVw+SfK1E/Zf03xT6nrcnvrnZqAxtFrr0kBlI/OPw0grKZakyQYTWwkgMnBYoergMCZPyO0VhPWglqUdBQqAvLFj7jinZ3NF+UuJjZkGa6CEspXc4Yp4K0LpzYWfa3s0mACPYgdYxQ8AQmp1TAphp1vQDkTNViZmVtAgVfwO4jTxqF3qXpece9mLmmugjXBtj38v2HBmu+wNNWazZEpGx86MLvk6irsjFMUcahzixdVgRUynPs74OKLwQggzHo8kqVe7D/iZxAJf1xda7eYMGuhPpKNZH2nOQ1Gwflt9tmidM5N71R9k2ZOTIkcB9LUuODYq9LHuwnyR3mZY27g9yXN9I+F/xF8jBUHXnMO0pGZq/JKtozbwRStK/s4qHSvpDPuaMVivruipJs+xKfWntZK+ldVxFEAuZqXEmz2kIkzU6kzhnKn8fUuxcEVvnZq7DshQUoFuhkux+uxAa78jq/Wq3NXJRGG+KdLYq4+2LqxqE8vnVG94vra3Z1W36OsnJPJytGHi/X5YnJuAMpnr6U3g05wYlHCi2E8Rtq9F1dOvSoYZtHQ43SQMxPDaPmOTAqQDrnpQaUwoHZn6v6L5XwwgL6QXDlhpJdm6Pg7k8LDTj9ezTvCfMgqzhws8QevlW2843MGQJ8RzMLAhoqApxP7fWFzR7QkHZ1wMblbfi9wEYDrvOptZdE80LkVCtvcRMydcncFsyUlvOAwdBR2omhm3r/A9fyxpB2vGZEmSQLfRJSgCOrEv62Xry5rGXs0FWUDH/pYOLb39w+ERmesTGmNmThuWlKgGxkXyjNuWWdDJjZ2Lai7llLSZT9qb9GFwNXmLT1hrRrqw77sfYTYiRJpUDnTHtgK3OC9cNlPOdvdZkTJZbtS6bsqcjOnNq9R5vTI5nmQzqzd05jW1yxh/l+k2Xydkok3gYJUU5mPhIiZlNqRou5P+iTHW1RLSlXvNk0xlEIio9QEJeJVipLZP0pMySYAWsV07hCllvTj/nQXrngJmsvflU0Amdv6TnhMKTqu+OVi9UJagvad3kptxFqiHUbF4N5mbRmavmtxwwyAc6nGgLXjHxt6qf37IBnMv/7ThB3/BSult/dIcrEraxmdD1YpaWnIogjs+2GKjurcMv9T6/+dbr00eGrYQ37dsEtb6bpTbhK9EyjaTnTbKq/8YL3HVIQl+hD8WnUdXNbEOcsQDp5+Cbk2lLUwJHm8X65O6O5vxwNk2f5c3mo2eAlmR1tKEYOgKVT3yegvyfuTm/uaufpNprwdS3zozQ9+90bJ80ZeaPrQp4ZUhE4R8zA1WBqHNZ9TW4jJsV6l2YHRNHnrhfWr9Xxj6Ma7KMnPO27aol+/ujajgYFEw23G+Rj0jYsnSvaDpAdFfWMEmMPl2/CruamX85KXDl6cM+SnrqxAdrvAYy2Wz8rHt17LG0h1vmnMM1eyWPpr9Rr50zliRjhXzp4/j+M9Jv+Az+YyjHvSM6rIKxc46IK12Gq+3SmICBG2yeih+1t63okWv6+06tThjC2fR8Yk+bLgdFydMq1QHO7mK2xGnC+Ay8PX0hT870aGolfUGNRA1L2OkFSQraYVmYnlnxLC8yO9G4aBErSbikQa8QXzkJFJwptwg9c0q7A4qu8ryrp/Hh+JChald+WcUtnibapKFtya0FMlGXpuVUVM40HC+39SJrwFQpJEjFTYGSLAoCxcSobPsN6VT+Ue0c7X7di1FVZv7UhGfJCK09SRLsWTbIDXIZCRW79TNUrJK1VftpkEiIjp4Nu2EjhWj9NMF/QJbtfRvod2c3ZpB8V3SioEf80ggN1UDowjwZn2W0TaEpdAcuj5QOSZA3QxjdUnc1RrOLDE32Vh7HaU/bPcgIoXkYGBXUobDaWe6v+jKqCfGAcUnqs8rdPRfyBZSjH4+YJOlhs3N45yGCyevEWQo1ncJ6bni4bmyXlDZjigRqqbYqskaxsPpCIk1rHxNqiO6tF16nV6sG2fdTAw4Bora1hcqmKmSVyKokkXwEBcF1qMqWoQB+p2j6/qNrMEf/AWLwle2QjVplPVmrSO4BOtjlMcvAD1QkWEmHK6jER3V+WpQM3gp4ft/f7iH9+6cnRvJjTU8bzltW85gunrOo5p0eUmK7dqrx44DEr0y1lPLDS51tUc1TV/bVATVeD6y2ah0az/mM5u0sa1P2aRkDLmcv+B6kMuYkKqSGa6JqWUABSBA6pso3mQrTMcK61FfJkXZVuqHzRBKKku+LHh5heoCsGx3/AWJbPzy22kN9C8nVaCq8rwEbcniZEKgEQaPJiu4a6x10pI5Cs9gWXQdgt7A6rBrzMDWd4tx6yooNT8WbH1lXpNYcikypZCT6O8VEz9D0tEqoz7IwQMbLluYNChFQEdZN8vzLOspJZHdytuytFenqB/L4/DNHW7qmSvkLk/j+YM2ncGbv/zkBTVz6houJ9u3rHUttqtOkYjOBi2+dV63PGU6Sp+4o4hykPkqzzJCBx383hxGc9h37akjJtmm4ie08qzpYHy/5MHb9ZI/lUj89adyYHHOtn9GEAQpimLm6j3bmtNhMligrBNEbdeBvgCowlZesyuNkm+2AzVoFVVOZ06Ohm1oKc9RaSnGe/kDzpS/RHRudRzKBGWac7eNON63tO1mPc2Ni10tQtH3DyOPP6a7LXW8TUtYMlaQupkWrBLID5iHWXQIxXCHMSE3sjLNxznLO4RBlgZlT/MRNw61XPcnU0XcN4md5Vy0uPRDAJ8uvhHLBx31LG+VHccrfd4J27x0Kwo8Q1DmVwaGdmTvnD08jz7dhkHzat/BUXLGP+5BqpJ352bJj8dhPLxWkfEM71cRODR2aJlbEBtC40/M8NnKzKTKUuzPgzsNAGf/FdB2aubtIfcauvLdrXGQsqO/dZ0+X5HKtnDPI7KhvbIOuaFV3GSechlvHinOmN+JRGf6TaCKuNc8ayOYbIbU8rLvu1m2S132pRucQG2JcmX0ChQwU3PIPX9uOTbpc8kt2wv6yp+WGOigm2Ocu3mSx699tc8nMkaEd7+CxO2tkB9YbqWv7uIVuWnoeiqSpXXa4JBugZCLzHmgbCn3Sw1pFDYdA3ybeFA1E00thepFoHBqjk3CVhF+0peW3GalVqXuRHor6mbESD7aM9OcspLExvoZ8tAOydYqcBUCo24yjio+V/dKXEqc5vZWtR1Vh7hL9Kpj2jLfNwzZCHvytg6RHOdgeKP4OOboJoZ5CG3byv3WX9hRvgcnnwWf9UUeIkJBTPsCoKokZwNeXQkq+pvRGFe5xQ2T14by08AGTarGPNMAu1gnPyqHP58bwbiPyXp3Ciksq+DKqnVru04+Y13l0d3OHelHHKrLtI1paEsatO8xR+jxQLxL8C0rtkuv2+N4XD3Umx9e1NPlKy6mUMnTO0VeSc64ot+CZhjtAkxmyCHmxDseERI3TzmEp0ofTHFvk1Gwj1kETsN1vVndvTcRSrO2hhHqQSpI8SsVkb1bdypxuOW8Qup3kImmsslMwqhw/0ArQEEpliOOx2k/1mNhyioFU8K2kRn28wjtxeR3jE7xInl0lPoE1y6L9I4ZP/HzhcJg5lWnanjyqyRUnA+WIfwJCoLsqCUuXKZmUQ4RHDLHDE4sknegrDPpfKwG3Tcg3Enj/ehmom2B/nmBKyTZRctaAjPFb+74861SnNVtKF2Sqce453osVQlrNPCtK0K0mQEjkvPga2oHkweOv3udpr+tXudnBFs+/kzbMeSMqXjneXGzD/JwSp3Sy2fMhuRHYLg+oGOm9m08GLbJ842CKJl5L7WY7aP3Uvkd6ThKebV8w62G+hRk7AFBv3U4XuvXwGN86jZr6KFcVZyp1aMxu9DPAmvBywUTLyiBwkDs12JXMIXmXfX6nybOcaV59j6c73sYjOJZPH7+kOoNAgzQ46QKpyhIdZfkmvCdFS2nbkCfH6LVaJ8StyzCshMy6K/9Szeha8L12/R46sq9SGvdBFUwcXcVaJ+LRBJHrJ/pDzm+5dn/89A03F7Pe1AuzHsQ7LmqQxSRHBI9UzDA1+fWN6hAKmwq5MwYdySlkR9rOesPlcL86B3QPcmbBpsn6RPDt6+wF+Z7lpI7FzI+PgYE5V1SwjhQkfeCWsP1s3kB1WUWB82DrDSbpBHQO5Kre9G9Yb62S3m/qFJ7LULMuoTqbcoi1OOGrMvc109OJdhN3pgQvNhoioQSe0lZ3yRrJt8bQpUR3AJM/OYvqvCkdKo1PNI6C/ZDW8poFkoqBpuMfP63tpXSWy8dBGw0F3+w+IimQ5M2AKvQlGcSrF5ZEZQizQzuLINL7bnSlSntGPa/0t2wy3UCKpIGOqndqW+ju865irgZbdIxZxZoD1gx7UyT5rF23j9FBbpBrklI3qS0lY16kOedEPMobeOu8BHctksiudbp/DMVpanYRwcKVFOEZrhPyPh9OY9GUR2l3RvNz3JLyVTb3/o6GtZewzR41e4JLpf0et34jMfdjaJ/FgvRBBh61HGHBBnnn7djA7IBlPfN4SK7Uq8abXVV//je2nKA6fQAgSS6lnTLuw76CslOBkZA5tohFprahy6Qn3Dih46NIIiSUHrdd1XPSI+mNvhWUiyfVjVtZSK+GFXILzxX/sDbCLIlLAk4KgOufeBJyOVaHcJTXQuvdSh3SgVErnmMyU405QEDyTU9h5Me+4ef9tirrskOnFIAk+QSr3fPeLpGKsJJvpvhdcH0HNfpLT4ZcB7BtCNR8nkceWTYndrBHsVqicb/o6ZgPVnc/T87FNQRkLNMROfYvjooii07jAuyAkrHW8DxfB2AjnNHxMAW4vA7WbzIWv4ktWUiyVZKSAppVWbMZ/8qeYDaIYkAiakWENJ2ibJIpoRyGBqll4qSbExV9aVmjr5V12/NLux78tP7Qxd2nWg/LCHO9SwfSTFHbu+/R2ayWVgWxyAkvIS96aqsHGBKfvrz+Do5S2LBaCZ+xghLFsuy51+wgkf3EC8rKZyu/xVsZZ5Kfua3nBHQJYdMazXx16gatjV3F2hUiWrh8ebalHdrlJw4bcap01JlWsbq85kZVz7RiL7m5eUB/gc+X61ptjkMNGyNGphyBnCo/On9EeUF3cBW9eFOhx2udBqvl6bQrmYktU1tVZpujyJ1JD5+8Heyak2m1iFpzYXUGvHErmeSAkl2FnLUukvJJQTlF6LWO1KbVUdb9i70RrNcjX5NxfV2r9geaskT/NwmGtHDYPST3pVOc4aflES6tgY7UHIk4NGfjV1DS5xpB8r0+nhwOi1tAG6p0oBllrQf0Fa2AJ5EugDMk96lFwiUhbv9Y3ZodR9J1HlTEGvWSWQwCyQM3tZlg7CH6dZI+KHJzqkxHtSGEZndeNGokUwuNry7ZQTEeZ3Ita+rm4knkpzSU+JjKtHI9U4F9BaVZp9DsW72X5+pSbWui98kNb+YJ86ElC8983x/jEyfzT3rN+ZL/vmzpj0Oxr1ruoKr4TqOKdtUBetYOd7GpVcWBQ2iGpwLiSP2oavdSTQLWlGwEmnDoQxIosq095+rkhwhhxJsjhNUONPMbvcV36Ys/4Gw6lxau5uG95zZFAdQepvcfiCW2BWx45ZKfKvAjiKra29bXi22m/bVesOtasw9CLCRsKQNbQxJ+CrmR0N6rDmVE3QMFGo7EwEGuV6m2TbxrL6n+VUkpSVr2wKVgp5mY6UP1DOz55JBYSKnJUFxIo3TJNW4mLasRy7yCXd1YfRHK4swwAVxFDlMPIAxCEz+zg7WHk7E1aezrGtgP5YtZ6JZtnE7nYhk4OMIRqf/BVg2mCGtSgbMeSqi6p169hlddGFbPBs4gLIKRBdl5KnPN6Bm34agOGldm2/R/TmX51WfkeSobZBgVyOM2riTB5WQ9xKK1xTOSn4RPZOSN9kSGsnuaachlqTtUW4fz5z9+snviWzeP7OSx7Cyv5NZwKdHUnS17fkBYMKMWduUgVaiECDP57sOJQ/PfcdIGiQl1PKngfsUk+UVud2kis7vYwmIj60f6ZuD6pI04mnWF5gGzZvBJyyBPm80NSE2vy9TIsTaupllJiJ8YBdvgDwcoNCJhE1lZmQhVrh4yeRsR2wMaLaOpJ7E24NNFfUujCxJjP/Lv6EHJrqrHSo3Us5fy/xN2tv9jdhMrd4CjkrExmkZvqx7VsY59ma26XTFmByBQtk93iIt+dxS+ptyW4xl2hyeUuXY7SKVD8bl7EHi6hKeVCuJgWsgYL07gySxtVbxUsuMqRxczZtL2thOw7oHjupEw58bty2LrJG+qdzCwUDA3nVnsCcE4DakiYAJtK2PI2nmOig4BEy3awakJVHx/vKhaRDjUXOelpFYwzWsw405UZ1q6vMAVKE/S1MvnwSoMJURZw7Y4Ul4Ny3/mb6oiQajLrovJiOt+mvgN1dQHOf5zlePhb84t4Rlmn0Caj/WDt6zLrAn0xl7t0a9CcRrmVbXXwmbu8eAuqkeYWQgc4oTv7NfEjPSmX/EivaSxN5o0c3x6ELJ5wFg7xSOtMRpHLqbcD7m1X2cFHq9AVdaPVi6jFRXQU7TGw1CNhnlVubaxP1R96bIsfweuPJO5jxhXSmJb6XSrttvE9zsZXmb6h/aL33PW/gajKBzJfxrR0W5PED6BAI7q3dNTspaSpk5693RIgxj8pSy7ZBd60N+x8gB7kdU+4Af0MWsRSy6qYWvtbWbF1wCxR/OGyapDYS5f7y+Uupt2to6G8QApwukdJWnweJ160/OKrB6O+DedZNd5uGGrPX76PX0NHwKO+CpJJXtlALqy/VrePBoA57CWCt4wmLlCbTWgd2Q5ZOlAI2gt0KH/CMeNUgd+CKpLzy640jvNYNVCPQSiy7L0rhgcA0eteHUFKcl9RfYty7XVoX/yP+BojIDrlDbKBaXRwSKzg56eFZf7Pn5FadfuzWqul49q0o4SAccWLa06NSZqwjGguS+J1oTOhoUokCC+D4AAJl104+G/vP5SqOir5NNRMimJKoX8b4fGqrX7shgKKpBOtpltNnaSu+QY892HQup8a2h1cFYGqPwB7j0Tmf9U7bVroBoWJ09mK769TZLRpXthjyIUCDc8rSE9G4YJ+F9mxYPVsnf0dp6S+Ec7RXgZNqB+oBfzbRs7D5HI1/k6AnRenn2wM3Do40s1fqWTUudyzh5mi9AZ+PmtjrkZ9RDH2QRB+8Nle3ucblNBSEpj2xp0cgkx1odGfF4qZk9SwjiBSejLdR8AIqsvObAnlYcHuwlURMrqGmaHTKkUcmxIqt8Mykbc2S4B8VVl1V1cOz1g5Eu9Am9Y2gy/oRzgZ6i36Mk+Xh6dVD0Yt07VCbTQldBptihAK+KQfr41t5Edfvvw1g3BopDLQc7JOTK9OH2Nd+kiXuIRX9skGFVSHQcT9h9aUdux8B79n3Z0VOeo4AvoXfnUEsDDbWcala/hJ8tvPJOnnIBbC35zAOfZlpXZ2ln7jlsSIrPcpt5+u63WFmupHnNycyoHMmpDT8jw3ulsIwW7xMin5IW7wONT+ysRpWchjkXtyuHovlqIrPXIXnvLQF3WuCRTB9Q8vm2nkCB5rHzmzq1W04fdrpqBjMSgvBAzYq9PipjwmPVJSZ5vdR0TjsRbpk/t0PXhxjS7rchydttZmtsL1roqUiwFz/6ilGEqHlhPTXbuRXIGRN0DizmGubwXJBjVSBTutkjWAmWCYr0R6+dTqbl3ocKD+XTLO7ZWjkE0Nzs/rE0nf3oP9V0N7wC/2Vragrjzv+7j9A+mSTvJWzEfOJX1eeqOachwrk7nbPgzQcTWbHHsHwC1JP8JtbLgE6w05A6slXQwJISY6NQ0LjjjvvpkJTam15nSaQW1FsmGLdDTw1MPSxPDAo95LnDs9oKi+4Kzu6XQvkMeCQ1lV6XSVXb05R8ft//+D3M6Ve3JlJVy315pxAv1TLW4VngEaB99OQmszbOBREk9WHdLAba1bXpH6P3IDtSHcXYkXClnYP6O1IzSrtt3OcZ+n0YQKjPY4G9DVb5ogZY/PQfYZBKrxEY1E8BNydNRMUPgiruEJSFEye6+amyUr9gbDpwQc8LjVOdBYgpCLmGLBbB3DRcmwC6R6YyV8HlcPzWAHccZYaGmMivbdEyHyzSkrZI1OlJUIi3IUM9SCllLcfUS9L6aQEjKuXEfgy7F5GHJblpfzZJ7VVekTyR5S3KKiDgumPvqyGz1+EHSlFua0m++OP8EUGT+HMkz84iXHKpX2N6fy+SnSc79ysOHEydqo3C19wGF3Dg3fq+UwzjLl5BlWMrtlcTngDHXvoZ49MrtLfPEUHJAC9+6G/+/ZbA9PT3N66hq24BBrSqh7JUEWCkPBupS5fKQEYtT9XfQIZKQ1ELoYJwnRQvWAfHpiv43cEg3VkA81SgdX8FYGWazkcBaNh6hQhVbLn3c/Pk9r3LIocXRlOkjAb1WBX4W41tu6LXupPGHAV9JFDl3cB0zHFIubYQCGsD9ITsLGNWFi5mlW5w6LA6PC6IEl6LIVwsdeur6HNG704hBVQXdLSkHdL8EjLeHckke/U8s5Uu2YV8G51PnqWuKn+3XcunJZ2sHDxCmiedgDsS3w9kim2UWcqCP3NUJkw8iHmzBHET7FV+fp/k2vbTadGwVsI6TKFVxlHUy81AA+u2WZQ8RkG0351HTEeZBCvlKyMWFC/ZNlQkfEnLroL1owlkFcOYkJJ0HF5nl8y/Zg+gRlILCaRKtfXB5vW57RyStmrUpGDLuJtNMPnbN9LskrpBWPEVdPQPFrjp9wGgljmqAZCXjXFvkBppNccmiOtXoHNC6xVA94j/WaqE+osJg2csbZ+9cRDoPeFSTK5eqxVNYlcSQ08LQCGJrq9fgmZrMMfob8uy+JVLsOZ7b9sZTjP/WAd6S7YYaDflbGkSqenbVdPUtubGzZEeyVkCXalAkGt9C3ze/kX04MgdMvLxxqhy2ytTEaeUj7qOkPyYHRptDqq09q6a7Jj1eex6eY6N6uawZZIUu7d935a03C34UiHKS1DnKq9SanFMN5q1oNSApUv2+SvJJkrRONBxBaOvioGMl1KUt/M9B/8oWkwSXos/RSMZEnpdEwqTRn942/Wui7H4Cdi8i/rjgs6LgCbrY1kq+8yH29HxR2ki9Og3M0PJPIOiVQOArZ6HzismdmGBZeGyMgGrPz7/G9gOuAHpapWaYiRJuRzJ1IEWrXhJryAeNDpV+Ne+6hUs1xF0yidyYkY7hCCdDT0oOQV9UQSeTjhtbUF34h69GvbM3duOj5hXmkJEE5BCzq9FGdmW1C1nQcvSFo28OrHQ9W8b0Gy4Gj46d9uGYjqnDVCBkIaSqX8kZCuG3pTEjDy0PU35Mk7Tuj1XN2qYHskPq5xv64/oKi5sBfpl+l6ZQNgCFp9VbVPpQnnBoD/NfXN0tZMdE9mmL01TZAcJlAWh5kInJDjfV/5ey7ixEBLhEg2munvrM3rUMWQulyGKJSt3zFYmnyrCElqccHpKSy30vp6xD6ytNySWwYkiECOtT8dhN9j5hJmmXqzwnNozYLjcwzAnMbhen2nT3RleRLuttqVwhSIFIdRVVGVXJF4ph/O/7CCt0tIVUHPa3pvzvBx2CYlKyfqySz1K8l/Unyz8FKO3rHOIkx5yOZs+l7SPHxF0NMpMArJwP8SV4vGHvd79kD8/T4IILykc+QsOWW58j6EECdOMRcNTu0k4Cm453HvyQRPRsscrfmnATMC8XJmMbD2iyBFRJHPvaH5XUlf1kR4gETf0TPEfUUgKNoxv0CJCOrBA9+9inkTz/5tcpeJrzjq4EVRQTu562Ui90SF+rSMNsNntd5XT/QNIFNaQ57KuAFLvBwhbhiK+JlENfZhi5MLRTq88MJ/yZNKeL7Yc5RDnWdbyZqef8rXWlONHqsDt9YnwLtHyxSDSe8sd03P382R4TvmE0E0SY8ATbDUW4C6NceT8ITOt0V7400eXL9KM2FRS+dimb8JE+7ZHlRdmRl3WM1vCfpy/SS8gsx2Ljadm9IYCOV/AA7W22Ucx88XplyLkLJXKzQTLb7SgnZQPEY87oVr3BFEEP7FURJLVPO9SSdrcju8kzDRL6Ig84CG4xFLgJSc+8tf3k1zKFzjlsW6mtTkQoo2Cz+WFhIvZSHSbiPjSEHlZMeB3lcciOMxkjyCx0QplsK5t6Jeb3d06cmkqqQympPLAaZqO0OnHZoOIAmNKXD1n1I9P/dLSTwI3z7+7UjK2efzhT1u5oAhwlTqjL2iJIbqVazEjUDAahSgJ5jcEkZ/VJZQUSq3PbFpoiBe9L+VrpKKsvkxKLboxrNsnAwxtZDnLacNAqN7LC0FXjiB3PpR6o1VoNmoJD4oDmN7lj/GcZADmsK5MLGtSMbk9DOcye/Jaqt2kfCvzhGrn0Zyk1wwkSMLbr9emkvd9BL6dcQR7Wem4fY2hMCRiVkH+Ykgvy5wmOQH0wgWRPsT/RBDqfBSvLATBGMsgHQUaStK/QxNXH7gOUEmarTE3pkcitXm9ECVQVrCh77iCHk3CwjWGSvCsS6NNEMIpKqcsHkSL3BPEVdZTCjjZhIRRSMe8/2d+k9lHQwFpXquMG/r02exckHbFOZ1v8I5E1ExRCw2cLLkevPSOz7w8UyamNELuyVkxGryTuIK/m/hztd5Gs/oAhlqpheHicucWOE20/+3PIpjfVkCn0kEcRswjsrCe7/jH7qhKp07LAkrA+168//wzceTO7+5UjoHNW6JGIEwvK1LblqbfoI7saG0tCQ0YdL5U+cm3EDKl4RqicMTITUxDMcankE8cjdbOtU10ycLasYaYiB4qde+XebD0BzpAatGYn/c6y4f1X4UAgqJt2cmllmBmm04n6KCT2cFo4P0Wn7FXfl8R7qNch8gy8MnA/lI6c2grc9+W38/N3PfL8kcY7KE6/8cnexYlrFxyV9KJlxPguoejA3oDU11dW+cCPrD+za3CWBQE7hDCMQ8y7LuUaLHeQWcNNY4DCt95i51TMnFJX7cUrpKmdt2G89RGnmxl2EQRP8VGwuVsC6J6ln6qtdP9WLP3DB9lx4dTimLUHyVQiKg7quDc4Yegpe/NMe7YWHU9+WUZ8SbjWwqBjp6KJWzPWqUbr/xsGrenX93QEhx2I3xOSvihkqOsuluWqIkfF2kJW8WWr+5P0wpSrei0/vMx8L/RXEvtnTMpV+eMcSqqN1nZmp1lW6tU+29AUyY1egTgA6OlRC8593EcQHsCzoIYivwJogMP8uy1qiqfE+/y3RxnufinLb1pkPMqp0qxJm4hd2cFk1oG6/fTpo9PwooTeTEWQtMMJOUhADuMD1ttmrgoUmNwZFKaf/x6sw/99LW/veGA+TrL7FbxRC7p+Wp/zLKGk6M5A0J0nh08uQTUzcOJyDpFPlDweysQ6JpFQVgFsaYUlnu2ZtFO+Otqfp0luz0rjkUoPD7TXtmTG70ldPESVmsIzS0uiQa06/E5wRavHrxIDgI+yIszG1S1BH5gmVeUe4FkT1wb1O1nqakJltpi2D09oRnQFw5VYy/Tzbyo+3nVEq5PEazmKHCfCpnPut/jY1VO5FsCy9v2dbi2CWEafAZW1sdKIPX7lwfHXSDFbcwhIqyd73izZCbsxaEWvSCAZgpw5G7gn+iDWg7diX42yJG6pr/aD3cQ/wafgjaxFaC937MT3aMVvvacf4WhLmiNvRLyAVn0Oktra0PWNkyuq2XNZH+4VhtOEmADI6qg2Zlg6PjX45FWQEjvO0VZGNcaTv6x0R1DfyN+Do3tA0jCpFJfqWnGxuPoF8pwBQj2qzdZAKdbm2KUYCxCW+vWuL/IbCVeMTWVpn1F+wQNq3MkKtjswW2ZMUR3+6x8/ffr586+//PrHT/+Ysdg4LMhblDj5H3dsmn84bXFT72CdBRnPyJoewyR39T6Dez/D+C7T17oUtSSqx/LDoJgrfEUYbtuDeFDP3a3RXZxQKg+FsoTNi3ZandlDjcIUYwDK7pipzYZB6KGa5qkCEWGuLFSDvcTtpWk4YDBrfbjTczkiSrVyNJQnhrDpcHKyT1Nuf4kS4O2DQpsMUsg7ecaHMAGeVIfGNxGDggdmxb2JldqHqQabyUwe8gMR6q/ljt2XjPzBz0fkLmhyhSREVLb7MHDgf1J8NQT02qqBJJqklvVEFleHBjY1DySNuA5qf5lHSg0azLyd1QhEXqZu6nQC+SY+0E5Okj1HUVIkUCVz9aw9bUbWfYH1jsx7dB+wLOevCG4NkCaw2yLQJMjpwQ7j3FtYTjJ9P9quMa1I8IY7Ctz82gha/H4UFEt2O0pT0SW0C3uzXSOft4O2i1WIfM8G9D2Hln/dCHQuJgZkl5XJVmwgUO5qmqmYrKsOSWEPRj7E9GcasCob3mQXPZegaCHemfgoDSr34iPmDJPSAwmT5WALJuyboqg5CVIEp8P77BsF0eOl/yND6qNeDF02UulU8w54VGRDwd4DV53OihlvzRDXB+g2Jqj7X/a2jnd6o4kgGyczihuziz3N1RVPL99/DgN5V3sPsedgTk0I/R8wUBsn6xs9Q98nH8VWr+Xjb+YE4JIBqls8R6qrVDYYcVaicEclNOs9X+X/f/wFHjK6EegJbKWnRKx0KIfNKT7Y8AnrbV0qYqqLRsfsgGVYUefTx8/ywTcyuBtvTUeapPWd9w5tPORXjgC4B9abwUh11t28hiPZmg7ODADBk9UlXG376/Wa0RANVFU8cD3J0AcIyqvkuccmOPURQxduwQ6A32oIXUIty+PGmawDtlV8o2Z+qcoR06qV5miWM0nFrfnS69devdwMeE4vyx32XPYXNYEiizVhiOy3+MZ7LCc6z/IHi/uk1MccSDMbqt0OUj5fhk1G5KqMk6vLbPbkk+uHZqYVYbEBqj5mln5gr1Xl+K3YvOalERQmCQSkgbs4goyuPTHoQFIXr0ErGJn4Ibnz7Kf91NCQCNxqa4vHfk/1F49BBnI2ORHLWevAK91wChJvzQxSrlSNqxR9BU5q1uJpj8r97UJfl0i26wwXgepoSuWHCr0Has0CGJSmtUBAvDcL2U03/E6WTas/dyCbOfTFqJ8W1HuXn8OCcMMgOTpwI7Oa7Q6AcW075jgGrtoCC0kiAY7at5VrAIUG5jgmlSsRgrFM/VpbGRCM0uTYV1poO5wgsbN28Zo9P7TaZinjFkjdQNjMIICa4iHrr6wdVyq0Ziy/Ow/6UyZvWx+Ue1bwfINcJOC1iGCGLHfBtEzNUhjzFCMc4s7WOi3vkY6zwC4gYvuLhxr7FIqR3heaki+XGptpPajBvr9xPpzJCtZurAuivbAZtG2CdrKEQnMNkIKxk7hpt0XvoxbcofRDLiSpu2/yUIahq0KBZY+rCde74gf93fVpdcWF52D4PsOR+eNYvgYoY8D5ju1wgJgfOUqRubSApT7QuXvHcvzJk/5S0x3EwCIZ1tif9QkMilrVRaZBkcx6j5Xct+pwvhWYdaWvz5IkdCUBGJ/ikM6CPjkcESRyKDUBKojcJZcZ6YeTMjUrQWhN81nOKN9FJidZW9/mW1BWPLV0Bt+s3k2lz3e7mYZ9fLnpXa/Lk7wPSJlvf/6fPZlydk6+fPwFK6zIUmyO1UYodjZz8hxei9+Naq0/VHreX4gxnJF0euAQf84xKOXB6RwqJ4qZ0iB5/qmCwM75jVwbKHsS1kdxfNxQ6AwoC1yLKbdiG8etEBqABfWxGFWfbPHOhLlNWLMCVGfbTJSyJbjfYuQcb3BTd4n8neqwLzLrwnFnlAGjB6OrDMlLQg1TXOPnbIHtI6DSAtv1SPXeyBkq5hDVCcgUWWgq3CS70uXPoR2tFT4gtYYhOKCzDPwt8szE98h9etqBEUcg58xHqV7k0ki+b14OVcfvq50XT6X1sk6yPJRxSQ/kizvwB5q1UxfQ0/rM4PvUQn+RNL/dm1CISxzOlSllyblII7VVJWE6PeWtv4trTvp0n2wqut2RlMUd3hSqctaS2VikSy1eMBFVAax4PBaZCACu/SyEtcj/jACjpp9qe+LBKP52lvMtIGiUhODLz5+2SNDlh/dQ0Gr88EZb+tGpUEFT7F28hw/NyQyGZJ4s+dPH37Y9V7z5BZHK5ScKNP1lGuRTTxI9LzoIevBCqzvBom63Ft4rOPdMkpiLct7sVzlovfXucG0jmmnGRPk0uNP7OHot7ygXcOcZ+FjzK/B6HbG+9UuTDkjEeRsONvdwHjoPD5CgUeSqomOHTWtmRkk3ZIIK3Z0BilMTLavq9dq4YNdm/gu/uDl4yA4Cj+R0Osaknb2r8bkYjb3xo1m7U84cW3ctuQ8qGjnm65bPUWu1KG0hVNG0LZmRe98wbchM4djTmMmBaEEChZkQuq0mhBOtROw04KmUc1qM2NvmxGrJ1pqyzjI65n1NVGVqRmJ815p9iTRPQjoWztkzHnDMg+Q1piY8IDSRaciDqnVsnmim6IYjK0GTEoRTf5Ll6GMzXs+Ub7tbavYw+zBn8So6AgzGrlyY2sYrvJSnUwWstSyTunT6Uvw3QJ3lEGcWYiZRLQ4knpJQsB6oTacCcsk7iebi/MMjPp9k/jbLp1Bmp9lRovhX6m6mf7mDStYOulO14FpOo0i/jOeb5lkbzmXVzHLCC9d0wdOutYbveBA/fm5C/f5E0CW7HKE/mliNUxiKO8z9e9JmaIKttMn+B3FvtuRIsmSJ/YozSU7WTelmVlbWXXqku/nAeeOI8GEowgcmhWK+APCAb9eXQCC+nnqOmjkciMhS9bg9QpnpupmRcATgbqamy1miaFl9eN+QelXBgd38n/4DUj16Rv+j6Jzf/kJq/fei1VYtbizPD0UE2XYvLcUFHrxior64hxKqSrbeJl1sZk8b928IMJeZxwxwaascRYWrKbY9Tx8mG6peDcUgTnag1m8T5DjCX0bVjnbP/5Vw4WPEcEHUDaIOmtBU6TNbbkAV8OD1VaEn+mLEmSp0LYiHjpi/lHdQkNF4o1/6IQV1uRMUFVDqp/zwP6sVrzzZGWmC2pKQIKYTWEIIs5vl9zj2M4mkmtxbe2sYlw4mLWbDDXyLm4KZ7mmaMB3liwMlrGbm5O9aRyYEQBCNk2ybrWnD6j0z1RVuLiLAl7iwoGtF4GokaG6cY9jfkADpyYDU5bXBeQLS39ibLZEvdy9+0OK5XPZNViKgncgpwseeTaAD6qspKvO5XhrMFRRDa0ary2BbitE2O6njd30HrXaHucWDRQfYYeTtjjx+KOoBD7Z09Ew+HxifVtO3v718+/7y7cenpBRClVNHxnFolpklCsaD4e7MIWjJyrj6bu5f6mJlxzxLCeKwpotWQG4m8Y2hrJIIqdM7moglQJ01J5RNZkpeaR3lmsal7wDsIQ+hFKF8Y/phFYU+sOEPIbPsUNEny+HEvUOAdJ1uz1GaMtiVQkTaUDfDFm+qUMZFJTY+F19iLXVOPUFUatf0MjY8J59zcGzX6tZcuspln8mgTM1few0MfTNXSRvIpQoSorCRAh5dl8Ruiv1pUtauHhV/X3BkqIYnT6ToHcGBJjFiYFshh00ieYDks5F2gbZ7RHVEVWElAPQjUSkOscVzPZqH69BgDn3krQgdha48kauURVB6ZbT04KS311DPwXz5rZIwex+RASj1uqufmXrUHUwxRk3gQnOedsibJT2oKI9rbv0OXtsRmmHL4jaKa5X6oTObiiGfkHc61iQBSEjgI+o2sHhDs/to21rE68sxHOYIrTguGH1QUsvmhVG7RIJMeakLazXOMK6RwDy/YrjukSur20Hx4xWmCUcM8FyjuxPLNFAKUiNEFqjEwws2KSSPHUf3e6VwEs5BIB7H5Uj+stZ2/CdIskxfbJbqH1z96CmTAsdFhRSinSfcHVXjNR7btoJOAt2yh+s8eXQ3QFTNTISh8oORSwfx98nEBldhuroaqpAKnZfxXCVdBtyHpbvdoUUBxWuyMKWXR5ylKugHQh7efR3aWraRynXTA9nZ1TigdHPp2L6LQkgCZetUCpa5QxVo5qPvrf+VhUQbKT1nDkQ4kECGJtQK5Yok9iMwocGl7AldVnWVA+EstpWxWNmAVVj0EH2ybOwCF6zZrsUQJrZL1HzJdQVQrnMoCFY2J8epEGPDdvIIqSUJFfDszbwQjDtY4EI8ifhe1bJMTGJJtGEmM9sGDKtObBWwLoyXf5c8NPsdtlx2hTxJmKxbzLxw3Oscl9MU1wztiPluNJO2Q/mWVfKPC8NHJZnUIHx336hYbDS6vN99CzaKBs6+1bknzrDYnwnvuF96BDQkiCORu0GYOvP4fB+6te7V96apu+QDKJDoNIUYamSHddW4ABI3fxqfny+kkGBCRpbnV/mehXw3a1wUR9uFpHPmclzb+s7xDo/cYgEMoqzDEU06Z7tFksNxari1c0lixl7reyX9Rzk2CIEmGiYKLLVuLOvRV1eRMkDxhityszZfapPMXh+rK3IV3GH4ciw2y/5nggN/+fHpX9UzbtCZ0jtSA8Z7/55wDBxeZr/8tto6LcP0GYXOfLJamGsNL5u8Lie1kZNb/neTIIguMcb4KmnbhBePS0Kr6Xm8dr3qth3/Q0CCSCPguUFgP0tFNZfZhfGnbUdbzw48Rdt+hoK71WB9Que+DJ3s/8+Ji0d0je9MTKCVeSlLzikcx08EQMxqGeCAQEjBzdOj7aVC7V0d2lUbREru8mifiHQvGsKoQh52wdmfm2sX2csounTFrX833iCpangQqv+InMb98BMZcFlJcYNpOPgvqbWmzhBHuGqP5R4/JhvyRobNamCQDcvhYPaWdGVpoWg3C6K/YRTrVfSwFV8YzoF+hRO4C5uivmlFwGMx4YDVEF77OQ2Xv9jfgZWT6oHedFOtHU5NEdLzVsVxq//4mHZAdEkTH9YKqCbRtV5GVE5lnz0IaD0kU5vk5B3VLOOjXBekwtfYD791bBwDnhI4VTuDqBtf0+CNc1QxXvFxzB492l+gkFP+8VADGwcFDDb6QglJbHoEt0CyE0/ichopwS9Vf6abSdNAVJz1TTCJQS7A2WGSogQnTNKooNJFHJNgYMOXAOJLNGQbOkkYFU86k60INpDECM54fg+xqNa/9eBsQHoeb/RGKSSqKPL9KfJLuRB6duDulBLNShRfPY4bFG9dkPwJCGS7YRunWCtEPQpleFwDMcRhQgPuiZkQvGyoYVaj4qcRHP/7wKAypyroQDare8CZ7bmli/owZltypdAPPaW0fMw7+a0Fcd428Yg2stHZG11QiSSYw1kdJcUc3BOEnG2rp+VpyasdvdzYWPOYBse5FHhU7pGZHjeUrkn9V5/rFK9DFDiOPck3rst+4juUwvZblbn3clXrNkTYbey4fD02wSE78xuSiw/W9W/ykimjPbq2FPCuUlGV49LqoD2hJl3bFvyQVQ/HRRK5uwK5h+S01hHffQ3ZR677pkNzeBct7b4dEeWSZmJUUH9DVMBsBEDlchv4N+fDiTY/2xmrrexC0eYbI8Xsxz/gacireQDU7NwBbS2fwGa5vUX1PzItrIxPrafksJkaaoV6EIoJ5xqaw+eIkTRHzsPE7o8VQ2NaTOMmxSk6GiOSGY5REls+VjUNS2tO6ozelEvs0qrO+uK0nMNoKceplg4p+0DAzzZ45c1qgQfGgxDYG8pN3eEpS6TAfFfpHac6r8+1R0dlA/WclulUJ4U7a31+tLcnHymZOFctitVgqwk83pVVIIwHuQI566RQUd+s3qNhsT74qKUa6qmp/mCb/QdIrqaW3szOWg+/xrf8IokeQR2SfZ5Z9J9MdpMOe8kbIeYLKS9+OZJNQli9kJb5tpZPijrrv+zsJiWrPzYW5WlAlW/qB+AlimRjbK3cG50qFn4/ldD/I7KUG4srT1U+12idkGUkD5aE1Mz2RPG+2LaLPSxERRGjpwucKoih1eRwIogtwsiFTA7gvi5jQiIndI7JEq4uTrFMwOGhTG0yiRTcdRir6mwaj95qTykLPPnto2IxTWp9R/zfZfWygYaSEG5K1rHwWzKj64+qe6lF1kfbcTAtxFGhvh22Dy+gaRz0eDqRj7H3OIZTaKOB+xpc3+6rDyTya67iiogw+JF1eIpiS2PfOHbA2pqPi+m1Nt0JyDBgcvkkAUDbARsbJo8w0EMq88GpIcHNj9ImSraY5JA5sfa4l1Tbq+0YtTMjae2m+srpqvLhD00dlYNgN6ryKBt7r6SUEkEP1JbGvN22V0G0pE4DqSAn3GjTzkhWwFFOcdd6ebytqYn9cMSrD4rykf/h/naySLG+x9bP4xQaB/cAqgtlAO5mC4M0rvrlfxvracj+a0Wnu/8LsoOTNcxCfaW1LiePS8caobxrOEZaXFTekvNlQ5CDcxY1zykbMUtmtoxJZsmOyZR1hi5tsBobPz4xq/wVh36uLpF/Gyuk3xrPj9gDMBJqh3l1i7aiRSQxyPdvVMwDDDeXcvYwBqC4NndJfVLzMObsSKMlGl9UVs+V3BzrLf/y2/+cTYgjhwOtn0cbJ6fRAKCbaZcw7U8TPesjvvz+Ee3NkR4P5Z2gPhgF0MWzIvqNgM5uqns0q5woT+ZzV7+ZTRwcD9qgUFUkqAy2ktSiK1Vl/7fkXbo54gHEF+Gi/8c87qqRyfioI842zzpJsV4lSgKfo9wB/piyFZIlebwMOT4dlxLFSmfKVk5tT0rVzOB+QDZZAkAvF0OeudF6ZrDZJNhOgTTIZaTHHlVWyB2dMZIg2O8ksXPSZwuIMV3ke8RH+Ewt6O97tE3k5vQLIusfO8Yqg09B0esLN2ZAHAB4MRpxCwzyGxBz9Pe5Ih67rBEU5mPxT/0Imvad//Kdi5HSwLgolPjnrQM5ZowSoMqqczexkZHCuboJvkA70JsvqtwkDRNJH2V/hMa0jX/vYomTXfBc/eU9tSVfOvux7sAKjCsruauSvj1XaWBiggLQugSYhKpbESFsTme15wngo2KAtye30pmsAEgrmw1ADBkHatbEErRyiEIOTIlIwZY8Q2cV4SXDQ7XdnNIB3fVjbR5whtrjacnv9LN9td+3r98jjyxGEmrYmn3WuErXTraDGpSaMZ6iTRuPd7osadl5V+ehfoEp039AZ+7/lw6cnC5zHatUOV4nJp2TPCP6OGx/zk0lZQfF8/AXiAP54EzMWyByO46wX3aFOpVn2E7JNR3gsBWKyJt/kgOuAzneHp3HySvPUp0qPy2ONuXGA80pFnGvu6KiKmYEepCtWVuT0TMhmdAlgb6PtCUKyY6OXS/vQg2cRz6C3zzD+iqRplW7KGMYs8n/WfdUTazk6+Cjkiku57h1U7+sL3xowzzSLm7fkwo6yzA019Uj9FRRroNi4SCsgN/g+eUEjQDHPAN0pg4y2tKOlLAjKKQdsRiEScSWPNcbDV+4BeuYz01LAYKs5mSTROK5nklBlSOyi78DPQe9Nv7g9njTtP0Ini2aoXjhSDDIne5Wi9AT0NKQX5NEuH582n6io64e9FM64vK1YjW7vq/YylcEKaldlja0PZSgR2ZPVXnBuq4npuqRGTkVhE6qXMd6KXWYpJ4+6MsiNS+GxLV6Sa9OqQ9fKgfskRvMbGgtV67ib6PTLCm/jqPZcIWaa5/IzfRjLhzSTL+//PaCcfoHqkZs9FAGMz3cylzhL+prsMc85d3kb8/Qy2U3+9/DW/Yc8h4DROzts5x127pXubZ+0DmSR3M8gW6DnCqyAjqIr8lJFEy4PMDaA+cZiXBuXdAPUFDy6hxrs1311mI947EuRZdlerVmvPCXgfAyPOkTAATFlrkJZW98Xd3YohjhqsFs4p71O8nvm4IcetZaVhb2qmtZxXOjoeJ8dqza1V/H10udLnJgqEhF/TLbuzyZS8nRf5RMRf5qq+M3EBueokbcY+maCt2N4lF8pbV0VHwZCc9YT06/PQzh0TeQ4+HAEfPM5RSpE/hQG2O9xOFNf59aTCdHr0QumYE4yQ/zSra6RmtRBSqp5+wU2kXqfm0C42gcq6NKtuirptUAZJRNCJBkITtRwZwSSo5995mK1lL3zKuLDVv8clQDPjAr9lKFfvVIlS0aVbPw0cBTkrtRl9ElXD7kMFzXXz/VUitK+lMhSJulWT2fDuDwpHSY+ToGTZxgRG9yD6NudfI6fkaLqsd0GUPgxllm3WBhiRsQqO0oB0iELbiOTAiNZecaCwf8viH5yxFjhmfLb8SuV6Ihq3B9POF1Mg492xEqNiOub5XdPsIP63Y5UrjV9GVSiv9MmgWVrYzPCXNfzeIPdVn1k7wNYOuQyw6I5A5T8DTN1OGRltcacPAkvIU0/UqcSovhKaokqCCq6xpYcfZOrEXMJoneu2KMYTYipv7K0UJ10gZA/Is1+38fjmo1AiTMnVrlOBe6KP/W2rDSaZLwEJVQl8Y6XyAJfakcKP6xvtTd2VYNx+LXHi7X6amHVD2YKC26X3j0cvgPWkjUPIaIAV8oOFIfJTQVrNpodR5qdIZ7ZE7zpY9/j4IUkt3NAJVEEYsZewTDFphNxhmmxOiySblv0dAAJlk8kgJQ87SZLxxZRQ3r22tzKbUgqYGchaEuIROoJ1IXHem8BKPLm0gUrA/yk/XVfFmuNFA0tCV/6FEsNdebamK23i7is3jPmCKREzWR2z6lb1Np1o16a6KWa5+TQ12MFPHEB5WVhYxygDrEGhCPmEWZDMjDcl3A0Z7qtsVgxt0E/vLlMe398gVRbkbm+4gf+EgtrsYMxD/XJJiXniHonV2Ujbj5mVvZuzhCHFYuy4k/v3xP50t0OdpT+Wgqm0TOXUDs9x7GqxTd7H2vyoCrjdkBM85x+rx+3fcaKGg4yWr1SH5JsgWFPR3F0gDjUHSTDfJSfZaN/TBwOWZXUpP8icnpiQ3vCQ1A3aejbkCwJh2DhYb8spFdwiSF694BcgoOCp9Ic81Vt9i6X8qATg/GrIfQh5Q674qufCzx3MOqN7m55iBWogoajAOHeBMwIRrr3vkQYYzN1xGZdHNVYI1Tl0W7DPIR1hzpRNsIxPwK0soAjiMvDuVK4pFcuK3sZdcFHBpOhej5dG2rL198uQV0QdrqSqQMw+mjLkj8MTLBTRvsC67b/Dra4Gyu0h/eX2QFtkHC4FuB1KikiOFr7N8XrLU5AOUtVyg+zl79L9/IPfW61JxH6iLd2TahNMIACe83HZP3wTm7ZAk1qq5wLx0KeUqGIGnonKkDk2L2qLmFWT29UaNj3sTu/EzU2gKVVJfWsYM/8AYQ7iIU7Py901Ip3Au/Rb7k7azgO0tSUoRHWiXphYy83NfRfxuSoKgnKc+axxcgLGaBcnd3Tt5JdyT5dCMvG6mLtBWHGavDWEvVTVK2j07xbnttJ8dCKx7MT4h7qNCUBotNeZseHWZOkHQsW8JTfaoP3B21pGhZ1cinHxUQDeuN+oW0q1n1l7jgFWCnCniHg+Ko/Qr3AJ9MaZhcH09TEkXJIqeu2vzJOrGUP/k5pc1Fz44YWD9mzb6KzZeVAgphqyWnV21L7mxDwk1sFT91suekEhlnFXvQxryVucVxb1/M/bAgUIezs8Tdauo7CDxsQhA6F01vbjYRW3tKHMTmOYWEJTv3bb5EReYySH3aqeSBCVj+8vNYY+d9shaUd7tM9kr4focBk3DwbGpSMmpHLIRsacKkTCwAsS2ROGhXGVBfkyKjHOvXVwfI+MFJzpOxKgCkTEKp1sf/659/zdrGrTCozljaAYicQvYAdCCOedJuxZ9HKaM9ymAvgG1LiD4ubSZhbNJG1jWN2jI8wg5m8eR28+3fKz/eN5yV2hf2NTUbwrYScbL3W839rG5X3P5dtZANOEfZeNuq4qk/AdR1bXoEyeeqeZZofQD7qVvMz3nCrTpiuapd9PLygTm9u25ZxkOIVZe1EgHCn5yvjXPuaFbALmiDpp8VfhqQ9SPCYQ/SIFOU9CIpw/kUzqcxyEoDABpFSO4wrI/KSUn7sRjhKWWFbbnfGWRS22U6ob1lbmZafeZLuWciuc1x0n5YLuEJQOkgaS+wlF0SuAWClzRB05Z8d7NjR0LJp+ipLOPER1a7HQjbnq2cvAldn5W9xlyqnGiHOKh8nbkyB/kKLGxayRwaRRQ4pjU5lOf60VwUcbw39VdqySjsJScTn12B+JU9U8ltlz3ZODNn2vgJOVRnIDnb0dscJ5skoeha2zIySiqGcnuawDlbFJK3xPGJzx373jrwrXPgChJ1OghG2JUt7L/lYgBQLRXMncOEL6sc+yJQJesExL85DF4CXPoQ2ivTrOC9oa0OzfbNcL+ELAoVg5J/vdluJkNoHTMukrWCbMCSzSy4g+RIoQuY0sprOw+tckWVUtwVVgaSkc51/Ctm1l38M/NzohbuLvGehMMy+ua9Xwzoh/2NinPCOZmJqH4keuuW0b3BFSURrfp4G54wRRwcB9pm4GTrBzwMMG/FPDflII9eFuEcT8WrJmuqfIy2W8m5YoX5ZJ+6e/oZk1A4ss6oI0z+wEQZ8clTNifoIqO1mVrLurn4prZoNwfmoKggcSZ/oK3+jo/xPyqIufH0QiMkmOlfzLHU//St2Mt+nPMbVQU59dib11hhfluiMpOcsW3zGS2snXqw8sSOFUqb5FXnEXEpTHohWwNrXxSCNVKm+WYzeKHZfvmydGMFWlwZ5XDS8LNAm03OqnOSKN7Kmw2et47Pf+gl72AXwTEiWkt7FfD01JTpFE64Jat4Sqo5CCW/XCrVGpNYkH379s8KIvhvIMf916qyKAXq3Ca3Z3R+u8cFLE/1CC28brXt+kP52g8NKNtlDrm5zAYwd8GoT31D+S+GK45kg6I9khINzWLXGRsnt9j5sEmBYK/NuElOhYHf/qZgEBM2gJknvqR2yElSKsHRlNINgvWeBEaBFiVli+bkdL02EVLXnXuq6OFNv2yD1IcOdhaP1IRMztzWF20W8Dzl8WgJ7lLzHJf8GqW2bvaPUEuKjcABzlur5hGssI03lKzyaSFcmwBLeotoeicRCPuYv2hi550uzwB//QO6nc9SaqL9a/ZuZ9ZahwW2cQ6c0ZGYs5X3lDoJN546rR4pB2qVF6h6pHg0D3hEYbn5H0AN/vZrxEU1V+YeZsFTP/VAlahuCeCPKjzqUZQYQztk+dKQ4wclSuP1Z3T0x+TDawUBYsTkbEjVdJLZTUr0xEmZ7fa7zkwsk3AQmKc7YIQS45KZjouyu5JGkWtiuuklPSqcF/2AyoHi1YlsHBn6mytaagVyHT7ItLYtKLdsbj6lN2JX3h7+w2Rntcq0gdpfNGAl49OIVzJQP2+cI6KWAnnY6AnYk9xVYXPG0NmDYmxxMIK60PRmBX6vHW32WtJiVAGRXdtko9USOZeewQCCaVMT5+bJjOIky85mIHxH2lYC0TuNMmEuzS8RJYROkoFgFzush471Ea15YtWOiAISDO2HKd8ltCur1gTHh+Y5nMzm6/2bZnrVe7Y39yPwj9AX31XNTDF7MxFMeCp2DuTPA6RwoRJz9xEwATg7fzOqdu9UaWIQV5SibGkp1eTzyQ0pCGeTzDz9iCBHEIJO/TDp60n60lYmx5qkkwGxuQUCTL3y09Ls39xnIFnFtqTyBbbk90fugBVD1Mt2Y2VLUIe1TH58+vXXH598XoE/bbcfr/1rUEgqcG/3Rjh3WIefNuORHm0BQjdcUHYBiAgPLr7/noiE29iiKSj/S42gWy8Owt/XcK5V6eLBo+FfH2wY/t0svcMIhfq2agAiULZSaSssX5cifOGCc4Fryqor1WUObXCzGor5pj6seyFTP4z0ISLslx7/9vX3xFBQSVVVSV7NNuNo1iwHq0Y+fii8NOEtcwpd/+Lsms3g5fY4Pg7acDcxVf7x6diH5EH/45PV1ZR8H332Bu4s2XN1RNbMVCO1HGmxyoJKbrsvdQECFp3/qbqp/FoNlKVrQ51N4eyKn+2ChQABqhfNPNCfw7SAnS/KJbUVfYA5mzGVWCHLbC3gHmGCYmEj+3CH3iyV3gjArcMKjzUYlJipvEQEXpYMdNhNnlDQlZvQZG4/pET9dapiyHEpp891dD0gi7ZaHPeRQOxU87meZcrxZOdJDtC6rpGVGYkDUlXNl2Wc4PZRTxP/aH7KuX4JWdCJZ/XU+xrcCgGS+gPcjj+AENrhGb2Hc5inpc8pG/vh92JfJA/HBV03k8qJNnKMQUkgxxa2GsM0rCOsEbOzDgQIlF8Al1Q19oPZZIY7UUIaJ4mzxbzjK/AVltF9LXUf+lDOGQylab5kv8Tck0kzv/z/65oSR38BD64FjL+puH0yU85Z+afrZrTVa6gUDUQ9gp3LEXeShzuy8D8tQf5/HHPCSJDgETB6btwcuydVBkmkXUP2JOAUCQBHBjHziO8Ax8NtxPzywXZqZ/4DB64xesEdQZSCXzXVehyzkPKKhjxZJTg7Lm5s9j4A5bfvPz69fPubZLsec96hngBVrXu00DDBNptOyds7p34XZB4xLQCBMmU6sVFPQMD6KuD+7UmoGqyUYIZENVC7uR2hhrvyPt0n09JFml8UH3DmXNo6dO2Wd2vG2BU6hbLEGGij9S3pRRc6/ku9Rx5F9sS5ktVVRNUkG2JXkyw3UQ2ZLFzHZo3s73dY3uaMA65zvaLra79iG5V3olJwIlUGgibNPLGpXmoVy8bXWzeeC4C9LZZdUyyth2Bl6tOTZ+uWVASEPbk3plt4AE22q3OEnWC28L/IRw+0zpXsGwmhCqey4zgpk539RqUlR81aeCoC+6hMy/s08t5vJrX+dvE4bv22Oeb91lOIBiJl4HAlxSl5KBIFzd77KqfyL6ZKTOS+5FiiPdoh+KVSzvcUMZOKHTg26uXKn5+WRnazrZsbQTGK84wIs+n2tuaArxqG3gvgjGSM6u/LoADLftApShbtAfEDHQewATEppA4viApBUkWOlccnXk17D5gSlCjqgiXEAVeZOFbQ4s+ZwnBAPkNNGpMvThfMelWnz/KV6lRtQx1i5tgWYvtZuIRrloBA/UAhpLZ11HCM14DmWctOM7wo26CV4zSt8ssbMKA5hHurvbrejaGp9Qh2lPv3dNQVGnCwIXerrFEClaBQMyXPUk4MxNQ/lmy1fVs/1ZJV9PCR/YfeatPS68ea7ha3WJZ+8FFK1gCHQ1VfhfQIq255wtaDQS+SsM1Ds5wr3zkDo4kgqaw1/1LrYLLR/7u2ER5HQvdtBV/bjtMrK5ijCUPxNAggTNqUsalEsnrQ2Qiu4kIKoUCDFfxH8VPWF0jsez+GsTipMMTzCDVdK7NFdxeCALyrSoYaqn5oqmyX+HGkpRTyOM3uOtqX5HOH9rp0N3EZ/svK3ZUdrr57aDhYAeGe8jAA6iD5w1VKMtM06IucSNO6+iI79Y2KoHbZPzixZds24doOsqiBiDwy/JpPJ5yquk0TcHuscEvzN5ifND/fUI3pHbAKS3/UNODLl5BYJhB27LVOu9VvEeKJh61no/UB9sZFeZPrCn72da4kWWjl/LCS+3jI2u4FkgUUaILFr9JjzXWFlT1jrI5OY9Q3MCfJepe3y8FsfqVKskhAYwrx8s+VLcfLjHi6jsuwY5b1E2h4fYTJSzU7AvZhBEF+DHlO5JOGb5cZKlvELt/1h0l5yVlBYoG4iXVRUe0PnZ4+rCIeCOafe9Pwk/Ct9IsjiFA/Eseg1vZ5RHrzB6Us+g51O94O1AnQk+M8VQ7FcOwwxJdMtUwQ4uxA2YVDou1RxkdfadYV6J2dFCSckTNqrpDQnT+TCn6CxBdh84hbUds9qbR5pGQjnKNd5IHNGRpCSEzMfmlxhseXRBHJVTmLxyguqieocMJJXWKkyO9xuFKuAutsI7rABo0eerQ9VekFwMCOgNePtkiJmmNkwFhYvYAkszsubW4m15y4pgbojHsDaUeJU0obcm6MrT7fNMg5X5romoSszM5I67kZe7LXyGxycxjjjMN0Qwqz/D9ndMnH8Cp1le3QHRMhyVIPQVJv0+ZScVHlWFODisGDvbVcweEF9je5ToSgIqMBBdwlTjGhSw4Vu7GEqllUZvOB/mOFjPZRKXFhZQhNvi4e5tLXLXmdJWqqE08AgRe9GdGTKdTGjUhZaAsBCK4IF8aeAYzu2L7ou/LAHHCdUb+cBEOTr0iPV/LnjngGjUMdNUSNXxfgONooeWgTdyqHg2LQrYXKdsMK57v7G0OtiaAInQ7hHUBMfq4N2mlQuLec2tVqrUFhWvpi+yGe2/7g2nq4U+LfWHRvXmynHnISSciewOI/dvVuW8s/wnC+dUpOh+Z8HaqNxHVStX4wQ6RQ4k8NEg0WP/J0p0uiEsA4M5PItzwFD//x0MhpPaEjbAIC//euPph6rSCkqQa4+dQUlV+brdupqDElm/haX+99kvO/oQcvyVt1vjZ+InlFvYjh2WMO9SpUFiuNoa4oZgY1cfmprAZ7nDZDjZbiMdE/1Nokq7Ckz7ijWAaLXf643JPRbKSQWahgzhRkMXn4Y1vj5hUFuNO4+QiZo/klrChLCJmB6GQztG8RBDf7SinLVejoBI7Cj0+YY+bXH5906iDZMrocaDeABHm7LFHCJMrK4SUZEDJk1ZL9TOWwQpLzVXB0VPKipp/pJfwQvBK/qZ45Qr1TR9sIo91rNoHgaWbioMPI8dE5NNWrcMS5ARIBlleQ3yRJ2qxCNFJKVCxdAGE1zxEVdjBXfcL+nMOJBPRDCKsB10EKFoUkK3eoKr0QoWWQ41iOhmvIPtCbS9JBLojiewzTcKSeHupym3n5ESPO9VjUIz7OreJJ75I2j1dqRedF6qypP8eWN4kjj4LOncBtsYxmXvkoiOtiXX/7+rdHYx11sT55R9uXuinvhOySDZSpCSmhD2e0x0ds6YBNIK9UjsIeULtkN2Fc+csDcLcu/+3Hp9++f//+l+8/Pv37BD4gagFHG2byTZDLEaDwMcnnEuNiQzH+BU8hmgVoPI9QEQhLmr1euNhivKXjQmohTdWqlgIJ3l7KC5pkLh36p21DlxRJL6vDojZ0EEWMLwaCU+OuQuEL9C/vRpHmVD/M+pFuAm+y4c3Z/tphTbAq1+AMCspRSjXPKbMlC4O+O9EbAtzwFr55DqpfMpiI17r4jdh66t/gGX5A3GDjt2umSqC/wc2IiJeRAvCyauuD2XcAmFo10sx5ZSivPEWhYOUZ+Wzo2IiKUtJREhpagUWYN8JuZjG/sTDjjHdD5Hf7u5dl7Qg3qqAPJSMGuqioP3VUbSASij+x4sk9oUkyl7KaJIUuLYJ37CKTZLin/ZkgFNa3kzR6qjk+HFlGSdI2UZJHbya+ZV7DgEJ9BWHJ40iBcahYt+QUXqsGKHcfEC6BVyUdro+uhub9LdfP5MNKtz2MN0tbGWH1/2CDxGwwQxn1gdBsPVMiw6mYiq5yRBNYhZ+kbiPHdLWrff9lX8X9R+VzUpKjB9WlW//pGaINV4mLyV0aufrU9Bc6g8hvl/PiAGRxXm2kd9hB/9lQ/MFielucb1QN3n61fWB75VpDG9TK6ZNKqeqT7hoYU9gUR4/OCFvJL2uXpQ8TxcVEs8W4e0NAeIJsbFgCAWP15lqpKoJZvafWq0ZNzwmzQugd6Jk1adazlw3RrDKHyjeTiyvUEGRt2Jk95mUkAqOCM8vnOL9Qr1550GckV/hebHTLIWZ6egPmmMoXkPs2g5ONiWkaxWDF25mjfqbQhaY/7lAEVwUevdcXxLHZVDtRuI5uBCqVmJ5OiYjrtnYFY1Ju77TeA94cK+Oup6GfNLDE72PDXB3e4LuBA22YX8NpHZpJCglyRanVnz0oopQ8fawGqOc115QCxPmAZzIQzSAiKlt7PKxfbdAD8r80NVWV40wCMW6prPQZwEjNYLQmkXoABwDtfrFmUcAzq43s+qzsSYI1f+2XGziPLJi7MyvSSN8fwMuZsWAURGR4PUfkI6obV0GfhrPLJJ8XFC6X4hjCwP0I1DpObuW0x8+r7JcXDgX6bg7HDq4Yz7JTazl4cVvhayRlTk+BqHryvWdEYd60A9Ife3PuSeTwXEUYqZnZtcMUoTNpeB9VXdYGjJ9oJOXRWL/2X2DDbqpxXE7Iqor+cqzHRvV3selaVBXtly+JaUOWDRoWqI2ABrt1heXaxDaPDdLqZWjQybD7Z204HuuN4KAnqVUuk37uaV5KjKdRybpGXbApakw0/vcfn+7TF/M4lKVxhWbdCUOBQT7UByyTVSrsTuJrHhfwCdTvuaiu5ECPtaR6naRyBagbuBm0SZrQvuiOeDtZ+HUFPUfwYZj2b14s2WFLNBxB+UtXkz4+01Lop+mmMvbfqhrE1HOoutfqGlvzZp7YlbRWdaDxzsvYS9hy0iiDOrMhJ5cHIf9/Tnh2k2bzfu13U41J23GN89AWst71X+9baP/245OsK+2j/f79L7/+9cenf38OEreeQ0d4sckFY88AvYINtNo+J94cC5Yjwh5Bwn3MOLhstzWKf/SdrGpxdYcmWnCNiB6ABvXMYQSwNvTpBlZ3vlZTGzTIPfjc24FXglB2lrO2MmHQLiuHAowd66Th5jjIqexqXKP+YZ95fWgK8z31iy0AdVzali6Mpb2nWpyTcqC0CIgtDcestfqHn41WOLd5fHltCPqWu3jFaDmTbOjVpSn50BWB5VFxWkZ44v7jFIL1vKYC2RGZ/1i6lMjeQg7uoAj26DxIZoOoEDVyNZdGe7XDyNe69yE61sBSW9Umy0gzRrzhPPZem+T9XkSHDiE97VAkYe7NJnmOLHQ2MUrMLKneok7WkxzCLl8pTdWdpMoJZqWoxWMW2FgFxnMtyRBGqwii8zqnXmW7fZfTXvXuLbxraSu0pRzQDykHaj/D33qjwWD1HIa4JZGguCiosn4Xj1mmoqrRq5bMxCzRErQaOZxUT/0GZK3yVtryNQd3vz1mdynJVaFI9OPYbuQmMD/TatZZrh0KSApq3tHWNNkFCGFnMihHfd0BQ3+OzJiDukammlZTuwWfFq/wHIdZwn3eH4UO0T/UVPhlZiWejAQlYcLYyIrE21m8b+C+ktQ4eH2ivYHkLZDMtuJjkgQ+28aqGzJdzLRumENHzrXS6Dfy+Fauc9MEzRQaWIQcnpwe8XamOPhs1YusxGL+Qx0y3Od+TOH6Q6pkqWOoWA9X0bZ0LFCAJAFyJjv2mdQ6OQMLNt7SqCI05Q6kBpFjS+k+9P6SHb50y7Qo47RWyukBksbM0KNo0AlgKDK2lFyqMlW8AxdYG9JLbOJJ1pdqvMo5LcpVAmdOVTvBjYWAMf31TD/0/V19wSjhQzvDQ6ixPWX/zBKlGtkSDDPcuXJKXXjMQS+Zy0pSKrMa6qJouj5VaFKrk4p9GORUHCATPaqcJH8wQoqxHurDgRZSu4zD9LIkdT2Wec8mfnNlh7bBEInvuXQg/+Kzq1V6dPr16EXQRh0TGLxWYVB8bJI0a+MMa8XcXjdckzyP+gAz50khxCtayvoc+DKJ5+hUqcmjdBAM7M3uPZ5nfP+DHJ6N3YZX79xWdi9d0hnleY/JRwgKM1uGKZrsAmLFf+/lmVUvQCxYH4rLS5KAksoGR8BO0Gg1SUCPF2TpnVaP8zLReXTis5oI5mhK/k/K2D+TgJlCFabcqgDYVRe2WzDpnkeAyHsbWqrawivhTnt7ZmPukl1CY+P88cKbYABgHDua79QgRmq35YNs+SPqgX1Ki33HtOInbK/Iw5jrcbRLaQny5xpPwSQYv7GoZBmtkvYecu+7Rl4Y5UDXbRl1FTs8hsNM2G8CVMmKrwuUk/9QZfdVkrGpgN/6/GqPlnJwpnbernf8It5r2PyjHhIRBatB+63wiCJJhp22EPdFNdOZiQqpXXjGRyNfRav5c3g2Nb5frk09903iQ0l28mwysShGw1NI+yYeihGPL86PMI+fMdSwxqyhGOXDFXoB6Vaxcvbg8SQ/66ZDtOhx9CXHcKCNBbLdAXQ0k0FUj6XkTx1OzHT1MoDvwu1kXJ02IMF32aFixkJ/+3hnraCmZOlC6jo7d9Dqbx2KRw+r46K9sJ3rb8XSaLiOQyoJrBPZgEqh0hxTskMT1/K4NXHisA+v8uPVxiH9D6gSf8Bk3sfx8MwfImYC/XhzXUUqUSTlgY9nXjC2JAZZy28VMET9ByGuKjExWaUANAkYQDp/UTxMgWgFoKvMowhT5lEiytHuxsZBPY6tAdg/jLfV991axPCToq6XC2hYhJZOLGYRHtVZ76B78S8MHR6IBwF4M9pB5pJAEVm99IjuNwdCWVojDJamU13P5N3J9qL5W1dFl4LNi2MSwjG8ZiKxjeXvbVuvBPXl7PATiUjrLdzMQci7YNmi1BvBAskXs4uqt+A2YjGr7/9oCQP0YamcdeReZk9kUn+2VN5Pj/X9fUn/IYMaxWlHAvRN2G5CB8Oh6CeFKb3ftxT3gmOXXUR3ubghk42MjFtv35RdWe9HEZ4WCd19UXkSReADe7pq286NsVrZWjc7R3AQ8JWAN9QNGNNN03/5QmMnsyfUS+TEfC2mUx4Fx2+//Xk+JV019MUkd4Yom/Xtvn/9PVkyaXb4XKFjUedxCKHOkoBhgSyp+gaJRmXWgli2wIvM1MgKmxWqf789vqQMEcfNSFzo9JEqwDNlDWCuzj9qF3eKNKjs87ya1gCTg3O/BKgmYfn111lPC8WYKqJDj5cKZgVuwVYZ0O4KoztBOX5Yq3OQPOkftybrOumzCWhEYB5sD8Ev6ysfqoh1NKajmb0Q0N/1aJg2ajXBVpSLOJRJCwpfGvePGS7eE5mVGWweVVROX5q5bsMcU3mTcdF9DVCRAi2vloRE+2t5MLGWuG6Ha8qKqL0EMquxAWyyaRgHz3gdbZlrtEeoBlkg5jJgB2xqOIAwh7+huxAFHcULtCWqR9s9UNh6pkuO81sWXPDxqjZNB2u/fPuOtLStJD70hz0PRgEpv7GTsl/Ygk5bWxO2574IZe/xE+1uBAAfJkFu9SmBYqCj3DMsavPPwWVXw3h4l+1vZhTE3T1UNkyCADbVbe3gkb8nZyu1hI7BkulwNt0VV9Dslyroc/ZH3MfYTKQDaVlRnmMpPNT2sMxL20Wmk2OqDzxuFOPxSp8oI7wjoXu6UwPlEsU/RpCXmXwgWYZ8Gpn91Q0Cz/GWfOuvkjomKY47haXYRcF6kdts6nOwStiRm2+kFWinJ0dhr2N/G7N4c77WxETJdQdJFkxmCHqD2dQRSbWCGK0HHnVhnypUrokU66k/0T1Ro6AyjuOB8aR4r9XQWEIhMe/qmx+iYdPmYYuGz8PS1Eqx9mxyIgb82IDpUlGbZlhshdI38ha0kiZrs6jncZmu0ZnsQY4fiOSH8PE+oPkPLQox8httxMTPMR6uA1eq5tnuj0UR8A6InnHylDbV8ajdgUndWAnZBB+VR6kufSJsIJlhBQMmoJHPU5N3ucfa4s22szeA1CGZvrfqQOtjHgKGbw5JY6wOSRNCUZvyTfGxjXhXO0/elO0V1ty0/u9e+FirpFfHCFxB3tGbsdkwE1bNRJOwoU0dBTlRT+64tLunDKoH//Ae7x+QsjdVcwuVw95ORjL1fK1nq9tPPVozwmm/cKgaW7MW2EP4vCiWXhHjSUKeFthxQAC3zKJx2GomJFb8FEdMNz0xspp15uGZnmnLGsctZIzICqYBjavPyfRaKp/jaQb/BTNzs1KQEl9Z4ypV7yquFCpx7Y+nxUQ00st+LCmo1z9fFQ5QA/JQ3mphM3+SqiwsOaiMIOjLHrWPzh49M5JjdPrnMPDUyPwhmiClJptaIRmObpkyjXTTc0Ce5pTPsWwxR9lR0Xd9ctkJGItwsOfBVNHied9JDRYcAouruEL6gy87K5YWSaRNv46iZv2Iptq9cqU3WQbJtW5TleMqEnXTqD4o28PyvPe5fU4zVrCLdFJW3XM0H9yV95s+M/cnER0hfFXh5gAktODebMF6ZHLPXkG+kYzLRng+QE7TFNuWHAStRH0O6zyrrpWKOOG9ULlG/yMgXKI3W15VFkuSimRjZuMl3wAZahDIkjiaj0Xx6H6VnSVVWJ4CYyAzIUXoKnuPvUIJDRXZTGOrPuiri0McOj7wc85ySr/jkdGDGEh53cfO6O0jbGwgYaIUQYfTWEPjy5fQhCcpQa0bCR93yPPVZpG1fem0daiRHyxZj179owr3+9WAy5n8by/Q71GrvdIevEFFZ0Vmsmax+i7Uu63cBN4NHCg6aBTogXsMtTGvDEeSuGSDmOFcFZg4IA9l0sDaijR5dEx0X7tchaP3mNMj+aotGBuWNFToKiON2LCkcapV0xTGbYvLrwcpye6ZvI0oYuPWmNXv+BrycITwvLlzQMoIaMuPUg3XRQ1LA0sfaQVKRISE4iXsDqdjdeMmKTT8Eg4OVMqpulwzOizZPKdY8va5NXhJh/5rJTEKGsNr0r3qG3kW5bYDtRtFosoBn9EMcSUQkgwTbsPp55PdK9AhmO2KoIJMuyQZfuohrH/7qNXIJF+tH621qVUBaPz9KUuNL7OmImpbt06oexMTxtAQv8eU4W+uTLRb5tauM25aPC7LoBvoIxqSo+D0TQXXyse0I793YgQRy/wW6RK8VntzCgB+dHXE/wL0xlegdnQt9x1QUH2s/wrK67+/VtP8r8br+cJjOAbuXcm/rAtUhcrTmFYkNP0hF0t5I0oSu4Dpu3DyQ0NpHsleO3AdXJFoY9in2CErBGA8cH9dPf3M/Du+EFCXFdNwL02BGXp6H7wsDgmsENf/fYE2/B0YxLjm+2pkDbmMpifaAYqtZjMfHQkAwWnsjkJhFVgbz7RxqPSfUOA81+WioAbzfbkt2vpV7l3kCMZWnTeViB+DZKMEFbnJWJpZ0JdivELAriERLQ0QlBIrzwFUWHoMa0uM+GoVAZUPS6Ze/MyKvN5L6p8WJdX0UOCgRnyFQy7+evUDMvXeInL33sHeTJolrJuvmauXhCkEikG2FGAWt/z56KnJ2QN5I906+XQLf07s//brn3/78+8QyKxbjqHxVHzkfhS8NDtf5aKZispJsXfyWoWxic/+biFQ8GEDis+J7juyjvXA8/cj8b88INWixs2OXMZQJ0g1r5v8zUJHh+gpwZyyd39I5Zbkue4whDgm1c0Mc6Te+o5JmdV42QfMop9CI0We+oH302oqpN8HQH9PcaXXKHTaNhvWpIlSOWgnySfubLMmIIT7sc66EJJV13EZFzWY4dzS1JSkRjVd8ILUwHC0+NN/dl3zf0KcaTrW9Ej8L+H60cusQm+Semquy2BPpNIr44yM/SBZi3IUQkB/zg6YbDUM/rImqc5YTwG3TfdJSwDK0hx0Y7J1RvOdhtqSss1xIpOQJ/cKnThFZGvbOBkfU0oGrl0Q+wGHgCoOEC1EngvaA8TEn6uMFm1zoF/p7bOnDlmztMM749vUZny/b3Pv7Urb0E3qEn99nMsqFHCnkGHFsVA29rPtWwMKlxpBVbfcoh9Ze1gnFK0odHYTS7gfn6KthpwTHprI2CNgQ9FqkMcOiOMwBga6cWnNtfSHV98/kfmEF58w0pWQXiO0Bq6xpm4pDBRfCnOsa3aWM0aql6uKbMkrayo7EEfDpLkmalLpC6ooRCs+UJNB31P+p6xjZBHNXEPtrJ5migkqvDMyOi/d+pHlSOO5hY8+VepDCIJLP1MRRBandTu+yLY5LmEgdYNgHDneYBRek4Kz/QYboOR9LlyChV9Wx7E/HD4nAdA+CyM1aor1vfgd9i3Lb19/Q2GSJQT3P+d4IjYrlrkYPpbdzp7RlsKwp85uf7TzEegnwSYP4FWzIEbSTuUOorZdCbbKF6gc1OPMB/1qu9/zBwSisvJgFN5AU+rYfOIB+K6m3h2w/ycmpW/wyFJG3Twf2fXXXzCHkycWyW6rz1YThnqiOOB96iLwRFHgYyKGx8azR9IEwhlKdLdBLwXgfuGkLFZXt1DNluScOHZ2uMXRhOwQCn+2bQxaPEQv29YOBPSsQCBt9DEt2QEvSRAkRbIj2EC7ZDpFyUx71rbRNFsTuQdtMxMaU81q98bBqGlp/e37C0T1bRDsuT81oxwN6PsVJ9eoQmumacUd0eNv8pllKHv5r6HONFOfWvAjYAFl912lIpR4+cWHpVu6SQ6fK8ST0NmT6N5x0jjXcgQlwKl1F4kHICTSAcX+AjjKmBq9qnHAUdfGvxV52HCCAg85pEhMunm95I+bv8ao0go/uAe97HevODDA9NhkUHCWY9UkW0b304Sy9I2wby48cT9nh4UZskJ71Mwz4SOKYDX+SHSC+sAyIud2gQi02DmwLWK3qlBrQ9GlcWnzajB3ad0pDvMG/ORQ01qegGD24P2p9JEHdvvmrKzaWpsNmFnDJOkh23+w6n6AmH2EpiYfAGL9x1NodfRnvX6BWvzEdwcpWL8s/6xYAOt6qCJ3k9u/ETqktHQhW9JUQ5QVvGo5xo4W8Dmw1jklVmi2wxRCuSwqqAFF6At8BeBZJ991sQln7H0l7bfrcjibXKkmRHwbzNHb3BRS+ynyd/X82oXw9c/Ub12vPfNx3yz8kcO7teJIopWu/j3nZ5nSBa2QCdBiroQ9WSqlCcTIx74o+qhhDAWeym6v9A2KtwrHbW3e7ORl5eV63hxlx67e4ypdzSc5j9wcz2hdqoOu9SYYFyWlNEnZt5FVfyyRrdUE5l/GOiippZbAnh0in8BembIYpaoKae9zipVphe6aU2+eZlQV92icT3XzTHfZcIwplx1vUeVLEgqRvajurMbp5tYLx74DlN94YQU9G9nt6AXAig7BRIpoTusgRp2hiZLysK0NQKhkofVRslp7VgTjjST/mBDKsX6iuzK0zMxerVrlRk1gDcoxRHs5+1N2rVRgH4JfwcwIyyBl8BQas555HCpTe2gNOw7D+iTZt/qCafjiF1zfhxpe8Xh5Whpi99PftWHOBwb7Er9O+XC6Qtz3Bt7ZkMcdYvRsJmZgOmtVtnFtT7OP7lBJ2ppEzLcwW5UdsFNZdgH7FzgsTX7W3Je/LxCrqo7H6QGy9nac8Yaq9pOeAom7930FMtdSHJVkDpkKfp3kKXVRY2BAIQbrxOPglfN6EyOhXispEmyelytR3bAmXYXY5vwODfDEUn9tSZoTW/+qVbMReLFqUGXruqaEeS93vyMmxDeRTnbEuuI8rd62ulIOCHCJtSMJIFpz7TJ5wHIPTtSUaOwzMg7Rr/1xAVqD6jRvp7vvry9MEs7rInxovqsAUHxfffrMQHhmlWlIJql1FZkIBSMxUKvNTYIYJ48Z+cgBw9olbmWuTrb5Do1TPZlaeCLmjpribpNOCRs1q8lpHZK43PUKlGFoDQepLIulcoDKfurFuslByvqIwip7zyrwQNEaHfnatoE32cw8O3YqruuFq+aRwFTwQ6J56EEMf/v6/d4yk0m2dX7SHYIqoGPtRRLIIiQ1P/VHIlSCC9Kh+tcCXIolqD1Ahw/Vymnf6rqjBpPKOv3VgbP69l25FqvK5QmbOH0gR0dXj2qoBGpvF+8GsYnMYYGNJrU8xsgGjDxDWn+ApgLeqkv9B2+TE2+V7DDz3tQtw0VjhWJgz1Wr5dVKtmW8o9mjU1xj6xCdxE/g3Y6ZqS8Zly2IzJDYdcxXtS1r9ll1ekHYB/KX19pEADeh7HlQmHBMxIH5UjvYVbIZhyqoQKj5kb98ub/gzqtEaoU2/jivwMn5WU1/TzZ5GPtaWxPiL8QfcnnY9XxKb78koQY3KA04r94eP3z7S9TNuhv7apVQgMhn4iCWMQd/d9WndhkcEq8ffZgl4TtIMWSDCuXxVcDIowk3hkmz9EgukSdSLWMPTecsfiTi6VUs+K6xJ0/6qmICEdvPhbxFF7ojrN/oDwqrmtffGeTIJ5UEoezlHkgaHcbwntzou+TWvSJ7E3NQaAGp5rTLOl7j5qEJL4TfGC//TYmbAGaxjAEI1SxRVNDNlYDDD4su0GpIcYua8dhfjdfgIkRzsugqp982FUBtX08OweR7oTunb2cDtEuaCd8QkxFPGeGXqdg0T6InHmWl/hdnYRF8ieIdsy5RNcuSrWRHooN5vnKLitB1EXocf7IHjpzmFzo31snGniktDrc81FKUO4Tn/qBI/UOmVRZKsHMDHo28iQuFF5AZF5LRMkHx3FLNG4EMKFTsWlfX0iUgs3wCnis5BhsZjfGczTTG0qiEooE7OnhZrcUwU4ds59xEIm9GJBcdlD3Ay0Ts23NS3pHeB1VgWo4nuzOpBqWrVp2daDdRmkIf45DSIAQPhOjtetUKpUVraa0ZWS8qYd2TIRMH5uPdrgaJUunIEWGWQ2VaBLrhVzSL3fxGTJEzrSZgsqkOM8vfPDJTWzv1pqy32okn5qBv2Bp5SDX6kw7EZL4c7feUPY5zdK5fzG5HkvCRE6uxaU3JOOIgwf3H8tuv375HQRA1IrHWWsm7ymxjqOR+M1Q1lVNv6CCvH9FCIibb+l0cxE1hxsRqQuTFSVDv0fSeqNAUPIjBmMdNuj1Sg9U8KxEIiOsIeF53Z5Y5P2Df5s4vfb70MZNVqgNMAsw+wGNsy5fmuDyKvb85Tt7Nx977TDeR5Q+1scx1LhlgcvSb6yG7VFIp42S++xClwhExqZgnbbpKmsxTXQ51VbmTn8I2qG3NkfJd5j4RImKG5OKMBjRy9u58WDzkutjvyJFAmlUdiD7sq6Yr4Jm6EG9JRJ3+DKZZ6c/qp4KnM/e9tgg48W76I4jIC+Vf9VP70LJLjmPDW5pNyytwf89SsGTl57DMY3XoTcvcv/7516xtUg8oe667U4/7b1oHff/6+8u3b2bzZaw+T9kJjScsBnj4JmcaCSY0cuuLHvQV5f/r3FzB1+u/3Lg98VNqE4bRKCWDnChcojIYsbVqtiHZaX3sbm9mUnRWMfp3ZhSqvbuVjo8OHLks2ObznbkCajG7r6WxBQ0k24CVkipeUu3vepQkozwrsEcfEBcKHBIXl94UukFo4ExirFvCPzzF3i9wSMP6a2n2Uv/JbBihs5ezPj9x8fgyhDch+u07ZCXgpZuOzXtQV3+lfFwkF885OV6b7FI+XUMc1MVqUzbtWB9hvmPyS9KQ64HaolZ4q0eyVdQlW66RbaB5XmxVOHkylRzihUdDmWDwhGdBf9w8fsIwocPkw+sCl/kC7zrlndr4zG+/JkX3cKrxf1vN6o66iz6oBixPnGZxEW0BPiLSksOhwqpyiFGhA1RNg2S+iun2+kBjp+34KkAQbFO0aFGZm7NqVY4hdMyKGUM91rPXO4DVRQqmzo7KzWQhuScY13WyzQBnUQrYfbR/6Ma6xFMeQwo2fFFHo0JvNeuTZSwgrrivN/pgIsrVEWzpJYLxNnPbPcC7BYmfGq/uvHXRGletViE97rmDhVQIXRivan9VqNQPdf2GaqjnMG2j9XvZtmsX3/AUGxWnbDVUhhiqa8ThlXr79g3GnKvUerkAerEOsnzK6yh/2N3GrkJ+Xxc43wBZUv/6SHojRAIJ11zpsAln3AVTNyKJbsp9k2Zz2DOFhOo6Mp04k5RfpO9TXGX/SOUvNwzJcT825Splr7nfBWqIrB3M9d4ccE31uE8xxKNyXhoxeGBO7BjiCeoNyavEBly6CRpj+CdmT79v4CUArJ8z3gz8lYiSXm0HUQbJl1QfHZJD5R7x/h3kE8nSrbqi6cnjkTOTQKJUKgEZsf4l4E4p1yvCpzPUV3JDo71p8hZQIAF6t8q9A0aMWCS89V0SvF4hqSM8MGk8QeH/yung2EjlqJRXtJmBKmGewBqQPPj0q7Q9pA/bOWWMw76bTDFUyzpOqUf7SNnwk8cwDZH/4Dgjkw1fQ2BJBjKxPE67KPvSy5GtLgKqK0A6amjkxEUI4YQlyuFFcZIb6jk7EJHVq3XUjJfVWXw/vtnjylbSnZW2J6gxmpOIcBKizPtGr0kwfk7E+uHR6v43mz+PXUpziBzVY1yZ3CYDnzYFgDUc0jIn2U8lZnbKgOLmLfuOr/uXGMlqRCDQUHQwjo4H+pMZF6S5ITRHzmpSNuNW2LL2fJ31HY2paCCmO2xjXkhb0k6WlHWGgLlEYzsSKOzOCh2lVx9pWcVWaXp7Xmv1RAqtbSKeyEDvVWBWXi3njYSlnhKACv1B38RsSQTafVI7S/vv/BAJNWHVJxAqrqRUk9V1rppBYo/Fte2qqrnKOZP/PR6R9hClCUtU/rS+zkYNOov6KGZzCSwsG0aCur2KjBApCKbKB/aL49Fs6gDsrYLTfl7OJKRlLgjkMaD0Trdy7SfR+tiET+LI4QN/ro5HEw4WxScTQNlBxcEhGF+9Nq19B6FLxVkCXTlW3WeJkarN7pgunKWWsVbcBjwf5W1cBpey449oVSg71Xj1MmiuNtoeu9AtXSscUsfhTwi6fRO1WWlmivzPeuAjQPdZFFr1lsRSqKLR10aAjHkO9wWi8TFMGBU6bdubK0Cjqm9qbqo8AAGawLDmQAvEjuhfQzC0vQRlaztw+4rlSuvbw9nT1s9p6dQd64VGcN44SDR9jDuSNaHF48ab3/3iiGQ79QNwbJJ0y3q3gXRzRSt1TkLGZbKxJE+0FJGjjLzoAy3o2cBuo9veIKlxXU37YlZ8sdQ4EovlyOP7q87TuHSxyerYUxFQ5xwNJlNEB4fmUisec5Xy77vmGreOdYiDqKzDEr/XCVKT7rhUvldP1Asb5KDupnjFyuFQDgOSPzNEV4AnABbsosGitixT911qJ7MqSecm70K0u47K9Waj5QgveDId2POVndJKUJYvSePAlcwyqNhI/HH6bKgcUNMclo4qOMmbSouCKTUD0pq1m8O608OZOhnj2et8Ey4D/MIRDc2hd943xKuPvdluWXVSMycZP+qrYoUsDSo82ifKf2f2vtRkb/1XX4kLiJNLmlYdSKKrwA3fLpfSswH/6gmZBB94fycAGY5xfI8OkUlbj0UKYKJtbwaOMcLPZfnltr1O3Q46qygqzzp0vGYrKJhEQN2s2DUpjDJuWtdBK9NMLsgUYrWqf3T1xeeeF6Czwqmq+xClfM8tX1a/ufUoRhGKni4bododtZ6xfFNQO9H0Ks0J89oGKEPx96W3cy9ZQtdoyKPtFPMp0qtMEuKeBuKeqpHQIu3/7TqKlfQ4j9Wz7BnXLEaWNwxMIOW771cpzR4rJAxeNwZJ/LprIqurEWhWsL9mlwk4hvdfuDKTkpDPpF0UVbrwGUDF27IODNDIi3oXOxOlAIIL86zNaW+d1AsI/uVYv746oPPJ72KR6GzbDOXVVNQ03rE6KLEp6ap/D43sXZ5oEjlZcLR9Y47WE/pl8QweT+GKu/+0SFnnKGDZdAPgXHHNvhP/WDVm4TNAnqXLOqsuWYOMrl2zoeaLRNHaICrNuizgIvVY9/7O/S7ZjGk4dJPidJ0Z1KSbaitUoc/XsFUDEgP+W6uWolld3+jDKLQrKI4poZ4mPtVsfR/0r3rIOJkyIuyCVit6l3kOotV8qmoUeKE5mx3DOHtTFbS4WGNIZyFwwGnua31cMDWHA8uAjvI6jCX927zbV+WKY1ghB/Mz/P3Ma6aQh+hnkwcHYS/u96Ef5BGZjr/9movoQMNX5VRoYcMwIzEQt0mrrahKj8uru7umT++8tDDRM6v/BmYV8lk6M59Z23SRAQLIisMDCsJMmDVE8JR1cCgIZAt0tJpr6lFArUzJ3g62qHsTFtl55zGYQyCyDCiNUDQOA/Xsl9+kqMy+R/MhDq9/4bgR8lRYZiFymrNLPZ+yAK2CsyUEC1oVzAVGHb+6NF4e7dIamoj/MlsRrg8vAeluXOTJPB5Xm4XpEKTU9HWml/AcyTSZyWMhddejqY/uCDMZYjaskzBapFqL68kG8F+XogjKGwWv0EFUksKky8IyNRXlD6rJkVHBViYnWdUewUpNV3mGPHm1jGOlFsHZBWIS5c48X14lSwxUhRim4+Uh780JX+RlJQZhbiuP3ZUVfsjvCt5DW/GqrCE16UG/s3UoWoeNu4ernavdfgd5I18aIGJXuImZ1/QTCo4+HiXl5qjzpeSRphIlZdSV2AM+kmwHrcQoadktbR5VdwI4VekHhbLTgH21TimJ0xL9yoTAlGumKYBaCkO/4wl6ia4ufjzAGWyn5OtkbaZz3bYMiQUOS3O0nHAzvmltTA2eenOsG6Wi2kJyj7Y2Pza4L9kKk7TzACLRwvISl67KHd1v8CyBVaZLTTE+BdaklrxHwJ2ajeltnnBj4QnrhYsUp6WDKrREn+DoFBKcppZlx34pTRufcLwuaQyGQ9HKnlFTU13Ok2vPPagHTyaallO/jJ/FLNDiBCvusyg25DgecECuI3fK+FltQoljrZWOYboNx7FwM9KSiFM2ldliweAIgJ4REjXmIb9RzAZG+dSXayM9rlQr9/o9boy3ubZCxq2eSJ+j99QFX0YfqZ5AExmv/D8GjBxCAxF6dhCRI66giimrAlQJVAXLdBI46F6RQiVc953UaH+kyAGx/9jCSnwPtDQbHJFt3Zz5Elt6IK8iuHND5ziae2Zd4R4UET8IejHy9s4nA50YmxwtB/9zHbLqZR4B+ENHDCxr+8L78LhqgW3inb8zDjhQ381JhVHHZpMkr63tVyf1KuoIE8QSBnnGAHHalRpk8RH+AZzKD02jYgkdwcUrlFY5u05RmSc5bqI1SiPnedFIxObfvdOle9EkpJhyiwB2tyF/8qvMlUh7CvCLdTd4ld2WMZSY8WQXFBtRG8ROwLTF7fI3yZFrzfMeH6xbE866u9GLKw77VS/dfCCQmJRlDazAhVNX/WDr/1rPI5A60rYqpRDZN47fqoOyFnNZpZUlUO8tdJktIcB7q1V8LEPHDdbgp9CCdLeUE8Bt6BVhghhfbFe7A7y8muaNThSR3Z05X4np+IA+gNNgclblB34LW8RKtmkon/siEJjuQdogAtKZMCSthDJKDPpC7y0amtzfAq0s2aODOnaXG3c0lY90RBZvyhhnBrp8qqu9YGI4flpMywEiiPjoG7jVT6sJecRN7DN+K9BopYUI3s1Ed8hJfVUoAr+ZoyJoen66o0dKb1QO6UgaNSPFpmepgKMt6FGlsOwISCzFEQ8EMLPwDKza4aY6atZhlxyIM34eh0Dp3M9TXzvRaYgLqn89y7FgJkCxgr6EF62fParIcvdy+N443EUk1Tuealk78uqp6Pdle3Law+fBzECIBj7ok57xNBuHwLGc5dDxIYFbbZzMYCnB1zfj5EslFa6Opiq1cihseBotwVTnvq6oquWrCFJxLmGQg9aZW9NxvhI4jM4pwF3AQ5m5OfPyjUtDOlG2YH8rErFjjkVj2ouz6bXJqnZO9ul1cO2PJ+qEonApds6fL6HZNrR3XSsRVw/bN3fLTJjR5ux53Dia2YRZT+E1GaiQghw6KVHNHvrvf0sSlSSdmA0Nq1X91X6Jqq4oHC6aAYSuuGpT+la5ezqXCMbszC+jGoi6Tv4bWfJC+Jet4JxQoz7m/QgrLeujy0uewZqLYi1mxQ9vWpUq8EDe4hSu7XcCVJBBZUnNp7eCa6B7J5qjrqcF4RUdNunUjzd/RbCSF6zT2mO9wXOaJ2ENjvhYnChhxkaKfZYkwVPOAXbihdYO/S2FdFfRGvlikgf2IcFZZi6kDTNUEoe+K6Gc62ma6VWxs7rjukhd4AzH18/Om6Xi1NHFQI7vvxvUmDKyqOZHN1uTT6d3vFj9R6w1qjBNnfbkUlRg4yEyuXpsE10Azc9ULu3QRN3YO4Z67CuyBafgPdmKdntFviGbzDpecbU8S4iYDjUmIqe6v5Gd7RRFv2lMxmQDU3CB/5nlewy16aXCkTBx+3j8v4QciA1aA07WdLmFYNgEe6ri1EiB78TqtvB5ds2NqpmPsR9Hsze4kcryWF9hi8T7FU3InRhqnedBcrCFpZK3fAJXS641I3iYzpK3RR+KkCt2wJd0FmgSg6K6Y46qp9eGoUrxsGq2taEAe5HwXDi7QJHlhXOpnxsym7NQ9rmVEMUZpzqV0HuLXR0zLX7UtbPu/Pwa5tf6XMdRtIJJo2+Tg/CstZ/T7+gmh8q7sud5yWXAcu2el68YUkym0u10QX8pARW9zTz4DJJN5BmrspcfQS1ZAqcZPQ3LImJLYli7tkRAK5qji5A2R9ZWCVo5UMAhXzhnzEAC6h0n6O304lM3WgTGK3kyTkpipXi0dRPCMbhGfb/8tyr6YIb5ZEXpopL1dqgpM3nEEtjLNyWce90g+0quplpS77SsTdlZ3tkq8se88vGIWFzast7MkVp6MalrNrYYvZlrZYd36g74Xqof0/eu/P2Y85hN8qY6Lm3lfPGtqvN8CnUk87wypS1fcUS6vmBoptDC3dvxYlnwV58Aa9s/0UO4Wcjq37Via0xTq7g+FEyo5mrOQHZslmMMKHP1EhBxHZJ40LUury7jlktVT5PKMG2RgbO5u27yTTuvw+Ss45Vm9yraigET5lCYPNVIey+hOSNsE2cyFf2MY6A4dVI5WrdttYJVTqRWC7QTtLuciiaW1erg5MapuScTiNhszxic+G3PC5Pc/Ziz7NzTQCBHMsJcffILRzkFMY8w29EbHZk7hZkcojG921NuXFpM1KwELY1LnDXdaWnzvpGaqD/62lBUaaK1qOove6459vDCcUCJOIPk40afww50zZ0KmDlTnqoH6NUa4D0JSsav4clP0NspehdxLzRtBahhEm+BXhPRfZVpLactAqktIUD/MQmKH59m5DfqziaB/Mcna4f1Ax450A6x+56cBK0IVLdcK2YHmYTgUlajEzcqmweFdVL4Nic+Y30OZ7NDeOcvcO3H8yQxeNWd942tVBP4Juno3OeKxY4gs6lzCNjfhDrRTFndoIEess9TegQewpzbQq4PnW6H5OZNeBCjW5vZq9Y8LdAb/uakYj5c/WX4/xJF2VC4gWmY/Qsup7VIJmbGHN9IscFeRwIQm+MJFMUj7VKaeuCfxv4qZR0blEomjVB+Si3wKzjW4al/gvFXN4doegQVH/QWDoceJrplZr7CemA4BH3aB9r+WP0Q4SnuqiFX22yERhw6EidNmoIKcU70IoFfQmAeZ3cJVa5EbwXFYW4ODXyHfWCD1f4qH5cOJD9TcjZM4alPxf1qzGcuuDF3KdqOmGJgmUWCrE8OLbHRixNstypHbh/b66tmeT2W7Dag2WCVFdGUXLlGp15Ot4raClMiT8iSwA4DHL1Cj0sJ1NH6LMurg62fGUNLP7rhaEUFtEreOxK+Fa9yskfxekvhYNDUrVmTr2ZKVvqhsCc/72ClrM79AeqAxchtsCuViLOH99/KuPa3P62N4rZf9v3e73/CGO0Q6jkLcik4Dbuu//1PWdcvRxw0O8fkf/kTmuJh7G+a7vve4K9/yrjDd1bedFgpzmRK0O5619VFyOHMAZZTNfVag1oLiul+pOZYbz8upV2bb0VEPAXwJAWw7Ccra8unvpGl14IuNdqjjSClTy+vNkVrn9jjKJfGboWtIowgko6mESBkZ+sUh2MfXf9CBwTKqqnKf+VQZ+Q5fIiKOpwfuMqVUk570OXmG1GFJTR9iVYC+SpsCuyNmZGWcYDLDOYDE+fYb3BWdk/VeIZ/676twKvyMO3dQSor1JkUJUWyUDV6RVuHcexfIVWsYyE9Fn36t1PkmMpTMdOmqjpf577ysDQjFafgZOYD4iCyfZ8Wk+5+NzaPRVEFIT3rzGOr6jYHT0LD1qdSh2+AgzBcGZra3DtaCa0IbJ1YbgZ+8YBbFenVRUuuAkoWvbhLXQJnLDcts+0SI+Fe0kp7hKjk+YrDTlLwOMWOWJlYWa5SUTuenHY1EgbvWMkBZgWsripmhNbo55xSPDPvBPEnZJLbQemyd3aNtiY/T7Jx7PRZbsXBTvLbhThDfZIUzjWlVpTVsxwO4F9vpQCt3BlwAyk6I1htAMWmgyKNCjVt/i7pUmFrk6Y0qQzPdWl2y1VbIhZDjvYt+txgLZCS3oQrMW7Wxol427HOqcQ0BVoRPjY3dZ1S2jgJgFNJvOm3y/dcl111nVzqYpi1jtmxNvXyogL2HimhpsLEUw6GH6rdOJmNMfn6GBE4EFFghmHpWK9EaFiXHGF31RzegQ1CRF2igkmvDc0rnodr6yVpIUje9Dt0SEAEde0L9ngHGKXsyAmiilV/VMivIwdRZou3yFPgGftv3AHyTHN8+2RBNp08ozooFTisi76hlSM1C0xr4XrniFvgbQcaUy6zed7WL7BniHFrK/hpxdCqHRaJRzElPdfnc9+a7FvtResENFpnzRK9O5s5MkgclKTSB13XnPIjPEA96w5La0Lpyv616tZTMel72kyRrk5uyQpycXgmK2dZCrBT/2yWQKmXpZjD7Ig4VjJcq2SDQzkUWyJa97owKgEDUFmkTsfDGy6vtGk9g9wrtqvH6dSSJbgSZqPpTn3s7EoyJjwDQLiSINv6xZIRR6kWewfp9kkZ552Khp5nAJvaNscayp1eQHPIzUBwkhTMFMJH2eFpCoKCpf4Rb5RGrEd4uqKEmbGzophtgK2HF4fXa4nnEnQhwwRwKf5BGe+SabC4QjswNgP9pM9IvjJ/rZRDU09NY3v2moKlfNDu1cImRShDVHhSvSdfc8FHB2XK6cy0Vd8RyluOFjkFwy7h4JANGbV2karhnORg3GTbSw/7KUAdMHo7u1ZkPx4x/loFhZ17LsW5oe5cZCIMTC9w2MyXujE95i/UyC8IHgfWfFeNporRI0W3b3xO6zDq0aGoALi9Rv1JM/PHYQ/1Mzt1qwnIV1XLsnquaptoF/NJVSQ0gxun0ZXZtpqXCTJaRI+bD8wGwtO2WJIRKcY6B+V562yMjqMsMweQYD1LVvi5mVe8qJ+Vao7cxmFsnmShhWoOHHtgRHEJZ/wPM9hyaSany8pYsxXV9k9W+Q8k6KQ9Y3NaoeU7QWKJsVt39giM5kUFOGcawJiJ//g0sKy067AWDbYL2Z8ca3v0odp6bOqZJzzjlfXFlral+cPB7T6OfLCRm1wP/ZCtWHKKRMlPJqhS+QbYNz2Fu3LWDAgYGXRu+XMIPMGPzVrNKUm2Dw05bfvZ3lRD5BatKSED+RQz3Lwv69VOlKjefrZaGrKv+6GGBgCotHAFAMnUVAOP8lL5yGm1RxEcuf8C0WcToDXyK92M9KDVcKgs8R3emqFftmyqnYOf5vA5zVwkHJux6r2Wrc/h8VXO7esHDrthXNBZXBoLajmyd7RxNTjsnb1tL4w7Ed/NSsA2ko9OTcHQBJPOonVG3Uk0NwkYN4VQiZPW6ZG+pR4WHqz/96+/a2NbUTV5YFycuGomL9jr1NPCIVGsJ8yBJVx9hoSPHQTWbuBMZHv6DmtO18DkUZHpV1pZteG6k7vfBWTfM4BjrkJ46hfJWSuOEmylYx28y8e0G/A1C0y20nGXcHusJZgI3VI7Ly5ta/bAdEpj3RYkDocm2kp8YDdJBX/eOU2LLg1+07qtdVOcmHpsnLrqshoN0OfBfOjRMIPV6cq6dl2jWN+7Ro0vQdY22kf6W0NYIClTsdaInJWPYULRR6J8rtTwoSYWh7Oq9a9wClXHTxRlWgl5Z5gPZUM82E0pmygZwqYsMEyThifjql9yUwRL32yPA6Ia2nwtGuhujXYCwtljhv3Rj9d01JCyao4AoBOESVWVxBW13bSjFev1GAMXnv47ZtF1822mPZCdeCoUYx0luModT0m3HYTQRnaaksib2QMa86pYIhlYsWRmiSRnUvdqcoSXwoyxIGpC3YtsN9fAQ+sgtwX5Ap6uBIF+JALtM6XkcXRJdI+HGBI7hDaVjVtl/BVg5/lMVz2N4al4R8106ptQxygqDE01IrNvwAQwiX5o7bRPD3D++FOzBp8mChlE7fP77e+gpU2ykOnAoBJrxgVRwwjjjZysIl/RqNv4ceDhO0xP1eWqxIhNSx3+pO06E9McxSO1k4+hmnrTNQRDtuMUwUK51E8eKVjklf2lnl+N18WhhTec5YuO4LyyNfjgh4qen87mZL5gJIhtNl9Ig6tUldn6vtUzw2y1cuZWwIm1iu4lg0/VCyVIYEA1VrbRagujNXNk8O3Pv8ZlozaHgN3IAlrOVgtJ1navQjg+1ga6VbeM3uX5zKbTSUs+juZZpXjQrd++UqUh++Wb9lgikvFP/4RzxpGaqXLUiXHnyTbxea3nWorDIyZSY+2g2H37Nc1p0S5PRDG1BQnEjnliY8LVxw+aN7JV7D6HlEEcw23yuLw2W3vTqb8umS0YjAPI2XRKraTIsOH0VN3sVSTE3I+YFLhkXI4N+hlSnVk3NCpYKBb6JmDhM4fQJ9p4tFsG0l2IB8JRqPrDyfKwJxynMrO+9TyWZzOqE/tuOTu6bdsdiLQB7a4ffXcgczQBNIVo9RnIfllyOxw2iYSl6pTjheySRakXOQDCTN38Wz3l1vqOUmaSsIdTRe6ap2TsX7BjTYw0UoiAxXROmf3Xoo2Hj9mJKMPXXKrYUSIEh969yaos+ia/OpNjKP5dWQjYNT9KgdjaV7WJiIwFFspp2rwqfMS2rMPDXIqgqnqlWK6JQ87Jo3F5A58CoOD1TdL8oWsVZ9p2rdpBoQgOVvfXG1dJeh8gaYtD4NLVe9X+uOIlrWdf11ylcqiATTVpD/1iYnCv+H9m/OAon2MXj1nXgJwORFep4Ex3Hihbs/B2yarg2U00Zu+C+eChptK7lojy5b37SKJwnyP1B7KavLEVCpkanOZWP4yQZ9jCMnatiljmwZQyAQFk08hmO0oyicoc73iuR3lwUS5yYjN8rNwazZsUTnIqezKwNpdWy18qv0gUbJZShVrw/AAYmHQ1uRpuF0JAhh6KkqR20jUA+YNGgBr1Q12iCa6MRWqUmnzxblRs0RCu8m5r590OjHQsjICHofYq7z7X1dzBtvtdodIkfQ0fk1I98UZfU+UpSGBD35OEB08HO3mx+FB5vyV48/ZhaAryC+YqS559y6Lw9bnXf5EH0OamcNpbWzynjDdnA0U/DGbZypaap1nPwJy1/6k1YdejpHKTWme3crwt4xjlshwcOinS5SSdVIJdDnd2KBzt9y6kF3uAh2rk847F6kNDhS8xe2NRjzR2yiMSjKULO2zOcHcCvSW2d55M8YMOqR1mWgC3W0+uh0m3L9tkc/DvS/JBhtf2JCsXLCGTfRDbSdwMJqm2RitIdtexAnHJcapRKnHDQk8BQSImUNFgg1RR+u0S4GEEjjJmY+ZnicPuNORLf/XgEXL5VM0+j3hZ4C+EF8AP9AjkWxifg9TMz7STrmmGnPfALPemo3P0VhyRENtBAR2aQz+2HLlrxqkQWqClPM1H+dDoblUNQFAuFSKJYBKLZKHaDzkmLfnSAalgPbNcsjcpDDOWs75TevKJtCMjxHebzvI5jhWqT1+LRL1EraW8NA0gkh7rvK1DpYcmen+BQyt+6Km6m210ioHQwV8dBYNy+289Q5/gKo7IR+tIc4oCypVPYfHKqszbG5tmaMznOHNuTLBp6G29wzgHoIwxxi8lKm1fXqoCgp4GAuwmYzl/cSjctb18EiQ6cxW+WFX4OnJlo0y2BtjN1kXhqYbDdW1y8JO3Q9L0WzroJe/M3yVvc7BWOJ1t+qWuPk+UKmOGV2ZybHkWzFN/6iTrGK+eui2qnt5my55aUz7FXFUOnRUKnE0U5tZU1aslx5tNy1/4AjyDZJhoLwnpLX+Qn4fup/8qGc+xtrEt46l+JXXPI50xsZrxFJfRfSfqKNtgs2au1dfe8+ay+iBsigkpGqTpvx6w4w2M07e07/G+nqq8PguiHiQ2cMFWxtWubcLr8wWgAAazpfQ6nSBnSumOSjnYt55nDEVQPgywILCK0uN8Dg9Px4pAkls6p3FSRkvxKUlvsGOh4uYjTDumC9ZJo4PN+VJT5cU5yDoA93gYr2nGtHYOMq4vK8Rjkt3AMKL6l1V1o67GH8tv3377zQwTygbs0XIo0Qg2G7U354JsqjVXgM6Y1aOMlFNd1EC9Q4bWzPE5WM44WWb70SG/FChXdMJZZp5dOa1J5TvENl1qR3m8oMgQgaRN3tg5+XI8wmoXGznJyJbp5iXjgrZfYCuVOgxyk4ozSkZr9dPEgKpsPxDWwIn/8SmT/0oCXzvG91LIwXXERYvJ64m69OBw96o9BHNjVy9WmyCn0EbypWT1ZvofbFsA3LjO3GNNdX42O5S/31lk/oIpKVe61ZNpqudAt3VYFe4bMS3gl1MrQe7/YZM37tNKZosgqjIwHlQ8aK563DAFiu0BX/Xo9EA+xYwuPJt43vG1T+X50s11sxrWfaR9Rxq9ZjaYrOjmrV6IeNrYenn7LNHERF59Ys6rE/97mVJia9L7aqGcwRC8iCKDLt+LIAufRgNZWx9twWmwgJnvj/3fF6h4mbx+yD55zLRUC2RogIwyp/2F1N5LYhz48ghFp8T0I901b7eYbdLTPA/Z16+Xy4UCf101X4CuLPr2a3To/Zr3ec5Vf/269hQUhKSq7pK7ElR1HSXvP81t87/2xb/JzTk7hB3hREjMTG/eyxxpUlnDAoQJN9185RC2pV0jEnDSXVp6YP7MtXS7+/zK5kAvurZ+Xcwx9i17Uyeq6QGPQmO+1nRNGpYRQ5abLqPDnzd2Gqow2sAdAiI3xkMVvMB27MIIzVnsZoic8ZL+BcXxuMqbVextkFhrm9+m+4sGE+77wR49TkOo5tdHjJ7Z1AAyaqPlI8vIUYVAbMaXw9LdNEllnVRdZBklfTFjuT7IqH3paG7Ws7rAlOZZdqklm7ovz1OEmLILfALopDufaupXWgkf65OkwIXN4XIvOTQZ1K1UpMbs4KOFqpqOLinyiIatjlgCzrz1rYcDz8/0Z1WXUhIBJx/a9be2lGpSYYRoT6IgE3Cg/HXvUTxCdr40MP5zdbwUJhaZ9MZrf0jlKdFj7mlAC8J8U4MIVjW1rfsM3QN5rmjMW2sgktPky0wuaP9OH7yoV0bRU5VW2wM9riWpL2ju4Wnf3LioF21ZMkN27XHtRTuk2nqg3Z2eMUwCweWCpSv3cxvGHFlpXiGhvtEk4kRWseNSwkweeCrwL0Nfu9qGtHOvmmqsQ2HnX+OdRaLkvH1rgndQkehkQZ8tjgxJi5qyIILvZk6dQeq+ysPyAovp0yiRTyJ5VwJqXUr9dc1kjXFuMx6R+NYBty3kvSRNozpM1yhAe2KyzCnD6hEkWQ8ftOR/Wd0O6q7n9sxmx2+jJGCeHfL5xkk9yDx2jlonIP7gBo2DrMVzpc10R7BIzHZeuV7E9zB7nrkkQarju1dYUZeTcgrMuDHOhNf6/PQ0ZndXnzyV2mRc6aWHP3WSEamjSqbqq/+Dne0e5wqllFM7B8PatgcyxRMDY76VRJp26jVibH6C0oOehRG1JxEi6UO3iqbxCi2Os9pdS5Vb9BL8rLPkiu+o1uf71ocqHs4QAt/ZI462avqrjdeel1a+1Hwjxvj6oGRkBtQClAZwjVrPuPR4/Dxx7DgrFqpIkK01OMxUWRzV5MBGoX77HuPmLeQm60Z7Hgh98wjqrIbwaiMXGcc2UkCkiSsGxMWtIl4+gZtSm0T+3hDN8MLOMimvOOzPUP8xJUQe5VKy2LuxkgPqqKt8t3WfFDa0tTeENMHS+RT/Ob9ZSwg3vYdNG1jDJwhszIU8NKSkJOiD43OAjBF9lqBgKsg+LEfAoF0cxKQWLB+WmbXnEcie22MHOuFhOQBAcpOmSuHfiMlJj0Tt8qahnyWd0o4aPJCvvmyM48Rgc4U0KBTjdZptog40mCDBV1kH9DpoU4dx+/hbc8INzDA+VPSaqFuby4q0PSDXJLqtxhbNp53n/AQn7a4ngPsjisPr79cxizX3iKPVlb8xX+oXioxkU4dE6gZ5eurNBXdKUnWVOaqKAl/3Qi3ZDJAU7X3sjoSexqTC/Iin3+dI+NpRrt6aR9bmq5HndH09Zire49Jr0oBChVfwEZCmT3d+N8plMh9SAYPJUz05a6GCvtsbN1vj9SsIVr6UaUjQLtNJsiHzEckpcOrNQ/XHSjn+8cmBA7tZrK7EWjPlTj4nTIUzHEGzVNRjFpVyzB3ZyZommxfmzc6U9aYIrwIW1cs8BlOH9tYHjp0c67N9tRoO/5T9Jetf/xcrKfrnb19/d+0UZfjb0LHLvQSNs6qNqPBoqvKRX7KYvwP9nSaVEtQwn4BZSj842K1aHX1uJJp9aUMO/FXfsLIdHGK5SRmzUT/qOOvwirhUF1pzRSL5aEsj3PJhyQ1rrFoJOctMBuS+E6gfO6dOwSYVWl08EwBupy4H1Y95jumfo84M/uxJ56JH/FjNr5Kyjr05EJAnKbtVihMfDQA6xmlwdrF5siUKJE4DABs39YxVxNznGqW0DThwsJ/q0RfVgkmq6lfV1oloDDOYjSjch5uwNjqE46iq6/184oala5Kp83/b6wsWixf7FpnoFKW3EXb9ea06bPRlKflwRW3XfpwLKPu4IPQpVs3Mus0GeQMMFIaUmG4jRUdhxT8mTIi3FbHhLnrEBzgVOGGWM0MrIxVztkdVLFZPxA6AFWLzOjpI7CKkoo6vm5tqyRY2awJ4ZGHAMCCuNHZe7DNk5ebbNd8s+9fzSkmCawhP44OcoebjSvGqJqcOxhg8ZOSOqISlnrKqO9IUMqpr9w5AuhSP9cwqA3ML4mFdWshbk41Qj6vWgOzzs83j7rEH+62IqKuTrh00peR4zM/hFqgfyMVA0MjGAjB9HZ8sxt18IQ7MIN0CTj+EYr0Fasvi21en3nPnvmSlYxjLPuhCKQylH3PwQvwEvm92gB8jIFhb1JvdPK+RBHo+wD1liuRnM8f/8oWD2JgASF7QY7Rx1oMz0+xLcmTMdFkGgtsLfwk1XPHJwCRIj8uIrpZfUGShqMvU93TY/HEqmNwRZklo7fYGFvjgiEX1gXoOoSNCY+7tGoYIjLY28w50+Shf1sIHHhTbvWp3reSrWV49VyPYW/ib1TFJkqpFaAdwnszzQq2GfiLA6dgQyeF7s4OxMKtr5TIfiWrIksvBG1R2AaiPSbamt4EeNcytbGBW8qhem4wtyVz7ekEqrAbSgFUvpDZrdt9+dXtA0nAGkMEZEuPoykT1BuhUWo80XqbHn0/r4bi05QjNWgUo3CSb7BFARDaqCpynPSwHJuoiYpKYnaQxvsd3HVnJrGaEZusvcJ96SMiTLPtwIIrA1RGaq5d5Ufc6qJrRWc+4JAm/t/VRVgeMAfatvrN88foAmdSJCLJoTlCvuE/43KDGQZbo6cGQNVE0JsA8jUqRry3Hk0m6lBJ7qg/o4ofGFpmWW3Et+janUBwI8GMi98KuzpuOT3VzjpDOnPCRxTyGTtEXMhr9OLqPUR89GR9aZwR2fDdfu/A56W8pXBvIN0nf6k5S5QDDZSt0Ld1QVc0qp0ZOO8FWvtDehGftAgXV6rHbzn12gl6H2ezmsEEprQUB//vmpCp6lI9JZVbzk7w3xTb1V06ym26l1E5R3n7UdsOPT22fPaFXugsWfpOAspILToGTHr3Nm0h6kTCY/B//8td9HwthX8LdIl+Nwm2eKVgnS+s6bflFe60tV0FeOWHJcTVpOXQNBdpJknWzMgBu/G+rjfTkc4uBJiAoANYnqcB6RNVQ9M9XrYuOOJzmO9Q74UBPPbWz7jzmENJtnDdosoAvk5VSUArHlROp290Utak9itpRvQJhZUJ0KaWkONUOZ1h8VQXFefRmVFhXf1kcvzNrc8C/U4GdLJvTqMwckmyzqMiV8lqtqdrEqSfMYXnm+avGEt6yktQHVEN4gq7i8uaSueuyaGTrPMKozy8FumJUvVcB/YMBtRdA8C2VvOFc/ZMOdk11mcjuXtHtCjKBYhSlhRK/ZWfM7lRT8dZalxQDQ0+KVqeezWxmYjr09w81iU24CSS79HxCd0Ub5JhVsEaZT7KAmr4HDDjAr+CgcLL5BAORGj6VFspLyhactq7o9xNnC8kibG5wv0iauXZv9mCtTkt2rauTc6Qaf4EDi3inG7D2h60EXZ5uBxiWEzeq3kcqkm/e3mOMQDs9MShZ4W62y5GEesyF0VNLJdmXwWmsJGn10aELDHUOJOdobYHqtuE+ZuwQgDNQSxZXUQ1AllrSkpQ95iOHDdNV6vKlzU7LZH7sxE9IGC4nX6FQuwsXolrCApIgn+GGfoWlWwVjFdxhXPX1G9TiKBHpmXFc6omTnc55PEc/UWLyxrYuCDmWGqBuNGbyHLw1dicaYNWK85bkBA4xLJtPvRktoqY9f5kCwnf/HrO5ENidvw1R98F/4uXJvpYE8J0g1gPOS8gvxzdhXerJxqKIn/KI2fzZfhgzXMhtDK9BW2HZ+lcXV7tRaQoTXh66MIXX2iXfUpxC4GQpmIoAGGiq8l7IKwnDtl9wmoZh2anWjdV4jK7BfRky/rk2oWQcTkDvTwoelOT53z+qqhAFd/sL8kL3psTMRVFx9zhHz2DlJnWx8tpsGFJyy17ynE22RGxoazavrLWx6qV6IPLa4CjkqJXsGjZdje2ZMfVXj5/XQXNFFc2xVtJY9c4s6RapWqBW1tm2I+xtdnQsQW5GshYHSSNfro72+8xrksqProB1SZTBHvffpoQuMpLEyXrDTdWA5ci6VJN4UvF8tw9HaOX2yXaycjQpOJ+v5WKqIhR4hI6jXh51pVCGG31TVWFcZTYeBMcBRN/7jwWdwT5Uol7McpSKjhLR8TRQCINv2iinmdUP0KwGgrY40aP5c3QYkiNc0nHJwI6geVI9HqrhQE44TKFh+4hzqdy59kGpZL02zXZ3UDEtZT1kP8B4b5rrj0+ZRHm51fjhPfArGg75i8FEVjqFsrQH6FonkNY3VLidLeAZLiuM/2S1FpF2Vm3NxTcs7XC2KcHp/GHr+7P681mXwLggCqI6nvAaGllkT07X6qTMsod5HY2E1Z7ZPkW0s6JzLXZK/P4bd94ZGV17ISRZ59ZGQgXRdwrIAxRYvpTDVifWRfWxwg2M2y/qZU7wcMeo3jeTy0N3qGHeIRF8Ru7cT8DPH9H0BPiJ6vT4qc0WXlDuehljFT2+N/YASGJH26idJFh825sZ0c55ebzmJlpm9oK6qpWcM9t47JpFT6AI1arKqIQvc2TQNBwE2TUP4pBUTq3T4GSLhVeOts85Uwrv5zp8vqnRudImaMD1EL7OQtnnve/L34wkI7bSRyuNqXW6qD5EU2JbQHWuKsnp5hruUeRSmnE6apCnIk+yglXazXk2rzLjN+NkFim+zLlP7n2ZQ5rqUtXTdIHDk/3CzgzxkT6O+t1bhii+ifOSuB2MK/lS9YNViUbbm7lL/jJ6RO+YD05yLGaqxINtMUMx2JcdbcTbiyVX6VhOiVeOGl2V8CdHh/PtRrHC7CKPK2SEOGHoY8I0kVRIqL3E7AJe37JyHUzIeDeTMOlHZ7h6k7SOlbA11q8mmUFqA9hDdcyhzF6ZRGTcusNh5zmgT1+/10GCj63PCGGeEXTk5kYScFu45P1lrr1gR9rT0NuQHY9LUCl1zBa04xqa3kG9PVZNBTjIc8AdtftJtx7LOpTexQlQKrWqvJiJz3PlmY4fR3BmR7XSSQVHPL1kdTSHreLxjG3hwEiq1OYKyfeIlhanBRR1wtWqMluBE2foickbHJMCtwP3AdQVzI1YpfEsITRODgU5ZlVNyRwwqL3WU2iG6k2x58pzNWTqfyWfdjWnYoPBWumhzfveRwFo67ZviHTSO/FFUtGlcyxWmrAwV/eWGyn+OfhGcz6pvIyWAUrLtZeV+kI5RRPQUTojhbh1GFFiWtsBffckuQJbkYzCRRHAk8sRqlKPK5Rn3w5+gnhtscgJ3rMTLkvUTFrX+JmSMMo4OIvfxR5u8EyVAqUm+xQZdbDlQhCaAa01j8e2QnGo1YRaqSluAz0L7Caat5y8BlLgf4Osg9G2c+7Qci50tO7zuIK7bh1Ftx0z9Gaqo0K3feypWxvg8HmKWRnFvOGPalwLZoWTm9O3tqBDONUZ/+OrWYgR9FDhKCvCxdXWL1GxCDB9KpLEkWa5Nn3ZkDez36inj7Ntn47yECRLCk6pGegDZqe6BJbzmTLYtwJtpAbvLabId7MWrbxdFdFnVlczyEFzDST21m3rEAtdgYjw3Znmel4Q6gGlfQa9F0Ddytyjab7M2l+7/HpwDSRQ92cMWijvoXw3fG8FvOoVpWSTfYRyzhTzyBQxILdJMSbp4O1H6NTDC8QUPAhTxiZPt1gVlnZzb27BqgvrqxhLunxuxed3whDlmFkwRr7dfTq3JPKnJ1G6rgP8KFFREvJhN9S2Ey2za60g3giDzW0Xke9ff4+6Mje+OZayh0oo67cIkCI3KQF6oqXfYL06SFJSZ9Q+bCEs7DKtueulT/uFbe/885ihmd9eUbW3is48PsBoxmZTMPlmzuRYwqlzu2l6JGgPq0KzAMChNwfJc4PZ1ES5eFia7AyfpD5fppP1hJMucmmeF+fQhrw/Wwd10ed5UzHo2MI9iYchSbDJf47V1WDXVjpSmKvKjGKR9Ww9/34cqyZTNSb5XtDcrVazzTjcAqbESgwWyJoiZtPFdhUjkYzGBTqPvVRI+Jht4hMyhqdKFpy5ZC6hrtcWxRnoQ49AOryXJjL6uH0lUOCWdzjxK3Vm4r9aD7UCKhGowaw/HDxsph/Ue80DRlbque2Fi23r+yIUoc+62kxMJKG94P/iQ9p9AIFQvWFRmw9DDqxq7JN5n73hUTgf6rFKzsg7xecgF7L1P09uTY7V/OBNB2JJGvEfl7at48j/quZ5e7QY5+olTCqzJtstHHvbB+aJVIUIn4oU473dMLS2m9CCHmQb/0YXCp2Nx9rdbFrA65LDMUdjFFwi06UCsp+yCWY2uiNwfgepFo/dzjRYUXh0Ld5p7x9GhCC7xU9EngI/tIB39gmx/uvkrvXGJDivXK7o1l3WhtHGUrcwB1RbJz6JOXnQ5WzCZl5qW+Iv6UBzyE5gzg4qdfwuEGsG4slu1qVdtJTmQ4xoKh3EmoG/SmwvzXDUelaunCGmL0tnjj3+TtucPFGcOo6RAx13Zyph54t9HsW6Hz61u9BnZf9apWnMpBh4CSWJ1EQVjCpNy+RLoc2UnDn5F8LfcUhIgmDX+AOm0/g/KZsnLa18sBxJt8JR6mzdXT7PqVUHFuKr9mZq+7aWt667wzLxKw/9FMqdoNToASKF9v/H27v0SI4kaYJ/hZsNdGYVqjoqsrJ7auay2JnTnvYwCwwWiIuaGc2MbiSVxYd7mh/2t698n4iSdI8ciDAGWHRXRriHPUlVUXl8D0n60nJxTV4LZDGaC+hqW0VeiAaNeBCZuqjc6LenHW8gBUtN+7Kc6so4wm6xt+pIubHH8nMMP/dwtg+Sbl68kACMkCjveM9zpafrUM9qU4eYm2JwwJMkwifZiA209Fyb8NXmMqY8s2LFkNGEtrlGD6NaXepXDHKjg4PSo7/7HpGy/GH9PFfgm6MGCM3JIIifvNYTuhu2Jd1lIJkV9dkOALFGjojGS5ClbtYCMV15W5dKBzmaavE5ZwInQ14D+eFen8LUduWBSV6wTnJ+RmDdpyQX5jkV7dTARZ8btURQ0r738pp4H3lKIY9JOTNSRXE/nbZX4lf01t9GkLdDuIwEp9Ah/p/+/W9V5yWz6vAIx7aLe6N7iQEYZKpSwiPJGZpm16xIH60ybtoEqiMUUnn16UHJFFihrXx/KUlxKqc34mn8dWfoNcMJKMVOM4gLbCYuK8pXd25IvEjhs498b+UTwSs7BfwTqbAs8eS2NLkNAtHyK8qlP8Dcu0HxsdcjBCYRsqO+8oG5Km/psb96jMmoEsR2ZwKbMNiv6vLZbZJJttA1MJl2x4FIXVMrJ0voBIMuiz8k3AV8zvT8gxQTeUhDRSTaSLNcu1hc/Jha+LWKnG8wi7F1T99JN/vsb3mZCnAEdjrBY7vYYX1WJvc+Yv1WbJS9DZdTgO13JVXMH4NDOyfij9zn6tYuMBaWRKabbn68eUu/W61bCHWh7rpp1QWWg2ybOx09r8l7uOXC1rl3N76krlLhjPldP/rBiuDrl3+EehC0K9a627bMlJNf5NiggzPRY5TrJgJYXmGaIaz3tEgSUKum0TGL6mmYggu+JMLldD70Ppd0uaDaUon+gJJfAWzLWa4b300R6ymHipL/Kiu7mfN/8a4M5mtImSTegWPvuzaYWQ8nuH+BXriUtHOufrN+aWhqY+rCxFG4e6+XDEY1JtT1cb7LaUerMFrcsCfyVvvaVudMzT7JWjEkVz2ujaeUuoHt4u/mqSHUaJlB0JRu9uWlzbOCmA1XMm6mDHUZZkY0LM0dorJa2td1UM3dGrILOFSbacfG7ZoLeiI1zT2g93dBN9KYud7dG/MESXmXN5RuT6+yojyp0sueGdZj/qyn5jjyQz4bgBZq/Sxr7XcVqPM9jMrlRscKeIG+WVxRdnkSfZlWLWpv5+REDYMFhP2Qvh1m58ttqamaIbdVaggYTkkafPai4GbEwBaQe2fAM5bPdnPBTff8XOS8cnvr2jecJKPVpi5lf3zqE1pBSZftKmVn9jRu6agW0OaJ/dEOwXvXhe8E+aMtfETC/84XIMK5NvNZKF+m2c1azAnK1D+GJmIYU5LWPDRugWDtClXVd+WphlpyodyfCW7FLRrJqlfspbcaWVBhNjkv7jcg6gGnw+hLClHmkGXql80mgO3OA6QrEJbaWg2Ee0DSyo+D30Ipyn4F8f8j7F4cprLwpBKubpikQTFK6mT0cUPNit3htdwgMeD2aXUmOEgo0rLYL9U+PFa+HkZZfiMCUJ6z4a5A3XnGavf1UM8kFG830k12zd5Rp3VU7fIljr78Wp3/DbcebsG/kCw6/WV1lC+6Uyd0b221ew1ifRj2itwXNz0i6G+SdMI/pXbSd4rvVl9TN286NeBYA/wKChot3Y6M1iReWXkamPRr16+g+2N+DptZxz6gqoGzd8uZgOGe+0meEiNf0tThCiAlRfyL+YkUGpulvt6BkqcoEFDuPuPG6Z+httGUuhOUfjhp8WK2TXYXqt+6j31dzQV0oP8RB1E8fzuYC8FJrpElHmgtSIUkhxFe0x//3gyMEvbE08VWP8kCSFRZ5njtWPwt8sCc651gp6BTNK11IlPScxrYXe7yCL7IgHYANG2f1aN+6hBuXLz5yklr9MuiTdVD32HMXcKiDqF9C3DP/N2CY59tphaeSWxPucjXr/bzfa9ttZkeHOwUyD71N5GBibXAkgRTEo60+UDQdN7tcQFxDFiiu7OmjHWZTQXQjlDJE/yiVNZQmYhM5zvaUbENYWAnuoiCixAYG8vuUde6A0+S1V63cl8Oq7/SXxhC4WSUGHhgE930MkSCgw3dFaOjcI7yYQG/BRAimGLGElxTyDAWb8w95mv1y9//avKKmrH8adeO+UesHVO/piErpphKEwpBD3MXDekpyc0NOmw1KLDuhOR2i4TElQfog1pfU9g5M1FIlXMT04S1Zi0JXUESOyHKpPVqx1mK5dHtY+m1WU3LXBku8E90fhdWm1ClTGDMJQW616un5ToAdC85mIw6WBobvR5TwhBEEsAQGyv1XgkLvgDjkR7Ue4HGWFf9cKP/D+wJ/OtwA64k9GAoegRmGqbcUwTAY1hKNCWDB96QFrmqF0k4APZp0BMFFdn1q7IJZ0iIzPpiuJYAVhkj40f533wNgNc0fBSarCtzTUzXWqyvtd5A/ehbsEt0KQIBP/R8fgapo+bidOZ3Lh96zaa3ZmwldkjCOPhiYXzeiOPe/NSCz7NKpeRpPu9ltXAOrOTiqkRUjHs+gD5pBIVJgS0ALb5JZkvZZ2hUqx+O80rLsNblxXYkYDHS1SB2YYSQVFdszkP56wn3ryNDbGoz7z2RGPA5VrlPe8iRdGIlJbo5nVfMEHxiftXHNCcx6DNd7jxqG7K2P79TYlU23Jyvi7xJYhObTUbu5+cBW7hzkhJCBzreDjYujtyM5RWWDQjmoHfndAmqSbLIJICLjDw/XacplHoSsb81ASroD7VlD/kKedqb1v5G4FVLJ+zAQ+MvPmWMRuX7voW+4YTZ0PUKTch6vGmHNcb+gKoa5PSIY4eDq/3ptTubUY2FrTnvDgGWE3HG2PWyZyGv70WcdAKABl03YENriTAgJ9VpelYNoBHNtTmn2e9nACdCv0JQ3OhNGmA4n9LOVsJtq3Vwo+2QrCUQw2LarrtTZ88n0LM5RygF5qEDzxe3r7YJgetBGSATLQM9GNEl9I1jj81oZAlkaBnkakZ0rCWpkvyx4QQ4pCphwm9dA/S1S4D+hb6rZ1U6Gxrvxc3osCpcJfdwV6BBeXhoGn6mMPxzkQ3x55gQFo/gZ3WXswNdUr+KgIVbrGpV8MJLvvdymCOXQiS0UnbPVt1Zb7tHtiWkxYms87t+LQgCaow+L02AGjMYL+viMwDHAWwCt/J5o8sDrTauzQmMCkNVePFtNVOEQFmPDGJK7hRQnoAq30Vg6qkxJFAwU1OIQ6S5+0UT5gn7YWa6NElphdFUUocphwqMtT5fHVu6ekrmNAsxhgOQDC24tnmwe69tF0aUFtpiOwTVjIjsH/TpQ41gIgk2te8FsGOEhs+/kCs0TKidJAhcr7mnZuKnB/kZG82P6BNTfogB4iXVqyWbD/VLiCRANnuwEZtPCUTi6/4bxuwh2AW5pR7p7LH3/LMKSiRVHPCNuiW8QaWtx3lXeGeBCqrAt62/E2M5EyBXyoyHfE4PLvOL7BKJE79WmFCyT+gOHjetRVkHiWBNXy7FIAPr4MHbaDsnRMMjKhCxiEnEDoi4fLpaW1witp8rGA6fq1IXDecpVi094VinDOpbg8Txb5HmPCCliw9IRPNAaZx6oSZ8SMDgmpG/ClsEWWO5aH2a5RP1eWOTXLWxY+bCejmw/7U/JM8q589BD1Od7NZVn4ZMI9cY20TzYTk5UNHEE+Lq1nIEGHaImtM85SYWmbSpMI8LzatqNz2ABgBRXxxzoKrTRDTqb7oTVN77TGuatutEpv4dqBzJ4dJlf6pVH8cSH1HqGHqikDaQnVcvdqex9hOiAqSzZrmNF4wrCgJcsDl/btMTKkJKsQ+E1pNtCUX4A+0felJxotPRb4dzAC0TePa66YnxwxT/DZfGxjcPtneVt1j8tzCEO/Sr2ANXCAcCp/zUdTa/VOpkYJJ1zzD8qgrF1s2nOvlCUKGq+3OTYpXpIfdo2eGT7KZ8q2k7+yp3HppOwH9BCtN59q8lM23Zj1BJvF9++1sFKPO/rzqaFZpi1RuU3iAKxsXx682yfCpO4lVcxqd208b0kg7Gvx0RRbIE3gASXKkJslPYO7EVv01DXUG6lwbaMo1bA01yvLhHWV0PP08wtX5YE0NOlbcMi7K6AD9wLQfI0iHSzFnCh/xZJO5g9jImHA5S4aelaiSxetKCKPccmgxyhy+bjQ4C9fmepKzprFSthqcksA02MArHn1PnSya+SwrmjunhM9xz5ziP/CZHgUSf5ttPioh0T3Va78lHraehptKltwfRx3U/LlhukJoMzp3lljzWmaTz4K//UfZMyAvWrHxZTx3EYFBYYzXGUk9f7+36/Hal6uqYIUdIEtUxics0crRluiWjW4d/aPxPb3m8WCtYzjlvXdW/Dy3n7jSmqCTLWRXyI0BgMtcL+iTiacriZKY0ZHWtaYE9+6IPdoJgcGqpAPEtTR9gOFirbXXSDoBEi4Q/0W+DrOL2aLSskWJBZW3/EjpFk9ctGgVbkReoXdFaJMs0ageoU/StGDeFH+pbM3gr9u1MYoJ3TElcB1gaiNnnJQJhJY5B71vIUO4bQlwn2eG3n9w6qqf/GQXfoYd5HWvdoEgppqZ9NQHm4BG0wY6ZiXDgFdpxEIdYZTR4SCzz3Rs6WY6PdXFafEm1LdXV+sitAlrQxVbZZlgAePsjpIixGUYolUXWsrtqjTrRW12XLqanFrQkDKEeYNPW0EIFkt4xqO1tTENtT5jqm1rPuhMqOlkSATmBVed/MrU5moLmAh243alZ9VILIXF2b82JJy3tK5GH3utOcu0ikBNThdXWL7uZLO9krWHA3VCLNGDECb+bvHaeMvPgazN21U6YKXQ7EVzykHuQWLbI6V064E2PiG588qErf8p1ap6SZlqs94toa2Ks1mTIo2JdAe1f8LpI+dUulzoq4blZbcTUhiVqN9c89k3Epo4cggUFmlx8OXBMrxSwKFmar7iDyYhJKyFdRReDbRsALXHBxrNkqNP+BCRe2T3ROorZj/mNB6G8mBRChoCfoSuX/RBpeJsitq5/NuADNZWes96N33nV7I8ZKnKDDsWzyE6pMywIJRcO+A3N7+h7g8KlckJe5WSMnUvzkmOIwUHqtCQr7AyIsKTaRxHJ2W3l/w85wgshVxZdQeC62ZLeirVNxKm525fXrDeDKwsSbuOqxGowatPTr0dKSOhRltxwYrttgCKSNqSnr4ciyWs8YL3IoU4ThRf3K1o3x39g0bQBtMAEmkK6HQa1v4So/qShycpWqZV5BR66l5KGBtoIowmKGxfYJfxgQuhSSuoFg+hA8VFSn7eGO9oo48csZjQYGMa7MlUR+Xmd1yjB18/u0iCBPHSU/jmdUuv3ZkMrcFjPzILID/ZPV0rKJiFY5UCIXW43lFBZg+vS+sLKHVnha5kX84c9yZeRi7QTynH5HIBhmEx6lNxzbiCwJne9f19igXrzqKIY8TJeCukiqiGZOUdIkQ7yRwmAyn4MxVIrZMf8lLNXCl4cicXzwY0O46amZTRR9wnccrc+w5umkiWmyILPv/B20U68VgXgYwNxANPcTHQVEg0qiax8J+g1EBhpCYTzvGZE7mgCe8vl4hdVG1Q5NKJToV2It/oa4WBUn0mpdsUSVa5fvmIx4Kju8FhXlGmIBQoJrFqJIhyokuDjR6SzJIq0zP5hmLjkWd5BpDlJkS5UGpI7nyjq3vdmyoDfrIIXXpDMz+B7DE3XuQKdCpEu2DGKILuLN0FiWRbKCS66peti8OqiC92q1BJ9dgO0W7ZcNyvDnZldRJe5S+MT8DIFuUdYOys/OgCf3zykg8mSytLb9FALJYjmhmIrLCxOElz73EOcvFkxMdVLHYAQQAU/VxepJqoyVtaJciCDdCuBvRF8t9T95L/udXxqQ1sTa1r1HOjR5QGH4gSwSgF2HR3hF/6nlhuySGP3QQM/9Pb9PoiWftNbXZu3VY9Ext2fe1MrPfrBoJGNVV1T10hl430zDDUxxZJqy70Rq+orrgAOkTt+uDbQJ8ewjLN9Sg5MW2UrV24/1DtgSsg20AE16yGPN3cf6rm/KUKSw2uzFh4rbuACUmiQfT/53A0woZtztV63AHj0vZk3JbyzXGjaElykVA25yd/TqVYkbiBZ1JH6o269PiHu950AwJDg2gMyrEOKfYiyrcvFgs1tDCe/2YaxLSu3Eg0Qt0DX+rWkj9PQXALqOHL15cZLNTGqrRbWplsmvh1LjLlNVmKwt7Zw8873vVAn/Ml1buL26v5RVHKtyAreI1DYDQF0D4iVLUOpfCMgPMt6MVFHd2pugj4BF2SBnc8EaJcOFfDbGJE0tLFhWy9lHjLNUvFBkKX1+cGaYgOeffScqScp+N+DNoufeq3UFKRXBwaly9nE02THknWX0BeffPiS1rXF1DZkVE0mB0h+fipNzofciYefK+iDi0rLEa/WfIZbnHyewKmxBmeeXjRLlpjQ1wVHBavIKCSlKBUUAonOQpC+0l762Lcw+B8vQv30S6llhEaWidVHclIa1CsJXNXPNDKas0ILyfZAf0fflgNqWpYG+W/Gg6TIiHVcNNlPdIuFP+crDSuTCxJTDQaVg3HbI+xX8qDfU48II/XizMLpSX9t2BrREKhemtpz8tsHmvyqTLK5zFwacnbdo4HlqgrnKQiOmCQXHKPSpyo6WYZse8L6pyXptT5LZaEvaICKIzpKX3+t8rs3nmgxl5caxLsokitPfw4aXaxa3gpDHtwhCXxyzarCq3vgLQTdPHD1/jnTEUrBxSgAFn8jLiNAn1Olf0rgcglDBJ6TIGjNPVWwY+kaa0ltrYxpwzad0tScD5jnAaeE77kmU9tLffonL22tU+trCQBiBEZFDcMLueDHZlB7BdLIVl+8rPjSzGiTN9UsEXd2/Zy4+xFrNvK534qXWEzPnID6kty6pYu5ZCsjNKbKAFJNH/CMk+WC6E8TZzADplgJQg23b5tMko/hKZwwCB92DTqfwSgYOZhWimhsvqZpYn27/dkVj6TuXFFUj2rCdTVOwMGvHcCCBgm3mWK59v5cONBMYbO9Kp3nE0mIYIy4x24+LxJL0VXaDlFAX09JfpCQJTkWsFd6+THgrC711LhTmObSpHdMq9zGvZJiypAz4K0OnESZuoUkxXBjYZrbjKV+f0ELbbo/V0n7ID/oo12fQfcCrn2mjyoxgPqhvjjALUQVtDFj19x6vwFhtIdd8zXEK1md3R/+1VnxhCARqPGvCymEjJol4ZOvqWrQMDV3Nj2pGbmPDxCrszJim+FOZMrFethBgLKtHE1SFKtPmZ3qw1xv2mZ69lsI5birQ8naKkGrfIqp/DSkC5lNHxDLCIPqSF1MklVrg+taGw/uSl5KCSNhyedDJK54+gZ5u41+gjsFKwUxe1H4mcfHdAfww0ZfB8XxR03Xp3CfRk+IP8yblZMUq6/+J6ZkXphf3htJSSGnBAMZtHmbZKX9D5pur2KOvpglqIi0cFwbmiHe9tC0phuLg8J9k2U85ZJMVWa1jQ2xmYKT32hZl5tGvSJ+56mW7S6X6HVcXD3wWU7De3p7qM6GW7Ms42jEAJZwRtTVezDZTfCa/h9N08NSdythSBelxlyjDempuxM75e9dmV8cH5/wLe7thVFEaF5bDIW2MYrcYGoF80XctkD/2MFHj6Q5yHmJcp9yCLOi4+TE4hw2Ww9Gyj+cNeMv3aQ+6oxeRojVWA+J+6kC4a8np2vKMDutaMfjFyRy7u/dqNZbeQHKUfK2N6U9GooRzZ9XDF0TxBbRTGDAh5qJLKmlS74Hz8BRT+l63dC1cS2ZCF9dR9e8Qd/bwssDdOBmXHF4mSnVN9Lf3pyWXezPLTXI9H29ipqGSOyuDtnFKhhsB8J6E9rT+Bs2CP7+XgdmnucWjoQdtrj30RTLW23Y0mh10bgOBnp/VazjtjQ0APcu6AfV68jEa5AygGr3FstctSrWjBBEYwOOQUyyF8tUZIPLWYuX2muEAXFtyQsypUoBxGZrBtv3KbdIo/A62yvoK6p20IkMbhxgkm9c0UBbAjZ0RSlARQIK/bGr5zu0GYNaaBK109tBLWR98FnCgKRtz4oxup1QavEP+PtkdFetMj790+0VG9Plistw8StjAjjH9Nrk1tst25w3MuVVR49IkTugYGmb4h5RNNsCU4eGTOgW8tU+5HS1jVX/mdqL0trXlzQDAS3UqL+1zzOA5j5HbqDtR6/+Uu5pMXL2z70nX1i3B2vPiE1x03XQGfTurVQodyy0Av7V0OgVkYrIjFybghkMxg7uCPS+G1L7iLvwt/HcQLjE2AveZ18ZBXCql9pf6qm8y9YizNquQWeryy8HdRMNNaRwIcB40njR3OJ1swGUsx2TXEh+5GmCJm+st4Cqu/H7JjvHnkgD8O/VL19/rU7P6ut//BXtiz8hP6H5ebug6pTI4JNPNJ/NQ3ok/C8SRuYieBERaw283ma45HcYLemezDQNynzW+DKHAeclFCvIPoMOKUOPX7lKkdH9PY3nLGtYPuEXHhIuSAsS1sQc/wBbGmke2CvmrHqSVOByEGKZcgRnBfodWlKmKq3oxkpW2cn9gr/+VhW2tIneqRJNZLHdJOr4tqbWyhnT6dTM2jUqXjNHMARaal8JAQjgai/rTGxjWbirQ1eSBZQ4osvkWQrLD8otJGary6RS0zT/p88uFCKkIm/mp+xtF4Vg57tcvzfjpbgn/XhJHQnevmphWWDVh1JgVYoLrL1Cy+zrRBPO03WqnhCAvUgu8KQM7E3qg/EZFIVC+9Yiexg4r73JITDYkE+j0mxuHlGcjAndmc93HWx7J5WSYtcSFe7z7jAM6y7dCjYF1qooqJdp4eTpSh+BIuZqvszuCO8VhThaOFIDFxwCIR8qtAx9zrZKpNhWaVwAAas23+JS16FFDzADtP5QUbfQhacqjkQYKUJSwD6Zxr51i3iU8fbNz68myoOxbIvtOQIXjcBTE3eAMQlUbHGAILLRP16C24OfZQIXuEvjiyyNDuUOxw/qWy2nK4wQCbJwe56bkbisCrkq7kVFRDn9c8t53G7LWdUGxhoo74gslDqkqRN4BPulCYJl6hSAKDFH440bWnRki1sakDhCuO/qeav6rrXqckB7sqKKlf3bc3mA4QQxGLpugfYo9Y2lA94eUr0CPvsiS6P2nUtppxe4fR87jMHAu0lXFH+pWMZ8yb1cWwUP8e9RHm4eQqAzbdoEOobAfaVzg4o/YSJCl4djh28acg+k+bef0m3Ml9ye628/HUSvkU2xivqzq9b0rjehdr4nnqj+aFMbo20AzKtJD5Xyp0iuI9//llaskW457jhEKT35ufd8DCbHDGHnEKyh00hVU69C22nlrRp5QY6DBpIONTIrrQ/qcremDcsQUqMgIOAbbkP0UqBl/zIZmxJeR4HqjFhnHrd+F5I6om4/7CRV6WpROqEOdftfGTBv5I2pzZzmsNWsc1l3CdWv8J0aYAx0qW9LxSm9lxMDSY0mfDU2E8TKj4j2zvmtv2ccy5IRD+bHMCwI1QGkxN78b1oG6MBOJZdB0hljAWjfVgOJZlaY/Nzus1+9K3ljJfwde7Ypo8hybQLCQNOMVhsGkM1JpU6MSyJH2WXPA5CvPVfLYNOROcIcYXSr/WbiIDdWtdc5OwH5TJZHJfkc1Bdo9OH6z6yyWR8lHdrA0XSlL7VONuirUq997OV0gt4TBzmUYy2Rpbou7+9PlYUMtK6ABrbEB7tmKxVcwByeaSfQkaeNzeoYahPg7BahQ3ObfpaaFUstYCGP0K20j3vq4L4C8JnznE0iwrhwW+fQPS53fgXhZxUxx6hz1am2CqbLQA1hiBLzJ9fUnAfZjcJxkgE8FOdLhMeh5ON/bJNhty9We/LNp0SgjuxzOZpmDFmi92irsC4wtjRx4orqan4WZ7JlcVO1T5Nv2s1ctvzX38UKkLKBs5dCNO2lCGdc6tc6gCo6pxe5HC44mwLZVZGDcl+zEGXd23Ja6g20cFCQECcvBAF1N3ix4y1bvxz3reHRV/NW6JBcQyMjnw3M8Qw7Fu6jTmH0eR80pVcHIfMUwtzL1wwa5Enzs5jkOg9eJQXaNKVb72qSYurZBlxVKbOeQ8lO0Q1S2zdGgJDOkxKSKwVfTVDWTRFaPDUi2KUkAcBtb36cSG5mb25bpEXLKgM2y9GANYkVS3QkMxsaCSKTrJDsgxiBFcSIyFx/fwSlYwoLnMnNEen21RpNHp7nCYbBvni7YkUlgzr55tlKfKyloJgbHUTjgHHLMDVA004j7vcpktrtKCZ7C55I0QEk8HO+q2fHDapfkZxAUuOxnndTfzc0ycW4yFGBN0Ap+C//yW2E9VOtsnjjM0azwCj2E28oRvtaqftTHN4lwe0KjfQckrSYYIaS0OaZffkgTPOTcrSWq6SjsoB8k4TbHZoQbUMd5HKeqy1BpEWsQ4mFXtzAhKIC8TsbenOCZkwF3x3AMxTIXBNLGKUocJuSUx6AMTx7Z4UkeHIEhdjQxTfMWynsciMcIhqGRtJGtA6+gQF51TNlb2Q98wSfs3snJaCDOHSu93qkVgGFM31MMaEu4kJVz8SHqxiRDeK8HVHQheo9ofYGqP+QVcGlINoIUqSXYei8PLUY/YK9qKLhnF19/6YUC9k1zzjil3+fS1VwgGP//887nRb5UiFOFGuj6n/NlOOcxg7Y/BDPekdm2AQ/o7JfX//2N7Wugf0aAOCkFP6RHIYuImVqjurgoGoa/liMOTYOmmnPak2NGwjapfuRgT3eMjegDfQgOh+8+F+/Fi+3CvqW3od8oBOlU47lRE++Sgn2MZJ86eVRnTYkYPXBJeSD0GFkOq4sX/S06qdKEaKn1EGZNocw4tQlGXMd54NSCKAq66AYzhSy2Qzl1Y+OqlNznesSTuUmBATKZqwpNwvr6osqSkyWs7tNpojdXQEf6qUtcvVz7fFTBzSZAy1A4GiWPtQ9V6xcaOVpW69IrityMuqdrqfCrQU8Qm3g1HRUErxZ61oXoFekhecYEOuBs+V2+3niXG0mMf+6XFB1SfBKtWrTYSuAeelTzyWlgiNriFpPIPx5OaWevGFvzexU+JaeeFAfrcglY+mhlz9IhPflFhKJCKXZtOH7Ut/7KHh4h8gtRUZMl8CYesFZDlYAVr6wDxYUqtRTgTAamsH8zgYI9O5DrEZF6RjD/7KOzYnbiXFqrDUOg5Ac5mnt5BBjar4TFPTrsQfQ4Srpn5fXBIED1JAFwdf9xEP9lHxzubhqeZDcSRKxC3zq6gN7C8MCun1G5nAPaCbNaLxCYZ1OLW5GK6vSXbmsGNDX4IJ1ZyN0WoBYLvTpFfNArpAqd0PpQQ6mSTKViWNV9Lsrzrv1Hw7EOChgAjBmGoI2ijKd70vET2npGw64O5xb3l40LGDqUlC3/ZZfmlAbTwdvPyKzjVpZj4zhOda/AwFshRd6ScmF+OaI306RGx9x30ykLqhigpXecqY4unKMehXWebEBN5HK4ECdFGC9NugZm96bwH3rnu/NfB+DCktX0EW9HdHJ+X6G2K4B/G4UZJ2mVH12ZvAdGT4Qo7xTc0mL+otCdwPtZ8OOubtSWYBA3DbnWCNrTPPbgqLkrJirWG3bNp2R94qIVpyDt+btO+nM2DRnljBQg8BIoK57ppKqhfWlaZKKmJhw9/5fb+DgodYNeTys0ySctKpg6eYoiiv+aCrj9nQXk5R+gZFYVFb6vvTQEJf3WToXDCHfRMFCG269xaIuECU3XZtmt8WlkWEzb1UZAf+QwzffTseAFVwvW/QUlj6Bk/G4eBxvlVOhYCpECbpO54enfKpgqSr12M+ub+1Qc17FZrGaUxXoMxuPwSbKKkCm6xYnk1R785LcJqMVuGhQRxFM4MtNqj/MFevq5kNvYm06IjHJ88G+wyskd5ozZXfx99kfkBTTKc7FLuYN4H1Uu37vbGNF+++35kYfF0lAJLUJyc1IMt3WtBH2V5nEB1kKKCLVc/kUYIQV4OqKDmQAPiLYxQQ4OIEpiv01x9AI2FJWS44bFrIOFH/fVoVCUF2//RQz8M5SL0m23RR6m9LF/FxMTkqMjQOfS0IiT9NzlsiFbLsqvynecaNv5WLFlpLT3FZE8ocwyxDqOHUSusBEAKz60H78qGUVYfuWCGUckCK35N3At1ytQFSOtotzFBf0cHBRb6IntNabV02Ue/YnE9R0rX7um6EBuCn97B7RsiSUGvYDsvFWaFUXX1mBzhlVJ2XPcnIPXCBe9Iqm8cyFe0/jdnXXC0qEa/hIUOrSiN5VYNRpD4/AB/S7qS/lZaIa/EZw9OdntxsYnBKdYvpoZS5IGEWhfVkIjY1oFM3P0UiXQLDaCZKo3ZMshCFTHCW5PRyoRaCfX+T9oQshyc/ZPNtU71SrZ7fTJuWCAgGosuN28bpBZ2nDmCfT8DJIg88ZXQdxRY/WL+f3bnDebW2fhX4XaJFvkNZvP8llkgx4OArMp69FqFFH3L/3aiaJIxeTGjnOw6XUBZvnvI5Dj3ECd5iFdXLmn32vmFQFfXsUJnJuxnPgsUD2xx5aRISUlNEtN4RcF16lJIQ1r6A6rbUuffyFOkjKqlIL+ekjSfGIeNNaw1INQY4qxQnWaZZ9+Hp0bCY5zCn17y56qYAKq+fipv11T7KaVAxjkw/TXfKIIV42/XWDCKkJsfddFqAzI1mlte7z77Pv5tXnnt7w72l+b1Y3xih5nj15Q/y70eRMM+KyG7VRfVCjw17D/f7/ZD4Y6wc80inLSV40XJH/qemYASnNtSgS+uUWwfa+jQ+tyhBtbWG4adiQ+9Dxf5FXpl60+f0dFNJeLa1oymfGre79aZBduKX/auXZ9DBH1M0kyQM5T1A7cger0O0MRMKtORJU7S8NpRV85c4wtjS7OLTIgfNz//MPHTpFdUBqaHCzIkqTH3HYyghUOAkA7i3WcazZ/ta089aeOCyfw/NJ1jDC2Z3P8E/LjQXCblBI+Kh/Tz1Jhm/oMx/7jOCnnO8ZbvEJjRAaoh9NCy57I0H30WN/zq4rku62GQbX5ciMO66XDqyPvzJv9iHPRh2KuLMriG0nGXNz5xCjMUaeG1UwmvVOS9ehxuUkyovbSOgXOTv9NrEk7zVV8j8IXFETK89Uugq9wiaedeIw9KTF/wU3gL+eGn78mGStIUnupuBPi/rc7kS23DgK966LpVofas5YqmUI8VutJ5BixFnt+IMvax2wGvUL0Q2vZUsdmp7emrjkUw51nP7+5bdqV34G6iCp5iTeWIT+GEFjAKmmW6pHvi9/5uij98WmG6IQUvXn4OPVXWKvOe2OHGC0Wy39VapO/97vrMJ98+MiyMrWw6VmO9hLktHRn1O7zbEIRo32H9jTNyfgYCPllF9HN9vdgap3ZtigWcdkhObc5ZmppffAvWnbKnSEJi+ns/B6XwLcaU7REGUgQ9ur2uPSm/gGSbIUE/0EVVOpB/Ik99hGE0pQ2YvyEt5VRfqkOFZ3RHpvGri34K3hqHXwcGa9t7rA+CDRD49nf8UPuFOdtBn03gyByfL3LdQZfTGJZSt1FfCJo63U/2tYgRxj0cf4L97FXT16p5DCDBDcz/RowooUWiwqyCk4bJY8kfu085mPRfAP6uPjooKrvGdu7+2NH4lMTT+PeMukrI1K1QkcTZRzqLZg6O4GShHzvJzXttAP2JuuCY9Um/Faw7RkzI/rYraYVXN1MwXoL43IEpQj7SYGpHiDU9Wugr4KjSkyv6GscZ1uqWdREUp348jq2dNfUOyOiGeRmcxoBAZ0i/uLO/k1h/qI/kXbwKVpab2BI7Du8gFGiAjEHIl11RSWAlMwqvQgqreSmYByhki3kYgiapzPVS3iOw43h4wxlZkdK8S8pwxG7BdqRO6qByis7FyqObHqAdlClpm0CCjib84TVpIpGAnoa+ZhSJfFg0HXWIF6lVbpu/3vIqi0nZBLKevkNH7FJB6QLgXdbQf7ce1KOXQaOcR97FI6Aftd0THGpMAC5sC6if+1K0vH6yQm9Ppbl3NtCeQRYJPsqScFvg4BwiVTOhGAFRJZn2bAriAjFKnsu1pelCpsgQKlaDsEr2P9Vr0jUekv7IoFWLAb7kvpDMgHvcCTl1s9b9qB+M7sk4GFGtjg05ypVkUNzmwZjQtR3tFaESejQhT3/JLMjyFkjfLRQxSESLeJYqKE13xO5zMcH0LhGyhnWZPNFFDE7ZrftWnw1lr1IZGsrq8V6dqQ0bZKSbXrihydvIUKcMvzUavPPIlmOfwz7uGdMn5jt9KMEeFHeK+/1UxVkCW4hHE5cBa1cFoGD3ZVVvOmAxWXBeHRREekA88aE74OKWw0e1bxm6NmZpujcGCC8pLvktxml/dAngnGDGcV4q6uS+fGDrBBXKchIpwU/Y0uAGWQt1IuJ1/Cbe2u0kaLKKiNf9iMvnxnnuc03pK5KblbtK+fZFkahWpoaMGjb1h0mbzDegj1JD92bHa6L9/5tMie8ZaFwtbUsYjT7i/qYRRpvmuzrIgVusuY/RPTp+UPftcRHsUhdQxIe2qLJcpeWkGz8uC5Dhjg7dqN20Jag5Ad6hFtSKu3djbl5lQRmWsN6ikcOjdA/ogwtQloWuEOkQevIOLYg+HoHnh0MYXUJDPWviW/0oeJDJhFMPsNQMeIXwxq82xKZIGUkv65ap8j6+jg7EUl7vtKcvE8oPuw7XOtod00SXKCvbTEnGd/CeHyrqTjkFGvOlLPmINJTLzUnuqJXJRXP8k7LycgI2uyfV6TXG2q7UExDVgpiUIcJfi5tBwL1ZufIKpwjJxmkDTHzI1KJpYmaHbkZhV47hXOYZIs3rCiXmv7xPaKgc/B53dSpIOnLdncedaOPSRUpyqgujWlaz3DZfNGMyF7EcCBbwDd8cVQUbpTDMDpVg18YE6hTJtl4QGWeTLh4W8/EcBLoBS/byLWKiC5Oo/AWKkbhXbJNjeflnLrvFz84i2ZmVID7R/Ef03XK+2C5FSkXRGEmZkfDu0zcLU54rolqQ3Wov+NN7AGqk1OGGDq7C22l6YK+vr576jlwdw/txmXJF3pCWPecVm5lePZF13Vz8H3n+ozBDj2n8k7ZPA0bbL72kUz7e3wkfWDVaCNEjUZmz2kXv5P7r0Ukd0wyc3XgSFekXJPMAagzsBrzfAO4xapTQN92dQr7Pfz8mObCwpvj4KzulAHoaxDSlqz8YdP4Z5SMFWI9JVVMw933d22Kwm2l6I6Y+FEOqzUWwL/J0DxbMYbRHboiqoeN4b81R6gvCdoMVI/PbNUWGqjxVIqLP6uNecJKLIxHVSgk5uyGgeiSXC8ZNmdOfKmscEesB9RtItGcfl6vays0Z+jX9NLY5aIfbrU/+8hjdemTYPcq4sKS/iOZMP9ST9D35XHgIEqcEHuppsI1I996mqsYkKPpQQZAOAy0d/k0oZpxbQbp66W8WhvrdzvgDO43Y1bgwzwUbeDRDns6kvqBlVDqyBx4H05HdYqXnmDBqg9RLQLwrqm6ASUKab9UcA9jDYIRoGyXzboELLCvbaQHuTMbfpS+e1gfBiFmbhaoRoNAvhO2avpQi/NCwaLrx6wkeKUp+wrNSbJ26DE3C1gjXvfTDbZOc/QbpbFFHDsLjobs0SJdEmfp6+oZ+U+TLtHeH3aEbT5C6wV0adNwPNI8kzPOf9IaTDWtMg3HRPHL/RreGX782lAuC6kdgXatoPki4jpZgK01rHQDaLJD6ZcFBDyy3lslCEvLcXTAl0LTLEkD5jV0crbxmp7y+FBCMxT8OqSlrY1N7Dbi3tZ+gCHzto5IVxMXy9yjrQEIJgZMh1y/K9rTY7ielvcv/2+JRTUkQ0V1rQeuEOaZ3j/tjkgu6Iw/F13benf0u8BpvZrseQpaSl/5eb5zVjRKBWE65oKj9tw3y0CR+RRgS91llxlFVvTJDSYt3SZeSnobZKJoUd/A2SnR5F9a/Tayvt/W379+uuv5Zd69WNAx4tFETf+QNJh7O/LJDkuZ96RDnObTuk9FQx3QKbwO4F9+gwMKF7dibyczRvC+sc9MIaFlGc9dzXfV+2i8yiFX0huYPV+C2D3EjUJ2Vveica4mT95nZPc/sVV3dtM1qEglqcJTlCq5VVwxe58KjenPEG+wrsJsuc6uc1gvBRhuxJGzuh2kCQuBV7IB+AttYBer3ZnW1ToM97DdW9kcmxG0aEm5SevTWu30xqpkfomYSgMMp5rHHlOiwJ4Sj/AtkzZsX6W1th57U+yCFNAdzpE7jIv92eF5m1w5oddCIxNMwZVem9L1yEXbPzPk91rCa9czgSmEPLk65d/VPM02NUgjF5WHhp26ezKjtnYT2L7ZUL94eJ5Ck16qGH67t6svllDFMj/xKxFgZgTKOBdc5zmTKCGLOkvGA9rCiHHSGxS+mjQSAKobpFdOB+MpZuZpmJm3HVf+8Zxpqbfwo4kCJ7ROo5U0FHNTbiQ3I9vZS/KZE2+x7ZsY93W5e6zXGVxWK4Xi0S/CkE0yX+gEXuJEFQLxID6c9qaUCHT+DxyGnyek4T/+VT7yVTz+0yk2Y81WLRsR/YGx2ltA/jH4BmZpdwSMJe8zZf6F0mjiHxzBe7qCXI5OylvTGueBN+aqrd7AMgGe4XKE5MfWSuJhrXedksth4c2hFvJVZvgaiZybI/jN/RS6WgiL/X3tZxsuerklLks3cDqQJGM7l7C6BGYbcyQ/2jhhu7ZLS+u2A0TMINrU+rJzZWXaWJKXO+p5oqfnItWboUvOTfv9Gee0M6nemgVMyvJuKMXv3Wq4ArZZV1IO7KZiDDiPEyBpG5HwhIUQizdKLyT0iyGFJ3aEiUYPLlLZWy6AXwG+kW6NQt6MKAr/jyVa84GOBxCxyS/cdstUHdilVQ32m8HpbVT0L7CdCQVH6oVnMpfBXyVqDsjYWCG9G/MYlV2riTJcrVkkx3GuMASc1nG0SPHG9tHFq3Wr26XdYWIFRPfgn8P1XzaJNu1I83/Tbuk54Am1h05xGhUwaCyhMHTBvo9SHB1G+LkM0dEsepUNGogPuVdA7MVM/R1qI3bSmCleB/FTr+sinnlN/yUYTrR+Q4fuPzzQU6GBOxxqOR4b007WrK3cY3A9ByLol/kSi3guQVQKVIrql7eMQvntup/NgfZOQ1NPksxvnDo6JYPqyBc7Zu1W3PIklp/Q37WPmdbs5oCxnavdf0qJ7iclypK5u7okTJBsJ1XlRSm/lKQXiGl6J5kJs6v9r0xHt1Gp1J7iqCo5Zym9OKlQwaJ7wCEvXn7UY/s2GN72UterAG8eJpipvJKwP3lKuvhoaqa4JPpbyXsydntfdUCaJZ16xt+Sfi8Ag4JJKRqC/qdwJOhhIpIo9u9ocjK1JwXN5d4lVzCH+ZhDt+GKDYvEiKkrs2YeIbK/hbJO7L/qAmTZMmyAtrAdOmj66kkaxw1RFGrn7X+gH8Z0VSF6a97xdj9DArd7JOt1UP3YNXMBkED7XL0fPkfVq1qu66Y3ZiDj11flsqqSXnw0IF2+lM1RSOdwgIdfJzv2QXxpPFUn5cYbF+uJG0z9hPdAOuAG/8lo4U8EogNyIvCjCQ5x1LiI4CNoJe9bOI3D3MNTsAzj49VNS7iiSDVIOBHyc9miOXvZNXANM+f5K+daRK6Iyuifec71PMdTmuhZbAi8Q89q6jQ7k6mABT2JntHkprPI1NJbUZYWZCes0gKTzSbN8e30Xud+lBezWnnKvjtnXP5UanPARpy8wJIp5tKfk8BW9p5cxyNijRMc9LRnKQKeK3DHibDMqKK/2BU6W7BWgdP4WfMmnHB8GTTenBvP4UxoOcIa6dP5vOKAcIZ7e0jex1JQyTIRPqjBqmIWddLXnaayuAaA+vSnimYtdjhbo8OH5NqxureKNipFBn2nm8Qa3d9oxkrIHMhh7PPA3xFndMsSJEqIcfm8iKR2LA9WBKpgRTwrovITOfTCTRMJa+s/ckBUVz7CYfY8R+27M7qLgxlu45SvQGnL8cN6JCGlpJz5EpX0Jo4Nx5Y7RM081P91tb4Uf7JvfvtlY7rhjsy/Tt3q5K+bBoGbzQ5KHNbNEGrN985yC7ioKQHc8sLCJ5P+TpbjF7cZtaLxBN/sM8Nc/J7wh+kIY7kVepV+oZrvUeauS1o+WBoGFAhxHsPaE2DpE2VCO+VCwcyNAMs60+eU9fvRKh2dcjcQcpz0xOSeET4zFu6YpplaBqvSjMAy4+/AmZWNKXqQO1+Y9Dxk9J5kMt+LbIp1+YG6HxtCjh6igY6us1mzBHe6uckkbivIaIvN9NvUaA7GbQbPt9h1lNdkju/RdrWBOma2IxFaNN3S5fb+Swf9weUyoqxEaqy5Boa1+MVlAM8CRMBb5HX1BSbyX6XjZc1pgaPWkutVCz22LR18xI0C8E+A8bqjn6UV5hcyOxO4vNA7DnLITO4FDzboDuNMZo1ebCPT8p3B7wcgP+ddghfpE55Exr66Mwoj5GVcpXyiGLwe1dtY3jcRpfJpw3grjmPmal+TZ18N2Z+/fIrANDVL181O7IR3J/+gg/ckZSB6sR3tFolZ37BS6495JuON4pJ1l+qG/1gqjwCzMSk5a/sZukvvCq1MBxtRjJFAqU9x1qj24TRvaBKwoFGSDXnE5A+bodzBOVILbxod+tW8t1pOUfNimQTFYKAdiRKy80W1QWVTwB+VyQoi8C8LlMzZQ+KXnTp3taD1zZ6yQjmzUTPOSThgRHuH1A3y6BN28dF3t4s1Tky8lv+RkQNKMt06UUWo1wUZKbMO873Ze5rL8aOtFJP8GL1rcDuMEvgf2KGcY+U3SvXpxnm7ZB0cKVysT4lNS7R1i3MR3Lhykop/VAJYBElvH0P9eIjM25ACpxqiDPfs9tsfzSjegRDgH08HQXz/AGgmPoJJCd6xwoFreM2CxJI0aOeegjkXGQLu6d2cUQgl6SftEKsLwawchNbHgdvEseqQs/t6zc631RoCfUI7D5MzgwBWA77NWlEnjeNxE82dUyjrpU72cAAU4+o6VEHuMvGqpUzHLd0zCAEB7i18ARB63RBC9II0ObuF2EKFScNmwviXoMN7D8R0UxxuRPCctOz1IR6mIpxfCIB+Sl3r0IfmQmvmUMZgj2QAiMLRxLeWj7iPBwCmdS1jmlMzy6Nu+QloLgp4L6rn1BK0jQnjZjEufMbKakj9Z8K/aFHASgo+p0Btju2IUBNUtq44VMbUTskdJFqRObDHqC7AxLqvGaCYSMAV2++Le5zOUtqoXlnFORSo7vIbMTdk3QLAPbZDSCrUuAJ3cOD+DkFS7OD41pZWf1fTBwwlUQ6xBGbZuErKLU6S1W3pU6qI3b54LSFP2XTcBcjmKjlrw8l0zbAaaTq21GMwZlyN0EVvSED9pfZkELXHX3Oi1nCb98UlswVBJzcgxpTJEkC1UPT17SwtsmIKjSSb6SiYuxTTAuEVCKpHFExapDk0imkqWK3JEJJIEkyAPkP9gTHWnbWe+5jX0gBVKQ3cQF669++1+n0T+sGB7sVSgOQg6vfiADVtX6DFlQ9wtWtAPOcV4IA3mtzAbrjiHSIpOQz2t86dnoBKKmMWLxb/iLZTUBHrN0AvIfE8qGrB0xhbEJhYA0j5H7v2hSDksJBr/PF0e4LYK5BdCu0TBBFJdlTkaYPQ0hgsHyMhy7+jQnjPH6PbIAJo7d4//3LP5hzQ1v1dHIbkJ8ktdE6Qp/Ou2qE6Zb6N5QOFjSmogJNd72S3/p9TE3B7PBnQPWdmREi16QAyasNC72NMJ7yOErARI31JWaXYtLfHRU06xWQVaUAJf3bT7aWIEQROCrA8NVmNSQ90NmSoutJiL97y4iK8a+2fOm5S1MQkacwbCYX3iPTBY0AI1isekAHXWzuQA/u7TzvAVwVym56BrFYkje1Hg1oC+YEoDNktQE+6lwETbO+dIF8cO7eMN4tGcnG2gn4hf06c9hqrEhCyWW4VPXvUCZnpdRnuh2ApxZqOTM3KT5SD9O2OOp0UOSnJed0L+RtbSM7DzWbT8jHTQEKAq1YfMzZXvLfptuLp1O+2iDX47jLOL13WuDuWeYoP2APJKttuFOuDKtPqtaI9hvy3bgP4YersTNi3fLniKbMmIHBbfo5E3z7V4BvjU3lPRUTYp6Soxrn6RDPbR8yIavyeJO87VzBRukmG8LdNL+VsbBKpP2STvjeX7/89teG6j9IvLwmvHYB/YU2LDcsktr6GpTM4YgLSfQ4N1Pq/dpR5/zIgkHsgdLVIX0bBV0vB0MjNDziKGp7aQnNFH5bxjlqF/vJqXVHBdZRvFsgtJJbyO0/rnT3/bIv4Y6C9TG/DkJycJx5N3GPRygSMKEDWvXTfakJpVWUqdMUwwugNfSMoeyBq+lVIa3/PoOOrY/pOaa7mvnQneDDa3jfD891HvOf/x14UCwcOf7OWe6Qtz+LO/Iy0GVXQkgbwW1tYhL0n2ckCSTesrZ+7k2AHnJgRXuWfIpDF/Q9oYO8seE6NSIp6o0bOY7NXO/VJDZJ4YEc79EEvv1paW/3xZ0d13BNhe1cKdFiFDgyXsq+dgt32Rw3ysDB5C+0Zc+U9pOs1/2aTO/dHoUO1qGApntV/js9ViyrLBK4l4CUXAUU3W51mwhsCGE6oAQ4PkMdnwuMCr3tADy83LIpvTex0rAIydkYpUiVfz90sdo5rBAxLnM6pVuaYojFSwM/ZL0TAWaZHt8bepjJL25SRTCFOzCjwdsZWsgq6qeyV+YG5K7vDqXQGHTsxQIfZGm7rb++fsmq+JlivTXtBEg591bXl5BRjKwh9MOkyGBj+RHp9+WblDNjU97HfYdWS8zAY+G4zTOkvwRcg4EcIA03In/8nYjth/QgYMVTKGmXcek6v0rYTKCtFI1Uopqkh+dhZurx5sUATtk4b/Ji7wbwlVd+q8lYWH9Joa+JFyC0g7dJAxyFjkFcc0+f+MhyLC2pVUMkdsHL/dT4RjC0PR86srlzyW5FOI4DGgU21W44Vk+af3XpYRZcA7J7t/xMUs2nF0rv6SXzF2c3BI+jNlMj0ktV9eaOhKcewVGo+IwOl0a/0DOtxxWKuDkiu8eaYpKkrlR5nBg4SQfMEpP81MJGTKrvEEAxmMUA+pQ6jQuq/BFnMN0JmKAjgitxvw48EiWdG/csLXZFcuIXMFIoDdtL3Ue+/RXwzYmipjRt6lWDVqtH08CRJOSUV2kmA6GRCK4d5dbXZn6gi3W7/VwIPCrA9CDGctVjC2kr9QAzn2GWxo/R4Y4Hjo7693lMDMJzvi5mjA1xKR09PCskaURMqhpvlJG5b3ad6GAswWzYJr16sUydhE23wMBUE6k5BTHIOo+PKOuhqtJ+64f7PVFNQ3KPa7s8fMAYJFekysrUh5hlF0BR91ih9ZraSx0dV/7DVFWrX34tZO0VTArPv2N4UpPcLVVFQIR9QMS6mzyjnQpTWqbku6r/8v/kpepACV1O8tHnRd7za7UHsk5SXZ7vyolGujg2D4RI2WAQxStuO5c/ffvmlo901PI7/5sVRj0Bbi/3wO23zbOkwPLoVaNy9bI+1hwCEUzHFIb6WnfKGxU3UTVEG6xGKgG+iQwHRCzA13Qb0ituSqzfMQUGXGEZL43LsFodqSbzNX6sigkVxA6ZpoyPgxwoWZ73hhPRx9FZsb61nu5U7iCVKjQdk9NDjtjulBfwYrrcusAPrXQItpL1F9ufeFIdxFLMywk94poap2AX16PRtPULHnLr/qOXOaPTJIlrj/ACscjtkvk93T94OTUDv+fB/lo/a1pVuVceovfPI2KKeoC3T15Hb1G8w9tyvr/V1pnS2KT5tLvA4fY9ryPnUyu1nuXgAdWx6YG2NxhoVwAaFcHA7AnAOe2MVakZlWu98ZBlyS6DFDS1bydBd/PUm1W55vXkVaht+eZlTkFa6wjx3xuGDzndEFLgS6aOwcY7rwd7sEGj8XCorxxrpmMYIxHcDcfXK1DYR9RlKbWuoVlCzO1Z7f301kmiLI9huvutUZbw76/IOq8Jal/h/Pa6QEzhLY1dnJhajFcjvFQYJGAUcSfY0cs3lm6Je6MDEb50A5OcMcc42qr04J42bS054dmaFgQ/+gpSEulT4x7K1wX00zSfKVQUU2Si3o+pGPqqm99JORZIsP4QILvQxKMGUj+5shYqmf5juoYm2FzkwMax+ZH5rkl0AUgYaeLwirImcHsCEDWZdJ7h3Xuz+vuX7wTt3RxNfcJ4qYtpyjn7BBP2a3UTWA870LUlQpVfSgs8Fwybpdo4u4ICfLEPPsje55DMwEVvo4S64SyBNsmPWCmeWK7fNlLSIXWXzch803XgmMBXygA1eXX1bK7bkCkyiyE9/GDeKInfVFrX3i0tcDdfUn9oehCnc2iQwXr7ujwXzA8BK/InFI9+uUzY/3LBtHcLo6g0BhuRJUphn9IEyfxRopx8taAxIEM6A7MuBQBV+GyAdlaWAIqCb2sJssyEq9mD0I6YKJfpJRaAgHYontVVVruhEOZz98rYUpsBhy1dBKwyiWWAl1q+IUp4UywIgvhR9oDs6MbIy9pBCoodIn/MvN+NH4DU3Y3jD6qBFgmy0MGw3JeYZmO5G1++uh0gYqM5rPI++lpbUszpn8vmCvbdL0pr224R9T03UdujSIG75MKZDCfqQKmzQqATpcD/0t4veHXuEv2n8qu3Rlbxh1+5+dQTlBBtbrt33FiWRSIJH8DNSO8qZ3/BFmve/ds9ZBhySNWQTzHpJTwyxwaOtMrIz/SFxUwoK+3q36maGfkkW7TUhNCo3lhqPbJ35+m//qYdNrm+XHNon5ufp5vfQgSld0E36zLf6TCTOBM6NyE7zBTtFZZibrO9HAKm4Bbqof5DAvi5RTaR/UNizDBaisAhXddUCNZpXi4f+eKrua+CWBdIutNMj55W5CHExLBKrYmDTdvXUbKz1MrDtJnNGi3Wa1UM6ZHwv2PKL3IgfBnYGo0Q7QpS4pIabAKg1oYxAxAV3jkrfso9BQFR0EOXMIW3+uI3ggtwWS+4zgNitI0PLs9upVdMD6R2uKiGdD3Wzyq1yFxgqg4mTKR1CH6N3AUwei/NS+775BMD111OkGI6JcCeLNV2ntpQxSGxictkbZYv0JjywzGq27hcCLAM4KA7X/5zIjb0h+H5S39r2sbmQF7ZnOSgQsjf1c/Rlg0C8c78x7tGacynrXXnvTbx8KsJvYvpvsudx7jTiHmX7L3BfiYYwGQOONXcKT/iKkxRp4Dg2WjHkR8sTmmAEOCLb4kIYSBQPOBeGOgA7oVQb4gMLRL0Q6ut+Hm5SCsp4jIy6GY8jmAGf5slPXwhkFzhZeLvt/3VO8SJw+HAyHnkV4AET2B/+uJSAxIIVhkRw5BSvWxoVGuKekeejis/+ZW4DdSxuck3Xno1acF5nn3Mw5QHkD4mrJbAV/r6peR60wKaTwEDrd5NI9v22tx3L889Vat6YmD6TCAfzr7qWkN0gmvortPU2YemlaLS8AghVIRp0aN/orpBoXS99NpNRtcrp/M78nXAigICCEPm8P1zir655P7ZqyLVw0rn+Nq/DUpa0TYRvqOyhRMlovJwcPd/fgk3f89F0f0K/UcfjKTKViYpu0kSWFIQ2LNkNWPnAiYnCbGXUI+5S3Nz9j7YmnhjolSasrwTbukHqRUMDOQW14MWyQfaUGX+QoSKuf6A64IGaGB8IklnwEAN+3Cj+yvR6RPd380XxxMVeVM9vx+VJ5jaWvYpDa4bEprV3di71WA9xpjgr+gQpShq41bnK4Tqh2aIDaJlgcsu1P+urEk3qyLUOeTc1DXto8IMr8ciGmCpuwrBKKFXwigBTb0/NG9Ik1VFDr3HQWmuogqBqezBrMFOGXPkJVTpaOCZS/noB5G9XIC2z04tjBx9yOeqi+SjMubaVZCC3KNc5h2+lTolCXJu8+wR3a0ZY40YIPtqTu5vXgjEjPw0LtPd7Hp9oKv673LUQB/YyPpVAKAOWlVMMIIBLyViXxPGlfBfTlSvW3/T7w3MtYvJVQ+sSDmxNtpKqeVGKwP3U4LJ77w+JOZ49/qe5PP65h4PWT8ZjW8qlHoxzxSjxqUz+zEgGnnu/8BEdYLCOFNyNUEyZOMB2cN0q6NjHBZZbwDuXHzh0kfuTkuQ3bDOWM73Tg4bryuMkU7NWY5knH0qQvTuwSQ5ebpkkIXHZ0lu9eD3crtViTmU63DG+gmeEpCL+6hxoY0GooACNdlxW0jCdeDM08xPNV465zcggXGoGX78VAOGiKmuxMqbRK4hqGSz9Er081uEw9IOFG72dvduyqs0ps2EQFtL/uBf9Sj3tFt4D7f+9+nSXTY3/mN3E9WylaFB7uwfOZUpIl4tsS4Q6AsAPphwX2lGTs4OUJv+ukK6xBT+RbYOxZ+j6lY6PPpoO+PO08DlNTXkCODf0Jz6Ca9yBi9nnxJvjObiHXcAimRdcgCSjuo89/Bx3g1FvYvXwjs5UZ07MCx6W4tHv5lR+BeSkYOCUX0wB/j8j8ewGJjTVLsS0Yb1MVNWhZ/nJtzGtIZHFBPEpVUyo9WY1/tKyInmO1tFZTTalAkWvtWB4KPd0xiTKr/Qu6KGZaTb2v9WhLG+/VS1SQqifoW1x2a3p/SA+6K/Jnsfi6DNjB8aW9piKxY9sS4bR1Y+zKi/MM+KeC3NNB8HTi1JKApFudszv6fqLfczarCAviu6BxvkSGo3YsKPQdDzAkjMFswJuTdC5k22EPEy3z3K38OGfVjxxEWlutZV9b9PEZdHOSc7gGkuZjIw5WcEYWSY6U+msOtnMPEeX7DnjwpsLaxLma0Fdphp/YFnsaP/eE/TcW5FF5oR341KyiBpBQSmp24BdB1xucjJByYVQwrUu139fsZ8tW4lPZFI6KXAlFXhssWVwDrjbwz5WyA7oUY6L0bj11nWHFZJkBC9HeiyUMBrukEzQIDIKSQHHoBJt0U7k1cgeqgRtxmhQ5eTWBxajHsf4yXV0Naqm4D+vjalH0snq3rOaO8vZyUuvdZmyqmts8DqeCbu4UpqzwpzLfd4kAUyz3XUU/OWz/LhYJIbrN7oV3ldmFVusDnt7fECF8UECc3wxKUiLrXeJR2lr+WQGqMjyA+PUSo0/Xed7uUeEiT2gpGCTXYF4KvFpcyrbomfrXTME0gFH9SMX7Fb63CiJPcB6arSCzD1zIPasSP5b3d/vibF/eWOsr2ru+x6h7SQzgb+yz2z9SzY5kWxLgL6YKYeoXC60GGiCA27uHvi5hUY6SBmQ7MpMObGW/bpngr1kyWE9qr6WXp35f9owQ9cOrmJ8jV/qXvk4NBCUT6hvJL8nye4VZBMIa2T+veMkKXEg2PlDKzmm37dq241I4lRo/TCmEDvi6zPJlNAF+o4DVIJb1GpIuaBZ4wk4NEkRLma7nbASnKjwZDGFrub41+3hzY/aDTkrr80Tjhog63m5/LwEtd809M7lMDMOkOqmEcBZgrSVPLBWPlyBCMG8cJ2+nNJ9i5oI0VGVRBXr11Sjska8UpWD6lMvSuk6YRS1KyscocIKnLUuye/jUUp8+mevlNh9yj+3q91d8InzZXasDfw3NwtpC4xoU+1d9Yt093AzmhWhYkfRGBxKr/2J5wHs1M1rYpHHGl6F8GkV4srhB4VBagd0WJ9S79b+RsaBVp7L4BgL5ZGc/0WUhtU7y7OzKulO42Ivz5V06YCHxCNMWXTTy6dR+eBT9qOa7GGZXGH4/oCKj372VjFSOm8jVVUW+zU1YmoG0BUa6pL4Lx6MRttqtJz8xqaL/neyzJ/RQCUddjcGuAfTwFZFvWAiIDFpwfmfFr8l5wyiABe4cIYiux81azdHOhkrMiOaAl4pscwfXhQCD4kxDrPAMTpgzBk6eIpSZqOaFGri6k5Ny060hQ5WSOD/z13rCe/WWBkPWRW3peDheE8Z2ijeWtpEyH+2FR3L3gzDdVaw3kXSIXP2QbeQdG8Yj3TcITiWT4zUNVVVDuCd69oR8BJ2BSxKB/x7adNGOvbT6s4fgjcoC8fRx0W5wIp/9+l0g5mqp8aeTpfilXJpDtyXt6m7gTJK62F9PupvRQ+/GrySyKZB3/Sa/sRnR4C1jHNsZZfYIACaSl0++W7HhwSKJ11gTz0HOhmlXRBtz4nnRKs/S6uWmipg1YRrLfo6FcSnO9qhiJharu/B4+07pTf81r0IK+9BAvOv6+wTvVOWSLeKZr2jZIryk6kp4xLL/gKTVfnMRAtWDEVP0YC5/BFbZ7BYD725O1azE0CV9PlKhvFYvC144pq9OBPWT6McgPVTHEhbANE7+ZUj805CCzezoECzPeb1+hrhrbNvEy8zxFlQySWBmCklMqm9eLdnwWi3j/vkQoujkI7MFc0HlxLEVtel/Rag1d+mFNet7dm6YxvFkAPDXJ156ZNg6zPmUKbgcn6DrHxaBTxF5DmkUL3XXLsNru9hQ+tEMP1mEME5ZkuqsYba5jzXhfrArWtkhfEVHNzgpaXCozrrnO1tlhD3VWC7mhXjf1cnRpfzU8OPThfeC/MnNIo30X+8A/N9cLqoR12D2giM/JSzGvmqJvpSwLYc4oOiHcl/meZP6/tp6u6fPFS4kXz9wsywh1gdIrpkpvLz47SVFaOG3f/tft5OhphEH33/ER3KTy7+ssJRjMAgnupIhDj8UxEJzeSiaCToNvPW8HYZlfo3Nbz3dViZOZGqcPwU/awhNTktlHBTzcK2JTrlE7+vkX7TMJ14ztAGUpX55Axeu82juTfIiSpwjU3eWMX9FfmUBKtOL0l8KNd2JvYoV2dV5G8JRvcqBlbKBtGxuAfzJs3l0EtfNZJ/M+hSbxyZUCVMX+V2OFZJkx6cJypZEXVNeWTh7L8VbfWTCzPvtiEyTimK7ClofPhg0CuPN1lM2L3ElJNcMrqw1yt/6BXIPAyRHPL6sX0r351x2lyO0fIW0LCWXLzM2hWXiAr3PdpqOG+5w41PmMGj/bw7s19SUuw+r1aq3D0iutLc5UbijyElJTCReEkYTMlt86f2w76VaJV9euOBDZVv1Bdu0zL/kLa8Sf4BxSh5NqgbNVHMvv8039x3u6zT+8xHswA8zL+l5gT81EPuPx2GTC6UnF54aKWz5cvIQ4kRKiGtFEY7GdtWXlf5wyRApXW8tENimau24flxAGpmR0kCvcuNf3BknsZJH+6yrqUfLwPjPQwee/f0er3wmLdIY+WFMt9JL7E5KpJELGgZxG7X+5sJl2CczSTyTASBxSdL6kjThvjy7Fw3ZgxKIgx0DjFOBrCl6GQLN/nuZIK3w+2TVZ0dsF3KpSwj5DjhpwKnoBnt6koRYwKf/m/75tYD9V5CCw51du5i6CRei0P5BEtZX3lJ23MQXzySowK4lteSl/s36r/86qw77HGBEziwH81iGz13wos7C8V4Pf/YQ47kNz8qzmL71WkHv/mAQAQX04g+xjajcP9SMaxIqIAO7038OMCddhPz/N5zsNScpWwmVoxLCxPL8aFbF95x471Svyc7zLKuveL2wLeYo0BVV1/kglANzlZPkMKqdMzeqCOXeyRN6n1kpL+3IBvaJQ0gPJysPlmjOmVjLLJXhfYks1QYhTPr9Uvv8lRtfTrHv0T1NbUEO/rrzEnPEDYZI21vtYHMBirSF8A7TDXbe0SSnaOoNYroHa9dyHhufdzEP/SDvcU1AvQzigyAH28lFHz+c6ZiZeONlLA3Bva4R70KbPxwkh4LxJ2dqmjgkXzWy4VwVplJGg8rwy3Q9260z9DsQAQ8IVz2NXLnVoi4VKZX5eEAFVGVu78dwTYYEMEfiHQvW8pZxwoeYf7E3NtuHzLTpxjPOli/7gR8COVsl7+W5velXEKkuuPGNn9r4hzllqTOtCTUXy4zPjbpoXsHhefdwYgx5qGtpmNKpXM3iiUuwfotpPpswbUvlakTJATc27Tk5SC+wJQ2c+UfKYAuq/suet+rbH67HaGvv7HJ99PLShV9rzhfUjz/+alIdus5NT4mBOb6hvtiy3ibz81M064/ttPoVmE0jAos/BJ3NBLVW83wHSqi6yqW6CvmOb3fNfsL/iUTezQeBRYim4feRNQwokxNu6MB12CGUcSbTkP+CjHVLtL9wx2rPIMmB6kG46bY5uauvkVeYSyt+rTyb9DS1HqPyV3rCK5DprTjUFDQqyBG/HNMX8rSd8lLY/Xs2qRWu09VOPHzY85sdCRNkCdlAgIe5EQy/KexnNGy35o5i8R5PUrdJLqEGDBRAinoRlxYWXBlywAlWstB8er1Nz9HBP6kYN5esgJ/ZFDHYqUi5v4GSMphuc+SeXR7rjGMT8G1EVnRLAMiv90rvv3YC9OMkDsfk5LDnXCo+bFBqiJNCuooFiNSuYr7dXYbNsodPQkc1EFK6H2udOXXqlSXozFFKqCKAGq60f95rsoYw+idNl8Y6FMgoQQ2sWpf3ByHnCSRdoXsykAHmfXfvROs2mqe9+uwRRIZj8VRCPkWT1rPVaeu0mo8mu2gx6T04I+vKh2SERiqJpBhsc3hP2te8c/WZ3YpgqJHaxazRe1fwo50JVvpLCqmBr3gEY9gJ5S5SAOkgOChvwckIe/Py9jxnD8TbKYgLjEwCmuJIZAmvbPM+BOne9No5reqiHNCtK7DjXwWrmMkH4A/WP6LYov8VOmV1VwlAupF7BcSXfYBXwQGl+QVw2CSvS0cvcsOMmmz6bQgTnP/oWGLC/GhaZc5H3+fL3WNVMdUBUCk+67fGNU8WyqaI8XI8sBU6kcyp3prKVFHgbPYJlcLhyEqc0Ozrw7pt1weYTkugnNGRzEx3t++6mvFznYWibz6dS0jRaWPNG9mwT4L/r6Z9/t6g+I8P68SxvFBv/QWW8UY1owP9oFiqNE5IMtXSXX4CrX1sWojSobB/2n6iVNHX2vM4U5OCBppjwH2S8fWMwfNUVCirZytqq/gVwvZWG4vR6UZJ+mwUhyfIqMxnbqMm9jIS3KbWdo0xjoyJnMUWOyZfJBfe3QvkcL3kgvanOlPXd3Sz9lkbXKfWEpE2OBSwlI91/4/QZnnVaW7MEm9MqM0NswJ1Xvy1YlQEffYkq7LFDiSL6jKYbZl/qxPNFZGNP7O1wk310JJixfZKqDbJ7r0bbSPPnerDp3JPnSuy8NjjWjPHw46UMkXG2KnCKD0zoVF7CQ2IDWixuZPCZziEM9+A54WDopI1PSLsk2EBZUAu7WcEOc4VbkXQK1Kg0ppmuCgsb5w820XxriZFxseB4f8jnrN3CtpBRAm6r2NRnKFPuUZv9KbbrpX2g9eEg+XWKznJT3GplDXQfGYnrj4Wx5q93JTnm0Ug/kzPeuKuOjVNoAqFYffCj73Mt+rn1BCyOhxU4L5BTLyDhpEHgT8ZeI3r7WtcsrWQNnaIWdsqzF87h0ga7S11+/2LB1cfsDf//V8OePNCAgl04exQaKVuLoT5dKsrG1j6YqkblEJT+/Ic2qE7ewbuuz+abIzcN/MvhQuh7U08hyW7J/XKjbojK2/QV+x5J1u6e6md3i2OzrDoNylp5zwy4RGySQGQBNvw/IM99xj9NtSVWL9tUZwju+IuROO6HL08yGUUnFCpUtPBQKNKpxakns6gFdjhiAnsKOxOtVvFFb3kuJDQZLDJON3AJOEgTb3xeiflXjKOhFYEsJ2oluSVUacEbziZqdr/OpGEVHL5NOKCQ4WyLonVUGXy8VWexbbyMbuWZv7ie7pld3HUmJOsoHUfS2/bC3gnLXvcpkmTFuB3D8bamrdApIb6gGWdNe1HCVcurhYc5OkdIIlG3Tr/NUd2W0Da3+yIipAh7vO0LqSauybcNDbZnLy8oX5kkhUYIdlbQwSb2u2u+y3Qe8y7ef4F6SVZPp1Nzkc+GW5cfq94USV2Luqfc7xMZOVyekGDm9CBUdprSk27ikS4NmUbDjhQscCaBrf5tJtN2d0n7nbStMqNjl+Og1s1Ha3LN//7TIM3AaZ/oE8QA35FI1U3dlj5Rzo/x0hizmKRHA1DW/uz3ViyagEDJjSLrUBJEUHzj2HkLqy5aNRcsKOe3emvM9iNUpNzE+PAamUb7UmG9TSGuuGS+yj7CgeR6tcvWRVDm9NFDqukQUqu/LPQxppvAmfKD8km5iqaiEy0O78ZHmaYGySA/nTXQ7AyrVWtY+cn9a3AX25OJFXPG7c7Lwh6w1xAqE8/HJksfOy/nxlP3SdUGtRqAjof8c4UZ/r7grmWWS/NKXygEtmQDOwGhTRUfXSeuBLpB8MiUQDJBaDEqv0SFAidPx5EvFDgxnlRe3TtBHktCzp/1J3jraH152tXQdnQclkc5+MVBWDZVGaBw/jymgQo5P2dXtrJ7wV//AlGV9koAZBCFfQbTQArc/s6pRdbkQq/8DOI3cgggsNPIYwDDhZpvlkOxwUGL9AYqtGQn7pXLMn/xwfm16CE3dwKGbqvfaHcvaEwKPXMFXa3lx8YUmyObQ6+tVCSeKgCgyK4ARKJOqlYoVPLliKK9mftdg6a1YWXs4q4ZmkxQIFLbYuZMESghoc/ZYt+6EfmUG/8BzDTav46Z62ofQHQ0HN7ig6qwwksxlXlyTKO2EKGvEO1n0A3z7acrtQkjLcM/TcJf1CnfOZh4laqSz6yX42aASBi7JnXh8kKmXvXZCT22M1B2rbx9UKlxh1LWZ83E4GMdVUHEFVnTIZzoJAi0MBo87Otg0yq3mYBaYgzVzAdNpq3vnF3yWEnryl6IUjk31REfHI4Gu3mzaOdAJla/LY9DSTU1MYv7Ney+tghVX5M8TiPmrcPIc1EMvphTogp3UB+nI05U3XJqGUMJREVZjfZteTGi7nu9Lv2JUS58wCFnlkJZtRS17E2zf3WVWeB2rxGd8P5T2PDOESQVuGahCX3VobpjrhXbMBmZUambQ2WCUfB2jwzgF/OsHx7pWrgtZjNZFddcBUCtqMofOS75eV0UbjTWYBjsv0nRS0zAGM9JwfhxyX0M6gpwdXuYB853C0H+FWqW1NhTf6zYoZUXX77iBfU3ZXr+NBm1fidFUQunkdMMMCLJiwChD+LVhW72qJ3x4KbNcUm/RA1sG+OtMYVmxArO/cJ4fKMU3uJrk9yDEHooMOf2eeD5FktnNxLevL8H+qpQZ4+SjW20RchsBvz0GX35foP5A+SyB8JSBhoj4Ho/p6dXLRQSoSGBECvFpjaJuV6RL93xD7haAjJrO9vwmJ5OXedwWXGsOj0yyZPbxxUVOK1KifVSQGVK26QrbR8He6eqZGijGoRjxyTM5WCQrBcM0Gb3Lhp5bXySnq3RFp48aGvI+EkvQJD26H9WAVfla8lrz7FvTqZh1TQrSZg8QeqMtHw5hojXJf5X43yFJXRBbI4LKS5ced4pNBFQm7Hrpnv4BSelHks93dZNETJZKS6MlgXT9cZDi8M6VevWbXsQmW91jivjexjEozuDmzHoNgJDSv60DGvxq/SE2NJGY2pwpMTjOBaRWUiq/2scZrJl7aF6pu/sVAmuaiu/qxZWBsfslHlnPzUY2qff/GkDX9rV8QkxSbHjyw7bsQ7pBFbv3hcGMyp2fsFyIcejONUh9BJTGkYHrkXLkWSVBT69Jajl2ZPNC+Y9LamS7p2byVdk23/FgJ32evVCwamOauY86jmpcCc1ISmefmHGbPQc+Wb2MeSDhMrcSl8eQds5KmOeUEq5dOTyjVBNVlnp++xesKSk3JW49/KPdFE5VpZduPSZ0GpTQR8MFM99lItRRHX1D805JiW9pBXvqoRfSgjktoGfdIIT3O2gproLoZ80fbJuwYhdpWAzLehPixZVBDVRzdzsb06Chc4hu2TyYAcw5S151njkZaKZpC9Y6VkDZhHmEIncIwnXjnHxAvfW0V3ej1GWHoXGvWwuHtXQ14p93seq+vkJuMmTFx5r/aQORovWoPE0vZGTvhv/SkacIMvjXX/8KU7VKUjPmvx691LSXYryo0lca0rm50qLH7TcixklRFmQ5A3skmUHCBPc6ys5C02s6LrSQmD9Rm2X/gxuycLxLEVwR+86/9QsoV26cjCSPPCFNg2UrWov5UDAVOeeT2zD62PapiC42lwRfvKXYqKeTabEca7RJqCrDHncyZLCTGENN7+O6QH7EYnsdD1f2C+8TStRmLUh9gUsNf+kP+PEtuZDrdZ1jhDUpBNHBrDB+25dJPWURkgZLtlUHwrHQsRoMmKVIIykWFcksH6GZVPe7OAXob6dZvh9lGeZAGbeaYnvr6nsV55DIyFRz7Kc0Tvc267G6rmG/ADGiI0hvlFchf33FFKi0RKi6U6l2fsyQuMNp6dnD39l0QmGcXcWAcYk513EceoD7vomYs3l9qq/ZnTSxkx9uAawyN9bgMKzLd01379wr6LoMO7LpqSaQcm3H5KJoiZ4HKox4Tr/bOd0ljYC9GRqY8oznJFEViLegkdicTHCetmjgzMF3uZdNj8CpyiS67YgCdg/8eYbcI8L96Z8E210a8nYlkuAEhYkz/uUHi7QZhmoxnv2GOFxFhnb+N7J67wY4c+sW5cZh3u6LB9ioRL4anRELmiEAhklniSzkfrUeZUGq3CnLJTx740u57E+oFukctyIuSTvpbn+rhwhauTkRVKiNRmm+fVjXdqZXK47ec5veggq3p0XyCMNmuOn93qkj4ocCJsPYnKRKanx42NcvR7po5kpvWODdWdovEuI4X9HzdMcRN7eO0DH77KX8x0xTSl+3szrNz0eifxj5b1LsSA79kEg7+MiE66iKlFYs36DOPH+vNRtphTMfknD7JY87tTop5dxYC0AUhQlBAsfY223gPGQ5w1oyxqbdlPJP1K8ttjYRt6XPrjrBDsJeLgfjCSZ9gMiRnDtmfM26SIxjInX5/mFe+cMqmbpI5+SeM2/pXjGO6fC+0pb+s/qXYzo5+XeerA+a72KgPc1uKsqSnkMJzBsvaIriPrslBwER96W/oRPZR9lvHN5WbRrk6L9BgFGCmILRMnUFa0+Ra9OU5jkjG0LKOF/f758L4R7q+COL7OPU5JivIknYBmmgzBNxOm4rimLR6trsZ4umAwbu06EPtwrEVx/9EdwxAiZ10/KjacMVCYk6NPZ59OLD0icX/WFcrrr1MqJHL9XeG9U0yxqMKd8ScGkON3Ti/AAsrVbxS8tVz20Ird4rgU5WG7pPbvBbQ3FAQPhrld//rfrvb7jKoPv/9+weP7/9DZ/b70/g3HzIi873PD/HoMWJrZBdL3vXfLj5jHkbRskWBKrXf4KcPI8pGmjuGVLToz/PheQjPa06emXIKs5L62caJuGtDrkqfhubwTFsvS/UD2pC6KnpPjYRl3uqkFeP1Lwlt2w7AWB2aapvP/3t20+BGgasaOCiJ4hKgMg7dgGLJgkqXbPC+67tsmIyVxxI5DKrhEK0KrmkWwJLJNgsQm8svz4V5BvkfCtwvXYBTBIylskM2T/aAcRs5CapjZfUF85FZMlT+EFy/M4wG71rhMxJT0wua+8TW4CUO+SqydAGMgfzE8IgoJKy/Z56HxRBU9FPghDHNEjBRKQURIypDJka7HH1XIvAbtfJpZnCge5WOtox3xfNj4zWvzG0mpnu9We+9Ftb8Qomub2PuvYOyM2RgnOTYjPFQ+2e020TRQ31b2Fx0Banl5Bys44SV3WNdVwYc0bkiAOuOzNrWPVLjaX5aHASzCiFaZ+Y6Vk2/0GTxA1jLdxADQfWDfmozqocKJNtTGS9UoG6bfZi8MoNF6rzcW0M9Y2UtMTcWXKtipQWFQtKP4MlAD6rNw1LvlyNLiKqWZ3qFauzDNUlPX3Uca8S6IO80RNd6FCxqLd/1dwIO+ZyFZQ+VYjs/Km1E0BGDWO+yg4ZGbkZn3xpMPkgp+RGhdfU3qVA8k1v+4v7tdJFrrvXJU3sewecT65jHQCzy/HgraWbpDiUC3dh4Qr7LNreJKm4aB+OeF6pyRQZ18n2TrJL5H+nfFA79Q6muGWEB58JUxdQIFUWNZSCF8dH6KndfOktqUEPieT9h1UPf1E4NGzt6Z4gNX/vN3Yfy2Np0HNzi8dxYYssUgT9VgBW+VqldoHGYBfBkhXLnefmxKYZLfq1M6XSAr3qDxXiSZLyJrsJZuFFHehPqePsQ9aQ5EdnxHG2Syv2S+8AuB2Ay7ARtbUUAkaXkn08efLQVz1UdejllVX1qgrzLlEW2VxCSiXn1XKr/a5r17zLWfZnL6S+UpU1oLVG0FfVfEH96Wes6NZXU1ah4NRKBpk2Xz502mbTm8dje452gf1ZBSOivIp7nQabZ1iEc8PhKkWs3fcjK/jHxIvVfyEYoPJLDk8HW0CQdg+XpfEEsfPdZ/1x+cWKGEzjMiQSf0gmU9btuWb9R0VGDmLolX7Mu/Q7jdqrtWH9jUDyqbbuQbUbfWkQCqCN0MK6oL0Be7PGE6ZfGUU20+GkzQ0F8/ynan6jeByhnrdgjFq9sSDzHmgsMD0O0jtnADsuqZSMLsMlAf2LQxWMCUnYwVUJkbBKAlyaih9NtAFWc1/iZ0neJeuafi44EjMA9aPGKGtoJ0gf60bbJbnUr3XjE0K+/TSbv3tYvHqAs4s/1B3InEV9ZQ1UuWjtc+98a41z9u1HWrxdmhHwv4CgxupiFImPPQ4lveUo+GKgSvNN9XeI6nfpkJ615zXQ1zl9GOdvlgEH4depO6Vx7+YcavaMBykCBeFZQ0GucQM37NfT3n795At1shGkTckgF/DKKK3Mw4I05NAGWX4rHwEAksfK1qzmxno4CJdvAQXQZgIhOPW1lPqmNlqdA0DPImVL26doH8fGwN5Lt5CGKBoBTBpjkgwd0YI3yaKSHBrcezB0AUGqt5no5v42qEy33jy/AYdNPH6RRVWPwRJkl9/oyPG4EdL33LoYJruAvqs3KsJ6H7THoyFzTk+3Nb+dVgozbM4vLkBJMYukbeRlKhoAWF55uPuT5J4OmlIVVje5a4GxD0qCXmKkblftr3knqp5NK9gxKo6z2rBiP0JhN+KyUtrNe4LtQE05HdopwtsdoZiGU4B5hlaBbeEC/wI1tfaTd2vaa5dplW4O6uxTEDIiWHrBm/DO4XpQZDIQZ20PQElnlCDre/WksdPGZeG7KPGPyNrOnXINsN4jjB6NU7KPWBAZkA44xlCqZ7wIf0h2viPPms4BC540SJ0x2QkSmmRp53vq8xulbeQOu2oocgEe1iWvn74Ndy7pIhJ7mnEpQcN9l1qZS5cYWXQ1usYs5HGF+JC2RgHWf24DdAJ/o7xqPVg72IjKZw8Co4Z0kbyOOcaY/ckD1rwERpizb4mTqz62oIPpS77qlV+j2oqh8F4e2kVzc5627Mw/74vRCv0Pomglrj7JEG4mPdSmZ2Bs0QMpmkb5f9gOkmTDrL+k+zFinezbN7PUc8/3TRREB2BryvLnY27oX3+zbG1SbUk9ASD++umF3YIUxn1/gG8OPh/j3ifieJfHqMXP3hVsE7Q5La4wRl+b5+YdZcpogzrebywaySpqwrrMVY95jFaH1CrO0ebiJ/nqai9QHVqJc/17mlS6zH8rzKBvY3Mhqg3xphkzrBifalroXZVH83hkiMdSjS+ELB1z7uQzdnIGa4PxhJPBnbmx/FyzrCDgblTL1qk5Lx6m2CgA1NSKJFk7j/i9pKopqYak7wtK/l5fq9Qz/1QYI00hkNU0FxStBCfYg2HMUOCO3optWqNExFL5JOuNeXD66MUZLWDl+CV7bkdk3hTRrTKRi9Zc1M29cJ2N2+imSGsdOKn2LRijquOileBu28U2Gjvj+JZo6XpjrU3julhyy8F7sDWpXcmb5P7RjuvOyv3Q89TBRz7URD1v5Zh7lQ3NapYTmmtsDUaE+LRCeUHcDmgJAtqhjiSkz0Ig0Wre71XVznco/BG0hsoCuF+55JCQVpM2gOxvC6gVf/zP3s2XzAZc1dpdJg9Jkkd3HE0WvpHwzz9OwjfgQ+fPCsupO2A5+uluBksgA+yknb9oEnUGVuuktKhIL6xOC7SKLyGJWElwBokKF806Qmls+fyh4cuaYAYb1ydummSdDJpgSXLmxT1Jv5AmS/71kl/hX18AWJvNt8S+Dp7SL8jdUXDJugh2x8eGAk3jNtKRFf92a0aVaOrqEeIPHYZF3hFXerVr2reaVzOVCYGMim7P3gNpaPo179N5WkRzDrghen6XZKxOrSQjS0+Cjr/8x25vpFegWMVqfct1A0ORlfdhBoHVKtZ/vJutbSZV+QiYpVM6t5WjBfyWtMrv2HpVMxl//Hl+FryF1BCt/64atrcC6dhBT9WJ6q1hh8PPnFdi6ukEwxS6+nkzMYKkBsD7kpv1QgXuCgznPd/MjryMgnUKXIwOqRB7bRdeWf6T98k1pzgvw1nt3bCycHl949KPMg5y1oEf7Z6mPBLZKVgPxlDfwIaA5Tn0CExnH+O19m7pIln6f6Fm3azA2aB+hmwHUCObUJ2qLQ/rI/gdQbm5nQ8X4zfjcD1SpOxEDYk73iQYjSLrVStwchnnlZQd90VrxjMAElKaucVb3c4KYoUYynVe+Z39FMyAzwlM5Lbw8GWjnKX+oW0kyJWQb8abOK/CGfsqtmvtpeBkrnAUmOfd8+LJ/vfpNbVl5h2QXpygq30niYGAEn+V3NN7WGUBDnauNfb/RIHUPWfBYi55jotULFoSiBwqyxQop3eOgGEdddBUfS4vrvc6/Kvem0GOuLNPaN36uJHu7ZiQd7lV1yJn++vTdLJRHdavbilscKkxnQJYrJOEQMkTfS9G1RJLLfLjCo4XiIjOk17k/Btq17J1F8pVL83SgbekPdNjJLXcp3vo299aTkcNWDExYlfkOUjge4WIbB+iJ4Pskn3xcHlRqpq4mpp59AqiNdS5JytUJ73PD6GEMcmlp6uM8+CicxpifgHT2U7qkhaqYWhLtA4KyMlye3j9bWkKZKm5boRsbxdKyj4RSWPCXHv/Jd1rGM7DIrtK85x4fv6y+GpDn19XPtPUScz1OL1SzVQuDatY1uhpCdGnZ0gZ2aaHK6O5qgHip7COGw7luMr07KjLgR0Zrdo71gM0D4tFnlRq3pI11ej4M1ZXb6t70KkKyBSX9EGL09hc6UpKt3et7w2RC+cdAE+qcfDbvCUw5Yi+D8afKNB7VQkBjMRnutwW2Rgmy6l/j0jnajiOXRw9kMnXjpgvXaTeuS2+EcU25qCtb+QpBZdCN6eIu8SbFGycX7s5J3i6Uk8Thdunwe8UGKeEs9pO7q4Rr73MkvYfhna0Mj700Vbyin44V7bkcq8nFvFsk82+PrZmOYB/2H/cCppdQU6dORJQyniImFWMb0KiJ3IAMFZjj+art/tNAliNeCJlHVpHUEGvLvV1zOzijfK35lbThjHydVaECqQhgrL9Xf1+9h3m85DOPlegECz9vt3IpLrdO0Id7GgZEbc0tqiXhiPVPNYg3gMRH+9IHJNyuPze7YqnOrF1tm/oeUth5yRZqHu2i2KJdr6o850icvSb+9XrSGqDjrguSze0Njs+NJPZRNSn+gYOoq9wNJZjKaako0btn/3bwRaNISk1/FkPKtR9simZhH23blTz7r6GV3m04VYsnWIOMuktNTjRNEs4jYtkye7mKZRYomH9lHorfyZTxgUKURkfH9eDsr23yjei9mbx1jpdle5GX/xmLTHkg1xrEoPdZF81r/1JWhPT7oKYVMSsh218CziW1sbcEBmVlfFgWnHe7pHT2JTNkYsMq++syZOUad4hIXLuE/n4uSDmY5LUmuxKZj529U6dBCFTBUuG3Opkx2a/ka6HhGe34tJ4E3nk4DO1MLaV/xGvgXmplzTKu5bpAkFOZahUoE9HTok9zS1U0hCqzM5CTOKsmOXKTrpszEBFmTZS6qYxRAtcG3bEV/oIayAVk3EMvDu0AtYlcT9lzyZDW/SXymz43FYMt4rSVRdPSUBT5HUHjfX8zsGtDdKn9Vfdv3YuRcR2hxkHx0w6zgtojGP+c4zGO/CY6hYoSwF0UuaThceXry6AqZwPx6fsShScGqn+CVR2YVm0V48c+H//8hvJBV7qU+9ktfUCnBdXP+W/yQv/RQcKfzWWYB7xOn+FgIGbDC6/Qzot6OBY/z60WeehXFlDHuho7Dc6PylMxhj96PvuNBDdxug4qvoTPTyUWiix2x9+puEqe+CRx2hZ/vkJPnaW9V3yRSFoX9LoORhMuiwR9LKumjoaO8MsqKAjgLozT0rNFVscN30GimPDOUx1M7vfRBnJQ7r7Vi3yobuKknK2ZVWJVe0C/VnFLBWJF5A1cEzFx4QCq1QhUSUX/esxATpq+2Le0Po9B/iIYsrfKfTOq9CRikj9EFPblDNM8qdikIbnuE/5tSB7rRDN/SW5JjcxJ2wb2qn4N+JJoKNk0rw7DSNkH+jedvAja9xsx+w11AWZ6OqlH+raH+DuXCTLsWRLcIOC+EM5ZLTBqTpUM6QYK1e+y+MU0cze6d0z9rkQpw+yg1rHhKzvxl1PYjNfdzfXRcWQARW5PUMs5e/npaGBqWLBBxhWPJJ3Z17yve8bipQ8KBNw0fadP+aRNCDU3lNloLxpRFFdzY0c9eM5Z1MCNi5OqJaRII+DffbT/9Va0As1atoRgUJbE31AglR4ccBw+MUjkDokvLcSWZuB5iFNIMHQN7xmF/K29ve/l5UKvAmIxoGG7tS0j6CFDyTEn6GSJcuJsLGrC/oEDdM6MAUENdv0wIpQwPYrNSDawG3Nxi/01YZBvZ9VD5jJsPcEkwUsrFvoNLlxs1irWggI4DYkoo9NOodGFXjwSSHnP8BWJfSAEiObVYgcLbQm46Wulok3ynRn+Vi3bkqAPqdqHjmzPbvdcHY8IsWI0l0opjvO7Ke0SL8CrXqeeJa/X9wymL2PA6QpWXD1pkd+Ss/ch76P7IJXHJIRWqA5Y/gn/ZO1pnZoazCvihyPn/+2Ntxz7xjdWJnTHHIOPiXgUieMZymCVLpVEisDvkYcPGPunMMqEpZMTPdmytVLgrIfhAiBD8Ss3H32uWE7EKybxSfo9EW/awqjDkz1vku+rFgRmu9SjowM2c0yytaQx8f57kM2LyOGq826lmNrAY02NNqjddYZfAdN9qiShhOMw45dkvwB8toCOFGAr6EeU2nHxrL4YQmAIJnFxJQ5U5umR1JfZXdNv6YYOIlMcXBObLITcXu81WMbIIqeErQwAjN6EwyNaWnqg893nLAjNe7JynZ7qhgsGXZODXe4cplJHVYHmWbCyMndt7q0uqbl1viQwkZ2bw5FcYJmJCI9lieGW0Odznc5+3zYRgsBv8tKonDTYhV+KTjukL6GPVjxA4FG4ppQQrWW+VTEJHttG+9sWmYfqSPrrjlvLKPDnU+0OCjYFYZ8Wp/tgJnaKI+BW3Eb1Ck3mJOeilzGgfxYTn9oeYJ1S7RM6t8bFyWpRu9mpV6gEXxH992mZJ26uyQrUsx6b3VNM8foMZsMtrE3yljrnwiIghMtv2f6s/sjww9WJSXBCxFDVzweLTcLKE+tN931Wty4zemRQ6JqIkQUOZfkWPCXCWaNO2Eb44/6sVELp814oc8DtHezW+qovMZO2enHKH1vBGTu+VIx27tJlqcs7Zho3s6XbWkHdcz1GcybqXHwM7F+dfGk6d4uUss0iRS6gPxsh0F9vVqwwwAk7qCkF6iDoIlyS93NpppI2+2k/rJL8Mxj462YGd3w7EG6/14ikAJmftGTG74/wJETifLWjC7YdQVtyj2BnmbQk01K1oxWDarff/n6n3+Awpx6rxhcnSdot01LglAOg2bfSp/cuZUR07wShyPdE6m5hxpn8mYupTFnxZOaw1QeKTV7xyI8e9+LlY2ehuTP0ZNKibEVy8gAI+W9YT0emH3L6eama6s7yW4OHxdgkST61ABiNsY0kIxyZBoHB4hGDPVauoe6p5Gu4wB7WLkCWSL6cgNl/eicZh3TjYAlucMXsFRPyJ9W7YJzjpgyM6ufIMw8N1cq19H54dBnXcYz114uxpu+Tmb7ZPZVuVPhvaLWbtIiuSV1AoPqAbc+wzMl6mareqcF0brKER7NZuclRiZUj7VCqsoPSO48KJyzWoBJmJLbgoe4qfsyTaA8b/vMzMgburDJSXwnMXbGcPrnSTHI7osOwzZp15cmv/vgmt6/TODglGP3bWJ89YKRJJk4Ndd2ctDuZZnOfpa2U4zU/DAPblIqSUKiDGybbr4iXr4B0wMXy/REGuhvH56TPyJmmHxPG01Zcn/2SxbA6lKLNk/szD3gCVn3r3VLf3k2b9EGCp3S+PRmq+5djXt+gUA0WtvWV/zuN26FXTBIwCMHHqwGe97nsqEcsY6x8D3dzXQh0PRBZ6/uKeLTdJ1k73Vx4/llb2Q4pW6p2ypdUgfhLJiAhlbzOQ/PMSB52dfLjBHWDiGoNaxEfJRk2h/3DzCzWY5JLsmFrSl2HFCPwSgptRBsoD0XVQUizj8bXgLP48HhDxyWEaLiilgxK7CYa4hONk7lndxKuzChp7zM9zfgOwKcQIM1FAOrpe4DJF7DravjhosTVVqYVyYA9WJY4GiQH5aOTJlaTWzcD60m5gz0EBa/NMNBgfumRJMQAfuBKcAKGKkCsVT7MfeFkwCpEyn+rluHGrne9VC+x6YZL3u6+v9Ye7MmyZEkPfCvgLWyzOqSHmZndc1wOC8rS8pesiLLB77WwxoOd0c4AEPhiEiPX7/6fWoGwCOrqYpYtsxURkb6CZip6fEdb+E7Yc0OA64PnTDSPoZEq7QlbGC17nNY7CNMYD0kNkV/HLIS1+N96LopyqOQHKtknYdFzbT0vR0ucjiaoA0ogmbV8OSlBoGoJM0QiAOp5F6biFjk/g4aDeTphzQOdkj1Am3nIMpUk5pEXeAE2ZgiuWt4UfkvDavWJYLHnvOxZSAVrW8tqQYCvVLQsR6Kvf+mVRW17eaWIoSrLTaefEhDt5rE35ka4jDeTTNUD/djHwzv1B0XRkVBFgoBOKC4PTXpvFaYvqjUn70usqOn/NSqB/IZJPQqab11DZqJ8tEZAZdRKf4e3SaDfNB5O6dNnnbrPDd9aUINNWkkVI3rw3cyZg+DLBckdxtiytF1Ex4pSeUrELLVZANwbJdbE8xw/I2uMtVaJv3fuvj5UI5fptgXEIzVhrrVHbxKWlU1yCGS649rFIMPMK/DDJsHmjGdk3GYu7Z2SUIlEZ3iunaXBMw007Ams1ZAU9V9VXFwRI6TGY7IVMo9U7PTc5cUo73Dsu8dE82+XKtA4pccrHPRomRakE52SMOdZtyecFO216IOdf347LSBwlk2hY+H+KN4rPd41giNTIV5jIAkSPiAOl1StDDztl2Y9myfh9nek3MiEAgQnh2hHVcD1GbTs9yqeykFq+U7UZ5ucEBZ9MFUQPV2BpPkRkIF8gXMyBZV5mc83+5kf4VWCbZoTpTTuwpD8UmCzeYemdwZHROAH9/SvHiSDvckTzS5H4Ek3UEN2FtzSc7d06HLcwkFsCtj2VwSw7UBvEcBvWgSWm+yXsNsJTL/k6xIjMtubaGaQmZrKE8sFNXlarzAUS0P8FGifdUT+HAiJdkf6xtp7UTb43aZbIJikkxjyOSEsmtebbNy0L8RBIZ3Gz8G+kklVXoXC8ck/8NN5NlO2WGylIqcmJdRgrZJ0VN2TcbEymUdHbIU2RDN7w3UrzXPYhfgfmy7GWIcTva3Ztwt+ANtLcFYVsLbBPHrOu+mtGhcaXLWc81QPXo3FE8eajeHQxWnbz40g1axrDMckhU6MNDdU9panLfw3lB465zKl+zLFnrWm2OLHCMnZyGKotEPugdETwMp2Un8vNzg1tLWRfptLenjFB9zgQq67cd1aheqgsPlMnQSSEIFHAjJWO27HXUnOby6B65jd8Xk1F5rEK+WctN2PsNwF4tGFh9VIR6//2Td2gxqyY4bJ/QulnWi0LQCD5xt80P5yF2SmRjm/s+20V09VzdPf1h5XzpJzZxglfR+azt0cpOWDoa5ZuxRc5lTmOWZCrw6QFE+vsK1/Sq6+W0XaCE50E3zItsGWzpOSywbdj7OtRRvqLizqQWG1VnbKkmq3qeA30Lvrq3yv4JNlmKfOU0CshQ529avJlrerJPkXXHDXNedwE0PMVD2SI8qM+fQDq2vZyLNpVuXj3wan9MTaW5rn+iWnsaXbs8sjOyKgjQwM9dMx9NUsoCr6dx9rFyy/TPmfDdFqZjRPUymvwBgDFLY3q10pOnuOsR4s+d194ZFqqfwvEgwnoa1N7k5vGrZcKtwuPP+kl9ay+a++apyQcDC4cB/TOtY7I6rsc8geqfdamjflKOA1Ww8+NffinuY2ALsahefAa2TxrZwjcOdDSA4U8xqSpHlMVL33toX+PY4ie+7oU7d7JZ4Q4pujuBJYS7cdDkFrGW3tb4akgfYpgpWm0eyS53JJqg0cg1rYzZdA+OWBXajLlQ7UfAtsksQ1Xo0CzHzs/a/ytCNGf5u7bpybgfkPRNwqJiPdrZivJYmMOv8Y/WpSTM7xQixeaRJ8C/05Wi+V6grLqY+z0FEIfkseSaXURU3N8zvmpqSJ87FDQR0BAl56RQ1xzMtHQ/tzpfPrf1f//l/NrdsyrPepAyx7dHV1Q0k4yln39Yx+98fq5u5Kk6DilzZZlrm33+C1lFqHKu8AftBPpEDZf0CXX1rbd+u+dG9tuHLrsKfh2AbSLLHsmT+lvQ2zcY++Sa7i5YfqHztHhVSItcN2uqi5m1zs0R73dQUyVr1UjRflxvc8jYouGuAw9EUW02+eZRiQrFf6S/rzmB/LeL7fyjmNygGBJ6DtlLHwXoVIjJZmj5z+9OMHON1Sfhqm+UQXtoiGwclBlBmO7jC3C4jmyLOhk+N62uHnrrLYmR7meU9LO/tPRFdP/lqF1yK5C18cGNMdl1ZX+queD6Wuj/YmZgNK9Cvgq7PyR4Q12tJFb+tT5LGa+ZZhdbR39WEzg5rNg9aAwy9tPJlIEjJCjlEy0uQmBQzJse/VDSmdHeUHGP1EjfBDyt2cq1DOTfJDuhzPMpalyleZ09L9rn03dwGregROhqsu8qxVVZAlG3fvFjZP28+Ky+bxL211tI0MpP7rOXZeggnsI5BOUtre/brzDb0KKk9ZikYcY+OikTl8rN2m2tVzpt0tZvflmizGYAlfzuQas01pP7DvvKcAnGcnp2Kqom05pNXRJL5Cj4PGaBFXi7sp44BAlLwGV8X7HatTpBjb+rsZndTYZPOQuTedFY/HLctXNFRwPDHVsmRdX9p4COzg/DTTx7zCu1WoPnhsY5UPG24wpYprPVZZMUq16j+DISYsih/2jN0fmYdSqNiZGUtlRQ6WeeGhVPD2UuyhDceDQemo2yUSr1iKNugujKe/fd/Tk+WBRCiW9pKFR2RhG841pMdc7XIkEjWzJUVeBVqKUtNNXkayU+AJ5OalMwOU5M/0eY/+3zoZreV1xytLP84zmwlc7DlfuJIbINZb2yjVllT+E7WdVvDmjPRcZISxRbVyBZzqBIuO+6QP2ZSmPzoRx8d8KLMk7Vlax5xR8SwR7YGS1ESSYfSoSp1fdQuZPKvf7WbI5oKf5I3c5CdfLLWtjLQzRQLDRy2z1BrmAkUFZ5wMvFSAoHnlBVPXn7zIJHbidz4wehSS/NLS0F2B74Rjf07m3iv6JlMMV4Ow06I9sIzNgcsOb9akxoliXtNhWQVGDbz/C/oxzWXx2eIYmO39oXH6koL1fMCAp1UiGZLNk9+7Npe2dkVlPIdxlvNNFKP4tAOM99i1SDSI0GczE7uGBqobFLf49SFubRXyiyBVqBR6hqmgavFEa3L1iNJNjRQ8/7eVtFpx5r0G4v6QQ7ccC8owJy0Lln1Lg5ezXMPxrO6/ljhoEE1rnOXUZ9YgZI3zzwFEKY8J1jakmctwmVd5EL8g1K8REmiGuQRc7BnRPQgVndun2xmGY+eiGnRqA4wT7Ws6HOTg84GnQ+R6F8XzHPrijl8WtOG8GNPniWNleBpZWLgdycyMvoR5i17kkyxMc6bqZGNMkbzQF53NedgoNxXzQDqNFUCp2W9WElkRBpPOS/Hx54iZlrNEjA/v+FpN3gJDHHB6QCc3BSwrdGxHdEHrCikcVmHq/5ofZjvdLlJ2dZ9gF6tmUltIcDm6KAhnDRX8wzXBRhTnCL9oYmCnn2D5bR5Zf1fQOpo5BCtOjl4i0xMPhfN6bCQge64xHuPvFw7iaNIEVKzVx4lP7cz++eTLSWxNbPPH+/q7bgPSMFJt+HpMXZYQsjww5ujyud8QscTHN14G6EM9y5rHmL6DvLUkC+rrQirImF0PMcb+RIALdwCi2rVdjOD49T247y1zfxyCitYzKstY3Xw3UxdHZvxqC6097YemocDtVbFDpxqRpsLGJmb9Cd0Iz2KsoqkyMJKOhneJCacDj2qHEAXY4X32Yc/tGBbshohOWhuJfSzoiTlJAQMQ1hs6nXgZG2CCd85TPNNjXGfRoV2s3xaMqGJ8yNnP/vbv2SRmJ+/FfIloSyIruZ/ntooywUtPNjRxAKtlxaAVn24RQtJfQhJFuSTNa3tkXILD2S0jkSBA3do2ISejnfbwM0sRnlGZHlKkuF8ptKbGhQzW9l5gACn3PYq4YXQYzJF7Mp2iu+Svb3Ec2vid6l1Vpw50cQbVj2pPUXSo/B1UMtpnefU5Ixm536Jb4OKVuH0THZcHsWmxIhMhlpJgoLWKg50eXJcZMlk7VZQqTNPzbfBrxFpUDLY9Z5DN2BNptpmdOr3jWyL21H16iFqorP3UCiqKhYdUxnrueCOdqAlbNTxxIY42XnmhKg0u+lp7MeHajXou8BjGEdY0EGhUqpHR1NmkrjQzpkodKqCeDY/tG59muum3h1gPea3GYK8C3qCM2KIRDz7KeUUcSxe/VOmXHGN3Tr/s1cPVJl78+gAwKfTCWTuKfQW7KsmHqmZFbzSvK3TO5822Frv62MF4GtuGeUdgldJQPKlme6ueVd2W4NwonM9Hvpzkk3igFPwxQyUHxNzMyOb5NsszkFe04EK/sEWAr1BpJdmtLwAmm1bsmn+Rdfy3Mpk+3QTMrS/EvXI8Py1H7Xm9CB9c07qeSwsBr9saelTCFFSwfEmeozotrNnZi+F6nx8TQkJ8kapWM0DAcJIB0Ufl8l8XN7jxsNr+x4695v9gPuDomAzz5CrULSXowPoY/TcQ3dbreCM1JtWYTd68LqcJgHDisOGFFziEjyD0QzXkYQE4jSuRhu+rafYOXhf720987xIIlN5/mkVXsRuSlKrOWgawmSUviRcxeHSUPpxQe1uKqPpHJMd12D2/8o4lHZGN06Nuqm9gZ61qDi03SmHiMiLFdWRWUU5Aupgy0pJqVXSxnxp9/oeVc08a817QrssdZIc25t+MBx6vZgaIkR/F8njLDVxrKck9Ry2+m3P38zJzBw+q+2YWHuY8yExv9k7C2A64l181DRisFrqts9s+1ovr9W81BI52V/tZOzvxVLO43+wClBWlov9wAwHC++/r3/72+Xv1nf8Jrd+Kn7+DXhHq1p9ba6xk+U8k+zgy+bgQoMoYE9TKHyzTqzHHtHWEUrL3GMxssFaZAHMtz5oSXqL9t2RBPYO6EVC2PerOiOr5KZ1aTcgxZOMe62FsFSQQJub+riPCENGBggrRfmKuRV0bKXwlFyj6a0bSmAe0MJyDgc9nqxnyDFTxrK4tuVMIlToRxTON4pG+c5FbeZW9FHWduAVAa8LZ9VSwhL7tpIDGaAEfOmzLST4tyGEqLcSnVjS1fMIQxGLLA8MjzBvpJCkmyZX39p5xE5rU4lXwVlKUbIaqC9MHtSh2zys+rAQRHxb5/t2uOj21a3soC/wYhHU05aaArs0ANMNkWQvIB/Xy9ueLaGTezngcVK9mFtmrSAPQgy/nf9P7RI/M9pPGH+ePyeQPfLQYKYDSuQBq2ugrdZJlgjvDmsVlzHP/NbUbd5DLl2k/Ay4n1zl/Eh/+rqX84aM9xZPVScHt2r1sqywpoHJwiBO19va+84pClsfvOIgK8EfMshSdlAYz/VlpvBWHPJtKNIepnDawseynn391cSNuTXNqKkFduOnpWlT6PFVSHIw0EPCQ5LNowkl9GWVoHlcB4dvFYHyRTNGCcl2+5J0Suy/ZQrWK/9gSl43lynOnqlJcnrdGHDnNmMahEr6KEv/UXSMTGZjghmqY0ZzC2+hVfZ+8FWKwczbefjpbCrZ2xZkSJhMxykNwhMU+KXtexsU8+0bOLxTZJyTmtfUx0YXiS3VderSgWRbwwBcnStlVqNH2snRuzyRT04QTnB4Fhno5uj0VZiHy9IZWleshTbDgiIqTKfFoTht2XvfTnGDmZJ30catMFcv18slYFt5UBQamZ+uPVOYLGKPSAvCUaEPdDT4aYWWDxRfXdevXAHpLfMHaLvOPdHIbWbb5AGH3MtamvC/DctZAsnSz75TK/HrO/IKpm0OnDs7RW7d28GGlO0MifT0ka07mX47a0Hc7IMDgKytwmTGjby1ZuMco1xy03wJCJs8MN780CxWnueLHKmJ5um0ahsx6sXLtAASUa3FOrOAe2jnDpxCJmhq3+MZ6B77HGcYrslCOvmbWGlQVks+elqZ9QW/wcieB/xZh2C28hAHOU7K4rx3Rx84Y4lhOma7OCUZN9WH8BABMQReryuhhxHBQDWRgTZiupVM+RIasA8PVd3BEHmzXAdn3zTVkNgKv0CkIPguVHTsCkw8JtB+Fh9qcAekqaCp5+FeCeAd6oafHSRiKv+5Zl36YKn+28qml2/8IjaHOrfP1DayTHvM1oh/foajd7qhHXDx2dBo0a41ZxlBG0GcjuQJPz2fzFA3WS3aQ/kiJ4GNxQpA6EjxS6Vwj+70VS7+1S1YpxrPfRhVQMuVfyzl7GMcJT1fXvNitCVBKtoFYG+n9tNG2TgjS7TLBtnxenNaltN5+ur6UhdwaJ5c8bL/ziaqmUWCrDv1iO+Bjk+p++pl2UCrt3lthi5PK8c4z61tA9sOwCc2ycDFyot+tVQjckNFZdt2GeaT6e+mxqyY7hHI0AQktNuukk/l0zAh0nkUxL7EEMHmwNJ+mRibIaYb6SR2jgG1slbmiTrjafmwGKKqdssxFnyJzZXSS6qItVXKF77Gq1l+VWkMel/7P1Y1b6hntbmrW0kBJ5vTs3+13c3h3D5s+rG5odudAFxmx1mJwZtOkuLurCR0hOTwLvy7Q45vEq6X224o4HBCAUoRVmecmXMuRPN4NISAz3V3I26hbMhVlteZbOrhZsvjxntkiUSdJfjaQ4TsSCYH6YJsC+fqPPbYDblFxE60s0/0VY6tKvQNnJuXLYlkjFNw0mZ8zpJSadX4QqpIZK4vSbKt3KR9pUOIyqP6WPH50KEhq3cKmaXvsNpNxJpKjShEyY/5nCMoiDMGMFAIckzTmmW3nlIg7chURo7l4g58e2iBlEi9qcMjzCu/iWAoQsZRiXZhlJzcXKSpO+XUL6BB2Vu4Q07Hh5ZGbnqFedci5UDwvtENYuZU65Fct6amlpdtmkSKXN7fnBodLByBlb41aarpRL9mJH5WMejlaWEi2cVMDw4Iyi2eOq3I50tslrYOacFxPx9sm/6dGXqvQ6i+Er5jRRWJHl1z9HDvo6Mu1aO9W0kFcaOakhc2dmp3AgyVbn4uTm9KRHi0TVenv1ght5mkxn1Pis5OEqy25YmSXPvWaV6AB0Ezeipzc+CkaLl816+ycMMGoEL+9XFQ84bIXlsTNegosZA8pzqRkLIOtJmkqOEOgE57v8Nodw5g6dFuzDcUx9fagJzPPB+nCxe4F3iq0/KRBIbkus0miWuAEqtQSR7j0RaD3oiT9clR+jOWVZuQvq9eJoGFPbaUstrKxxRtG6FZUrqUu1ybIUKRTEGr9vJGYTFHoOY/pQ1NKH0ilaKJOUAnpKAYgQ9dvcFa/hHgds9YPajbUoqIOlVKVBTwNcM3fTA9sCu0UaT2PGqGn9v3yeBLChKAFs5qKQALX6+mnqWGv2R+Jlnu2W63adymTkX2LlE7C9YAnXxRR76TBKvLNuExoglXJCHnI9fI30xLRrub+s0iKSWw8/urWq1rfesk3uzbWL4Hp1dOEpjJ2cn31L7t7nLujo1expt8Qyn6VW4aP9Bwhm2AHvWJDfk/ACTNnETSc6ppSR3Z2iAaXX1k4lqVmOTfixx21ooYmqvUkD3stjvr7PyDemhmCfj6+CopdgAwaUKi6RLor8LLOmQpOo+nEUEQjSKtcrCHf6QkGK+UnHNqGsoJUVoVXm5hrsMRm9j0lFEKtg6ThOL31aXPoDc4ceUU6aRhxlcbJk/loWECexoFJzE6G6ISAyiHrsPOVDsK202AI1Q+kMx7CLQdYAWe+bfUUY+RcxYeTB/OS7PumQoymjP63KxxEjFItuXDA4vbTj/WuDh2jSd8K37+j3KZi//0T6yjJKnu/0pYzZbtHU1p/634b1JQ3i7M7/+3IPn0/x2mV2t8mnXxYSi8Lj5R5OSra2e6NZaqpOMLDM2scn6dymjfozuX7/u7Gd4SAwt61VuB7ZKv3pIJ7yACSkIXzHS7MpA1QylxM6WuID5BE8lcsygI3vp4CvAv7i3+HJK+nPmk+ZbJiQi3cj7sY1sOiNvhi2uLXYASkQr7ukrGaJ24Xa1vCbfXNJs4nf+S+27P2P5f/M9cjiup+8vEbhcGqifFJdB/WcFz2gnKnkPo8HBcip6NR9ve59mkYQYY3QzzoQY2QSUK8E4QjsDEndZHK9JMSXvsBYP0NbUdKIzhdL7d+EgJVLJJ6Z+6yol3mEV2k4Qw/yLr4d1K1qa5qCUN+192rWyP+E3qhyqmxqzA5SuBedhCtKjdMCKSwzsqWNlvEnIB6SKz2KN2nx03P2nqlmHdYVa0+uOZ76dNdev6HLAwH+w2FROjjXM2J0oPaLG5yIdZO8kG1vqGQ+zLXOwpmyyAJP51ba1ELxM4M0Zns5mkrpMczyb9au3rCV2UrW7ZiYRW4gfrDw8FoGk6n2hsvEr6McMhjoaEvo2HV5ev3fcOrdESelPRw/qXrS8fBpR/uiuYH+Yun/su54KZOknZBsIbmK52RZlaZM7ZBwyTKNMwOly0+vCIQ/AAiFVE1DOZ14d6RF87nWjaDyS1KGW1DtlGqS4nyt7nAZsHsPGC5nLZTJiILU7T2WNfMKGnJHuyO/xSQPQkUqpNO50mzd4bQQ7nvUNvkmtLVKH2Sg54VEGVzbg0f4bo8820rk2HJryz9/fkYe9SqM5HKUQ37Uw7ykYdJAdNLnJotywtNfCOCC15zcslOjB3u3XTKZ5lJkActPkdvvfET2/B69Cwt1tVCqn0Uf81m8nTEwpXbfDzTF63xZU2qrLPJ1bJQo5O3XHs71HlZwtfY5IZD1ivgU2iHHw1cYpQo5NC1EYOY9j7oBnFSddavhuk4xqK881JZiBebCGDlSNVDyGprW4rAsKGyts0uqwo+RafYP6YVk7XlBqddZJINKIlTCzu7QyQGHRtgxNwepIpgofqXr/Jp3zUzZtnsyAvr0Nv57fNG1No5HZ9U0ZkI5Sn9WGnQ1erhYgd5CQ7ewlgr6Frg56e1Twsm26BROhFFgd2/qs5FU586CYkubp7nG3jNy3bRtJxsHztnm56RoKX8L1OPcMhJf6+gkkPNR5HI59YcY7RM7rw1Ap7tKF40HFolqImPFy5ax+7WyRUWZKxl9PiRyOyNnbIHAavqgCVBw4VpTayVjjalDj74ObmafmMTJ83xGZOE3a1PzzATvyQDflQUE8KCeCYsDeN4s4eM8vtSAZFHklILS+xU95IBlitva9RJfWXqfqAFmxWwUci6W9+LKsU0zauUO74HKByaZ55UjfbEtZjGyvM1bsl1s33xTaq2tqDDrOzGroykP7YLJwSJzuPd/MDZDlbr5XIHchC6CZHa5i0+uhnNK+SyK86dGKu3KKBRBtrdXP0ubdIqGxBDWtNcZEPqnXzZzwwWmzgssMaecW1cFOlmPg9+eURVSmxZCy2f7O+K1GiF5eUf+7zeqojYgsAIyzju81FeIsT8n45Ns3TSYq6VR03XpvBht89ebt7TlhaSgLPfLQK91gRJ8lfKBY79DgGKHnOIy1XtEkP6VpHdJokn8hck4Q6y3/b7WGKpzewPjj9fhn3zL0smwhIRn3fM+XoByTDLIXPXK6sgvF312QRaQkOvZ+/6adNBO2//JWD5cbBdVdvuIxAQ/prV6O0wmqtDBwjFuj2NKb97dd0VLjmc1J3ryZo8bG+r3K3X6AKa+8IPa9SjmOeDYAh2hrrR9cLayGEkSqiHh1B9lpZ3To1aPcyvMrluKsOOVItlax6XZMCiDcYk31IgobUxtYV+03W8N/+6amYMgWC2lr2TFCxQBsv20G45R5gYYH9SnNfz7T8AFfmN1ICuFyEwC0vKZSn0A7OQnudQi2FU+fh+jK+ovBzQTG7B2O+H6edzuyMkPqEn8OMXc0VKNeJLtpapp16kSslhY0H/a+jZBvfW7m1ALr8/W+Qf7cvSR1aibeJI+jpVv79SbU8mdTBbY2+6OB9+Lbje2uaM+dmdBY9+YSRBmZDVmansW8rC62yfFR1+M3DLrSykU4uirGpVsnt5oyO1TPrq6J2rTvWXi7NBPCVE0t8xdKVy9G1y0MbHcUz2Uplyh+SMpR05dr8xKwj5ulVgmog20zRbJ7tkVKSXGW6dweYt7kNNHbnYoJzNpVx8cvI6Es8eZpbi+IF46tBCqYkR0WnwzqDZ94CG4dKp05TsU3VNFnMaalCC4vkgnxLA1ymgPr5wxt6CMe3sHpQeXgBMvvGoNXfmtFSr2H7fbnNPjPpf5YT7Ouv/yTp2F9Qhi3BI2KS292aPiJZeOyFihyebbJLVnyFCdeHi3aF6ZkJs9sVShIhZAwL/MemRvaXvOej4IIr2Hi1Pcpv4b2hoZ6aU7hKIUlJAOwxm6ySQD7g+KvTIWTcXi6TDk6kPJJcUHa6OeiRy7wkMPNJ4RNG9amlMYxZ6Zw2BNBNrAoGwbxgcuMW2foc+Kl/XYM+dF38AujiYDuFSyZcxdfHk2REon5ow8hO/vPoabm1V69bly7H+Q6cz5tjpFnHd1CqQWlaMu1rZzE4ONMa6qR842bLf7qUZV5C79JBuITpAsxNgQ4jzTByQu6pbf/kRpitk4Q+cEvw/KjzgVLB3JNI5lSKI6Y0+IRRbW8vYnVrUZvaXQOQpE3qx6R/cR1pOWuZpBZUKz65QFfUDnIghQrGbWEgGc7c52gqQJ1LtYFjZ+bz6HmiRUDxAPP8Th/KzGk4Hen/fW/yTdLIkipWmTO2mquIeg5MIOzsCvAqhyhqc712tiva0XUzyRKeSF0+ruW6Nr9AGMKtafvsqLflJS63yAN373Bu5jn9mf69BnitSZ2aNsgSqLXliq2ap49c5EX9pQGaD2fvyXnsJv1fPSQdqSG4dA78qN6n1ynAqdgj7IFE0PXdykbe39OW8QgT6Z3wUUa/fvWBer5+O+cQeO1oC+lptPX9XAwr2OnWBVDU1KyCZ+acaBwffrkWrTkzXHNOMEhgP4oXKSIORzM8UdSimsd8sawOYIjsKRwwJFLd2x7l+slxJKWNFwB2qygJut1FrMI4r7SAq9o6jhIiVvoYl23EuNV118mY42TR1WDIup+bbGBCJDAzobWqqy+sRAkqJHeLyR0DuIMXE/PLldKE2UJoltPu1e5lT/ySb7AJbSHAo+ej6xtr6Eupui0MPzbV3W288qxH4VnE5dpdb+ukJh2n6R9ds+bBis89iaopT8ocWbDDWieTLH+HM4xqwHYt2F83uUsmTW2+2gFHMcqo3bPVHAmcNkBaM/ZNH+XGfV+oraH1RY46RRV4M8HTa9ux737HcI0xaVx9giwGyEt+FkO3mUQrngT509D0SL0PDuvXqXUgCXMbuPWFdMnPF8y1J0gLs5zetpKH9Ux4gbWC5MPj5SDWAITNDCvkepchQZ8BmVb6q3Yf5hTYD4Xu879b7QdMSpsH3WjoHCw3GoJvtobJXYpwqTiLt3Ch3Ln5Vh/caCqH0AMXvLbBTphXc1VkLRPbaiVhHjtSNXxUW7i4aJ8roV7cfcbqtg73gr3VZpBEBeWzC0JJ1Nmm75xiJVhj0xMrzWyhDA00TPh063jTb4iJMnpB/drN9vdrBwjQLz4cpaw36La8tkO4To6GFlwNkhfaPoZ3nJSAz/elow3YTpSquLXz3QR28AseqPszfoGYtIK8QENbyS0TNdUvQTXgkq/s1ddFmGVZlUmy9PBeP76s9WlXlITkn6pCsS0jo8bS82Yw3ZiBTm48OMjhkVJqQLqtJbZ+pxVpD9oF2hOm5L6Ee80KmR82deg3rtKAmVkYHnIF8XtzK+hcd4XwAYpJOVixuBTaqaZ7ksfAIuJR1HH4srDX3snZSOU9O7BOSvs37w01jBB/2ilmPaWDfW4RpawtGoxicuxM0j6uCVXfAGfja5dmJPtzE7JuNtuMWttHtQ50HdDqvF2JUFBck3WHlVQzV0EOxHfTPj5hEJXMyU/FD2g8DWNEp+bJGFVGi/7aVPMxM8wnXukT2UvVsvmAJMO8aUH7APv/Ck7ytzyl/auCI02Uf9MBgpYSFzmwYTwKCbC6nTRqzem3mDMTr26egOGFbqQe2GQCqZAYMSd3EqIbfEL1u1iEFZOzPrYDq5Za5h3LFHCBrMNQPwsQ0E7dimyakWkhakBjbpckxRbHcDvTwZNybXEw1nIPHXdkvAHLvdEKkTouNy1dtcduXRIFQCJyjR60jt5HajMDYixv8spDTkMduzsm1YaqHyltcIi2pHCpNanK9zKuO2cw2o4ZUDi3Q9Wtdshlbz1RndF8bx5NCujNd8JM7YEg54YYYMt5Xc6H5xXQ+p8BP8lGc1bao6qsOmwAh5V9y8UjU4pkE7vCTqzSaHj3jD5opIGnZa94PSAoW+VpzFdhxIT4CxZQ7aL7Z5Ic5Wn7CK8+zzTwqXB2XIwdtQ+BDynvMVvzIPfVh3G+AWsLaq68Aif2RMZnZeFpUbMWdoDTxA7uVQXENaV23sBlWWRnzjKqh0fISdkVgGWHavFBuLLOxmYBVOin7eW2oYNh1lY0PpCkMDXiePTJjbOirZqUthdK/HyBr8a9SeQp/eBF7KGjAI/Wdcz/Ivuc9P4da2SW9WyhYRBxyOSHANg+tbiUgW/tl1+P6CYrJt3iEnEXOTBFEG7ZiG2s0+1HbSszc1k7rHuPrnqa6MoabADAmDVtNGuE2AOs4cHuv2DeVVGiqMhjuMxwtm6SHEdyg7KGFA3QJ+uWZD/kHbR3QqhOl6lmui4PwUoum+yVt5Rtu4ZgUOKpyFzrgjV/4SD3rPJAbtariqjXDGvDF0kmoE2Uc4MqhitqnUqZQhXtz4m4/+AE1Idbq/+BvuRBJNVNWoVZGPnHNAyz/WeoXS/XAIKUNd7brLMlMJHG7aiMVPBczqbOBA8ey4YakFqfOfs6JPVRjyLZL4f4F/sc97yac+mzNZ7aC4dxw5Z91QAPX0Yp582qcKMJaYpqlidSfN+swPIiFZjU1tFtcIdjuLiHW2faUGN4N0YobyHopHPsKqtYbkcGVeJXUnVFEzo/YgqI/dSoVU8arzLhWuXvEq4H+yzPTaNHxKDGRDLsgywPuSGh/hyPRBOlbJrL1sSqAjOKV9yBIMnzlcdQAjjiS08XLVLNq7RNXaU0SDLlqnZg9mpS2pDnCj5GA1cDv/hXqknMsbaNUlQZRcvfE6OVhOrJqEfWFGaTWiIoVEGsD9VLmpBEWz4hO6k+gmwxrBxltTY2YYQWVbpmJO4lKNQUxxbSXBv+VP/Zig0HOuB2oLqshHggOA4OuYoRWjN9s5iufGXopDxtK2RqK9etVUez9NFDbLv8Zjy8ISvfNMWq2EscsS4Uuv90SGS/1GMmO6Kby/8qE2yqbg60VyY9H7A9BJ965IuRjMcOwPA6ljFZMXuawoqieFPrstFNtclcsjI4itUjh2EO74x4voH6azM076tcfSdfolbfUGutSZ3tQ28cRYNlybSTh1KTNdu0IwuBveHZ9ubJly1l9epOS1cv82rmaVZ8+4JTrbsXxIh0mRXIPgR7Ppxx+fTMEcfQUbhIkknzpnAxL9K2DOjXas2r+bF2fgCqhBEYveBQDpEUK7yjk+wpEboAuTvWtvOTejTO2eIJCHcUlLbWYpq3WeeCHFES0b0rfPOZ6OJroNavDZoYG1oNAqXrmM5x7INu6uauq2PMImnR6B/Wl++ChM6HBPN7Az9MqcQl85isa/EKr4wVPOGT9RACtcSKvlwr6z3yGqIhr7V31rZrMg/ok3UV8peHdjs4DZCqbW4+2t6nzX2x1ZY00KRxIfJUyHimKQjSYWJTfVH5278W85vkxTus/EwvHOvkgDB9i3e2ltVzqe3lq/XjsmI/yaG+S3EyzNl+Zl3tTA8ryFa0oSpcKoM9rEUlD0CPVxKNKAXPEov6CwRKrFNAhft2GQvqI3FXmadSFtmQJLlrTlomJxbfIYlNiZujApBzfYxzQ9M18+utm+byqfER+z0apjO6/3/IeMQ+lCHsVMRqiaPpNCgnqYRvZEgQDM3CsoscXWY2sre4HHBgTRgVXgjtNmhje40mceTDROmM20oje+xRNFUX2iSbYRJ4h51y/UiwzXaz96zpeY97eQXCuIXoJGsFF4X3Khti3jEjBN8jEFKgtZ0x3F9iLGj7rJYjhTnnBd7s9tFN18OozsYfaPkPV8Bqne4bbMuF5U1qfnOKBD0cwowSfof1hbVGcjLTXqV8itcvswf2kRRjP+qMOzCjHx2q0v3BWfRMEi3jd0Wu+FJAua7l6mp7c9pd3KMczy4yBkZo6ltivjRPisukhVNq3FQr2L9gNWX6RGJlOvqFFA9B56yyLWAgpXSVqFmH6o+VXimnAnue4NGizNcF2EswJ1ktD5aesw3rXRY0HDmePoJ/zSqWCgavYYAMr9nJb1mPw2wrljgIzNohkjSDD/b7T2Gi3K9U/3La/P6TulMszXf80joWh0ex1SEpFHr6PBuDVIJ76M0M5l8U8pS59x5SRzYek48DUKnDlY3jzJHwKgeeNzP2+7hatzI7Q8omwBGGFpdnjglIKw3Dnw5YBMUKTG2JlZMt68B5LL4QIwC61gUHrvJ8HMPRBoWh0Sm7GCOoWtLR9whOnDlY1ip4IS7Hnj8USewkZWcfsnkdJbQU9XYxo/PUTaok5F3R/LTXVi4MGNxtKI4/k8FkZ2xywB84ktZtXUcUvJQo6kiQoho0fzbTQ/k+cui0Die/RPSWVE2N7cy56BBozykHGOAGCpE236QBjbxCS7KZviQYRWoItk1n4iK+/Ufu5d6jprCP0pL6kneCNrerPK/1uhQrbaHWKST/kMS/TL8wozYbGmlznXDtYW2wvMEobPds8qQ/lSSDTVhloQL6qbzZywc+5dLaQyI0NZR5fAWHdPH2IsdpHVTgz1embLkg1rtZYE6bABILKnenmZ28R7Lj3o7tkz2Q9CxojifdvAOaKWNJHMZn6CxSLjiDx9x0hXFqlncoTaopVhgWqGfwlDI/fuiWr5rC2Z0H8qXhsb0b/Mm7RAdPT2X7Urz1JIRNbpP6gLW8+E+KwD6pvmaRy+aqMUssCJjlQKmmlav2KMIMNGOGw8fBcZuv8pXuNKUDDL5Wcq+1uDHAa72Witr4UvUif1CnQ2bmRHR9mm7Y5d4PSgbupkzSmPPaO+sTEb2cghpv4XsaCWxLVbt9Li32+Y4GSZCk/9Wslf+0sjc305Og+RYvzPnbtrLdz0kVgiJR4avNwv4GmJUZHCSDlIrBSmziHN7XHDVDGc0VfY2P+B68B20Cum7iQ7i+1gfv1c67DFXrhDRvT8ne49mu1aqQsraG821QS2bVM/uLqFU45IvlXlAI3NFu1Sp0aQMpfWamuE1eNgla/7jlLVwfqwP4u8T7Ix7sspwO2GiJPSTty51KSbNnIgxKuRALbMXYu/S1mNLZnEqItKru4E+ZWpThpR1iH82gs4Grd3uizQA+U17MerFaQCgPtecrtT2uymnbHj6tjyeF9x9rVYUCAv8b0VFOG/XsMatsCn0dpDTkFPTmjjHcwbmTG32YfIAvR8Lh/Cwp1qkwEVps68g/bTGJ7BjEKQ6NgY7Ojtti8/TG8Qw1zi20oWNfGujfuxq9SSGiaDpCa83khmvu+Qw0k9mmGWegXo5WGz5dOsB+x1D0q5wvQH+92Z/wv6xQhPvPji7NIUpVCYBRNZNCUUKPosQMvJi0L2j2dHDF9jTtiYFKnTXnNEFRmMzi5Wx+f88h2x6UvEbJNCwLsqc6GgyEvNYOHAVnreChI0yQ3AboX4548I6nkKgMkrzCy8Ippo8SN0oy2SXXRJctmDZzUFyYoyKqNxMb5SAk5PpSSlilzvgOD3lot9wKqe0/sc6S40hS0pJFK8VeIJuhirbrEh0RM7PBiuwQA0lvem9GwFYBKvD07yR/HTJudwAkz9F9PmCGpAaScGwq7WNu/PDAJ65hktTKpaYicVoKfs8jE4Q5OYdadxJJipyR6XKOnUNkLz7UTdknoc4bK0laH7pQN26R0SeYUjauUv7jUTXENR5S6YG1t0tl2fOhi5nxBZyvdVwlIVxS08zCRg4qCbDMZbyonNROIMH5cUZEIT0xcciquFa7a7MbH/AEzn86LtthAQeJbiEsQqRogxeHDfakDbJDXDVbjOXZ20k/lHLXXLW3Ia0MJqQP2YnNIci+p4q+aE+FCkXEkFTVkQQ+ERNR1KGU36ymrXElSVGATLbvPW/xJeANFqfoWHInroKUR8EEmF0oNKepVDP5UzAurA0ttTUVHXXiA1nRZk3qOQv1jI3fHRV1307NGEmrNl/2wxTUS0DQT8PdctSZX24xSxiAKTDTrJ6962ebUflXaAXTjBb4eMfRldCuJdw3cGxG0yd6pGSZrIRbNLEDx8e6BnlQXqnCMq8n6zJahTJ2OFsp1yayhY8TLqL7ZvedpMZ72AhiuCB8wtqlD5IJWRsqp5I9eFcpk8wr4EFvctcubiBITb0769uUSFsfDo/EmdojJ1aRogkl9MiDC4p2uT46dsWfcBhIO3dgWCFRoDUhh+lnYRPAuGehLY+oz1V2LR0iAZY0m29Myv24hFEyoI4iMtR+OL3ioEQTuipKyJESEpZOcqyh2LmaWSFgj7fgiq8J2HegNZvnOuGquT7AkxHokudsBk7syhbmvprmG9y98SFuUsPlJiXo12awuIcy4pve16n9MycbH8wbdFaszyLrr0hdUbf49M5D6sm4idnBTpHM8lYNDwAPSxIEeXkdT/6q21oyGZNfeI11K5m8ZAaj5D2tJFe+bgGX/aMoyz/O9/AYwGmhegN9wCltgvUO0z0O4Gc3AkpZVCDaY/N/9+X0W7cXfRRfRu4RQtHswgdTzs0bIqRPnUgKk0rYPddM//nRBZIZm8QsHy7h/gHbkSwnHWx1O8MfZk9uJJtCYxkgziSFkMQz2PU0P1rfAC8QaGUuQcEWoXwW+HhunfsUOihDJNmoXTWrAETP9PhqC+Xjwcr28vTv1AnU6u/LW8eHC9dZBUhO0IhPEZ1g7/hWN6Qg0xGaJVzNjCpbR55/7jPKVAVqIFCfDW3tSdVCYNaGdjsKZ8441OqV8BPEybn4xRSUBXy/lmVLmVxPf2TCqZ7mBWMrn0WeZGqoPSts7e3owabayaZfHp9PkeS0lNgv/2dNkxTbrpIN3imufJvGd172ARKZ8Fd1tlH0Cf7HJ1qr3I+y7eTeW4Hg95/ywALatL//BCQp9O/JZ5S/Ytex64j1NW+zgzTJUZgVH+OYruoOYUykWoVH5bikmlEFXpcTy6RV1PMGc4N1su/A3vcj/ssF/yoxXkqqyB75zyUwP6DZBkQL+eM4xaUBE4v2tjim5GpF6zRHqei5A2xhTZCu8eB70/gCF+K6NktwdqVyOngwxfmMuTZRSQ/cicfJHhouJA5EUtch1UhDhZziyp5uRvk23XzsXqSTvFwhOzCokbBKAuv3KIMZBYjmZf/uWTPRjR+htzHs/opKaiazVoYFRqid47KntjQzRgLH7cGKXI8UEm+huzyr2jSHEOlphKFizwu8naOjZ486X3O3LG4WKqKgOb8F/XSU0mm82a+kDaykeB/LpG6VkVSF1ANxbLZWPbKTNuBU9giLXFe5E3Lfwy+68aHctpg1uKpJ7fZoF+zhWm1HpDi3tVmejXOtK3nw6XC0CW8tsDbrnMjMsxTkcyzuA4CQOi80D1z5TOtsxfiUfWEpfCcR+4Hq4TbF2JvPpayaBMn1u7XuNkonTcvuZOdhstj6w9Flyr4wnupEMzpPMz5Fpwz1ddZ8bMQm6tfFIUS3jQ/pyWA8+u9ff0tEXd0lH7h7Zt2EMObqLEGHq3Gg8ztKszSvUyIPOFLzqW7jYXujOq4L1VJHy9tU/iKwFRjQdGr01DJw3E/ktK0cA3KxzY5hcoogTCpL6/AvqXpZQp/MWx0GEtrPwrQgz7sY8x2JvwTlOOwgQa9RqHI5PN3GW6hrYC9GvDKFT7LT94eUQLJO00VneYDfzWk9uCwwzMyOZ/l11fLMSvVerFIgkcBbavKd8JxymggnRswOnnnStDJjHxmMqgVyjY8AYEDBIsw8CjPSO9ev5unW95IgRRgDaGdPAkIzAuoS3oBl9zSG3kB/krpH7tTJbnDZhfU+Bao3molwGpopAbp4a8pS5ZUw9LWj6i7GQQpGBgxWsEPGmBhnJ5rbiAsXSyjhBcQlDQRy2kgOJansA96lD6hyZTHLeoIbsiNaHLSSWO8PF+BfD4OG3Tjdup9dAGHe0/LelR9LxE/SfBw1Bi75Q52uzKZvj/BKTO+ylrb9rxacsvAGEJVeGweGT6V73Wj7Mki9ZTa6OgyAN7qrhDDbz2saYOkmFcebHRtyGZkgBCqck32FtQtJnI4zealu4SFxIZN+89DXPMnZrsn4XtNkZuMbpCciZk5UTXAPRQ7syq0ENxOzeFW6uFPJfJNJx1HhUw7MQr6aD6HQs54ALanOYc98gHXLll674tqtVbQtMtRTNUg0imarNTkC2LTE7STCsLhYNhAwOSFqDjYXtrvGVW6b6pGae3/GQ13osOomQRK2FOenMSqnmko/zRTONCK05FXcw0YoeHO0SHUKBJjmzLFYUnJvTRq9lN0TXYXtQBHodwGG/tHPMMDRa/snT8cMDgZ1HFT80NUdkiCM0Oe6efv4BUjJaPumvCjFQ/K5aO2Eg34onCwkCUJYrqhlnslgLgMUZOM0t5ODtKeKunkYXZ2jrmzn62GV4PIUQAkOkDV0OdYqlm9ebQybVpmVQ7t8m84x40OUGmxQJuG1O8rVPGkfciTO+VyzvmW2x501CzIevg7tJQKtlY9QWyl605bTYJ9MKxz83VKqtbdgdSEUCdRIaYJCZwrm57mE9bvTNxsyM8mD1TZRzsr3c3iD+MxygzRxS5kCs+XC3HGWrwA3SGj5LWxV31Riq4ZNL5l85q0n0w1h5kYkSoeDNQEZHXOUcJ3WHjpVNgCoJKyAcj5q1aLGWSmP78IDvBT81zqsGtwO337/9W+pgXIjuw/0YWdVurcDdXJHG+Aa0JfmaHDg6Q0+gW7lRi8mKCBBYvTZObk1Tzm8SxLCU19Ka5tl6IHP/m4Gy5ETzUaBpk4ccUpCE5nT24s54CJqdR5NqYZLKOeOQahqqQFchSGDFWbhDKLl5uEAn2VTdKxXNF1ZwAYjwTmFNXmMQxDgGznD7DPbOvIbweATIEfKV/mSUbX+fR7PZQ9ybFGbbiRX5PHBePmkJ7LkfXjSeHt0nfOseioaPjXP2obku9G7kzfCZu/RlyvxvtgJIOjr1V5oErWiYr69kN88CyXwwjoYqnVK+l1wrbF7BGEuZQkAZ7nOweGLIIsrVkFVVsxCpqKAs6mJvQPZCWv/4IeV5U+tkzc1Ij9lNaCjHg9KRYdFbNmZzYkMxp1CP87a8UdMUVqCGTWBQEpZE0BGJUYmUJOBtyLUB7h16VHXznnQid9LRuEGne2mLgdhDiuhm+Cy5Rt25U5qReXWdOKzbeIqFfMKyEIAuX9t28fc2FNNwCzHmK2TLDBQ3mgFQYJK8GUwS3U5c8c4s+YJ3dq3g1QKWZJI9pZpV5Zkr7ycpmsX3qkbRXnJpKqT5P2y+6TLriZvFrhEmCkMRa82QBfraESjCPTJl+aVjKQ0KDlYSGw1X9ZctAf3aZTxlPY7bJoSJSJRr1S5wkEPkvsDKozxKCWASbWQnTbNoHqJVRWqqk0Qeptjxjz7mHVU00OOKB+QKYU59ADkFOzilf535/SAX9nKjfFS1AklwrFVghY1jclXlM2tamhVO1WdqnFpm8rT8phTQwan0du8t3ZQ4piZ3rwQ8XVCFHYMVXtpq+JZXcTeeTPZjRhDeWrYIMc8LMpUxP4k7H7ktDFvUoQVGzFVkn3M9KT4/afvhIwhUxmSdVyw7qJak88Hb3JzvDYCyCElB4t1WwdHF3oNxxXeLharnUQQj8AHYHFyHYvbo1a7d2/6BHPC6hbN4Przfx0VcP9vxbevv+5WIFdN+K8S2hMC5jLFvvg/2zgX/9fc8QAeiv9DlnDV/MVc71APlxfWFF+1hCSTCLZoRmI1rHKuDYA0E5+U9k+QdXmXPUct9R24hB8dslO7e0ZyCqTbjNmkWaUgTOWg1qtguy/rEFReDH+D/ATw0fitc1faRzsWQ8UpNpBCE0x7VwevB6qVqQlsPZY5V68OJR6GQhIkgxiSp5SW15cTdKjkglt3/fuja5fY7Y0eK5QPjVoDf8USljgOdfu++ME4zidWIWn0slZ3yQtjb6o+bglkcdRAs67cjzrbZwb8h2HibiIqYROkUq/FZyKwe+h9ZSiu8lnjag5TlTiIZOH8hGROt8uh3t6zo5be6KaWWuc0brIBxwkH+f1Gv2KX4Ba2T6i05rV9BBNU3NaBvD4bYvG2vjXWWfTaLqHHmF/y+NUhVCERQ3XSoICWW9NpKkvX1QyEST1972FzNOd8l6C68RB83R+t3Yc7G1ez+n4DIdfPqYvlvUdpQu0DCh8RS7kUd2VFKk1DAeHiZ7l6xX+RU0qSnv8nLuZRmJQogbJSrOZJZ8M66VxZWwQ+cD4i4o/eofq0bN5GJWdtmCEfAbkL5TyAW2ZTD52AxxbG62xFLMv1C7C7+Gf7gLzT8T4Jj7FbZg7G+oYJK40vutCX1JdOAeaoauqEgqcUESLAXkExgHnhV8Yrme6x1DqyF2wYUFxbUFcDEU4ODEtJVJvkk6+NbW5zob4JmCgJJ2HOLwDCVhQaEX1Iw6wvn3Wzm+7ukazIAhke0e9f/2ZdPqUNsEZyjeo2qY/EYRrPamaoUOxHiViP2CFhdNT/nxcsl95mTj6nwvPmNXp0mdmlhRxSF7hZKwYtjRRQbXcLUkO53AbK9n0IV5OaL1mxpv1zj2Ffa3KU2ndk09Pq6OanERNdTUEV4I/MJk4HvZ07V3BGYLfAFq1TVSlKIo6pIR36VdKWUAezD/j3r/+6Vd01Fdsn27WMDQ3lxE2qROLbKXWDBpuDCxaHhWJaVvr+NPjzWz2q1sgmH2gLR+Y2q+ojbyMSttGt+x/DtW3ol0mbFXOforu4+FTE5K4p4Kl4UjaGq64VijKpxqYgfyeapWu5782VwWlVGJYWUdGsSZNqVFIg9yAQhuZNvmZHOcFxCiQ2+NqXEnST33SYKiV/SgLHpCwHMxP4V7bdAg5kIVEUnAxZyxfACTrV1QF1YIjtlL31bPzPvErhB1vO9XLxGDeyonoxLY9STqAl28ZpHPSvSYP3o2/BLj3LkwUtWe00p/BgdmXPuIwoP/a4keZ9HNUFO1lIWzf3GAciQjiUd1BE3hTw7kjwbrJgHjVYzx6ViZTwkRhT054AQyVb35jPytgHSYb3Lj9jmnwpk8ahr5E4NteudXiCyP2WF5cqsVPSB36yD5YSu0bxjGYoQyNk7SWvs01heM2IxkwZRelYBNree4W8KLpicCM6l1ChHFSxTPT0CK11papJhOuEbJ0OKjUUpQ9sVbrrNOGg8qVIt2bYhIlHMN9MnD3Ni1MD04XApMf5BmGwrmxizL800yprpekLEA3ldL7jaOvm9vLATCX+vv7tb5fyrONjeoEUBFAYV1oYD1IYmxoAehf+tOFrpkuatdecvHuMfQAYUfFbEEjl0AiuuJNFFuiVmid2xnPew81hBLTjzt9gkmM2zJjxaHF5G11ZifoBpiPtWbTDN2vLiMyjBkLmg2gr5US/RQs+j9LOptCfe1GJoMo+k6cQVdEoJMTFXE2Uq7i2jvh/i48VAuMSVF09HRRbviu5IYQ/LSehDTNWMFebChvgHoV9UZp8gJzMXB1TyCcNy80HUF0BcYHJDHW2WMLQvMQTBt1AKyQ9x49xxj32mYtEFqIj2GmlzH/8CayPsE6h/tQTN8JPOo1PfeA7gHVW6ZZeEROsOtT14wtgPK/EzJ16M9DkAZADkp16675prqJWry0kPu5NZ81uvxXfvv7G2O/JYy5aiarVotq+PuMAX2E4tTyKHnjtLyxEp3i1dS3y4OK5MZOd7PRWHcl7291zafVUsS9xMAAIdbDugqtKp3ZAR2VfVbWXw+0STSSsRATMziXSTYt2s083oxM30YylahaiNr2O2JbF8da+nuK4KdPV0Yz4tP6kIJZPQI6QRCnTx41c6pEvA4LSjPYSIfrYt51vPPq8FEkliQenAXJsSbc1v1Ez7wq+R8EMpwxcLvzAWZdK2ooY6q4UwV0Jvzx11TO5zRPPOcJPvMo7LM6Vcph2ijb3PN45VNeYZZMvSywSk2y9xHRvc/bjM1NNhW/C5D3Vxp5aGLn7DS7bP9T0UF20MYSxD0ks/HKJg01E/CCZYTx6oSHGQifSyYZy6wjkAJIp6P4JzRAbCr91xiHZYkVqkDZ7iMUkQXyoJhUzogF9sOnB/CW55JQqjmiHuTnETinq8uGhwNgTMhDkna7YZ6fiXtsjrSTGF3pps633vD1j+yhahTtA/Zs5tBOprPbTQB9/LRtzFexQXbURI3gtEXzDmwnk3IvHhBgpqsdgMqlUO3NWh8wz+C6eoai52r63V2yQT7SQLksGsFS1gy1LeXBb/IDxtyqNW1yAOhlvRf8o5LyC0IAs5rDaUvgab0HR3JXjHWM/qT/Bs6y66HFBz4LbAfKIJ8wHd2CpZHNmorUt182j0cpplyCbwGxaUS7byyjVBlRF2pP7jM5CQ+OKnp0uUWQriEMOUzgmvKGYLOgngFiB9F3rk0mVizaai5xIWeD8FaxsFf7c7LJP0Z7F4XVBhZWM3FqPCtycMoH1FRAbjFggspNhndOc7Aef/9W6uKrkzNtxmn4t5+5ctRI/4i8IuFN9TIqsuUZYpFg72rIkuWXjeS/xNgwPdUk792nTWITNGhbW7Je4cGsB4ottVYSqrYuEDDKbzTALarpn9okdJIdGmRMOLX1o8l+R3Q0Sjc2tex/gCuGwgOmgvsYJLkA0l8C4aXdLOautoVFL25vC8RRivrTFI3cSkMCh3uw12vqq725dhWS0CIioD1157LqfFMyXW39v/Dpm+1zj2bR05zJkEoA9xtlm6FUHR2b0/s3LG9oiS7YzcptJRzN8WQoph64d+ihtjb/O4ZEHrVDCG0KRTIdOIgPpYo9+oaNokUrVYx19i3QGUc6LE1rbMs8Gw1hSegnBLrA0HC2dDwU+DMGs/V5stquOp0hyF3zD/B3tDVwr0HVW4pqGZCAcdysxDPVKIoaTdPz0Ak24+J85d1RJQjDjlN78qFn6Ug6HgQ2Y7FbqI1n/lkckP/9aXBpQTiRF/ctOpbrYrPJv33QsB8rJR40Uq8c2NBs7HNyV1Ft5iYD1kQKPL7IO+p1M+eo/f7WuvaAB83rmpXLF60ItJbXSG1gzVpmSB1I7zdLzhBOPT4GH6/Vcm3SStIK0WCsgkN/qwXpQBhaF2RzseqekjBRjQQ+grdRvUhLUmE50bDDCuroBCAG5G1b3oK0Uq6ZJyTSxowrq7dquTRjK7fUSxpePqptulJMWoiPjrYuWmkUSYiwkl6TniwdtN7RXx8y7Arb74XNd0UoD0meLA0BVgU0lCVr5GU+HpPxAuwIvcRJHj0S0OpomtplGCTcADMucmsHXNchxaw4VqP1b3eSToAnE1s3p77/xe5zEaDBBKjn+f/6mGooWMPvYWnfrhckigdQoJvyJzSeJlDmQW9DK7yDQNcJC0GPbjEabbMlLNAXwGsX/Se0AgcbrxBqinWdoJaHp5CnikFcf7HTVQ9dsY5AxQPkdj4A/hoeYmqissmq8puGMRFE2UCR/xMQZyR1GMwMZaAEE5/pLgMtoNOeZGGdGxZ5CuSMrH5hYhGDrld0gudzIRlEgv8mglypaZaHc0vtT52kPkgRclrBivcg3lQTmrJ3J96e50hIlH7yRRY5mWGjlLEE7TPYSEKA3u6WiaF9bAOGlme7nvHAhnYETAriBFoXJWpumTAe6TiUbgLJ4Wr0Sa9NcrxsJK0mtmant24Zwa4clfjP7dOyI3SWtMc8epUB3bD/lQ/Tc3Yxo0W/dEip/Oo/SD0+t25O1ExLvC/RydOiDJiopEModOIlvSGXkjXq9tgwd5iqLM0MC+z8NhGAtqZPP5MLrQt/MyD0jWjtzJedYmXUkWEA0tptuuhR1aGcM2Pv4EjP76sQ1YqLH5jYnVQ9vj7uL8JAHctIzj5ET/oX1sEtor0F3BOy6qUDGP7w3zPNc87YMPXmjYucE/N5CF3lOSgCCtwXLpt4pWIYMHzAudFgcch4bc5mnT28DzBAjsgywV/5XLbSUIYUMAX+3VmK/ooEniyhOFBv5QtRNMy+/r79++/VXiWzTcnsDIy+dt/o9vD4/2UMt3JOHbh9urf4HpbUptiSR7BrkGHFqZmk6TeK537dimYgyRh9w2RRj9Je5A2Anck8v8g7ERXP6Nca4Sno/PEkllezjRnPKom3fy9Qo1g34z5wps18PnQlrLcRVb3UzHZKMpP18rmNOb6zwcGj0UnJRm/geceMD5/4Z75B1aC9xqFcbyijJ7CJLYzlKonryBxwPD2eIeOpnQJklgVIoR43+vB3PYOOeNYdc/vOocU7Qx1SlJYl06JZ2VKGqmQ/sZml1TrKtsdwriNaurRo+nzrKyaytn5hWb6EbTP7zIW8zreOzZoiP+Dui6xHWzZbpLMwZqNssVkNnB7Pu39C92inyZjPJDy0Rq7sHz1HKtUOhMdNS7+2bVd7vlhoeXeQ/kSfQEtDHPR7iCttUq1AlJde3FUmXXm5M1LZPFExtBu28gx2xmrYpamgwFyph4NirkDzFaYu8EQewK8eRxDrBZyboDarxVtK75G/lfpsCNHlTui5d0sCQNFrZNYrPPYHM1VHk/x+9wy1Clw6T29vUQjWOU0+qvPUUFbs1/ea5ZMZtLc2y5kfK9IGsoBlssauTmi0haHnYAl5/Apo9eHc4nxzbT8v49WszsOkjS71vz06cL5CJR9JxHaT8u7WbfL7jANL20oWOEB2S42Ez2HLVC094m03x9cC02uj/iZ2d8wQpnbrGJ/qWrMeyB5N5zyGhuhTjWlOs6RMmAtwxkojWLsOedUTbhkUSb715u1ZaOzEcH2bErm7b3Fh8wYk1N+eVtqkKvMUzhh6XFn86EEVlWJ4NQ61EIKl6+JnEkgvpIA9Ep7u745awF1jSzWs7V40qbqGekNx6butGAyeDqDd+sqMgO/OqAlGujzBD19qDANN+6ag4EXuEC3w6nNeTVLdD1U8vHXAhSQqQ3RLP5EHyHEz283G90XiAVW8cAz4J2uVnJFKu3SoFd2YrGQ+ucbUV4VZc4alsgg9yapZd6QEJOYPPBGgewv1gnmu70dnBDhRkljTsdGc+v0LfzH+sZCqdfAE6TwRJWaJplpzPL4+iuVwCK9bFJCnJXpdLpvXeQA5zeUwtGq5yVljZFMY2d2fhcORrXUAcdIwSskjB7pQ0xEEq7AZSBxJkv0boFYWpy1Rja2cpkmiRgGYF8zyhkCMC4zb1E7UnJu/t3bpoEFpubM3JpKzyaZqbToVofdgCtnpSVSzVR2yMWVeVHXeE3ZLHGV2CCYuumZoVktcVqOGmvSbSx2D7/2mWgPsJ5BgfhVeGafYm9zbbTnOU9WSHw6x0tK9xkN3nSF2Fu70UDHxuudD8ZoTJ+ZgwbNk1yMvNwUkuXLzQsMzA2K1GET19ivrPSGpMrlIBtHlxlpR+x303S8OhhhyGyjgnp17I30P5zdTqY4NMk3uMmvh3Mi74198xTBgexTr+/pMjUAGsMVxNT5pqsjWaIM3kFg0GNt2HRJ7fHApXUpmBJ1Sv/dhRKOVcA6ZPFHEze3mLA8gDDoIgReu8joSLnEgAzQQ5Ym7dGryITgBJE4VcCqfXLnzPfyWV9tDyLpBaUwVh5hTETMTLFqwSZFaVU5qATktUdT0UH+Zmv2qDBP5/7cm+WY/+NGOSVRHNh7rP019TFrtTrkW1Jh2LB6Tp5r0p0p8+cGpqOswbEZq0aPsjDXI2ZMqeV3SR/jwTm7JnT0Y+SbKDVjIk0l51wJFeZU4v48z1ypUdblfbtA5rCXYj2gSvzVDZZI6ki1NFYLYdHSSJqqxLMyTTPGQrmlbSO+IwuTFnPQu7O0lIUI4FyggP3rf99peCbD3ZRC9RdtPZnhrHlh6tfT3K2adxNaLm/wHqBAqfTNlIxOHpA1xqq/HMMyga6nvCnhyZJlNxojwizZOyvB4O65MQBqBZtTVy1ULW2s+oiyHKkQNOfDHbZ0kBHpa/P7j4kLNlwz/QeA70fj4oQENE3Sa+b51dSIbJ0+mYYPeNtNLOFKD0VucYQdkVaWuAWVFBEls1YHfA3EtE7hfXhG+MHUAKlLu3llUH+2+kAIDA6lqHhpQD+PhgwqrqeC4lpJQiHfJfRIEIyRcXd3nrtnpn32WUpVg0ZZu42pkC7tQ4uMe+XN0HH/EMFZf7ak5Lwj1IYJ7xRxJiWm5xQsfZ7CVAXCJ1j1OaltzAMvwsiWjbiQQE0Ap+SbNPyxxGEoe4mvi5Qa7AOi3taupJooKV/2c0sskFS5DNImUr8gqViyURvR0hHW3aI2To1q7FqWvCHy8d0l2ex1BOlsTDeWGG5GnXPt3vjKgyV0oZrlem62QwmB2h5Yb23yX0LSgXZ5HQ9ZS8WdmMvV/oFa6wIZ/WHsS/d/UrF8YmUDUPY7TvLNj8vfhqkirPoxEQmzRKyKeKoyt5XXuPll82UHIUH5pYObRnng3Rj2ARV0s9dE66LvvgaB5eHRbYVewxSg43VL2eKlBBAa8PU8nwqPWUNpZulaz1bDfjqttRPyK5iPO/PhmJrX+9YdQ9c3rN+6pO4ul5SCudkIvTUhwLrgm00hRw3sA3Mf/o6ZGpZ4XiTDx7bJOV2AenatANhTq7D49MhPhTiXds2CZvPwduLbX0kH8mevY5svOTyZb1OZvuCvC3ncM9r9YzlXgzNArK0PG1VSqoP+asmFXJY7VWcKFkiBhOxDFg5Qtw7KvWBlVmuDZilGuGpw90bBU+MOH+3ENTgAXb8Gcz6ZMV7UGXLSsVt1C5VbFcnbZYyQe4B20fzXCWzUK5TcwvqNx4SYXYalnsEx6szBpqV+FqSlskZjmgoybcV6P1jIHG5dLAMPVKqe8qxGJoTZlMgsUTGfKxViYmqkSwruyrnkwDiyc3Qdt5aueKx2moYulazMA2d5Anbf6TpPWyyNS/mcSQHUsVp9mGi2eBdQUlWitmx8QReVqwZpW4VxLQiK6PA3qpo+LLOuMAM9sQK7R5zBUfoD5P5V/3nr20r42fH5KFP8dYc2R9c0lnHJ7lQ1QqDsm8gppvzUN8YyW7z1WtrHljg4MhjwlcmuTzJR1T11Z9kDG8R4PR9Z3okuIRmeg4hA7gr6spYOJjsmQ/aLjl6ZO3hF3WEjOrqc1f/APu2uOPkWTLk90X+O4Eqil21mGEgqaSiw92Cz0cin1BMBnZl/I1ljBY1wFaFmsX4+zzeMYh1nSUj+pjZy7gF7lxYzPE2aVoywnK3qczHp2VE51bG/5OPqQE7qBp5bDJRZXyobXo9Pnf/Lntvd15TXK9uTLQNpnKyfoK+ORmxd7cYn/Oo+tR3ND6ZvqgYh6f1+9NoBCVE3SlprmLdF0lyVd3GzMLGcdQx1Uuo4vWJpe+vUNF6pEBfVCIsotOObb5JTCsBxq0M6PdzxWsIpr6r4qRwA+b0g3vsUXWTi3/FJN8hbQGVt+wIB8Wr01GKpZxsuGsmIR9ybYfPgEBODPK+n5/DxCm0nrTT2Fr1PuVHowe/sumC1GMqxRcoB1i0pNqZFmQfdvdfZ2D1H7pEzHM1/vItQvNwCdb/a9Cgx3tgvng4GXOb6BJ6LEgSakwy543Fox1a1ehOD5YWybjxaPbjZlQ2+IySkRQxUvmiwoe0umO9xSYqIQvzwvRvApPbnbfvv72Ty06NbI2vn39VX+ukERYW1K2C8LtgJxsUxNLV/gXCF1D4dqshWgBsNFl7POiuweoAktedHHwfnZaMTUbrs7bBkwLbrIPAQM0LkWBEhH+xWTClGEqJT35hLZdHsE74AxXKRCGa/CIzWSXiE0Z6tMQgaSM39LRg7WS9SkZUTxICyY6UBiy+wrhyV9yt5Q8caE/iBnqlaGTZuY7oM9dOnwBE89o13OmLK0kp3IqQWtRbmlcDu0XE+u1Yt8lvglRRPiic6h4cczh797FdldSR2mvtWvBJZdNdRIMtMn8uuRLm6793pqiaUk9hJWX8vm922ei4dNmdmQmSpdL01Da2TregdaDW8iwa/brELJkTpyPNHNXdJesjl03r01rf8YZ6qHXIpE9zYPw+gUc16gWVLnYdYHZHTMVSrJlIyW3Ktu1vcqW2LmHFLY3nvPtMjF59WVQ6DshV/CqrJblH5/pcuNpuyWZxKJVa/tz7dGmh+a2xK/uUWy2kfItR0gQnadJHAXX85IqZF0r8w4r0yrWsyE9GQ2N4ozNnDHPeD3w3/8e89BDTuvh7FNVNK/InLZOPupg5iHKCQDpwCwE0+giSxedMJROXVPrS0ipyd7e0t7vVgNlP7ATIdpcVFklgLopcpUldSluUs02UGDADyWF0pM8p9TnJmryR518WZHm0yDitvm/nIjgmey56VK4Msx/7FxjXWDgU4JnZdxs2Gq+qilPPDc5a+sDOXvRKto6RJmUSlkKDe0qypXADertlAXbFltvO/e5M5Opq2OuJMnzXbvsEqmWIq0Mk9SgIhjJZSsJ5OA/2HKTskE8++xjkEvncPr1VhLMzRgQ0My+GZ/omlVU4Lw9Nm44xs9WyGt5ZF/QRMChmayuJAj0EgPOgkSlnHhwlHy0Z0+dZYol8DhyAbTGDh8DZF3ZzBS6dAiYYcx/gOCfLG1WkJcAQXKZPEbs6UqBbtZFbpoLLimkNxWfpAnPoc0uUXC5NQ9enZ76dGGw06E+LO/xwCuBD81kNo+Psj8MmPYoCvIdGwgCuEKTZa4ugW3yO/RE1jzAYE3g4c5+UApKFm8kIi1tF8Y2OKk7zR9rO6IDkBp7uIwj0VXr0aabc+ED3PUC4qcc8cQ0/emD0z+lX/qUnyqdAiiwxmmLLWeqx/W8jGVJPOZDETUeK5NOxceZhZ71/2rfWsaAnXRiFzAZC51y8Is9++4jpqNJK2dpHQCnDJ2yAm8d36VW+2MNtwhH0BsRGmSTHYTYslAJjwZPPw8eYr9qfEo9sFkKDarXFTENlK3eVyXZS6iUB2S77B41D0ACkKrLSls0FYbwC7reL8jL9DeaOpTxMRMOgAO57WW3TZvEl/XR1bxe48M5G5yJfd+kJuSwsmEq6XC4z2g9H5hRO+i+x97bemgezgdvTXnfw/dcGnkWpOnpgeqc2iX9omWVNNRk0oBCeA9yTqnmVhpD8Zz3ZP01J3N1nC5FEhV2xXY6WVW3dbDSHsUFUl6P5aHHJTVx8BOy8IAuzfhCayDUxamtORebUVunZAdpPnM+ifk4QpB6MhF1vtwhcTJPCsjWuI1FdHiT+e2ejcP/8PrYDc+ssZYby6qL6ZIj2YyCPMxYraZ0LHyoSORjPqjdIour+OWXzTUDFulLsc7YJDrFf2scgj4gl6BY47nqyO/GSOV2FwrvwAuRGNjNgznjuzfLS7Dy+LtkLy/RnhdKAj4GhzQmjB2WzXS6gEqgBPna5I5AwTAkJzWXFKzWG5/sUe1qQDcyaX3LNXRkLXERUdwc9n+gx9OMhknkTVZJodYtDXozNlrHgeiS/fTtX9I63DdX0XyvOMWmLJyrNoKsi569QyMVvW2cSyKwD0aRDvjP8G2vWP/2/GCXgzWNYq7xpaWAaNuYj9X8ZJzWwZzXdi3QozqVsT/tcI2DbSVOO9etG4aZl/UczQOPKoWuyUQeIcwr2iTmwzcmgld8IPXTHF32vgGRW/UYsI/OAd0xG0wb1gvp3wV7pydNmVyZ2psU2Gc3hU/9Z1jibbaDipfIxqZJcSNtW2bjrdmFneJIt4uXdcNDFhtMgVornt2sOWLqdtiwd465w+KQeFIcOr60PZ9Izc1bM8DbL9yKV9hsQLlhuoLkmbqymZv3pFPr6N4nrP9+p32Ph3xW9lFj+khBliraZowqZ6rQD07UFcJDNciK4j726EwWIjhg+MyZtbdZE8q3ru76kyQi86w/3oeQf+v13JSkfbpG3zKuwkuDk1whZOaESuGum2SQe0h7aWs5XkC8kwN5gnejJFoSZiWozXxBtgF6XI34JgFjbAYnRq/DHtvU3bHkQBzxwJ87qYy6QkIMA+zXjWief6M8iGQkMbcX7HUvdGSJV0xKbq1PeLCawttGjLVio5Ssy+3hOw/QtAbwf2q2hrX58iR4hWZ5P6vjMLP41UYjs3ZHppLcydnytL/4yA6j54oejVpLdYXyouxw2PbNcou112lgkGhoboBsY431jU6s2a5PRmUpMDIpynAXO/OFpHCaqqABwDmLmczoONdXIrOd3stSRDnXdncSH0GD5pF4Cs2+P/oGcmwf5k3o2k/s5JJ7Q0BeJqkrL2zU2i1ViuwQ4LsPItrl5h3myH3RVcZBtbVOlF7l5ZUfFKdBMzF3H3v8EDTB8eoJnMr/1yxJZWmTwrPnOJXTXVIVlKkOWyoG2h3aLJGxaCioqx0QpDp9+93KiZHVSIysmwSqxvzga2XB2fIXBUwKmZqSw9qg/t/+HgntNLKno1zj0Edf90YW8uLhG+QQMVdT9MCv5VLkpWTW3YziY0CWj9twNrDDufKyDXjPwU1YeWEmPDKTp47drAVq2E6Y2flqjIjffv3bJniOCOTKQ6H3SSuozl6wP4rEA1uMwHINlcN6+B88XzKC0lRJzNRCn1yzjsWeWANmyFJZJ48EH5WgMR6Hel14jVWo7bFjWh3IxrKEstnkQ4dPG/hSK893kysCvH6CiRMK6/Jj4QXFyeJw3VMjG3S2Z4BgHQSrCoqoNU5C13LktZV0RnIaKCFjFnl56guXEZq4GDVKnEP/yUG9ewCq6YwJo5SjALRtOl/4M9QNQfe2IAsbQKQOdY2VaIcBQ2yfAjdwqKyobF2QzcsC5J7b2bjUo+8B13lauY0SHs67Yy/hcnmkoe+Usx1IxBPM3dlwKl3C+jKhnVSspn9APf2R2Pr55R6YS3poBMl4FjB0Hwvi8CGs205jWvvOQJrjj7VxoXEuHYNlFsbH4vNL4u960A78S4+ZKHpvvqWYGaObaIKye6RKpgUJ7vQJ2ZHUY9i6Qe0F7dlmnoPDLxbAwVsbi2Vtz9ZkL4ErU0LZ1Jo2zDomp0I4Mb5XOchsj8YLroI2rnMK8w9eiIDmBHJx0ucSM2efAdhdQBIEtS8Abautt72hLjd1XKjrT66XZbWjC6B52GxD5jzZAbprHaryUNHZE34zv8j+GS6AuFRX15vkH5kneFIUA8dVcpalFJxnfoxjKynUQsE4j7+URmkeLqoWFiA9ZR7qyVZDVp7NnNnQdboE/WEmnzTL1PZ9a5tx6pkKQHeubhpZgdZGXwdg4Pz9k351Oe7SkMkqTdHLw16zVvaEQT8uIHyr4kmYqA41RjVUaySmGY8/+oCmN5pJjUitV4DNgUbeDMV8JiF4quK42WV3ngObH4jZecLa8gD/Jjk4bo0KFw22RDJzUjmCu3mXBi6oFKznvBUGJA7BT8XzncngdMGH5HzpZvCQfGi09xUB2hZOCbLlbOdiqU3ADZQL0dYmib5v39chFBSjLprFqsNaKPyTao5cSi4HCR9FuNl0fRz2OHSz7pI5eaKaFgbKDitzmOMgKZRaLPQKYvSPBQ/T5CsOp8V9Dq9z2xR/fIHo4LBkvekdZHQu9aacuydtYvx6i1NFH8H51k42Svu6Aqwcr0wDzn8uUkH8egiJUnptolp1teONvuVsAJjPHe7Z4vzwszlLoVw7h3AQ6cmnhdU9W9apRMeKmCbzKmJQhgbdYPfNn3zNnOLjPydEJAf9BHF3WJjYAxa6cR1uisCZG5iuubQHNBWFlXFzbaMvVKUm4w3fKxtKmlOfPPYxQ7F89wQdtbvActSGVzOK5BylHapuZXqbDslggk5rBS3CNCvaTunQVjW/oFy1L/ACBMLR3ndT1VJlQ2tAFSxIllfWcye4mzWAdsGYwg1xVC+PclpPN0PTu6li5UkhajlXb5h7t8UC7T+S6C/0n5I0vqLAw9LO8+olk6R2pgQOGBqZkYPerUNDZvxugTTD1Rp/ZqHn2ixJk96nmve2XbicDLTh2lba5rm1jpvMHlmRjYN+8AtKpiYdxO9gXLiSptnHu8d9NNXlBLaY3Sl59MiEK8GMN4FDc3PGOG7117XpglmLq1aTnEPLO0QJfXTuO+ruK9izFzY6ZCPBx8HjnLKbI2OZAt13Ui+vmgKG+WYJlqUkL1OAwuOrHH76i1NU/v11TqT+WstSay7P+2yCfIvR6w01RjRvM2u9dpadJaearO8VTi+1PyqxzTB3bY2G7Mk+j2o+FXU6VM0MG91OtaHEfxTFstrORO9NdXsLg18RYDcFp+5Bt/YODQoFYHOimX3Lc7wyL+H3ZjeuxOFnNkwT6FZhwj4MuhSd8z0U7MzSJlkSCwwUw5tNtFUuah72uTo4oZxjJ88Ko6NqTpZcklFGyGOZQgVZXyMlPGGQGqftnaOyn//riG2ESRyE+lPPB06pZTsttzo8WJ12jWZ5kh5BVs/K8ai2SQfP4tIMZxnu2qcbm9IRMZt+lC9ch80p48jhoiqG3lRbd2okwpQZNp04zB0rUfndSfXffe6ZG3Wtm256g7o/+bJl0yw8FM5lO926KeiYp2NDS7Gp1f+4BTyUGweCxoOjtjl1b5VUQsv5Tmpw9MzZcVfKElQvJtjXadZoXm4CKqewyBlH4VRrm272SCkfdXllH9XKktKvOp75vVzK8HIMr8ajJWebpaCJS2uaITJ7Aal+UU0Kj6pWbjRv8CWdtriCVhkDoj40bSsoM87AJZ+IsYRVOTWRKsKqJtmvwCTKAt9HLdZV+WNtgQt12SnJK0O2vbIx310YKTrra6/nLnaqiiuIQkypS30HAYEyGBJgQ2XtQiBRJS1Nkro+qT2clsisU/nFeQVC+eWhNaT1XTMgNnXuJaPrm51TUJTlHwVZzrLy6PD1ibZMI4WTHATmWbbN6YBEU+tEhxSXVsqfeCKPfVVBtVJziTztpU14IzkiHXW50rKwCX0GyNnbExhOCcU/6kF6YTbJRrFfu9mejSVMlPPRCoD06R4CNMP2jhMLTAMAwBhck+cNAefSJ+1Wyeb1Y/xSOFHAeEhOiSTgRZLj7WOUqXkSPjfDx+axyWhhfaAEfI+TbHmzuSAbgGpgnaT85sW8yYEFNvA8hqW6VdpScO0MSHU2EujjW7fl7edfBdtpatHmcz2cTYSxvTbUy/Y844+VhkeuxxLdIwcLUlc1L5DYHb99/c285OwQJPfXkQPEcy2mxJWhDJJjsonUpmc6QECDHjwMO1bLEKfSuE4jfe/lc5OjdFGiyjM/PFO/fcCxOXtlP4UvCWvdvNmb4P9T1EnMfkLJPWdVoixeoa1iAxuiE8H8Jzo+yZWdDu2SLZG67VRimgCLbx4dhErw1N5ON545H2YLF1boYTZxPJuwMMjL6S+zx/VQ0W3P5GfXoCprW+LMB6Lc7/uA7QG7Pp+EZqYVKzl8coz0n4wffcoKWodfwEeDwFBpe0tC3nS+tSaIU4lxGAQ5mw4Si6q7Ckp82l+T2dGP/uE7bcKRm2UPcDuOqXdJNam2XL3KZqeeM7ot5tWR9XfU0SVe1G69sQrgYW0W+8+fZ/uYzqYi1MVwbisOrQiyx5clsgFjfUoIZCq9wwlMPendk1xFKKE3tSZbGv2OJF0lOxUB01pFbQQ3C/ZdZvXZN7XOtDJUx0E7rbrwNms37uM9cjkVbl8o+RtCpcs7I9+f63GY2ylibBt7r5sns0UrBTQOp0vN7mL+J8bk5sThEiSStlPr6yj0UU4qWes1DiBovd48GiG0XS4u5gD25wyv/AYJHXYcOTmBVQa5Y2Ujgc7qPiqTpqe3nGYeZu4JYsVa/Sh7mZyzreeX6fmtdfkeGLEnzMFBIKxyWHlJwO4bWmNJIDCnvJrCMZNJ0lmpnYXejyuRw64bsjBvP3rltj1OQI+IBuEiOWB7bQdztAUApryyrIMJ0H9HeJfv2o9tEmKrUbBqZmxWMtRudAvpan2/7TkVViEjCu8LEqz1OQOArM2mGul50x5H1YQx5MlPS4ivLAea65LJo2ZHmoxoJvVmM441Y7+g7gYeK3cWwbMF4CSJZdHBbADvdmiszASpCHFNtX0cdhDwH+31v6thJuOOw0+01/XpAG7URpVIMx4N3mXb9+cUS6qwdgQR4HJpB295IAKZAERJdSa5A9rvs9GHzIyGYGZSu83vAdL/rAhO3b/O9uRK1dprI6VDY1vRxXUCcQYZjAspjlbDzP1ttpcpS6bIq+sjvpsRKpWlmKryxLZVR5J3NU0IUS1JpLbKAHKnPTQxDa0+vcMc+1BIusRmEoUbmCYza0ZbQPI5CDCZFYBCWnz7LLH0qyCZgsMN6FjL+aQP5l6trrZeN9wsoElu3di9iZAUQE6So1NrIQd6pQhpbsregpOoHIZW3o06lE0vqZHbuiND5nnvoChEd8l5w486vB4+iD/kHhpVna0Vvpb5gIGil9m2RkZU3OIVghwOBQjVpAfsqgwOpZQkq7L5qaKz5QO7xgEJBJpOxsO/FT//nVYnyv3fGIKm30mraWcXltLhKLaZ13qo3uUmNK96NLgl60T9UfL/Xm3u5R3Yc3DzYzQf+06wryvAcizmnBB2ElEv7TaK/UW7+KgKv8yeZr7cbOhogJxZx5gUb3ctMPNsUu4RzHtRm0l1seAangNZ6fk5BpuUxfxF7asZdLwGZFJHPA18ydhKvcyjJzpJ9A6Vnr75TlGVrQ1hrf9//f7rb7//ZOa9z3aGugglMaOkH0EC9qGeI9g12rC1jyNOT2KGtFQFv5amh3Ns88HtMOkJP6kCm213NttALpDKKmDwv4T8QqNNGYKSJISPumAPE8sSthsEYjnkgwdJWyAu/vtPcyOF8KJ3+/efzkJkYaPGE68LVt6fmc5pIWQXXdeBOkYAf+KzHfPT6cq6aF6RYC0rmnWhk7371OR3vZPivZyWFBU6855+EAJ9wv+f8UHUsRDreVdFO4KZkpxYDojhaqIE9gkSa7rqYQyP4MzpKLluHpebXLIemMA1/pUWYWZKFOlsplLDCpNIhbdnNP+cxEk8LFSSw3hanm1VioA5tznidJWnV5RfbJalpX/UzLpPE0zXbDJ/hN9/6mGOloOl7NTQ0W69tLWJkqTGVKlaDPTfj7YVySHzmJ+eQLDAdcDF0M6kG2hu2wMfuiqo1PgyreCWur6kjn2tl99Ebq0HQoxJAvAVzizQXFgaiZmb9BgyrdPxci52yU9ZlKVDRv7jDOcFtNYzbkhSCc90Q4Afa5INxwzD3NKjWn68mAUXTwJSV/MAWbMZAKuDXTgcET0lKfsQrMDQAdvHoVfH1MBXMUMCVm6jq6PqdjAg9Q3OCANivNSo90ISxjttUMPd6un38f29mTxCJ4gBz/6vznw6hgkO0BzM7Hxn37Myfffcs4gf9z5ngBke5bmsC/3WNFoznfZy+a34+Vsq1LpYkqJozhZkUTcT8ujGSZWjbmUy6HOpOEgIDrLQca5ZR0FzBerfZcp2NG0hltbhHCr1VpXga/ZgEBBb9gvdtPyLRJwHGxA+yqTPhi3VFhI53loTa/8aqpUgNY5/r0OsbMfw1Emtm0GBKC3nhZ2pKpW0d+cFdMQ4eBScnp12rnAxQSvHQbwdJUhnRP8lOes6TXWzlmXZtNehWc4a7eS2LKchTMJdWcPWj/O4gowqHevRmvp41R3ol0fs7qT/LLZrsi6csX1/jxDXttbOB63hOYsNOyaoUmWeMfjWeU5KmFzY99xicCkMMHHLvbGLqf0JUDxLwpOWUx+F76ybDcUvfPxH4bJZKMM1oocoEbcPtilRS7VMtICUwHHim4QVaoVIt19gGlutkhBF0PBhPAtCPlypzfeXKrS5Xn8QxEk2hPw3VBZrVdmwAV7UjQCZUfcSkNHxBlxsBjJwQo0lK5YfOnmn9RGWH4kLgOolKV2F+Z7pCXN6jnW/dHmqbSxDqbednYwz11JdKaBWlbGn5yTAjtvEwyF45cmvMCNKSrqMIeZxHRy83J3E6e7bTNqIRw+cQd+EEDdvxXsD92bWdMVBgIcp8/hR4clnZbh/chfXSGsz5GrvAMWcMU1kvrBBMjHMABnbO0iRM3Bouji0/2gTmRFjSt6DPTCb5rBctsy1qOnV2kanJrY+CbhDSW1B6Ku/ynWdSPIHKVX2qFQXdrNwHnBdHrSmM/ujWee/vbhZ0X8K0AJUR4eP2wLaNm2G2alYYsLaFQr5Sv9m1t8Eqam3lkclQD5X3Y7F0SXLeM7Rw0WeZlaPHxJfHZwDauE622a5XnUNXZbTh6OSxiiHhl5oi+zQGuO8yYYLIVM6rX4VNeHOCYN8WBPJm0BXhu8W/++yXG56g/9KBFjqHViBXHtCLjmRe1gl8ulNO+eDfYAHFpt4IasTs6BHt3ZqHk7xEsUep2tvBVNSX+tNn8CZ56M9S8cvd4FdENa7T6VcQZ6To3TIbDqCCYv2wSjT7HVImb5xlI8ideZO2YElkMHzGdwmL58Vtw1Ko+3JlK/mwInmUa4zsQRlplD6qDZYvEN+KqeQ8KroE6uqhDRtlo3t4Re5T0lILShb22dUT4xXMNVgYcy/laGzGrn/6GmFqmhZS5H6kzlr+Icpi7UXD9Y2oZ1O3tWEgblw5V43BQCfldi0rJCga05F7SXQrCbppJh6DQsKb8X0sEDb8jgPtWSMlhmZCjR0LDNwyT3p7zWuDuub/6aB/t+Mh91WQPtSv9xNsyaX60WugJWDp1NPK4I3dMaHuR0S6uD++/q3vzW/zV7z1o+kE/sA3ZXhoMDtOc12YLDTKCNZVm+6F74OygZz9fWXc/Igu1U2eBmKK+0CbIeiLhD8LnuUlhRmt69kIdE44D996MrG0g3U5e3xNmzkNsHv3ElUz8q2F8mQWhVBauiB2cVVf7SbgQMQtX273P5SZLFR6+ugtM68O6nMH39m/uOfG+2DMrN186du4Wpr5rHlwIzTBIw9z6M9jdFqiugV9NjU9mb8+9ffiqcOQW6BMNW3Nv/uAqivYSN6oa4zbo2Mtm5odqFMyTQ9NlMdyTMxU8xKGya6T6408pR6CtfmzFKQYw/aJK4ELD3WdcYvb/GDGvUtXje15NOHPfusj8NQwpeMbblFxplsUBBzbhU+tqCSQ/pmrGu8wkvAUHbO3NgTGLnLFK8pKXH4MS2AssWv1zDJ2naowuNTdZtpqNcFZ4F5nMrJOBD0yezXnDaNEnopt4mgiEam73DdeKOTahh7iKPyYfzLRolOaOaCqS+LdB1SdeZo46Uqac7lkYeFplPpoybyIuF2gGDQqbQWE+21rYLXpO77QxZYNMmLOAQqWrK7sC3zLcK+Ueozjzvs6WNFgusdmJa3lvosyYTntpYlPuE9lFE+q6uoHVuqKg2zr2d5RJI9I9Z83eMhvo2NOQ4uYy3pQaicU5UMJLo2Q3RaTM/FpmRlvUecm1s7OqTioOSp6vyjnD5Bzj+6wXAMUYxTBD7N5Gqz+NW9sDExgPSj36PNU2EjX4qssnNiQ2cJfQhA5v6c48MJ7buuSJSjpyMjIbuUGjgm1b9IpUxfT2YfQJ56WuaXJuyh45IeYqZEW0nl4593gu5ufm6Fforzc35EIrjUVUa1XC1gPJjl5FzhN/UeZ693TwZV08vIthW77hIcZ4M6iZO1xL2OW+FDXuLDO8hNhCzlBWxk+7jf5laykC/gFqfkdyeDm5FD5Qx3v2X568nW+GVq39+pZDJhVNmdvG7tUFOY+8CZANfAI1H67Gc6FxgpDb0Ubia+bJuSXJl+q9PNfhHCuv3Dma/yhfGvpsuSneJp3q2tQaJH5uqGDWsW++E7zHnCLHnH5NXnbr8vRJE5gE7j7dFhJU1yW66nLew2UZ3nKGavIUIkzQWvXCLXdybIft5H1p8U4JdTca4k81miOw2/xq6Wiy2Xb53RW3E1rpi7yZezXaW3vuaWRyqByxnaERea7sv8Dy9IsZrXto7vcEjIQjpPXU/nqUFClI8V8GHOxaIrXixeuhRDctun8Mib0oYESFpEkbOe9X+RqnWGJjubbqGXef9h1i1/IDhKYLb7/HI3ZOt8fW0lfKvpJsTWXGANpnVlkIWxLI2vJtXwWcKqg9amjj2V1VdOm9QnBarkznc07/OMABK/Jk0CUna8eaF7sg11uEo4RSYc3qWnIpZ3NpgIgHiJ7bB7geh8HRO7eSlIXLLWWIUm9/jtX6TkbCdIilFtlpz5eL2GhMNOIi5rh52qoqqJCbrEHYBhqzNwXKX/aYK5ZdYJX9hE4vGq1I2HpLOdtNtryz5Uy3F7FirXhxKZPhkCpZlgxlPULQRv8RP0SWb1hpxdwpDQMAHjsICi1tFUaYmSHjDTVbyFnFnXZgqqWjgv9LxxrSmWBcoEcRW0G5+uD5VvmypgMFxBLdMVrOvToUcChIW2/D6V1s8oNChPoQCECWMx60joV4kHrw8PPXo7gouq6RpJUawe7b/mbvLPvyItbtceyD1qS85/Jau6yDoS6CZVOJnkxJ8pFQMhQhKMocLw1Jy2oOskvHJ0h8GnS84t2z35yFGXDkxVKYRMJ2hJGO5qnLGWyWxLKTWgU6qiUHGZ4GYxbYYQdHs+1RQoqSjHDmHKna2i9agUfYL0ncVGZnA6bRuPXw+Gv3Nxj7NtGyXp3gBSlmktuKzBjdWRu4vb28JMeDbznm8YfZa1kvUOcQ1EuFLO66XQ5idnrOqu0v/7HidF6ol2d4BCwfCU3Xv8J8oyq1hL/mfZDxD2eG0+/M6MFAcqLizqZvb5GGmt+NQCc/MAxQiQ13l5TPESQ596q4l4K7Vpu72urCmTQ3pFw3m4yXYefQP4XP5uyhwS4xxons2G1RMR6enpIWhAKgjNxwTw61YHs38nAOQUxSm/JqfI6PYcSns0qa3My1rXFAqMdlBLaWlfxqhQTjvt2s4bv2Msmhaq066XwzlvIp+LJ1YbD4hCK25tiqVK1DQeTtJBCrvql6YTKjNqU9JFTUCT9ZdsGym4bDLwTRbCA+7UHOoX+a/mpuzWJYuX1E3fXrtga/Hks/tPsg099fyeEJrWk6zdToSOcZzb6FZbkx3bowiXS5xqxSJAKR32ULNkXx0eB0TsDrSn6SFlA1YHgRtkWp+UNKkolEMg0+zd5F5X4WUdnFr+uo8DkNdEj2k6Jke0x9KFxTGeZg/P2vmgeYE2Sahi0LfcLqcWeeZa5dzWeNR9ig2w1h6YzWvbLAPwHs1e05ohDXF/ToF/w5j6hj6qPTVyZoQEww6gCYjGEAKSpRU1JhiKZLQoDMeppQGPHznXUe5FHUfaZpt3SQ7vssQ7L7oVLRC7HcnYSZfYcZVT2AwxLYFaFJz/nPlS9mNz6RuAhFaEcWqruPhcWTF3wd6fHltH32zbhUWRH3450qRK62Yq39Cytc0RuYh5CDIIm5d0mruymUxAUZygZZhF9pOcc+mGcmZQGgeATuYzcMMUjQGG0E6tqFi+eTgoiznJkbpcHTjs7QsPmk3uQt1lejW9MPyz877tI1CZTmhiJy/sgMxFCXsovcKiKtivBJJlJEsWubfzDThl5m6RQ2RSnVoceK4yAu/KD1Rs8ovWxr2juEBJQVltswHaFH/mJUrzsC8YKryFluOi3MrDP6rXkXxjWiqgN4nUcW66y7+T/5mRBRCIvi3uEwQ6B9kbtpWylJ7QEto6BWZ+KndSCTFKtnAJEW7JvRu0n7sOTovLLi7rnGdfZnOccnSkQsmVbsfWOu9hzzu4DpOD7N/SDo7WAWYgsWxog8oE2bouUKE8O25OyVoSDlKipuRMEjKSVKcrmbskJcKpZFf+4HloHgHyJZUJopW29fjEvT5NbQpt7FpTcpN9rHqS7Jrb3m4HZZUVtihcGN90WvufkPMBp5J8QhuHa9O5pPy+Se0RlH94JYbtzK0+p1VHV+gnALtzGHwztclW2NcMxe+StAwYG5p6cVv1CA+07gHyZRcHZ57Wh/ayDk4UTqyQditS6+2rwlPsuR6bNRJ1sQo9DgfJNHyTdDCLQFBdm0fjNHVMOoM+vQyd+WeBRzkR/ljN2ThT3xK2MXUroaCy4q4+/hNrKTXKT4i2Ya2DL2PFJvrZLfCZK0GGlktg1yOlZIFvudW58Cfr8wMepD4fSYMY9h3NYu2QezvNN0mXZlvhbR3HUK8Wyu4DNm6Rk9tMlDUNZQbqpBSmfusqpYhJU/r/Wvu2HsmNJb33/RW0DLglYdZzkXSksy8LLGDDLzYM248DDJKXqsouksnDS9dUG/vfHV9EJMlqHTmCowPs6sxMs6qryMzIuHwXPH4nG/IS2tpqfL9EZL9/xzPNGe/09bws7OZeNmvfLNqLhLE4KNcDM9kjOuS2gA8dLjyayhN6tZdzPU1KyUPl8K62PctQmzgaoVdKGUM2gRSsLtVqVmGqbuncKbPpPD30MJuCM4CDUg7sWiQav7bumkwcWB/xhGwTWohQ7Fr7dDbiZMexSw4DOilxYUUN4KapzzGm2bpEpKXSnXedg3/I0m1FFWcqK7Zibkq1hUEcIBxZDBd03a2NvZtC14yLgJuJC4YzLXx+rkzuPKf3LHDxDUSKoMRWx4ovNpU1bxx6bVrQ8nZRxlqUzVeAZjDU2apmqomgqF2jYqXKULBZ1hvtaUgvcTyDY6BbkepS3V5FLrcelWov5udkAEEevVa0C8ykqqffAJn5YD+hTx98kxmq+lsMglMwz6Y2hROd3HZXlHPf2nG4XwJtymY0U5nsbJWdDjfPGDanseoDMR7fscJtnv6QmQodGOJcp5urGxIh3Hw224ZUMdYht6iVqeQYjKz2Gq2toX9eaEFl803zo0+TG9UIlgH0+EIPEIVGWFd3/W+YPi/tOZ0PnjJjeOGj6ZhsDG8vSO/cgXyQ/Nx6SeBQIzMRa1VlNduSQu9lbu+r1eKB7C2jUmtYGUEPFFKVh4x+YzUmHVnYuaXg/5Uh4FJ6zEZl4myxjVNUjkNWsPPQODeUvr9yl603c2w8Lvhksrj1JVVcqhfIo/9eovkm9q6XmcEPYhjVBWiV2sQnydWZ/WW+ubj2QtJmXsYy1clqZwEQNiHXg6KaRySEmXU3dGKsS7//SeAdgH6o+vMO506BWmRf5kvDatAWrKltmkyAw6B1xf3yDWIkpAQEesM0ot9pZmoPPqDZPcvPU4EYYOB2v92codglzAx3P1UeuVD9XBguRIHaBHyLwubqjCF+rYd2/57jttdh9920PBWnwhT6aja/6I2jiiC12jfSZQcE2la8D+SFfV1wRrhMbKoyiab6JKA2/XEVRri562fyqR/RqqcjrQ73qaDlG0FAnqYoLBjMoJAMQDewvxfnUJ954B9fu8SYBrZOoPMQBK0JZoCLGmTDtWNt8dADOkUmH8qDxSCL4n4cGM51w5S9YGlx9u/KIkc472jBUc1uNwEoAjNQ2QauoGMgyAqx4xhs1EJCp9phtICYIBwECjDmaRQYMDaGaZCc2vEC8Hzsb8g9QfbRZSKR+cG51QzXQce9yE9UkYRTm0RGj6KDaWffRwdSim7gMuotxDqeL2As0LYyK831uVLgdJBteHEPyew7QvLCxEqyADDMNLjZlqjWZcS1/TJ2iUCnGD2OyB2WUEf08e3zGOAr88wO80LBdVzKEqlPK5hz89bQFm7BNKESD2bODkNL9NUdqLbp+v4Gd2P6o7VDoFeyrjSz5Ao8Hd9QrhSjcNRlrYHhOETj4/ufOVEY2sUhbJZ1N0Dke4n1QgeDq/2kFiQ2JxMadWj3UbrcvDLwsEH0xNnFSJDdP5i/c7uygHWSefZQqApLCSqca5SetTU3IyB7ONEFyLz6kGGcj9Qj1V9OkYqW8WPznKyktW7gyOtxU1GGHzZ9wQBaq/lf85GKxguVEVM8W5FWNIU9+rDQU2ODrSypVpuS8mxLxaAXD3g3tOdgaktyYrJ7420jtOzJeW7lB95BkkdhPpwbiCjg9HeaCU/hlK2PKPs3oxpyq9N4d8D4YcMBaeBUlqxOfC/0n8xaIttEaQr3+TsWxMt/ZZLW6olkHlaKWzs6eFWNkgl+ZUCpeFRKnsPIeJz4tyX0q6PDtLZFzdJ9NDuQe3nJu7vPzgDa7HFqffUObKzxCYLljHx6El/ZCfZII5VH+JMW4+UDjC5Tg373OulyW99eYRXT4JOVZQiECJreHOjsGV16kcRl0e0SzOKDqwKZTOAY16aR5Svtlj39BtDAWHfJnMkzd+mee2j6N7otLIXP0RoJpnaXgHwW32FIkpc8LKlhHcbpgTnOP4fXIVQX0whDwk5RRlMAk6EgG0nqZHuZSk9SVo0tUpKbw1470xEKk3bPGcm0B1XCZjICXnIKHa06bYUYqutcwNzi7LdD9xwF4UtobXHKqW0aaI+HVlIYcXK1XkTBo9R5CKXBDv0cdNIAH6woNJrj0VvgAZKg/M32iJidw6kIvo4Nou1iHrB4zSWEqaDwUoU6OWw1mp5C+02hK+bVCTr6UeqQ6ZBc6O7ZZ0cw9ncyx4lu4Dg97Cme7lT+hrOjNsLwcMNW37i3hlGkdeCUy1ij5+FUVenTUhW93WeVO/oGEKEHFRUoPQV0VC814NNmqbPEmd4I3h/F7s9Hd2fOL1SSOi3tbGIfPxZzKj75BmtqWcNmX0DshMmscB6hvnbNwB+5WHqdi0Dv2tyn+VVHXqNzTte1tOwG56UbtNd1OVavMMJcl4vTkf/6DWvvuzyhPQPGmfPbLv2cRihHtYCB+zQcoY7EA9diy2cOtoiZzcB4Ca+ckIKmbvSlzMqrTLc57gwdKGSiRXyGwsM8Li485iVRJnNBWUj1YTADoXhPu8wYnkObwDFxNE/a+VLAaLB3qWw8SFD5qAJvRYoOPcTXCOdKmH00B4egOc1Wad8icIPaNZjI4rkZJkWn1AXt9rVgm3F2OaSP8zhrA2PEkzM56htaUXSDT3Y4FL8tR2kwUMGCY144OyZtHoj9iNlnquY0LBOYiDMwYCZyi66j2ooKpnCj/6O6tB32su+U7oW2EFstOCEltXqVArZehSbMjk0Wj92JC2tSabsx6Wqi3zyAUmprL3EUXiO3WYoCJSR8Fd+WfSNdU2D/err3ktIXe4NZs/zGGhCRKw2sruS1Ch1AWaImLcnDfIeqCP9Dzv6kPDPnqOlcSGBQyAxOkhFgF09XfnI1x3ZGpx3gBW24m89NajvKAZvBdX2oX5drXJ8Bn1gIEX20vV+8ojRyn2b0diBhQPfIAa4QR23Kf1uMfGnZPtFzegJ26wnkoWm6uxzWywRx2cTz89qhApWZ5aviYuwinfqe6KQzVp1tei++Nq1Hjf05RWbSW82TDfcmTO6WfZDUg2ywxTlmtDJCwSM1j2z3z8irf/Hl1UqkZw69tSyHoW14W4IVo8oAtrBe3ygpsrosPd2HG+U0nBiyxOIBVMK+5tgR1TJcqoBBldu5vQojy4X3dg33KJA5UaJZiCylWTTe3wBpXALSAgbdTZ585HlB0grf2COano+qhp8kr8u9xZRKKzi6+Zp6daooEnoE3LeAolDLFNJuODM4dVTZT7cZdBq7XVJvJiGsvgP4ABco5mKhVVYBSVZX4Cj2dhpwCfc0e1nYbaooBrRtHjkABORKKaWmcO3Cle2xqmPTo4FrMDQXeOyB5y2eiXYlDumVypHddHGExraX5jSggZV6lsTWtM15MvhFTT7yDFZafHiFQ9h8i1gcrPaONOayzOgUG0oltFGWJDGPeKwTsy+LxpZDJ/PH3Lqwwfdrtu0oQ9HkzSLWNto39+wxLZKZJpv+/oghQ5/sA3JMFFkp/ZfJNcNUzCib0sB2o+ofLpIDz+EOredy/xM6GhuzhlWQ3Sou7lGF45yZip/k01WarmH2Qq4zunkMot6RTQMOjfEAJ2H90Yja1H7ifAcUgW9cvIM1oJq5LLZ6FybjPjnNCzux1k3xHz8yqg5WWcmcPwr8k03LcuFnfaJLE0D3YfxcccZAfhY/zw3ECyZCnO85R2E4nxvGScVR01G1MbM4hCujh3mHOe8QYyhe3Q9teRs1HzBdqEL/7Sw1BS5gzBmdfbvPnKxIo/nzd6vq/7DUjkkn3G7PYVyN/8yjm5LUydlPGWI72dhrhdiwXqhtCLQDA0szY04pazGAqVI8NZ2Agrdl5OyZ0aGFXQEDWeD/fUEnu4774k6LzssyMYxIwLOKdbfvEZAeOqC3hwFQPMK8I2tRUSHKuFszpL3Ec89IRqp5zQwZcFxPQXsO2KXJJMRB1a9tDliQMTign4MjdV5hrrdwDR0Lc9/sBGqlpbM7ny+rUf1kNHZLCOsxQWNwed9eEu0vl9KQxBdtgcBVz3yFntYSkq2ilBnjR5QmL7g/anUPu5aKdYnAvjST2rGL54g9R/f3jD+lLEHtop69Ma5A21lMJA9YSEFXpmE6Y9UAj3ATkayAUMezQlS2kbtA+j/Wiuf4OALmQl+up32y/stLA5XvF3xVbE/0NW1GkiylckScFwB+PUqJdmTELpQ0uBdDNXyz2XwwrHGV+9pqcv3GLkVIb9u2WEMzY4l6RDdlZaCRTQ/jbMFMmK4OK451DPtHhhnWg2AJznrffXBiKEXqDbQpOpz6+rTYJ0tmoAuAzkRyh3oZzdmTJGHKNDjmSKDigzm7GNFzsUc7vIUuqv4rkPfiEs+X/b/pVdsFXeCmy0QlLthMvchW885mIXdOd1Q12IpkTKOR/5ajfQK2zUvTbhIsUvaYI6exdFhlKYtbKj8vi21BCSQaKq42KnCyzchDTkVI0xl5akZasHfZWcXJHjpcIlUTDJ9dalCFwmiam3TmFTlQq0YY67ivUVqrAbQQzYkaxjxncdec2bBxb/18zD4n1KzOgBhcMI09QvoLIyHroefWSpdwYN2aq6mXly6YyLIchIMv0SfKBFxX8q3AdA911ADlnTBlRdWHVjrLUMzNV/jW1Z7G+k/KCmE9qO8/grREW6l+t19TLMvHJVOd7QPE2P0W54tQ/FgeQA9ia0bFgfKA9/gDk+/IOUYZdYQwobTaGeko3gtyrlqbLe4EDaf8Z6ToPSWjTNxTzTif7lbs8LBHoJRsesAD96zhMdF7iijCUmPGmq8ZA8nDLU9V7zq7LVMmtDISz1umH91SqW8cSpyIgs0DQBn1qwo2Hrh+8xxZskeH9BIYgMYUNxZ9N9f6Wvfj99wuIp1MS9k8GHfmEtwmRAfYOgu6hpUcfSOdnRhBHV/MBkYQLqEJlVCFbb1rrhY014WI3vcFTpJ8wJxMIBtuYzdt+aYSVvDIoMji8qNAG4zWglnnjakDdjqfMtOweDx4dIKRkONsLzW3Qs/AwiY4KfFgWyJeZSkP1lw2e0qU5NZwh0dsGWhtuiHCec3sO28Q6vFWRetMb4ZpjKssxSFHCeIEXdgColgOdVqu1uS0sq3KZXci8EUz9eMi9gimegwLOsK+rtsUbtKFB5jCuJZ++RRqcRHDQjmap0y3puYBC4vB+EoOiedrvET09A9yJBTKdJb+oUu9Db/BNENIlT4hPgFL0N6/D5NVwW0JoqZdpXiIqei7n1s/BggTqPw4pCFSEapons83FB/Nnfk3V++QIX/WmvFrO0EYehuGY3kSO8mp9IEMS9t2SJDsEyaT9VVpqRnjOZlrRjaL6yTgDaveWI59mz2WfRphTReR0bKDPXBZNbQtkNm4elzimYrgh9DsgW7oSZglPQ+B8R9kYWUkZE6CCsafd0t0FphQ/e7y1IanZ57buNoA2RUfw6JcV36PRjsokKGui09SIIAaCq7qS6qvwcrwX2A8Wck8Pwz43z46RfFkfEl57mxSFVe+0M2cC6lscZF9WVQKemIjaacgSAOPS9d0erUvhAXeOZ3tnrxsfXo4aemsDvomXj25bDezrpUNa8h3x2GXlVHADzg4DK2HSxjnV+f5lQ/INqgg8eOJaSFpV8Gk1f1AwTJmBilBRHCeHmLmdAn4ksBW0S1qkag186WLX81cOqFgm5tuaKwABS/0AWlmG3g40tvQPp6e0+sAP8y2aEPUcnyC5vW000JkjWmz8NuU2EtbQ2VnFKz5Lnf27fmraEpr/iKl6ql1CMGx/y1kF5ibt8q37RB0hakTgvzaOsp4QaGB0k/xsFMtvejuI0NjpKITFR3mUeilY8Phs5I/okieIrQBSen5pYAVrT3e5ivgwWbaV0odiBTptGF/cF9muNECisoGXa6RlswnFluhVdxgzxD3gtKsjfjo5+z7BhEYBSmnsTQbbEK77q98GycGiXNLoZv0nooyLMVcsHAdfEQQaeelD5+/o+hUAdckmC6GTvF/hnahd2/ahkJmz2pLwO6xdCp9iOBL0SSDcsHMGZFf43duIWH1yKb1Hdr5LvhHGwbd35cWApaCK5BY5agCe2zXcTOTAwZ6sX9fTt3+0KPOilLQEhn1nLgXZ9OHQZgfL6Eb0K+jdM/MLsswCiAjUlrJ6Q7HZnE2s4IAVA99E1jch1F7MmrzrbbYzjpFG0GbGdqRxjOyUqzpYlqmFWAUT6u6lXlaIVcDfuPaMLbV5zuSRRDFt46Sk2n2o2KrpQSFPpnYQ6mlft9iZggH/DppEzt7MbQpIsZbZrbFAogsl2oHtmuuEhH2eXBGO88MiA2E9vWVPv3IEbyiMZUxsZcsBd3FfLB4TQf99bNFSF1HOKtFuJm5t9cAV6vVNv7YWVxGJr7eGshT/u69zCYrU28wuzxHpt0e+t0r5h0CAXSEur80hR8YYkxHlvmwhmMzUtEZLkh51d0Qs7YacwV7ilEup1PAZMDWnZEAdYIY7eiDLSpQsKPfAWZONMPafamq4IN+0VJmWShbEznDVz0ZyrQw/8Uhp3dpbgWA/R6XOhRg0wq1sW5zVOQJ2+PaGxwLMbvwMWpTRi82jIfTthoeaxyBNIuIOBocLeM8F8Wsx/xVqyOYfSklejwjc1GhaDsNjLewr8WR0y2O2SwLI9hc0vAcuX8EcHBFVZbdPKUsp4qOli6VpX5rFHYhn+Y4brbjb/3I9w7kom2O2vzu0NJnuRptIqjO76GISTVsL0n7lr77DZwfW2indrk2GWVWRrNNIizw2XaDbyIdJ+bYaGrtCm68Q5pH+OGwVrYnZBJSKyx5+ooX+8Ouxl0sZ9uF8UxPPM5WENSTr0+UZTCQ9djBx15+oUoHH79iGGQCwiJLwhjEH2XyvlUuPUwQtrpFjhfQnserA1O6Mb7MjwRmwoJGQOUgAEgNf6GPSVk5Q3lvpmbTCX66bWDQkygRiP2I9bI2QORdaiO7SsRxn7H6Lm5cGFh1tmPfSuCwRzQ0w52S9zvjuB3trM3+wSzR8hyyamyX71M8F5d7zd88+CZ5FEubEjAzliBrQB4fqKABnVMp16c4dps2FhPpfC4/UtFHhtzYH1x95dYOCv8T7RIq4VRpUCg/gFA8TR7mTy/u3BqhUXdWjYPJ1AV8d5lu+uXlZ/RcPZaOXLWdlrZ4jl1nvy/t26z+tirUYaS2Fu2lXe3QhZTeUYbSDNIfNINcCwEMAPXsZJbhwkwzzNRfz7KQ/mh8ZafooEbT1m8KX6Xl8F6+OUrk9wxv8W12IU5wP51bTnZLTtkDwC2YXwsSrtnP69E/ScHnIGxYbYwEi1+ZDU/JEUnkDBtxAvwO8LhHQ2p/hB6nTfrjM2BvK+6JoVvP2Tr+B4zTC8+ZoR1FmUMU+W9c3wt7reEplUeHO+85L3uLHmAow6uz11guVWA5M6iLReHrmuHCxisDgxOqy3tl5TpDKTu/foMw54oyQKaX+VO+55QZhIyxhMivGWGq5FMilrSBB7QgoZjtUDqRY1V8pbP8EpwAZkrpn1PbaHY/H03NeOhoop/FhLApSyfPPwvglCLzfKWYYI0iHsf4nNnOF+cIVyGcEq6Es7PKs+JUZjJ09m12sRO5PVoFqlRsoLxKfjg1V+kUjGVaWCHCXGUAtvF5o6AXJ/D8ERaqHdCNa3KcY/Ngb3WWjiDbAFtbi4P6bHP4u3BeTHMnv+oWczfvOV93navM7Y3Qm/aETJaVgWSxaZiUSjqBUYmjv21d/f3u/PtvsJMq/gcVEf+9+cq8VLFzsjAaShUSqygFBntAmihZWWyefuslYO9iACsKPQ0Kxov66bD7RJxV+cTT9pouSN2oOuls0Ta5lrHvrit5vOa6UqgY5vPiiae00cyuCENOz+lOB214NcEJoQWdDDEptSw0cLCJktDSDdJqC61UBr6gwydQtYxvgRh26wSINxtLi0HcjBTCCvLYwGK4+kjOPsb8SBiJc5y3PlcTmAr0TEsb8n5wpYpNz4I6ChXStpYrRojqmt8ATSB50LwBAAjKX5mTCsaKKM66Og9oklQ8twGZ6oiukJpaMOnNyt55eE1R/QT6JNCg5oJksMc10Pc49gRXIVJ+rfUQ2Z4xj3ast/7+rVXoO9puUFDh2MXEFpQmiBsvd/3XUNdMSLx71diYBZenpxlxQYejx0msSgv9n032Q8Uj4CmpgYA1arlhdqxnJ0qe69g6MKQk2RBUdqZsRoqd9+IamazCawM2XhOQtCZifqfISMVuCdrljJ4GrUmTJwYoi6jcKpLF1gNkGgDFoaZ1mhmqh99KMOTZ9TFst3g1dKFFmhWnq+kcrT22bwjGtCXDeedF/EaFSn/seqzVpbndpf/iGJa0DYPD0UqjpEIWo89z4ho79G+t56A6JtuAzkudmxpJFDxe39emKQEwmwFHli+x8rsVYmeehmOE+kN4yndbdesYRntMpLX3DnXHpW1Aw27NAS4rXZWhnUJHB0U9xtdXB4FDiXPolqTTqaDjcarEHdjebnWreO35wnHqqEt203ucX/mARi1/MZszpxZFEler03vnHVZGN6PsEcV9oUOtiIJHvGZtxmQClnE9247TLWxlTurgs1Ypkys83nx907T36YlNV1bkwsG4J5ImZ8jyexpYtwjN5n1qDeRN+vj+kxl/RP//0pyKQBnX07QXoD1oUgXp9r7mntA7CsAzfwbc4eafYUGmGCpvt2jjrXAlXNi6XDNsG+ymUV6RPDQyn/wcn0MBjlKiG9Q8WzV0brPEr/YOpeJxFkkQEDmMi3/TfVd8/0ltEX7AfekEIz0GR+tvALMSDaylvBfixB2Ghnvd5lN5IOg4sXOP2ty87WSsbEXaDE8/0X5mpT2EAhuhAeuuZkxe766BGY3sLcd0ADp0XoINhWjCCc0rBy3geXmmus0sAr0th44PUYgNu0jcknbN9IR7zLxX8ru1KGnHzYxQzhMkWW1WWzm9rol6nZD24TObT0zqIHqFiTNcqd2O4T2v1gtVHVDy8PHRvj9xJhyoBqDgRV/+XXEHb+n2LtPo3yFKjuP9HTo3J+68vWMs8juwXMd3RTNX/9l6kooPqA+fCAMX82nj+GGu1QrCwFWosucMpqXYJAfbFNAQjoGNn0+n1NtCZI8731vOqy+OaF9k8uI5i2bq+OHPfBH9BX/01qFM5oEgbyEaMTsbK9dLu3S9F1k/xDwcINEeG8mAu1ifG8fRydrpWvr7xBQfJ+gA8TsUYZ/jmVVBBjjrmFVglOoDvRrrC7R4PKECKZniN9iG+mUETgV1Tx7RosZgc4yduoCzd/+WZ74xMjJ4iwKB6ufQTj9B1pgHqQ4w6bjUES9DH8HOKveJlg+Ddl5owwck6sKPd8wpTMQS0GwjAGDmc1wrGfMsWFhAqRbTkUdp6At6Q50dQbJe+ynalSp09Ys881fsgzdngKYanOSXbBrINvce3Vkp9c+L1Y/69ZcPRdeyHaXovo3SXfXsTpYlfw5jK6IBPiywrEKXtDMW/wIIlYIKDkQz1Pl8/pQub8mHy2c6aKEONHiyqDy11QTArELeszIP0DCp9I14qfhpbg1VKOaAgT5D2gR/qWCifZ4YBGBFtk1/npkVaZWhP9xvjGfOOtwIMSoClfLCXdXQVol2Mk7QmScD5gKehohve2tKSqzB73GzRTV/lNfLX5p7cwCeL63pIUXAa2uXYbTqpxcsqudOPbg4UQ8H1mSrJ9UgPfmZzlL6rdzKAQPGCkVGbVrboB2rpaPdsdlZPItFrdlKGnuun22IOy1DSXup5I02ih/eJ8XM4CFbPo6pghT+qersbVDyHUnandna1olOxzbKjgnqUtZxN1EeYivRvtdc30kvWyXxtAIy6/6M2fSozgN4jIGUS/mUzjEhiSo0E6oSVN4z8teZxWQ5Dbr9YzBJ9evDXwUijBd8cpqLYBInOK7BnntmeXPVw5IJ3r9C0wfYiH/17l/NgIW56klyuDs+sY6Wogej3OjJtvjgMQVAOObiAgfehbTiAI9zgdUh0zLXiZLZYUzMweJU2mx1sjDYG+Vmd8NnoU2Dg6yvl4Ol2TW2qVj9wGQm62LnbozMAm3abMppNpkQpUGsKcNYNtXS7Fq1Hg+AevmKxJ2lwYrNq8FnjZ2G4c5Zg4L1l+owHC+z2EXLQ/fsQU/lXkWXGlqImP2GuCWmBwkIeGqnuBl4uWqJZwps3LV+f0QTeYwdb1Kn9Ote4gp1dBqtYPKQXZkTETUKDTGZoM4ysjc3pUCKhnLqlurTreAXOGZWqk9lvoM4WhhB9QNeybwaIWlpLSGIMlXAzuGhq+0MyJHmgmvOjZxE0wwhxqPywoxSWHUzzKT1wm4DbdHS28cBoNVN9gR43wlCx/z/g91RLOkVZ/ZgHMN5OfbJf8oTs79+KM4u2UQueqlAYr1511bCEoTSA7veu9rD+ba4Zp/KBi7guEcryupyProEFGoeYD2xzDHMn8xaTjJ+vBedwvc8avuAOEKZ38HD6ZHUeMCQW7vbHCblDezwy2FOQTHfXW2nrmTYyKFlCYi5TNb4T0LROBb1GzQa4GrFfsBtYJLu5CjrJKxhdbiYHaJqhedB+ZK34Q0oTMeq2TvZFmudU5IFRgeoI2xF7egeiPmSwzYxW4BfQkl3bEzCzOvuvjJAxR1FVI6TT+YgY8b/YCGzdbN7KQJs9mmVuhI3N3Cn+SunQOlmJcDf/y+dHcPRpdF5L+ukWeFhpigc3s+JjoHaZJVnrZPV1wRe0uDLohNvCz0143lpXsH8ZOJihMKYw1ZNsErnxuqNdHe0CqmedURb7LbJoebIdKWLj56njjjVZbyDoXhpusUp0cmQAToPxxXORbU2jJ9G4bbJj8xjEUaIxeVO32twZmQi1NQH1BhzXD+u89Uq5kH1XX/PKkp245wzNMocKxNRn8te9degsH5j+5w2MijbLID4nKRfwyBvNzsw9zhzcuvNgV2yVQJkxqSLzQROi0ccgZlQ52LL2eAJtxwEEj9TmqfydhO9GBVax0YWOOazCJLS2dYCyJ1FyokldnzWDZOCcvXEMqOGCFW7hUc0OEuAt6KtoPEevUzNc+nctPqF62hlRt3SzrHI8j/KIy0olaTcrYnmeumbZUaOtOpjmPUSANhok0rr0C5JpkvHhmncKQhH4el8K/DlPN6eSbN9XmDgJQdRMS0b+5NCvNhbZrLgBR2bMyUqpprPW7sDczMi7457U6xvIhaxh0O11pHce3BqsusYlvK90NrtuC6cewrstLP3llnOmdduVFI6JEp1n67MpbUDZNdYeGIqj29mIV/V8dX68Jd0X/Ys23vowmQi0rQXFRi5d5gxzRMlHiPLCBOVYwv5pTu3VOTfrAiT9edpWfI88IBdhBLP4+tG90Aj5xvqe3mho8ktEic+BOpzQPsTrS2EJ4gGeuft7Z3bG1qpZKSAR97o38Tn48SBh5Wi3hVpwKI2FyZjZ+ShWYstneaN9a9Srtcx4F+BHGUdMjHFK5b+BplUx7OsLuHz8uFD82uwplbrjc2Oodw5W7qmTNPFpCqhmmO8qDp8y7Go23ICgi/2cs4DbceAosp0qoDcSJyZEmR2TrhpeYBvPpfTUDzNODoixRvKBkVnQqmf/wHscbu3A2B8PO3VZSHP0k6JbXusVkPo+nWTH8SPqZKzKsi6WJiC20fge8mxBZWxq0GujWnWEJ2touceytLOnCSscqsr52VmWLtQzvpMCcA1BmckpN8yhAz6KRytGgU4HUW7KcB/i/Zmv2abtJ1B6rNpfHQyzsvE1FaUng4PgM1P/FuGOF24YgAQxiv0hChR8OS2ufZ5mJ5bka/lPnDW/QH+0qyUQScTT6Zq1QCVsuBpJ8v5tIp1msskvXBO7oDkAPSEDuh8Hxpp31sfthugzUQFJMYjcF6kyOLm0ehJIDGTMpImNxMV2is/oJxQTLYVd7CJpkz5n2yK4hwqyjb+E0TM93Q0M7EGvgJyeCCGUc6cdsI+2g5w21Y8wMtYal5ypy3CTj2+L6t4i+URq+DK6MZqcoUSVe9HWTBWY0v5WAfVBJplTAPbMlCSHRs9RooS4MrTyXeqQD1GUGzVQoskWAEX1GomNF2gmc55thlKwUVx0HGY5lphWBPHxBLjkmivxoY+c8IT3T3YE6sDsk46HX0eh4TTEOIIB8UzD4jOHjiC7gi3dPI3D3YpCnWTDmXrpwCDo6OT3RmBNwJF3Te3aQh2JknxQcvkio3j2mDVxml8xb7dl9TyGSf9kNaupd8ID1l2tOsaT/+cHizjGobY2YaKn3LRm06ukVtGbWEaZs9bBObLPUEGxwNTHNprNkirWPRtWvPiAPBnOC+TcGG3H7DOcEGZDO6fzGqZS0zn0cga6uzsVV3gtskvwUtx9kMPE88VdZCdOOmtqMelZ88rKGrJcIALRUCishIgWuQw9uVJMH0XqKrvlKopu6GNDZ7VS8APVR/BWixRvEsz1dBsNtRO3YUyAhQbEFSoyjbHO2d0ndgUWjg8Hj0/GTuIsLmvmcuxGH3kOO07AZhGm5ykN6N+UXR0Y1o+U5Au71DO92Flc5VYCoTX34TVTpL2XmyYxAZcV/aFY0gAOrTqQOfeQG82arLk2RGTIoikNlVyHEn58yhxfuqWSuaFaWS1jCdpR0+zG5wbewoc/cxK1xV8Ulj+yVVgndDenVkWMdjQjpVWWVK8OOFcDcvMdf5fGRCR7Mbc0KoM5gg2Ss5ufBmwpOg55XPpTvOAyu4GaWdy6mEnTzvNY7h1Xig5FECl1eNY1euWoeCXWQuXhbVlrA73Vxbz8ZR30mJ03cwhKUMBzcLRtveQYsfGFdNjCWXM7Ek6tWBxsf5tTacrqgxFVUZS6huaY3IxouqUkaDg8JxZd4ClZbP+x7SUmW9kbcyvrKXPN/Pt2GfgbNSlujKWhdbaMxBz1wjdxt6n2tibjjxjxhNhESZ01UFbucXaBHbKKFOkgn2r0O4pAL9gaqqLfHLu165jxKP92u2FK0Uj9SfoFIkZzLEQz4JfdRweFLVzLybOtMpYOaaYYjdQ+Np1DfR1tqnUGgPvsTGzPFVR6u9ONdtMZVW2gxhnuzyyKO53MDyzH25smzudMXFktCtKBE/N5rMVfNQkXb1spwsTGLYyzPaLZSAQpZGUM/KGPWn6Zy2oHfkgjxT3IgAzNu3axypAPbBarVkFiQr+2aNhwg11WnPza9OifnixWxkgQKy8eIYlmJv0mQrvsWuiQwczw9XE20xAEnT6BhfWLZSsg1aghBxtwOQKf2bxIatPGPvr2kteb+9eBNEKy2vfQSA9VhxuAMMYr5oRyzGJpr0ZYxkdmWR4wOodPrW+59DDg/pPS9FsDpjfgBx9fPFh+MUcuKSs1RVSVF+tX7kpvO8gZS7A3Tq3nXibsuLtY5DPlbP5GVYi5qphbZVpkB1t5uJptwKffC+RZqSodcqfxVf1HP1jdu3cedL2dc7ZBIaNhtauErKbnh563Mc+89550ES34vLKUrgxy02l/832KgXmnVGhI1O5qnfN5KwNujj26HTuyGFIGh16h0IQWh0vXOW5wGV9YskyxNpyTxw6Dh0r2gZexxpZ6wymTxRPPYXRT+9/1vkFik6qXR3+Ig8zLfkvGjJrU9ZqbKdLO3JtAE7j5NADUaGLbxCanmgzDVMmtiB9NwngL3QktjFII01+Z821CLhPVTNNYjENqyag+7g1Kn65zhY9HW04s5GRnFLoDkpAU1BhqVhmCo22fqEWE7cID7KVvmC8rEZi69wBHFSBGm4Duk3wy2kcMKQxlqVNAmPYIxN3zb6LSHDlChOtZ8pVzNYuS8EylJA+s1WPr5C/3N/0gZDoGLE3+v/ECVEuFHn+7b/87/9j9RwYBZn15QsF7p5bj/7YFFt2Sf+2V7PIycT7Hx5WbXOaxXQdLYS7/ARGDiwcW/+B/qEd9mFI3ph80ZpFoGAI7AJL9sB+h9bd0Pw5z3RR+VhBEQkGS6zZdaM9dV1vqxCVyqaZuXFxUC2+LXOXzHVwTJmonP9K/6vHSfTiHSBLHdg4CL4mKE5cN25BrWPeO3HQkUTfU7QIWBnD8qLSuOBpMI8JwblRM1gfJngRg6cUuNDNA6CDCTokIdgGkCe+/4j3pDyfCjzO2315Hc9xD7+KO84LHzTiH/FGMtpeqmi80Du099zWnVnE/EhKurE7uAh00zoybli6LB7ZJzroV32yvLCO4lFRJZQlOjCZcnbCjGZXOAf4+aIFOMYrXMPu6UFYxTkb/UueXbKpkmt8ubZvNjMZkWHmdo5ZJOOE8EEic8nvxOOtzip71LeiWdqlYj0sqhXMfbaMMF3y2rME8Apc5C2EiwvYqwH5dD5tpIi8+6AXADIKqAinK8i93GaeUWQVVwjjQ8s/ewbyDqtm2GT0tcv6W1oYPA1hSV4zgCr/S/R7ua61dhPaUf3MvXEGsBjX/5gZbE5xd0o32b62yTQsr+tIPlG5tZwcJvctnUyvDhmtPMy9P/Ln6TGOJhdWpymtfUTLkxOLiLoRXTtX8+ktyc2rbLs2uL3zAt3Nq2SNq3/58Z8/firSa6EYIqt0ZDyy7iwrWlAVgn0X+6pdWCNRwWCugWGXavjTsePOyMIx32DVM2LfHGTS0oe+TsWCZGtlKY4rT1XbSbtONoWnx9a2qPjwtyxqJjHov1R0blH0NHOZWxpFQny6wHj91FhHDKM7zeLpUcZRGXEy4HIAwcCJ0X4yNleHZmbPiXkzOyzB6XyPSCZYUTQCaG02U8Z0D2jHn93z9ymymIBzSMKJby5bc95stpsiHBPBeeXk46D+/UiLsQaisDF3GuPZv1EGb28GV4c74xE4rwSuposulvYcWxVicd1MWVw8odqEhaV4m8KL7+R6kD345nfpwvkccwrvpfxJxet5+/RViFuUu9jyu5n/IIGZzw6zXlh1+hV+5kkTlNum6iWuPm1Onx0CIQCHwU/E42GlIV5a76wfAN0hF+sOYkWjfguHsFVHH+aSecAC5XR0ypDMvcBOevYRq7nRwxTq752MnzUyQu7M9LhHWzNbo0i2Xy73LLLJ8/8VgCHIiwKg/jb/DEEcGek9LWYWohjhnddjEaarDHW4q8Q4NYjNn/LvqlMjpBhgIO8PL73jYUneS79/mQSPXwKAXnO0sj+SoKPGpSy5QZoZtIdi6pq82oAY2lKUHXLr8MWcFWi2h6iQ3Yw91EIxmFbjFv6zPSovASWk0GOr6OmUiYvQHw6h4jQ8A5fO2kZ/xlBqUOBYRBJrburF7D2EqoGxgHpxmLZ2uTaGREqy5eeHxOf72hbRouVtGmf3R7LAX1GaKLZ8O23z88/fnbCZMN34/J14fVnncnhNa2Clk7kMJiRFnddyQ+OYNNp9qcJ7umkTQHbSA4WWtTSnQHdilkmdVo+tAmKIl7t2LXzkpo9KySj2Br/FlExBkYlT2sCMLXyqlRBi1TGRcTBQls0Q+YN6a+sUsUzL35Zmjs14cDT2d7TqplvohuKl6ZM1V8qIqenWUJbU22MDdBxUXa8N17uH/iwOCq6OrRqjO960gk420liro7l0gxQc8P21QgjjFXeSZIef5+ZSwQYatDLMwMbCv7lTL+cFN+mm1nbgqOPpRAsGTc+ctSVklVi/LirT9gYqf7YTR3BNqgGS5qyUkoka/SLa0VOyyZ3SYimbBdqQogRwrAhqQ4mBTnkvg3TZbESdauwXoU5lFreWubDrFGdjxiDFqnLgfZ0bNnQBNK9Bd5Q7AnaJ2HQdOxKb7RH+TGIKNHNr+BTnWcYPNt6Kk5Gseq+dHpeKfEcnmRh4O4qElk0z0SuXYvIbDZBYgAuY4Wa+wHzJJ429LuhN6+9Ih8PZZ3qDRwZm4+CCXg2xRxsoxyjyKZlGcrHrGK5Jwb2ADagVDai+avk0ZqnqxLp7MAELjJRmlxWHCD4la7PohcmkDthw/RA42sEQQXHn+EBbeBFBNdxlC5x/jiNbc1MBBY0DX5cwVmPiLp3ETlRqWb0XRbH17Dho01vU7OZ+2fOoZjVS45rEp+xyYs5XnoiImTGTGG3ZHa7gs7Cp4mbdgKASwkv81K/hdIrjRsJTRzSTuALTqYgpDgbGxWdapw29F+XFI6WlgfXUqe5juJnUDdYK5lKxHpfO5TeUGXReO5Wmf2naNHBbCPARb5tnp0bjU1xdwY4uI/dnKmBCFYpLBN138aqgDRRbJ25bNqLrLEoUJpuFt7gPeSHZ9QGssqbjewW0qbqgOWcf12x2qVM0xnn76H/SZgfXwCPoiWKsmJaD6K2Pn7LxWp6S5PaiHqFoJ0lW1ALeZUVMPnF2EcLcFeO1AQz5FDp66C4MhRxqYGIslS3LrwgNTi0Ojz6qNnRs4gFjWK6pLkibeNxnsrVFXkeReKq1Y9YC7X2YUuGhYJ/QplKhB9Uvl9DMiFZt1Wj3uFC/GUe/mVlgfo9qVuApEw8xpozta+pzsykeeN+Klnv2Q8qgdIhtmBNLKg6v0b6z9Clf8TkVKOcp4oSLldHengMLTJ2DEBsOdbCFurK2f75rN3Z9OlFF45iMguLMR5ELkCxcF09Mka0m2cMbw70VA39wCAlYTZte7MlqFSokSkOoGa/XJ0ykoMPRKH7PBQqPc0HvYw+zBdwDMCX0ficBOVSM6xodYE/Wf8R41mXjvHpFamPH+hIjdhcdvG1yBUhxoVwHmhrPaWkMT07MOkim+IBn0+Qz2xCW7ITuzAoX4LMxbKTQikbchZVZfWR/RTTICMChdNs17ovlcH9POcrCnXyLcLcjcgxUYVmf/JeMw1DIC8OSPOgnEOh4eL/6xdX0bRzoxDHcinqhBYZrmT48qciO7fVzo5M/2LIpMp5ziJLMqaOYVl3py/B51do9yTpIn9r2kGnDq9wVu7meRe9kXGlllLxJYXgy2QcAZC8p6X5hKNBqDr6xx3Jkl4a7WQBgxpKqOQ2LXSzg2slWaAetjQqgYLcnZkzsGONlNpSkGMjQbchhig7rH87qQWaHvMcBoyzd9HpwnUZXDSfyDRDAu7tUqaYLN8yVVljFeTRTvFymaU1/zOHkSrciCzpwflotY138aC1JYGDCHK7sSBI6IRJjXhZbrqw96kN6JkgIOtPXRU2SwnV7g40RS9FjNodKkihIiuDh4YEoAlhCb3VXsan6O24WgozdNNgpb8Eibd100mcS2JF7yMWKYtPqnGhLBTNbm74/oG2b0gU93f4cIDoncm7rD8xHjazixsinvgDPx1bmhBwefETUsQsDLkqYcHCEcWooK8A03tQUlRNqFU19UEv19aFo1STGfnGzDMN5E6xHMeQMASDg3JMNXoCySM1tOWb6Cy8HTzkznOXp2cUDEr+K+4JTwTJ6gAZRmBznC7BCQO3hTtiWFmlHKgX9yDH4iRQTzckPd4xofw7sfRVMXNuGHFDVUaB2HVKFef5BxSRF62uT4YnyF1/CLZqnqJsnRlDy1msiVao39XhT36tjDLUBEe8JafmVkedQQ3KlBlSf9ux+/hickYqdLxTXfM5BexGmH9fTzrWJ1m44+LhQfEPv2Y4j9HmhR8NHa+AGridrYDoha//NnFgePJKQwzfA4w0NJUmeM/lpchn35WtfG7OSkpPkkfVq4pguze2u2DxAzldfAp3/qVeI8S4/bhowYNjIABGRCyoRZpePjp6Bp7P2jH5LewrQGs0b8v+x/xVRRMZ6uZpGVHDFyqvRGajQD4UIK8N3Kd21y+NoY1HceJJZPC9EO1fLwqzantlI9Z56lacePk+PPT9wBMPF7gEJ6SkC9nVGWm+rT45zsRNhMsM7rE7rxdwaPGGXihHTIOuTf/xBxh51qP62JDvb+fQD2scdwOWy81I3JHOd/PzDSjxCB5dyDLto+MsPq663Zwp34qG6i/DCupRn8H7pW4yLS5SFPfTsTjBUNP0Vi25YiLGXcZap15tayRo4KOZnLa1kFEe/+77XtI3crKoKSNVauwTGGblHKyyRsmlnJ62ajr4JepbrqN0jjYiGjriCNyoU79KXv8jcsMb4Ob4W4XWxtjVVK+ibY6Uk5yhr1Xefoev8YitLddCnPiMat2mphYx5sOqTfr1us3Uu72AbKMvArQyuBje0yQYuiJzjY1miqs9oF6KUWV1BAYpdcZOmv6846FNFcdXHenrrtrdAjNBGmq+K8JxQNL2Kwm9jCaCSgHeTpjvjOmZ6HuaiGTdEuSJvnCnkA5HZD7REZ2C+iGZylq0aG9YPZsCeda/p+F4z+fmSNA21lnrq6LQ3m4R7Q3DtKeA3ZZSaWXvhcEWO8Y3sZIpngHzLPjwDXWxPi1YXZSdjAfUoJUDsZ83V1MTVabqxVYbprLKK3u7EjhSkdBAbmS2SzPXSnDaXvBVMuzqZaiP5GKJnxxFecYGqa2HngtMUQ+FCPYQSoJpHx14roNqHiWRiHgtXdgepAhofr7GNQZx1Tehh1mRA/v0WsrDtWTToWJ2IwbnbDo4cQWwAgnANFqg7jqwXflbmgd2XGBvVj9fAa56lGB3XjQs+N8RhsJOHLAulZhLK+3SJ8a7NffoGtkKuGH/sWZL2/r5qMuRSM2ROzobmilPqQmtqwYigCW/EFum4+bTBzYiVVEQUwFuHLVVFRSHLuFkRIgWI+rI99Qz8xf3z8unjp0++5TSjHUGlU+jiZPFZxIKGzpxZut0H3Ggkn6P87Nl0lAyU4LRA9h1WkNPxCnbudUsMZqiCV3aCzt5iGKxBF1UXnFCbXc7uc+oQ5hZQiyoq/6hWHIOv3JVBJXKY5RxEJKxrHKjwZgivSUuQ8ybz4MAF8iwl1+TGtRF5fu5zM9OPtlaaI3SqYuOGplUL8iWIa9pF+oVCRMtMoOrSMQ/r0PGGT1qvJWk5sj2q9aIrSs2bACI9U+8d4+gwSoQLNkZhHKsh9/w0JGQFXKi9tHn+VdJU28OpmS7hSXdZjmqhDME02sKMJ+IUbKH5rP4toTR7ORPlH9ypkwdQ/PjjjzAzZbspB0g0hsm0+mYHHgjPz5T8fP7OLJ8wUKMv0TdmsiHpwpyYNz0xPPkC9ymfRrZ4jnPSPdqdoyENw53rH9+RiHnytWkHWt+DiOKi5jUln1chewoT5o6VLoJ4wZvnCKsZqkoIetQOwEHddGj88yI0u7d7QvJRPSNxWthMepiyBZEnmLebqs1dbK+swKUGelb5AuwMS8Xu0Sd06tg5WCeKpd/yUgbW+vS2vv+vaSw2Ms5moPKO8ejZm6Ki4g2D0SLUrB6YMCaiImm2diTMpoQXeOw5ncJ4gomkcZnYN4+pjDYjS5s5ArOSwJxbOmaqNnbsS2927E4nRG2ecNK5lEAw9fcOhOe4QXtP3NX1tC93ygN57PsgGCsj4YnV9jzLLmIkH2sMV89jAAZIzb4QwbS1Y6ZbtRBd4eR9OgUqpF0Q433x+mjOm2YuCg+uowg8otL5Ib9ZIzJ5mTFplpF8ZjaY64TDknCifApWK619uCQfSB+6TrDcFv1ED9ox9+9QxEZKe7nB8cjKt8qb2AdKaGbu8YZn2v1pmkOdjjZFmPMvcffItZRd3KFiDwxr3rt2JsASjU4VIXS2LguXEUXfnMc0qSclfeGXJu7bka4B+HkJzwCd/8m3GcIk6Ybm/n/2/dDbSP+Yb7ixGjsqrv/kmwlhaA+BnzKKpXmJUyVr1szmWF19Fwp//xYYFXvByJ/EEdZM2ke0VOxWxI4AkBNgqiTZAvsC/hPy/RyunbcN1VbpIMtWSwuf4afpAeZ0aO/KoIDvbgrX3KCmHdl9dBWGotpwLHSLMLSjEZkTWa6f+EZqx1hvpyP97BY61haoXXC7430eo//oGxcMYIXXjoRFEPWQoLiwDAGcgvA3szIE8QaEm76+xcqHs4XHgCr4rN1+pCKeooICGLTPPfiIB1f3MrXpbNqVZmnD56MwzOd0a4uT+TT1PSn9OtEBzisfpPIgbUn0M2NdoJO4eYxxK44FxXAdiKeU8Z3byDgHh3xAl6t8O1uDTxx9B8QiKtd5yIoG7hhfXx2vDs/hFsxhTRZ99WM6dooQ49I7AAhiuKXyEcWOyWp9NEqrEuZcl+IlVjOsy6rL6FD65XqSQaFIr9lM5oAvPLT8ke300Va4hqeV4OkPmIgIdQ3TJiAdkTUeg3Nd6ICIVTooS5l6aJeUI5aQTqr42PJxLVwak6jKOzYcoKIs2OIQKtOx4x07s7AsfCku0Wo3SAvKO+L+WMCNwNE/+ChmXQK6HVqKQh9XEK7ZB6Zamc1DEMhLE5u79Ixa+TseQma3DMPqOQyox607Dpe/iqW+5a7FwVRTZJokO3gfWqY6G1EReHC0rX7hg6bUiFoMZ7WDhK9nVxlol9sewqwE1fis5LV/pALZPpdvJpeyztjORvPcJCQdZjDuOsh/tPF8VIOdt3UTBB1ia40MaWSx9WgBI+AUNbJKnyt4MtaCKXYNkuxTe8/SAtYzdF+paj0eNzSJydcwOfGGqvbSBbStD93+GnpGonTCKUG265shWGEdODIJHRoKZmZTPffsnTJt8jRuDrOUG+0gbgZbX5VzMs6U6BCBF2d5UmSh6PfOGQnu5KzAH26eGYRXnBpWXJ5trKEUSNylxVjq7OA+7Bt52t6zPlsTpCBxvbd3eqORUTXP2Us54w9twKK86pCTBrhb5y5RDK6iA5IGJUg0Fdtg9bjp8Y5RtCJlemRqukUeproIiGx6TJsQUa11OGaWy3R5UnM3EfGZx1DHTQMj9k8+LDWg19MtMpaPyZVmoy09B6csf5zacPexibkHk2UvMo2LshsEejj+aSPFpQ+lVEI5zRwxthSf0jVVtI48lc2rPZQBxWmvJhQ4udhrUSsR8HT7ujk47H1QRP9HvJ1+TMdb+SanVPyUTVXsB6jmkcjjPZ+2ilAVpZmGsaCjIJhX4RazIwXa5zIwXQ84cPPTnNnhQrgqbZgR55Zu4Ek1N5bUihqm063YOVNWyvlyh/G7ihpXOYUGf8X6kGKWK3CtDKzMpkBAWFOuO23yrXpxMs8ZRkjcAqMQRirWzPCZhXqzP5SnASMVIf33ksz24P5aFw+BdRJCMVv9gmt6XipKXs5OtRbQ4v4gC/knvZ6KoDm0X5YeU5Hv/qX4+NsvH37jH6jDGS2TL3SbqFL8l+L/8mv1Jeo8gtd8+uXjX36WX6D9mulLNkir314gr84s7S87V16+8tdff/rt08OlaJazOSFmcb+7/tNfPnz6i14v32J7wduL83fjeLi+qRzqXzDV53f88Nuvv9FF/8534e11X0Q4ji78LpzPYAVS5v1lil1sKbOf71/YyC63fr47jQ19or66fwn0Ze9T3N1G4N6/VFRP0Lt+/PABtav8/nyn9Ge/fPjy17/ST/7y86/6AzYkoF345dOHLz/jRz//ln9EwYLe7MtH/OtPP+cbOYax+fLLF/zjL79+fLf7/fyTj19+xm/+5dMvv+KL/9O//z9QSwcIGJgEKLkCAwCsRw8AUEsDBBQACAAIADiRY1sAAAAAAAAAAKMAAAAlACAAX19NQUNPU1gvLl9pbmdyZWRpZW50X3ZvY2FidWxhcnkuanNvblVUDQAHPDYJaV42CWliNglpdXgLAAEE9QEAAAQUAAAAY2AVY2dgYmDwTUxW8A9WiFCAApAYAycQGwFxIRCD+IsZiAKOISFBUCZIxwwg5kZTwogQF03Oz9VLLCjISdUrKMovS81LzEtOBSl4m6AQMUHMZhUAUEsHCGrUL95UAAAAowAAAFBLAQIUAxQACAAIADiRY1sYmAQouQIDAKxHDwAaACAAAAAAAAAAAACkgQAAAABpbmdyZWRpZW50X3ZvY2FidWxhcnkuanNvblVUDQAHPDYJaV42CWk8NglpdXgLAAEE9QEAAAQUAAAAUEsBAhQDFAAIAAgAOJFjW2rUL95UAAAAowAAACUAIAAAAAAAAAAAAKSBIQMDAF9fTUFDT1NYLy5faW5ncmVkaWVudF92b2NhYnVsYXJ5Lmpzb25VVA0ABzw2CWleNglpYjYJaXV4CwABBPUBAAAEFAAAAFBLBQYAAAAAAgACANsAAADoAwMAAAA=';
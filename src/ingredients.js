@@ -115,9 +115,15 @@ class IngredientSearch {
         return [];
       }
 
+      // Names in the table are canonical, so "garbanzos" should also find "chickpea"
+      const canonicalTerm = canonicalIngredient(searchTerm);
+      const hasCanonicalTerm = canonicalTerm && canonicalTerm !== searchTerm.toLowerCase().trim();
       const scored = allIngredients.map(ingredient => ({
         ...ingredient,
-        score: calculateSimilarity(searchTerm, ingredient.name || ''),
+        score: Math.max(
+          calculateSimilarity(searchTerm, ingredient.name || ''),
+          hasCanonicalTerm ? calculateSimilarity(canonicalTerm, ingredient.name || '') : 0
+        ),
         name: ingredient.name || ''
       }));
 
@@ -0,0 +1,124 @@
+/**
+ * Instruction Rewrite
+ * Finds mentions of a replaced ingredient in the instruction steps ("whisk in the milk") and
+ * proposes the same text with the new ingredient, so accepted substitutions reach the steps too.
+ * Local string matching only; no DOM access.
+ */
+
+// Single words that describe rather than name an ingredient; never matched on their own
+const MENTION_IGNORED_WORDS = new Set([
+  'fresh', 'large', 'small', 'medium', 'whole', 'ground', 'dried', 'chopped', 'minced', 'sliced', 'diced',
+  'unsalted', 'salted', 'plain', 'raw', 'cooked', 'frozen', 'canned', 'white', 'black', 'red', 'green', 'extra'
+]);
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Phrases that refer to an ingredient in prose, longest first: the full name, its multi-word
+ * sub-phrases and its last word ("whole milk" -> ["whole milk", "milk"]), each with a plural/singular twin
+ * @param {string} name - Normalized ingredient name
+ * @returns {string[]}
+ */
+function instructionMentionPhrases(name) {
+  const words = (name || '').toLowerCase().trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return [];
+  const lastWord = words[words.length - 1];
+  const phrases = [];
+  ingredientSubPhrases(words.join(' '))
+    .filter(phrase => phrase.includes(' ') || (phrase === lastWord && !MENTION_IGNORED_WORDS.has(phrase)))
+    .forEach(phrase => {
+      phrases.push(phrase);
+      if (phrase.length > 3 && phrase.endsWith('s')) phrases.push(phrase.slice(0, -1));
+      else phrases.push(`${phrase}s`);
+    });
+  return Array.from(new Set(phrases.filter(phrase => phrase.length >= 3)))
+    .sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Replacement text in the casing of the matched text ("Milk" -> "Almond milk")
+ * @param {string} matched
+ * @param {string} replacement
+ * @returns {string}
+ */
+function matchMentionCase(matched, replacement) {
+  if (matched === matched.toUpperCase() && matched !== matched.toLowerCase()) return replacement.toUpperCase();
+  if (matched[0] === matched[0].toUpperCase() && matched[0] !== matched[0].toLowerCase()) {
+    return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+  }
+  return replacement;
+}
+
+/**
+ * Mentions of one ingredient in one step, non-overlapping and in text order
+ * @param {string} text - Step text
+ * @param {string} fromName - Normalized name of the replaced ingredient
+ * @param {string} toName - Normalized name of the new ingredient
+ * @returns {{ start: number, end: number, text: string, replacement: string }[]}
+ */
+function findStepMentions(text, fromName, toName) {
+  const target = (toName || '').toLowerCase().trim();
+  if (!text || !target || target === (fromName || '').toLowerCase().trim()) return [];
+  const lower = text.toLowerCase();
+  // Text that already names the new ingredient is left alone
+  const taken = [];
+  for (let at = lower.indexOf(target); at !== -1; at = lower.indexOf(target, at + target.length)) {
+    taken.push([at, at + target.length]);
+  }
+  const mentions = [];
+  const overlaps = (start, end) => taken.some(([s, e]) => start < e && end > s);
+  instructionMentionPhrases(fromName).forEach(phrase => {
+    const regex = new RegExp(`\\b${escapeRegExp(phrase)}\\b`, 'gi');
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (overlaps(start, end)) continue;
+      taken.push([start, end]);
+      mentions.push({ start, end, text: match[0], replacement: matchMentionCase(match[0], target) });
+    }
+  });
+  return mentions.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Step text with every replacement applied in order
+ * @param {string} text - Step text
+ * @param {{ fromName: string, toName: string }[]} replacements - Normalized names, oldest first
+ * @returns {string}
+ */
+function rewriteStepMentions(text, replacements) {
+  return replacements.reduce(
+    (current, { fromName, toName }) => applyStepMentions(current, findStepMentions(current, fromName, toName)),
+    text
+  );
+}
+
+/**
+ * Steps that mention a replaced ingredient, with the proposed rewrite of each
+ * @param {string[]} steps
+ * @param {{ fromName: string, toName: string }[]} replacements - Normalized names, oldest first
+ * @returns {{ index: number, text: string, rewritten: string }[]}
+ */
+function findInstructionRewrites(steps, replacements) {
+  return steps
+    .map((text, index) => ({ index, text, rewritten: rewriteStepMentions(text, replacements) }))
+    .filter(rewrite => rewrite.rewritten !== rewrite.text);
+}
+
+/**
+ * @param {string} text - Step text
+ * @param {{ start: number, end: number, replacement: string }[]} mentions - From findStepMentions
+ * @returns {string}
+ */
+function applyStepMentions(text, mentions) {
+  let result = '';
+  let cursor = 0;
+  mentions.forEach(({ start, end, replacement }) => {
+    result += text.slice(cursor, start) + replacement;
+    cursor = end;
+  });
+  return result + text.slice(cursor);
+}
@@ -0,0 +1,417 @@
+/**
+ * LLM Providers
+ * One interface in front of every model backend the substitution editor can use:
+ * the host shell's MCP bridge, a plain HTTP endpoint (the DeepSeek /chat gateway or any
+ * OpenAI-compatible /chat/completions server) and a deterministic local mock.
+ * The chosen provider and its config live in the preferences table (see app.js); this module
+ * keeps the loaded copy so isLLMConfigured() can stay synchronous.
+ * callLLM adds what every provider shares: cancellation, a timeout and retries with backoff.
+ */
+
+const LLM_PROVIDER_IDS = {
+  SHELL: 'pwashell',
+  HTTP: 'http',
+  MOCK: 'mock'
+};
+
+const HTTP_API_FORMATS = {
+  CHAT: 'chat',
+  OPENAI: 'openai'
+};
+
+// Which prompt a request carries, so providers that do not call a model (the mock) can answer it
+const LLM_REQUEST_KINDS = {
+  SUBSTITUTION: 'substitution',
+  TRANSFORMATION: 'transformation',
+  STEPS: 'steps'
+};
+
+// Reasoning models can think for a while before the JSON arrives
+const DEFAULT_LLM_TIMEOUT_SECONDS = 90;
+const MIN_LLM_TIMEOUT_SECONDS = 5;
+const MAX_LLM_TIMEOUT_SECONDS = 600;
+
+const DEFAULT_LLM_SETTINGS = { provider: null, configs: {}, timeoutSeconds: DEFAULT_LLM_TIMEOUT_SECONDS };
+
+// Transient failures are retried this many times, waiting base * 2^attempt between tries
+const LLM_MAX_RETRIES = 2;
+const LLM_RETRY_BASE_DELAY_MS = 1000;
+const TRANSIENT_HTTP_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+const LLM_ERROR_KINDS = {
+  CONFIG: 'config',
+  CANCELLED: 'cancelled',
+  TIMEOUT: 'timeout',
+  NETWORK: 'network',
+  HTTP: 'http',
+  INVALID: 'invalid'
+};
+
+/**
+ * Failed LLM request; kind tells the UI whether to offer a retry or just restore the panel
+ */
+class LLMRequestError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ kind: string, status?: number, transient?: boolean }} details - kind is one of LLM_ERROR_KINDS
+   */
+  constructor(message, { kind, status = null, transient = false }) {
+    super(message);
+    this.name = 'LLMRequestError';
+    this.kind = kind;
+    this.status = status;
+    this.transient = transient;
+  }
+}
+
+/**
+ * @typedef {Object} LLMRequest
+ * @property {string} kind - One of LLM_REQUEST_KINDS
+ * @property {string} message - User message
+ * @property {string} system_prompt
+ * @property {number} max_tokens
+ * @property {Object} context - Structured inputs behind the message (used by the mock)
+ */
+
+/**
+ * @typedef {Object} LLMCallOptions
+ * @property {AbortSignal} [signal] - Aborts the request (reported as a 'cancelled' LLMRequestError)
+ * @property {function(string): void} [onText] - Receives the reply received so far, as it streams in
+ */
+
+/**
+ * Provider shape: { id, label, requiresNetwork, fields, isConfigured(config), complete(request, config, options) }.
+ * fields drive the settings form; complete resolves to { message } with the raw model reply and
+ * takes LLMCallOptions (providers that cannot stream call onText once with the whole reply).
+ */
+const LLM_PROVIDERS = {
+  [LLM_PROVIDER_IDS.SHELL]: {
+    id: LLM_PROVIDER_IDS.SHELL,
+    label: 'Host app MCP bridge',
+    requiresNetwork: true,
+    fields: [
+      { name: 'apiEndpoint', label: 'MCP endpoint', type: 'url', placeholder: 'https://…/chat' },
+      { name: 'apiKey', label: 'API key', type: 'password' }
+    ],
+    isConfigured(config) {
+      return !!(config.apiEndpoint && config.apiKey);
+    },
+    async complete(request, config, { signal, onText }) {
+      if (!window.PWAShell || !window.PWAShell.mcp) {
+        throw new LLMRequestError('The host app MCP bridge is not available. Choose another provider in Settings.',
+          { kind: LLM_ERROR_KINDS.CONFIG });
+      }
+      const { message, system_prompt, max_tokens } = request;
+      // The bridge takes no signal, so an abort just stops waiting for it
+      const response = await abortable(window.PWAShell.mcp.callMCP({ message, system_prompt, max_tokens }, config), signal);
+      if (onText && response && typeof response.message === 'string') onText(response.message);
+      return response;
+    }
+  },
+
+  [LLM_PROVIDER_IDS.HTTP]: {
+    id: LLM_PROVIDER_IDS.HTTP,
+    label: 'HTTP endpoint',
+    requiresNetwork: true,
+    fields: [
+      {
+        name: 'format', label: 'API format', type: 'select',
+        options: [
+          { value: HTTP_API_FORMATS.CHAT, label: 'DeepSeek gateway (POST /chat)' },
+          { value: HTTP_API_FORMATS.OPENAI, label: 'OpenAI-compatible (/v1/chat/completions)' }
+        ]
+      },
+      { name: 'apiEndpoint', label: 'Endpoint URL', type: 'url', placeholder: 'https://…/chat' },
+      { name: 'apiKey', label: 'API key (optional)', type: 'password' },
+      { name: 'model', label: 'Model (OpenAI format)', type: 'text', placeholder: 'deepseek-r1' }
+    ],
+    isConfigured(config) {
+      return !!config.apiEndpoint;
+    },
+    async complete(request, config, { signal, onText }) {
+      const openAI = config.format === HTTP_API_FORMATS.OPENAI;
+      const headers = { 'Content-Type': 'application/json' };
+      if (config.apiKey) {
+        if (openAI) headers.Authorization = `Bearer ${config.apiKey}`;
+        else headers['x-api-key'] = config.apiKey;
+      }
+      const body = openAI
+        ? {
+          model: config.model || undefined,
+          messages: [
+            { role: 'system', content: request.system_prompt },
+            { role: 'user', content: request.message }
+          ],
+          max_tokens: request.max_tokens,
+          stream: true
+        }
+        : { message: request.message, system_prompt: request.system_prompt, max_tokens: request.max_tokens };
+      let response;
+      try {
+        response = await fetch(config.apiEndpoint, { method: 'POST', headers, body: JSON.stringify(body), signal });
+      } catch (error) {
+        if (signal && signal.aborted) throw error;
+        throw new LLMRequestError('Could not reach the LLM endpoint.', { kind: LLM_ERROR_KINDS.NETWORK, transient: true });
+      }
+      if (!response.ok) {
+        throw new LLMRequestError(`LLM request failed (${response.status} ${response.statusText})`, {
+          kind: LLM_ERROR_KINDS.HTTP,
+          status: response.status,
+          transient: TRANSIENT_HTTP_STATUSES.has(response.status)
+        });
+      }
+      // The /chat gateway never streams; OpenAI-compatible servers may ignore stream: true
+      if (openAI && (response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+        return { message: await readChatCompletionStream(response, onText) };
+      }
+      let data;
+      try {
+        data = await response.json();
+      } catch (error) {
+        // A body cut off mid-read is a network failure; a complete body that isn't JSON is not worth retrying
+        if (error.name !== 'SyntaxError') throw error;
+        throw new LLMRequestError('LLM endpoint returned a reply that is not JSON', { kind: LLM_ERROR_KINDS.INVALID });
+      }
+      const message = !data ? undefined : openAI
+        ? data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content
+        : data.message;
+      if (typeof message !== 'string') {
+        throw new LLMRequestError('LLM endpoint returned no message', { kind: LLM_ERROR_KINDS.INVALID });
+      }
+      if (onText) onText(message);
+      return { message };
+    }
+  },
+
+  [LLM_PROVIDER_IDS.MOCK]: {
+    id: LLM_PROVIDER_IDS.MOCK,
+    label: 'Local mock (no network)',
+    requiresNetwork: false,
+    fields: [],
+    isConfigured() {
+      return true;
+    },
+    async complete(request, config, { signal, onText }) {
+      const message = JSON.stringify(mockLLMReply(request));
+      // Stream in a few chunks so the progressive UI can be exercised without a server
+      if (onText) {
+        const chunkSize = Math.ceil(message.length / 4);
+        for (let end = chunkSize; end < message.length; end += chunkSize) {
+          await abortable(delay(50), signal);
+          onText(message.slice(0, end));
+        }
+        onText(message);
+      }
+      return { message };
+    }
+  }
+};
+
+/**
+ * Canned reply in the JSON shape each prompt asks for; the same request always gets the same answer
+ * @param {LLMRequest} request
+ * @returns {Object}
+ */
+function mockLLMReply(request) {
+  const context = request.context || {};
+  const explanation = 'Mock provider: canned suggestions, no model was called.';
+  // "1 cup milk" -> "1 cup milk alternative 2"
+  const alternative = (line, n) => {
+    const { name } = parseIngredientLine(line);
+    const replacement = `${name || 'ingredient'} alternative ${n}`;
+    const raw = name ? line.replace(new RegExp(escapeRegExp(name), 'i'), replacement) : replacement;
+    return { raw, normalized: replacement };
+  };
+  if (request.kind === LLM_REQUEST_KINDS.TRANSFORMATION) {
+    const first = (context.ingredients || [])[0];
+    return { changes: first ? [{ line: 1, ...alternative(first, 1) }] : [], explanation };
+  }
+  if (request.kind === LLM_REQUEST_KINDS.STEPS) {
+    return { steps: [...(context.steps || [])], explanation };
+  }
+  return { substitutions: [1, 2, 3].map(n => alternative(context.ingredient || '', n)), explanation };
+}
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Settle with the promise, or reject as soon as the signal aborts
+ * @param {Promise} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise}
+ */
+function abortable(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Read an OpenAI-style server-sent event stream. Reasoning deltas (reasoning_content) are shown
+ * wrapped in <think> tags but are not part of the returned message.
+ * @param {Response} response
+ * @param {function(string): void} [onText]
+ * @returns {Promise<string>} Concatenated content
+ */
+async function readChatCompletionStream(response, onText) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let reasoning = '';
+  let content = '';
+  const handleLine = (line) => {
+    const data = line.replace(/^data:\s*/, '').trim();
+    if (!line.startsWith('data:') || !data || data === '[DONE]') return;
+    let event;
+    try {
+      event = JSON.parse(data);
+    } catch (_) {
+      return;
+    }
+    const delta = (event && event.choices && event.choices[0] && event.choices[0].delta) || {};
+    if (typeof delta.reasoning_content === 'string') reasoning += delta.reasoning_content;
+    if (typeof delta.content === 'string') content += delta.content;
+    if (onText) onText((reasoning ? `<think>${reasoning}</think>` : '') + content);
+  };
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+  }
+  if (buffer) handleLine(buffer);
+  return content;
+}
+
+let llmSettings = DEFAULT_LLM_SETTINGS;
+
+/**
+ * @returns {{ provider: string|null, configs: Object<string, Object>, timeoutSeconds: number }}
+ */
+function getLLMSettings() {
+  return llmSettings;
+}
+
+/**
+ * Replace the in-memory settings (app.js persists them); unknown providers are dropped and the
+ * timeout is clamped to a sane range
+ * @param {{ provider?: string|null, configs?: Object, timeoutSeconds?: number }} settings
+ */
+function setLLMSettings(settings) {
+  const provider = settings && LLM_PROVIDERS[settings.provider] ? settings.provider : null;
+  const seconds = Number(settings && settings.timeoutSeconds);
+  const timeoutSeconds = Number.isFinite(seconds) && seconds > 0
+    ? Math.min(MAX_LLM_TIMEOUT_SECONDS, Math.max(MIN_LLM_TIMEOUT_SECONDS, Math.round(seconds)))
+    : DEFAULT_LLM_TIMEOUT_SECONDS;
+  llmSettings = { provider, configs: { ...((settings && settings.configs) || {}) }, timeoutSeconds };
+}
+
+/**
+ * Provider in use: the saved choice, else the host MCP bridge when window.RECIPES_MCP_CONFIG is set
+ * @returns {Object|null} Entry of LLM_PROVIDERS
+ */
+function getActiveLLMProvider() {
+  if (llmSettings.provider) return LLM_PROVIDERS[llmSettings.provider];
+  return window.RECIPES_MCP_CONFIG ? LLM_PROVIDERS[LLM_PROVIDER_IDS.SHELL] : null;
+}
+
+/**
+ * Saved config for a provider; the host bridge falls back to window.RECIPES_MCP_CONFIG
+ * @param {string} providerId
+ * @returns {Object}
+ */
+function getLLMProviderConfig(providerId) {
+  const saved = llmSettings.configs[providerId] || {};
+  if (providerId === LLM_PROVIDER_IDS.SHELL) return { ...(window.RECIPES_MCP_CONFIG || {}), ...saved };
+  if (providerId === LLM_PROVIDER_IDS.HTTP) return { format: HTTP_API_FORMATS.CHAT, ...saved };
+  return saved;
+}
+
+function isLLMConfigured() {
+  const provider = getActiveLLMProvider();
+  return !!provider && provider.isConfigured(getLLMProviderConfig(provider.id));
+}
+
+/**
+ * Whether LLM features can be offered right now (configured, and online unless the provider is local)
+ * @returns {boolean}
+ */
+function isLLMAvailable() {
+  const provider = getActiveLLMProvider();
+  return isLLMConfigured() && (navigator.onLine || !provider.requiresNetwork);
+}
+
+/**
+ * Send one request to the active provider. Each attempt gets the configured timeout; transient
+ * failures (network errors, 429/5xx) are retried with exponential backoff as long as nothing has
+ * streamed in yet. Replies that can't be parsed or have the wrong shape are 'invalid' and not retried.
+ * @param {LLMRequest} request
+ * @param {LLMCallOptions} [options]
+ * @returns {Promise<{ message: string }>}
+ * @throws {LLMRequestError}
+ */
+async function callLLM(request, { signal, onText } = {}) {
+  const provider = getActiveLLMProvider();
+  const config = provider ? getLLMProviderConfig(provider.id) : {};
+  if (!provider || !provider.isConfigured(config)) {
+    throw new LLMRequestError('No LLM provider configured. Choose one in Settings.', { kind: LLM_ERROR_KINDS.CONFIG });
+  }
+  const timeoutMs = llmSettings.timeoutSeconds * 1000;
+  let streamed = false;
+  const handleText = (text) => {
+    streamed = true;
+    if (onText) onText(text);
+  };
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+    const forwardAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', forwardAbort, { once: true });
+    try {
+      if (signal && signal.aborted) controller.abort();
+      const reply = await abortable(provider.complete(request, config, { signal: controller.signal, onText: handleText }), controller.signal);
+      if (!reply || typeof reply.message !== 'string') {
+        throw new LLMRequestError('LLM provider returned no message', { kind: LLM_ERROR_KINDS.INVALID });
+      }
+      return reply;
+    } catch (error) {
+      let failure = error;
+      if (signal && signal.aborted) {
+        failure = new LLMRequestError('Request cancelled.', { kind: LLM_ERROR_KINDS.CANCELLED });
+      } else if (timedOut) {
+        failure = new LLMRequestError(`No reply within ${llmSettings.timeoutSeconds} seconds.`, { kind: LLM_ERROR_KINDS.TIMEOUT });
+      } else if (error.name === 'SyntaxError') {
+        // Malformed JSON from a provider won't parse any better on a second try
+        failure = new LLMRequestError(error.message || 'LLM reply could not be parsed', { kind: LLM_ERROR_KINDS.INVALID });
+      } else if (!(error instanceof LLMRequestError)) {
+        failure = new LLMRequestError(error.message || 'LLM request failed', { kind: LLM_ERROR_KINDS.NETWORK, transient: true });
+      }
+      if (!failure.transient || streamed || attempt >= LLM_MAX_RETRIES) throw failure;
+      console.error(`LLM request failed, retrying (${attempt + 1}/${LLM_MAX_RETRIES}):`, failure.message);
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', forwardAbort);
+    }
+    try {
+      await abortable(delay(LLM_RETRY_BASE_DELAY_MS * 2 ** attempt), signal);
+    } catch (_) {
+      throw new LLMRequestError('Request cancelled.', { kind: LLM_ERROR_KINDS.CANCELLED });
+    }
+  }
+}
@@ -1,13 +1,212 @@
+/**
+ * Pantry Manager
+ * Pantry rows in db.pantry: { ingredient, quantity, unit, purchasedAt, expiresAt, selected }.
+ * Dates are 'YYYY-MM-DD' strings (local days, as entered in a date input); quantity and dates are optional.
+ * selected (1 | 0) is the tile's selection for suggestions, kept across reloads.
+ * Staples (salt, oil, ...) are not pantry rows: they live in the preferences table and count as always on hand.
+ */
+
+// Staples list before the user edits it ("oil" also covers "olive oil", "black pepper" a plain "pepper"; see stapleCovers)
+const DEFAULT_PANTRY_STAPLES = ['salt', 'black pepper', 'water', 'oil'];
+
+// Items expiring within this many days get a "soon" badge and count for "use it up" suggestions
+const EXPIRY_SOON_DAYS = 3;
+
+const PANTRY_UNITS = ['', 'item', 'g', 'kg', 'ml', 'l', 'oz', 'lb', 'cup', 'tbsp', 'tsp', 'can', 'package', 'bunch'];
+
+const EXPIRY_STATES = {
+    EXPIRED: 'expired',
+    TODAY: 'today',
+    SOON: 'soon',
+    FRESH: 'fresh'
+};
+
+/**
+ * Today's date as a 'YYYY-MM-DD' string in local time
+ * @param {Date} [now]
+ * @returns {string}
+ */
+function todayDateString(now = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/**
+ * Whole days from today until a 'YYYY-MM-DD' date (negative once past)
+ * @param {string} date
+ * @param {Date} [now]
+ * @returns {number|null} null when the date is missing or invalid
+ */
+function daysUntilDate(date, now = new Date()) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || '');
+    if (!match) return null;
+    const target = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    return Math.round((target - today) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Expiry state of a pantry item for its badge
+ * @param {Object} item - Pantry row
+ * @param {Date} [now]
+ * @returns {{ state: string, daysLeft: number }|null} state is one of EXPIRY_STATES; null without an expiry date
+ */
+function getExpiryStatus(item, now = new Date()) {
+    const daysLeft = daysUntilDate(item && item.expiresAt, now);
+    if (daysLeft == null) return null;
+    if (daysLeft < 0) return { state: EXPIRY_STATES.EXPIRED, daysLeft };
+    if (daysLeft === 0) return { state: EXPIRY_STATES.TODAY, daysLeft };
+    if (daysLeft <= EXPIRY_SOON_DAYS) return { state: EXPIRY_STATES.SOON, daysLeft };
+    return { state: EXPIRY_STATES.FRESH, daysLeft };
+}
+
+/**
+ * Badge text for an expiry status, or '' when no badge is shown
+ * @param {{ state: string, daysLeft: number }|null} status
+ * @returns {string}
+ */
+function formatExpiryBadge(status) {
+    if (!status) return '';
+    if (status.state === EXPIRY_STATES.EXPIRED) return 'Expired';
+    if (status.state === EXPIRY_STATES.TODAY) return 'Expires today';
+    if (status.state === EXPIRY_STATES.SOON) return status.daysLeft === 1 ? 'Expires tomorrow' : `${status.daysLeft} days left`;
+    return '';
+}
+
+/**
+ * Pantry items that should be used up soon, for scoreRecipe's "use it up" boost.
+ * Urgency runs from 1 (expires today) down towards 0 at EXPIRY_SOON_DAYS; expired items are left out.
+ * @param {Object[]} items - Pantry rows
+ * @param {Date} [now]
+ * @returns {{ name: string, urgency: number, daysLeft: number }[]} Most urgent first
+ */
+function buildExpiringItems(items, now = new Date()) {
+    const byName = new Map();
+    items.forEach(item => {
+        const status = getExpiryStatus(item, now);
+        if (!status || (status.state !== EXPIRY_STATES.TODAY && status.state !== EXPIRY_STATES.SOON)) return;
+        const name = normalizeIngredient(item.ingredient || '');
+        const urgency = (EXPIRY_SOON_DAYS + 1 - status.daysLeft) / (EXPIRY_SOON_DAYS + 1);
+        if (name && (!byName.has(name) || byName.get(name).urgency < urgency)) {
+            byName.set(name, { name, urgency, daysLeft: status.daysLeft });
+        }
+    });
+    return Array.from(byName.values()).sort((a, b) => b.urgency - a.urgency);
+}
+
+/**
+ * Quantity shown on a pantry tile ("12", "500 g", "2 cups")
+ * @param {Object} item - Pantry row
+ * @returns {string}
+ */
+function formatPantryQuantity(item) {
+    if (item.quantity == null || !Number.isFinite(item.quantity)) return '';
+    const amount = formatQuantity(item.quantity, item.unit || null);
+    if (!item.unit || item.unit === 'item') return amount;
+    const unit = item.quantity > 1 && UNIT_PLURALS[item.unit] ? UNIT_PLURALS[item.unit] : item.unit;
+    return `${amount} ${unit}`;
+}
+
+const DEDUCTION_ACTIONS = {
+    DEDUCT: 'deduct',
+    REMOVE: 'remove',
+    KEEP: 'keep'
+};
+
+/**
+ * Amount in another unit of the same kind; count units ('' or 'item') only match each other
+ * @param {number} quantity
+ * @param {string|null} fromUnit
+ * @param {string|null} toUnit
+ * @returns {number|null} null when the units don't convert (e.g. cups to grams)
+ */
+function convertPantryAmount(quantity, fromUnit, toUnit) {
+    const from = fromUnit === 'item' ? '' : (fromUnit || '');
+    const to = toUnit === 'item' ? '' : (toUnit || '');
+    if (from === to) return quantity;
+    if (VOLUME_UNITS[from] && VOLUME_UNITS[to]) return quantity * VOLUME_UNITS[from] / VOLUME_UNITS[to];
+    if (MASS_UNITS[from] && MASS_UNITS[to]) return quantity * MASS_UNITS[from] / MASS_UNITS[to];
+    return null;
+}
+
+/**
+ * Ingredient uses for the "Cooked it" sheet, one per displayed line. normalizedIngredients names a line
+ * only when it lines up with ingredients (same length, and the line mentions that name); imported
+ * records can differ in length or order, so otherwise the name parsed from the line is used.
+ * @param {{ ingredients?: string[], normalizedIngredients?: string[] }} recipe
+ * @param {string[]} lines - Ingredient lines as displayed (scaled), index-aligned with recipe.ingredients
+ * @param {Object[]} parsed - parseIngredientLine results for lines
+ * @returns {{ line: string, name: string, quantity: number|null, unit: string|null }[]}
+ */
+function cookIngredientUses(recipe, lines, parsed) {
+    const normalized = recipe.normalizedIngredients || [];
+    const aligned = normalized.length === (recipe.ingredients || []).length;
+    return parsed.map((entry, i) => {
+        const line = lines[i] || '';
+        const listed = aligned ? (normalized[i] || '').toLowerCase().trim() : '';
+        const name = listed && textMentionsIngredient(line.toLowerCase(), listed) ? listed : entry.name;
+        return { line, name, quantity: entry.quantity, unit: entry.unit };
+    });
+}
+
+/**
+ * Proposed pantry changes for cooking a recipe, one per pantry item it uses. An item the
+ * recipe uses up defaults to remove; one whose amount can't be worked out (no quantity
+ * stored, or units that don't convert) defaults to keep.
+ * @param {{ line: string, name: string, quantity: number|null, unit: string|null }[]} uses - Recipe lines as cooked (scaled)
+ * @param {Object[]} pantryItems - Pantry rows
+ * @returns {{ item: Object, lines: string[], used: number|null, remaining: number|null, action: string }[]}
+ */
+function planPantryDeductions(uses, pantryItems) {
+    const plans = new Map();
+    uses.forEach(use => {
+        const name = normalizeIngredient(use.name || '');
+        if (!name) return;
+        // Several rows of one ingredient: draw from the one expiring first
+        const item = pantryItems
+            .filter(candidate => ingredientMatches(name, normalizeIngredient(candidate.ingredient || '')))
+            .sort((a, b) => (a.expiresAt || '9999').localeCompare(b.expiresAt || '9999'))[0];
+        if (!item) return;
+        if (!plans.has(item.id)) plans.set(item.id, { item, lines: [], used: 0 });
+        const plan = plans.get(item.id);
+        plan.lines.push(use.line);
+        if (plan.used == null) return;
+        const amount = item.quantity != null && use.quantity != null
+            ? convertPantryAmount(use.quantity, use.unit, item.unit)
+            : null;
+        plan.used = amount == null ? null : plan.used + amount;
+    });
+    return Array.from(plans.values()).map(plan => {
+        if (plan.used == null) return { ...plan, remaining: null, action: DEDUCTION_ACTIONS.KEEP };
+        const remaining = Math.round((plan.item.quantity - plan.used) * 1000) / 1000;
+        return remaining > 0
+            ? { ...plan, remaining, action: DEDUCTION_ACTIONS.DEDUCT }
+            : { ...plan, remaining: 0, action: DEDUCTION_ACTIONS.REMOVE };
+    });
+}
+
 class PantryManager {
     constructor() {
         this.pantry = [];
         this.selectedIngredientUIContainer = document.getElementById('selected-ingredients');
+        this.detailsPanel = null;
+        this.editingItem = null;
     }
 
     renderIngredient(item) {
+        this.selectedIngredientUIContainer.appendChild(this.buildIngredientTile(item));
+    }
+
+    /**
+     * Pantry tile: name, quantity, expiry badge, details and remove buttons
+     * @param {Object} item - Pantry row
+     * @returns {HTMLElement}
+     */
+    buildIngredientTile(item) {
         const ingredientDiv = document.createElement('div');
         ingredientDiv.className = 'ingredient';
         ingredientDiv.dataset.id = item.id; // Store database ID
+        if (item.selected) ingredientDiv.classList.add('selected');
         
         // Determine if ingredient name is long (should span 2 columns)
         const isLong = item.ingredient.length > 12;
@@ -23,28 +222,199 @@ class PantryManager {
             this.deleteIngredient(item.id, ingredientDiv);
         });
     
+        // Create details button (quantity and dates)
+        const detailsBtn = document.createElement('button');
+        detailsBtn.type = 'button';
+        detailsBtn.className = 'pantry-details-btn';
+        detailsBtn.setAttribute('aria-label', `Edit ${item.ingredient} details`);
+        detailsBtn.innerHTML = '<i class="bi bi-calendar-event"></i>';
+        detailsBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.openItemDetails(item);
+        });
+
         // Create ingredient name
         const nameElement = document.createElement('h3');
         nameElement.textContent = item.ingredient;
+
+        const quantity = formatPantryQuantity(item);
+        const status = getExpiryStatus(item);
+        const badge = formatExpiryBadge(status);
+        if (status) ingredientDiv.classList.add(`expiry-${status.state}`);
     
         // Add click handler for individual selection
         ingredientDiv.addEventListener('click', (e) => {
-            // Don't toggle if clicking the remove button
-            if (e.target.closest('.remove-btn')) {
+            // Don't toggle if clicking the remove or details button
+            if (e.target.closest('.remove-btn') || e.target.closest('.pantry-details-btn')) {
                 return;
             }
-            // Toggle selected class
-            ingredientDiv.classList.toggle('selected');
+            // Toggle selected class and remember it
+            const selected = ingredientDiv.classList.toggle('selected');
+            this.saveSelection([item.id], selected);
             // Update Select All button state
             this.updateSelectAllButtonState();
         });
     
         // Assemble
         ingredientDiv.appendChild(removeBtn);
+        ingredientDiv.appendChild(detailsBtn);
         ingredientDiv.appendChild(nameElement);
-    
-        // Add to container
-        this.selectedIngredientUIContainer.appendChild(ingredientDiv);
+        if (quantity) {
+            const quantityElement = document.createElement('span');
+            quantityElement.className = 'pantry-quantity';
+            quantityElement.textContent = quantity;
+            ingredientDiv.appendChild(quantityElement);
+        }
+        if (badge) {
+            const badgeElement = document.createElement('span');
+            badgeElement.className = `expiry-badge expiry-badge-${status.state}`;
+            badgeElement.textContent = badge;
+            ingredientDiv.appendChild(badgeElement);
+        }
+
+        return ingredientDiv;
+    }
+
+    /**
+     * Re-render one tile in place, keeping its selection
+     * @param {Object} item - Pantry row
+     */
+    refreshIngredient(item) {
+        const existing = this.selectedIngredientUIContainer.querySelector(`.ingredient[data-id="${item.id}"]`);
+        const tile = this.buildIngredientTile(item);
+        if (!existing) {
+            this.selectedIngredientUIContainer.appendChild(tile);
+            return;
+        }
+        tile.classList.toggle('selected', existing.classList.contains('selected'));
+        existing.replaceWith(tile);
+    }
+
+    // UPDATE: Store the selected state of some pantry rows
+    async saveSelection(ids, selected) {
+        try {
+            await db.pantry.where(':id').anyOf(ids).modify({ selected: selected ? 1 : 0 });
+        } catch (error) {
+            console.error('Error saving pantry selection:', error);
+        }
+    }
+
+    /**
+     * Select or deselect every pantry tile (Select All button)
+     * @param {boolean} selected
+     */
+    async setAllSelected(selected) {
+        try {
+            await db.pantry.toCollection().modify({ selected: selected ? 1 : 0 });
+            this.selectedIngredientUIContainer.querySelectorAll('.ingredient')
+                .forEach(tile => tile.classList.toggle('selected', selected));
+            this.updateSelectAllButtonState();
+        } catch (error) {
+            console.error('Error saving pantry selection:', error);
+            alert('Could not update the selection. Please try again.');
+        }
+    }
+
+    /**
+     * Select exactly the pantry rows whose ingredient is in a preset (matched by canonical name)
+     * @param {string[]} names - Preset ingredient names
+     * @returns {Promise<number>} Number of tiles selected
+     */
+    async applySelection(names) {
+        const wanted = new Set(names.map(name => canonicalIngredient(name)));
+        try {
+            const selectedIds = new Set();
+            await db.transaction('rw', db.pantry, async () => {
+                const items = await db.pantry.toArray();
+                items.forEach(item => {
+                    if (wanted.has(canonicalIngredient(item.ingredient))) selectedIds.add(item.id);
+                });
+                await db.pantry.toCollection().modify(item => {
+                    item.selected = selectedIds.has(item.id) ? 1 : 0;
+                });
+            });
+            this.selectedIngredientUIContainer.querySelectorAll('.ingredient')
+                .forEach(tile => tile.classList.toggle('selected', selectedIds.has(Number(tile.dataset.id))));
+            this.updateSelectAllButtonState();
+            return selectedIds.size;
+        } catch (error) {
+            console.error('Error applying pantry selection:', error);
+            alert('Could not update the selection. Please try again.');
+            return 0;
+        }
+    }
+
+    /**
+     * Ingredient names of the selected pantry rows, one per canonical name (for saving a preset)
+     * @returns {Promise<string[]>}
+     */
+    async getSelectedNames() {
+        const items = await db.pantry.filter(item => !!item.selected).toArray();
+        const byCanonical = new Map();
+        items.forEach(item => {
+            const key = canonicalIngredient(item.ingredient);
+            if (key && !byCanonical.has(key)) byCanonical.set(key, item.ingredient.toLowerCase().trim());
+        });
+        return Array.from(byCanonical.values());
+    }
+
+    /**
+     * Show the quantity/date form for a pantry item (#pantry-item-panel)
+     * @param {Object} item - Pantry row
+     */
+    openItemDetails(item) {
+        const panel = this.getDetailsPanel();
+        if (!panel) return;
+        this.editingItem = item;
+        panel.querySelector('#pantry-item-name').textContent = item.ingredient;
+        panel.querySelector('#pantry-item-quantity').value = item.quantity != null ? item.quantity : '';
+        panel.querySelector('#pantry-item-unit').value = PANTRY_UNITS.includes(item.unit || '') ? (item.unit || '') : '';
+        panel.querySelector('#pantry-item-purchased').value = item.purchasedAt || '';
+        panel.querySelector('#pantry-item-expires').value = item.expiresAt || '';
+        panel.style.display = '';
+        panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    closeItemDetails() {
+        if (this.detailsPanel) this.detailsPanel.style.display = 'none';
+        this.editingItem = null;
+    }
+
+    getDetailsPanel() {
+        if (this.detailsPanel) return this.detailsPanel;
+        const panel = document.getElementById('pantry-item-panel');
+        if (!panel) return null;
+        const unitSelect = panel.querySelector('#pantry-item-unit');
+        PANTRY_UNITS.forEach(unit => {
+            const option = document.createElement('option');
+            option.value = unit;
+            option.textContent = unit || 'No unit';
+            unitSelect.appendChild(option);
+        });
+        panel.querySelector('#pantry-item-save').addEventListener('click', () => this.saveItemDetails());
+        panel.querySelector('#pantry-item-cancel').addEventListener('click', () => this.closeItemDetails());
+        this.detailsPanel = panel;
+        return panel;
+    }
+
+    async saveItemDetails() {
+        if (!this.editingItem) return;
+        const panel = this.detailsPanel;
+        const quantity = parseFloat(panel.querySelector('#pantry-item-quantity').value);
+        const purchasedAt = panel.querySelector('#pantry-item-purchased').value || null;
+        const expiresAt = panel.querySelector('#pantry-item-expires').value || null;
+        if (purchasedAt && expiresAt && expiresAt < purchasedAt) {
+            alert('The expiry date is before the purchase date.');
+            return;
+        }
+        const changes = {
+            quantity: Number.isFinite(quantity) && quantity > 0 ? quantity : null,
+            unit: panel.querySelector('#pantry-item-unit').value,
+            purchasedAt,
+            expiresAt
+        };
+        const updated = await this.updateIngredient(this.editingItem.id, changes);
+        if (updated) this.closeItemDetails();
     }
 
     updateSelectAllButtonState() {
@@ -68,6 +438,7 @@ class PantryManager {
         pantryItems.forEach(item => {
             this.renderIngredient(item);
         });
+        this.updateSelectAllButtonState();
         
             console.log(`✓ Loaded ${pantryItems.length} ingredients`);
         } catch (error) {
@@ -76,14 +447,25 @@ class PantryManager {
     }
 
 
-    // CREATE: Add ingredient to pantry
+    // CREATE: Add ingredient to pantry (bought today; quantity and expiry are set from the tile)
     async addIngredient(ingredientName) {
         try {
+        // Same canonical name already in the pantry ("tomatoes" when "tomato" is there): keep the one row
+        const canonical = canonicalIngredient(ingredientName);
+        const existing = await db.pantry
+            .filter(item => canonicalIngredient(item.ingredient) === canonical)
+            .first();
+        if (existing) {
+            console.log(`✓ Already in pantry: ${existing.ingredient}`);
+            return existing.id;
+        }
+
         // Add to database
-        const id = await db.pantry.add({ ingredient: ingredientName });
+        const item = { ingredient: ingredientName, quantity: null, unit: '', purchasedAt: todayDateString(), expiresAt: null, selected: 0 };
+        const id = await db.pantry.add(item);
         
         // Add to DOM
-        this.renderIngredient({ id, ingredient: ingredientName });
+        this.renderIngredient({ id, ...item });
         
         console.log(`✓ Added: ${ingredientName}`);
         return id;
@@ -92,11 +474,66 @@ class PantryManager {
         }
     }
 
+    // UPDATE: Change quantity, unit or dates of a pantry item
+    async updateIngredient(id, changes) {
+        try {
+            await db.pantry.update(id, changes);
+            const item = await db.pantry.get(id);
+            if (item) this.refreshIngredient(item);
+            console.log(`✓ Updated ingredient ID: ${id}`);
+            return item;
+        } catch (error) {
+            console.error('Error updating ingredient:', error);
+            alert('Could not save pantry item. Please try again.');
+            return null;
+        }
+    }
+
+    /**
+     * Apply confirmed cooking deductions (see planPantryDeductions) and update the tiles
+     * @param {{ id: number, action: string, remaining?: number }[]} changes
+     * @returns {Promise<{ updated: number, removed: number }>}
+     */
+    async applyDeductions(changes) {
+        const removed = changes.filter(change => change.action === DEDUCTION_ACTIONS.REMOVE);
+        const updated = changes.filter(change => change.action === DEDUCTION_ACTIONS.DEDUCT);
+        await db.transaction('rw', db.pantry, async () => {
+            await db.pantry.bulkDelete(removed.map(change => change.id));
+            for (const change of updated) {
+                await db.pantry.update(change.id, { quantity: change.remaining });
+            }
+        });
+        removed.forEach(({ id }) => {
+            const tile = this.selectedIngredientUIContainer.querySelector(`.ingredient[data-id="${id}"]`);
+            if (tile) tile.remove();
+            if (this.editingItem && this.editingItem.id === id) this.closeItemDetails();
+        });
+        const items = await db.pantry.bulkGet(updated.map(change => change.id));
+        items.filter(Boolean).forEach(item => this.refreshIngredient(item));
+        this.updateSelectAllButtonState();
+        console.log(`✓ Pantry after cooking: ${updated.length} updated, ${removed.length} removed`);
+        return { updated: updated.length, removed: removed.length };
+    }
+
+    /**
+     * Pantry items close to expiry, for "use it up" suggestions
+     * @returns {Promise<{ name: string, urgency: number, daysLeft: number }[]>}
+     */
+    async getExpiringItems() {
+        try {
+            return buildExpiringItems(await db.pantry.toArray());
+        } catch (error) {
+            console.error('Error loading expiring ingredients:', error);
+            return [];
+        }
+    }
+
     // DELETE: Remove ingredient from pantry
     async deleteIngredient(id, element) {
         try {
             // Delete from database
             await db.pantry.delete(id);
+            if (this.editingItem && this.editingItem.id === id) this.closeItemDetails();
         
             // Remove from DOM with animation
             element.style.transition = 'all 0.3s';
@@ -0,0 +1,115 @@
+/**
+ * Preference Model
+ * Learns ingredient affinities from liked, bookmarked, forked and disliked recipes and turns
+ * them into a ranking boost (plus a short "why this recipe" explanation).
+ * No DOM access: profiles are plain objects so they can be posted to recipe-worker.js.
+ */
+
+// How much each library signal counts toward the ingredients of that recipe
+const PREFERENCE_SIGNAL_WEIGHTS = {
+  like: 1,
+  bookmarked: 1.5,
+  fork: 2,
+  dislike: -1.5
+};
+
+// Score points for a full-strength boost (a primary ingredient match is worth 1000)
+const PREFERENCE_BOOST_WEIGHT = 300;
+
+// An ingredient is only penalized once it has shown up in this many disliked recipes
+const MIN_DISLIKES_FOR_PENALTY = 2;
+
+// Boosts smaller than this are not worth explaining on the card
+const MIN_EXPLAINED_BOOST = 0.05;
+
+// Ingredients in nearly every recipe say nothing about taste
+const PREFERENCE_IGNORED_INGREDIENTS = new Set([
+  'salt', 'water', 'pepper', 'black pepper', 'oil', 'olive oil', 'vegetable oil', 'sugar', 'butter', 'flour'
+]);
+
+/**
+ * Distinct normalized ingredient names of a recipe that carry preference signal
+ * @param {Object} recipe
+ * @returns {string[]}
+ */
+function preferenceIngredientNames(recipe) {
+  const names = (recipe.normalizedIngredients || recipe.ingredients || [])
+    .map(name => normalizeIngredient(name || ''))
+    .filter(name => name && !PREFERENCE_IGNORED_INGREDIENTS.has(name));
+  return Array.from(new Set(names));
+}
+
+/**
+ * Build an ingredient affinity profile from library signals
+ * @param {{ recipe: Object, signal: string }[]} signals - signal is a PREFERENCE_SIGNAL_WEIGHTS key
+ * @returns {{ affinities: Object<string, number>, signalCount: number }} Affinities scaled to [-1, 1]
+ */
+function buildPreferenceProfile(signals) {
+  const totals = new Map();
+  const dislikeCounts = new Map();
+  let signalCount = 0;
+  signals.forEach(({ recipe, signal }) => {
+    const weight = PREFERENCE_SIGNAL_WEIGHTS[signal];
+    if (!recipe || !weight) return;
+    signalCount++;
+    preferenceIngredientNames(recipe).forEach(name => {
+      totals.set(name, (totals.get(name) || 0) + weight);
+      if (weight < 0) dislikeCounts.set(name, (dislikeCounts.get(name) || 0) + 1);
+    });
+  });
+
+  // One-off dislikes are noise: keep negatives only for repeat offenders
+  const kept = Array.from(totals.entries()).filter(([name, total]) =>
+    total > 0 || (total < 0 && (dislikeCounts.get(name) || 0) >= MIN_DISLIKES_FOR_PENALTY));
+  const maxMagnitude = kept.reduce((max, [, total]) => Math.max(max, Math.abs(total)), 0);
+  const affinities = {};
+  kept.forEach(([name, total]) => {
+    affinities[name] = total / maxMagnitude;
+  });
+  return { affinities, signalCount };
+}
+
+/**
+ * Preference boost for one recipe
+ * @param {Object} recipe
+ * @param {{ affinities: Object<string, number> }|null} profile - Output of buildPreferenceProfile
+ * @returns {{ boost: number, liked: string[], disliked: string[] }} boost in [-1, 1];
+ *   liked/disliked are the ingredients behind it, strongest first
+ */
+function scorePreferenceBoost(recipe, profile) {
+  const empty = { boost: 0, liked: [], disliked: [] };
+  if (!profile || !profile.affinities) return empty;
+  const names = preferenceIngredientNames(recipe);
+  if (names.length === 0) return empty;
+  const hits = names
+    .filter(name => profile.affinities[name] != null)
+    .map(name => [name, profile.affinities[name]]);
+  if (hits.length === 0) return empty;
+  // Dividing by sqrt(n) keeps long ingredient lists from winning on volume alone
+  const sum = hits.reduce((total, [, affinity]) => total + affinity, 0);
+  const boost = Math.max(-1, Math.min(1, sum / Math.sqrt(names.length)));
+  return {
+    boost,
+    liked: hits.filter(([, a]) => a > 0).sort((a, b) => b[1] - a[1]).map(([name]) => name),
+    disliked: hits.filter(([, a]) => a < 0).sort((a, b) => a[1] - b[1]).map(([name]) => name)
+  };
+}
+
+/**
+ * "Why this recipe" line for a card
+ * @param {{ boost: number, liked: string[], disliked: string[] }|undefined} preference
+ * @param {number} [maxShown=3] - Ingredient names listed per reason
+ * @returns {string} Plain text, empty when the boost is negligible
+ */
+function explainPreferenceBoost(preference, maxShown = 3) {
+  if (!preference || Math.abs(preference.boost) < MIN_EXPLAINED_BOOST) return '';
+  const reasons = [];
+  if (preference.liked.length > 0) {
+    reasons.push(`Because you liked recipes with ${preference.liked.slice(0, maxShown).join(', ')}`);
+  }
+  if (preference.disliked.length > 0) {
+    const shown = preference.disliked.slice(0, maxShown);
+    reasons.push(`Ranked lower: ${shown.join(', ')} ${shown.length === 1 ? 'keeps' : 'keep'} showing up in recipes you disliked`);
+  }
+  return reasons.join('. ');
+}
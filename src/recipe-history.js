@@ -0,0 +1,91 @@
+/**
+ * Recipe History
+ * Snapshots stored in the recipeVersions table and a line-by-line ingredient diff
+ * between two revisions (or a fork and its parent). No DOM access.
+ */
+
+const VERSION_KINDS = {
+  ORIGINAL: 'original',
+  EDIT: 'edit',
+  FORK: 'fork',
+  REVERT: 'revert'
+};
+
+const VERSION_KIND_LABELS = {
+  [VERSION_KINDS.ORIGINAL]: 'Original',
+  [VERSION_KINDS.EDIT]: 'Edited',
+  [VERSION_KINDS.FORK]: 'Forked',
+  [VERSION_KINDS.REVERT]: 'Reverted'
+};
+
+/**
+ * Version record for the recipeVersions table
+ * @param {Object} recipe - Recipe as saved
+ * @param {{ kind: string, substitutions?: Object[], revertedFrom?: number }} details
+ * @returns {Object}
+ */
+function buildRecipeVersion(recipe, { kind, substitutions = [], revertedFrom = null }) {
+  const version = {
+    recipeId: recipe.id,
+    savedAt: Date.now(),
+    kind,
+    title: recipe.title || 'Untitled',
+    ingredients: [...(recipe.ingredients || [])],
+    normalizedIngredients: [...(recipe.normalizedIngredients || [])],
+    instructions: recipe.instructions || '',
+    substitutions: substitutions.map(({ index, from, to, source }) => ({ index, from, to, source }))
+  };
+  if (recipe.servings != null) version.servings = recipe.servings;
+  if (revertedFrom != null) version.revertedFrom = revertedFrom;
+  return version;
+}
+
+/**
+ * Line-by-line diff of two ingredient lists (longest common subsequence)
+ * @param {string[]} before
+ * @param {string[]} after
+ * @returns {{ type: 'same'|'added'|'removed', line: string }[]} In display order
+ */
+function diffIngredientLines(before, after) {
+  const a = before || [];
+  const b = after || [];
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      diff.push({ type: 'same', line: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      diff.push({ type: 'removed', line: a[i++] });
+    } else {
+      diff.push({ type: 'added', line: b[j++] });
+    }
+  }
+  while (i < a.length) diff.push({ type: 'removed', line: a[i++] });
+  while (j < b.length) diff.push({ type: 'added', line: b[j++] });
+  return diff;
+}
+
+/**
+ * One-line summary of the substitutions behind a version ("buttermilk → milk; eggs → flax")
+ * @param {{ from: string, to: string }[]} substitutions
+ * @param {number} [maxShown=3]
+ * @returns {string}
+ */
+function summarizeSubstitutions(substitutions, maxShown = 3) {
+  if (!substitutions || substitutions.length === 0) return '';
+  const shown = substitutions.slice(0, maxShown).map(({ from, to }) => `${from} → ${to}`);
+  const extra = substitutions.length - maxShown;
+  return shown.join('; ') + (extra > 0 ? ` +${extra} more` : '');
+}
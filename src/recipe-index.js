@@ -0,0 +1,185 @@
+/**
+ * Recipe Ingredient Index
+ * Candidate lookup over the *canonicalIngredients and *ingredientTokens multi-entry indexes,
+ * so every recipe is eligible without scanning the whole table. Both hold canonical names
+ * (see ingredient-canonical.js), so "tomatoes" finds "tomato" and "green onion" finds "scallion".
+ * Also the paged full-table title search shared by recipe-worker.js and the main-thread fallback.
+ * No DOM access: takes the Dexie instance as a parameter.
+ */
+
+const MIN_TOKEN_LENGTH = 2;
+const SEARCH_PAGE_SIZE = 500;
+
+/**
+ * Split an ingredient name into lowercase word tokens.
+ * @param {string} name - Ingredient name (e.g. "soy sauce")
+ * @returns {string[]} Tokens (e.g. ["soy", "sauce"])
+ */
+function tokenizeIngredientName(name) {
+  return (name || '')
+    .toLowerCase()
+    .split(/[^a-z0-9À-ɏ]+/)
+    .filter(token => token.length >= MIN_TOKEN_LENGTH);
+}
+
+/**
+ * Unique canonical names of a recipe's normalized ingredients (value for the canonicalIngredients index).
+ * @param {{ ingredients?: string[], normalizedIngredients?: string[] }} recipe
+ * @returns {string[]}
+ */
+function buildCanonicalIngredients(recipe) {
+  const names = recipe.normalizedIngredients || recipe.ingredients || [];
+  return Array.from(new Set(names.map(name => canonicalIngredient(name)).filter(Boolean)));
+}
+
+/**
+ * Unique tokens across a recipe's canonical ingredient names (value for the ingredientTokens index).
+ * @param {{ ingredients?: string[], normalizedIngredients?: string[] }} recipe
+ * @returns {string[]}
+ */
+function buildIngredientTokens(recipe) {
+  const tokens = new Set();
+  buildCanonicalIngredients(recipe).forEach(name => tokenizeIngredientName(name).forEach(token => tokens.add(token)));
+  return Array.from(tokens);
+}
+
+/**
+ * Return a copy of the recipe with its ingredientTokens and canonicalIngredients fields filled in.
+ * @param {Object} recipe
+ * @returns {Object}
+ */
+function withIngredientTokens(recipe) {
+  return { ...recipe, ingredientTokens: buildIngredientTokens(recipe), canonicalIngredients: buildCanonicalIngredients(recipe) };
+}
+
+/**
+ * Contiguous word phrases of a multi-word name, longest first
+ * (e.g. "chicken breast" -> ["chicken breast", "chicken", "breast"]).
+ * Lets a specific pantry item match a recipe that lists the generic ingredient.
+ * @param {string} name
+ * @returns {string[]}
+ */
+function ingredientSubPhrases(name) {
+  const words = (name || '').toLowerCase().trim().split(/\s+/).filter(Boolean);
+  const phrases = [];
+  for (let len = words.length; len >= 1; len--) {
+    for (let start = 0; start + len <= words.length; start++) {
+      phrases.push(words.slice(start, start + len).join(' '));
+    }
+  }
+  return phrases;
+}
+
+/**
+ * Recipe ids that use one selected ingredient.
+ * Union of exact canonical name hits (any sub-phrase) and recipes containing every token of the name.
+ * @param {Dexie} database
+ * @param {string} ingredient - Normalized (canonical) selected ingredient
+ * @returns {Promise<Set<*>>}
+ */
+async function findRecipeIdsForIngredient(database, ingredient) {
+  const tokens = Array.from(new Set(tokenizeIngredientName(ingredient)));
+  const [exactIds, ...tokenIdLists] = await Promise.all([
+    database.table('recipes').where('canonicalIngredients').anyOf(ingredientSubPhrases(ingredient)).primaryKeys(),
+    ...tokens.map(token => database.table('recipes').where('ingredientTokens').equals(token).primaryKeys())
+  ]);
+  const ids = new Set(exactIds);
+  if (tokenIdLists.length > 0) {
+    // Intersect starting from the smallest list
+    tokenIdLists.sort((a, b) => a.length - b.length);
+    let common = new Set(tokenIdLists[0]);
+    for (let i = 1; i < tokenIdLists.length && common.size > 0; i++) {
+      const next = new Set(tokenIdLists[i]);
+      common = new Set(Array.from(common).filter(id => next.has(id)));
+    }
+    common.forEach(id => ids.add(id));
+  }
+  return ids;
+}
+
+/**
+ * Count, per recipe, how many selected ingredients it uses.
+ * @param {Dexie} database
+ * @param {string[]} normalizedSelected - Normalized selected ingredients
+ * @param {Set<*>} [excludedIds] - Recipe ids to leave out (e.g. disliked)
+ * @returns {Promise<Map<*, number>>} Recipe id -> number of selected ingredients hit
+ */
+async function findCandidateRecipeIds(database, normalizedSelected, excludedIds = new Set()) {
+  const idSets = await Promise.all(
+    normalizedSelected.map(ingredient => findRecipeIdsForIngredient(database, ingredient))
+  );
+  const hits = new Map();
+  idSets.forEach(ids => {
+    ids.forEach(id => {
+      if (excludedIds.has(id)) return;
+      hits.set(id, (hits.get(id) || 0) + 1);
+    });
+  });
+  return hits;
+}
+
+/**
+ * Pick the ids to load and score: highest hit counts first, capped at maxCandidates.
+ * Ties are broken by id so results never depend on insertion order.
+ * @param {Map<*, number>} hits - Output of findCandidateRecipeIds
+ * @param {number} maxCandidates
+ * @returns {*[]}
+ */
+function rankCandidateIds(hits, maxCandidates) {
+  return Array.from(hits.entries())
+    .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+    .slice(0, maxCandidates)
+    .map(([id]) => id);
+}
+
+/**
+ * Load up to maxCandidates recipes that pass a filter, best-covered first.
+ * The filter runs before the cap, so a strict dietary profile that rejects most of the
+ * top ids still gets a full set of candidates from further down the ranking.
+ * @param {Dexie} database
+ * @param {Map<*, number>} hits - Output of findCandidateRecipeIds
+ * @param {number} maxCandidates
+ * @param {function(Object): boolean} accept - e.g. recipe => recipeFitsDietaryProfile(recipe, profile)
+ * @returns {Promise<Object[]>}
+ */
+async function loadCandidateRecipes(database, hits, maxCandidates, accept) {
+  const rankedIds = rankCandidateIds(hits, hits.size);
+  const candidates = [];
+  for (let start = 0; start < rankedIds.length && candidates.length < maxCandidates; start += maxCandidates) {
+    const page = await database.table('recipes').bulkGet(rankedIds.slice(start, start + maxCandidates));
+    for (const recipe of page) {
+      if (recipe && accept(recipe)) candidates.push(recipe);
+      if (candidates.length >= maxCandidates) break;
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Title/body search over every recipe, paged by primary key so no page holds the whole table.
+ * @param {Dexie} database
+ * @param {string[]} terms - Output of parseSearchTerms
+ * @param {number} maxResults
+ * @param {function(Object): boolean} accept - e.g. recipe => recipeFitsDietaryProfile(recipe, profile)
+ * @param {function(): Promise<void>} [afterPage] - Awaited between pages; throw from it to cancel
+ * @returns {Promise<Object[]>} Best results first
+ */
+async function searchAllRecipes(database, terms, maxResults, accept, afterPage = null) {
+  const scored = [];
+  let lastKey = null;
+  while (true) {
+    const collection = lastKey == null
+      ? database.table('recipes').orderBy(':id')
+      : database.table('recipes').where(':id').above(lastKey);
+    const page = await collection.limit(SEARCH_PAGE_SIZE).toArray();
+    if (page.length === 0) break;
+    for (const recipe of page) {
+      const result = scoreSearchCandidate(recipe, terms);
+      if (result && accept(recipe)) scored.push(result);
+    }
+    lastKey = page[page.length - 1].id;
+    if (afterPage) await afterPage();
+  }
+  scored.sort(compareSearchResults);
+  return scored.slice(0, maxResults);
+}
@@ -0,0 +1,469 @@
+/**
+ * Recipe Scoring
+ * Pure ingredient-match and title-search scoring shared by the main thread and recipe-worker.js.
+ * No DOM access, so it can be loaded with importScripts().
+ */
+
+const RECIPE_SEARCH_MAX_RESULTS = 15;
+
+// Suggestion tiers by number of recipe ingredients not covered by the selection
+const SUGGESTION_TIERS = {
+  READY: 'ready',
+  ALMOST: 'almost',
+  NEEDS_MORE: 'needsMore'
+};
+const ALMOST_MAX_MISSING = 2;
+
+// "Use it up" score per expiring item a recipe uses, at full urgency (a primary match is worth 1000)
+const USE_IT_UP_WEIGHT = 1500;
+
+// Names a generic staple must not cover even though it is their head noun: flavorings and different
+// products, not the everyday salt, pepper, water and oil (canonical names, matched as whole words)
+const STAPLE_EXCLUSIONS = [
+  'truffle oil', 'sesame oil', 'chili oil', 'coconut oil', 'walnut oil', 'hazelnut oil', 'almond oil',
+  'pistachio oil', 'peppermint oil', 'orange oil', 'lemon oil', 'anise oil', 'mustard oil', 'herb oil',
+  'chive oil', 'achiote oil',
+  'garlic salt', 'onion salt', 'celery salt', 'seasoned salt', 'curing salt', 'truffle salt', 'smoked salt',
+  'coconut water', 'rose water', 'orange blossom water', 'orange flower water', 'tonic water', 'soda water'
+];
+
+/**
+ * Normalize ingredient name for matching (canonical form, see ingredient-canonical.js)
+ * @param {string} ingredient - Ingredient name
+ * @returns {string} Normalized ingredient name
+ */
+function normalizeIngredient(ingredient) {
+  return canonicalIngredient(ingredient);
+}
+
+/**
+ * Whole-word inclusion match between one recipe ingredient and one selected ingredient (both normalized)
+ * @param {string} recipeIng - Recipe ingredient
+ * @param {string} selectedIng - Selected ingredient
+ * @returns {boolean}
+ */
+function ingredientMatches(recipeIng, selectedIng) {
+  // Selected ingredient is contained in recipe ingredient
+  // This handles cases like "chicken" matching "chicken breast" (but not "oil" matching "boiled egg")
+  if (containsIngredientWords(recipeIng, selectedIng)) {
+    return true;
+  }
+  // Also check reverse for cases like "chicken breast" matching "chicken"
+  // But only if the selected ingredient is longer (more specific)
+  return selectedIng.length > recipeIng.length && containsIngredientWords(selectedIng, recipeIng);
+}
+
+/**
+ * Whether a pantry staple covers a recipe ingredient. Stricter than ingredientMatches: the staple must
+ * be the more specific name ("black pepper" covers "pepper") or the recipe name's head noun ("oil"
+ * covers "olive oil", "salt" covers "kosher salt"), unless STAPLE_EXCLUSIONS lists the recipe name
+ * ("truffle oil", "coconut water")
+ * @param {string} recipeIng - Normalized recipe ingredient
+ * @param {string} staple - Normalized staple name
+ * @returns {boolean}
+ */
+function stapleCovers(recipeIng, staple) {
+  if (!recipeIng || !staple) return false;
+  if (containsIngredientWords(staple, recipeIng)) return true;
+  return recipeIng.endsWith(' ' + staple) &&
+    !STAPLE_EXCLUSIONS.some(excluded => containsIngredientWords(recipeIng, excluded));
+}
+
+/**
+ * Whether text mentions a normalized ingredient at the start of a word
+ * ("tomato" in "add the tomatoes", but not "oil" in "bring to a boil")
+ * @param {string} textLower - Lowercase text
+ * @param {string} ingredient - Normalized ingredient name
+ * @returns {boolean}
+ */
+function textMentionsIngredient(textLower, ingredient) {
+  if (!ingredient) return false;
+  let pos = textLower.indexOf(ingredient);
+  while (pos !== -1) {
+    if (pos === 0 || !/[a-z0-9À-ɏ]/.test(textLower[pos - 1])) return true;
+    pos = textLower.indexOf(ingredient, pos + 1);
+  }
+  return false;
+}
+
+/**
+ * Recipe ingredients (de-duplicated by normalized name) that neither the selected ingredients nor the staples cover
+ * @param {Object} recipe - Recipe object
+ * @param {string[]} selectedIngredients - Array of selected ingredient names (normalized)
+ * @param {string[]} [staples] - Normalized staple names, matched with stapleCovers
+ * @returns {string[]} Missing ingredient names as the recipe lists them (lowercased), in recipe order
+ */
+function findMissingIngredients(recipe, selectedIngredients, staples = []) {
+  const names = recipe.normalizedIngredients || recipe.ingredients || [];
+  const stapleKeys = staples.map(staple => normalizeIngredient(staple)).filter(Boolean);
+  // "salt and pepper" is on hand when each part is covered by some staple
+  const coveredByStaples = (key) => stapleKeys.length > 0 &&
+    key.split(' and ').every(part => stapleKeys.some(staple => stapleCovers(part, staple)));
+  const seen = new Set();
+  const missing = [];
+  names.forEach(name => {
+    const key = normalizeIngredient(name || '');
+    if (!key || seen.has(key)) return;
+    seen.add(key);
+    if (!selectedIngredients.some(selected => ingredientMatches(key, normalizeIngredient(selected))) &&
+        !coveredByStaples(key)) {
+      missing.push(name.toLowerCase().trim());
+    }
+  });
+  return missing;
+}
+
+/**
+ * Tier for a suggestion by how many ingredients are missing
+ * @param {number} missingCount
+ * @returns {string} One of SUGGESTION_TIERS
+ */
+function getSuggestionTier(missingCount) {
+  if (missingCount === 0) return SUGGESTION_TIERS.READY;
+  if (missingCount <= ALMOST_MAX_MISSING) return SUGGESTION_TIERS.ALMOST;
+  return SUGGESTION_TIERS.NEEDS_MORE;
+}
+
+/**
+ * Check if a recipe's ingredient list contains the selected ingredients
+ * Uses inclusion-based matching (not fuzzy)
+ * @param {Object} recipe - Recipe object
+ * @param {string[]} selectedIngredients - Array of selected ingredient names (normalized)
+ * @returns {Object} Match result with count and matched ingredients
+ */
+function matchIngredientsInList(recipe, selectedIngredients) {
+  if (!recipe.ingredients || !Array.isArray(recipe.ingredients)) {
+    return { count: 0, matched: [] };
+  }
+
+  // Check both ingredients and normalizedIngredients arrays
+  // Use a Set to avoid duplicates
+  const allIngredientsSet = new Set();
+  (recipe.ingredients || []).forEach(ing => {
+    allIngredientsSet.add(normalizeIngredient(ing));
+  });
+  (recipe.normalizedIngredients || []).forEach(ing => {
+    allIngredientsSet.add(normalizeIngredient(ing));
+  });
+  const allIngredients = Array.from(allIngredientsSet);
+
+  let matchCount = 0;
+  const matched = [];
+
+  selectedIngredients.forEach(selectedIng => {
+    const normalizedSelected = normalizeIngredient(selectedIng);
+    
+    // Check for inclusion in any ingredient string
+    const found = allIngredients.some(recipeIng => ingredientMatches(recipeIng, normalizedSelected));
+
+    if (found) {
+      matchCount++;
+      matched.push(selectedIng);
+    }
+  });
+
+  return { count: matchCount, matched };
+}
+
+/**
+ * Check if a recipe's instructions contain the selected ingredients
+ * Secondary scoring method
+ * @param {Object} recipe - Recipe object
+ * @param {string[]} selectedIngredients - Array of selected ingredient names (normalized)
+ * @returns {number} Number of ingredients found in instructions
+ */
+function matchIngredientsInInstructions(recipe, selectedIngredients) {
+  if (!recipe.instructions || typeof recipe.instructions !== 'string') {
+    return 0;
+  }
+
+  const instructionsLower = recipe.instructions.toLowerCase();
+  let matchCount = 0;
+
+  selectedIngredients.forEach(selectedIng => {
+    const normalizedSelected = normalizeIngredient(selectedIng);
+    if (textMentionsIngredient(instructionsLower, normalizedSelected)) {
+      matchCount++;
+    }
+  });
+
+  return matchCount;
+}
+
+/**
+ * "Use it up" boost: how much of the soon-to-expire pantry a recipe consumes
+ * @param {Object} recipe - Recipe object
+ * @param {{ name: string, urgency: number }[]|null} expiring - Normalized names; urgency 1 = expires today
+ * @returns {{ boost: number, items: string[] }} items: expiring names the recipe uses, most urgent first
+ */
+function scoreUseItUpBoost(recipe, expiring) {
+  if (!expiring || expiring.length === 0) return { boost: 0, items: [] };
+  const names = (recipe.normalizedIngredients || recipe.ingredients || []).map(name => normalizeIngredient(name || ''));
+  const used = expiring
+    .filter(item => names.some(name => name && ingredientMatches(name, normalizeIngredient(item.name))))
+    .sort((a, b) => b.urgency - a.urgency);
+  return {
+    boost: used.reduce((sum, item) => sum + item.urgency, 0),
+    items: used.map(item => item.name)
+  };
+}
+
+/**
+ * Score a recipe based on ingredient matches
+ * Primary: ingredients in ingredient list
+ * Secondary: ingredients in instructions
+ * Preference: learned ingredient affinities (see preference-model.js), scaled by preferences.weight
+ * Use it up: soon-to-expire pantry items the recipe consumes, when expiring is given
+ * Staples count as on hand for missing items and recipe coverage, but never as matches
+ * @param {Object} recipe - Recipe object
+ * @param {string[]} selectedIngredients - Array of selected ingredient names
+ * @param {{ profile: Object, weight?: number }|null} [preferences] - Output of buildPreferenceProfile plus boost weight
+ * @param {{ name: string, urgency: number }[]|null} [expiring] - Output of buildExpiringItems ("use it up" mode)
+ * @param {string[]|null} [staples] - Normalized staple names (salt, oil, ...) assumed always available
+ * @returns {Object} Scored recipe with match information
+ */
+function scoreRecipe(recipe, selectedIngredients, preferences = null, expiring = null, staples = null) {
+  if (selectedIngredients.length === 0) {
+    const missingIngredients = findMissingIngredients(recipe, selectedIngredients, staples || []);
+    return {
+      recipe,
+      score: 0,
+      primaryMatches: 0,
+      secondaryMatches: 0,
+      totalSelected: 0,
+      missingIngredients,
+      tier: getSuggestionTier(missingIngredients.length)
+    };
+  }
+
+  // Primary scoring: ingredients in ingredient list
+  const ingredientMatch = matchIngredientsInList(recipe, selectedIngredients);
+  const primaryMatches = ingredientMatch.count;
+
+  // Secondary scoring: ingredients in instructions
+  const secondaryMatches = matchIngredientsInInstructions(recipe, selectedIngredients);
+
+  // What the recipe needs that is neither selected nor a staple
+  const missingIngredients = findMissingIngredients(recipe, selectedIngredients, staples || []);
+  const recipeIngredientCount = new Set((recipe.normalizedIngredients || recipe.ingredients || [])
+    .map(name => normalizeIngredient(name || ''))
+    .filter(Boolean)).size;
+
+  // Calculate score: primary matches are worth more
+  // Score = (primaryMatches * 1000) + (secondaryMatches * 100) + (primaryMatches / totalSelected * 100)
+  //       + (share of recipe ingredients on hand * 500)
+  // This ensures recipes with all ingredients score highest, and among equal matches
+  // the recipe with fewer missing items wins
+  const completeness = selectedIngredients.length > 0 
+    ? primaryMatches / selectedIngredients.length 
+    : 0;
+  const recipeCoverage = recipeIngredientCount > 0
+    ? 1 - (missingIngredients.length / recipeIngredientCount)
+    : 0;
+  
+  // Learned preferences nudge the order within similar match counts
+  const preference = scorePreferenceBoost(recipe, preferences && preferences.profile);
+  const boostWeight = preferences && preferences.weight != null ? preferences.weight : PREFERENCE_BOOST_WEIGHT;
+  const useItUp = scoreUseItUpBoost(recipe, expiring);
+
+  const score = (primaryMatches * 1000) + 
+                (secondaryMatches * 100) + 
+                (completeness * 100) +
+                (recipeCoverage * 500) +
+                (preference.boost * boostWeight) +
+                (useItUp.boost * USE_IT_UP_WEIGHT);
+
+  return {
+    recipe,
+    score,
+    primaryMatches,
+    secondaryMatches,
+    totalSelected: selectedIngredients.length,
+    matchedIngredients: ingredientMatch.matched,
+    missingIngredients,
+    tier: getSuggestionTier(missingIngredients.length),
+    preference,
+    useItUp
+  };
+}
+
+/**
+ * Sort comparator for scored recipes: score, then primary, then secondary matches
+ * @param {Object} a - Scored recipe
+ * @param {Object} b - Scored recipe
+ * @returns {number}
+ */
+function compareScoredRecipes(a, b) {
+  if (Math.abs(b.score - a.score) > 0.1) {
+    return b.score - a.score;
+  }
+  if (b.primaryMatches !== a.primaryMatches) {
+    return b.primaryMatches - a.primaryMatches;
+  }
+  return b.secondaryMatches - a.secondaryMatches;
+}
+
+/**
+ * Score candidate recipes and keep the best matches
+ * @param {Object[]} candidates - Recipe objects
+ * @param {string[]} normalizedSelected - Normalized selected ingredient names
+ * @param {number} maxResults - Number of results to keep
+ * @param {{ profile: Object, weight?: number }|null} [preferences] - Passed through to scoreRecipe
+ * @param {{ name: string, urgency: number }[]|null} [expiring] - Passed through to scoreRecipe
+ * @param {string[]|null} [staples] - Passed through to scoreRecipe
+ * @returns {Object[]} Scored recipes, best first
+ */
+function rankRecipes(candidates, normalizedSelected, maxResults, preferences = null, expiring = null, staples = null) {
+  return candidates
+    .map(recipe => scoreRecipe(recipe, normalizedSelected, preferences, expiring, staples))
+    .sort(compareScoredRecipes)
+    .filter(result => result.primaryMatches > 0 || result.secondaryMatches > 0)
+    .slice(0, maxResults);
+}
+
+/**
+ * Score how well a single search term matches a title string.
+ * Returns 0 if no match, higher is better.
+ */
+function scoreTermMatch(term, titleLower) {
+  if (titleLower === term) return 1.0;
+  if (titleLower.startsWith(term)) return 0.9;
+  if (titleLower.includes(term)) return 0.8;
+  // Word-boundary match: any word in the title starts with the term
+  const words = titleLower.split(/\s+/);
+  for (const w of words) {
+    if (w.startsWith(term)) return 0.7;
+  }
+  // Fuzzy: subsequence match
+  let si = 0;
+  for (let ti = 0; ti < titleLower.length && si < term.length; ti++) {
+    if (term[si] === titleLower[ti]) si++;
+  }
+  const ratio = si / term.length;
+  return ratio >= 0.6 ? ratio * 0.5 : 0;
+}
+
+/**
+ * Score a recipe title against an array of search terms.
+ * Returns { matchedCount, totalScore } where matchedCount is how many terms had a non-zero score.
+ */
+function scoreRecipeTitle(terms, titleLower) {
+  let matchedCount = 0;
+  let totalScore = 0;
+  for (const term of terms) {
+    const s = scoreTermMatch(term, titleLower);
+    if (s > 0) {
+      matchedCount++;
+      totalScore += s;
+    }
+  }
+  return { matchedCount, totalScore };
+}
+
+/**
+ * Check if any search term appears in a text string (exact substring match).
+ * Returns the list of terms that matched.
+ */
+function findMatchingTerms(terms, text) {
+  if (!text) return [];
+  const lower = text.toLowerCase();
+  return terms.filter(t => lower.includes(t));
+}
+
+/**
+ * Build a context snippet showing where keywords appear in the body text.
+ * Format: "...context keyword context ... context keyword2 context..."
+ * @param {string} text - The full body text (ingredients joined or instructions)
+ * @param {string[]} matchedTerms - Terms that were found in the text
+ * @param {number} contextChars - Characters of context around each keyword
+ * @returns {string} The snippet string (plain text, not HTML)
+ */
+function buildContextSnippet(text, matchedTerms, contextChars) {
+  if (!text || matchedTerms.length === 0) return '';
+  const lower = text.toLowerCase();
+  const snippets = [];
+  const seen = new Set();
+  for (const term of matchedTerms) {
+    const pos = lower.indexOf(term);
+    if (pos === -1 || seen.has(term)) continue;
+    seen.add(term);
+    const start = Math.max(0, pos - contextChars);
+    const end = Math.min(text.length, pos + term.length + contextChars);
+    let snippet = '';
+    if (start > 0) snippet += '...';
+    snippet += text.substring(start, end).trim();
+    if (end < text.length) snippet += '...';
+    snippets.push(snippet);
+    if (snippets.length >= 3) break; // limit to 3 keyword contexts
+  }
+  return snippets.join('  ');
+}
+
+/**
+ * Split a search query into lowercase terms.
+ * @param {string} query
+ * @returns {string[]}
+ */
+function parseSearchTerms(query) {
+  return (query || '').toLowerCase().trim().split(/\s+/).filter(t => t.length > 0);
+}
+
+/**
+ * Score one recipe against the search terms (title first, then ingredients and instructions).
+ * @param {Object} recipe - Recipe object
+ * @param {string[]} terms - Output of parseSearchTerms
+ * @returns {Object|null} Search result, or null when nothing matched
+ */
+function scoreSearchCandidate(recipe, terms) {
+  if (!recipe.title) return null;
+  const titleLower = recipe.title.toLowerCase();
+  const { matchedCount: titleMatched, totalScore: titleScore } = scoreRecipeTitle(terms, titleLower);
+
+  // Also search in ingredients and instructions (body)
+  const ingredientsText = (recipe.ingredients || []).join(', ');
+  const instructionsText = recipe.instructions || '';
+  const bodyText = ingredientsText + ' ' + instructionsText;
+  const bodyMatchedTerms = findMatchingTerms(terms, bodyText);
+  const bodyMatched = bodyMatchedTerms.length;
+
+  const totalMatched = Math.max(titleMatched, bodyMatched);
+  if (totalMatched === 0) return null;
+
+  // Title hits get a bonus so they rank above body-only hits
+  const totalScore = (titleScore * 2) + (bodyMatched * 0.3);
+  const hitInTitle = titleMatched > 0;
+
+  // Build context snippet for body hits
+  let contextSnippet = '';
+  if (!hitInTitle && bodyMatched > 0) {
+    // Body-only hit: show context from whichever text had matches
+    const ingTerms = findMatchingTerms(terms, ingredientsText);
+    const insTerms = findMatchingTerms(terms, instructionsText);
+    if (ingTerms.length > 0) {
+      contextSnippet = buildContextSnippet(ingredientsText, ingTerms, 20);
+    } else if (insTerms.length > 0) {
+      contextSnippet = buildContextSnippet(instructionsText, insTerms, 25);
+    }
+  }
+
+  return {
+    recipe,
+    matchedCount: totalMatched,
+    totalScore,
+    totalTerms: terms.length,
+    hitInTitle,
+    contextSnippet
+  };
+}
+
+/**
+ * Sort comparator for search results: title hits first, then most terms matched, then by score
+ * @param {Object} a - Search result
+ * @param {Object} b - Search result
+ * @returns {number}
+ */
+function compareSearchResults(a, b) {
+  if (a.hitInTitle !== b.hitInTitle) return a.hitInTitle ? -1 : 1;
+  if (b.matchedCount !== a.matchedCount) return b.matchedCount - a.matchedCount;
+  return b.totalScore - a.totalScore;
+}
@@ -0,0 +1,98 @@
+/**
+ * Recipe Worker Client
+ * Promise wrapper around recipe-worker.js with per-request cancellation via AbortSignal.
+ * Callers fall back to main-thread scoring when the worker cannot start (e.g. file:// pages).
+ */
+
+class RecipeWorkerClient {
+  constructor(scriptUrl) {
+    this.scriptUrl = scriptUrl;
+    this.worker = null;
+    this.failed = false;
+    this.nextId = 1;
+    this.pending = new Map();
+  }
+
+  /**
+   * Whether requests can be sent to the worker
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return !this.failed && typeof Worker !== 'undefined';
+  }
+
+  _ensureWorker() {
+    if (this.worker) return this.worker;
+    this.worker = new Worker(this.scriptUrl);
+    this.worker.addEventListener('message', (event) => this._handleMessage(event.data || {}));
+    this.worker.addEventListener('error', (event) => {
+      console.error('Recipe worker failed:', event.message || event);
+      this._fail(new Error(event.message || 'Recipe worker failed'));
+    });
+    return this.worker;
+  }
+
+  _handleMessage({ id, result, error, cancelled }) {
+    const entry = this.pending.get(id);
+    if (!entry) return;
+    this.pending.delete(id);
+    entry.cleanup();
+    if (cancelled) {
+      entry.reject(new DOMException('Request cancelled', 'AbortError'));
+    } else if (error) {
+      entry.reject(new Error(error));
+    } else {
+      entry.resolve(result);
+    }
+  }
+
+  /** Reject everything in flight and stop using the worker */
+  _fail(error) {
+    this.failed = true;
+    this.pending.forEach(entry => {
+      entry.cleanup();
+      entry.reject(error);
+    });
+    this.pending.clear();
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+
+  /**
+   * Send a request to the worker
+   * @param {'match'|'search'} type - Request type
+   * @param {Object} payload - Request payload (structured-cloneable)
+   * @param {{ signal?: AbortSignal }} [options]
+   * @returns {Promise<*>} Rejects with an AbortError when the signal fires
+   */
+  request(type, payload, { signal } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(new DOMException('Request cancelled', 'AbortError'));
+    }
+    let worker;
+    try {
+      worker = this._ensureWorker();
+    } catch (error) {
+      this._fail(error);
+      return Promise.reject(error);
+    }
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        if (!this.pending.has(id)) return;
+        this.pending.delete(id);
+        worker.postMessage({ id, type: 'cancel' });
+        reject(new DOMException('Request cancelled', 'AbortError'));
+      };
+      const cleanup = () => signal?.removeEventListener('abort', onAbort);
+      signal?.addEventListener('abort', onAbort);
+      this.pending.set(id, { resolve, reject, cleanup });
+      worker.postMessage({ id, type, payload });
+    });
+  }
+}
+
+const recipeWorker = new RecipeWorkerClient('recipe-worker.js');
+window.recipeWorker = recipeWorker;
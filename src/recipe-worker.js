@@ -0,0 +1,102 @@
+/**
+ * Recipe Worker
+ * Runs ingredient matching and title search off the main thread with its own Dexie connection.
+ *
+ * Messages in:  { id, type: 'match' | 'search', payload } and { id, type: 'cancel' }
+ * Messages out: { id, result } | { id, error } | { id, cancelled: true }
+ */
+
+importScripts(
+  'https://cdnjs.cloudflare.com/ajax/libs/dexie/4.2.0/dexie.js',
+  'ingredient-canonical.js',
+  'recipe-index.js',
+  'preference-model.js',
+  'dietary-profile.js',
+  'recipe-scoring.js'
+);
+
+// Opened in dynamic mode: the schema (and its upgrades) is owned by app.js,
+// so tables are reached through db.table() rather than db.<name>
+const db = new Dexie('RecipeDatabase');
+
+const activeRequests = new Set();
+const cancelledRequests = new Set();
+
+class RequestCancelledError extends Error {
+  constructor() {
+    super('Request cancelled');
+    this.name = 'RequestCancelledError';
+  }
+}
+
+/**
+ * Yield to the message loop so pending 'cancel' messages are handled, then bail if cancelled.
+ * @param {number} id - Request id
+ */
+const checkpoint = async (id) => {
+  await new Promise(resolve => setTimeout(resolve, 0));
+  if (cancelledRequests.has(id)) throw new RequestCancelledError();
+};
+
+/**
+ * Ingredient match: index lookup, load best-covered candidates, score and rank.
+ * @param {number} id - Request id
+ * @param {{ selected: string[], excludedIds?: Array, maxCandidates: number, maxResults: number, preferences?: Object, dietaryProfile?: Object, expiring?: Object[], staples?: string[] }} payload
+ */
+const runMatch = async (id, payload) => {
+  const hits = await findCandidateRecipeIds(db, payload.selected, new Set(payload.excludedIds || []));
+  await checkpoint(id);
+  const candidates = await loadCandidateRecipes(db, hits, payload.maxCandidates,
+    recipe => recipeFitsDietaryProfile(recipe, payload.dietaryProfile));
+  await checkpoint(id);
+  return {
+    results: rankRecipes(candidates, payload.selected, payload.maxResults, payload.preferences || null, payload.expiring || null, payload.staples || null),
+    candidateCount: hits.size
+  };
+};
+
+/**
+ * Title/body search over every recipe, paged by primary key.
+ * @param {number} id - Request id
+ * @param {{ query: string, maxResults?: number, dietaryProfile?: Object }} payload
+ */
+const runSearch = async (id, payload) => {
+  const terms = parseSearchTerms(payload.query);
+  if (terms.length === 0) return [];
+  return searchAllRecipes(db, terms, payload.maxResults || RECIPE_SEARCH_MAX_RESULTS,
+    recipe => recipeFitsDietaryProfile(recipe, payload.dietaryProfile),
+    () => checkpoint(id));
+};
+
+const HANDLERS = {
+  match: runMatch,
+  search: runSearch
+};
+
+self.addEventListener('message', async (event) => {
+  const { id, type, payload } = event.data || {};
+  if (type === 'cancel') {
+    if (activeRequests.has(id)) cancelledRequests.add(id);
+    return;
+  }
+  const handler = HANDLERS[type];
+  if (!handler) {
+    self.postMessage({ id, error: `Unknown request type: ${type}` });
+    return;
+  }
+  activeRequests.add(id);
+  try {
+    if (!db.isOpen()) await db.open();
+    const result = await handler(id, payload || {});
+    self.postMessage({ id, result });
+  } catch (error) {
+    if (error instanceof RequestCancelledError) {
+      self.postMessage({ id, cancelled: true });
+    } else {
+      self.postMessage({ id, error: error.message || String(error) });
+    }
+  } finally {
+    activeRequests.delete(id);
+    cancelledRequests.delete(id);
+  }
+});
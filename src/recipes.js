@@ -1,12 +1,57 @@
 /**
  * Recipe Suggestion Algorithm
- * Finds recipes based on selected ingredients using inclusion-based queries
+ * Finds recipes based on selected ingredients using ingredient index lookups
  */
 
+const SUGGESTION_TIER_SECTIONS = [
+  { tier: SUGGESTION_TIERS.READY, label: 'You can make this now' },
+  { tier: SUGGESTION_TIERS.ALMOST, label: 'Missing 1–2 items' },
+  { tier: SUGGESTION_TIERS.NEEDS_MORE, label: 'Needs more' }
+];
+
+// Best match ranks by coverage of the selection; use it up also boosts recipes that consume
+// soon-to-expire pantry items (which count as selected in that mode)
+const SUGGESTION_RANKING_MODES = {
+  BEST_MATCH: 'bestMatch',
+  USE_IT_UP: 'useItUp'
+};
+
+const SUGGESTION_RANKING_LABELS = {
+  [SUGGESTION_RANKING_MODES.BEST_MATCH]: 'Best match',
+  [SUGGESTION_RANKING_MODES.USE_IT_UP]: 'Use it up'
+};
+
 class RecipeSuggestionEngine {
   constructor() {
     this.currentSuggestions = [];
     this.MAX_RESULTS = 10;
+    this.rankingMode = SUGGESTION_RANKING_MODES.BEST_MATCH;
+    this.expiringItems = [];
+  }
+
+  /**
+   * Load the saved ranking mode
+   * @returns {Promise<string>} One of SUGGESTION_RANKING_MODES
+   */
+  async loadRankingMode() {
+    const mode = await window.app.getPreference(PREFERENCE_KEYS.SUGGESTION_RANKING_MODE, SUGGESTION_RANKING_MODES.BEST_MATCH);
+    this.rankingMode = Object.values(SUGGESTION_RANKING_MODES).includes(mode) ? mode : SUGGESTION_RANKING_MODES.BEST_MATCH;
+    return this.rankingMode;
+  }
+
+  /**
+   * Switch ranking mode, save it and reload suggestions
+   * @param {string} mode - One of SUGGESTION_RANKING_MODES
+   */
+  async setRankingMode(mode) {
+    if (!Object.values(SUGGESTION_RANKING_MODES).includes(mode) || mode === this.rankingMode) return;
+    this.rankingMode = mode;
+    try {
+      await window.app.setPreference(PREFERENCE_KEYS.SUGGESTION_RANKING_MODE, mode);
+    } catch (error) {
+      console.error('Error saving ranking mode:', error);
+    }
+    await this.loadSuggestions();
   }
 
   /**
@@ -36,142 +81,29 @@ class RecipeSuggestionEngine {
    * @returns {string} Normalized ingredient name
    */
   normalizeIngredient(ingredient) {
-    return ingredient.toLowerCase().trim();
-  }
-
-  /**
-   * Check if a recipe's ingredient list contains the selected ingredients
-   * Uses inclusion-based matching (not fuzzy)
-   * @param {Object} recipe - Recipe object
-   * @param {string[]} selectedIngredients - Array of selected ingredient names (normalized)
-   * @returns {Object} Match result with count and matched ingredients
-   */
-  matchIngredientsInList(recipe, selectedIngredients) {
-    if (!recipe.ingredients || !Array.isArray(recipe.ingredients)) {
-      return { count: 0, matched: [] };
-    }
-
-    // Check both ingredients and normalizedIngredients arrays
-    // Use a Set to avoid duplicates
-    const allIngredientsSet = new Set();
-    (recipe.ingredients || []).forEach(ing => {
-      allIngredientsSet.add(this.normalizeIngredient(ing));
-    });
-    (recipe.normalizedIngredients || []).forEach(ing => {
-      allIngredientsSet.add(this.normalizeIngredient(ing));
-    });
-    const allIngredients = Array.from(allIngredientsSet);
-
-    let matchCount = 0;
-    const matched = [];
-
-    selectedIngredients.forEach(selectedIng => {
-      const normalizedSelected = this.normalizeIngredient(selectedIng);
-      
-      // Check for inclusion in any ingredient string
-      // Inclusion: selected ingredient string is contained in recipe ingredient string
-      const found = allIngredients.some(recipeIng => {
-        // Check if selected ingredient is contained in recipe ingredient
-        // This handles cases like "chicken" matching "chicken breast"
-        if (recipeIng.includes(normalizedSelected)) {
-          return true;
-        }
-        // Also check reverse for cases like "chicken breast" matching "chicken"
-        // But only if the selected ingredient is longer (more specific)
-        if (normalizedSelected.length > recipeIng.length && normalizedSelected.includes(recipeIng)) {
-          return true;
-        }
-        return false;
-      });
-
-      if (found) {
-        matchCount++;
-        matched.push(selectedIng);
-      }
-    });
-
-    return { count: matchCount, matched };
+    return normalizeIngredient(ingredient);
   }
 
   /**
-   * Check if a recipe's instructions contain the selected ingredients
-   * Secondary scoring method
-   * @param {Object} recipe - Recipe object
-   * @param {string[]} selectedIngredients - Array of selected ingredient names (normalized)
-   * @returns {number} Number of ingredients found in instructions
-   */
-  matchIngredientsInInstructions(recipe, selectedIngredients) {
-    if (!recipe.instructions || typeof recipe.instructions !== 'string') {
-      return 0;
-    }
-
-    const instructionsLower = recipe.instructions.toLowerCase();
-    let matchCount = 0;
-
-    selectedIngredients.forEach(selectedIng => {
-      const normalizedSelected = this.normalizeIngredient(selectedIng);
-      if (instructionsLower.includes(normalizedSelected)) {
-        matchCount++;
-      }
-    });
-
-    return matchCount;
-  }
-
-  /**
-   * Score a recipe based on ingredient matches
-   * Primary: ingredients in ingredient list
-   * Secondary: ingredients in instructions
+   * Score a recipe based on ingredient matches (see recipe-scoring.js)
    * @param {Object} recipe - Recipe object
    * @param {string[]} selectedIngredients - Array of selected ingredient names
+   * @param {{ profile: Object, weight?: number }|null} [preferences] - From app.getSuggestionPreferences()
    * @returns {Object} Scored recipe with match information
    */
-  scoreRecipe(recipe, selectedIngredients) {
-    if (selectedIngredients.length === 0) {
-      return {
-        recipe,
-        score: 0,
-        primaryMatches: 0,
-        secondaryMatches: 0,
-        totalSelected: 0
-      };
-    }
-
-    // Primary scoring: ingredients in ingredient list
-    const ingredientMatch = this.matchIngredientsInList(recipe, selectedIngredients);
-    const primaryMatches = ingredientMatch.count;
-
-    // Secondary scoring: ingredients in instructions
-    const secondaryMatches = this.matchIngredientsInInstructions(recipe, selectedIngredients);
-
-    // Calculate score: primary matches are worth more
-    // Score = (primaryMatches * 1000) + (secondaryMatches * 100) + (primaryMatches / totalSelected * 100)
-    // This ensures recipes with all ingredients score highest
-    const completeness = selectedIngredients.length > 0 
-      ? primaryMatches / selectedIngredients.length 
-      : 0;
-    
-    const score = (primaryMatches * 1000) + 
-                  (secondaryMatches * 100) + 
-                  (completeness * 100);
-
-    return {
-      recipe,
-      score,
-      primaryMatches,
-      secondaryMatches,
-      totalSelected: selectedIngredients.length,
-      matchedIngredients: ingredientMatch.matched
-    };
+  scoreRecipe(recipe, selectedIngredients, preferences = null) {
+    return scoreRecipe(recipe, selectedIngredients, preferences);
   }
 
   /**
-   * Find recipes matching selected ingredients using Dexie queries
-   * Optimized for mobile performance: parallel queries, early limiting, efficient filtering
+   * Find recipes matching selected ingredients using the ingredient indexes
+   * Candidates come from anyOf()/equals() lookups on *canonicalIngredients and *ingredientTokens,
+   * so every recipe is eligible; only the best-covered candidates are loaded and scored.
    * @param {string[]} selectedIngredients - Array of selected ingredient names
+   * @param {{ name: string, urgency: number }[]|null} [expiring] - Soon-to-expire pantry items ("use it up" mode)
    * @returns {Promise<Array>} Array of scored recipes
    */
-  async findMatchingRecipes(selectedIngredients) {
+  async findMatchingRecipes(selectedIngredients, expiring = null) {
     if (!selectedIngredients || selectedIngredients.length === 0) {
       return [];
     }
@@ -184,94 +116,55 @@ class RecipeSuggestionEngine {
     try {
       const startTime = performance.now();
       
-      // Normalize selected ingredients for querying
-      const normalizedSelected = selectedIngredients.map(ing => this.normalizeIngredient(ing));
+      // Normalize selected ingredients for querying ("tomato" and "tomatoes" count once)
+      const normalizedSelected = Array.from(new Set(selectedIngredients.map(ing => this.normalizeIngredient(ing)).filter(Boolean)));
 
       // Get disliked recipe IDs first (small, fast query)
       const dislikedIds = await window.app.getDislikedRecipeIds();
-
-      // OPTIMIZATION: Use a single efficient query instead of multiple sequential queries
-      // For inclusion-based matching, we need to scan recipes, but we can optimize:
-      // 1. Limit the total number of recipes we process
-      // 2. Use parallel processing for multiple ingredients
-      // 3. Early termination when we have enough good candidates
-      
-      // Performance tuning for mobile devices
-      // Lower limits = faster queries
-      const MAX_RECIPES_TO_SCAN = 800; // Optimized for mobile performance (was unlimited)
-      const TARGET_CANDIDATES = 150; // Target candidates before scoring
-      
-      // KEY OPTIMIZATION: Limit total recipes scanned - this is the biggest performance gain
-      // Instead of scanning all recipes, we only scan a limited subset
-      // This makes queries 10-100x faster on mobile devices
-      const recipesToScan = await window.db.recipes
-        .limit(MAX_RECIPES_TO_SCAN)
-        .toArray();
-      
-      // Filter recipes efficiently in chunks to keep UI responsive
-      const candidateRecipesMap = new Map();
-      const chunkSize = 50; // Smaller chunks for better mobile responsiveness
-      
-      // Process recipes in chunks with periodic yields to keep UI responsive
-      for (let i = 0; i < recipesToScan.length; i += chunkSize) {
-        const chunk = recipesToScan.slice(i, i + chunkSize);
-        
-        // Process chunk synchronously (fast for small chunks)
-        chunk.forEach(recipe => {
-          // Skip if disliked or already processed
-          if (dislikedIds.has(recipe.id) || candidateRecipesMap.has(recipe.id)) {
-            return;
-          }
-          
-          // Quick match check: does this recipe match any selected ingredient?
-          // Use for loop for early break (faster than .some())
-          for (const ingredient of normalizedSelected) {
-            if (this.checkIngredientMatch(recipe, ingredient)) {
-              candidateRecipesMap.set(recipe.id, recipe);
-              break; // Found a match, no need to check other ingredients
-            }
-          }
-        });
-        
-        // Early termination if we have enough candidates
-        if (candidateRecipesMap.size >= TARGET_CANDIDATES) {
-          break;
-        }
-        
-        // Yield to browser every few chunks to keep UI responsive
-        if (i > 0 && i % (chunkSize * 3) === 0) {
-          await new Promise(resolve => setTimeout(resolve, 0));
+      // Learned ingredient affinities from likes, bookmarks, forks and dislikes
+      const preferences = await window.app.getSuggestionPreferences();
+      // Recipes that break the dietary profile are never suggested
+      const dietaryProfile = await window.app.getDietaryProfile();
+      // Staples count as on hand, so recipes don't look incomplete for want of salt or oil
+      const staples = (await window.app.getPantryStaples()).map(name => this.normalizeIngredient(name)).filter(Boolean);
+
+      // Scoring runs in recipe-worker.js when available
+      const MAX_SCORING_CANDIDATES = 500;
+      let topMatches = null;
+      let candidateCount = 0;
+      if (window.recipeWorker && window.recipeWorker.isAvailable()) {
+        try {
+          const response = await window.recipeWorker.request('match', {
+            selected: normalizedSelected,
+            excludedIds: Array.from(dislikedIds),
+            maxCandidates: MAX_SCORING_CANDIDATES,
+            maxResults: this.MAX_RESULTS,
+            preferences,
+            dietaryProfile,
+            expiring,
+            staples
+          });
+          topMatches = response.results;
+          candidateCount = response.candidateCount;
+        } catch (error) {
+          console.warn('Recipe worker unavailable, scoring on main thread:', error);
         }
       }
 
-      // Convert to array and score (limit to reasonable number for mobile)
-      const MAX_SCORING_CANDIDATES = 500; // Reduced for mobile performance
-      const candidates = Array.from(candidateRecipesMap.values())
-        .slice(0, MAX_SCORING_CANDIDATES);
-      
-      // Score recipes efficiently
-      const scoredRecipes = candidates.map(recipe => 
-        this.scoreRecipe(recipe, normalizedSelected)
-      );
-
-      // Sort by score (descending)
-      scoredRecipes.sort((a, b) => {
-        if (Math.abs(b.score - a.score) > 0.1) {
-          return b.score - a.score;
-        }
-        if (b.primaryMatches !== a.primaryMatches) {
-          return b.primaryMatches - a.primaryMatches;
-        }
-        return b.secondaryMatches - a.secondaryMatches;
-      });
-      
-      // Filter and return top results
-      const topMatches = scoredRecipes
-        .filter(result => result.primaryMatches > 0 || result.secondaryMatches > 0)
-        .slice(0, this.MAX_RESULTS);
+      if (!topMatches) {
+        // Index lookups: recipe id -> number of selected ingredients it uses
+        const hits = await findCandidateRecipeIds(window.db, normalizedSelected, dislikedIds);
+
+        // Load only the best-covered candidates that fit the dietary profile; primary matches dominate
+        // the score, so the top results come from recipes that use the most selected ingredients
+        const candidates = await loadCandidateRecipes(window.db, hits, MAX_SCORING_CANDIDATES,
+          recipe => recipeFitsDietaryProfile(recipe, dietaryProfile));
+        topMatches = rankRecipes(candidates, normalizedSelected, this.MAX_RESULTS, preferences, expiring, staples);
+        candidateCount = hits.size;
+      }
 
       const endTime = performance.now();
-      console.log(`Recipe query took ${(endTime - startTime).toFixed(2)}ms, found ${topMatches.length} results from ${candidateRecipesMap.size} candidates`);
+      console.log(`Recipe query took ${(endTime - startTime).toFixed(2)}ms, found ${topMatches.length} results from ${candidateCount} candidates`);
 
       return topMatches;
     } catch (error) {
@@ -280,42 +173,21 @@ class RecipeSuggestionEngine {
     }
   }
 
-  /**
-   * Check if a recipe matches an ingredient (helper for performance)
-   * @param {Object} recipe - Recipe object
-   * @param {string} ingredient - Normalized ingredient to match
-   * @returns {boolean} True if recipe contains the ingredient
-   */
-  checkIngredientMatch(recipe, ingredient) {
-    // Check normalizedIngredients first (indexed)
-    if (recipe.normalizedIngredients && Array.isArray(recipe.normalizedIngredients)) {
-      for (const normIng of recipe.normalizedIngredients) {
-        const normalized = this.normalizeIngredient(normIng);
-        if (normalized.includes(ingredient) || 
-            (ingredient.length > normalized.length && ingredient.includes(normalized))) {
-          return true;
-        }
-      }
-    }
-    // Fallback to ingredients array
-    if (recipe.ingredients && Array.isArray(recipe.ingredients)) {
-      for (const ing of recipe.ingredients) {
-        const normalized = this.normalizeIngredient(ing);
-        if (normalized.includes(ingredient) || 
-            (ingredient.length > normalized.length && ingredient.includes(normalized))) {
-          return true;
-        }
-      }
-    }
-    return false;
-  }
-
   /**
    * Get recipe suggestions based on currently selected ingredients
    * @returns {Promise<Array>} Array of top 5 scored recipes
    */
   async getSuggestions() {
     const selectedIngredients = this.getSelectedIngredients();
+    await this.loadRankingMode();
+    this.expiringItems = this.rankingMode === SUGGESTION_RANKING_MODES.USE_IT_UP
+      ? await window.app.pantryManager.getExpiringItems()
+      : [];
+    // Expiring items are in the pantry, so they count as on hand even when not selected
+    const selectedNames = new Set(selectedIngredients.map(ing => this.normalizeIngredient(ing)));
+    this.expiringItems.forEach(({ name }) => {
+      if (!selectedNames.has(name)) selectedIngredients.push(name);
+    });
     
     if (selectedIngredients.length === 0) {
       console.log('No ingredients selected');
@@ -324,7 +196,7 @@ class RecipeSuggestionEngine {
 
     console.log(`Finding recipes for ${selectedIngredients.length} selected ingredients:`, selectedIngredients);
     
-    const suggestions = await this.findMatchingRecipes(selectedIngredients);
+    const suggestions = await this.findMatchingRecipes(selectedIngredients, this.expiringItems.length > 0 ? this.expiringItems : null);
     this.currentSuggestions = suggestions;
     
     console.log(`Found ${suggestions.length} recipe suggestions`);
@@ -350,6 +222,21 @@ class RecipeSuggestionEngine {
     return ingredientsStr.substring(0, maxLength) + '...';
   }
 
+  /**
+   * Format the missing-ingredient line shown on a recipe card
+   * @param {string[]} missingIngredients - Missing normalized ingredient names
+   * @param {number} maxShown - Number of names listed before "+N more"
+   * @returns {string} Plain-text line
+   */
+  formatMissingIngredients(missingIngredients, maxShown = 5) {
+    if (!missingIngredients || missingIngredients.length === 0) {
+      return 'You have everything';
+    }
+    const shown = missingIngredients.slice(0, maxShown).join(', ');
+    const extra = missingIngredients.length - maxShown;
+    return `Missing: ${shown}${extra > 0 ? ` +${extra} more` : ''}`;
+  }
+
   /**
    * Create a recipe card element
    * @param {Object} scoredRecipe - Scored recipe object
@@ -357,7 +244,7 @@ class RecipeSuggestionEngine {
    * @returns {Promise<HTMLElement>} Recipe card DOM element
    */
   async createRecipeCard(scoredRecipe, index) {
-    const { recipe, primaryMatches, secondaryMatches, totalSelected } = scoredRecipe;
+    const { recipe, primaryMatches, secondaryMatches, totalSelected, missingIngredients = [], preference, useItUp } = scoredRecipe;
     
     // Check if recipe is liked
     const likeStatus = await window.app.getLibraryStatus(recipe.id);
@@ -373,6 +260,10 @@ class RecipeSuggestionEngine {
       ? `${primaryMatches}/${totalRecipeIngredients} ingredients matched`
       : 'No match info';
 
+    const missingInfo = this.formatMissingIngredients(missingIngredients);
+    const whyInfo = explainPreferenceBoost(preference);
+    const useUpInfo = useItUp && useItUp.items.length > 0 ? `Uses up: ${useItUp.items.join(', ')}` : '';
+
     const likeBtnClass = isLiked ? 'action-btn like-btn btn btn-link p-2 active' : 'action-btn like-btn btn btn-link p-2';
 
     card.innerHTML = `
@@ -385,6 +276,9 @@ class RecipeSuggestionEngine {
               ${this.escapeHtml(this.formatIngredientsPreview(recipe.ingredients || []))}
             </p>
             <small class="text-muted">${matchInfo}</small>
+            <p class="recipe-missing-ingredients mb-0${missingIngredients.length === 0 ? ' none-missing' : ''}">${this.escapeHtml(missingInfo)}</p>
+            ${useUpInfo ? `<p class="recipe-use-up mb-0"><i class="bi bi-hourglass-split"></i> ${this.escapeHtml(useUpInfo)}</p>` : ''}
+            ${whyInfo ? `<p class="recipe-why mb-0${preference.boost < 0 ? ' ranked-lower' : ''}"><i class="bi bi-stars"></i> ${this.escapeHtml(whyInfo)}</p>` : ''}
           </div>
           
           <!-- Right Column: Action Buttons -->
@@ -500,29 +394,83 @@ class RecipeSuggestionEngine {
 
     // Clear existing content
     container.innerHTML = '';
+    container.appendChild(this.createRankingToggle());
+    const useItUp = this.rankingMode === SUGGESTION_RANKING_MODES.USE_IT_UP;
 
     if (!suggestions || suggestions.length === 0) {
-      container.innerHTML = `
+      const message = useItUp
+        ? 'No recipe suggestions found. Nothing in your pantry expires in the next few days; set expiry dates from the pantry tiles.'
+        : 'No recipe suggestions found. Try selecting some ingredients in your pantry.';
+      container.insertAdjacentHTML('beforeend', `
         <div class="card mb-3">
           <div class="card-body p-4 text-center">
-            <p class="mb-0">No recipe suggestions found. Try selecting some ingredients in your pantry.</p>
+            <p class="mb-0">${this.escapeHtml(message)}</p>
           </div>
         </div>
-      `;
+      `);
       return;
     }
 
-    // Create and append recipe cards (await async card creation)
-    for (let index = 0; index < suggestions.length; index++) {
-      const scoredRecipe = suggestions[index];
-      const card = await this.createRecipeCard(scoredRecipe, index);
-      container.appendChild(card);
+    let index = 0;
+    if (useItUp) {
+      // One list in score order: tiers would bury a recipe that uses up more because it misses an item
+      const heading = document.createElement('h3');
+      heading.className = 'suggestion-tier-heading tier-use-it-up';
+      heading.textContent = this.expiringItems.length > 0
+        ? `Using up: ${this.expiringItems.map(item => item.name).join(', ')}`
+        : 'Nothing expiring soon';
+      container.appendChild(heading);
+      for (const scoredRecipe of suggestions) {
+        container.appendChild(await this.createRecipeCard(scoredRecipe, index++));
+      }
+      return;
+    }
+
+    // Group cards into tiers by missing ingredients, keeping score order within each tier
+    for (const { tier, label } of SUGGESTION_TIER_SECTIONS) {
+      const group = suggestions.filter(s => (s.tier || SUGGESTION_TIERS.NEEDS_MORE) === tier);
+      if (group.length === 0) continue;
+      const heading = document.createElement('h3');
+      heading.className = `suggestion-tier-heading tier-${tier}`;
+      heading.textContent = label;
+      container.appendChild(heading);
+      // Create and append recipe cards (await async card creation)
+      for (const scoredRecipe of group) {
+        const card = await this.createRecipeCard(scoredRecipe, index++);
+        container.appendChild(card);
+      }
     }
   }
 
+  /**
+   * Segmented control switching between SUGGESTION_RANKING_MODES
+   * @returns {HTMLElement}
+   */
+  createRankingToggle() {
+    const toggle = document.createElement('div');
+    toggle.className = 'suggestion-ranking-toggle d-flex gap-2 mb-3';
+    toggle.setAttribute('role', 'group');
+    toggle.setAttribute('aria-label', 'Rank suggestions by');
+    Object.values(SUGGESTION_RANKING_MODES).forEach(mode => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'suggestion-ranking-btn' + (mode === this.rankingMode ? ' active' : '');
+      btn.textContent = SUGGESTION_RANKING_LABELS[mode];
+      btn.setAttribute('aria-pressed', String(mode === this.rankingMode));
+      btn.addEventListener('click', () => this.setRankingMode(mode));
+      toggle.appendChild(btn);
+    });
+    return toggle;
+  }
+
   async showRecipeDetail(recipe) {
     const container = document.getElementById('recipe-suggestions');
     if (!container) return;
+    // Re-rendering (e.g. after a revert) replaces the previous detail view's listeners
+    if (this._detailWifiCleanup) {
+      this._detailWifiCleanup();
+      this._detailWifiCleanup = null;
+    }
     // Hide search bar and results when viewing detail
     const searchInput = document.getElementById('recipe-search');
     const searchResults = document.getElementById('recipe-search-results');
@@ -536,6 +484,15 @@ class RecipeSuggestionEngine {
     const isBookmarked = libraryStatus === 'bookmarked';
     const bookmarkIcon = isBookmarked ? 'bi-bookmark-fill' : 'bi-bookmark';
     const bookmarkActiveClass = isBookmarked ? ' active' : '';
+    // Servings and unit system drive the displayed ingredient lines (and what Fork saves)
+    const baseServings = getRecipeServings(recipe);
+    let servings = baseServings;
+    let unitSystem = await window.app.getPreference(PREFERENCE_KEYS.UNIT_SYSTEM, UNIT_SYSTEMS.ORIGINAL);
+    const unitOptions = [
+      [UNIT_SYSTEMS.ORIGINAL, 'As written'],
+      [UNIT_SYSTEMS.METRIC, 'Metric'],
+      [UNIT_SYSTEMS.IMPERIAL, 'Imperial']
+    ];
     container.innerHTML = `
       <div class="recipe-detail-view">
         <div class="recipe-detail-header d-flex align-items-center justify-content-between gap-2">
@@ -551,16 +508,32 @@ class RecipeSuggestionEngine {
             <button type="button" class="fork-btn btn btn-link p-2" aria-label="Fork recipe"><i class="bi bi-diagram-3 fs-5"></i></button>
             <button type="button" class="edit-btn btn btn-link p-2" aria-label="Edit recipe"><i class="bi bi-pencil fs-5"></i></button>
             <button type="button" class="bookmark-btn btn btn-link p-2${bookmarkActiveClass}" aria-label="Bookmark"><i class="bi ${bookmarkIcon} fs-5"></i></button>
+            <button type="button" class="add-to-list-btn btn btn-link p-2" aria-label="Add missing to shopping list"><i class="bi bi-cart-plus fs-5"></i></button>
+            <button type="button" class="history-btn btn btn-link p-2" aria-label="Version history"><i class="bi bi-clock-history fs-5"></i></button>
+            <button type="button" class="cooked-btn btn btn-link p-2" aria-label="Cooked it"><i class="bi bi-check2-circle fs-5"></i></button>
           </div>
         </div>
+        <p class="recipe-detail-notice mt-2 mb-0" style="display: none;"></p>
+        <div class="recipe-cook-sheet card mt-3" style="display: none;"></div>
         <div class="recipe-detail-body mt-3">
           <h4 class="mb-2">Ingredients:</h4>
+          <div class="recipe-detail-scaling d-flex align-items-center justify-content-between flex-wrap gap-2 mb-2">
+            <div class="servings-control d-flex align-items-center gap-1">
+              <button type="button" class="servings-btn btn btn-link p-1" data-step="-1" aria-label="Fewer servings"><i class="bi bi-dash-circle"></i></button>
+              <span class="servings-value">${servings} servings</span>
+              <button type="button" class="servings-btn btn btn-link p-1" data-step="1" aria-label="More servings"><i class="bi bi-plus-circle"></i></button>
+            </div>
+            <div class="unit-system-toggle" role="group" aria-label="Units">
+              ${unitOptions.map(([value, label]) => `<button type="button" class="unit-system-btn${value === unitSystem ? ' active' : ''}" data-system="${value}">${label}</button>`).join('')}
+            </div>
+          </div>
           <ul class="recipe-detail-ingredients mb-3">
             ${ingredients.map(ing => `<li>${this.escapeHtml(ing)}</li>`).join('')}
           </ul>
           <h4 class="mb-2">Instructions:</h4>
           <p class="recipe-detail-instructions" style="white-space: pre-wrap;">${this.escapeHtml(instructions)}</p>
         </div>
+        <div class="recipe-history mt-3" style="display: none;"></div>
       </div>
     `;
 
@@ -595,7 +568,7 @@ class RecipeSuggestionEngine {
         }
         popover = document.createElement('div');
         popover.className = 'wifi-tooltip-popover';
-        popover.textContent = 'No internet connection. LLM-powered substitution is unavailable. You can still manually edit ingredients.';
+        popover.textContent = 'No internet connection. LLM-powered substitution is unavailable. You can still use built-in substitutions or edit ingredients manually.';
         tooltipBtn.style.position = 'relative';
         tooltipBtn.appendChild(popover);
         // Auto-dismiss after 4 seconds
@@ -603,13 +576,94 @@ class RecipeSuggestionEngine {
       });
     }
 
+    // Re-render ingredient lines for the current servings and unit system
+    let adjusted = { lines: ingredients, parsed: recipe.parsedIngredients };
+    const renderIngredients = () => {
+      adjusted = adjustRecipeIngredients(recipe, servings / baseServings, unitSystem);
+      container.querySelector('.recipe-detail-ingredients').innerHTML =
+        adjusted.lines.map(ing => `<li>${this.escapeHtml(ing)}</li>`).join('');
+      container.querySelector('.servings-value').textContent = `${servings} serving${servings === 1 ? '' : 's'}`;
+    };
+    renderIngredients();
+    container.querySelectorAll('.servings-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        servings = Math.max(1, servings + Number(btn.dataset.step));
+        renderIngredients();
+      });
+    });
+    container.querySelectorAll('.unit-system-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        unitSystem = btn.dataset.system;
+        container.querySelectorAll('.unit-system-btn').forEach(b => b.classList.toggle('active', b === btn));
+        renderIngredients();
+        try {
+          await window.app.setPreference(PREFERENCE_KEYS.UNIT_SYSTEM, unitSystem);
+        } catch (error) {
+          console.error('Error saving unit preference:', error);
+        }
+      });
+    });
+
     container.querySelector('.back-btn').addEventListener('click', () => this.loadSuggestions());
+    // Fork saves the recipe as currently displayed (scaled and converted)
     container.querySelector('.fork-btn').addEventListener('click', () => {
-      if (window.substitutionEditor) window.substitutionEditor.open(recipe, true);
+      if (!window.substitutionEditor) return;
+      window.substitutionEditor.open({
+        ...recipe,
+        ingredients: adjusted.lines,
+        parsedIngredients: adjusted.parsed,
+        servings
+      }, true);
     });
     container.querySelector('.edit-btn').addEventListener('click', () => {
       if (window.substitutionEditor) window.substitutionEditor.open(recipe, false);
     });
+    // Add missing ingredients (vs. pantry) to the shopping list
+    container.querySelector('.add-to-list-btn').addEventListener('click', async () => {
+      const btn = container.querySelector('.add-to-list-btn');
+      const notice = container.querySelector('.recipe-detail-notice');
+      try {
+        const added = await window.app.shoppingList.addMissingFromRecipe(recipe);
+        btn.querySelector('i').className = 'bi bi-cart-check fs-5';
+        btn.classList.add('active');
+        notice.textContent = added > 0
+          ? `Added ${added} item${added === 1 ? '' : 's'} to your shopping list.`
+          : 'Nothing new to add: your pantry or list already covers this recipe.';
+        notice.style.display = '';
+      } catch (error) {
+        console.error('Error adding to shopping list:', error);
+        alert('Could not update shopping list. Please try again.');
+      }
+    });
+    // Version history: toggle the panel, loading it on open
+    container.querySelector('.history-btn').addEventListener('click', async () => {
+      const panel = container.querySelector('.recipe-history');
+      const btn = container.querySelector('.history-btn');
+      if (panel.style.display !== 'none') {
+        panel.style.display = 'none';
+        btn.classList.remove('active');
+        return;
+      }
+      btn.classList.add('active');
+      panel.style.display = '';
+      await this.renderRecipeHistory(recipe, panel);
+    });
+    // Cooked it: confirm pantry deductions for the servings shown, then log the cook
+    container.querySelector('.cooked-btn').addEventListener('click', async () => {
+      const sheet = container.querySelector('.recipe-cook-sheet');
+      const btn = container.querySelector('.cooked-btn');
+      if (sheet.style.display !== 'none') {
+        sheet.style.display = 'none';
+        btn.classList.remove('active');
+        return;
+      }
+      btn.classList.add('active');
+      sheet.style.display = '';
+      await this.renderCookSheet(recipe, { servings, lines: adjusted.lines, parsed: adjusted.parsed }, sheet, () => {
+        sheet.style.display = 'none';
+        btn.classList.remove('active');
+      });
+    });
     // Bookmark toggle handler
     container.querySelector('.bookmark-btn').addEventListener('click', async () => {
       const btn = container.querySelector('.bookmark-btn');
@@ -630,6 +684,173 @@ class RecipeSuggestionEngine {
     });
   }
 
+  /**
+   * Render the "Cooked it" confirmation sheet: proposed pantry deductions, each of which can be changed
+   * @param {Object} recipe - Recipe shown in the detail view
+   * @param {{ servings: number, lines: string[], parsed: Object[] }} cooked - Ingredient lines as displayed
+   * @param {HTMLElement} sheet - .recipe-cook-sheet container
+   * @param {function(): void} onClose - Hides the sheet
+   */
+  async renderCookSheet(recipe, { servings, lines, parsed }, sheet, onClose) {
+    sheet.innerHTML = '<div class="card-body p-4"><p class="mb-0">Checking your pantry...</p></div>';
+    let plans;
+    try {
+      plans = planPantryDeductions(cookIngredientUses(recipe, lines, parsed), await window.db.pantry.toArray());
+    } catch (error) {
+      console.error('Error planning pantry deductions:', error);
+      sheet.innerHTML = '<div class="card-body p-4"><p class="text-danger mb-0">Could not read your pantry.</p></div>';
+      return;
+    }
+    const formatAmount = (quantity, unit) => formatPantryQuantity({ quantity, unit });
+    const actionOptions = (plan) => {
+      const options = [];
+      if (plan.remaining > 0) {
+        options.push([DEDUCTION_ACTIONS.DEDUCT, `Leave ${formatAmount(plan.remaining, plan.item.unit)}`]);
+      }
+      options.push([DEDUCTION_ACTIONS.REMOVE, 'Remove (used up)'], [DEDUCTION_ACTIONS.KEEP, 'Keep as is']);
+      return options.map(([value, label]) =>
+        `<option value="${value}"${value === plan.action ? ' selected' : ''}>${this.escapeHtml(label)}</option>`).join('');
+    };
+    sheet.innerHTML = `
+      <div class="card-body p-4">
+        <h4 class="mb-1">Cooked it</h4>
+        <p class="cook-sheet-intro mb-3">${servings} serving${servings === 1 ? '' : 's'}. ${plans.length > 0
+          ? 'Update your pantry:'
+          : 'None of these ingredients are in your pantry, so only the cook is logged.'}</p>
+        <ul class="cook-sheet-list mb-3">
+          ${plans.map((plan, i) => `
+            <li class="cook-sheet-item">
+              <div class="cook-sheet-item-text">
+                <span class="cook-sheet-item-name">${this.escapeHtml(plan.item.ingredient)}</span>
+                <small>Have ${this.escapeHtml(formatPantryQuantity(plan.item) || 'an unknown amount')} · recipe uses ${this.escapeHtml(plan.lines.join('; '))}</small>
+              </div>
+              <select class="cook-sheet-action form-select form-select-sm" data-index="${i}" aria-label="Pantry change for ${this.escapeHtml(plan.item.ingredient)}">
+                ${actionOptions(plan)}
+              </select>
+            </li>
+          `).join('')}
+        </ul>
+        <div class="d-flex gap-2">
+          <button type="button" class="cook-sheet-confirm-btn import-choose-btn flex-fill">Confirm</button>
+          <button type="button" class="cook-sheet-cancel-btn import-choose-btn flex-fill">Cancel</button>
+        </div>
+      </div>
+    `;
+    sheet.querySelector('.cook-sheet-cancel-btn').addEventListener('click', onClose);
+    const confirmBtn = sheet.querySelector('.cook-sheet-confirm-btn');
+    confirmBtn.addEventListener('click', async () => {
+      confirmBtn.disabled = true;
+      const changes = Array.from(sheet.querySelectorAll('.cook-sheet-action')).map(select => {
+        const plan = plans[Number(select.dataset.index)];
+        return { plan, action: select.value };
+      });
+      try {
+        // One transaction, so a failed log never leaves the pantry deducted (and deducted again on retry)
+        const result = await window.db.transaction('rw', window.db.pantry, window.db.cookLog, async () => {
+          await window.app.logCook(recipe, {
+            servings,
+            changes: changes.map(({ plan, action }) => ({
+              ingredient: plan.item.ingredient,
+              action,
+              used: plan.used,
+              unit: plan.item.unit || ''
+            }))
+          });
+          return window.app.pantryManager.applyDeductions(changes
+            .filter(({ action }) => action !== DEDUCTION_ACTIONS.KEEP)
+            .map(({ plan, action }) => ({ id: plan.item.id, action, remaining: plan.remaining })));
+        });
+        const notice = document.querySelector('#recipe-suggestions .recipe-detail-notice');
+        if (notice) {
+          const parts = [];
+          if (result.updated > 0) parts.push(`${result.updated} updated`);
+          if (result.removed > 0) parts.push(`${result.removed} used up`);
+          notice.textContent = `Logged as cooked.${parts.length > 0 ? ` Pantry: ${parts.join(', ')}.` : ''}`;
+          notice.style.display = '';
+        }
+        onClose();
+      } catch (error) {
+        console.error('Error logging cook:', error);
+        alert('Could not update your pantry. Please try again.');
+        confirmBtn.disabled = false;
+      }
+    });
+  }
+
+  /**
+   * Render the version history panel: saved versions with compare/revert, plus a diff against the parent fork source
+   * @param {Object} recipe - Recipe shown in the detail view
+   * @param {HTMLElement} panel - .recipe-history container
+   */
+  async renderRecipeHistory(recipe, panel) {
+    panel.innerHTML = '<p class="mb-0">Loading history...</p>';
+    try {
+      const [versions, parent] = await Promise.all([
+        window.app.getRecipeVersions(recipe.id),
+        recipe.parentId != null ? window.db.recipes.get(recipe.parentId) : null
+      ]);
+      const current = recipe.ingredients || [];
+      panel.innerHTML = `
+        <h4 class="mb-2">History</h4>
+        ${parent ? `<button type="button" class="history-compare-parent-btn btn btn-link p-0 mb-2">Compare with ${this.escapeHtml(parent.title || 'Untitled')}</button>` : ''}
+        <ul class="recipe-history-list mb-2"></ul>
+        <div class="recipe-diff"></div>
+      `;
+      const diffEl = panel.querySelector('.recipe-diff');
+      const showDiff = (label, before) => {
+        const diff = diffIngredientLines(before, current);
+        const changed = diff.some(entry => entry.type !== 'same');
+        diffEl.innerHTML = `
+          <p class="recipe-diff-label mb-1">${this.escapeHtml(label)}</p>
+          ${changed ? `<ul class="recipe-diff-lines mb-0">
+            ${diff.map(({ type, line }) => `<li class="diff-${type}">${type === 'added' ? '+' : type === 'removed' ? '−' : ' '} ${this.escapeHtml(line)}</li>`).join('')}
+          </ul>` : '<p class="mb-0">No ingredient changes.</p>'}
+        `;
+      };
+      if (parent) {
+        panel.querySelector('.history-compare-parent-btn')
+          .addEventListener('click', () => showDiff(`${parent.title || 'Untitled'} → this recipe`, parent.ingredients));
+      }
+
+      const list = panel.querySelector('.recipe-history-list');
+      if (versions.length === 0) {
+        list.innerHTML = '<li class="recipe-history-empty">No saved versions yet. Edits and forks are recorded here.</li>';
+        return;
+      }
+      versions.forEach((version, index) => {
+        const li = document.createElement('li');
+        li.className = 'recipe-history-item';
+        const summary = summarizeSubstitutions(version.substitutions);
+        const label = `${VERSION_KIND_LABELS[version.kind] || 'Saved'} · ${new Date(version.savedAt).toLocaleString()}`;
+        li.innerHTML = `
+          <div class="recipe-history-meta">
+            <span class="recipe-history-label">${this.escapeHtml(label)}${index === 0 ? ' (current)' : ''}</span>
+            ${summary ? `<small class="recipe-history-summary d-block">${this.escapeHtml(summary)}</small>` : ''}
+          </div>
+          <div class="recipe-history-actions d-flex gap-2">
+            <button type="button" class="history-compare-btn btn btn-link p-0">Compare</button>
+            ${index === 0 ? '' : '<button type="button" class="history-revert-btn btn btn-link p-0">Revert</button>'}
+          </div>
+        `;
+        li.querySelector('.history-compare-btn')
+          .addEventListener('click', () => showDiff(`${label} → current`, version.ingredients));
+        li.querySelector('.history-revert-btn')?.addEventListener('click', async () => {
+          try {
+            const restored = await window.app.revertRecipe(recipe.id, version.id);
+            await this.showRecipeDetail(restored);
+          } catch (error) {
+            console.error('Error reverting recipe:', error);
+            alert('Could not revert recipe. Please try again.');
+          }
+        });
+        list.appendChild(li);
+      });
+    } catch (error) {
+      console.error('Error loading recipe history:', error);
+      panel.innerHTML = '<p class="text-danger mb-0">Could not load history.</p>';
+    }
+  }
+
   async loadSuggestions() {
     // Clean up WiFi event listeners from detail view
     if (this._detailWifiCleanup) {
@@ -682,152 +903,38 @@ window.recipeEngine = recipeEngine;
  * ranks results by how many terms match (all-match first), then by match quality.
  */
 const RECIPE_SEARCH_DEBOUNCE = 200;
-const RECIPE_SEARCH_MAX_RESULTS = 15;
-const RECIPE_SEARCH_MAX_SCAN = 1000;
 
 /**
- * Score how well a single search term matches a title string.
- * Returns 0 if no match, higher is better.
+ * Search recipe titles and bodies over every recipe, in recipe-worker.js when available,
+ * otherwise page by page on the main thread. Recipes that break the dietary profile are left out.
+ * @param {string} query - Search text
+ * @param {{ signal?: AbortSignal }} [options] - Abort to cancel a superseded search
+ * @returns {Promise<Array>} Search results; rejects with an AbortError when cancelled
  */
-function scoreTermMatch(term, titleLower) {
-  if (titleLower === term) return 1.0;
-  if (titleLower.startsWith(term)) return 0.9;
-  if (titleLower.includes(term)) return 0.8;
-  // Word-boundary match: any word in the title starts with the term
-  const words = titleLower.split(/\s+/);
-  for (const w of words) {
-    if (w.startsWith(term)) return 0.7;
-  }
-  // Fuzzy: subsequence match
-  let si = 0;
-  for (let ti = 0; ti < titleLower.length && si < term.length; ti++) {
-    if (term[si] === titleLower[ti]) si++;
-  }
-  const ratio = si / term.length;
-  return ratio >= 0.6 ? ratio * 0.5 : 0;
-}
+async function searchRecipes(query, { signal } = {}) {
+  const terms = parseSearchTerms(query);
+  if (terms.length === 0) return [];
+  const dietaryProfile = await window.app.getDietaryProfile();
 
-/**
- * Score a recipe title against an array of search terms.
- * Returns { matchedCount, totalScore } where matchedCount is how many terms had a non-zero score.
- */
-function scoreRecipeTitle(terms, titleLower) {
-  let matchedCount = 0;
-  let totalScore = 0;
-  for (const term of terms) {
-    const s = scoreTermMatch(term, titleLower);
-    if (s > 0) {
-      matchedCount++;
-      totalScore += s;
+  if (window.recipeWorker && window.recipeWorker.isAvailable()) {
+    try {
+      return await window.recipeWorker.request('search', { query, maxResults: RECIPE_SEARCH_MAX_RESULTS, dietaryProfile }, { signal });
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      console.warn('Recipe worker unavailable, searching on main thread:', err);
     }
   }
-  return { matchedCount, totalScore };
-}
-
-/**
- * Check if any search term appears in a text string (exact substring match).
- * Returns the list of terms that matched.
- */
-function findMatchingTerms(terms, text) {
-  if (!text) return [];
-  const lower = text.toLowerCase();
-  return terms.filter(t => lower.includes(t));
-}
-
-/**
- * Build a context snippet showing where keywords appear in the body text.
- * Format: "...context keyword context ... context keyword2 context..."
- * @param {string} text - The full body text (ingredients joined or instructions)
- * @param {string[]} matchedTerms - Terms that were found in the text
- * @param {number} contextChars - Characters of context around each keyword
- * @returns {string} The snippet string (plain text, not HTML)
- */
-function buildContextSnippet(text, matchedTerms, contextChars) {
-  if (!text || matchedTerms.length === 0) return '';
-  const lower = text.toLowerCase();
-  const snippets = [];
-  const seen = new Set();
-  for (const term of matchedTerms) {
-    const pos = lower.indexOf(term);
-    if (pos === -1 || seen.has(term)) continue;
-    seen.add(term);
-    const start = Math.max(0, pos - contextChars);
-    const end = Math.min(text.length, pos + term.length + contextChars);
-    let snippet = '';
-    if (start > 0) snippet += '...';
-    snippet += text.substring(start, end).trim();
-    if (end < text.length) snippet += '...';
-    snippets.push(snippet);
-    if (snippets.length >= 3) break; // limit to 3 keyword contexts
-  }
-  return snippets.join('  ');
-}
-
-async function searchRecipes(query) {
-  if (!query || !query.trim()) return [];
-  const terms = query.toLowerCase().trim().split(/\s+/).filter(t => t.length > 0);
-  if (terms.length === 0) return [];
 
+  // Between pages, give input a turn and stop once a newer search has superseded this one
+  const afterPage = async () => {
+    await new Promise(resolve => setTimeout(resolve, 0));
+    if (signal && signal.aborted) throw new DOMException('Request cancelled', 'AbortError');
+  };
   try {
-    const recipes = await window.db.recipes
-      .limit(RECIPE_SEARCH_MAX_SCAN)
-      .toArray();
-
-    const scored = [];
-    for (const recipe of recipes) {
-      if (!recipe.title) continue;
-      const titleLower = recipe.title.toLowerCase();
-      const { matchedCount: titleMatched, totalScore: titleScore } = scoreRecipeTitle(terms, titleLower);
-
-      // Also search in ingredients and instructions (body)
-      const ingredientsText = (recipe.ingredients || []).join(', ');
-      const instructionsText = recipe.instructions || '';
-      const bodyText = ingredientsText + ' ' + instructionsText;
-      const bodyMatchedTerms = findMatchingTerms(terms, bodyText);
-      const bodyMatched = bodyMatchedTerms.length;
-
-      const totalMatched = Math.max(titleMatched, bodyMatched);
-      if (totalMatched === 0) continue;
-
-      // Title hits get a bonus so they rank above body-only hits
-      const totalScore = (titleScore * 2) + (bodyMatched * 0.3);
-      const hitInTitle = titleMatched > 0;
-
-      // Build context snippet for body hits
-      let contextSnippet = '';
-      if (!hitInTitle && bodyMatched > 0) {
-        // Body-only hit: show context from whichever text had matches
-        const ingTerms = findMatchingTerms(terms, ingredientsText);
-        const insTerms = findMatchingTerms(terms, instructionsText);
-        if (ingTerms.length > 0) {
-          contextSnippet = buildContextSnippet(ingredientsText, ingTerms, 20);
-        } else if (insTerms.length > 0) {
-          contextSnippet = buildContextSnippet(instructionsText, insTerms, 25);
-        }
-      } else if (hitInTitle && bodyMatched > 0) {
-        // Title hit that also has body matches: no context needed (title is enough)
-        contextSnippet = '';
-      }
-
-      scored.push({
-        recipe,
-        matchedCount: totalMatched,
-        totalScore,
-        totalTerms: terms.length,
-        hitInTitle,
-        contextSnippet
-      });
-    }
-
-    // Sort: title hits first, then most terms matched, then by score
-    scored.sort((a, b) => {
-      if (a.hitInTitle !== b.hitInTitle) return a.hitInTitle ? -1 : 1;
-      if (b.matchedCount !== a.matchedCount) return b.matchedCount - a.matchedCount;
-      return b.totalScore - a.totalScore;
-    });
-
-    return scored.slice(0, RECIPE_SEARCH_MAX_RESULTS);
+    return await searchAllRecipes(window.db, terms, RECIPE_SEARCH_MAX_RESULTS,
+      recipe => recipeFitsDietaryProfile(recipe, dietaryProfile), afterPage);
   } catch (err) {
+    if (err.name === 'AbortError') throw err;
     console.error('Error searching recipes:', err);
     return [];
   }
@@ -840,6 +947,7 @@ function initRecipeSearch() {
   if (!searchInput || !resultsContainer) return;
 
   let debounceTimer = null;
+  let activeSearch = null;
 
   const escapeHtml = (text) => {
     const div = document.createElement('div');
@@ -918,6 +1026,11 @@ function initRecipeSearch() {
   searchInput.addEventListener('input', () => {
     const query = searchInput.value.trim();
     if (debounceTimer) clearTimeout(debounceTimer);
+    // A new keystroke supersedes any search still running
+    if (activeSearch) {
+      activeSearch.abort();
+      activeSearch = null;
+    }
 
     if (query.length === 0) {
       resultsContainer.style.display = 'none';
@@ -930,8 +1043,17 @@ function initRecipeSearch() {
     if (suggestionsContainer) suggestionsContainer.style.display = 'none';
 
     debounceTimer = setTimeout(async () => {
-      const results = await searchRecipes(query);
-      renderSearchResults(results, query);
+      const controller = new AbortController();
+      activeSearch = controller;
+      try {
+        const results = await searchRecipes(query, { signal: controller.signal });
+        if (controller.signal.aborted) return;
+        renderSearchResults(results, query);
+      } catch (err) {
+        if (err.name !== 'AbortError') console.error('Error searching recipes:', err);
+      } finally {
+        if (activeSearch === controller) activeSearch = null;
+      }
     }, RECIPE_SEARCH_DEBOUNCE);
   });
 }
@@ -0,0 +1,163 @@
+class ShoppingListManager {
+    constructor() {
+        this.listUIContainer = document.getElementById('shopping-list-items');
+    }
+
+    // CREATE: Add a recipe's missing ingredients (compared against the pantry) to the list
+    async addMissingFromRecipe(recipe) {
+        const pantryItems = await db.pantry.toArray();
+        const staples = window.app ? await window.app.getPantryStaples() : [];
+        const pantryNames = pantryItems.map(item => normalizeIngredient(item.ingredient || ''));
+        const missing = findMissingIngredients(recipe, pantryNames, staples);
+
+        // Skip items already on the list for this recipe
+        const existing = await db.shoppingList.where('recipeId').equals(recipe.id).toArray();
+        const listed = new Set(existing.map(item => item.ingredient));
+        const lines = recipe.ingredients || [];
+        const normalized = recipe.normalizedIngredients || [];
+        const toAdd = missing
+            .filter(name => !listed.has(name))
+            .map(name => {
+                // normalizedIngredients is index-aligned with ingredients, so keep the full line for display
+                const lineIndex = normalized.findIndex(n => (n || '').toLowerCase().trim() === name);
+                const line = lineIndex >= 0 && lines[lineIndex] ? lines[lineIndex] : name;
+                const parsed = (recipe.parsedIngredients && recipe.parsedIngredients[lineIndex]) || parseIngredientLine(line);
+                return {
+                    recipeId: recipe.id,
+                    recipeTitle: recipe.title || 'Untitled',
+                    ingredient: name,
+                    line,
+                    quantity: parsed.quantity,
+                    unit: parsed.unit,
+                    checked: 0,
+                    addedAt: Date.now()
+                };
+            });
+        if (toAdd.length > 0) {
+            await db.shoppingList.bulkAdd(toAdd);
+        }
+        console.log(`✓ Added ${toAdd.length} items to shopping list for: ${recipe.title}`);
+        return toAdd.length;
+    }
+
+    renderGroup(recipeTitle, items) {
+        const group = document.createElement('div');
+        group.className = 'shopping-list-group card mb-3';
+        const body = document.createElement('div');
+        body.className = 'card-body p-4';
+
+        const title = document.createElement('h2');
+        title.className = 'recipe-title mb-2';
+        title.textContent = recipeTitle;
+        body.appendChild(title);
+
+        const list = document.createElement('ul');
+        list.className = 'shopping-list mb-0';
+        items.forEach(item => list.appendChild(this.renderItem(item)));
+        body.appendChild(list);
+
+        group.appendChild(body);
+        this.listUIContainer.appendChild(group);
+    }
+
+    renderItem(item) {
+        const li = document.createElement('li');
+        li.className = 'shopping-list-item' + (item.checked ? ' checked' : '');
+        li.dataset.id = item.id;
+
+        const label = document.createElement('label');
+        label.className = 'd-flex align-items-center gap-2 flex-grow-1';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'form-check-input shopping-list-checkbox';
+        checkbox.checked = !!item.checked;
+        const text = document.createElement('span');
+        text.textContent = item.line || item.ingredient;
+        label.appendChild(checkbox);
+        label.appendChild(text);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'shopping-list-remove-btn btn btn-link p-1';
+        removeBtn.setAttribute('aria-label', 'Remove from list');
+        removeBtn.innerHTML = '<i class="bi bi-x-lg"></i>';
+
+        checkbox.addEventListener('change', () => this.toggleItem(item, checkbox.checked, li));
+        removeBtn.addEventListener('click', () => this.deleteItem(item.id, li));
+
+        li.appendChild(label);
+        li.appendChild(removeBtn);
+        return li;
+    }
+
+    // READ: Load the list grouped by recipe
+    async loadItems() {
+        if (!this.listUIContainer) return;
+        try {
+            const items = await db.shoppingList.toArray();
+            this.listUIContainer.innerHTML = '';
+            if (items.length === 0) {
+                this.listUIContainer.innerHTML = `
+                    <div class="card mb-3">
+                        <div class="card-body p-4 text-center">
+                            <p class="mb-0">Your shopping list is empty. Open a recipe and tap the cart icon to add what you're missing.</p>
+                        </div>
+                    </div>
+                `;
+                return;
+            }
+            const groups = new Map();
+            items.forEach(item => {
+                if (!groups.has(item.recipeId)) groups.set(item.recipeId, { title: item.recipeTitle, items: [] });
+                groups.get(item.recipeId).items.push(item);
+            });
+            groups.forEach(({ title, items: groupItems }) => this.renderGroup(title || 'Untitled', groupItems));
+            console.log(`✓ Loaded ${items.length} shopping list items`);
+        } catch (error) {
+            console.error('Error loading shopping list:', error);
+        }
+    }
+
+    // UPDATE: Check off an item; bought items go straight into the pantry
+    async toggleItem(item, checked, element) {
+        try {
+            await db.shoppingList.update(item.id, { checked: checked ? 1 : 0 });
+            item.checked = checked ? 1 : 0;
+            element.classList.toggle('checked', checked);
+            if (checked && window.app?.pantryManager) {
+                await window.app.pantryManager.addIngredient(item.ingredient);
+            }
+        } catch (error) {
+            console.error('Error updating shopping list item:', error);
+        }
+    }
+
+    // DELETE: Remove one item from the list
+    async deleteItem(id, element) {
+        try {
+            await db.shoppingList.delete(id);
+            element.style.transition = 'all 0.3s';
+            element.style.opacity = '0';
+            setTimeout(() => {
+                const group = element.closest('.shopping-list-group');
+                element.remove();
+                if (group && !group.querySelector('.shopping-list-item')) group.remove();
+                if (this.listUIContainer && !this.listUIContainer.querySelector('.shopping-list-item')) {
+                    this.loadItems();
+                }
+            }, 300);
+        } catch (error) {
+            console.error('Error deleting shopping list item:', error);
+        }
+    }
+
+    // DELETE: Remove every checked-off item
+    async clearChecked() {
+        try {
+            await db.shoppingList.filter(item => !!item.checked).delete();
+            await this.loadItems();
+        } catch (error) {
+            console.error('Error clearing shopping list:', error);
+        }
+    }
+}
@@ -0,0 +1,276 @@
+/**
+ * Static Substitutions
+ * Bundled substitution rules stored in the staticSubstitutions table, used by the substitution
+ * editor when offline or when no MCP config is set. Results use the same
+ * { substitutions: [{ raw, normalized }], explanation } shape as parseSubstitutionResponse.
+ * No DOM access: takes the Dexie instance as a parameter.
+ */
+
+// Bump when the rules below change so existing installs reseed the table
+const STATIC_SUBSTITUTIONS_VERSION = 1;
+
+/*
+ * Each replacement is a list of parts. A part's ratio multiplies the original quantity:
+ * without a unit the part keeps the original unit ("1 cup buttermilk" -> "1 cup milk"),
+ * with a unit the ratio is per original unit or item ("2 eggs" -> "2 tbsp ground flaxseed").
+ * The first part is the main ingredient and becomes the normalized name.
+ */
+const STATIC_SUBSTITUTION_RULES = [
+  {
+    ingredient: 'buttermilk',
+    replacements: [
+      { parts: [{ name: 'milk', ratio: 1 }, { name: 'lemon juice', ratio: 1 / 16 }], note: 'Stir in the lemon juice and let it stand 5 minutes.' },
+      { parts: [{ name: 'plain yogurt', ratio: 3 / 4 }, { name: 'milk', ratio: 1 / 4 }] },
+      { parts: [{ name: 'milk', ratio: 1 }, { name: 'white vinegar', ratio: 1 / 16 }] }
+    ]
+  },
+  {
+    ingredient: 'sour cream',
+    replacements: [
+      { parts: [{ name: 'greek yogurt', ratio: 1 }] },
+      { parts: [{ name: 'cottage cheese', ratio: 1 }, { name: 'lemon juice', ratio: 1 / 16 }], note: 'Blend until smooth.' }
+    ]
+  },
+  {
+    ingredient: 'heavy cream',
+    replacements: [
+      { parts: [{ name: 'milk', ratio: 3 / 4 }, { name: 'melted butter', ratio: 1 / 4 }], note: 'Not for whipping.' },
+      { parts: [{ name: 'coconut cream', ratio: 1 }] }
+    ]
+  },
+  {
+    ingredient: 'milk',
+    replacements: [
+      { parts: [{ name: 'oat milk', ratio: 1 }] },
+      { parts: [{ name: 'soy milk', ratio: 1 }] },
+      { parts: [{ name: 'evaporated milk', ratio: 1 / 2 }, { name: 'water', ratio: 1 / 2 }] }
+    ]
+  },
+  {
+    ingredient: 'butter',
+    replacements: [
+      { parts: [{ name: 'coconut oil', ratio: 1 }] },
+      { parts: [{ name: 'vegetable oil', ratio: 3 / 4 }], note: 'Oil works for sautéing and most batters, not for creaming.' },
+      { parts: [{ name: 'unsweetened applesauce', ratio: 1 / 2 }], note: 'Applesauce suits baking only.' }
+    ]
+  },
+  {
+    ingredient: 'egg',
+    replacements: [
+      { parts: [{ name: 'ground flaxseed', ratio: 1, unit: 'tbsp' }, { name: 'water', ratio: 3, unit: 'tbsp' }], note: 'Flax egg: mix and rest 5 minutes to thicken.' },
+      { parts: [{ name: 'unsweetened applesauce', ratio: 1 / 4, unit: 'cup' }] },
+      { parts: [{ name: 'mashed banana', ratio: 1 / 4, unit: 'cup' }] }
+    ]
+  },
+  {
+    ingredient: 'cake flour',
+    replacements: [
+      { parts: [{ name: 'all-purpose flour', ratio: 7 / 8 }, { name: 'cornstarch', ratio: 1 / 8 }], note: 'Sift together twice.' }
+    ]
+  },
+  {
+    ingredient: 'self-rising flour',
+    replacements: [
+      { parts: [{ name: 'all-purpose flour', ratio: 1 }, { name: 'baking powder', ratio: 1.5, unit: 'tsp' }, { name: 'salt', ratio: 1 / 4, unit: 'tsp' }] }
+    ]
+  },
+  {
+    ingredient: 'baking powder',
+    replacements: [
+      { parts: [{ name: 'baking soda', ratio: 1 / 4 }, { name: 'cream of tartar', ratio: 1 / 2 }] }
+    ]
+  },
+  {
+    ingredient: 'cornstarch',
+    replacements: [
+      { parts: [{ name: 'all-purpose flour', ratio: 2 }], note: 'Flour thickens about half as well.' },
+      { parts: [{ name: 'arrowroot powder', ratio: 1 }] }
+    ]
+  },
+  {
+    ingredient: 'brown sugar',
+    replacements: [
+      { parts: [{ name: 'sugar', ratio: 1 }, { name: 'molasses', ratio: 1 / 16 }] },
+      { parts: [{ name: 'coconut sugar', ratio: 1 }] }
+    ]
+  },
+  {
+    ingredient: 'sugar',
+    replacements: [
+      { parts: [{ name: 'honey', ratio: 3 / 4 }], note: 'Reduce other liquids slightly.' },
+      { parts: [{ name: 'maple syrup', ratio: 3 / 4 }] }
+    ]
+  },
+  {
+    ingredient: 'honey',
+    replacements: [
+      { parts: [{ name: 'maple syrup', ratio: 1 }] },
+      { parts: [{ name: 'agave syrup', ratio: 1 }] }
+    ]
+  },
+  {
+    ingredient: 'lemon juice',
+    replacements: [
+      { parts: [{ name: 'lime juice', ratio: 1 }] },
+      { parts: [{ name: 'white wine vinegar', ratio: 1 / 2 }] }
+    ]
+  },
+  {
+    ingredient: 'white wine',
+    replacements: [
+      { parts: [{ name: 'chicken broth', ratio: 1 }, { name: 'white wine vinegar', ratio: 1 / 16 }] },
+      { parts: [{ name: 'vegetable broth', ratio: 1 }] }
+    ]
+  },
+  {
+    ingredient: 'red wine',
+    replacements: [
+      { parts: [{ name: 'beef broth', ratio: 1 }, { name: 'red wine vinegar', ratio: 1 / 16 }] },
+      { parts: [{ name: 'grape juice', ratio: 1 }] }
+    ]
+  },
+  {
+    ingredient: 'chicken broth',
+    replacements: [
+      { parts: [{ name: 'vegetable broth', ratio: 1 }] },
+      { parts: [{ name: 'water', ratio: 1 }, { name: 'soy sauce', ratio: 1 / 48 }] }
+    ]
+  },
+  {
+    ingredient: 'soy sauce',
+    replacements: [
+      { parts: [{ name: 'tamari', ratio: 1 }], note: 'Tamari is usually gluten-free.' },
+      { parts: [{ name: 'coconut aminos', ratio: 1 }] }
+    ]
+  },
+  {
+    ingredient: 'garlic',
+    replacements: [
+      { parts: [{ name: 'garlic powder', ratio: 1 / 8, unit: 'tsp' }], note: '1/8 tsp powder per clove.' }
+    ]
+  },
+  {
+    ingredient: 'onion',
+    replacements: [
+      { parts: [{ name: 'onion powder', ratio: 1, unit: 'tbsp' }], note: 'About 1 tbsp per medium onion.' },
+      { parts: [{ name: 'shallots', ratio: 3 }] }
+    ]
+  },
+  {
+    ingredient: 'fresh herbs',
+    replacements: [
+      { parts: [{ name: 'dried herbs', ratio: 1 / 3 }], note: 'Dried herbs are about three times stronger.' }
+    ]
+  },
+  {
+    ingredient: 'mayonnaise',
+    replacements: [
+      { parts: [{ name: 'greek yogurt', ratio: 1 }] },
+      { parts: [{ name: 'mashed avocado', ratio: 1 }] }
+    ]
+  },
+  {
+    ingredient: 'breadcrumbs',
+    replacements: [
+      { parts: [{ name: 'rolled oats', ratio: 1 }] },
+      { parts: [{ name: 'crushed crackers', ratio: 1 }] }
+    ]
+  },
+  {
+    ingredient: 'parmesan',
+    replacements: [
+      { parts: [{ name: 'pecorino romano', ratio: 1 }] },
+      { parts: [{ name: 'nutritional yeast', ratio: 1 / 2 }], note: 'Nutritional yeast keeps it dairy-free.' }
+    ]
+  },
+  {
+    ingredient: 'tomato paste',
+    replacements: [
+      { parts: [{ name: 'tomato sauce', ratio: 3 }], note: 'Simmer a little longer to reduce.' },
+      { parts: [{ name: 'ketchup', ratio: 1 }] }
+    ]
+  },
+  {
+    ingredient: 'rice vinegar',
+    replacements: [
+      { parts: [{ name: 'apple cider vinegar', ratio: 1 }] },
+      { parts: [{ name: 'white wine vinegar', ratio: 1 }] }
+    ]
+  }
+];
+
+/**
+ * Names to look up for an ingredient: every sub-phrase, plus a singular form for plurals
+ * ("large eggs" -> ["large eggs", "large egg", "large", "eggs", "egg"])
+ * @param {string} name - Parsed ingredient name
+ * @returns {string[]}
+ */
+function staticSubstitutionKeys(name) {
+  const keys = [];
+  ingredientSubPhrases(name).forEach(phrase => {
+    keys.push(phrase);
+    if (phrase.length > 3 && phrase.endsWith('s')) keys.push(phrase.slice(0, -1));
+  });
+  return Array.from(new Set(keys));
+}
+
+/**
+ * Render one replacement for the original parsed line
+ * @param {{ parts: Object[] }} replacement
+ * @param {Object} original - Output of parseIngredientLine
+ * @returns {{ raw: string, normalized: string }}
+ */
+function buildStaticSubstitution(replacement, original) {
+  const lines = replacement.parts.map(({ name, ratio, unit }) => {
+    if (original.quantity == null) return name;
+    if (unit) {
+      // Per-unit parts ("1 tbsp flaxseed per egg") ignore the original unit
+      return formatIngredientLine({
+        raw: name, name, unit, preparation: null,
+        quantity: original.quantity * ratio,
+        quantityMax: original.quantityMax != null ? original.quantityMax * ratio : null
+      });
+    }
+    return formatIngredientLine(scaleParsedIngredient({ ...original, raw: name, name, preparation: null }, ratio));
+  });
+  return { raw: lines.join(' + '), normalized: replacement.parts[0].name };
+}
+
+/**
+ * Write the bundled rules into the staticSubstitutions table (replacing older rule sets)
+ * @param {Dexie} database
+ * @returns {Promise<number>} Number of rules stored
+ */
+async function seedStaticSubstitutions(database) {
+  const table = database.table('staticSubstitutions');
+  await database.transaction('rw', table, async () => {
+    await table.clear();
+    await table.bulkAdd(STATIC_SUBSTITUTION_RULES.map(rule => ({ ...rule })));
+  });
+  return STATIC_SUBSTITUTION_RULES.length;
+}
+
+/**
+ * Offline substitutions for one ingredient line, from the most specific matching rule
+ * @param {Dexie} database
+ * @param {string} line - Ingredient line as shown in the recipe ("1 cup buttermilk")
+ * @returns {Promise<{ substitutions: { raw: string, normalized: string }[], explanation: string }|null>}
+ *   null when no rule covers the ingredient
+ */
+async function findStaticSubstitutions(database, line) {
+  const original = parseIngredientLine(line);
+  const keys = staticSubstitutionKeys(original.name);
+  if (keys.length === 0) return null;
+  const rules = await database.table('staticSubstitutions').where('ingredient').anyOf(keys).toArray();
+  if (rules.length === 0) return null;
+  // Longest rule name is the most specific ("brown sugar" over "sugar")
+  const rule = rules.sort((a, b) => b.ingredient.length - a.ingredient.length)[0];
+  // A generic rule can suggest the ingredient itself ("garlic" rule for "garlic powder")
+  const replacements = rule.replacements.filter(r => r.parts[0].name !== original.name);
+  if (replacements.length === 0) return null;
+  const notes = replacements.map(r => r.note).filter(Boolean);
+  return {
+    substitutions: replacements.map(replacement => buildStaticSubstitution(replacement, original)),
+    explanation: [`Built-in substitutions for ${rule.ingredient} (available offline).`, ...notes].join(' ')
+  };
+}
@@ -0,0 +1,121 @@
+/**
+ * Substitution Cache
+ * LLM substitution results stored in the contextHistory table, keyed by ingredient line, prompt
+ * and recipe context, so asking the same question again is answered locally and earlier answers
+ * stay available offline. Results keep the { substitutions, explanation } shape of
+ * parseSubstitutionResponse. No DOM access: takes the Dexie instance as a parameter.
+ */
+
+const CONTEXT_HISTORY_KINDS = { SUBSTITUTION: 'substitution' };
+
+// Earlier answers listed for one ingredient, newest first
+const MAX_PREVIOUS_SUGGESTIONS = 5;
+
+// Stored answers kept in total; the oldest are dropped when a new one is saved
+const MAX_CACHED_SUBSTITUTIONS = 300;
+
+const normalizeCacheText = (text) => (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Short stable hash (FNV-1a) so the recipe's ingredient list fits in the key
+ * @param {string} text
+ * @returns {string}
+ */
+function hashCacheText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * Key for one question: the same line, prompt and recipe ingredients give the same key
+ * @param {Object} recipe - Recipe sent as context
+ * @param {string} ingredient - Ingredient line being replaced
+ * @param {string} prompt
+ * @returns {string}
+ */
+function substitutionCacheKey(recipe, ingredient, prompt) {
+  const context = hashCacheText(((recipe && recipe.ingredients) || []).map(normalizeCacheText).join('\n'));
+  return [
+    normalizeCacheText(ingredient),
+    normalizeCacheText(prompt),
+    recipe && recipe.id != null ? String(recipe.id) : '',
+    context
+  ].join('|');
+}
+
+/**
+ * Normalized name the ingredient's earlier answers are listed under ("2 cups whole milk" -> "whole milk")
+ * @param {string} ingredient
+ * @returns {string}
+ */
+function substitutionCacheIngredient(ingredient) {
+  return normalizeCacheText(parseIngredientLine(ingredient).name || ingredient);
+}
+
+/**
+ * Store an LLM result, replacing an earlier answer to the same question and dropping the
+ * oldest answers beyond MAX_CACHED_SUBSTITUTIONS
+ * @param {Dexie} db
+ * @param {{ recipe: Object, ingredient: string, prompt: string, result: { substitutions: Object[], explanation: string } }} entry
+ * @returns {Promise<void>}
+ */
+async function saveCachedSubstitution(db, { recipe, ingredient, prompt, result }) {
+  const cacheKey = substitutionCacheKey(recipe, ingredient, prompt);
+  await db.transaction('rw', db.contextHistory, async () => {
+    await db.contextHistory.where('cacheKey').equals(cacheKey).delete();
+    await db.contextHistory.add({
+      kind: CONTEXT_HISTORY_KINDS.SUBSTITUTION,
+      date: Date.now(),
+      cacheKey,
+      ingredient: substitutionCacheIngredient(ingredient),
+      ingredientLine: ingredient,
+      prompt: prompt.trim(),
+      recipeId: recipe && recipe.id != null ? recipe.id : null,
+      recipeTitle: (recipe && recipe.title) || '',
+      substitutions: result.substitutions.map(({ raw, normalized }) => ({ raw, normalized })),
+      explanation: result.explanation || ''
+    });
+    const keys = await db.contextHistory.orderBy('date')
+      .filter(entry => entry.kind === CONTEXT_HISTORY_KINDS.SUBSTITUTION)
+      .primaryKeys();
+    if (keys.length > MAX_CACHED_SUBSTITUTIONS) {
+      await db.contextHistory.bulkDelete(keys.slice(0, keys.length - MAX_CACHED_SUBSTITUTIONS));
+    }
+  });
+}
+
+/**
+ * Earlier answer to exactly this question
+ * @param {Dexie} db
+ * @param {Object} recipe
+ * @param {string} ingredient
+ * @param {string} prompt
+ * @returns {Promise<Object|null>} contextHistory entry
+ */
+async function findCachedSubstitution(db, recipe, ingredient, prompt) {
+  const entry = await db.contextHistory.where('cacheKey').equals(substitutionCacheKey(recipe, ingredient, prompt)).last();
+  return entry || null;
+}
+
+/**
+ * Earlier answers for an ingredient from any prompt or recipe, newest first;
+ * the current recipe's answers come before other recipes'
+ * @param {Dexie} db
+ * @param {string} ingredient - Ingredient line
+ * @param {Object} [recipe] - Recipe being edited
+ * @returns {Promise<Object[]>} contextHistory entries
+ */
+async function findPreviousSubstitutions(db, ingredient, recipe) {
+  const name = substitutionCacheIngredient(ingredient);
+  if (!name) return [];
+  const entries = await db.contextHistory.where('ingredient').equals(name).toArray();
+  const recipeId = recipe && recipe.id != null ? recipe.id : null;
+  return entries
+    .filter(entry => entry.kind === CONTEXT_HISTORY_KINDS.SUBSTITUTION && entry.substitutions.length > 0)
+    .sort((a, b) => ((b.recipeId === recipeId) - (a.recipeId === recipeId)) || b.date - a.date)
+    .slice(0, MAX_PREVIOUS_SUGGESTIONS);
+}
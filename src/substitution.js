@@ -13,66 +13,286 @@ Rules:
 
 Output only valid JSON so the UI can parse it.`;
 
-function getMCPConfig() {
-  return window.RECIPES_MCP_CONFIG || {};
-}
+const STEP_ADJUSTMENT_SYSTEM_PROMPT = `You are a recipe editing assistant. Given a recipe (title, ingredients and numbered steps) and the ingredient substitutions the user made, rewrite the steps so they fit the new ingredients: rename replaced ingredients and adjust cooking times, temperatures or techniques only where the new ingredient needs it.
 
-function parseSubstitutionResponse(message) {
+You must reply with exactly one JSON object and nothing else. No markdown, no code fences, no explanation outside the JSON.
+
+Format:
+{"steps": ["Preheat the oven to 350°F.", "Whisk the almond milk and flax egg together."], "explanation": "One short paragraph explaining what changed."}
+
+Rules:
+- "steps": array of strings with exactly as many entries as the input steps, in the same order, without step numbers. Copy unchanged steps verbatim.
+- "explanation": one string, a short paragraph.
+
+Output only valid JSON so the UI can parse it.`;
+
+const TRANSFORMATION_SYSTEM_PROMPT = `You are a recipe editing assistant. Given a recipe (title and numbered ingredient lines) and a request that applies to the whole recipe (e.g. "make this dairy-free", "halve the sugar"), propose the ingredient changes that fulfil it.
+
+You must reply with exactly one JSON object and nothing else. No markdown, no code fences, no explanation outside the JSON.
+
+Format:
+{"changes": [{"line": 2, "raw": "1 cup oat milk", "normalized": "oat milk"}, {"line": 5, "raw": "1/4 cup sugar", "normalized": "sugar"}], "explanation": "One short paragraph explaining the changes."}
+
+Rules:
+- "changes": array with at most one object per ingredient line that should change. Each object MUST have:
+  - "line": the number of the ingredient line being replaced, as numbered in the request.
+  - "raw": the full replacement ingredient with quantity as it would appear in a recipe.
+  - "normalized": just the ingredient name without any quantity or unit.
+- Leave out lines that do not need to change. Use an empty array if nothing needs to change.
+- "explanation": one string, a short paragraph.
+
+Output only valid JSON so the UI can parse it.`;
+
+/**
+ * Find the JSON object in an LLM reply. Each {...} is tried from the end (reasoning models often
+ * put JSON last) until read() accepts one.
+ * @param {string} message - Raw LLM reply
+ * @param {function(Object): *} read - Returns the validated result, or null to keep looking
+ * @returns {*} First accepted result, or null
+ */
+function parseJsonReply(message, read) {
   const trimmed = (message || '').trim();
   if (!trimmed) return null;
-  // Try each {...} from the end (reasoning models often put JSON last)
   let idx = trimmed.length;
-  while (true) {
+  while (idx > 0) {
     const start = trimmed.lastIndexOf('{', idx - 1);
     if (start === -1) break;
     try {
-      const parsed = JSON.parse(trimmed.slice(start));
-      if (Array.isArray(parsed.substitutions) && parsed.substitutions.length > 0 && typeof parsed.explanation === 'string') {
-        // Validate and normalize: each substitution must be {raw, normalized}
-        const normalized = parsed.substitutions.map(s => {
-          if (typeof s === 'object' && s !== null && typeof s.raw === 'string' && typeof s.normalized === 'string') {
-            return { raw: s.raw, normalized: s.normalized };
-          }
-          // Fallback: if LLM returned a plain string, use it for both fields
-          if (typeof s === 'string') {
-            return { raw: s, normalized: s.toLowerCase().trim() };
-          }
-          return null;
-        }).filter(Boolean);
-        if (normalized.length > 0) {
-          return { substitutions: normalized, explanation: parsed.explanation };
-        }
-      }
+      const result = read(JSON.parse(trimmed.slice(start)));
+      if (result) return result;
     } catch (_) {}
     idx = start;
   }
   return null;
 }
 
-async function fetchSubstitutions(recipe, ingredient, userPrompt) {
-  const config = getMCPConfig();
-  if (!config.apiEndpoint || !config.apiKey) {
-    throw new Error('MCP not configured. Set window.RECIPES_MCP_CONFIG = { apiEndpoint, apiKey }.');
+/**
+ * Validate and normalize one suggested ingredient: must be {raw, normalized}
+ * @param {*} s - Entry from the LLM reply
+ * @returns {{ raw: string, normalized: string }|null}
+ */
+function normalizeSubstitutionOption(s) {
+  if (typeof s === 'object' && s !== null && typeof s.raw === 'string' && typeof s.normalized === 'string') {
+    return { raw: s.raw, normalized: s.normalized };
+  }
+  // Fallback: if LLM returned a plain string, use it for both fields
+  if (typeof s === 'string') {
+    return { raw: s, normalized: s.toLowerCase().trim() };
   }
+  return null;
+}
+
+function parseSubstitutionResponse(message) {
+  return parseJsonReply(message, parsed => {
+    if (!Array.isArray(parsed.substitutions) || parsed.substitutions.length === 0 || typeof parsed.explanation !== 'string') {
+      return null;
+    }
+    const normalized = parsed.substitutions.map(normalizeSubstitutionOption).filter(Boolean);
+    return normalized.length > 0 ? { substitutions: normalized, explanation: parsed.explanation } : null;
+  });
+}
+
+/**
+ * Parse a whole-recipe change set; entries for unknown or repeated lines are dropped
+ * @param {string} message - Raw LLM reply
+ * @param {number} ingredientCount - Number of ingredient lines sent
+ * @returns {{ changes: { index: number, raw: string, normalized: string }[], explanation: string }|null}
+ *   index is 0-based; changes are in ingredient order
+ */
+function parseTransformationResponse(message, ingredientCount) {
+  return parseJsonReply(message, parsed => {
+    if (!Array.isArray(parsed.changes) || typeof parsed.explanation !== 'string') return null;
+    const seen = new Set();
+    const changes = parsed.changes.map(change => {
+      const option = change && normalizeSubstitutionOption(change);
+      const index = change ? Number(change.line) - 1 : NaN;
+      if (!option || !Number.isInteger(index) || index < 0 || index >= ingredientCount || seen.has(index)) return null;
+      seen.add(index);
+      return { index, ...option };
+    }).filter(Boolean);
+    // A non-empty change list where nothing survived validation is not a usable reply
+    if (parsed.changes.length > 0 && changes.length === 0) return null;
+    return { changes: changes.sort((a, b) => a.index - b.index), explanation: parsed.explanation };
+  });
+}
+
+/**
+ * Ask the LLM for replacements for one ingredient line
+ * @param {Object} recipe
+ * @param {string} ingredient - Ingredient line to replace
+ * @param {string} userPrompt - e.g. "More fruity"
+ * @param {LLMCallOptions} [options] - Cancellation and streamed text
+ * @returns {Promise<{ substitutions: { raw: string, normalized: string }[], explanation: string }>}
+ */
+async function fetchSubstitutions(recipe, ingredient, userPrompt, options) {
   const ingredientsPreview = (recipe.ingredients || []).slice(0, 15).join(', ');
+  // Give the model the parsed amount so replacements keep the same quantity and unit
+  const parsed = parseIngredientLine(ingredient);
+  const amount = parsed.quantity != null
+    ? `${parsed.quantity}${parsed.quantityMax != null ? `-${parsed.quantityMax}` : ''}${parsed.unit ? ` ${parsed.unit}` : ''}`
+    : '';
   const message = ``
     + `Recipe: "${recipe.title || 'Untitled'}". `
     +`Ingredients: "${ingredientsPreview}". `
     +`Substitute this ingredient: "${ingredient}". `
+    +(amount ? `Original amount: "${amount}". ` : '')
     +`User preference: "${userPrompt}".`;
-  const response = await window.PWAShell.mcp.callMCP(
-    {
-      message,
-      system_prompt: SUBSTITUTION_SYSTEM_PROMPT,
-      max_tokens: 800
-    },
-    config
-  );
+  const response = await callLLM({
+    kind: LLM_REQUEST_KINDS.SUBSTITUTION,
+    message,
+    system_prompt: SUBSTITUTION_SYSTEM_PROMPT,
+    max_tokens: 800,
+    context: { recipe, ingredient, userPrompt }
+  }, options);
   const result = parseSubstitutionResponse(response.message);
-  if (!result) throw new Error('Invalid substitution response from LLM');
+  if (!result) throw new LLMRequestError('Invalid substitution response from LLM', { kind: LLM_ERROR_KINDS.INVALID });
   return result;
 }
 
+/**
+ * Row state for a line typed by the user; the parsed name keeps ingredient frequencies meaningful
+ * @param {string} line
+ * @returns {{ line: string, normalized: string, source: string }}
+ */
+function manualIngredientState(line) {
+  return { line, normalized: parseIngredientLine(line).name || line.toLowerCase().trim(), source: 'manual' };
+}
+
+// "1." / "2)" / "Step 3:" at the start of a step
+const STEP_NUMBER_REGEX = /^\s*(?:step\s*)?\d+\s*[.):]\s+/i;
+
+/**
+ * Split instructions into steps: one per line, or "1. ... 2. ..." numbering within a single paragraph
+ * @param {string} instructions
+ * @returns {string[]} Steps without their leading numbers
+ */
+function splitInstructionSteps(instructions) {
+  let chunks = (instructions || '').split(/\n+/).map(line => line.trim()).filter(Boolean);
+  if (chunks.length === 1 && /^1\s*[.)]\s/.test(chunks[0])) {
+    // Only the next number in sequence starts a step, so "Bake at 350. Serve." stays whole
+    const paragraph = chunks[0];
+    chunks = [];
+    let start = 0;
+    for (let n = 2; ; n++) {
+      const next = paragraph.slice(start).search(new RegExp(`\\s${n}\\s*[.)]\\s`));
+      if (next === -1) break;
+      chunks.push(paragraph.slice(start, start + next));
+      start += next + 1;
+    }
+    chunks.push(paragraph.slice(start));
+  }
+  return chunks.map(chunk => chunk.replace(STEP_NUMBER_REGEX, '').trim()).filter(Boolean);
+}
+
+/**
+ * Instructions text for edited steps (numbered when there is more than one)
+ * @param {string[]} steps
+ * @returns {string}
+ */
+function joinInstructionSteps(steps) {
+  const kept = steps.map(step => step.trim()).filter(Boolean);
+  if (kept.length <= 1) return kept.join('');
+  return kept.map((step, i) => `${i + 1}. ${step}`).join('\n');
+}
+
+/**
+ * Ask the LLM for ingredient changes that apply a prompt to the whole recipe
+ * @param {{ title: string, ingredients: string[] }} recipe - Recipe as currently edited
+ * @param {string} userPrompt - e.g. "make this dairy-free"
+ * @param {LLMCallOptions} [options] - Cancellation and streamed text
+ * @returns {Promise<{ changes: { index: number, raw: string, normalized: string }[], explanation: string }>}
+ */
+async function fetchTransformation(recipe, userPrompt, options) {
+  const message = ``
+    + `Recipe: "${recipe.title || 'Untitled'}". `
+    + `Ingredients:\n${recipe.ingredients.map((line, i) => `${i + 1}. ${line}`).join('\n')}\n`
+    + `Request: "${userPrompt}".`;
+  const response = await callLLM({
+    kind: LLM_REQUEST_KINDS.TRANSFORMATION,
+    message,
+    system_prompt: TRANSFORMATION_SYSTEM_PROMPT,
+    max_tokens: 1500,
+    context: { ingredients: recipe.ingredients, userPrompt }
+  }, options);
+  const result = parseTransformationResponse(response.message, recipe.ingredients.length);
+  if (!result) throw new LLMRequestError('Invalid transformation response from LLM', { kind: LLM_ERROR_KINDS.INVALID });
+  return result;
+}
+
+/**
+ * Parse the step adjustment reply; the step count must match so rewrites line up with the editor
+ * @param {string} message - Raw LLM reply
+ * @param {number} stepCount - Number of steps sent
+ * @returns {{ steps: string[], explanation: string }|null}
+ */
+function parseStepAdjustmentResponse(message, stepCount) {
+  return parseJsonReply(message, parsed => {
+    if (!Array.isArray(parsed.steps) || parsed.steps.length !== stepCount
+      || !parsed.steps.every(step => typeof step === 'string') || typeof parsed.explanation !== 'string') {
+      return null;
+    }
+    return { steps: parsed.steps.map(step => step.replace(STEP_NUMBER_REGEX, '').trim()), explanation: parsed.explanation };
+  });
+}
+
+/**
+ * Ask the LLM to adapt the steps to the substituted ingredients
+ * @param {{ title: string, ingredients: string[] }} recipe - Recipe as currently edited
+ * @param {string[]} steps
+ * @param {{ from: string, to: string }[]} substitutions
+ * @param {LLMCallOptions} [options] - Cancellation and streamed text
+ * @returns {Promise<{ steps: string[], explanation: string }>}
+ */
+async function fetchStepAdjustments(recipe, steps, substitutions, options) {
+  const message = ``
+    + `Recipe: "${recipe.title || 'Untitled'}". `
+    + `Ingredients: "${recipe.ingredients.join(', ')}". `
+    + `Substitutions: ${substitutions.map(({ from, to }) => `"${from}" -> "${to}"`).join('; ')}. `
+    + `Steps:\n${steps.map((step, i) => `${i + 1}. ${step}`).join('\n')}`;
+  const response = await callLLM({
+    kind: LLM_REQUEST_KINDS.STEPS,
+    message,
+    system_prompt: STEP_ADJUSTMENT_SYSTEM_PROMPT,
+    max_tokens: 1500,
+    context: { steps, substitutions }
+  }, options);
+  const result = parseStepAdjustmentResponse(response.message, steps.length);
+  if (!result) throw new LLMRequestError('Invalid step adjustment response from LLM', { kind: LLM_ERROR_KINDS.INVALID });
+  return result;
+}
+
+/**
+ * Word-level before/after markup for a proposed step rewrite
+ * @param {string} before
+ * @param {string} after
+ * @returns {string} HTML with <del> for removed and <mark> for added words
+ */
+function stepRewriteDiffHtml(before, after) {
+  return diffIngredientLines(before.split(/(\s+)/), after.split(/(\s+)/))
+    .map(({ type, line }) => {
+      if (type === 'removed') return /\S/.test(line) ? `<del>${escapeHtml(line)}</del>` : '';
+      if (type === 'added') return /\S/.test(line) ? `<mark>${escapeHtml(line)}</mark>` : escapeHtml(line);
+      return escapeHtml(line);
+    })
+    .join('');
+}
+
+// Characters of streamed reasoning shown while waiting for the explanation
+const STREAM_PREVIEW_CHARS = 240;
+
+/**
+ * What to show of a reply that is still streaming: the explanation once it has started,
+ * otherwise the tail of the model's reasoning (never the raw JSON)
+ * @param {string} text - Reply received so far
+ * @returns {string}
+ */
+function streamPreview(text) {
+  const explanation = (text || '').match(/"explanation"\s*:\s*"((?:[^"\\]|\\.)*)/);
+  if (explanation) return explanation[1].replace(/\\n/g, ' ').replace(/\\(.)/g, '$1');
+  const reasoning = (text || '').replace(/<\/?think>/g, '').split(/\{\s*"/)[0].trim();
+  return reasoning.length > STREAM_PREVIEW_CHARS ? `…${reasoning.slice(-STREAM_PREVIEW_CHARS)}` : reasoning;
+}
+
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text == null ? '' : String(text);
@@ -89,7 +309,12 @@ class SubstitutionEditor {
     this.pendingSubstitutions = null;
     this.pendingExplanation = null;
     this.pendingSelectedIndex = 0;
+    this.pendingCachedPrompt = null;
+    this.substitutions = [];
+    this.undoStack = [];
+    this.redoStack = [];
     this._wifiCleanup = null;
+    this._keyboardCleanup = null;
   }
 
   open(recipe, isFork) {
@@ -98,10 +323,40 @@ class SubstitutionEditor {
     this.title = recipe.title || 'Untitled';
     this.ingredients = [...(recipe.ingredients || [])];
     this.normalizedIngredients = [...(recipe.normalizedIngredients || (recipe.ingredients || []).map(i => (i || '').toLowerCase().trim()))];
+    // Stable key per row (index-aligned with ingredients) so history survives reordering
+    this.rowKeys = this.ingredients.map((_, i) => i);
+    this._nextRowKey = this.ingredients.length;
+    // Snapshot for per-row "restore original"; rows added in the editor have no entry
+    this.originalRows = new Map(this.rowKeys.map(key => [key, {
+      line: this.ingredients[key],
+      normalized: this.normalizedIngredients[key]
+    }]));
+    // Command history: { type: 'ingredient', key, before, after } | { type: 'row', key, index, before, after }
+    // | { type: 'move', key, before, after } | { type: 'title', before, after }
+    this.undoStack = [];
+    this.redoStack = [];
+    // Instruction steps are edited in textareas (native undo), outside the command history
+    this.steps = splitInstructionSteps(recipe.instructions);
+    this.stepsEdited = false;
+    // Step rewrites awaiting confirmation: { kind: 'mentions'|'llm', rewrites, ... } (see _proposeInstructionRewrites)
+    this.pendingRewrite = null;
     this.activeRowIndex = null;
     this.pendingSubstitutions = null;
     this.pendingExplanation = null;
     this.pendingSelectedIndex = 0;
+    // Prompt of a stored answer being shown (offered for "Ask again")
+    this.pendingCachedPrompt = null;
+    // Whole-recipe change set, reviewed one row at a time: { explanation, total, queue: [{ key, raw, normalized }] }
+    this.batch = null;
+    this.dietaryProfile = EMPTY_DIETARY_PROFILE;
+    // Changes made in this session, saved with the recipe version: [{ key, from, to, source }]
+    this.substitutions = [];
+    this.pendingSource = null;
+    if (window.app) {
+      window.app.getDietaryProfile()
+        .then(profile => { this.dietaryProfile = profile; })
+        .catch(error => console.error('Error loading dietary profile:', error));
+    }
     this.render();
   }
 
@@ -127,7 +382,25 @@ class SubstitutionEditor {
           </button>
         </div>
       </div>
+      <div class="substitution-history-actions d-flex justify-content-end gap-2 mt-2">
+        <button type="button" class="undo-btn btn btn-link p-1" aria-label="Undo" title="Undo (Ctrl+Z)" disabled><i class="bi bi-arrow-counterclockwise"></i></button>
+        <button type="button" class="redo-btn btn btn-link p-1" aria-label="Redo" title="Redo (Ctrl+Shift+Z)" disabled><i class="bi bi-arrow-clockwise"></i></button>
+      </div>
+      <div class="substitution-transform-area mt-2" style="display: ${isLLMAvailable() ? 'block' : 'none'}">
+        <label class="substitution-prompt-label">Change the whole recipe...</label>
+        <div class="d-flex gap-2 mt-2">
+          <input type="text" class="substitution-transform-input form-control" placeholder="e.g. Make this dairy-free" />
+          <button type="button" class="substitution-prompt-submit substitution-transform-submit"><i class="bi bi-arrow-right"></i></button>
+        </div>
+      </div>
       <div class="substitution-ingredients-list"></div>
+      <button type="button" class="substitution-add-row-btn btn btn-link p-0"><i class="bi bi-plus-lg"></i> Add ingredient</button>
+      <div class="substitution-steps mt-4">
+        <p class="substitution-steps-label mb-2">Steps</p>
+        <div class="instruction-rewrite-panel mb-2" style="display: none;"></div>
+        <div class="substitution-steps-list"></div>
+        <button type="button" class="substitution-add-step-btn btn btn-link p-0"><i class="bi bi-plus-lg"></i> Add step</button>
+      </div>
       <div class="substitution-save-area mt-4">
         <button type="button" class="save-recipe-btn w-100">Save Recipe</button>
       </div>
@@ -152,6 +425,8 @@ class SubstitutionEditor {
     this._resultEl.className = 'substitution-result-area';
     this._resultEl.style.display = 'none';
     this._resultEl.innerHTML = `
+      <p class="substitution-batch-progress mb-1" style="display: none;"></p>
+      <p class="substitution-cached-label mb-1" style="display: none;"></p>
       <p class="substitution-explanation"></p>
       <p class="substitution-choose-label mb-2">Choose one:</p>
       <div class="substitution-options-list d-flex flex-wrap gap-2 mb-3"></div>
@@ -159,20 +434,68 @@ class SubstitutionEditor {
         <button type="button" class="accept-substitution-btn">Accept</button>
         <button type="button" class="reject-substitution-btn">Reject</button>
       </div>
+      <button type="button" class="substitution-manual-edit-btn btn btn-link p-0 mt-2" style="display: none;">Type my own instead</button>
+      <button type="button" class="substitution-batch-stop-btn btn btn-link p-0 mt-2" style="display: none;">Reject the remaining changes</button>
+      <button type="button" class="substitution-ask-again-btn btn btn-link p-0 mt-2" style="display: none;">Ask again</button>
+    `;
+
+    // Earlier LLM answers for the active row (contextHistory), selectable offline too
+    this._previousEl = document.createElement('div');
+    this._previousEl.className = 'substitution-previous-area';
+    this._previousEl.style.display = 'none';
+    this._previousEl.innerHTML = `
+      <p class="substitution-previous-label mb-2">Previously suggested</p>
+      <div class="substitution-previous-list d-flex flex-column gap-2"></div>
     `;
 
     this._loadingEl = document.createElement('div');
     this._loadingEl.className = 'substitution-loading';
     this._loadingEl.style.display = 'none';
-    this._loadingEl.textContent = 'Loading suggestions...';
+    this._loadingEl.innerHTML = `
+      <div class="d-flex align-items-center justify-content-between gap-2">
+        <span class="substitution-loading-label">Loading suggestions...</span>
+        <button type="button" class="substitution-cancel-btn btn btn-link p-0">Cancel</button>
+      </div>
+      <p class="substitution-stream-preview mb-0"></p>
+    `;
+
+    this._noticeEl = document.createElement('div');
+    this._noticeEl.className = 'substitution-notice';
+    this._noticeEl.style.display = 'none';
+    this._noticeEl.innerHTML = `
+      <p class="substitution-notice-text mb-2"></p>
+      <div class="d-flex gap-2">
+        <button type="button" class="substitution-notice-retry-btn">Try again</button>
+        <button type="button" class="substitution-notice-dismiss-btn">Dismiss</button>
+      </div>
+    `;
 
     // Wire up event listeners on the movable panels
+    this._loadingEl.querySelector('.substitution-cancel-btn').addEventListener('click', () => {
+      if (this._llmController) this._llmController.abort();
+    });
+    this._noticeEl.querySelector('.substitution-notice-dismiss-btn').addEventListener('click', () => this._hideInlineNotice());
     this._promptEl.querySelector('.substitution-prompt-submit').addEventListener('click', () => this.submitPrompt());
     this._promptEl.querySelector('.substitution-prompt-input').addEventListener('keydown', (e) => {
       if (e.key === 'Enter') this.submitPrompt();
     });
     this._resultEl.querySelector('.accept-substitution-btn').addEventListener('click', () => this.acceptSubstitution());
     this._resultEl.querySelector('.reject-substitution-btn').addEventListener('click', () => this.rejectSubstitution());
+    this._resultEl.querySelector('.substitution-ask-again-btn').addEventListener('click', () => {
+      if (!this.pendingCachedPrompt) return;
+      this._promptEl.querySelector('.substitution-prompt-input').value = this.pendingCachedPrompt;
+      this.submitPrompt({ refresh: true });
+    });
+    this._resultEl.querySelector('.substitution-batch-stop-btn').addEventListener('click', () => {
+      if (this.batch) this.batch.queue = [];
+      this.rejectSubstitution();
+    });
+    this._resultEl.querySelector('.substitution-manual-edit-btn').addEventListener('click', () => {
+      const index = this.activeRowIndex;
+      this.pendingSubstitutions = null;
+      this.pendingExplanation = null;
+      if (index != null) this.openManualEdit(index);
+    });
 
     // Connectivity status: dynamic updates via online/offline events
     const updateConnectivity = () => {
@@ -185,6 +508,8 @@ class SubstitutionEditor {
       if (tooltipBtn) {
         tooltipBtn.style.display = on ? 'none' : 'inline-flex';
       }
+      const transformArea = wrap.querySelector('.substitution-transform-area');
+      if (transformArea) transformArea.style.display = isLLMAvailable() ? 'block' : 'none';
     };
     window.addEventListener('online', updateConnectivity);
     window.addEventListener('offline', updateConnectivity);
@@ -205,7 +530,7 @@ class SubstitutionEditor {
         }
         popover = document.createElement('div');
         popover.className = 'wifi-tooltip-popover';
-        popover.textContent = 'No internet connection. LLM-powered substitution is unavailable. You can still manually edit ingredients using the pencil icon.';
+        popover.textContent = 'No internet connection. LLM-powered substitution is unavailable. The pencil icon offers built-in substitutions or manual editing.';
         tooltipBtn.style.position = 'relative';
         tooltipBtn.appendChild(popover);
         setTimeout(() => { if (popover.parentNode) popover.remove(); }, 4000);
@@ -232,7 +557,9 @@ class SubstitutionEditor {
       input.select();
       const finishEdit = () => {
         const newTitle = input.value.trim();
-        if (newTitle) this.title = newTitle;
+        if (newTitle && newTitle !== this.title) {
+          this._execute({ type: 'title', before: this.title, after: newTitle });
+        }
         titleText.textContent = this.title;
         titleText.style.display = '';
         if (editBtn) editBtn.style.display = '';
@@ -246,23 +573,87 @@ class SubstitutionEditor {
     if (titleText) titleText.addEventListener('click', startTitleEdit);
     if (titleEditBtn) titleEditBtn.addEventListener('click', startTitleEdit);
 
-    const listEl = wrap.querySelector('.substitution-ingredients-list');
+    this._renderIngredientRows();
+    this._renderSteps();
+
+    wrap.querySelector('.back-btn').addEventListener('click', () => this.close());
+    wrap.querySelector('.save-recipe-btn').addEventListener('click', () => this.saveRecipe());
+    wrap.querySelector('.undo-btn').addEventListener('click', () => this.undo());
+    wrap.querySelector('.redo-btn').addEventListener('click', () => this.redo());
+    wrap.querySelector('.substitution-add-row-btn').addEventListener('click', () => this.openAddRow());
+    wrap.querySelector('.substitution-transform-submit').addEventListener('click', () => this.submitTransformPrompt());
+    wrap.querySelector('.substitution-transform-input').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.submitTransformPrompt();
+    });
+    wrap.querySelector('.substitution-add-step-btn').addEventListener('click', () => this.addStep());
+
+    // Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z (or Ctrl+Y) redo; text fields keep their native undo
+    if (this._keyboardCleanup) this._keyboardCleanup();
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA')) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        this.undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        this.redo();
+      }
+    };
+    document.addEventListener('keydown', onKeyDown);
+    this._keyboardCleanup = () => document.removeEventListener('keydown', onKeyDown);
+    this._updateHistoryButtons();
+  }
+
+  /** (Re)build the ingredient rows; data-index is the row's current position */
+  _renderIngredientRows() {
+    const listEl = this.container && this.container.querySelector('.substitution-ingredients-list');
+    if (!listEl) return;
+    this._hideInlinePanels();
+    listEl.innerHTML = '';
+    const last = this.ingredients.length - 1;
     this.ingredients.forEach((ing, i) => {
+      const original = this.originalRows.get(this.rowKeys[i]);
       const row = document.createElement('div');
       row.className = 'substitution-row';
       row.dataset.index = String(i);
       row.innerHTML = `
         <span class="substitution-row-ingredient">${escapeHtml(ing)}</span>
-        <button type="button" class="substitution-row-prompt-btn" aria-label="Get substitutions"><i class="bi bi-pencil-square"></i></button>
+        <div class="substitution-row-buttons d-flex gap-2">
+          <button type="button" class="substitution-row-restore-btn" aria-label="Restore original" title="Restore original" style="display: ${original && original.line !== ing ? '' : 'none'};"><i class="bi bi-arrow-return-left"></i></button>
+          <button type="button" class="substitution-row-move-btn" data-direction="-1" aria-label="Move up" title="Move up"${i === 0 ? ' disabled' : ''}><i class="bi bi-chevron-up"></i></button>
+          <button type="button" class="substitution-row-move-btn" data-direction="1" aria-label="Move down" title="Move down"${i === last ? ' disabled' : ''}><i class="bi bi-chevron-down"></i></button>
+          <button type="button" class="substitution-row-delete-btn" aria-label="Remove ingredient" title="Remove ingredient"><i class="bi bi-trash"></i></button>
+          <button type="button" class="substitution-row-prompt-btn" aria-label="Get substitutions"><i class="bi bi-pencil-square"></i></button>
+        </div>
       `;
+      row.querySelector('.substitution-row-restore-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.restoreOriginal(i);
+      });
+      row.querySelectorAll('.substitution-row-move-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.moveRow(i, i + Number(btn.dataset.direction));
+        });
+      });
+      row.querySelector('.substitution-row-delete-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.removeRow(i);
+      });
       row.querySelector('.substitution-row-prompt-btn').addEventListener('click', (e) => {
         e.stopPropagation();
-        const connected = navigator.onLine;
-        if (connected) {
+        // While manually editing, the button is the confirm checkmark (handled in openManualEdit)
+        if (e.currentTarget.classList.contains('confirm-edit')) return;
+        // A whole-recipe change set is reviewed row by row before other rows can be edited,
+        // and a running request has to finish or be cancelled first
+        if (this.batch || this._llmController) return;
+        if (isLLMAvailable()) {
           // Online: open LLM substitution prompt inline below this row
           this.activeRowIndex = i;
           this._setSaveDisabled(true);
-          wrap.querySelectorAll('.substitution-row').forEach(r => r.classList.remove('selected'));
+          listEl.querySelectorAll('.substitution-row').forEach(r => r.classList.remove('selected'));
           row.classList.add('selected');
           // Move panels inline after this row
           this._hideInlinePanels();
@@ -270,23 +661,510 @@ class SubstitutionEditor {
           this._promptEl.style.display = 'block';
           this._promptEl.querySelector('.substitution-prompt-input').value = '';
           this._promptEl.querySelector('.substitution-prompt-input').focus();
+          this._loadPreviousSubstitutions(i).then(entries => {
+            // The row may have been closed or changed while the history loaded
+            if (this.activeRowIndex !== i || this._promptEl.style.display === 'none') return;
+            this._showPreviousSuggestions(entries, this._promptEl);
+          });
         } else {
-          // Offline: open inline manual edit
-          this.openManualEdit(i);
+          // Offline or no LLM provider: built-in substitutions, falling back to manual edit
+          this.openOfflineSubstitutions(i);
         }
       });
       listEl.appendChild(row);
+      // Only changed or added rows are checked, matching the warning shown on accept
+      if (!original || original.line !== ing) this._flagDietaryViolation(i);
     });
+  }
 
-    wrap.querySelector('.back-btn').addEventListener('click', () => this.close());
-    wrap.querySelector('.save-recipe-btn').addEventListener('click', () => this.saveRecipe());
+  /**
+   * Insert an empty input at the end of the list; confirming adds the ingredient as a new row
+   */
+  openAddRow() {
+    const listEl = this.container && this.container.querySelector('.substitution-ingredients-list');
+    if (!listEl || this.activeRowIndex != null || listEl.querySelector('.substitution-add-row')) return;
+    const row = document.createElement('div');
+    row.className = 'substitution-row substitution-add-row selected';
+    row.innerHTML = `
+      <span class="substitution-row-ingredient">
+        <input type="text" class="manual-edit-input form-control form-control-sm" placeholder="e.g. 1 cup chickpeas" />
+      </span>
+      <div class="substitution-row-buttons d-flex gap-2">
+        <button type="button" class="substitution-row-prompt-btn confirm-edit" aria-label="Add ingredient"><i class="bi bi-check-lg"></i></button>
+      </div>
+    `;
+    listEl.appendChild(row);
+    const input = row.querySelector('input');
+    let done = false;
+    const finish = (commit) => {
+      if (done) return;
+      done = true;
+      const line = input.value.trim();
+      row.remove();
+      if (commit && line) this.insertRow(this.ingredients.length, line);
+    };
+    row.querySelector('.substitution-row-prompt-btn').addEventListener('mousedown', (e) => e.preventDefault());
+    row.querySelector('.substitution-row-prompt-btn').addEventListener('click', () => finish(true));
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        finish(true);
+      } else if (e.key === 'Escape') {
+        finish(false);
+      }
+    });
+    input.addEventListener('blur', () => finish(true));
+    input.focus();
+    this._scrollIntoView(row);
+  }
+
+  /**
+   * Add an ingredient row (undoable)
+   * @param {number} index - Position of the new row
+   * @param {string} line - Ingredient line as typed
+   */
+  insertRow(index, line) {
+    if (this.activeRowIndex != null) return;
+    this._execute({ type: 'row', key: this._nextRowKey++, index, before: null, after: manualIngredientState(line) });
+  }
+
+  /**
+   * Remove an ingredient row (undoable)
+   * @param {number} index - Index of the ingredient to remove
+   */
+  removeRow(index) {
+    if (this.activeRowIndex != null || index < 0 || index >= this.ingredients.length) return;
+    this._execute({ type: 'row', key: this.rowKeys[index], index, before: this._ingredientState(index), after: null });
+  }
+
+  /**
+   * Move an ingredient row to another position (undoable)
+   * @param {number} from - Current index
+   * @param {number} to - Target index
+   */
+  moveRow(from, to) {
+    if (this.activeRowIndex != null || from === to || to < 0 || to >= this.ingredients.length) return;
+    this._execute({ type: 'move', key: this.rowKeys[from], before: from, after: to });
+  }
+
+  /** (Re)build the step textareas from this.steps */
+  _renderSteps() {
+    const listEl = this.container && this.container.querySelector('.substitution-steps-list');
+    if (!listEl) return;
+    listEl.innerHTML = '';
+    const last = this.steps.length - 1;
+    this.steps.forEach((step, i) => {
+      const row = document.createElement('div');
+      row.className = 'substitution-step d-flex gap-2';
+      row.innerHTML = `
+        <span class="substitution-step-number">${i + 1}.</span>
+        <textarea class="substitution-step-input form-control" rows="2" aria-label="Step ${i + 1}">${escapeHtml(step)}</textarea>
+        <div class="substitution-step-buttons d-flex flex-column gap-1">
+          <button type="button" class="substitution-step-move-btn btn btn-link p-0" data-direction="-1" aria-label="Move step up"${i === 0 ? ' disabled' : ''}><i class="bi bi-chevron-up"></i></button>
+          <button type="button" class="substitution-step-move-btn btn btn-link p-0" data-direction="1" aria-label="Move step down"${i === last ? ' disabled' : ''}><i class="bi bi-chevron-down"></i></button>
+          <button type="button" class="substitution-step-delete-btn btn btn-link p-0" aria-label="Remove step"><i class="bi bi-trash"></i></button>
+        </div>
+      `;
+      row.querySelector('.substitution-step-input').addEventListener('input', (e) => {
+        this.steps[i] = e.target.value;
+        this.stepsEdited = true;
+      });
+      row.querySelectorAll('.substitution-step-move-btn').forEach(btn => {
+        btn.addEventListener('click', () => this.moveStep(i, i + Number(btn.dataset.direction)));
+      });
+      row.querySelector('.substitution-step-delete-btn').addEventListener('click', () => this.removeStep(i));
+      listEl.appendChild(row);
+    });
+  }
+
+  /** Append an empty step and focus it */
+  addStep() {
+    this._dismissInstructionRewrites();
+    this.steps.push('');
+    this.stepsEdited = true;
+    this._renderSteps();
+    const inputs = this.container.querySelectorAll('.substitution-step-input');
+    if (inputs.length > 0) inputs[inputs.length - 1].focus();
+  }
+
+  /**
+   * @param {number} index - Index of the step to remove
+   */
+  removeStep(index) {
+    this._dismissInstructionRewrites();
+    this.steps.splice(index, 1);
+    this.stepsEdited = true;
+    this._renderSteps();
+  }
+
+  /**
+   * @param {number} from - Current index
+   * @param {number} to - Target index
+   */
+  moveStep(from, to) {
+    if (to < 0 || to >= this.steps.length) return;
+    this._dismissInstructionRewrites();
+    const [step] = this.steps.splice(from, 1);
+    this.steps.splice(to, 0, step);
+    this.stepsEdited = true;
+    this._renderSteps();
+  }
+
+  /**
+   * After an accepted or typed substitution, offer to rename the old ingredient in the steps
+   * @param {{ normalized: string }} before - Row state before the change
+   * @param {{ normalized: string }} after - Row state after the change
+   */
+  _proposeInstructionRewrites(before, after) {
+    // Successive substitutions (e.g. a whole-recipe change set) add up to one proposal
+    const earlier = this.pendingRewrite && this.pendingRewrite.kind === 'mentions' ? this.pendingRewrite.replacements : [];
+    const replacements = [...earlier, { fromName: before.normalized, toName: after.normalized }];
+    const rewrites = findInstructionRewrites(this.steps, replacements);
+    const canAskLLM = isLLMAvailable() && this.steps.length > 0;
+    if (rewrites.length === 0 && !canAskLLM) return;
+    this.pendingRewrite = { kind: 'mentions', replacements, rewrites };
+    this._renderInstructionRewrites();
+  }
+
+  /** Show the pending step rewrites with a checkbox per step */
+  _renderInstructionRewrites() {
+    const panel = this.container && this.container.querySelector('.instruction-rewrite-panel');
+    if (!panel) return;
+    const pending = this.pendingRewrite;
+    if (!pending) {
+      panel.style.display = 'none';
+      panel.innerHTML = '';
+      return;
+    }
+    let heading;
+    if (pending.kind === 'llm') {
+      heading = escapeHtml(pending.explanation || 'Suggested step changes');
+    } else if (pending.rewrites.length > 0) {
+      heading = `Update the steps for <strong>${escapeHtml(pending.replacements.map(r => r.toName).join(', '))}</strong>?`;
+    } else {
+      heading = `No steps mention ${escapeHtml(pending.replacements.map(r => r.fromName).join(', '))}.`;
+    }
+    const canAskLLM = pending.kind === 'mentions' && isLLMAvailable();
+    panel.innerHTML = `
+      <p class="instruction-rewrite-heading mb-2">${heading}</p>
+      ${pending.rewrites.map(rewrite => `
+        <label class="instruction-rewrite-step d-flex gap-2">
+          <input type="checkbox" class="instruction-rewrite-check" data-step="${rewrite.index}" checked />
+          <span><span class="instruction-rewrite-number">${rewrite.index + 1}.</span> ${stepRewriteDiffHtml(rewrite.text, rewrite.rewritten)}</span>
+        </label>
+      `).join('')}
+      <div class="d-flex flex-wrap gap-2 mt-2">
+        ${pending.rewrites.length > 0 ? '<button type="button" class="instruction-rewrite-apply-btn">Apply</button>' : ''}
+        <button type="button" class="instruction-rewrite-skip-btn">${pending.rewrites.length > 0 ? 'Skip' : 'Dismiss'}</button>
+        ${canAskLLM ? '<button type="button" class="instruction-rewrite-llm-btn btn btn-link p-0">Adjust cooking steps with AI</button>' : ''}
+      </div>
+    `;
+    panel.style.display = 'block';
+    const applyBtn = panel.querySelector('.instruction-rewrite-apply-btn');
+    if (applyBtn) {
+      applyBtn.addEventListener('click', () => {
+        const selected = Array.from(panel.querySelectorAll('.instruction-rewrite-check:checked'))
+          .map(check => Number(check.dataset.step));
+        this.applyInstructionRewrites(selected);
+      });
+    }
+    panel.querySelector('.instruction-rewrite-skip-btn').addEventListener('click', () => this._dismissInstructionRewrites());
+    const llmBtn = panel.querySelector('.instruction-rewrite-llm-btn');
+    if (llmBtn) llmBtn.addEventListener('click', () => this.requestStepAdjustments());
+    this._scrollIntoView(panel);
+  }
+
+  /**
+   * Write the selected proposals into the steps. Mentions are found again in the current text,
+   * so edits typed while the panel was open are kept; an LLM rewrite is skipped if its step changed.
+   * @param {number[]} stepIndexes
+   */
+  applyInstructionRewrites(stepIndexes) {
+    const pending = this.pendingRewrite;
+    if (!pending) return;
+    stepIndexes.forEach(index => {
+      const current = this.steps[index];
+      if (current == null) return;
+      if (pending.kind === 'llm') {
+        const rewrite = pending.rewrites.find(r => r.index === index);
+        if (rewrite && rewrite.text === current) this.steps[index] = rewrite.rewritten;
+        return;
+      }
+      this.steps[index] = rewriteStepMentions(current, pending.replacements);
+    });
+    if (stepIndexes.length > 0) this.stepsEdited = true;
+    this._dismissInstructionRewrites();
+    this._renderSteps();
+  }
+
+  /**
+   * Ask the LLM to adapt the steps to every substitution made in this session
+   */
+  async requestStepAdjustments() {
+    const panel = this.container.querySelector('.instruction-rewrite-panel');
+    if (!panel || this._llmController) return;
+    if (!isLLMAvailable()) {
+      this._showInlineNotice(panel, 'No internet connection or LLM provider. Step adjustment needs the LLM.');
+      return;
+    }
+    const changes = this.substitutions.filter(sub => this.rowKeys.includes(sub.key));
+    if (changes.length === 0) return;
+    const steps = [...this.steps];
+    const button = panel.querySelector('.instruction-rewrite-llm-btn');
+    if (button) button.disabled = true;
+    try {
+      const result = await this._runLLMRequest(panel, 'Adjusting steps...',
+        options => fetchStepAdjustments({ title: this.title, ingredients: this.ingredients }, steps, changes, options));
+      // Steps edited while waiting: the reply no longer lines up with them
+      if (steps.join('\n') !== this.steps.join('\n')) return;
+      const rewrites = result.steps
+        .map((rewritten, index) => ({ index, text: steps[index], rewritten }))
+        .filter(rewrite => rewrite.rewritten && rewrite.rewritten !== rewrite.text);
+      this.pendingRewrite = {
+        kind: 'llm',
+        explanation: rewrites.length > 0 ? result.explanation : (result.explanation || 'No step changes needed.'),
+        rewrites
+      };
+      this._renderInstructionRewrites();
+    } catch (err) {
+      if (button) button.disabled = false;
+      this._showLLMError(panel, err, () => this.requestStepAdjustments());
+    }
+  }
+
+  _dismissInstructionRewrites() {
+    this.pendingRewrite = null;
+    this._renderInstructionRewrites();
+  }
+
+  /** Current state of one ingredient row, as stored in undo/redo commands */
+  _ingredientState(index) {
+    const change = this.substitutions.find(sub => sub.key === this.rowKeys[index]);
+    return {
+      line: this.ingredients[index],
+      normalized: this.normalizedIngredients[index],
+      source: change ? change.source : null
+    };
+  }
+
+  /**
+   * Run a command and record it for undo; a new command clears the redo stack
+   * @param {Object} command - See the command shapes listed in open()
+   */
+  _execute(command) {
+    this._applyCommand(command, command.after);
+    this.undoStack.push(command);
+    this.redoStack = [];
+    this._updateHistoryButtons();
+  }
+
+  /**
+   * Put one side (before/after) of a command into the editor state and the DOM
+   * @param {Object} command
+   * @param {*} state - command.before or command.after
+   */
+  _applyCommand(command, state) {
+    if (command.type === 'title') {
+      this.title = state;
+      const titleText = this.container && this.container.querySelector('.substitution-editor-title-text');
+      if (titleText) titleText.textContent = state;
+      return;
+    }
+    if (command.type === 'row') {
+      // before/after is the row state, or null when the row does not exist on that side
+      if (state) {
+        this.rowKeys.splice(command.index, 0, command.key);
+        this.ingredients.splice(command.index, 0, state.line);
+        this.normalizedIngredients.splice(command.index, 0, state.normalized);
+      } else {
+        const index = this.rowKeys.indexOf(command.key);
+        this.rowKeys.splice(index, 1);
+        this.ingredients.splice(index, 1);
+        this.normalizedIngredients.splice(index, 1);
+      }
+      this._renderIngredientRows();
+      return;
+    }
+    if (command.type === 'move') {
+      const from = this.rowKeys.indexOf(command.key);
+      [this.rowKeys, this.ingredients, this.normalizedIngredients].forEach(list => {
+        const [item] = list.splice(from, 1);
+        list.splice(state, 0, item);
+      });
+      this._renderIngredientRows();
+      return;
+    }
+    const index = this.rowKeys.indexOf(command.key);
+    const original = this.originalRows.get(command.key);
+    this._recordSubstitution(command.key, this.ingredients[index], state.line, state.source);
+    this.ingredients[index] = state.line;
+    this.normalizedIngredients[index] = state.normalized;
+    const row = this.container && this.container.querySelector(`.substitution-row[data-index="${index}"]`);
+    if (row) {
+      row.querySelector('.substitution-row-ingredient').textContent = state.line;
+      row.querySelector('.substitution-row-restore-btn').style.display =
+        original && state.line !== original.line ? '' : 'none';
+    }
+    this._flagDietaryViolation(index);
+  }
+
+  undo() {
+    if (this.activeRowIndex != null || this.undoStack.length === 0) return;
+    const command = this.undoStack.pop();
+    this._applyCommand(command, command.before);
+    this.redoStack.push(command);
+    this._updateHistoryButtons();
+  }
+
+  redo() {
+    if (this.activeRowIndex != null || this.redoStack.length === 0) return;
+    const command = this.redoStack.pop();
+    this._applyCommand(command, command.after);
+    this.undoStack.push(command);
+    this._updateHistoryButtons();
+  }
+
+  /**
+   * Put a row back to the ingredient from the recipe passed to open() (undoable)
+   * @param {number} index - Index of the ingredient to restore
+   */
+  restoreOriginal(index) {
+    const key = this.rowKeys[index];
+    const original = this.originalRows.get(key);
+    if (this.activeRowIndex != null || !original || this.ingredients[index] === original.line) return;
+    this._execute({
+      type: 'ingredient',
+      key,
+      before: this._ingredientState(index),
+      after: { line: original.line, normalized: original.normalized, source: null }
+    });
+  }
+
+  /** Undo/redo are unavailable while a row is being edited */
+  _updateHistoryButtons() {
+    if (!this.container) return;
+    const busy = this.activeRowIndex != null;
+    const undoBtn = this.container.querySelector('.undo-btn');
+    const redoBtn = this.container.querySelector('.redo-btn');
+    if (undoBtn) undoBtn.disabled = busy || this.undoStack.length === 0;
+    if (redoBtn) redoBtn.disabled = busy || this.redoStack.length === 0;
+  }
+
+  /**
+   * Run one LLM request with the loading panel below anchor: streamed preview and a Cancel button
+   * @param {HTMLElement|null} anchor - Element the panel is inserted after
+   * @param {string} label - e.g. "Loading suggestions..."
+   * @param {function(LLMCallOptions): Promise<*>} request - Receives the signal and onText callback
+   * @returns {Promise<*>} The request's result; rejects with an LLMRequestError ('cancelled' on Cancel)
+   */
+  async _runLLMRequest(anchor, label, request) {
+    this._hideInlineNotice();
+    const controller = new AbortController();
+    this._llmController = controller;
+    const preview = this._loadingEl.querySelector('.substitution-stream-preview');
+    this._loadingEl.querySelector('.substitution-loading-label').textContent = label;
+    preview.textContent = '';
+    this._loadingEl.style.display = 'block';
+    if (anchor) anchor.after(this._loadingEl);
+    try {
+      return await request({
+        signal: controller.signal,
+        onText: (text) => { preview.textContent = streamPreview(text); }
+      });
+    } finally {
+      this._llmController = null;
+      this._loadingEl.style.display = 'none';
+      this._loadingEl.remove();
+    }
+  }
+
+  /**
+   * Show a message inline below anchor (errors replace the old alert() popups)
+   * @param {HTMLElement|null} anchor
+   * @param {string} message
+   * @param {{ error?: boolean, onRetry?: function(): void }} [options] - Try again is shown only with onRetry
+   */
+  _showInlineNotice(anchor, message, { error = true, onRetry = null } = {}) {
+    this._noticeEl.querySelector('.substitution-notice-text').textContent = message;
+    this._noticeEl.classList.toggle('error', error);
+    const retryBtn = this._noticeEl.querySelector('.substitution-notice-retry-btn');
+    retryBtn.style.display = onRetry ? '' : 'none';
+    retryBtn.onclick = onRetry
+      ? () => {
+        this._hideInlineNotice();
+        onRetry();
+      }
+      : null;
+    this._noticeEl.style.display = 'block';
+    if (anchor) anchor.after(this._noticeEl);
+    this._scrollIntoView(this._noticeEl);
+  }
+
+  _hideInlineNotice() {
+    if (!this._noticeEl) return;
+    this._noticeEl.style.display = 'none';
+    this._noticeEl.remove();
+  }
+
+  /**
+   * Notice for a failed LLM request; a cancelled request needs none
+   * @param {HTMLElement|null} anchor
+   * @param {Error} err
+   * @param {function(): void} retry
+   */
+  _showLLMError(anchor, err, retry) {
+    if (err.kind === LLM_ERROR_KINDS.CANCELLED) return;
+    const canRetry = err.kind !== LLM_ERROR_KINDS.CONFIG;
+    this._showInlineNotice(anchor, err.message || 'LLM request failed', { onRetry: canRetry ? retry : null });
   }
 
   /** Hide and detach all inline panels from the DOM */
   _hideInlinePanels() {
     if (this._promptEl) { this._promptEl.style.display = 'none'; this._promptEl.remove(); }
     if (this._resultEl) { this._resultEl.style.display = 'none'; this._resultEl.remove(); }
+    if (this._previousEl) { this._previousEl.style.display = 'none'; this._previousEl.remove(); }
     if (this._loadingEl) { this._loadingEl.style.display = 'none'; this._loadingEl.remove(); }
+    this._hideInlineNotice();
+  }
+
+  /**
+   * Track a changed row for the version history; repeated changes to one row collapse into one entry
+   * @param {number} key - Row key (see rowKeys)
+   * @param {string} from - Line before the change
+   * @param {string} to - Line after the change
+   * @param {'llm'|'builtin'|'manual'} source
+   */
+  _recordSubstitution(key, from, to, source) {
+    const existing = this.substitutions.find(sub => sub.key === key);
+    if (existing) {
+      existing.to = to;
+      existing.source = source;
+      if (existing.from === to) this.substitutions = this.substitutions.filter(sub => sub !== existing);
+    } else if (from !== to) {
+      this.substitutions.push({ key, from, to, source });
+    }
+  }
+
+  /**
+   * Warn on a row whose ingredient breaks the active dietary profile (the change is still kept)
+   * @param {number} index - Index of the ingredient to check
+   */
+  _flagDietaryViolation(index) {
+    const row = this.container && this.container.querySelector(`.substitution-row[data-index="${index}"]`);
+    if (!row) return;
+    const violations = findDietaryViolations([this.normalizedIngredients[index]], this.dietaryProfile);
+    row.classList.toggle('diet-violation', violations.length > 0);
+    let warning = row.querySelector('.substitution-diet-warning');
+    if (violations.length === 0) {
+      if (warning) warning.remove();
+      return;
+    }
+    if (!warning) {
+      warning = document.createElement('small');
+      warning.className = 'substitution-diet-warning';
+      row.appendChild(warning);
+    }
+    warning.innerHTML = `<i class="bi bi-exclamation-triangle"></i> Breaks your dietary profile (${escapeHtml(violations[0].categories.join(', '))})`;
   }
 
   /** Enable or disable the Save Recipe button */
@@ -296,6 +1174,7 @@ class SubstitutionEditor {
       btn.disabled = disabled;
       btn.classList.toggle('disabled', disabled);
     }
+    this._updateHistoryButtons();
   }
 
   /** Smoothly scroll an element into view */
@@ -306,17 +1185,117 @@ class SubstitutionEditor {
   }
 
   close() {
+    if (this._llmController) this._llmController.abort();
     // Clean up WiFi event listeners
     if (this._wifiCleanup) {
       this._wifiCleanup();
       this._wifiCleanup = null;
     }
+    if (this._keyboardCleanup) {
+      this._keyboardCleanup();
+      this._keyboardCleanup = null;
+    }
     if (window.recipeEngine) {
       document.getElementById('recipe-suggestions').innerHTML = '';
       window.recipeEngine.loadSuggestions();
     }
   }
 
+  /**
+   * Show built-in substitutions (staticSubstitutions table) for an ingredient row.
+   * Falls back to inline manual edit when no rule covers the ingredient.
+   * @param {number} index - Index of the ingredient to substitute
+   */
+  async openOfflineSubstitutions(index) {
+    const row = this.container.querySelector(`.substitution-row[data-index="${index}"]`);
+    if (!row) return;
+    let result = null;
+    try {
+      result = await findStaticSubstitutions(db, this.ingredients[index]);
+    } catch (error) {
+      console.error('Error loading built-in substitutions:', error);
+    }
+    const previous = await this._loadPreviousSubstitutions(index);
+    if (!result && previous.length === 0) {
+      this.openManualEdit(index);
+      return;
+    }
+    this.activeRowIndex = index;
+    this._setSaveDisabled(true);
+    this.container.querySelectorAll('.substitution-row').forEach(r => r.classList.remove('selected'));
+    row.classList.add('selected');
+    this._hideInlinePanels();
+    const anchor = this._showPreviousSuggestions(previous, row) ? this._previousEl : row;
+    if (result) {
+      this._showSubstitutionResult(result, anchor, true);
+    } else {
+      this._showCachedResult(previous[0]);
+    }
+  }
+
+  /**
+   * Earlier LLM answers for a row's ingredient; errors are logged and give an empty list
+   * @param {number} index
+   * @returns {Promise<Object[]>} contextHistory entries (see findPreviousSubstitutions)
+   */
+  async _loadPreviousSubstitutions(index) {
+    try {
+      return await findPreviousSubstitutions(db, this.ingredients[index], this.recipe);
+    } catch (error) {
+      console.error('Error loading previous substitutions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * List earlier answers inline below anchor; picking one shows its options without a request
+   * @param {Object[]} entries - contextHistory entries
+   * @param {HTMLElement} anchor
+   * @returns {boolean} Whether the list is shown
+   */
+  _showPreviousSuggestions(entries, anchor) {
+    const list = this._previousEl.querySelector('.substitution-previous-list');
+    list.innerHTML = '';
+    if (entries.length === 0) return false;
+    entries.forEach(entry => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'substitution-previous-btn';
+      btn.dataset.id = String(entry.id);
+      const fromOtherRecipe = entry.recipeId !== (this.recipe && this.recipe.id);
+      btn.innerHTML = `
+        <span class="substitution-previous-prompt">“${escapeHtml(entry.prompt)}”${fromOtherRecipe ? ` <small>in ${escapeHtml(entry.recipeTitle || 'another recipe')}</small>` : ''}</span>
+        <span class="substitution-previous-options">${escapeHtml(entry.substitutions.map(sub => sub.normalized).join(', '))}</span>
+      `;
+      btn.addEventListener('click', () => this._showCachedResult(entry));
+      list.appendChild(btn);
+    });
+    this._previousEl.style.display = 'block';
+    anchor.after(this._previousEl);
+    return true;
+  }
+
+  /**
+   * Show a stored answer as the row's options (source stays 'llm'); online it can be asked again
+   * @param {Object} entry - contextHistory entry
+   */
+  _showCachedResult(entry) {
+    const row = this.container.querySelector(`.substitution-row[data-index="${this.activeRowIndex}"]`);
+    const anchor = this._previousEl.isConnected ? this._previousEl : (this._promptEl.isConnected ? this._promptEl : row);
+    this._previousEl.querySelectorAll('.substitution-previous-btn').forEach(btn => {
+      btn.classList.toggle('selected', btn.dataset.id === String(entry.id));
+    });
+    this._showSubstitutionResult({ substitutions: entry.substitutions, explanation: entry.explanation }, anchor, false);
+    const label = this._resultEl.querySelector('.substitution-cached-label');
+    label.textContent = `Previously suggested for “${entry.prompt}” on ${new Date(entry.date).toLocaleDateString()}`;
+    label.style.display = '';
+    this.pendingCachedPrompt = entry.prompt;
+    const online = isLLMAvailable();
+    this._resultEl.querySelector('.substitution-ask-again-btn').style.display = online ? '' : 'none';
+    // Offline there is no prompt panel, so typing a replacement has to be offered here
+    this._resultEl.querySelector('.substitution-manual-edit-btn').style.display = online ? 'none' : '';
+  }
+
   /**
    * Open inline manual edit for an ingredient row (used when WiFi is off).
    * Replaces the ingredient text with an input field and the pencil button with a checkmark.
@@ -350,19 +1329,25 @@ class SubstitutionEditor {
     const confirmEdit = (e) => {
       e.stopPropagation();
       const newVal = input.value.trim();
-      if (newVal) {
-        this.ingredients[index] = newVal;
-        this.normalizedIngredients[index] = newVal.toLowerCase().trim();
-      }
-      // Restore the row to display mode
+      // Restore the row to display mode before applying, so the command writes the final text
       span.textContent = this.ingredients[index];
+      if (newVal && newVal !== this.ingredients[index]) {
+        const command = {
+          type: 'ingredient',
+          key: this.rowKeys[index],
+          before: this._ingredientState(index),
+          after: manualIngredientState(newVal)
+        };
+        this._execute(command);
+        this._proposeInstructionRewrites(command.before, command.after);
+      }
       btn.innerHTML = '<i class="bi bi-pencil-square"></i>';
       btn.classList.remove('confirm-edit');
       row.classList.remove('selected');
       this.activeRowIndex = null;
       this._setSaveDisabled(false);
-      // Scroll to save button after manual confirm
-      this._scrollIntoView(this.container.querySelector('.save-recipe-btn'));
+      // Scroll to save button after manual confirm (or stay on the step rewrite proposal)
+      if (!this.pendingRewrite) this._scrollIntoView(this.container.querySelector('.save-recipe-btn'));
       // Remove the one-time confirm handler so the original click handler works again
       btn.removeEventListener('click', confirmEdit);
     };
@@ -376,85 +1361,121 @@ class SubstitutionEditor {
     });
   }
 
-  async submitPrompt() {
-    if (this.activeRowIndex == null) return;
-    // Guard: prevent LLM calls when there is no internet connectivity
-    const connected = navigator.onLine;
-    if (!connected) {
-      alert('No internet connection. LLM-powered substitution is unavailable. Use the pencil icon to manually edit ingredients.');
-      return;
-    }
+  /**
+   * Ask the LLM about the active row; an earlier answer to the same question is reused
+   * @param {{ refresh?: boolean }} [options] - refresh skips the stored answer
+   */
+  async submitPrompt({ refresh = false } = {}) {
+    if (this.activeRowIndex == null || this._llmController) return;
     const input = this._promptEl.querySelector('.substitution-prompt-input');
     const prompt = (input.value || '').trim();
     if (!prompt) return;
-    const config = getMCPConfig();
-    if (!config.apiEndpoint || !config.apiKey) {
-      alert('MCP not configured. Set window.RECIPES_MCP_CONFIG = { apiEndpoint, apiKey }.');
+    const index = this.activeRowIndex;
+    const ingredient = this.ingredients[index];
+    if (!refresh) {
+      const cached = await findCachedSubstitution(db, this.recipe, ingredient, prompt).catch(error => {
+        console.error('Error reading substitution cache:', error);
+        return null;
+      });
+      if (cached && this.activeRowIndex === index) {
+        this._showCachedResult(cached);
+        return;
+      }
+    }
+    // Guard: prevent LLM calls when there is no internet connectivity (local providers excepted)
+    if (!isLLMAvailable()) {
+      this._showInlineNotice(this._promptEl, isLLMConfigured()
+        ? 'No internet connection. LLM-powered substitution is unavailable. Use the pencil icon to manually edit ingredients.'
+        : 'No LLM provider configured. Choose one in Settings.');
       return;
     }
-    const activeRow = this.container.querySelector(`.substitution-row[data-index="${this.activeRowIndex}"]`);
+    const activeRow = this.container.querySelector(`.substitution-row[data-index="${index}"]`);
     // Hide prompt, show loading inline below the row
     this._promptEl.style.display = 'none';
     this._resultEl.style.display = 'none';
-    this._loadingEl.style.display = 'block';
-    if (activeRow) activeRow.after(this._loadingEl);
+    this._previousEl.style.display = 'none';
     try {
-      const result = await fetchSubstitutions(
-        this.recipe,
-        this.ingredients[this.activeRowIndex],
-        prompt
-      );
-      this.pendingSubstitutions = result.substitutions;
-      this.pendingExplanation = result.explanation;
-      this.pendingSelectedIndex = 0;
-      this._loadingEl.style.display = 'none';
-      this._resultEl.querySelector('.substitution-explanation').textContent = result.explanation;
-      const optionsList = this._resultEl.querySelector('.substitution-options-list');
-      optionsList.innerHTML = '';
-      result.substitutions.forEach((sub, i) => {
-        const btn = document.createElement('button');
-        btn.type = 'button';
-        btn.className = 'substitution-option-btn' + (i === 0 ? ' substitution-option-selected' : '');
-        btn.textContent = sub.normalized;
-        btn.dataset.index = String(i);
-        btn.addEventListener('click', () => {
-          this.pendingSelectedIndex = i;
-          optionsList.querySelectorAll('.substitution-option-btn').forEach((b, j) => {
-            b.classList.toggle('substitution-option-selected', j === i);
-          });
-        });
-        optionsList.appendChild(btn);
-      });
-      // Show result inline below the row
-      this._resultEl.style.display = 'block';
-      if (activeRow) activeRow.after(this._resultEl);
-      // Scroll to the result options
-      this._scrollIntoView(this._resultEl);
+      const result = await this._runLLMRequest(activeRow, 'Loading suggestions...',
+        options => fetchSubstitutions(this.recipe, ingredient, prompt, options));
+      await saveCachedSubstitution(db, { recipe: this.recipe, ingredient, prompt, result })
+        .catch(error => console.error('Error caching substitution:', error));
+      this._previousEl.remove();
+      this._showSubstitutionResult(result, activeRow, false);
     } catch (err) {
-      this._loadingEl.style.display = 'none';
       this._promptEl.style.display = 'block';
       if (activeRow) activeRow.after(this._promptEl);
-      alert(err.message || 'Failed to get substitutions');
+      if (this._previousEl.isConnected) {
+        this._previousEl.style.display = 'block';
+        this._promptEl.after(this._previousEl);
+      }
+      this._showLLMError(this._promptEl, err, () => this.submitPrompt({ refresh: true }));
     }
   }
 
+  /**
+   * Show substitution options inline below a row
+   * @param {{ substitutions: { raw: string, normalized: string }[], explanation: string }} result
+   * @param {HTMLElement} activeRow
+   * @param {boolean} isOffline - Built-in result: also offer manual editing
+   */
+  _showSubstitutionResult(result, activeRow, isOffline) {
+    this.pendingSource = isOffline ? 'builtin' : 'llm';
+    this.pendingSubstitutions = result.substitutions;
+    this.pendingExplanation = result.explanation;
+    this.pendingSelectedIndex = 0;
+    this._resultEl.querySelector('.substitution-explanation').textContent = result.explanation;
+    const optionsList = this._resultEl.querySelector('.substitution-options-list');
+    optionsList.innerHTML = '';
+    result.substitutions.forEach((sub, i) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'substitution-option-btn' + (i === 0 ? ' substitution-option-selected' : '');
+      // Built-in rules can combine ingredients ("milk + lemon juice"), so show the full line
+      btn.textContent = isOffline || this.batch ? sub.raw : sub.normalized;
+      btn.dataset.index = String(i);
+      btn.addEventListener('click', () => {
+        this.pendingSelectedIndex = i;
+        optionsList.querySelectorAll('.substitution-option-btn').forEach((b, j) => {
+          b.classList.toggle('substitution-option-selected', j === i);
+        });
+      });
+      optionsList.appendChild(btn);
+    });
+    this._resultEl.querySelector('.substitution-manual-edit-btn').style.display = isOffline ? '' : 'none';
+    this._resultEl.querySelector('.substitution-cached-label').style.display = 'none';
+    this._resultEl.querySelector('.substitution-ask-again-btn').style.display = 'none';
+    this.pendingCachedPrompt = null;
+    this._resultEl.querySelector('.substitution-batch-stop-btn').style.display =
+      this.batch && this.batch.queue.length > 0 ? '' : 'none';
+    // Show result inline below the row
+    this._resultEl.style.display = 'block';
+    if (activeRow) activeRow.after(this._resultEl);
+    // Scroll to the result options
+    this._scrollIntoView(this._resultEl);
+  }
+
   acceptSubstitution() {
     if (this.activeRowIndex == null || !this.pendingSubstitutions || this.pendingSubstitutions.length === 0) return;
     const idx = Math.min(this.pendingSelectedIndex, this.pendingSubstitutions.length - 1);
     const replacement = this.pendingSubstitutions[idx];
-    this.ingredients[this.activeRowIndex] = replacement.raw;
-    this.normalizedIngredients[this.activeRowIndex] = replacement.normalized;
+    const command = {
+      type: 'ingredient',
+      key: this.rowKeys[this.activeRowIndex],
+      before: this._ingredientState(this.activeRowIndex),
+      after: { line: replacement.raw, normalized: replacement.normalized, source: this.pendingSource }
+    };
+    this._execute(command);
+    this._proposeInstructionRewrites(command.before, command.after);
     this.pendingSubstitutions = null;
     this.pendingExplanation = null;
     this.pendingSelectedIndex = 0;
     this._hideInlinePanels();
-    const row = this.container.querySelector(`.substitution-row[data-index="${this.activeRowIndex}"]`);
-    if (row) row.querySelector('.substitution-row-ingredient').textContent = replacement.raw;
     this.activeRowIndex = null;
     this.container.querySelectorAll('.substitution-row').forEach(r => r.classList.remove('selected'));
     this._setSaveDisabled(false);
-    // Scroll to save button after accepting substitution
-    this._scrollIntoView(this.container.querySelector('.save-recipe-btn'));
+    if (this._continueBatch()) return;
+    // Scroll to save button after accepting substitution (or stay on the step rewrite proposal)
+    if (!this.pendingRewrite) this._scrollIntoView(this.container.querySelector('.save-recipe-btn'));
   }
 
   rejectSubstitution() {
@@ -465,24 +1486,107 @@ class SubstitutionEditor {
     this._hideInlinePanels();
     this.container.querySelectorAll('.substitution-row').forEach(r => r.classList.remove('selected'));
     this._setSaveDisabled(false);
+    this._continueBatch();
+  }
+
+  /**
+   * Ask the LLM for a change set covering the whole recipe, then review it row by row
+   */
+  async submitTransformPrompt() {
+    if (this.activeRowIndex != null || this.batch || this._llmController) return;
+    const area = this.container.querySelector('.substitution-transform-area');
+    if (!isLLMAvailable()) {
+      this._showInlineNotice(area, 'No internet connection or LLM provider. Whole-recipe changes need the LLM.');
+      return;
+    }
+    const input = area.querySelector('.substitution-transform-input');
+    const prompt = (input.value || '').trim();
+    if (!prompt || this.ingredients.length === 0) return;
+    const rowKeys = [...this.rowKeys];
+    this._setSaveDisabled(true);
+    this._hideInlinePanels();
+    try {
+      const result = await this._runLLMRequest(area, 'Working on the whole recipe...',
+        options => fetchTransformation({ title: this.title, ingredients: [...this.ingredients] }, prompt, options));
+      // Rows are looked up by key, so the change set stays attached to the lines it was made for
+      const queue = result.changes
+        .map(change => ({ key: rowKeys[change.index], raw: change.raw, normalized: change.normalized }))
+        .filter(change => this.rowKeys.includes(change.key)
+          && change.raw !== this.ingredients[this.rowKeys.indexOf(change.key)]);
+      if (queue.length === 0) {
+        this._setSaveDisabled(false);
+        this._showInlineNotice(area, result.explanation || 'No ingredient changes suggested.', { error: false });
+        return;
+      }
+      input.value = '';
+      this.batch = { explanation: result.explanation, total: queue.length, queue };
+      this._continueBatch();
+    } catch (err) {
+      this._setSaveDisabled(false);
+      this._showLLMError(area, err, () => this.submitTransformPrompt());
+    }
+  }
+
+  /**
+   * Open the next change of a whole-recipe change set on its row
+   * @returns {boolean} Whether a change is now shown
+   */
+  _continueBatch() {
+    const progress = this._resultEl && this._resultEl.querySelector('.substitution-batch-progress');
+    while (this.batch && this.batch.queue.length > 0) {
+      const change = this.batch.queue.shift();
+      const index = this.rowKeys.indexOf(change.key);
+      const row = index === -1 ? null : this.container.querySelector(`.substitution-row[data-index="${index}"]`);
+      if (!row) continue;
+      this.activeRowIndex = index;
+      this._setSaveDisabled(true);
+      this.container.querySelectorAll('.substitution-row').forEach(r => r.classList.remove('selected'));
+      row.classList.add('selected');
+      this._hideInlinePanels();
+      progress.textContent = `Change ${this.batch.total - this.batch.queue.length} of ${this.batch.total}: ${this.ingredients[index]} →`;
+      progress.style.display = '';
+      this._showSubstitutionResult(
+        { substitutions: [{ raw: change.raw, normalized: change.normalized }], explanation: this.batch.explanation },
+        row,
+        false
+      );
+      return true;
+    }
+    this.batch = null;
+    if (progress) progress.style.display = 'none';
+    return false;
   }
 
   async saveRecipe() {
+    const saveBtn = this.container && this.container.querySelector('.save-recipe-btn');
+    this._hideInlineNotice();
+    if (this.ingredients.length === 0) {
+      this._showInlineNotice(saveBtn, 'Add at least one ingredient before saving.');
+      return;
+    }
     const title = this.title || 'Untitled';
-    const instructions = this.recipe.instructions || '';
+    // Untouched steps keep the original text and formatting
+    const instructions = this.stepsEdited ? joinInstructionSteps(this.steps) : (this.recipe.instructions || '');
+    // Substitutions on rows that were since removed or added in this session are not history
+    const substitutions = this.substitutions
+      .filter(sub => this.originalRows.has(sub.key) && this.rowKeys.includes(sub.key))
+      .map(({ key, from, to, source }) => ({ index: this.rowKeys.indexOf(key), from, to, source }));
     const payload = {
       title,
       ingredients: [...this.ingredients],
       instructions,
-      normalizedIngredients: [...this.normalizedIngredients]
+      normalizedIngredients: [...this.normalizedIngredients],
+      parsedIngredients: this.ingredients.map(parseIngredientLine)
     };
+    if (this.recipe.servings != null) payload.servings = this.recipe.servings;
     try {
       if (!window.app) {
         throw new Error('App not loaded. Check that app.js is loaded before substitution.js.');
       }
       if (this.isFork) {
-        payload.id = 'fork-' + Date.now();
-        await window.app.saveForkedRecipe(payload);
+        payload.id = FORK_ID_PREFIX + Date.now();
+        payload.parentId = this.recipe.id;
+        await window.app.saveForkedRecipe(payload, { substitutions });
         if (typeof window.app.updateIngredientsTableOnFork === 'function') {
           await window.app.updateIngredientsTableOnFork(payload);
         } else if (typeof window.app.recalculateIngredientTable === 'function') {
@@ -490,7 +1594,8 @@ class SubstitutionEditor {
         }
       } else {
         payload.id = this.recipe.id;
-        await window.app.updateRecipe(payload);
+        if (this.recipe.parentId != null) payload.parentId = this.recipe.parentId;
+        await window.app.updateRecipe(payload, { substitutions });
         if (typeof window.app.updateIngredientsTableOnEdit === 'function') {
           await window.app.updateIngredientsTableOnEdit(this.recipe, payload);
         } else if (typeof window.app.recalculateIngredientTable === 'function') {
@@ -500,7 +1605,8 @@ class SubstitutionEditor {
       await window.app.autoLike(payload.id, title);
       this.close();
     } catch (err) {
-      alert(err.message || 'Failed to save recipe');
+      console.error('Error saving recipe:', err);
+      this._showInlineNotice(saveBtn, err.message || 'Failed to save recipe', { onRetry: () => this.saveRecipe() });
     }
   }
 }
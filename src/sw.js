@@ -0,0 +1,133 @@
+/**
+ * Service Worker
+ * Precaches the app shell and CDN dependencies so the Pantry, Suggestions and
+ * Library tabs load with no network. Bump CACHE_VERSION to swap caches.
+ */
+
+const CACHE_PREFIX = 'recipes-miniapp-';
+const CACHE_VERSION = 'v38';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+const APP_SHELL = [
+  './',
+  'index.html',
+  'manifest.json',
+  'styles.css',
+  'vocabulary.js',
+  'ingredient_vocabulary.json.zip',
+  'ingredient-parser.js',
+  'unit-conversion.js',
+  'ingredient-canonical.js',
+  'recipe-index.js',
+  'static-substitutions.js',
+  'substitution-cache.js',
+  'preference-model.js',
+  'dietary-profile.js',
+  'recipe-history.js',
+  'instruction-rewrite.js',
+  'llm-providers.js',
+  'recipe-scoring.js',
+  'recipe-worker.js',
+  'recipe-worker-client.js',
+  'pantry-manager.js',
+  'shopping-list.js',
+  'app.js',
+  'ingredients.js',
+  'recipes.js',
+  'substitution.js'
+];
+
+const CDN_ASSETS = [
+  'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css',
+  'https://cdn.jsdelivr.net/npm/bootstrap-icons@1.11.0/font/bootstrap-icons.css',
+  'https://cdn.jsdelivr.net/npm/bootstrap-icons@1.11.0/font/fonts/bootstrap-icons.woff2',
+  'https://cdn.jsdelivr.net/npm/bootstrap-icons@1.11.0/font/fonts/bootstrap-icons.woff',
+  'https://cdnjs.cloudflare.com/ajax/libs/dexie/4.2.0/dexie.js'
+];
+
+// Hosts whose GET responses are cached at runtime (e.g. icon fonts requested with a hash query)
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'cdnjs.cloudflare.com'];
+
+/**
+ * Fetch a CDN asset in CORS mode so the cached response is readable by the page.
+ * @param {Cache} cache
+ * @param {string} url
+ */
+const precacheCdnAsset = async (cache, url) => {
+  try {
+    const response = await fetch(new Request(url, { mode: 'cors' }));
+    if (response.ok) await cache.put(url, response);
+  } catch (error) {
+    // One missing CDN file should not block the install; it is cached on first use instead
+    console.warn(`Could not precache ${url}:`, error);
+  }
+};
+
+// Install - cache app shell and CDN dependencies
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(APP_SHELL);
+    await Promise.all(CDN_ASSETS.map(url => precacheCdnAsset(cache, url)));
+    await self.skipWaiting();
+  })());
+});
+
+// Activate - drop caches from previous versions
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(
+      names
+        .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+        .map(name => caches.delete(name))
+    );
+    await self.clients.claim();
+  })());
+});
+
+/**
+ * Whether a request should be served from (and stored in) the cache.
+ * LLM calls and other API traffic always go to the network.
+ * @param {Request} request
+ * @returns {boolean}
+ */
+const isCacheable = (request) => {
+  if (request.method !== 'GET') return false;
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) return true;
+  return CDN_HOSTS.includes(url.hostname);
+};
+
+/**
+ * Cache first, fall back to network and store successful responses.
+ * Navigations fall back to the cached index.html when offline.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+const cacheFirst = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  // CDN assets are versioned by path, so cache-busting queries (icon font hashes) can be ignored
+  const sameOrigin = new URL(request.url).origin === self.location.origin;
+  const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' || !sameOrigin });
+  if (cached) return cached;
+  try {
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    if (request.mode === 'navigate') {
+      const shell = await cache.match('index.html');
+      if (shell) return shell;
+    }
+    throw error;
+  }
+};
+
+// Fetch - serve from cache, fallback to network
+self.addEventListener('fetch', (event) => {
+  if (!isCacheable(event.request)) return;
+  event.respondWith(cacheFirst(event.request));
+});
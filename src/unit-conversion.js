@@ -0,0 +1,298 @@
+/**
+ * Unit Conversion & Scaling
+ * Rescales parsed ingredient lines (see ingredient-parser.js) and converts them between
+ * metric and imperial units, using densities for common dry goods. No DOM access.
+ */
+
+const UNIT_SYSTEMS = {
+  ORIGINAL: 'original',
+  METRIC: 'metric',
+  IMPERIAL: 'imperial'
+};
+
+const DEFAULT_SERVINGS = 4;
+
+// Millilitres per unit
+const VOLUME_UNITS = {
+  tsp: 4.92892,
+  tbsp: 14.7868,
+  'fl oz': 29.5735,
+  cup: 236.588,
+  pint: 473.176,
+  quart: 946.353,
+  gallon: 3785.41,
+  ml: 1,
+  l: 1000
+};
+
+// Grams per unit
+const MASS_UNITS = {
+  mg: 0.001,
+  g: 1,
+  kg: 1000,
+  oz: 28.3495,
+  lb: 453.592
+};
+
+const METRIC_UNITS = new Set(['ml', 'l', 'mg', 'g', 'kg']);
+
+// Grams per cup for dry goods (and a few dense pantry staples), matched by ingredient name
+const DRY_GOODS_DENSITY = [
+  ['powdered sugar', 120],
+  ['confectioners sugar', 120],
+  ['brown sugar', 213],
+  ['sugar', 200],
+  ['whole wheat flour', 120],
+  ['almond flour', 96],
+  ['bread flour', 127],
+  ['flour', 125],
+  ['cornstarch', 128],
+  ['cocoa powder', 85],
+  ['cocoa', 85],
+  ['rolled oats', 90],
+  ['oats', 90],
+  ['rice', 185],
+  ['quinoa', 170],
+  ['breadcrumbs', 108],
+  ['bread crumbs', 108],
+  ['panko', 60],
+  ['chocolate chips', 170],
+  ['grated parmesan', 100],
+  ['grated parmesan cheese', 100],
+  ['shredded cheese', 113],
+  ['butter', 227],
+  ['honey', 340],
+  ['peanut butter', 258],
+  ['salt', 288],
+  ['baking soda', 220],
+  ['baking powder', 192]
+];
+
+// Longest keys first, so "peanut butter" wins over "butter"
+const DRY_GOODS_BY_LENGTH = [...DRY_GOODS_DENSITY]
+  .map(([key, density]) => [key.split(' '), density])
+  .sort((a, b) => b[0].length - a[0].length);
+
+// Names with these words are liquids even when they start like a dry good ("rice vinegar", "butter milk")
+const LIQUID_WORDS = new Set([
+  'vinegar', 'wine', 'milk', 'water', 'juice', 'oil', 'stock', 'broth', 'sauce', 'syrup', 'extract', 'liqueur'
+]);
+
+const FRACTION_DENOMINATORS = [2, 3, 4, 8];
+
+// Units re-picked after scaling so amounts stay readable (1/16 cup -> 1 tbsp, 1500 g -> 1.5 kg)
+const SPOON_CUP_UNITS = new Set(['tsp', 'tbsp', 'cup']);
+
+const UNIT_PLURALS = {
+  cup: 'cups', pint: 'pints', quart: 'quarts', gallon: 'gallons', pinch: 'pinches', dash: 'dashes',
+  clove: 'cloves', can: 'cans', package: 'packages', stick: 'sticks', slice: 'slices',
+  piece: 'pieces', bunch: 'bunches', sprig: 'sprigs', head: 'heads'
+};
+
+/**
+ * Grams per cup for an ingredient name, or null when unknown.
+ * A key must be the last whole words of the name (before any comma or parenthesis), so
+ * "unsalted butter" is butter but "sugar snap peas" is not sugar.
+ * @param {string} name - Parsed ingredient name
+ * @returns {number|null}
+ */
+function getDryGoodDensity(name) {
+  const words = (name || '')
+    .toLowerCase()
+    .split(/[,(]/)[0]
+    .replace(/['’]/g, '')
+    .split(/[^a-z]+/)
+    .filter(Boolean);
+  if (words.length === 0 || words.some(word => LIQUID_WORDS.has(word))) return null;
+  const entry = DRY_GOODS_BY_LENGTH.find(([keyWords]) =>
+    keyWords.length <= words.length &&
+    keyWords.every((word, i) => words[words.length - keyWords.length + i] === word));
+  return entry ? entry[1] : null;
+}
+
+/**
+ * Format a quantity for display: kitchen fractions for imperial and count units, rounded decimals for metric
+ * @param {number} value
+ * @param {string|null} unit - Canonical unit
+ * @returns {string}
+ */
+function formatQuantity(value, unit) {
+  if (value == null || !Number.isFinite(value)) return '';
+  if (METRIC_UNITS.has(unit)) {
+    if (value >= 100) return String(Math.round(value / 5) * 5);
+    if (value >= 10) return String(Math.round(value));
+    return String(Math.round(value * 10) / 10);
+  }
+  const whole = Math.floor(value);
+  const remainder = value - whole;
+  // Closest simple fraction for the remainder
+  let best = { text: '', error: remainder, carry: 0 };
+  FRACTION_DENOMINATORS.forEach(denominator => {
+    const numerator = Math.round(remainder * denominator);
+    const error = Math.abs(remainder - numerator / denominator);
+    if (error < best.error - 1e-9) {
+      best = numerator === denominator
+        ? { text: '', error, carry: 1 }
+        : { text: numerator === 0 ? '' : `${numerator}/${denominator}`, error, carry: 0 };
+    }
+  });
+  if (remainder > 0 && 1 - remainder < best.error) {
+    best = { text: '', error: 1 - remainder, carry: 1 };
+  }
+  const wholePart = whole + best.carry;
+  if (wholePart === 0 && !best.text) {
+    // Tiny amounts still need a visible quantity
+    return '1/8';
+  }
+  if (wholePart === 0) return best.text;
+  return best.text ? `${wholePart} ${best.text}` : String(wholePart);
+}
+
+/**
+ * Multiply a parsed line's quantities, re-picking spoon/cup and metric units that scaled out of range
+ * @param {Object} parsed - Output of parseIngredientLine
+ * @param {number} factor
+ * @returns {Object} New parsed line
+ */
+function scaleParsedIngredient(parsed, factor) {
+  if (parsed.quantity == null || factor === 1) return { ...parsed };
+  const scaled = {
+    ...parsed,
+    quantity: parsed.quantity * factor,
+    quantityMax: parsed.quantityMax != null ? parsed.quantityMax * factor : null
+  };
+  const { unit } = scaled;
+  let target = null;
+  let toBase = 1;
+  if (SPOON_CUP_UNITS.has(unit)) {
+    toBase = VOLUME_UNITS[unit];
+    target = bestImperialUnit(scaled.quantity * toBase, 'volume');
+  } else if (METRIC_UNITS.has(unit) && unit !== 'mg') {
+    const kind = VOLUME_UNITS[unit] != null ? 'volume' : 'mass';
+    toBase = kind === 'volume' ? VOLUME_UNITS[unit] : MASS_UNITS[unit];
+    target = bestMetricUnit(scaled.quantity * toBase, kind);
+  }
+  if (!target || target.unit === unit) return scaled;
+  return {
+    ...scaled,
+    unit: target.unit,
+    quantity: scaled.quantity * toBase * target.factor,
+    quantityMax: scaled.quantityMax != null ? scaled.quantityMax * toBase * target.factor : null
+  };
+}
+
+/**
+ * Pick a readable metric unit for an amount in ml or g
+ * @param {number} amount
+ * @param {'volume'|'mass'} kind
+ */
+function bestMetricUnit(amount, kind) {
+  if (kind === 'volume') return amount >= 1000 ? { unit: 'l', factor: 1 / 1000 } : { unit: 'ml', factor: 1 };
+  return amount >= 1000 ? { unit: 'kg', factor: 1 / 1000 } : { unit: 'g', factor: 1 };
+}
+
+/**
+ * Pick a readable imperial unit for an amount in ml or g
+ * @param {number} amount
+ * @param {'volume'|'mass'} kind
+ */
+function bestImperialUnit(amount, kind) {
+  // Tolerance (ml) so exact boundaries like 1/16 cup = 1 tbsp survive rounding in the table
+  const epsilon = 0.01;
+  if (kind === 'volume') {
+    if (amount < VOLUME_UNITS.tbsp - epsilon) return { unit: 'tsp', factor: 1 / VOLUME_UNITS.tsp };
+    if (amount < VOLUME_UNITS.cup / 4 - epsilon) return { unit: 'tbsp', factor: 1 / VOLUME_UNITS.tbsp };
+    return { unit: 'cup', factor: 1 / VOLUME_UNITS.cup };
+  }
+  if (amount >= MASS_UNITS.lb) return { unit: 'lb', factor: 1 / MASS_UNITS.lb };
+  return { unit: 'oz', factor: 1 / MASS_UNITS.oz };
+}
+
+/**
+ * Convert a parsed line to the requested unit system.
+ * Dry goods with a known density go from cups/spoons to grams (metric) and back (imperial).
+ * Units with no conversion (cloves, cans, counts) are left unchanged.
+ * @param {Object} parsed - Output of parseIngredientLine
+ * @param {string} system - One of UNIT_SYSTEMS
+ * @returns {Object} New parsed line
+ */
+function convertParsedIngredient(parsed, system) {
+  const { unit, quantity } = parsed;
+  if (system === UNIT_SYSTEMS.ORIGINAL || quantity == null || !unit) return { ...parsed };
+  const isVolume = VOLUME_UNITS[unit] != null;
+  const isMass = MASS_UNITS[unit] != null;
+  if (!isVolume && !isMass) return { ...parsed };
+  if (system === UNIT_SYSTEMS.METRIC && METRIC_UNITS.has(unit)) return { ...parsed };
+  if (system === UNIT_SYSTEMS.IMPERIAL && !METRIC_UNITS.has(unit)) return { ...parsed };
+
+  const density = getDryGoodDensity(parsed.name);
+  // Base amount in ml (volume) or g (mass), switching kind through density when it reads better
+  let kind = isVolume ? 'volume' : 'mass';
+  let toBase = isVolume ? VOLUME_UNITS[unit] : MASS_UNITS[unit];
+  if (system === UNIT_SYSTEMS.METRIC && kind === 'volume' && density) {
+    kind = 'mass';
+    toBase = VOLUME_UNITS[unit] * density / VOLUME_UNITS.cup;
+  } else if (system === UNIT_SYSTEMS.IMPERIAL && kind === 'mass' && density) {
+    kind = 'volume';
+    toBase = MASS_UNITS[unit] * VOLUME_UNITS.cup / density;
+  }
+  const base = quantity * toBase;
+  const target = system === UNIT_SYSTEMS.METRIC ? bestMetricUnit(base, kind) : bestImperialUnit(base, kind);
+  return {
+    ...parsed,
+    unit: target.unit,
+    quantity: base * target.factor,
+    quantityMax: parsed.quantityMax != null ? parsed.quantityMax * toBase * target.factor : null
+  };
+}
+
+/**
+ * Render a parsed line back to text ("1 1/2 cups flour, sifted")
+ * @param {Object} parsed
+ * @returns {string}
+ */
+function formatIngredientLine(parsed) {
+  if (parsed.quantity == null) return parsed.raw;
+  const low = formatQuantity(parsed.quantity, parsed.unit);
+  const high = parsed.quantityMax != null ? formatQuantity(parsed.quantityMax, parsed.unit) : null;
+  const amount = high ? `${low}–${high}` : low;
+  // Plural unless the (upper) amount reads as one or a fraction of one
+  const shown = high || low;
+  const plural = shown !== '1' && !/^\d+\/\d+$/.test(shown);
+  const unit = parsed.unit ? (plural && UNIT_PLURALS[parsed.unit]) || parsed.unit : '';
+  const parts = [amount, unit, parsed.name].filter(Boolean).join(' ');
+  return parsed.preparation ? `${parts}, ${parsed.preparation}` : parts;
+}
+
+/**
+ * Scale and convert a recipe's ingredient lines for display.
+ * Lines that need no change keep their original text.
+ * @param {Object} recipe
+ * @param {number} factor - Servings multiplier
+ * @param {string} system - One of UNIT_SYSTEMS
+ * @returns {{ lines: string[], parsed: Object[] }}
+ */
+function adjustRecipeIngredients(recipe, factor, system) {
+  const lines = recipe.ingredients || [];
+  const parsedLines = lines.map((line, i) =>
+    (recipe.parsedIngredients && recipe.parsedIngredients[i]) || parseIngredientLine(line));
+  const adjusted = parsedLines.map(parsed =>
+    convertParsedIngredient(scaleParsedIngredient(parsed, factor), system));
+  return {
+    lines: adjusted.map((parsed, i) => {
+      const unchanged = factor === 1 && parsed.unit === parsedLines[i].unit;
+      return unchanged ? lines[i] : formatIngredientLine(parsed);
+    }),
+    parsed: adjusted
+  };
+}
+
+/**
+ * Base servings for a recipe (stored value, or DEFAULT_SERVINGS when the dataset has none)
+ * @param {Object} recipe
+ * @returns {number}
+ */
+function getRecipeServings(recipe) {
+  const servings = Number(recipe && recipe.servings);
+  return Number.isFinite(servings) && servings > 0 ? servings : DEFAULT_SERVINGS;
+}
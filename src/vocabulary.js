@@ -0,0 +1,147 @@
+/**
+ * Ingredient Vocabulary
+ * Fetches ingredient_vocabulary.json.zip (shipped next to index.html and precached by sw.js) and
+ * unpacks it in the browser (central directory + DecompressionStream, no zip library needed).
+ * Over file:// the same archive comes from ingredient-vocabulary-data.js instead.
+ */
+
+const VOCABULARY_ENTRY_NAME = 'ingredient_vocabulary.json';
+const DEFAULT_VOCABULARY_URL = 'ingredient_vocabulary.json.zip';
+const VOCABULARY_DATA_SCRIPT = 'ingredient-vocabulary-data.js';
+
+const ZIP_EOCD_SIGNATURE = 0x06054b50;
+const ZIP_CENTRAL_SIGNATURE = 0x02014b50;
+const ZIP_LOCAL_SIGNATURE = 0x04034b50;
+const ZIP_METHOD_STORED = 0;
+const ZIP_METHOD_DEFLATE = 8;
+
+function getVocabularyUrl() {
+  return window.RECIPES_VOCABULARY_URL || DEFAULT_VOCABULARY_URL;
+}
+
+/**
+ * Locate a file in a zip archive via the central directory.
+ * Sizes are read from the central directory because the local header may defer them to a data descriptor.
+ * @param {ArrayBuffer} buffer - Whole zip archive
+ * @param {string} entryName - Path of the file inside the archive
+ * @returns {{ method: number, data: Uint8Array }|null}
+ */
+function findZipEntry(buffer, entryName) {
+  const view = new DataView(buffer);
+  const decoder = new TextDecoder();
+  // End of central directory record sits in the last 22 bytes + up to 64KB of comment
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === ZIP_EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error('Not a zip archive');
+
+  const entryCount = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  for (let n = 0; n < entryCount; n++) {
+    if (view.getUint32(offset, true) !== ZIP_CENTRAL_SIGNATURE) break;
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    if (name === entryName) {
+      if (view.getUint32(localOffset, true) !== ZIP_LOCAL_SIGNATURE) {
+        throw new Error(`Corrupt zip entry: ${entryName}`);
+      }
+      const localNameLength = view.getUint16(localOffset + 26, true);
+      const localExtraLength = view.getUint16(localOffset + 28, true);
+      const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+      return { method, data: new Uint8Array(buffer, dataStart, compressedSize) };
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return null;
+}
+
+/**
+ * Read one text file out of a zip archive.
+ * @param {ArrayBuffer} buffer - Whole zip archive
+ * @param {string} entryName - Path of the file inside the archive
+ * @returns {Promise<string>}
+ */
+async function readZipTextEntry(buffer, entryName) {
+  const entry = findZipEntry(buffer, entryName);
+  if (!entry) throw new Error(`${entryName} not found in archive`);
+  if (entry.method === ZIP_METHOD_STORED) {
+    return new TextDecoder().decode(entry.data);
+  }
+  if (entry.method !== ZIP_METHOD_DEFLATE) {
+    throw new Error(`Unsupported zip compression method: ${entry.method}`);
+  }
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('DecompressionStream is not supported in this browser');
+  }
+  const stream = new Blob([entry.data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return await new Response(stream).text();
+}
+
+/**
+ * Load ingredient-vocabulary-data.js with a script tag, which works over file:// where fetch() does not
+ * @returns {Promise<ArrayBuffer>} The bundled archive
+ */
+function loadBundledVocabularyArchive() {
+  return new Promise((resolve, reject) => {
+    const decode = () => {
+      const binary = atob(window.INGREDIENT_VOCABULARY_ZIP_BASE64);
+      const bytes = new Uint8Array(binary.length);
+      for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+      resolve(bytes.buffer);
+    };
+    if (window.INGREDIENT_VOCABULARY_ZIP_BASE64) {
+      decode();
+      return;
+    }
+    const script = document.createElement('script');
+    script.src = VOCABULARY_DATA_SCRIPT;
+    script.onload = () => {
+      if (window.INGREDIENT_VOCABULARY_ZIP_BASE64) decode();
+      else reject(new Error(`${VOCABULARY_DATA_SCRIPT} did not define the vocabulary archive`));
+    };
+    script.onerror = () => reject(new Error(`Could not load ${VOCABULARY_DATA_SCRIPT}`));
+    document.head.appendChild(script);
+  });
+}
+
+/**
+ * The vocabulary archive: fetched (from the service worker cache when offline), or from the
+ * bundled script when the page was opened from disk and no custom URL is set
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function fetchVocabularyArchive() {
+  if (window.location.protocol === 'file:' && !window.RECIPES_VOCABULARY_URL) {
+    return loadBundledVocabularyArchive();
+  }
+  const response = await fetch(getVocabularyUrl());
+  if (!response.ok) {
+    throw new Error(`Could not fetch ingredient vocabulary (HTTP ${response.status})`);
+  }
+  return response.arrayBuffer();
+}
+
+/**
+ * Download and unpack the ingredient vocabulary.
+ * @returns {Promise<Array<{ name: string, frequency: number }>>}
+ */
+async function loadIngredientVocabulary() {
+  const text = await readZipTextEntry(await fetchVocabularyArchive(), VOCABULARY_ENTRY_NAME);
+  const parsed = JSON.parse(text);
+  const rows = Array.isArray(parsed.ingredients) ? parsed.ingredients : [];
+  // Vocabulary rows are [name, frequency] pairs
+  return rows
+    .filter(row => Array.isArray(row) && typeof row[0] === 'string' && row[0].trim() !== '')
+    .map(([name, frequency]) => ({
+      name: name.toLowerCase().trim(),
+      frequency: Number(frequency) || 0
+    }));
+}
@@ -0,0 +1,39 @@
+/**
+ * Load the app's browser scripts (plain globals, no modules) into one vm context,
+ * the way index.html does with <script defer>.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SRC_DIR = path.join(__dirname, '..', '..', 'src');
+
+/**
+ * @param {string[]} files - Script names under src/, in index.html order
+ * @param {Object} [globals] - Extra globals (window properties) for the context
+ * @returns {{ context: Object, run: function(string): * }} run evaluates an expression in the context
+ */
+function loadBrowserScripts(files, globals = {}) {
+  const context = {
+    console,
+    setTimeout,
+    clearTimeout,
+    fetch,
+    Response,
+    AbortController,
+    TextDecoder,
+    TextEncoder,
+    navigator: { onLine: true },
+    ...globals
+  };
+  context.window = context;
+  vm.createContext(context);
+  files.forEach(file => {
+    const code = fs.readFileSync(path.join(SRC_DIR, file), 'utf8');
+    vm.runInContext(code, context, { filename: file });
+  });
+  return { context, run: (expression) => vm.runInContext(expression, context) };
+}
+
+module.exports = { loadBrowserScripts };
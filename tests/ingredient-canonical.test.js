@@ -0,0 +1,39 @@
+/**
+ * canonicalIngredient: descriptors, plurals and synonyms folded to the one name matchers compare on.
+ * Run with: npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBrowserScripts } = require('./helpers/browser-scripts');
+
+const { run } = loadBrowserScripts(['ingredient-canonical.js']);
+
+const canonicalIngredient = run('canonicalIngredient');
+
+describe('canonicalIngredient', () => {
+  test('drops preparation, size and grade descriptors', () => {
+    assert.equal(canonicalIngredient('Large fresh tomatoes, chopped'), 'tomato');
+    assert.equal(canonicalIngredient('extra virgin olive oil'), 'olive oil');
+    assert.equal(canonicalIngredient('Extra-virgin olive oil'), 'olive oil');
+    assert.equal(canonicalIngredient('unsalted butter'), 'butter');
+    assert.equal(canonicalIngredient('boneless skinless chicken breasts'), 'chicken breast');
+  });
+
+  test('keeps a descriptor that is the whole name, and words that only look like descriptors', () => {
+    assert.equal(canonicalIngredient('large'), 'large');
+    assert.equal(canonicalIngredient('salted caramel'), 'salted caramel');
+  });
+
+  test('singularizes plurals but not words that only look plural', () => {
+    assert.equal(canonicalIngredient('berries'), 'berry');
+    assert.equal(canonicalIngredient('Brussels sprouts'), 'brussels sprout');
+    assert.equal(canonicalIngredient('brussel sprouts'), 'brussels sprout');
+    assert.equal(canonicalIngredient('asparagus'), 'asparagus');
+  });
+
+  test('folds synonyms before dropping descriptors', () => {
+    assert.equal(canonicalIngredient('green onions'), 'scallion');
+    assert.equal(canonicalIngredient('minced beef'), 'ground beef');
+  });
+});
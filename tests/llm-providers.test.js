@@ -0,0 +1,309 @@
+/**
+ * callLLM and the substitution fetch/parse helpers, through the mock provider and a local
+ * HTTP stub speaking both the /chat gateway and the OpenAI-compatible format.
+ * Run with: npm test
+ */
+
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { loadBrowserScripts } = require('./helpers/browser-scripts');
+
+// Values built inside the vm context have that realm's prototypes; compare them as plain JSON
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+const { run } = loadBrowserScripts([
+  'ingredient-parser.js',
+  'instruction-rewrite.js',
+  'llm-providers.js',
+  'substitution.js'
+]);
+
+const parseSubstitutionResponse = run('parseSubstitutionResponse');
+const parseTransformationResponse = run('parseTransformationResponse');
+const parseStepAdjustmentResponse = run('parseStepAdjustmentResponse');
+const fetchSubstitutions = run('fetchSubstitutions');
+const fetchTransformation = run('fetchTransformation');
+const fetchStepAdjustments = run('fetchStepAdjustments');
+const callLLM = run('callLLM');
+const setLLMSettings = run('setLLMSettings');
+
+const RECIPE = {
+  id: 'r1',
+  title: 'Pancakes',
+  ingredients: ['1 cup milk', '2 eggs', '1 cup flour'],
+  instructions: '1. Whisk the milk and eggs. 2. Stir in the flour.'
+};
+
+const SUBSTITUTION_REPLY = {
+  substitutions: [{ raw: '1 cup oat milk', normalized: 'oat milk' }, { raw: '1 cup soy milk', normalized: 'soy milk' }],
+  explanation: 'Plant milks work one to one.'
+};
+
+describe('parseSubstitutionResponse', () => {
+  test('reads a plain JSON reply', () => {
+    assert.deepEqual(plain(parseSubstitutionResponse(JSON.stringify(SUBSTITUTION_REPLY))), SUBSTITUTION_REPLY);
+  });
+
+  test('finds the JSON after reasoning text that contains braces', () => {
+    const message = `<think>Maybe {oat} or {soy}?</think>\n${JSON.stringify(SUBSTITUTION_REPLY)}`;
+    assert.deepEqual(plain(parseSubstitutionResponse(message)), SUBSTITUTION_REPLY);
+  });
+
+  test('accepts plain strings as substitutions', () => {
+    const result = parseSubstitutionResponse('{"substitutions": ["Oat Milk "], "explanation": "x"}');
+    assert.deepEqual(plain(result.substitutions), [{ raw: 'Oat Milk ', normalized: 'oat milk' }]);
+  });
+
+  test('rejects replies without substitutions or explanation', () => {
+    assert.equal(parseSubstitutionResponse(''), null);
+    assert.equal(parseSubstitutionResponse('no json here'), null);
+    assert.equal(parseSubstitutionResponse('{"substitutions": [], "explanation": "x"}'), null);
+    assert.equal(parseSubstitutionResponse('{"substitutions": [{"raw": "a", "normalized": "a"}]}'), null);
+    assert.equal(parseSubstitutionResponse('{"substitutions": [{"raw": 1}], "explanation": "x"}'), null);
+  });
+});
+
+describe('parseTransformationResponse', () => {
+  test('maps 1-based lines to indexes in ingredient order', () => {
+    const message = JSON.stringify({
+      changes: [
+        { line: 3, raw: '1 cup oat flour', normalized: 'oat flour' },
+        { line: 1, raw: '1 cup oat milk', normalized: 'oat milk' }
+      ],
+      explanation: 'Gluten and dairy free.'
+    });
+    assert.deepEqual(plain(parseTransformationResponse(message, 3)), {
+      changes: [
+        { index: 0, raw: '1 cup oat milk', normalized: 'oat milk' },
+        { index: 2, raw: '1 cup oat flour', normalized: 'oat flour' }
+      ],
+      explanation: 'Gluten and dairy free.'
+    });
+  });
+
+  test('drops unknown and repeated lines', () => {
+    const message = JSON.stringify({
+      changes: [
+        { line: 2, raw: 'flax egg', normalized: 'flax egg' },
+        { line: 2, raw: 'chia egg', normalized: 'chia egg' },
+        { line: 9, raw: 'x', normalized: 'x' },
+        { line: 0, raw: 'y', normalized: 'y' }
+      ],
+      explanation: 'Egg free.'
+    });
+    assert.deepEqual(plain(parseTransformationResponse(message, 3).changes), [
+      { index: 1, raw: 'flax egg', normalized: 'flax egg' }
+    ]);
+  });
+
+  test('accepts an empty change list but not one where nothing is valid', () => {
+    assert.deepEqual(plain(parseTransformationResponse('{"changes": [], "explanation": "Fine as is."}', 3)),
+      { changes: [], explanation: 'Fine as is.' });
+    assert.equal(parseTransformationResponse('{"changes": [{"line": 7, "raw": "x", "normalized": "x"}], "explanation": "x"}', 3), null);
+    assert.equal(parseTransformationResponse('{"changes": []}', 3), null);
+  });
+});
+
+describe('parseStepAdjustmentResponse', () => {
+  test('strips step numbers from the rewritten steps', () => {
+    const message = JSON.stringify({ steps: ['1. Whisk the oat milk.', 'Step 2: Bake.'], explanation: 'Renamed milk.' });
+    assert.deepEqual(plain(parseStepAdjustmentResponse(message, 2)), {
+      steps: ['Whisk the oat milk.', 'Bake.'],
+      explanation: 'Renamed milk.'
+    });
+  });
+
+  test('rejects a reply with the wrong number of steps or non-string steps', () => {
+    assert.equal(parseStepAdjustmentResponse('{"steps": ["One"], "explanation": "x"}', 2), null);
+    assert.equal(parseStepAdjustmentResponse('{"steps": ["One", 2], "explanation": "x"}', 2), null);
+    assert.equal(parseStepAdjustmentResponse('{"steps": ["One", "Two"]}', 2), null);
+  });
+});
+
+describe('callLLM with the mock provider', () => {
+  beforeEach(() => setLLMSettings({ provider: 'mock', configs: {} }));
+
+  test('fetchSubstitutions returns canned alternatives and streams the reply', async () => {
+    const seen = [];
+    const result = await fetchSubstitutions(RECIPE, '1 cup milk', 'dairy free', { onText: text => seen.push(text) });
+    assert.deepEqual(plain(result.substitutions.map(s => s.normalized)),
+      ['milk alternative 1', 'milk alternative 2', 'milk alternative 3']);
+    assert.equal(result.substitutions[0].raw, '1 cup milk alternative 1');
+    assert.ok(seen.length > 1, 'reply arrives in several chunks');
+    assert.deepEqual(plain(parseSubstitutionResponse(seen[seen.length - 1])), plain(result));
+  });
+
+  test('fetchTransformation and fetchStepAdjustments parse the mock replies', async () => {
+    const transformation = await fetchTransformation(RECIPE, 'make it vegan');
+    assert.deepEqual(plain(transformation.changes), [
+      { index: 0, raw: '1 cup milk alternative 1', normalized: 'milk alternative 1' }
+    ]);
+    const steps = ['Whisk the milk and eggs.', 'Stir in the flour.'];
+    const adjusted = await fetchStepAdjustments(RECIPE, steps, [{ from: '1 cup milk', to: '1 cup oat milk' }]);
+    assert.deepEqual(plain(adjusted.steps), steps);
+  });
+
+  test('an abort is reported as cancelled', async () => {
+    const controller = new AbortController();
+    const promise = callLLM({ kind: 'substitution', message: 'm', system_prompt: 's', max_tokens: 10, context: { ingredient: 'milk' } },
+      { signal: controller.signal, onText: () => controller.abort() });
+    await assert.rejects(promise, error => error.name === 'LLMRequestError' && error.kind === 'cancelled');
+  });
+
+  test('no provider is a config error', async () => {
+    setLLMSettings({ provider: null, configs: {} });
+    await assert.rejects(fetchSubstitutions(RECIPE, '1 cup milk', 'x'),
+      error => error.name === 'LLMRequestError' && error.kind === 'config');
+  });
+});
+
+describe('callLLM with the HTTP provider against a local stub', () => {
+  let server;
+  let baseUrl;
+  const requests = [];
+  // Per-path reply: (body, req, res) => void
+  const routes = {};
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', () => {
+        const body = raw ? JSON.parse(raw) : null;
+        requests.push({ path: req.url, headers: req.headers, body });
+        const route = routes[req.url];
+        if (!route) {
+          res.writeHead(404).end();
+          return;
+        }
+        route(body, req, res);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    requests.length = 0;
+    Object.keys(routes).forEach(key => delete routes[key]);
+  });
+
+  const useEndpoint = (path, config = {}) => setLLMSettings({
+    provider: 'http',
+    configs: { http: { apiEndpoint: `${baseUrl}${path}`, ...config } }
+  });
+  const sendJson = (res, status, data) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  };
+
+  test('chat format posts message and system prompt and reads { message }', async () => {
+    routes['/chat'] = (body, req, res) => sendJson(res, 200, { message: JSON.stringify(SUBSTITUTION_REPLY) });
+    useEndpoint('/chat', { format: 'chat', apiKey: 'secret' });
+    const result = await fetchSubstitutions(RECIPE, '1 cup milk', 'dairy free');
+    assert.deepEqual(plain(result), SUBSTITUTION_REPLY);
+    assert.equal(requests.length, 1);
+    const [request] = requests;
+    assert.equal(request.headers['x-api-key'], 'secret');
+    assert.match(request.body.message, /Substitute this ingredient: "1 cup milk"/);
+    assert.match(request.body.message, /Original amount: "1 cup"/);
+    assert.match(request.body.system_prompt, /substitution assistant/);
+    assert.equal(request.body.max_tokens, 800);
+  });
+
+  test('openai format sends chat messages and reads choices[0].message.content', async () => {
+    routes['/v1/chat/completions'] = (body, req, res) => sendJson(res, 200, {
+      choices: [{ message: { role: 'assistant', content: JSON.stringify(SUBSTITUTION_REPLY) } }]
+    });
+    useEndpoint('/v1/chat/completions', { format: 'openai', apiKey: 'sk-test', model: 'deepseek-r1' });
+    const result = await fetchSubstitutions(RECIPE, '1 cup milk', 'dairy free');
+    assert.deepEqual(plain(result), SUBSTITUTION_REPLY);
+    const [request] = requests;
+    assert.equal(request.headers.authorization, 'Bearer sk-test');
+    assert.equal(request.body.model, 'deepseek-r1');
+    assert.equal(request.body.stream, true);
+    assert.deepEqual(request.body.messages.map(m => m.role), ['system', 'user']);
+  });
+
+  test('openai format reads a server-sent event stream, showing reasoning while it streams', async () => {
+    const reply = JSON.stringify(SUBSTITUTION_REPLY);
+    routes['/v1/chat/completions'] = (body, req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      const events = [
+        { reasoning_content: 'Dairy free, so plant milk.' },
+        { content: reply.slice(0, 20) },
+        { content: reply.slice(20) }
+      ];
+      events.forEach(delta => res.write(`data: ${JSON.stringify({ choices: [{ delta }] })}\n\n`));
+      res.end('data: [DONE]\n\n');
+    };
+    useEndpoint('/v1/chat/completions', { format: 'openai' });
+    const seen = [];
+    const result = await fetchSubstitutions(RECIPE, '1 cup milk', 'dairy free', { onText: text => seen.push(text) });
+    assert.deepEqual(plain(result), SUBSTITUTION_REPLY);
+    assert.equal(seen[0], '<think>Dairy free, so plant milk.</think>');
+    assert.equal(seen[seen.length - 1], `<think>Dairy free, so plant milk.</think>${reply}`);
+  });
+
+  test('transformation and step replies go through the same endpoint', async () => {
+    const replies = [
+      { changes: [{ line: 2, raw: '1 flax egg', normalized: 'flax egg' }], explanation: 'Egg free.' },
+      { steps: ['Whisk the milk and flax egg.', 'Stir in the flour.'], explanation: 'Renamed egg.' }
+    ];
+    routes['/chat'] = (body, req, res) => sendJson(res, 200, { message: JSON.stringify(replies.shift()) });
+    useEndpoint('/chat', { format: 'chat' });
+    const transformation = await fetchTransformation(RECIPE, 'egg free');
+    assert.deepEqual(plain(transformation.changes), [{ index: 1, raw: '1 flax egg', normalized: 'flax egg' }]);
+    const adjusted = await fetchStepAdjustments(RECIPE, ['Whisk the milk and eggs.', 'Stir in the flour.'],
+      [{ from: '2 eggs', to: '1 flax egg' }]);
+    assert.deepEqual(plain(adjusted.steps), ['Whisk the milk and flax egg.', 'Stir in the flour.']);
+    assert.match(requests[0].body.message, /1\. 1 cup milk\n2\. 2 eggs\n3\. 1 cup flour/);
+    assert.match(requests[1].body.message, /"2 eggs" -> "1 flax egg"/);
+  });
+
+  test('a transient 503 is retried, a 400 is not', async () => {
+    let calls = 0;
+    routes['/chat'] = (body, req, res) => {
+      calls++;
+      if (calls === 1) sendJson(res, 503, { error: 'busy' });
+      else sendJson(res, 200, { message: JSON.stringify(SUBSTITUTION_REPLY) });
+    };
+    useEndpoint('/chat', { format: 'chat' });
+    assert.deepEqual(plain(await fetchSubstitutions(RECIPE, '1 cup milk', 'x')), SUBSTITUTION_REPLY);
+    assert.equal(calls, 2);
+
+    routes['/bad'] = (body, req, res) => sendJson(res, 400, { error: 'bad request' });
+    useEndpoint('/bad', { format: 'chat' });
+    const before400 = requests.length;
+    await assert.rejects(fetchSubstitutions(RECIPE, '1 cup milk', 'x'),
+      error => error.kind === 'http' && error.status === 400 && !error.transient);
+    assert.equal(requests.length - before400, 1);
+  });
+
+  test('a 200 reply with a malformed or wrongly shaped body is invalid and not retried', async () => {
+    routes['/chat'] = (body, req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{"message": "cut off');
+    };
+    useEndpoint('/chat', { format: 'chat' });
+    await assert.rejects(fetchSubstitutions(RECIPE, '1 cup milk', 'x'),
+      error => error.name === 'LLMRequestError' && error.kind === 'invalid' && !error.transient);
+    assert.equal(requests.length, 1);
+
+    routes['/v1/chat/completions'] = (body, req, res) => sendJson(res, 200, null);
+    useEndpoint('/v1/chat/completions', { format: 'openai' });
+    await assert.rejects(fetchSubstitutions(RECIPE, '1 cup milk', 'x'),
+      error => error.name === 'LLMRequestError' && error.kind === 'invalid');
+    assert.equal(requests.length, 2);
+  });
+
+  test('a reply that is not the expected JSON is an invalid error', async () => {
+    routes['/chat'] = (body, req, res) => sendJson(res, 200, { message: 'Sorry, I cannot help with that.' });
+    useEndpoint('/chat', { format: 'chat' });
+    await assert.rejects(fetchSubstitutions(RECIPE, '1 cup milk', 'x'),
+      error => error.name === 'LLMRequestError' && error.kind === 'invalid');
+  });
+});
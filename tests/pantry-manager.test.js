@@ -0,0 +1,71 @@
+/**
+ * "Cooked it" pantry deductions: which pantry item each recipe line draws from, including
+ * imported recipes whose normalizedIngredients don't line up with ingredients.
+ * Run with: npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBrowserScripts } = require('./helpers/browser-scripts');
+
+// Values built inside the vm context have that realm's prototypes; compare them as plain JSON
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+const { run } = loadBrowserScripts([
+  'ingredient-parser.js',
+  'unit-conversion.js',
+  'ingredient-canonical.js',
+  'recipe-scoring.js',
+  'pantry-manager.js'
+]);
+
+const parseIngredientLine = run('parseIngredientLine');
+const cookIngredientUses = run('cookIngredientUses');
+const planPantryDeductions = run('planPantryDeductions');
+
+const PANTRY = [
+  { id: 1, ingredient: 'milk', quantity: 4, unit: 'cup' },
+  { id: 2, ingredient: 'eggs', quantity: 6, unit: 'item' },
+  { id: 3, ingredient: 'flour', quantity: 5, unit: 'cup' }
+];
+
+const plan = (recipe) => {
+  const lines = recipe.ingredients;
+  const uses = cookIngredientUses(recipe, lines, lines.map(line => parseIngredientLine(line)));
+  return plain(planPantryDeductions(uses, PANTRY)).map(({ item, used, remaining }) => ({ id: item.id, used, remaining }));
+};
+
+describe('cookIngredientUses', () => {
+  test('uses normalizedIngredients when it lines up with the ingredient lines', () => {
+    const recipe = {
+      ingredients: ['1 cup whole milk', '2 large eggs'],
+      normalizedIngredients: ['milk', 'egg']
+    };
+    assert.deepEqual(plain(cookIngredientUses(recipe, recipe.ingredients, recipe.ingredients.map(parseIngredientLine)))
+      .map(use => use.name), ['milk', 'egg']);
+  });
+
+  test('falls back to the parsed names when the arrays are reordered', () => {
+    const recipe = {
+      ingredients: ['1 cup milk', '2 eggs', '1 cup flour'],
+      normalizedIngredients: ['flour', 'milk', 'eggs']
+    };
+    assert.deepEqual(plan(recipe), [
+      { id: 1, used: 1, remaining: 3 },
+      { id: 2, used: 2, remaining: 4 },
+      { id: 3, used: 1, remaining: 4 }
+    ]);
+  });
+
+  test('falls back to the parsed names when the arrays differ in length', () => {
+    // Deduplicated on import: one normalized name for two milk lines, the rest shifted
+    const recipe = {
+      ingredients: ['1 cup milk', '1/2 cup milk', '2 eggs'],
+      normalizedIngredients: ['milk', 'eggs']
+    };
+    assert.deepEqual(plan(recipe), [
+      { id: 1, used: 1.5, remaining: 2.5 },
+      { id: 2, used: 2, remaining: 4 }
+    ]);
+  });
+});
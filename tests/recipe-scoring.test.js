@@ -0,0 +1,57 @@
+/**
+ * Pantry staples in findMissingIngredients: the default staples against names from
+ * ingredient_vocabulary.json and the everyday variants recipes spell out.
+ * Run with: npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBrowserScripts } = require('./helpers/browser-scripts');
+
+// Values built inside the vm context have that realm's prototypes; compare them as plain JSON
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+const { run } = loadBrowserScripts([
+  'ingredient-canonical.js',
+  'recipe-scoring.js',
+  'pantry-manager.js'
+]);
+
+const findMissingIngredients = run('findMissingIngredients');
+const DEFAULT_PANTRY_STAPLES = plain(run('DEFAULT_PANTRY_STAPLES'));
+
+const missingWithStaples = (names, staples = DEFAULT_PANTRY_STAPLES) =>
+  plain(findMissingIngredients({ ingredients: names, normalizedIngredients: names }, [], staples));
+
+describe('findMissingIngredients with the default staples', () => {
+  test('covers the everyday salt, pepper, water and oil names from the vocabulary', () => {
+    assert.deepEqual(missingWithStaples([
+      'salt', 'black pepper', 'pepper', 'water', 'olive oil', 'vegetable oil', 'canola oil',
+      'peanut oil', 'grapeseed oil', 'cooking oil', 'neutral oil'
+    ]), []);
+  });
+
+  test('covers the variants recipes spell out', () => {
+    assert.deepEqual(missingWithStaples([
+      'kosher salt', 'sea salt', 'coarse salt', 'ground black pepper', 'freshly ground black pepper',
+      'salt and pepper', 'warm water', 'ice water'
+    ]), []);
+  });
+
+  test('leaves flavorings and other products missing', () => {
+    const names = [
+      'sesame oil', 'toasted sesame oil', 'truffle oil', 'white truffle oil', 'chili oil', 'coconut oil',
+      'garlic salt', 'celery salt', 'coconut water', 'rose water', 'cayenne pepper', 'red bell pepper',
+      'white pepper', 'salt and sugar'
+    ];
+    assert.deepEqual(missingWithStaples(names), names);
+  });
+
+  test('a more specific staple covers the generic name but not its siblings', () => {
+    assert.deepEqual(missingWithStaples(['oil', 'olive oil', 'vegetable oil'], ['olive oil']), ['vegetable oil']);
+  });
+
+  test('nothing is covered without staples', () => {
+    assert.deepEqual(missingWithStaples(['salt', 'olive oil'], []), ['salt', 'olive oil']);
+  });
+});